@@ -0,0 +1,46 @@
+/**
+ * Load app modules in Node for the check scripts
+ * App code reads import.meta.env, so it is loaded through Vite's module runner rather than
+ * imported directly. VITE_* variables set in the environment reach the modules as usual.
+ */
+
+import { createServer } from 'vite';
+
+/**
+ * @returns {Promise<{load: Function, close: Function}>} load(path) resolves to the module
+ *   (paths from the repository root, e.g. '/src/services/LinkPreviewService.js')
+ */
+export const createAppModuleLoader = async () => {
+    const server = await createServer({
+        configFile: false,
+        root: new URL('..', import.meta.url).pathname,
+        appType: 'custom',
+        logLevel: 'error',
+        server: { middlewareMode: true, hmr: false, watch: null },
+        optimizeDeps: { noDiscovery: true, include: [] }
+    });
+
+    return {
+        load: (path) => server.ssrLoadModule(path),
+        close: () => server.close()
+    };
+};
+
+/**
+ * A tiny assertion helper: logs each check and sets a failing exit code
+ */
+export const createChecker = (name) => {
+    let failures = 0;
+    return {
+        check(description, passed, detail) {
+            console.log(`${passed ? '✅' : '❌'} [${name}] ${description}`);
+            if (!passed) {
+                failures++;
+                if (detail !== undefined) console.log('   got:', detail);
+            }
+        },
+        get failures() {
+            return failures;
+        }
+    };
+};
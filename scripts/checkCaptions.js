@@ -0,0 +1,56 @@
+/**
+ * Captions check
+ * Runs the local stand-in speech recognizer (services/speech/LocalRecognizer.js) the way
+ * captions use it: lines fed with speak(), utterances detected from audio levels, and the
+ * finished lines searched and timed as a transcript.
+ *
+ * Usage: npm run check:captions
+ */
+
+import { createAppModuleLoader, createChecker } from './appModules.js';
+
+const checker = createChecker('Captions');
+const { check } = checker;
+const modules = await createAppModuleLoader();
+
+try {
+    const { createSpeechRecognizer, isSpeechRecognitionAvailable } = await modules.load('/src/services/speech/index.js');
+    const { CAPTIONS } = await modules.load('/src/shared/constants/callConstants.js');
+    const { searchTranscript, getSegmentAtTime } = await modules.load('/src/shared/utils/transcript.js');
+
+    check('the local recognizer is always available', isSpeechRecognitionAvailable('local'));
+
+    const recognizer = createSpeechRecognizer('local', { script: ['Hello from the stand-in', 'Second scripted line'] });
+    const results = [];
+    // No audio track: nothing is detected until lines are fed in
+    await recognizer.start(null, { onResult: result => results.push(result) });
+
+    recognizer.speak('Café at noon tomorrow');
+    check('speak() reveals a line word by word', results.map(r => r.text).join('|') === 'Café|Café at|Café at noon|Café at noon tomorrow', results);
+    check('only the whole line is final', results.filter(r => r.isFinal).map(r => r.text).join('|') === 'Café at noon tomorrow', results);
+
+    // Voice for a second, then silence
+    results.length = 0;
+    const start = 1_000_000;
+    for (let t = 0; t <= 1000; t += 100) recognizer.handleLevel(CAPTIONS.speechLevel * 2, start + t);
+    recognizer.handleLevel(0, start + 1000 + CAPTIONS.silenceMs / 2);
+    check('speech is captioned with the next script line', results.at(-1)?.text === 'Hello from the stand-in' && !results.at(-1).isFinal, results);
+    recognizer.handleLevel(0, start + 1000 + CAPTIONS.silenceMs);
+    check('silence finishes the line', results.at(-1)?.isFinal === true && results.at(-1).text === 'Hello from the stand-in', results.at(-1));
+
+    for (let t = 0; t <= 300; t += 100) recognizer.handleLevel(CAPTIONS.speechLevel * 2, start + 5000 + t);
+    recognizer.handleLevel(0, start + 5300 + CAPTIONS.silenceMs);
+    check('the next utterance gets the next line', results.at(-1)?.text === 'Second scripted line' && results.at(-1).isFinal, results.at(-1));
+    recognizer.stop();
+
+    const segments = [
+        { id: 'a', speakerId: 'alice', text: 'Café at noon tomorrow', startedAt: start, endedAt: start + 2000 },
+        { id: 'b', speakerId: 'bob', text: 'Hello from the stand-in', startedAt: start + 3000, endedAt: start + 4000 }
+    ];
+    check('transcript search ignores case and accents', searchTranscript(segments, 'cafe NOON').map(s => s.id).join() === 'a');
+    check('playback finds the line being said', getSegmentAtTime(segments, start, 3.5)?.id === 'b', getSegmentAtTime(segments, start, 3.5));
+} finally {
+    await modules.close();
+}
+
+process.exitCode = checker.failures > 0 ? 1 : 0;
@@ -0,0 +1,44 @@
+/**
+ * Link preview check
+ * Unfurls the local stub's pages (server/unfurlStub.js) through LinkPreviewService's proxy
+ * fetcher: Open Graph tags, an oEmbed fallback, a direct image link and a missing page.
+ *
+ * Usage: npm run check:link-previews
+ */
+
+import { DOMParser } from 'linkedom';
+import { createUnfurlStubServer } from '../server/unfurlStub.js';
+import { createAppModuleLoader, createChecker } from './appModules.js';
+
+// The service parses pages with the browser's DOMParser
+globalThis.DOMParser = DOMParser;
+
+const checker = createChecker('LinkPreviews');
+const { check } = checker;
+const stub = await createUnfurlStubServer({ port: 0 });
+const modules = await createAppModuleLoader();
+
+try {
+    const { linkPreviewService, createProxyFetcher } = await modules.load('/src/services/LinkPreviewService.js');
+    // IndexedDB isn't there in Node; the service keeps previews in memory instead
+    console.warn = () => {};
+    linkPreviewService.setFetcher(createProxyFetcher(stub.url));
+
+    const previews = await linkPreviewService.getPreviewsForText(
+        'Read https://stub.test/article, watch https://stub.test/video and see https://stub.test/photo.png.'
+    );
+    const [article, video, photo] = previews;
+
+    check('finds every URL in a message, without trailing punctuation', previews.length === 3, previews.map(p => p.url));
+    check('reads Open Graph tags', article?.title === 'A stubbed article' && article.siteName === 'Stub News', article);
+    check('resolves relative image URLs', article?.image === 'https://stub.test/images/article.jpg', article?.image);
+    check('fills in from oEmbed', video?.title === 'A stubbed video' && video.image === 'https://stub.test/images/video.jpg', video);
+    check('keeps page metadata next to oEmbed', video?.description === 'A video page with only oEmbed metadata.', video?.description);
+    check('previews image links as themselves', photo?.image === 'https://stub.test/photo.png', photo);
+    check('gives no preview for a page the proxy cannot fetch', await linkPreviewService.getPreview('https://stub.test/missing') === null);
+} finally {
+    await modules.close();
+    await stub.close();
+}
+
+process.exitCode = checker.failures > 0 ? 1 : 0;
@@ -0,0 +1,79 @@
+/**
+ * Firebase ID tokens
+ * Verifies the ID tokens the app's signed-in users send (what firebase-admin's verifyIdToken
+ * checks), so the reference servers know who is calling without a service account.
+ */
+
+import { createVerify } from 'node:crypto';
+
+// Public keys Firebase ID tokens are signed with (X.509 certificates by key ID)
+const FIREBASE_CERTS_URL = 'https://www.googleapis.com/robot/v1/metadata/x509/securetoken@system.gserviceaccount.com';
+
+export class AuthError extends Error {}
+
+const decodeSegment = (segment) => JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+
+/**
+ * Fetches Google's signing certificates, cached for as long as their Cache-Control allows
+ * @param {Function} fetchCertificates - Resolves to { certificates, maxAge }
+ * @returns {Function} Resolves to { keyId: PEM certificate }
+ */
+export const createCertificateCache = (fetchCertificates) => {
+    let cached = { certificates: null, expiresAt: 0 };
+
+    return async () => {
+        if (cached.certificates && Date.now() < cached.expiresAt) return cached.certificates;
+
+        const { certificates, maxAge } = await fetchCertificates();
+        cached = { certificates, expiresAt: Date.now() + maxAge * 1000 };
+        return certificates;
+    };
+};
+
+export const fetchFirebaseCertificates = async () => {
+    const response = await fetch(FIREBASE_CERTS_URL);
+    if (!response.ok) throw new Error(`Certificate endpoint responded with ${response.status}`);
+    const maxAge = Number((response.headers.get('cache-control') || '').match(/max-age=(\d+)/)?.[1]) || 3600;
+    return { certificates: await response.json(), maxAge };
+};
+
+/**
+ * Verify a Firebase ID token (what firebase-admin's verifyIdToken checks)
+ * @param {string} token - The ID token
+ * @param {Object} options
+ * @param {string} options.projectId - Firebase project the token must be for
+ * @param {Function} options.getCertificates - Resolves to { keyId: PEM certificate }
+ * @param {number} options.now - Current time in ms
+ * @returns {Promise<string>} The user's uid
+ * @throws {AuthError} If the token isn't a valid, current token for the project
+ */
+export const verifyFirebaseIdToken = async (token, { projectId, getCertificates, now = Date.now() }) => {
+    const [headerSegment, payloadSegment, signature] = (token || '').split('.');
+    if (!headerSegment || !payloadSegment || !signature) throw new AuthError('Malformed ID token');
+
+    let header;
+    let payload;
+    try {
+        header = decodeSegment(headerSegment);
+        payload = decodeSegment(payloadSegment);
+    } catch {
+        throw new AuthError('Malformed ID token');
+    }
+
+    const seconds = Math.floor(now / 1000);
+    if (header.alg !== 'RS256') throw new AuthError('ID token must be signed with RS256');
+    if (payload.aud !== projectId) throw new AuthError('ID token is for another project');
+    if (payload.iss !== `https://securetoken.google.com/${projectId}`) throw new AuthError('ID token has the wrong issuer');
+    if (typeof payload.sub !== 'string' || !payload.sub || payload.sub.length > 128) throw new AuthError('ID token has no user');
+    if (!(payload.exp > seconds)) throw new AuthError('ID token has expired');
+    if (!(payload.iat <= seconds)) throw new AuthError('ID token was issued in the future');
+
+    const certificate = (await getCertificates())[header.kid];
+    if (!certificate) throw new AuthError('ID token was signed with an unknown key');
+
+    const verifier = createVerify('RSA-SHA256');
+    verifier.update(`${headerSegment}.${payloadSegment}`);
+    if (!verifier.verify(certificate, signature, 'base64url')) throw new AuthError('ID token signature is invalid');
+
+    return payload.sub;
+};
@@ -0,0 +1,387 @@
+/**
+ * Game referee
+ * Owns the authoritative state of every refereed game on this server.
+ *
+ * - GAME_START { gameType, players } creates the game (a repeat just re-broadcasts the state)
+ * - GAME_ACTION { action } is re-validated with the shared rules; dice are rolled here
+ *   from a seed committed to at the start and revealed in GAME_END
+ * - Once a game is refereed, clients can no longer push GAME_MOVE / GAME_STATE_UPDATE /
+ *   GAME_END themselves
+ *
+ * - Timed games are stamped with the server clock; when the side to move runs out of
+ *   time the referee ends the game itself (after the lag allowance)
+ * - A player who goes offline mid-game has RECONNECT_GRACE_MS to come back
+ *   (PLAYER_DISCONNECTED / PLAYER_RECONNECTED), then forfeits as if they had resigned
+ * - GAME_RESUME { } gets a rejoining player the current state; the server sends it to them only
+ *
+ * Every outcome is returned as server events to broadcast on the game topic:
+ * GAME_STATE_UPDATE, MOVE_REJECTED (with the current state, so the sender can roll back)
+ * and GAME_END. Events the referee produces on its own (flag fall, bot moves) go to `onEvents`.
+ */
+
+import {
+    RuleViolation,
+    RULE_ERRORS,
+    createGameState,
+    applyGameAction,
+    createSeed,
+    commitSeed,
+    rollDie,
+    isFinished,
+    claimFlag,
+    isClockRunning,
+    getLiveRemaining,
+    getGameRules,
+    createBotId,
+    isBotPlayer,
+    getBotAction,
+    MAX_LAG_COMPENSATION_MS
+} from '../src/shared/gameRules/index.js';
+import {
+    BOT_DIFFICULTIES,
+    DEFAULT_BOT_DIFFICULTY,
+    BOT_MOVE_DELAY_MS,
+    RECONNECT_GRACE_MS
+} from '../src/shared/constants/gameConstants.js';
+
+export const RefereeEventTypes = {
+    GAME_START: 'GAME_START',
+    GAME_ACTION: 'GAME_ACTION',
+    GAME_RESUME: 'GAME_RESUME',
+    GAME_STATE_UPDATE: 'GAME_STATE_UPDATE',
+    MOVE_REJECTED: 'MOVE_REJECTED',
+    GAME_END: 'GAME_END',
+    PLAYER_DISCONNECTED: 'PLAYER_DISCONNECTED',
+    PLAYER_RECONNECTED: 'PLAYER_RECONNECTED'
+};
+
+// Client events that would overwrite state the referee owns
+const CLIENT_STATE_EVENTS = new Set(['GAME_MOVE', 'GAME_STATE_UPDATE', 'GAME_END']);
+
+export class GameReferee {
+    /**
+     * @param {Object} options
+     * @param {Function} options.onEvents - (gameId, events) for events not caused by a client
+     */
+    constructor({ onEvents = () => {} } = {}) {
+        this.games = new Map(); // gameId -> { state, serverSeed, commitment, bots, absent, flagTimer, botTimer }
+        this.eventCounter = 0;
+        this.onEvents = onEvents;
+        this.closed = false;
+    }
+
+    /**
+     * Whether the referee decides what happens to this event
+     */
+    handles(gameId, event) {
+        if (event.type === RefereeEventTypes.GAME_START || event.type === RefereeEventTypes.GAME_ACTION) return true;
+        if (event.type === RefereeEventTypes.GAME_RESUME) return true;
+        return this.games.has(gameId) && CLIENT_STATE_EVENTS.has(event.type);
+    }
+
+    /**
+     * Process a client event
+     * @param {string} gameId
+     * @param {Object} event - Client event ({ eventId, type, data })
+     * @param {string} senderId - Authenticated sender (STOMP login)
+     * @returns {Array<Object>} Server events to broadcast
+     */
+    handleEvent(gameId, event, senderId) {
+        try {
+            switch (event.type) {
+                case RefereeEventTypes.GAME_START:
+                    return this.start(gameId, event.data || {}, senderId);
+                case RefereeEventTypes.GAME_ACTION:
+                    return this.act(gameId, event.data?.action, senderId);
+                case RefereeEventTypes.GAME_RESUME:
+                    return this.resume(gameId, senderId);
+                default:
+                    throw new RuleViolation(
+                        RULE_ERRORS.CLIENT_STATE_REJECTED,
+                        `${event.type} is not accepted for refereed games; send GAME_ACTION instead`
+                    );
+            }
+        } catch (error) {
+            if (!(error instanceof RuleViolation)) throw error;
+            return [this.createEvent(RefereeEventTypes.MOVE_REJECTED, {
+                gameId,
+                playerId: senderId,
+                rejectedEventId: event.eventId,
+                code: error.code,
+                message: error.message,
+                gameState: this.games.get(gameId)?.state || null
+            })];
+        }
+    }
+
+    start(gameId, { gameType, players, options }, senderId) {
+        const existing = this.games.get(gameId);
+        if (existing) {
+            return [this.stateUpdate(gameId, existing, null)];
+        }
+        if (!Array.isArray(players) || !players.includes(senderId)) {
+            throw new RuleViolation(RULE_ERRORS.NOT_A_PLAYER, 'Only a player can start the game');
+        }
+        if (players.some(isBotPlayer)) {
+            throw new RuleViolation(RULE_ERRORS.INVALID_PLAYERS, 'Bots are seated by the referee');
+        }
+
+        const bots = options?.bots ? this.seatBots(gameType, players, options.bots) : null;
+        const seated = bots ? [...players, ...bots.ids] : players;
+
+        const serverSeed = createSeed();
+        const game = {
+            state: createGameState(gameType, seated, options || {}),
+            serverSeed,
+            commitment: commitSeed(serverSeed),
+            bots,
+            absent: new Map() // playerId -> { graceEndsAt, timer }
+        };
+        this.games.set(gameId, game);
+        console.log(`🎲 [Referee] ${gameType} game ${gameId} started for ${seated.join(', ')}`);
+
+        this.scheduleBot(gameId, game);
+        return [this.stateUpdate(gameId, game, null)];
+    }
+
+    /**
+     * Bots for the seats left empty
+     * @returns {{ids: string[], difficulty: string}|null}
+     */
+    seatBots(gameType, players, { difficulty }) {
+        const maxPlayers = getGameRules(gameType)?.maxPlayers || 0;
+        const count = maxPlayers - players.length;
+        if (count <= 0) return null;
+
+        return {
+            ids: Array.from({ length: count }, (_, i) => createBotId(i + 1)),
+            difficulty: BOT_DIFFICULTIES.some(level => level.id === difficulty) ? difficulty : DEFAULT_BOT_DIFFICULTY
+        };
+    }
+
+    act(gameId, action, playerId) {
+        const game = this.games.get(gameId);
+        if (!game) {
+            throw new RuleViolation(RULE_ERRORS.GAME_NOT_STARTED, 'The game has not started');
+        }
+
+        const nextState = applyGameAction(game.state, action, {
+            playerId,
+            now: Date.now(),
+            rollDie: (clientSeed, index) => rollDie(game.serverSeed, clientSeed, index)
+        });
+        return this.commit(gameId, game, nextState, { ...action, playerId });
+    }
+
+    /**
+     * The state again for a player rejoining the game (after a reload, say), with whoever
+     * is still away and, if it ended meanwhile, the result
+     */
+    resume(gameId, playerId) {
+        const game = this.games.get(gameId);
+        if (!game) {
+            throw new RuleViolation(RULE_ERRORS.GAME_NOT_STARTED, 'This game is no longer running');
+        }
+        if (!game.state.players.includes(playerId)) {
+            throw new RuleViolation(RULE_ERRORS.NOT_A_PLAYER, 'You are not playing in this game');
+        }
+
+        const events = [this.stateUpdate(gameId, game, null)];
+        game.absent.forEach(({ graceEndsAt }, absentId) => {
+            if (absentId !== playerId) events.push(this.disconnected(gameId, absentId, graceEndsAt));
+        });
+        if (isFinished(game.state)) events.push(this.endEvent(gameId, game));
+        return events;
+    }
+
+    /**
+     * Start or stop the grace period of a player in every running game they play in
+     * @param {string} userId
+     * @param {boolean} online - Whether any of their sessions is connected
+     */
+    setPlayerOnline(userId, online) {
+        // Sessions closing on shutdown must not start forfeit timers that keep the process alive
+        if (this.closed) return;
+        this.games.forEach((game, gameId) => {
+            const { state } = game;
+            if (isFinished(state) || !state.players.includes(userId) || state.resigned.includes(userId)) return;
+
+            const absence = game.absent.get(userId);
+            if (online) {
+                if (!absence) return;
+                clearTimeout(absence.timer);
+                game.absent.delete(userId);
+                this.onEvents(gameId, [this.createEvent(RefereeEventTypes.PLAYER_RECONNECTED, { gameId, playerId: userId })]);
+                return;
+            }
+            if (absence) return;
+
+            const graceEndsAt = Date.now() + RECONNECT_GRACE_MS;
+            const timer = setTimeout(() => this.forfeit(gameId, game, userId), RECONNECT_GRACE_MS);
+            game.absent.set(userId, { graceEndsAt, timer });
+            console.log(`🔌 [Referee] ${userId} left game ${gameId}, forfeits in ${RECONNECT_GRACE_MS / 1000}s`);
+            this.onEvents(gameId, [this.disconnected(gameId, userId, graceEndsAt)]);
+        });
+    }
+
+    /**
+     * Resign for a player who didn't come back in time
+     */
+    forfeit(gameId, game, playerId) {
+        game.absent.delete(playerId);
+        if (this.games.get(gameId) !== game || isFinished(game.state)) return;
+
+        try {
+            const resigned = applyGameAction(game.state, { type: 'resign' }, { playerId, now: Date.now() });
+            const nextState = isFinished(resigned) ? { ...resigned, endReason: 'forfeit' } : resigned;
+            console.log(`🚪 [Referee] ${playerId} forfeited game ${gameId}`);
+            this.onEvents(gameId, this.commit(gameId, game, nextState, { type: 'forfeit', playerId }));
+        } catch (error) {
+            if (!(error instanceof RuleViolation)) throw error;
+            console.error(`❌ [Referee] Could not forfeit ${playerId} in game ${gameId}:`, error.message);
+        }
+    }
+
+    /**
+     * Store the next state and build the events announcing it
+     */
+    commit(gameId, game, nextState, action) {
+        game.state = nextState;
+
+        const events = [this.stateUpdate(gameId, game, action)];
+        if (isFinished(game.state)) {
+            clearTimeout(game.flagTimer);
+            clearTimeout(game.botTimer);
+            this.clearAbsences(game);
+            events.push(this.endEvent(gameId, game));
+        } else {
+            this.scheduleFlag(gameId, game);
+            this.scheduleBot(gameId, game);
+        }
+        return events;
+    }
+
+    /**
+     * Play the bot whose turn it is, after a short pause so people can follow the game
+     */
+    scheduleBot(gameId, game) {
+        clearTimeout(game.botTimer);
+        const playerId = game.state.players[game.state.turn];
+        if (!game.bots?.ids.includes(playerId) || isFinished(game.state)) return;
+
+        game.botTimer = setTimeout(() => {
+            if (this.games.get(gameId) !== game || isFinished(game.state)) return;
+            const action = getBotAction(game.state, playerId, { difficulty: game.bots.difficulty });
+            if (!action) return;
+            try {
+                this.onEvents(gameId, this.act(gameId, action, playerId));
+            } catch (error) {
+                if (!(error instanceof RuleViolation)) throw error;
+                console.error(`❌ [Referee] Bot ${playerId} move rejected in game ${gameId}:`, error.message);
+            }
+        }, BOT_MOVE_DELAY_MS);
+    }
+
+    /**
+     * End the game when the side to move runs out of time
+     * Waits out the lag allowance so a move already in flight still counts
+     */
+    scheduleFlag(gameId, game) {
+        clearTimeout(game.flagTimer);
+        const { clock } = game.state;
+        if (!isClockRunning(clock)) return;
+
+        const left = getLiveRemaining(clock, Date.now())[clock.active];
+        game.flagTimer = setTimeout(() => {
+            if (this.games.get(gameId) !== game || isFinished(game.state)) return;
+            try {
+                const nextState = claimFlag(game.state, Date.now());
+                console.log(`⏱️ [Referee] Flag fell in game ${gameId}`);
+                this.onEvents(gameId, this.commit(gameId, game, nextState, { type: 'flag', playerId: null }));
+            } catch (error) {
+                if (!(error instanceof RuleViolation)) throw error;
+                this.scheduleFlag(gameId, game);
+            }
+        }, Math.max(0, left) + MAX_LAG_COMPENSATION_MS);
+    }
+
+    /**
+     * Players of a refereed game (bots included), or null if the referee doesn't know it
+     */
+    getPlayers(gameId) {
+        return this.games.get(gameId)?.state.players || null;
+    }
+
+    /**
+     * Drop a finished game once its result has been delivered
+     */
+    forget(gameId) {
+        const game = this.games.get(gameId);
+        if (game && isFinished(game.state)) this.games.delete(gameId);
+    }
+
+    /**
+     * Stop all timers (and start no more)
+     */
+    close() {
+        this.closed = true;
+        this.games.forEach((game) => {
+            clearTimeout(game.flagTimer);
+            clearTimeout(game.botTimer);
+            this.clearAbsences(game);
+        });
+    }
+
+    clearAbsences(game) {
+        game.absent.forEach(({ timer }) => clearTimeout(timer));
+        game.absent.clear();
+    }
+
+    stateUpdate(gameId, game, action) {
+        return this.createEvent(RefereeEventTypes.GAME_STATE_UPDATE, {
+            gameId,
+            gameState: game.state,
+            action,
+            commitment: game.commitment,
+            // Lets clients line their clocks up with the referee's
+            serverTime: Date.now()
+        });
+    }
+
+    endEvent(gameId, game) {
+        return this.createEvent(RefereeEventTypes.GAME_END, {
+            gameId,
+            result: {
+                winner: game.state.winner,
+                // Ludo team mode: both partners win
+                ...(game.state.winningTeam && { winners: game.state.winningTeam }),
+                isDraw: game.state.isDraw,
+                reason: game.state.endReason || 'finished'
+            },
+            gameState: game.state,
+            // Reveal the seed so players can check every roll
+            serverSeed: game.serverSeed,
+            commitment: game.commitment
+        });
+    }
+
+    disconnected(gameId, playerId, graceEndsAt) {
+        return this.createEvent(RefereeEventTypes.PLAYER_DISCONNECTED, {
+            gameId,
+            playerId,
+            // Referee time, like the clocks
+            graceEndsAt
+        });
+    }
+
+    createEvent(type, data) {
+        return {
+            eventId: `referee:${++this.eventCounter}`,
+            type,
+            data,
+            senderId: null,
+            gameId: data.gameId,
+            timestamp: new Date().toISOString()
+        };
+    }
+}
@@ -0,0 +1,485 @@
+/**
+ * Game server (reference implementation)
+ * STOMP 1.2 over WebSocket at ws://localhost:<port>/ws/game
+ *
+ * - SEND /app/game/{gameId}: the event is numbered (per-game `seq`), logged and broadcast
+ *   to /topic/game/{gameId}. A repeated eventId is acknowledged but not broadcast again
+ * - SUBSCRIBE /topic/game/{gameId} with a `last-seq` header replays the logged events after it
+ * - /topic/presence: online/offline updates for connected users
+ * - GAME_START / GAME_ACTION events go to the referee (server/gameReferee.js), which
+ *   validates moves, rolls dice and broadcasts the resulting state instead of the raw event.
+ *   A GAME_RESUME is answered to its sender only, outside the log
+ * - Going offline starts a player's grace period in their running games; coming back ends it
+ * - Once a game is refereed only its players get its topic live; everyone else watches on
+ *   /topic/spectate/{gameId}, late (server/spectators.js). /topic/spectators has the counts
+ *
+ * - CONNECT must carry the user's Firebase ID token as `passcode`; the session is only
+ *   accepted when the token's uid is the `login`, so nobody can act for another player
+ *
+ * Usage: FIREBASE_PROJECT_ID=... npm run game-server (GAME_SERVER_PORT, default 8090)
+ * State is in memory only; restarting the server forgets every game.
+ */
+
+import http from 'node:http';
+import { fileURLToPath } from 'node:url';
+import { acceptUpgrade } from './websocket.js';
+import { AuthError, createCertificateCache, fetchFirebaseCertificates, verifyFirebaseIdToken } from './firebaseAuth.js';
+import { GameReferee, RefereeEventTypes } from './gameReferee.js';
+import { SpectatorHub, SpectatorEventTypes } from './spectators.js';
+import {
+    STOMP_VERSION,
+    STOMP_SUBPROTOCOL,
+    GAME_TOPIC_PREFIX,
+    PRESENCE_TOPIC,
+    SPECTATORS_TOPIC,
+    encodeFrame,
+    parseFrames,
+    getGameIdFromDestination,
+    getSpectatedGameId
+} from '../src/shared/utils/stompFrames.js';
+
+const WS_PATH = '/ws/game';
+const HEARTBEAT_MS = 10000;
+const MAX_LOG_EVENTS = 1000;
+const MAX_SEEN_EVENT_IDS = 5000;
+
+/**
+ * Per-game event log
+ */
+class GameChannel {
+    constructor() {
+        this.seq = 0;
+        this.log = [];
+        this.seenEventIds = new Set();
+        this.subscribers = new Map(); // session -> subscription id
+    }
+
+    append(event) {
+        const entry = { ...event, seq: ++this.seq };
+        this.log.push(entry);
+        if (this.log.length > MAX_LOG_EVENTS) this.log.shift();
+
+        this.markSeen(event.eventId);
+        return entry;
+    }
+
+    markSeen(eventId) {
+        this.seenEventIds.add(eventId);
+        if (this.seenEventIds.size > MAX_SEEN_EVENT_IDS) {
+            this.seenEventIds.delete(this.seenEventIds.values().next().value);
+        }
+    }
+
+    /**
+     * Events after `lastSeq`, or null if the log no longer reaches back that far
+     * (or the client saw a sequence from before a server restart)
+     */
+    since(lastSeq) {
+        if (lastSeq > this.seq) return null;
+        const oldest = this.log[0]?.seq ?? this.seq + 1;
+        if (lastSeq > 0 && lastSeq + 1 < oldest) return null;
+        return this.log.filter(entry => entry.seq > lastSeq);
+    }
+}
+
+/**
+ * One STOMP session over a WebSocket connection
+ */
+class Session {
+    constructor(server, connection) {
+        this.server = server;
+        this.connection = connection;
+        this.userId = null;
+        this.buffer = '';
+        this.subscriptions = new Map(); // subscription id -> destination
+        this.lastReceivedAt = Date.now();
+        this.timers = [];
+        this.pendingFrames = null; // Frames that arrived while the CONNECT token was being checked
+        this.closed = false;
+
+        connection.on('message', (data) => this.handleData(data));
+        connection.on('close', () => this.handleClose());
+    }
+
+    send(command, headers, body) {
+        this.connection.send(encodeFrame(command, headers, body));
+    }
+
+    error(message, receiptId) {
+        if (this.closed) return;
+        this.send('ERROR', { message, 'receipt-id': receiptId });
+        this.connection.close();
+    }
+
+    handleData(data) {
+        this.lastReceivedAt = Date.now();
+        const { frames, rest } = parseFrames(this.buffer + data);
+        this.buffer = rest;
+        frames.forEach(frame => this.handleFrame(frame));
+    }
+
+    handleFrame(frame) {
+        if (this.pendingFrames) {
+            this.pendingFrames.push(frame);
+            return;
+        }
+
+        const { command, headers, body } = frame;
+        if (!this.userId && command !== 'CONNECT' && command !== 'STOMP') {
+            this.error('Not connected');
+            return;
+        }
+
+        switch (command) {
+            case 'CONNECT':
+            case 'STOMP':
+                this.handleConnect(headers);
+                break;
+            case 'SUBSCRIBE':
+                this.handleSubscribe(headers);
+                break;
+            case 'UNSUBSCRIBE':
+                this.handleUnsubscribe(headers.id);
+                break;
+            case 'SEND':
+                this.handleSend(headers, body);
+                break;
+            case 'DISCONNECT':
+                if (headers.receipt) this.send('RECEIPT', { 'receipt-id': headers.receipt });
+                this.connection.close();
+                break;
+            default:
+                this.error(`Unsupported frame: ${command}`, headers.receipt);
+        }
+    }
+
+    handleConnect(headers) {
+        // A second CONNECT would start another set of heart-beat timers
+        if (this.userId || this.pendingFrames) {
+            this.error('Already connected');
+            return;
+        }
+
+        const versions = (headers['accept-version'] || '').split(',');
+        if (!versions.includes(STOMP_VERSION)) {
+            this.error(`Only STOMP ${STOMP_VERSION} is supported`);
+            return;
+        }
+        if (!headers.login) {
+            this.error('Missing login');
+            return;
+        }
+        if (!headers.passcode) {
+            this.error('Missing passcode (Firebase ID token)');
+            return;
+        }
+
+        // Later frames wait until we know who this is
+        this.pendingFrames = [];
+        this.server.verifyIdToken(headers.passcode)
+            .then((uid) => {
+                if (this.closed) return;
+                if (uid !== headers.login) {
+                    this.error('Login does not match the ID token');
+                    return;
+                }
+
+                this.acceptConnect(headers);
+                const frames = this.pendingFrames;
+                this.pendingFrames = null;
+                frames.forEach(frame => this.handleFrame(frame));
+            })
+            .catch((error) => {
+                if (!(error instanceof AuthError)) console.error('❌ [GameServer] Could not verify ID token:', error);
+                this.error(error instanceof AuthError ? error.message : 'Could not verify the ID token');
+            });
+    }
+
+    /**
+     * Start the session once its user is known
+     * @private
+     */
+    acceptConnect(headers) {
+        this.userId = headers.login;
+        const [clientSends, clientWants] = (headers['heart-beat'] || '0,0').split(',').map(Number);
+
+        this.send('CONNECTED', {
+            version: STOMP_VERSION,
+            'heart-beat': `${HEARTBEAT_MS},${HEARTBEAT_MS}`,
+            server: 'whatsapp-game-server'
+        });
+
+        if (clientWants > 0) {
+            const every = Math.max(HEARTBEAT_MS, clientWants);
+            this.timers.push(setInterval(() => this.connection.send('\n'), every));
+        }
+        if (clientSends > 0) {
+            const every = Math.max(HEARTBEAT_MS, clientSends);
+            this.timers.push(setInterval(() => {
+                if (Date.now() - this.lastReceivedAt > every * 2.5) this.connection.close();
+            }, every));
+        }
+
+        this.server.setPresence(this, 'online');
+    }
+
+    handleSubscribe(headers) {
+        const { id, destination } = headers;
+        if (!id || !destination) {
+            this.error('SUBSCRIBE needs id and destination', headers.receipt);
+            return;
+        }
+        this.handleUnsubscribe(id);
+        this.subscriptions.set(id, destination);
+
+        if (destination === PRESENCE_TOPIC) {
+            this.send('MESSAGE', {
+                subscription: id,
+                destination,
+                'message-id': `presence-${Date.now()}`,
+                'content-type': 'application/json'
+            }, JSON.stringify(this.server.getPresenceList()));
+        } else if (destination === SPECTATORS_TOPIC) {
+            this.send('MESSAGE', {
+                subscription: id,
+                destination,
+                'message-id': `spectators-${Date.now()}`,
+                'content-type': 'application/json'
+            }, JSON.stringify(this.server.spectators.getCounts()));
+        } else if (getSpectatedGameId(destination)) {
+            this.server.spectators.subscribe(this, id, getSpectatedGameId(destination));
+        } else if (destination.startsWith(GAME_TOPIC_PREFIX)) {
+            const gameId = getGameIdFromDestination(destination);
+            if (!this.server.spectators.canWatchLive(gameId, this.userId)) {
+                this.subscriptions.delete(id);
+                this.deliver(id, destination, {
+                    type: SpectatorEventTypes.SPECTATE_DENIED,
+                    data: { gameId, reason: 'Only players get this game live; watch it as a spectator' },
+                    senderId: null
+                });
+                if (headers.receipt) this.send('RECEIPT', { 'receipt-id': headers.receipt });
+                return;
+            }
+
+            const channel = this.server.getChannel(gameId);
+            channel.subscribers.set(this, id);
+
+            const lastSeq = Number(headers['last-seq']) || 0;
+            const missed = channel.since(lastSeq);
+            if (missed === null) {
+                // Too far behind: tell the client, then continue from the oldest logged event
+                this.deliver(id, destination, {
+                    type: 'REPLAY_TRUNCATED',
+                    data: { gameId: getGameIdFromDestination(destination), lastSeq },
+                    senderId: null
+                });
+                channel.log.forEach(entry => this.deliver(id, destination, entry));
+            } else {
+                missed.forEach(entry => this.deliver(id, destination, entry));
+            }
+        }
+
+        if (headers.receipt) this.send('RECEIPT', { 'receipt-id': headers.receipt });
+    }
+
+    handleUnsubscribe(id) {
+        const destination = this.subscriptions.get(id);
+        if (!destination) return;
+        this.subscriptions.delete(id);
+
+        const spectatedGameId = getSpectatedGameId(destination);
+        if (spectatedGameId) this.server.spectators.unsubscribe(this, spectatedGameId);
+
+        const gameId = getGameIdFromDestination(destination);
+        if (gameId) this.server.channels.get(gameId)?.subscribers.delete(this);
+    }
+
+    handleSend(headers, body) {
+        const gameId = getGameIdFromDestination(headers.destination);
+        if (!gameId) {
+            this.error(`Unknown destination: ${headers.destination}`, headers.receipt);
+            return;
+        }
+
+        let event;
+        try {
+            event = JSON.parse(body);
+        } catch {
+            this.error('Body must be JSON', headers.receipt);
+            return;
+        }
+        if (!event || typeof event !== 'object' || Array.isArray(event)) {
+            this.error('Body must be a JSON object', headers.receipt);
+            return;
+        }
+
+        const channel = this.server.getChannel(gameId);
+        const duplicate = event.eventId && channel.seenEventIds.has(event.eventId);
+        if (!duplicate && this.server.spectators.handles(event)) {
+            channel.markSeen(event.eventId);
+            this.server.spectators.handleEvent(gameId, event, this);
+        } else if (!duplicate && event.type === RefereeEventTypes.GAME_RESUME) {
+            // Only the player coming back needs the state again
+            channel.markSeen(event.eventId);
+            const subscriptionId = channel.subscribers.get(this);
+            const destination = `${GAME_TOPIC_PREFIX}${gameId}`;
+            this.server.referee.handleEvent(gameId, event, this.userId)
+                .forEach(entry => subscriptionId && this.deliver(subscriptionId, destination, entry));
+        } else if (!duplicate) {
+            let outgoing = [{ ...event, senderId: this.userId }];
+            if (this.server.referee.handles(gameId, event)) {
+                channel.markSeen(event.eventId);
+                outgoing = this.server.referee.handleEvent(gameId, event, this.userId);
+            }
+
+            this.server.broadcast(gameId, outgoing);
+        }
+
+        if (headers.receipt) this.send('RECEIPT', { 'receipt-id': headers.receipt });
+    }
+
+    deliver(subscriptionId, destination, entry) {
+        this.send('MESSAGE', {
+            subscription: subscriptionId,
+            destination,
+            'message-id': entry.eventId || `${destination}:${entry.seq}`,
+            seq: entry.seq,
+            'content-type': 'application/json'
+        }, JSON.stringify(entry));
+    }
+
+    handleClose() {
+        this.closed = true;
+        this.timers.forEach(clearInterval);
+        this.timers = [];
+        Array.from(this.subscriptions.keys()).forEach(id => this.handleUnsubscribe(id));
+        if (this.userId) this.server.setPresence(this, 'offline');
+        this.server.sessions.delete(this);
+    }
+}
+
+/**
+ * Start the game server
+ * @param {Object} options
+ * @param {number} options.port - Port to listen on (0 picks a free one)
+ * @param {string} options.projectId - Firebase project whose users may connect
+ * @param {Function} options.fetchCertificates - Resolves to { certificates, maxAge } (Google's by default)
+ * @returns {Promise<{port: number, close: Function}>}
+ */
+export const createGameServer = ({ port = 8090, projectId, fetchCertificates = fetchFirebaseCertificates } = {}) => {
+    if (!projectId) throw new Error('FIREBASE_PROJECT_ID is required');
+
+    const getCertificates = createCertificateCache(fetchCertificates);
+    const state = {
+        sessions: new Set(),
+        verifyIdToken: (token) => verifyFirebaseIdToken(token, { projectId, getCertificates }),
+        channels: new Map(), // gameId -> GameChannel
+        presence: new Map(), // userId -> { userId, status, lastSeen, sessions }
+        referee: new GameReferee({
+            onEvents: (gameId, events) => state.broadcast(gameId, events)
+        }),
+        spectators: new SpectatorHub({
+            getPlayers: (gameId) => state.referee.getPlayers(gameId),
+            getSessions: () => state.sessions,
+            onPlayerEvents: (gameId, events) => state.broadcast(gameId, events),
+            // The game's log and its referee state go with its room once it has finished
+            onRoomClosed: (gameId) => {
+                state.channels.delete(gameId);
+                state.referee.forget(gameId);
+            }
+        }),
+
+        /**
+         * Number, log and deliver events on a game topic, then pass them on to spectators
+         */
+        broadcast(gameId, events) {
+            const channel = this.getChannel(gameId);
+            const destination = `${GAME_TOPIC_PREFIX}${gameId}`;
+            const entries = events.map((event) => {
+                const entry = channel.append(event);
+                channel.subscribers.forEach((subscriptionId, session) => {
+                    // Anyone who subscribed before the game started and isn't playing
+                    if (!this.spectators.canWatchLive(gameId, session.userId)) return;
+                    session.deliver(subscriptionId, destination, entry);
+                });
+                return entry;
+            });
+            this.spectators.record(gameId, entries);
+        },
+
+        getChannel(gameId) {
+            if (!this.channels.has(gameId)) this.channels.set(gameId, new GameChannel());
+            return this.channels.get(gameId);
+        },
+
+        getPresenceList() {
+            return Array.from(this.presence.values()).map(({ userId, status, lastSeen }) => ({ userId, status, lastSeen }));
+        },
+
+        // A user stays online while any of their sessions is connected
+        setPresence(session, status) {
+            const entry = this.presence.get(session.userId)
+                || { userId: session.userId, status: 'offline', lastSeen: null, sessions: new Set() };
+            if (status === 'online') entry.sessions.add(session);
+            else entry.sessions.delete(session);
+
+            const nextStatus = entry.sessions.size > 0 ? 'online' : 'offline';
+            const changed = entry.status !== nextStatus;
+            entry.status = nextStatus;
+            entry.lastSeen = new Date().toISOString();
+            this.presence.set(session.userId, entry);
+            if (!changed) return;
+
+            this.referee.setPlayerOnline(entry.userId, entry.status === 'online');
+
+            const body = JSON.stringify([{ userId: entry.userId, status: entry.status, lastSeen: entry.lastSeen }]);
+            this.sessions.forEach((other) => {
+                other.subscriptions.forEach((destination, id) => {
+                    if (destination !== PRESENCE_TOPIC) return;
+                    other.send('MESSAGE', {
+                        subscription: id,
+                        destination,
+                        'message-id': `presence-${Date.now()}`,
+                        'content-type': 'application/json'
+                    }, body);
+                });
+            });
+        }
+    };
+
+    const httpServer = http.createServer((request, response) => {
+        response.writeHead(426, { 'Content-Type': 'text/plain' });
+        response.end('Connect with a WebSocket client\n');
+    });
+
+    httpServer.on('upgrade', (request, socket) => {
+        if (new URL(request.url, 'http://localhost').pathname !== WS_PATH) {
+            socket.end('HTTP/1.1 404 Not Found\r\n\r\n');
+            return;
+        }
+        const connection = acceptUpgrade(request, socket, STOMP_SUBPROTOCOL);
+        if (connection) state.sessions.add(new Session(state, connection));
+    });
+
+    return new Promise((resolve, reject) => {
+        httpServer.once('error', reject);
+        httpServer.listen(port, () => {
+            resolve({
+                port: httpServer.address().port,
+                close: () => new Promise((done) => {
+                    state.referee.close();
+                    state.spectators.close();
+                    state.sessions.forEach(session => session.connection.close(1001));
+                    httpServer.close(() => done());
+                })
+            });
+        });
+    });
+};
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+    const port = Number(process.env.GAME_SERVER_PORT) || 8090;
+    createGameServer({ port, projectId: process.env.FIREBASE_PROJECT_ID }).then(({ port: actualPort }) => {
+        console.log(`🎮 Game server listening on ws://localhost:${actualPort}${WS_PATH}`);
+    });
+}
@@ -0,0 +1,243 @@
+/**
+ * Reference SFU forwarder
+ * Runs in the browser tab opened on the reference SFU (server/sfuServer.js) and does the
+ * actual forwarding, since Node has no WebRTC.
+ *
+ * Per caller there is a publishing connection (their audio and one video track per simulcast
+ * layer) and a receiving one, carrying everyone else's audio and the video layer they asked
+ * for. Layer switches are a replaceTrack(), without renegotiating.
+ */
+
+const status = document.getElementById('status');
+const socket = new WebSocket(`${location.protocol === 'https:' ? 'wss' : 'ws'}://${location.host}/ws/sfu`);
+
+const rooms = new Map(); // callId -> Map<userId, Peer>
+let encodings = [];
+let messages = Promise.resolve();
+
+class Peer {
+    constructor(callId, userId) {
+        this.callId = callId;
+        this.userId = userId;
+        this.publishPc = null;
+        this.subscribePc = null;
+        this.audio = null;
+        this.video = new Map(); // layer -> track
+        this.outgoing = new Map(); // publisherId -> { stream, audio, video, layer }
+        this.preferredLayers = new Map(); // publisherId -> layer
+        this.negotiating = false;
+        this.renegotiate = false;
+    }
+}
+
+const send = (peer, message) => {
+    socket.send(JSON.stringify({ ...message, callId: peer.callId, userId: peer.userId }));
+};
+
+const updateStatus = () => {
+    const callers = Array.from(rooms.values()).reduce((count, room) => count + room.size, 0);
+    status.textContent = `Forwarding ${rooms.size} call(s), ${callers} caller(s)`;
+};
+
+/**
+ * The publisher's video in the requested layer, or the closest one they send
+ * (the next one down first)
+ */
+const pickVideo = (publisher, requested) => {
+    const layers = encodings.map(encoding => encoding.layer);
+    const index = Math.max(layers.indexOf(requested), 0);
+    const order = [
+        ...layers.slice(0, index + 1).reverse(),
+        ...layers.slice(index + 1)
+    ];
+    const layer = order.find(candidate => publisher.video.has(candidate));
+    return layer ? { layer, track: publisher.video.get(layer) } : null;
+};
+
+const setBitrate = async (sender, layer) => {
+    const { maxBitrate } = encodings.find(encoding => encoding.layer === layer) || {};
+    if (!maxBitrate) return;
+
+    const parameters = sender.getParameters();
+    if (!parameters.encodings?.length) return;
+    parameters.encodings[0].maxBitrate = maxBitrate;
+    await sender.setParameters(parameters).catch(() => {});
+};
+
+const getSubscribePc = (peer) => {
+    if (!peer.subscribePc) {
+        peer.subscribePc = new RTCPeerConnection();
+        peer.subscribePc.onicecandidate = ({ candidate }) => {
+            if (candidate) send(peer, { type: 'candidate', pc: 'subscribe', candidate });
+        };
+    }
+    return peer.subscribePc;
+};
+
+const negotiate = async (peer) => {
+    if (peer.negotiating) {
+        peer.renegotiate = true;
+        return;
+    }
+    peer.negotiating = true;
+
+    const pc = getSubscribePc(peer);
+    await pc.setLocalDescription(await pc.createOffer());
+    const streams = {};
+    peer.outgoing.forEach(({ stream }, publisherId) => {
+        streams[stream.id] = publisherId;
+    });
+    send(peer, { type: 'subscribe-offer', sdp: pc.localDescription.sdp, streams });
+};
+
+/**
+ * Send (or update) a publisher's tracks to a subscriber
+ */
+const forward = async (publisher, subscriber) => {
+    let outgoing = subscriber.outgoing.get(publisher.userId);
+    if (!outgoing) {
+        outgoing = { stream: new MediaStream(), audio: null, video: null, layer: null };
+        subscriber.outgoing.set(publisher.userId, outgoing);
+    }
+
+    const pc = getSubscribePc(subscriber);
+    let added = false;
+
+    if (publisher.audio && !outgoing.audio) {
+        outgoing.audio = pc.addTrack(publisher.audio, outgoing.stream);
+        added = true;
+    }
+
+    const video = pickVideo(publisher, subscriber.preferredLayers.get(publisher.userId));
+    if (video && !outgoing.video) {
+        outgoing.video = pc.addTrack(video.track, outgoing.stream);
+        added = true;
+    } else if (video && outgoing.video.track !== video.track) {
+        await outgoing.video.replaceTrack(video.track);
+    }
+    if (video && outgoing.layer !== video.layer) {
+        outgoing.layer = video.layer;
+        await setBitrate(outgoing.video, video.layer);
+    }
+
+    if (added) await negotiate(subscriber);
+};
+
+const handlers = {
+    welcome: ({ encodings: layers }) => {
+        encodings = layers;
+        updateStatus();
+    },
+
+    join: async ({ callId, userId }) => {
+        if (!rooms.has(callId)) rooms.set(callId, new Map());
+        const room = rooms.get(callId);
+        const peer = new Peer(callId, userId);
+        room.set(userId, peer);
+        updateStatus();
+
+        for (const publisher of room.values()) {
+            if (publisher !== peer) await forward(publisher, peer);
+        }
+    },
+
+    publish: async ({ callId, userId, sdp, tracks }) => {
+        const room = rooms.get(callId);
+        const peer = room?.get(userId);
+        if (!peer) return;
+
+        const layout = new Map(tracks.map(track => [track.mid, track]));
+        const pc = new RTCPeerConnection();
+        peer.publishPc = pc;
+        pc.onicecandidate = ({ candidate }) => {
+            if (candidate) send(peer, { type: 'candidate', pc: 'publish', candidate });
+        };
+        pc.ontrack = ({ transceiver, track }) => {
+            const { kind, layer } = layout.get(transceiver.mid) || {};
+            if (kind === 'audio') peer.audio = track;
+            else if (kind === 'video' && layer) peer.video.set(layer, track);
+        };
+
+        await pc.setRemoteDescription({ type: 'offer', sdp });
+        await pc.setLocalDescription(await pc.createAnswer());
+        send(peer, { type: 'publish-answer', sdp: pc.localDescription.sdp });
+
+        for (const subscriber of room.values()) {
+            if (subscriber !== peer) await forward(peer, subscriber);
+        }
+    },
+
+    'subscribe-answer': async ({ callId, userId, sdp }) => {
+        const peer = rooms.get(callId)?.get(userId);
+        if (!peer?.subscribePc) return;
+
+        await peer.subscribePc.setRemoteDescription({ type: 'answer', sdp });
+        peer.negotiating = false;
+        if (peer.renegotiate) {
+            peer.renegotiate = false;
+            await negotiate(peer);
+        }
+    },
+
+    candidate: async ({ callId, userId, pc, candidate }) => {
+        const peer = rooms.get(callId)?.get(userId);
+        const connection = pc === 'publish' ? peer?.publishPc : peer?.subscribePc;
+        await connection?.addIceCandidate(candidate);
+    },
+
+    layer: async ({ callId, userId, participantId, layer }) => {
+        const room = rooms.get(callId);
+        const subscriber = room?.get(userId);
+        if (!subscriber) return;
+
+        subscriber.preferredLayers.set(participantId, layer);
+        const publisher = room.get(participantId);
+        if (publisher && subscriber.outgoing.has(participantId)) await forward(publisher, subscriber);
+    },
+
+    leave: async ({ callId, userId }) => {
+        const room = rooms.get(callId);
+        const peer = room?.get(userId);
+        if (!peer) return;
+
+        room.delete(userId);
+        if (room.size === 0) rooms.delete(callId);
+        peer.publishPc?.close();
+        peer.subscribePc?.close();
+        updateStatus();
+
+        for (const subscriber of room.values()) {
+            const outgoing = subscriber.outgoing.get(userId);
+            if (!outgoing) continue;
+            subscriber.outgoing.delete(userId);
+            subscriber.preferredLayers.delete(userId);
+            [outgoing.audio, outgoing.video].forEach(sender => {
+                if (sender) subscriber.subscribePc.removeTrack(sender);
+            });
+            await negotiate(subscriber);
+        }
+    }
+};
+
+// The SFU prints this page's URL with its forwarder secret
+socket.onopen = () => socket.send(JSON.stringify({
+    type: 'forwarder',
+    secret: new URLSearchParams(location.search).get('secret')
+}));
+socket.onclose = () => {
+    rooms.forEach(room => room.forEach(peer => {
+        peer.publishPc?.close();
+        peer.subscribePc?.close();
+    }));
+    rooms.clear();
+    status.textContent = 'Disconnected from the SFU; reload to reconnect';
+};
+socket.onmessage = (event) => {
+    const message = JSON.parse(event.data);
+    const handler = handlers[message.type];
+    if (!handler) return;
+
+    messages = messages
+        .then(() => handler(message))
+        .catch(error => console.error(`❌ [Forwarder] Error handling ${message.type}:`, error));
+};
@@ -0,0 +1,229 @@
+/**
+ * Reference SFU (selective forwarding unit) for group calls
+ * JSON messages over WebSocket at ws://localhost:<port>/ws/sfu
+ *
+ * Node has no WebRTC, so the media goes through a forwarder page (server/sfuForwarder.js)
+ * that runs in a browser: open http://localhost:<port>/?secret=<forwarder secret> once, in
+ * any browser on the same network. Only a connection that knows the secret can become the
+ * forwarder. This server keeps the rooms and carries the signaling between the callers and
+ * the forwarder. It all works offline.
+ *
+ * Caller messages:
+ * - join { callId, userId } -> joined { participants }; the others get participant-joined
+ * - publish { sdp, tracks: [{ mid, kind, layer }] } -> publish-answer { sdp }
+ * - subscribe-answer { sdp }, in reply to the forwarder's subscribe-offer { sdp, streams }
+ * - candidate { pc: 'publish' | 'subscribe', candidate }, both ways
+ * - layer { participantId, layer }: the simulcast layer to forward of someone's video
+ * - leave (or disconnecting); the others get participant-left { userId }
+ *
+ * Usage: npm run sfu (SFU_PORT, default 8091; SFU_FORWARDER_SECRET, a random one is made
+ * and printed with the forwarder URL when unset)
+ */
+
+import http from 'node:http';
+import { randomBytes, timingSafeEqual } from 'node:crypto';
+import { readFile } from 'node:fs/promises';
+import { fileURLToPath } from 'node:url';
+import { acceptUpgrade } from './websocket.js';
+import { SIMULCAST_ENCODINGS } from '../src/shared/constants/callConstants.js';
+
+const WS_PATH = '/ws/sfu';
+const FORWARDER_SCRIPT = fileURLToPath(new URL('./sfuForwarder.js', import.meta.url));
+
+const FORWARDER_PAGE = `<!doctype html>
+<html>
+<head><meta charset="utf-8"><title>Reference SFU forwarder</title></head>
+<body style="font-family: sans-serif">
+<h1>Reference SFU forwarder</h1>
+<p id="status">Connecting…</p>
+<p>Keep this tab open while calls use the SFU.</p>
+<script type="module" src="/sfuForwarder.js"></script>
+</body>
+</html>
+`;
+
+// Messages a caller may send once they have joined; they all go on to the forwarder
+const FORWARDED_TYPES = new Set(['publish', 'subscribe-answer', 'candidate', 'layer']);
+
+const isPlainObject = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * @private
+ */
+const secretsMatch = (given, secret) => {
+    if (typeof given !== 'string') return false;
+    const a = Buffer.from(given);
+    const b = Buffer.from(secret);
+    return a.length === b.length && timingSafeEqual(a, b);
+};
+
+/**
+ * Start the SFU
+ * @param {Object} options
+ * @param {number} options.port - Port to listen on (0 picks a free one)
+ * @param {string} options.forwarderSecret - What the forwarder page must present (random by default)
+ * @returns {Promise<{port: number, forwarderSecret: string, close: Function}>}
+ */
+export const createSfuServer = ({ port = 8091, forwarderSecret = randomBytes(16).toString('hex') } = {}) => {
+    const rooms = new Map(); // callId -> Map<userId, connection>
+    const connections = new Set();
+    let forwarder = null;
+
+    const send = (connection, message) => connection?.send(JSON.stringify(message));
+
+    const leave = (connection) => {
+        const { callId, userId } = connection;
+        const room = rooms.get(callId);
+        if (!room || room.get(userId) !== connection) return;
+
+        room.delete(userId);
+        if (room.size === 0) rooms.delete(callId);
+        room.forEach(other => send(other, { type: 'participant-left', userId }));
+        send(forwarder, { type: 'leave', callId, userId });
+        console.log(`👋 [SFU] ${userId} left call ${callId}`);
+    };
+
+    const join = (connection, { callId, userId }) => {
+        if (!forwarder) {
+            send(connection, { type: 'error', message: 'No forwarder is running; open the forwarder page in a browser' });
+            return;
+        }
+        if (!callId || !userId) {
+            send(connection, { type: 'error', message: 'join needs callId and userId' });
+            return;
+        }
+
+        if (!rooms.has(callId)) rooms.set(callId, new Map());
+        const room = rooms.get(callId);
+        // A second connection for the same user (e.g. a reload) replaces the first
+        const previous = room.get(userId);
+        if (previous) {
+            leave(previous);
+            previous.close();
+        }
+
+        connection.callId = callId;
+        connection.userId = userId;
+        send(connection, { type: 'joined', participants: Array.from(room.keys()) });
+        room.forEach(other => send(other, { type: 'participant-joined', userId }));
+        room.set(userId, connection);
+        send(forwarder, { type: 'join', callId, userId });
+        console.log(`📞 [SFU] ${userId} joined call ${callId} (${room.size} in the room)`);
+    };
+
+    const handleForwarderMessage = (message) => {
+        if (!isPlainObject(message)) return;
+        const { callId, userId, ...rest } = message;
+        send(rooms.get(callId)?.get(userId), rest);
+    };
+
+    const handleMessage = (connection, data) => {
+        let message;
+        try {
+            message = JSON.parse(data);
+        } catch {
+            send(connection, { type: 'error', message: 'Messages must be JSON' });
+            return;
+        }
+
+        if (connection === forwarder) {
+            handleForwarderMessage(message);
+            return;
+        }
+        if (!isPlainObject(message)) {
+            send(connection, { type: 'error', message: 'Messages must be JSON objects' });
+            return;
+        }
+
+        switch (message.type) {
+            case 'forwarder':
+                // Whoever forwards sees every call's media
+                if (!secretsMatch(message.secret, forwarderSecret)) {
+                    console.warn('⚠️ [SFU] Refused a forwarder with the wrong secret');
+                    send(connection, { type: 'error', message: 'Wrong forwarder secret' });
+                    connection.close();
+                    return;
+                }
+                if (forwarder) forwarder.close();
+                forwarder = connection;
+                send(forwarder, { type: 'welcome', encodings: SIMULCAST_ENCODINGS });
+                console.log('🔀 [SFU] Forwarder connected');
+                break;
+            case 'join':
+                join(connection, message);
+                break;
+            case 'leave':
+                leave(connection);
+                break;
+            default:
+                if (!connection.userId || !FORWARDED_TYPES.has(message.type)) {
+                    send(connection, { type: 'error', message: `Unexpected ${message.type}` });
+                    return;
+                }
+                send(forwarder, { ...message, callId: connection.callId, userId: connection.userId });
+        }
+    };
+
+    const handleClose = (connection) => {
+        connections.delete(connection);
+        if (connection !== forwarder) {
+            leave(connection);
+            return;
+        }
+
+        // Nothing reaches anyone without the forwarder; callers go back to a mesh
+        forwarder = null;
+        console.warn('⚠️ [SFU] Forwarder disconnected, closing every call');
+        rooms.forEach(room => room.forEach(other => other.close()));
+        rooms.clear();
+    };
+
+    const httpServer = http.createServer(async (request, response) => {
+        const { pathname } = new URL(request.url, 'http://localhost');
+        if (pathname === '/') {
+            response.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+            response.end(FORWARDER_PAGE);
+        } else if (pathname === '/sfuForwarder.js') {
+            response.writeHead(200, { 'Content-Type': 'text/javascript; charset=utf-8' });
+            response.end(await readFile(FORWARDER_SCRIPT));
+        } else {
+            response.writeHead(404, { 'Content-Type': 'text/plain' });
+            response.end('Not found\n');
+        }
+    });
+
+    httpServer.on('upgrade', (request, socket) => {
+        if (new URL(request.url, 'http://localhost').pathname !== WS_PATH) {
+            socket.end('HTTP/1.1 404 Not Found\r\n\r\n');
+            return;
+        }
+        const connection = acceptUpgrade(request, socket);
+        if (!connection) return;
+
+        connections.add(connection);
+        connection.on('message', (data) => handleMessage(connection, data));
+        connection.on('close', () => handleClose(connection));
+    });
+
+    return new Promise((resolve, reject) => {
+        httpServer.once('error', reject);
+        httpServer.listen(port, () => {
+            resolve({
+                port: httpServer.address().port,
+                forwarderSecret,
+                close: () => new Promise((done) => {
+                    connections.forEach(connection => connection.close(1001));
+                    httpServer.close(() => done());
+                })
+            });
+        });
+    });
+};
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+    const port = Number(process.env.SFU_PORT) || 8091;
+    createSfuServer({ port, forwarderSecret: process.env.SFU_FORWARDER_SECRET || undefined }).then(({ port: actualPort, forwarderSecret }) => {
+        console.log(`🔀 SFU listening on ws://localhost:${actualPort}${WS_PATH}`);
+        console.log(`   Open http://localhost:${actualPort}/?secret=${forwarderSecret} in a browser to start the forwarder`);
+    });
+}
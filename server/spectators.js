@@ -0,0 +1,305 @@
+/**
+ * Spectators
+ * People who aren't playing watch a game on /topic/spectate/{gameId}.
+ *
+ * - Subscribing to the spectate topic joins, unsubscribing (or disconnecting) leaves. A
+ *   refused join gets SPECTATE_DENIED; new spectators get SPECTATE_SNAPSHOT
+ * - Game states reach spectators only after the game's delay, so they can't pass moves on
+ *   to a player (players don't get live events for a refereed game they aren't in either)
+ * - SPECTATOR_CHAT is the spectators' own chat; players never see it
+ * - Players send SPECTATE_SETTINGS to allow or deny spectating, change the delay or remove
+ *   a spectator. The spectator list goes to the players as SPECTATORS_UPDATE on the game topic
+ * - /topic/spectators lists every live game's spectator count, for invite bubbles
+ * - A finished game's room is dropped a while after spectators were shown GAME_END, and
+ *   onRoomClosed lets the server drop the game's channel and referee state with it
+ */
+
+import {
+    SPECTATOR_DELAYS_MS,
+    DEFAULT_SPECTATOR_DELAY_MS,
+    MAX_SPECTATORS,
+    MAX_SPECTATOR_CHAT_LENGTH
+} from '../src/shared/constants/gameConstants.js';
+import { SPECTATE_TOPIC_PREFIX, SPECTATORS_TOPIC } from '../src/shared/utils/stompFrames.js';
+
+const CHAT_HISTORY = 50;
+
+// How long a finished game stays around after spectators see its end (late joiners get the result)
+const FINISHED_ROOM_RETENTION_MS = 5 * 60 * 1000;
+
+export const SpectatorEventTypes = {
+    SPECTATE_SETTINGS: 'SPECTATE_SETTINGS',
+    SPECTATOR_CHAT: 'SPECTATOR_CHAT',
+    SPECTATORS_UPDATE: 'SPECTATORS_UPDATE',
+    SPECTATE_SNAPSHOT: 'SPECTATE_SNAPSHOT',
+    SPECTATE_DENIED: 'SPECTATE_DENIED',
+    SPECTATE_ENDED: 'SPECTATE_ENDED'
+};
+
+// Game events spectators get (late)
+const DELAYED_EVENTS = new Set(['GAME_STATE_UPDATE', 'GAME_END']);
+
+export class SpectatorHub {
+    /**
+     * @param {Object} options
+     * @param {Function} options.getPlayers - gameId => player IDs, or null for games the referee doesn't know
+     * @param {Function} options.getSessions - () => connected sessions
+     * @param {Function} options.onPlayerEvents - (gameId, events) to broadcast on the game topic
+     * @param {Function} options.onRoomClosed - gameId, once a finished game's room is dropped
+     */
+    constructor({ getPlayers, getSessions, onPlayerEvents, onRoomClosed = () => {} }) {
+        this.getPlayers = getPlayers;
+        this.getSessions = getSessions;
+        this.onPlayerEvents = onPlayerEvents;
+        this.onRoomClosed = onRoomClosed;
+        this.rooms = new Map(); // gameId -> room (see getRoom)
+        this.eventCounter = 0;
+    }
+
+    getRoom(gameId) {
+        if (!this.rooms.has(gameId)) {
+            this.rooms.set(gameId, {
+                settings: { allowed: true, delayMs: DEFAULT_SPECTATOR_DELAY_MS, removed: [] },
+                watchers: new Map(), // session -> subscription id
+                chat: [],
+                visible: null, // Latest game event spectators have been shown
+                live: false,
+                timers: new Set()
+            });
+        }
+        return this.rooms.get(gameId);
+    }
+
+    /**
+     * Whether the hub handles this client event (instead of broadcasting it)
+     */
+    handles(event) {
+        return event.type === SpectatorEventTypes.SPECTATE_SETTINGS || event.type === SpectatorEventTypes.SPECTATOR_CHAT;
+    }
+
+    handleEvent(gameId, event, session) {
+        if (event.type === SpectatorEventTypes.SPECTATE_SETTINGS) {
+            this.updateSettings(gameId, event.data || {}, session.userId);
+        } else {
+            this.chat(gameId, event.data || {}, session);
+        }
+    }
+
+    /**
+     * Whether a user gets a game's events live
+     * Players of a refereed game only; anyone for games the referee doesn't know
+     */
+    canWatchLive(gameId, userId) {
+        const players = this.getPlayers(gameId);
+        return !players || players.includes(userId);
+    }
+
+    /**
+     * Join as a spectator
+     */
+    subscribe(session, subscriptionId, gameId) {
+        const room = this.getRoom(gameId);
+        const reason = this.getDenyReason(gameId, room, session.userId);
+        if (reason) {
+            this.deliver(session, subscriptionId, gameId, SpectatorEventTypes.SPECTATE_DENIED, { gameId, reason });
+            return;
+        }
+
+        const isNewUser = !this.getSpectatorIds(room).includes(session.userId);
+        room.watchers.set(session, subscriptionId);
+        this.deliver(session, subscriptionId, gameId, SpectatorEventTypes.SPECTATE_SNAPSHOT, {
+            gameId,
+            gameState: room.visible?.data.gameState || null,
+            ended: room.visible?.type === 'GAME_END',
+            chat: room.chat,
+            ...this.describe(room)
+        });
+
+        if (isNewUser) {
+            console.log(`👀 [Spectators] ${session.userId} is watching game ${gameId}`);
+            this.announce(gameId, room);
+        }
+    }
+
+    getDenyReason(gameId, room, userId) {
+        if (this.getPlayers(gameId)?.includes(userId)) return "You're playing in this game";
+        if (!room.settings.allowed) return 'The players have turned off spectating';
+        if (room.settings.removed.includes(userId)) return 'The players removed you from this game';
+        if (this.getSpectatorIds(room).length >= MAX_SPECTATORS && !this.getSpectatorIds(room).includes(userId)) {
+            return 'This game has the most spectators it can take';
+        }
+        return null;
+    }
+
+    unsubscribe(session, gameId) {
+        const room = this.rooms.get(gameId);
+        if (!room?.watchers.delete(session)) return;
+        if (!this.getSpectatorIds(room).includes(session.userId)) {
+            this.announce(gameId, room);
+        }
+    }
+
+    /**
+     * Players' changes: { allowed, delayMs, remove: userId }
+     */
+    updateSettings(gameId, changes, userId) {
+        if (!this.getPlayers(gameId)?.includes(userId)) return;
+
+        const room = this.getRoom(gameId);
+        const { settings } = room;
+        if (typeof changes.allowed === 'boolean') settings.allowed = changes.allowed;
+        if (SPECTATOR_DELAYS_MS.includes(changes.delayMs)) settings.delayMs = changes.delayMs;
+        if (typeof changes.remove === 'string' && !settings.removed.includes(changes.remove)) {
+            settings.removed = [...settings.removed, changes.remove];
+        }
+
+        // Whoever may no longer watch is sent away
+        room.watchers.forEach((subscriptionId, session) => {
+            const reason = !settings.allowed
+                ? 'The players have turned off spectating'
+                : settings.removed.includes(session.userId) ? 'The players removed you from this game' : null;
+            if (!reason) return;
+            this.deliver(session, subscriptionId, gameId, SpectatorEventTypes.SPECTATE_ENDED, { gameId, reason });
+            room.watchers.delete(session);
+        });
+
+        console.log(`👀 [Spectators] ${userId} changed spectating in game ${gameId}:`, changes);
+        this.announce(gameId, room);
+    }
+
+    chat(gameId, { text, senderName }, session) {
+        const room = this.rooms.get(gameId);
+        if (!room?.watchers.has(session) || typeof text !== 'string' || !text.trim()) return;
+
+        const message = {
+            id: `spectator-chat:${++this.eventCounter}`,
+            senderId: session.userId,
+            senderName: typeof senderName === 'string' ? senderName.slice(0, 60) : null,
+            text: text.trim().slice(0, MAX_SPECTATOR_CHAT_LENGTH),
+            timestamp: new Date().toISOString()
+        };
+        room.chat = [...room.chat, message].slice(-CHAT_HISTORY);
+        this.sendToSpectators(gameId, room, SpectatorEventTypes.SPECTATOR_CHAT, { gameId, message });
+    }
+
+    /**
+     * Pass game topic events on to spectators once the game's delay is up
+     * @param {Array<Object>} entries - Events as logged on the game topic (with seq)
+     */
+    record(gameId, entries) {
+        entries.filter(entry => DELAYED_EVENTS.has(entry.type)).forEach((entry) => {
+            const room = this.getRoom(gameId);
+            if (!room.live && entry.type !== 'GAME_END') {
+                room.live = true;
+                this.publishCounts([this.getCount(gameId, room)]);
+            }
+
+            const show = () => {
+                room.timers.delete(timer);
+                // A shorter delay set mid-game can bring a later event forward
+                if (room.visible && room.visible.seq > entry.seq) return;
+                room.visible = entry;
+                this.sendToSpectators(gameId, room, entry.type, entry.data);
+
+                if (entry.type === 'GAME_END') {
+                    room.live = false;
+                    this.publishCounts([this.getCount(gameId, room)]);
+
+                    const cleanup = setTimeout(() => this.closeRoom(gameId, room), FINISHED_ROOM_RETENTION_MS);
+                    room.timers.add(cleanup);
+                }
+            };
+            const timer = setTimeout(show, room.settings.delayMs);
+            room.timers.add(timer);
+        });
+    }
+
+    /**
+     * Drop a finished game's room (unless something happened in it since it ended)
+     */
+    closeRoom(gameId, room) {
+        if (this.rooms.get(gameId) !== room || room.visible?.type !== 'GAME_END') return;
+
+        room.timers.forEach(clearTimeout);
+        this.rooms.delete(gameId);
+        console.log(`👀 [Spectators] Closed finished game ${gameId}`);
+        this.onRoomClosed(gameId);
+    }
+
+    /**
+     * Spectator list for the players, counts for everyone
+     */
+    announce(gameId, room) {
+        this.onPlayerEvents(gameId, [this.createEvent(SpectatorEventTypes.SPECTATORS_UPDATE, {
+            gameId,
+            ...this.describe(room)
+        })]);
+        this.sendToSpectators(gameId, room, SpectatorEventTypes.SPECTATORS_UPDATE, { gameId, ...this.describe(room) });
+        this.publishCounts([this.getCount(gameId, room)]);
+    }
+
+    describe(room) {
+        return {
+            spectators: this.getSpectatorIds(room),
+            settings: { allowed: room.settings.allowed, delayMs: room.settings.delayMs }
+        };
+    }
+
+    getSpectatorIds(room) {
+        return [...new Set(Array.from(room.watchers.keys(), session => session.userId))];
+    }
+
+    getCount(gameId, room) {
+        return { gameId, count: this.getSpectatorIds(room).length, allowed: room.settings.allowed, live: room.live };
+    }
+
+    /**
+     * Counts of every live game, for a new /topic/spectators subscriber
+     */
+    getCounts() {
+        return Array.from(this.rooms.entries())
+            .filter(([, room]) => room.live)
+            .map(([gameId, room]) => this.getCount(gameId, room));
+    }
+
+    publishCounts(counts) {
+        const body = JSON.stringify(counts);
+        this.getSessions().forEach((session) => {
+            session.subscriptions.forEach((destination, id) => {
+                if (destination !== SPECTATORS_TOPIC) return;
+                session.send('MESSAGE', {
+                    subscription: id,
+                    destination,
+                    'message-id': `spectators-${++this.eventCounter}`,
+                    'content-type': 'application/json'
+                }, body);
+            });
+        });
+    }
+
+    sendToSpectators(gameId, room, type, data) {
+        room.watchers.forEach((subscriptionId, session) => this.deliver(session, subscriptionId, gameId, type, data));
+    }
+
+    deliver(session, subscriptionId, gameId, type, data) {
+        session.deliver(subscriptionId, `${SPECTATE_TOPIC_PREFIX}${gameId}`, this.createEvent(type, data));
+    }
+
+    createEvent(type, data) {
+        return {
+            eventId: `spectators:${++this.eventCounter}`,
+            type,
+            data,
+            senderId: null,
+            gameId: data.gameId,
+            timestamp: new Date().toISOString()
+        };
+    }
+
+    /**
+     * Stop all timers
+     */
+    close() {
+        this.rooms.forEach(room => room.timers.forEach(clearTimeout));
+    }
+}
@@ -0,0 +1,154 @@
+/**
+ * Reference TURN credential endpoint
+ * Hands out short-lived TURN credentials using the TURN REST API scheme that coturn
+ * understands with `use-auth-secret` / `static-auth-secret`:
+ *
+ *   GET /turn-credentials?service=turn
+ *   Authorization: Bearer <Firebase ID token>
+ *   -> { username: '<expiry>:<uid>', password: base64(HMAC-SHA1(secret, username)), ttl, uris }
+ *
+ * The TURN server checks the HMAC with the same secret, so nothing is shared per user and
+ * credentials stop working on their own once they expire.
+ *
+ * Credentials are only minted for a signed-in user of the app: the caller's Firebase ID token
+ * is verified against Google's public keys and its uid becomes the username. Browsers may only
+ * call it from the app's origins (TURN_ALLOWED_ORIGINS), so the relay isn't open to the world.
+ *
+ * Usage: TURN_SECRET=... TURN_URLS=turn:turn.example.com:3478 FIREBASE_PROJECT_ID=...
+ *   TURN_ALLOWED_ORIGINS=https://app.example.com npm run turn-credentials
+ * (TURN_CREDENTIALS_PORT, default 8092; TURN_TTL in seconds, default 3600;
+ * TURN_ALLOWED_ORIGINS defaults to the Vite dev server, http://localhost:5173)
+ */
+
+import http from 'node:http';
+import { createHmac } from 'node:crypto';
+import { fileURLToPath } from 'node:url';
+import { AuthError, createCertificateCache, fetchFirebaseCertificates, verifyFirebaseIdToken } from './firebaseAuth.js';
+
+const PATH = '/turn-credentials';
+
+/**
+ * Credentials for one user
+ * @param {Object} options
+ * @param {string} options.secret - coturn's static-auth-secret
+ * @param {string} options.userId - Who they are for (only used in the username)
+ * @param {number} options.ttl - Seconds they stay valid
+ * @param {number} options.now - Current time in ms
+ * @returns {{username: string, password: string}}
+ */
+export const createTurnCredentials = ({ secret, userId, ttl, now = Date.now() }) => {
+    const expiry = Math.floor(now / 1000) + ttl;
+    const username = userId ? `${expiry}:${userId}` : String(expiry);
+    const password = createHmac('sha1', secret).update(username).digest('base64');
+    return { username, password };
+};
+
+/**
+ * Start the endpoint
+ * @param {Object} options
+ * @param {number} options.port - Port to listen on (0 picks a free one)
+ * @param {string} options.secret - coturn's static-auth-secret
+ * @param {string[]} options.uris - TURN server URLs handed to clients
+ * @param {number} options.ttl - Credential lifetime in seconds
+ * @param {string} options.projectId - Firebase project whose users may get credentials
+ * @param {string[]} options.allowedOrigins - Origins browsers may call it from
+ * @param {Function} options.fetchCertificates - Resolves to { certificates, maxAge } (Google's by default)
+ * @returns {Promise<{port: number, close: Function}>}
+ */
+export const createTurnCredentialServer = ({
+    port = 8092,
+    secret,
+    uris,
+    ttl = 3600,
+    projectId,
+    allowedOrigins = [],
+    fetchCertificates = fetchFirebaseCertificates
+}) => {
+    if (!secret) throw new Error('TURN_SECRET is required');
+    if (!projectId) throw new Error('FIREBASE_PROJECT_ID is required');
+
+    const getCertificates = createCertificateCache(fetchCertificates);
+
+    const httpServer = http.createServer(async (request, response) => {
+        const url = new URL(request.url, 'http://localhost');
+        const origin = request.headers.origin;
+        // The app calls this from another origin; only its own origins get CORS headers
+        const headers = {
+            'Cache-Control': 'no-store',
+            Vary: 'Origin',
+            ...(origin && allowedOrigins.includes(origin) && {
+                'Access-Control-Allow-Origin': origin,
+                'Access-Control-Allow-Headers': 'Authorization'
+            })
+        };
+        const reply = (status, body) => {
+            response.writeHead(status, { ...headers, 'Content-Type': 'application/json' });
+            response.end(JSON.stringify(body));
+        };
+
+        if (url.pathname !== PATH || !['GET', 'OPTIONS'].includes(request.method)) {
+            reply(404, { error: 'Not found' });
+            return;
+        }
+        if (origin && !allowedOrigins.includes(origin)) {
+            reply(403, { error: 'Origin not allowed' });
+            return;
+        }
+        if (request.method === 'OPTIONS') {
+            response.writeHead(204, headers);
+            response.end();
+            return;
+        }
+
+        const token = (request.headers.authorization || '').match(/^Bearer (.+)$/)?.[1];
+        if (!token) {
+            reply(401, { error: 'Sign in to get TURN credentials' });
+            return;
+        }
+
+        let userId;
+        try {
+            userId = await verifyFirebaseIdToken(token, { projectId, getCertificates });
+        } catch (error) {
+            if (error instanceof AuthError) {
+                reply(401, { error: error.message });
+            } else {
+                console.error('❌ [TURN] Could not verify ID token:', error);
+                reply(503, { error: 'Could not verify the ID token' });
+            }
+            return;
+        }
+
+        const credentials = createTurnCredentials({ secret, userId: userId.replace(/:/g, ''), ttl });
+        reply(200, { ...credentials, ttl, uris });
+    });
+
+    return new Promise((resolve, reject) => {
+        httpServer.once('error', reject);
+        httpServer.listen(port, () => {
+            resolve({
+                port: httpServer.address().port,
+                close: () => new Promise((done) => httpServer.close(() => done()))
+            });
+        });
+    });
+};
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+    const port = Number(process.env.TURN_CREDENTIALS_PORT) || 8092;
+    const uris = (process.env.TURN_URLS || 'turn:localhost:3478').split(',').map(uri => uri.trim()).filter(Boolean);
+    const ttl = Number(process.env.TURN_TTL) || 3600;
+    const allowedOrigins = (process.env.TURN_ALLOWED_ORIGINS || 'http://localhost:5173')
+        .split(',').map(origin => origin.trim()).filter(Boolean);
+
+    createTurnCredentialServer({
+        port,
+        secret: process.env.TURN_SECRET,
+        uris,
+        ttl,
+        projectId: process.env.FIREBASE_PROJECT_ID,
+        allowedOrigins
+    }).then(({ port: actualPort }) => {
+        console.log(`🔑 TURN credentials on http://localhost:${actualPort}${PATH} (valid ${ttl}s, for ${uris.join(', ')})`);
+    });
+}
@@ -0,0 +1,95 @@
+/**
+ * Local unfurl stub
+ * Stands in for the link preview proxy (VITE_LINK_PREVIEW_PROXY_URL) with canned pages, so
+ * link previews can be tried and checked without reaching other sites:
+ *
+ *   GET /unfurl?url=<encoded url>
+ *   -> the page body with its Content-Type, or 404 for URLs it has no page for
+ *
+ * The default pages cover each kind of preview: Open Graph tags, a page that needs its
+ * oEmbed endpoint for the rest, and a direct image link.
+ *
+ * Usage: npm run unfurl-stub (UNFURL_STUB_PORT, default 8787, which is also the app's default
+ * proxy URL). It only listens on localhost.
+ */
+
+import http from 'node:http';
+import { fileURLToPath } from 'node:url';
+
+const PATH = '/unfurl';
+
+export const STUB_PAGES = {
+    'https://stub.test/article': {
+        contentType: 'text/html; charset=utf-8',
+        body: `<!doctype html><html><head>
+            <title>Fallback title</title>
+            <meta property="og:title" content="A stubbed article">
+            <meta property="og:description" content="Served by the local unfurl stub.">
+            <meta property="og:image" content="/images/article.jpg">
+            <meta property="og:site_name" content="Stub News">
+        </head><body></body></html>`
+    },
+    'https://stub.test/video': {
+        contentType: 'text/html; charset=utf-8',
+        body: `<!doctype html><html><head>
+            <meta name="description" content="A video page with only oEmbed metadata.">
+            <link rel="alternate" type="application/json+oembed" href="https://stub.test/oembed?url=video">
+        </head><body></body></html>`
+    },
+    'https://stub.test/oembed?url=video': {
+        contentType: 'application/json',
+        body: JSON.stringify({
+            title: 'A stubbed video',
+            thumbnail_url: 'https://stub.test/images/video.jpg',
+            provider_name: 'Stub Video'
+        })
+    },
+    'https://stub.test/photo.png': {
+        contentType: 'image/png',
+        body: ''
+    }
+};
+
+/**
+ * Start the stub
+ * @param {Object} options
+ * @param {number} options.port - Port to listen on (0 picks a free one)
+ * @param {Object} options.pages - url => { contentType, body }
+ * @returns {Promise<{port: number, url: string, close: Function}>} `url` is the proxy URL to use
+ */
+export const createUnfurlStubServer = ({ port = 8787, pages = STUB_PAGES } = {}) => {
+    const httpServer = http.createServer((request, response) => {
+        const url = new URL(request.url, 'http://localhost');
+        // The app calls this from the dev server's origin
+        const headers = { 'Access-Control-Allow-Origin': '*', 'Cache-Control': 'no-store' };
+        const page = url.pathname === PATH ? pages[url.searchParams.get('url')] : null;
+
+        if (request.method !== 'GET' || !page) {
+            response.writeHead(404, { ...headers, 'Content-Type': 'text/plain' });
+            response.end('Not found\n');
+            return;
+        }
+
+        response.writeHead(200, { ...headers, 'Content-Type': page.contentType });
+        response.end(page.body);
+    });
+
+    return new Promise((resolve, reject) => {
+        httpServer.once('error', reject);
+        httpServer.listen(port, '127.0.0.1', () => {
+            const actualPort = httpServer.address().port;
+            resolve({
+                port: actualPort,
+                url: `http://127.0.0.1:${actualPort}${PATH}`,
+                close: () => new Promise((done) => httpServer.close(() => done()))
+            });
+        });
+    });
+};
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+    const port = Number(process.env.UNFURL_STUB_PORT) || 8787;
+    createUnfurlStubServer({ port }).then(({ url }) => {
+        console.log(`🔗 Unfurl stub on ${url} (${Object.keys(STUB_PAGES).length} pages)`);
+    });
+}
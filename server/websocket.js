@@ -0,0 +1,174 @@
+/**
+ * Minimal RFC 6455 WebSocket server connection (text frames only)
+ * Enough for the reference servers (games, SFU) without pulling in a dependency.
+ */
+
+import { createHash } from 'node:crypto';
+import { EventEmitter } from 'node:events';
+
+const HANDSHAKE_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const MAX_MESSAGE_BYTES = 1024 * 1024;
+
+const OPCODES = {
+    CONTINUATION: 0x0,
+    TEXT: 0x1,
+    BINARY: 0x2,
+    CLOSE: 0x8,
+    PING: 0x9,
+    PONG: 0xA
+};
+
+/**
+ * Build an unmasked server frame
+ */
+const encodeFrame = (opcode, payload = Buffer.alloc(0)) => {
+    const length = payload.length;
+    let header;
+    if (length < 126) {
+        header = Buffer.from([0x80 | opcode, length]);
+    } else if (length < 65536) {
+        header = Buffer.alloc(4);
+        header[0] = 0x80 | opcode;
+        header[1] = 126;
+        header.writeUInt16BE(length, 2);
+    } else {
+        header = Buffer.alloc(10);
+        header[0] = 0x80 | opcode;
+        header[1] = 127;
+        header.writeBigUInt64BE(BigInt(length), 2);
+    }
+    return Buffer.concat([header, payload]);
+};
+
+/**
+ * One upgraded connection
+ * Emits 'message' (string) and 'close'
+ */
+export class WebSocketConnection extends EventEmitter {
+    constructor(socket) {
+        super();
+        this.socket = socket;
+        this.buffer = Buffer.alloc(0);
+        this.fragments = [];
+        this.closed = false;
+
+        socket.on('data', (chunk) => this.handleData(chunk));
+        socket.on('close', () => this.handleClose());
+        socket.on('error', () => this.handleClose());
+    }
+
+    send(text) {
+        if (this.closed) return;
+        this.socket.write(encodeFrame(OPCODES.TEXT, Buffer.from(text, 'utf8')));
+    }
+
+    close(code = 1000) {
+        if (this.closed) return;
+        const payload = Buffer.alloc(2);
+        payload.writeUInt16BE(code, 0);
+        this.socket.write(encodeFrame(OPCODES.CLOSE, payload));
+        this.socket.end();
+        this.handleClose();
+    }
+
+    handleClose() {
+        if (this.closed) return;
+        this.closed = true;
+        this.socket.destroy();
+        this.emit('close');
+    }
+
+    handleData(chunk) {
+        this.buffer = Buffer.concat([this.buffer, chunk]);
+
+        while (this.buffer.length >= 2) {
+            const first = this.buffer[0];
+            const second = this.buffer[1];
+            const fin = (first & 0x80) !== 0;
+            const opcode = first & 0x0F;
+            const masked = (second & 0x80) !== 0;
+            let length = second & 0x7F;
+            let offset = 2;
+
+            if (length === 126) {
+                if (this.buffer.length < 4) return;
+                length = this.buffer.readUInt16BE(2);
+                offset = 4;
+            } else if (length === 127) {
+                if (this.buffer.length < 10) return;
+                length = Number(this.buffer.readBigUInt64BE(2));
+                offset = 10;
+            }
+
+            // Clients must mask their frames
+            if (!masked || length > MAX_MESSAGE_BYTES) {
+                this.close(1002);
+                return;
+            }
+            if (this.buffer.length < offset + 4 + length) return;
+
+            const mask = this.buffer.subarray(offset, offset + 4);
+            const payload = Buffer.from(this.buffer.subarray(offset + 4, offset + 4 + length));
+            for (let i = 0; i < payload.length; i++) payload[i] ^= mask[i % 4];
+            this.buffer = this.buffer.subarray(offset + 4 + length);
+
+            this.handleFrame(fin, opcode, payload);
+            if (this.closed) return;
+        }
+    }
+
+    handleFrame(fin, opcode, payload) {
+        switch (opcode) {
+            case OPCODES.TEXT:
+            case OPCODES.BINARY:
+            case OPCODES.CONTINUATION:
+                this.fragments.push(payload);
+                if (fin) {
+                    const message = Buffer.concat(this.fragments).toString('utf8');
+                    this.fragments = [];
+                    this.emit('message', message);
+                }
+                break;
+            case OPCODES.PING:
+                this.socket.write(encodeFrame(OPCODES.PONG, payload));
+                break;
+            case OPCODES.CLOSE:
+                this.close();
+                break;
+            default:
+                break;
+        }
+    }
+}
+
+/**
+ * Complete the upgrade handshake for an HTTP 'upgrade' request
+ * @param {http.IncomingMessage} request
+ * @param {net.Socket} socket
+ * @param {string} protocol - Subprotocol to accept if the client offers it
+ * @returns {WebSocketConnection|null}
+ */
+export const acceptUpgrade = (request, socket, protocol) => {
+    const key = request.headers['sec-websocket-key'];
+    if (request.headers.upgrade?.toLowerCase() !== 'websocket' || !key) {
+        socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+        return null;
+    }
+
+    const offered = (request.headers['sec-websocket-protocol'] || '')
+        .split(',')
+        .map(value => value.trim());
+    const accept = createHash('sha1').update(key + HANDSHAKE_GUID).digest('base64');
+
+    const lines = [
+        'HTTP/1.1 101 Switching Protocols',
+        'Upgrade: websocket',
+        'Connection: Upgrade',
+        `Sec-WebSocket-Accept: ${accept}`
+    ];
+    if (offered.includes(protocol)) lines.push(`Sec-WebSocket-Protocol: ${protocol}`);
+
+    socket.write(`${lines.join('\r\n')}\r\n\r\n`);
+    socket.setNoDelay(true);
+    return new WebSocketConnection(socket);
+};
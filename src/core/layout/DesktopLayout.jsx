@@ -11,6 +11,7 @@ import SettingsTab from '../../features/settings/components/SettingsTab';
 import NewChat from '../../features/chat/components/NewChat';
 import GroupInfo from '../../features/chat/components/GroupInfo';
 import ArchivedChats from '../../features/chat/components/ArchivedChats';
+import GlobalSearch from '../../features/chat/components/GlobalSearch';
 import UserProfile from '../../features/users/components/UserProfile';
 const PrivacySettings = lazy(() => import('../../features/settings/components/PrivacySettings'));
 const LastSeenPrivacy = lazy(() => import('../../features/settings/components/privacy/LastSeenPrivacy'));
@@ -55,6 +56,7 @@ const DesktopLayout = () => {
         location.pathname.startsWith('/calls') ||
         location.pathname.startsWith('/new-chat') ||
         location.pathname.startsWith('/archived') ||
+        location.pathname.startsWith('/search') ||
         location.pathname === '/status' ||
         location.pathname === '/updates' ||
         location.pathname.startsWith('/status/privacy');
@@ -159,6 +161,7 @@ const DesktopLayout = () => {
                                 <Route path="/settings" element={<SettingsTab />} />
                                 <Route path="/new-chat" element={<NewChat />} />
                                 <Route path="/archived" element={<ArchivedChats />} />
+                                <Route path="/search" element={<GlobalSearch />} />
 
                                 {/* On mobile: show chat window in sidebar area (effectively full screen). 
                         On desktop: show ChatList in sidebar while right side handles content. */}
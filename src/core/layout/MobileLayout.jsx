@@ -13,6 +13,7 @@ const SettingsTab = lazy(() => import('../../features/settings/components/Settin
 const NewChat = lazy(() => import('../../features/chat/components/NewChat'));
 const GroupInfo = lazy(() => import('../../features/chat/components/GroupInfo'));
 const ArchivedChats = lazy(() => import('../../features/chat/components/ArchivedChats'));
+const GlobalSearch = lazy(() => import('../../features/chat/components/GlobalSearch'));
 const UserProfile = lazy(() => import('../../features/users/components/UserProfile'));
 const PrivacySettings = lazy(() => import('../../features/settings/components/PrivacySettings'));
 const LastSeenPrivacy = lazy(() => import('../../features/settings/components/privacy/LastSeenPrivacy'));
@@ -62,6 +63,7 @@ const MobileLayout = () => {
     const isChannelOpen = location.pathname.includes('/channels/');
     const isSubPage = location.pathname === '/new-chat' || 
                       location.pathname === '/archived' || 
+                      location.pathname === '/search' ||
                       location.pathname === '/status/privacy' ||
         location.pathname.includes('/profile/') ||
         location.pathname.includes('/starred') ||
@@ -105,6 +107,7 @@ const MobileLayout = () => {
                         <Route path="/new-chat" element={<NewChat />} />
                         <Route path="/join/:linkId" element={<JoinGroupPage />} />
                         <Route path="/archived" element={<ArchivedChats />} />
+                        <Route path="/search" element={<GlobalSearch />} />
                         <Route path="/status/privacy" element={<StatusPrivacySettings />} />
                         <Route path="/profile/:userId" element={<UserProfile />} />
                         <Route path="/privacy" element={<PrivacySettings />} />
@@ -13,6 +13,7 @@ const SettingsTab = lazy(() => import('../../features/settings/components/Settin
 const NewChat = lazy(() => import('../../features/chat/components/NewChat'));
 const GroupInfo = lazy(() => import('../../features/chat/components/GroupInfo'));
 const ArchivedChats = lazy(() => import('../../features/chat/components/ArchivedChats'));
+const GlobalSearch = lazy(() => import('../../features/chat/components/GlobalSearch'));
 const UserProfile = lazy(() => import('../../features/users/components/UserProfile'));
 const PrivacySettings = lazy(() => import('../../features/settings/components/PrivacySettings'));
 const LastSeenPrivacy = lazy(() => import('../../features/settings/components/privacy/LastSeenPrivacy'));
@@ -68,6 +69,7 @@ const TabletLayout = () => {
         location.pathname.startsWith('/calls') ||
         location.pathname.startsWith('/new-chat') ||
         location.pathname.startsWith('/archived') ||
+        location.pathname.startsWith('/search') ||
         location.pathname === '/status' ||
         location.pathname === '/updates' ||
         location.pathname.startsWith('/status/privacy');
@@ -163,6 +165,7 @@ const TabletLayout = () => {
                                 <Route path="/settings" element={<SettingsTab />} />
                                 <Route path="/new-chat" element={<NewChat />} />
                                 <Route path="/archived" element={<ArchivedChats />} />
+                                <Route path="/search" element={<GlobalSearch />} />
 
                                 {/* On tablet: show ChatList in sidebar while right side handles chat window */}
                                 <Route path="/chat/:chatId" element={<ChatList />} />
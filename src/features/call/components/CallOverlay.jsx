@@ -1,16 +1,21 @@
 
 import React, { useState, useEffect, useRef } from 'react';
 import { createPortal } from 'react-dom';
-import { Phone, Video, Mic, MicOff, VideoOff, Maximize2, Minimize2, PhoneOff, User as UserIcon, X, Smile, Monitor, PictureInPicture } from 'lucide-react';
+import { Phone, Video, Mic, MicOff, VideoOff, Maximize2, Minimize2, PhoneOff, User as UserIcon, X, Smile, Monitor, PictureInPicture, CircleDot, Captions, Languages } from 'lucide-react';
 import { useCall } from '../context/CallContext';
 import { useApp } from '../../../shared/context/AppContext';
 import { useAvatarMode } from '../hooks/useAvatarMode';
 import IncomingCallNotification from './IncomingCallNotification';
+import ParticipantGrid from './ParticipantGrid';
+import CallQualityIndicator from './CallQualityIndicator';
+import CaptionsOverlay from './CaptionsOverlay';
+import RecordingConsentNotification from '../../../shared/components/notifications/RecordingConsentNotification';
 
 const CallOverlay = () => {
-    const { activeCall, incomingCall, localStream, remoteStream, isScreenSharing, isPiPMode, endCall, minimizeCall, maximizeCall, toggleMute, toggleVideo, startScreenShare, stopScreenShare, enterPiP } = useCall();
-    const { users } = useApp();
+    const { activeCall, incomingCall, localStream, remoteStream, isScreenSharing, isPiPMode, callQuality, participants, dominantSpeaker, isRecording, recordingState, canRequestRecording, captionsEnabled, captions, translateCaptions, setParticipantLayer, endCall, minimizeCall, maximizeCall, toggleMute, toggleVideo, startScreenShare, stopScreenShare, enterPiP, requestRecording, respondToRecording, stopRecording, toggleCaptions, toggleCaptionTranslation } = useCall();
+    const { users, currentUser } = useApp();
     const [duration, setDuration] = useState(0);
+    const [dismissedRecordingNotice, setDismissedRecordingNotice] = useState(null);
 
     // Avatar Mode Hook
     const { isAvatarMode, toggleAvatarMode, canvasRef, videoRef, isLoading, avatarStream } = useAvatarMode();
@@ -181,18 +186,59 @@ const CallOverlay = () => {
         return `${mins}:${secs.toString().padStart(2, '0')}`;
     };
 
+    const isReconnecting = activeCall.status === 'reconnecting';
+    const showQuality = !activeCall.isGroupCall && (activeCall.status === 'connected' || isReconnecting);
+
     const getStatusText = () => {
         switch (activeCall.status) {
             case 'ringing': return 'Ringing...';
             case 'connected': return formatTime(duration);
+            case 'reconnecting': return 'Reconnecting...';
+            case 'failed': return 'Connection Lost';
             case 'ended': return 'Call Ended';
             default: return 'Connecting...';
         }
     };
 
+    // Recording consent: answer requests, follow ours, and see when the call is recorded
+    const getRecordingNoticeMode = () => {
+        const isOurs = recordingState?.requestedBy === currentUser?.id;
+        switch (recordingState?.status) {
+            case 'recording': return 'recording';
+            case 'pending':
+                if (isOurs || recordingState.consents?.[currentUser?.id] === true) return 'waiting';
+                return recordingState.consents?.[currentUser?.id] === undefined ? 'request' : null;
+            case 'declined':
+            case 'expired':
+            case 'failed':
+                return isOurs ? 'declined' : null;
+            default: return null;
+        }
+    };
+    const recordingNoticeMode = getRecordingNoticeMode();
+    const recordingNoticeKey = recordingState && `${recordingState.requestedAt}:${recordingState.status}`;
+    const isRecordingRequester = recordingState?.requestedBy === currentUser?.id;
+
+    const withRecordingNotice = (view) => (
+        <>
+            {view}
+            <RecordingConsentNotification
+                isVisible={Boolean(recordingNoticeMode) && dismissedRecordingNotice !== recordingNoticeKey}
+                mode={recordingNoticeMode}
+                requesterName={users[recordingState?.requestedBy]?.name}
+                includesVideo={Boolean(recordingState?.video)}
+                onAccept={() => respondToRecording(true)}
+                onDecline={recordingNoticeMode === 'request'
+                    ? () => respondToRecording(false)
+                    : isRecordingRequester ? stopRecording : undefined}
+                onDismiss={recordingNoticeMode === 'request' ? undefined : () => setDismissedRecordingNotice(recordingNoticeKey)}
+            />
+        </>
+    );
+
     // --- MINIMIZED VIEW ---
     if (activeCall.isMinimized) {
-        return createPortal(
+        return withRecordingNotice(createPortal(
             <div
                 ref={overlayRef}
                 onMouseDown={handleMouseDown}
@@ -234,7 +280,8 @@ const CallOverlay = () => {
                     {/* Overlay Info */}
                     <div className="absolute inset-0 bg-black/30 flex flex-col justify-between p-2">
                         <div className="flex justify-between items-start">
-                            <div className="w-2 h-2 bg-green-500 rounded-full animate-pulse"></div>
+                            <div className={`w-2 h-2 rounded-full animate-pulse ${isReconnecting ? 'bg-amber-400' : 'bg-green-500'}`}></div>
+                            {showQuality && <CallQualityIndicator bars={callQuality?.bars} size="sm" className="mr-6" />}
                         </div>
                         <div className="text-white">
                             <h4 className="text-xs font-medium truncate">{contact?.name}</h4>
@@ -255,11 +302,11 @@ const CallOverlay = () => {
                 </div>
             </div>,
             document.body
-        );
+        ));
     }
 
     // --- FULL SCREEN VIEW ---
-    return createPortal(
+    return withRecordingNotice(createPortal(
         <div className="fixed inset-0 z-[100] bg-gray-900 flex flex-col animate-in fade-in duration-300">
             {/* Hidden Video/Canvas for Tracking */}
             <video ref={videoRef} className="hidden" playsInline muted autoPlay />
@@ -267,7 +314,17 @@ const CallOverlay = () => {
 
             {/* Background / Video Feed */}
             <div className="flex-1 relative overflow-hidden flex flex-col items-center justify-center">
-                {activeCall.type === 'video' && activeCall.isVideoEnabled ? (
+                {activeCall.isGroupCall ? (
+                    <ParticipantGrid
+                        participants={participants}
+                        localStream={localStream}
+                        currentUserId={currentUser?.id}
+                        users={users}
+                        dominantSpeakerId={dominantSpeaker}
+                        onLayerChange={setParticipantLayer}
+                        captions={captions}
+                    />
+                ) : activeCall.type === 'video' && activeCall.isVideoEnabled ? (
                     <>
                         {/* Remote Video Stream */}
                         {remoteStream ? (
@@ -336,11 +393,24 @@ const CallOverlay = () => {
                 {/* Call Info (Top Center) */}
                 <div className="relative z-10 flex flex-col items-center mt-10 md:mt-0">
                     <h2 className="text-2xl font-semibold text-white mb-2 drop-shadow-md">{contact?.name}</h2>
-                    <p className="text-gray-300 text-sm font-medium bg-black/20 px-3 py-1 rounded-full backdrop-blur-sm">
-                        {getStatusText()}
-                    </p>
+                    <div className={`flex items-center gap-2 text-sm font-medium px-3 py-1 rounded-full backdrop-blur-sm ${
+                        isReconnecting ? 'text-amber-200 bg-amber-500/30 animate-pulse' : 'text-gray-300 bg-black/20'
+                    }`}>
+                        {showQuality && <CallQualityIndicator bars={callQuality?.bars} sample={callQuality} />}
+                        <span>{getStatusText()}</span>
+                    </div>
                 </div>
 
+                {/* Live Captions (group calls show them on each tile) */}
+                {!activeCall.isGroupCall && (
+                    <CaptionsOverlay
+                        captions={captions}
+                        users={users}
+                        currentUserId={currentUser?.id}
+                        className="absolute bottom-4 left-4 right-4 z-20"
+                    />
+                )}
+
                 {/* Encrypted Label */}
                 <div className="absolute top-12 md:top-6 flex items-center gap-1.5 text-[10px] text-gray-400 font-medium">
                     <span className="w-2 h-2 rounded-full bg-gray-500"></span>
@@ -418,6 +488,42 @@ const CallOverlay = () => {
                         </button>
                     )}
 
+                    {/* Captions Button (on for everyone), and translating them when on */}
+                    <button
+                        onClick={toggleCaptions}
+                        className={`p-4 rounded-full transition-all ${captionsEnabled ? 'bg-white text-gray-900' : 'bg-white/10 text-gray-400 hover:text-white'}`}
+                        disabled={activeCall.status === 'ended'}
+                        title={captionsEnabled ? 'Turn Off Captions' : 'Turn On Captions'}
+                    >
+                        <Captions size={24} />
+                    </button>
+
+                    {captionsEnabled && (
+                        <button
+                            onClick={toggleCaptionTranslation}
+                            className={`p-4 rounded-full transition-all ${translateCaptions ? 'bg-blue-600 text-white' : 'bg-white/10 text-gray-400 hover:text-white'}`}
+                            disabled={activeCall.status === 'ended'}
+                            title={translateCaptions ? 'Show Original Captions' : 'Translate Captions'}
+                        >
+                            <Languages size={24} />
+                        </button>
+                    )}
+
+                    {/* Record Button (everyone has to agree first) */}
+                    {(canRequestRecording || isRecording) && (
+                        <button
+                            onClick={isRecording ? stopRecording : () => requestRecording()}
+                            className={`p-4 rounded-full transition-all ${isRecording
+                                    ? 'bg-red-600 text-white shadow-[0_0_15px_rgba(220,38,38,0.5)]'
+                                    : 'bg-white/10 text-gray-400 hover:text-white'
+                                }`}
+                            disabled={activeCall.status === 'ended'}
+                            title={isRecording ? 'Stop Recording' : 'Record Call'}
+                        >
+                            <CircleDot size={24} className={isRecording ? 'animate-pulse' : ''} />
+                        </button>
+                    )}
+
                     <button
                         onClick={endCall}
                         className="p-5 bg-red-500 hover:bg-red-600 text-white rounded-full shadow-lg transform hover:scale-105 transition-all"
@@ -429,7 +535,7 @@ const CallOverlay = () => {
             </div>
         </div>,
         document.body
-    );
+    ));
 };
 
 // Helper component to display MediaStream
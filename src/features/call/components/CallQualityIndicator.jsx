@@ -0,0 +1,47 @@
+import React from 'react';
+import { getQualityLabel } from '../../../shared/utils/callQuality';
+
+const BAR_COLORS = {
+    4: 'bg-green-500',
+    3: 'bg-green-500',
+    2: 'bg-amber-400',
+    1: 'bg-red-500'
+};
+
+const BAR_HEIGHTS = {
+    sm: ['h-1', 'h-1.5', 'h-2', 'h-2.5'],
+    md: ['h-2', 'h-3', 'h-4', 'h-5']
+};
+
+/**
+ * Call Quality Indicator
+ * Signal bars for a call's quality (0 bars: not measured yet)
+ */
+const CallQualityIndicator = ({ bars = 0, sample = null, size = 'md', className = '' }) => {
+    const details = sample
+        ? [
+            sample.rtt != null && `${sample.rtt} ms`,
+            sample.packetLoss != null && `${sample.packetLoss}% loss`,
+            sample.jitter != null && `${sample.jitter} ms jitter`,
+            sample.frameRate != null && `${sample.frameRate} fps`
+        ].filter(Boolean).join(' · ')
+        : '';
+    const title = bars > 0
+        ? `${getQualityLabel(bars)} connection${details ? ` (${details})` : ''}`
+        : 'Measuring connection…';
+
+    return (
+        <div className={`flex items-end gap-0.5 ${className}`} title={title} aria-label={title}>
+            {BAR_HEIGHTS[size].map((height, index) => (
+                <div
+                    key={height}
+                    className={`${size === 'sm' ? 'w-0.5' : 'w-1'} ${height} rounded-full ${
+                        index < bars ? BAR_COLORS[bars] : 'bg-gray-500/50'
+                    }`}
+                />
+            ))}
+        </div>
+    );
+};
+
+export default CallQualityIndicator;
@@ -1,9 +1,9 @@
 /**
  * Enhanced Calls Tab Component
- * Displays call history with missed call indicators, recording playback, and actions
+ * Displays call history with missed call indicators, recording playback, transcripts, call quality, and actions
  */
 
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { Phone, Video, ArrowUpRight, ArrowDownLeft, Link, ArrowLeft, PhoneMissed, Trash2, Filter } from 'lucide-react';
 import { useApp } from '../../../shared/context/AppContext';
@@ -11,17 +11,30 @@ import { useCall } from '../context/CallContext';
 import { useCalls } from '../../../shared/hooks/data/useCalls';
 import { formatTimestamp } from '../../../shared/utils/formatTime';
 import CallRecordingPlayer from '../../../shared/components/media/CallRecordingPlayer';
+import CallTranscript from '../../../shared/components/media/CallTranscript';
 import CallBadge from '../../../shared/components/notifications/CallBadge';
 import callFirebaseService from '../../../services/firebase/CallFirebaseService';
+import callRecordingService from '../../../services/CallRecordingService';
+import captionService from '../../../services/CaptionService';
+import CallQualityIndicator from './CallQualityIndicator';
+import { getQualityLabel } from '../../../shared/utils/callQuality';
 
 const CallsTab = () => {
     const navigate = useNavigate();
     const { users, searchQuery, currentUser } = useApp();
     const { startCall } = useCall();
-    const { calls, loading } = useCalls(currentUser?.id);
+    const { calls, loading, fetchCalls } = useCalls(currentUser?.id);
 
     const [filter, setFilter] = useState('all'); // all, missed, audio, video
     const [expandedRecording, setExpandedRecording] = useState(null);
+    const [recordings, setRecordings] = useState({}); // call id -> loaded recording, null if unavailable
+    const [expandedTranscript, setExpandedTranscript] = useState(null);
+    const [transcripts, setTranscripts] = useState({}); // call id -> transcript lines, null if unavailable
+    const [expandedQuality, setExpandedQuality] = useState(null);
+
+    useEffect(() => {
+        fetchCalls().catch(error => console.error('Failed to load call history:', error));
+    }, [fetchCalls]);
 
     const handleCallClick = (contactId, type) => {
         startCall(contactId, type);
@@ -34,9 +47,39 @@ const CallsTab = () => {
         }
     };
 
-    const toggleRecording = (e, callId) => {
+    const toggleRecording = (e, call) => {
+        e.stopPropagation();
+        setExpandedRecording(expandedRecording === call.id ? null : call.id);
+
+        // Recordings of answered calls are loaded the first time they are opened, with their transcript
+        if (call.recordingId && !(call.id in recordings)) {
+            callRecordingService.getRecording(call.recordingId).then((recording) => {
+                setRecordings(prev => ({ ...prev, [call.id]: recording }));
+            });
+        }
+        loadTranscript(call);
+    };
+
+    const toggleTranscript = (e, call) => {
+        e.stopPropagation();
+        setExpandedTranscript(expandedTranscript === call.id ? null : call.id);
+        loadTranscript(call);
+    };
+
+    const loadTranscript = (call) => {
+        if (!call.transcriptId || call.id in transcripts) return;
+        captionService.getTranscript(call.transcriptId).then((transcript) => {
+            setTranscripts(prev => ({ ...prev, [call.id]: transcript }));
+        });
+    };
+
+    const getSpeakerName = (speakerId) => (
+        speakerId === currentUser?.id ? 'You' : users[speakerId]?.name || speakerId
+    );
+
+    const toggleQuality = (e, callId) => {
         e.stopPropagation();
-        setExpandedRecording(expandedRecording === callId ? null : callId);
+        setExpandedQuality(expandedQuality === callId ? null : callId);
     };
 
     // Filter calls based on search and filter type
@@ -135,7 +178,10 @@ const CallsTab = () => {
                     if (!user) return null;
 
                     const isMissed = call.status === 'missed';
-                    const hasRecording = call.recordingUrl;
+                    const hasRecording = call.recordingUrl || call.recordingId;
+                    const recording = call.recordingUrl
+                        ? { url: call.recordingUrl, duration: call.recordingDuration, hasVideo: false }
+                        : recordings[call.id];
 
                     return (
                         <div key={call.id} className="border-b border-wa-border dark:border-wa-dark-border last:border-b-0">
@@ -167,12 +213,29 @@ const CallsTab = () => {
                                         </div>
                                         {hasRecording && (
                                             <button
-                                                onClick={(e) => toggleRecording(e, call.id)}
+                                                onClick={(e) => toggleRecording(e, call)}
                                                 className="text-xs text-wa-teal hover:underline mt-1"
                                             >
                                                 {expandedRecording === call.id ? 'Hide' : 'View'} Recording
                                             </button>
                                         )}
+                                        {call.transcriptId && !hasRecording && (
+                                            <button
+                                                onClick={(e) => toggleTranscript(e, call)}
+                                                className="block text-xs text-wa-teal hover:underline mt-1"
+                                            >
+                                                {expandedTranscript === call.id ? 'Hide' : 'View'} Transcript
+                                            </button>
+                                        )}
+                                        {call.quality && (
+                                            <button
+                                                onClick={(e) => toggleQuality(e, call.id)}
+                                                className="flex items-center gap-1.5 text-xs text-[#667781] dark:text-gray-500 hover:underline mt-1"
+                                            >
+                                                <CallQualityIndicator bars={call.quality.bars} size="sm" />
+                                                {getQualityLabel(call.quality.bars)} quality
+                                            </button>
+                                        )}
                                     </div>
                                     <div className="flex items-center gap-2">
                                         <div className="text-wa-teal dark:text-wa-teal p-2 rounded-full hover:bg-gray-100 dark:hover:bg-white/10 transition-colors">
@@ -189,15 +252,57 @@ const CallsTab = () => {
                                 </div>
                             </div>
 
+                            {/* Call Quality Summary (Expandable) */}
+                            {call.quality && expandedQuality === call.id && (
+                                <div className="px-4 pb-4 grid grid-cols-2 sm:grid-cols-4 gap-2 text-center">
+                                    {[
+                                        ['Round trip', call.quality.rtt != null && `${call.quality.rtt} ms`, call.quality.maxRtt != null && `max ${call.quality.maxRtt} ms`],
+                                        ['Jitter', call.quality.jitter != null && `${call.quality.jitter} ms`],
+                                        ['Packet loss', call.quality.packetLoss != null && `${call.quality.packetLoss}%`],
+                                        ['Frame rate', call.quality.frameRate != null && `${call.quality.frameRate} fps`]
+                                    ].map(([label, value, note]) => (
+                                        <div key={label} className="rounded-lg bg-gray-50 dark:bg-gray-800/50 px-2 py-2">
+                                            <div className="text-[11px] text-[#667781] dark:text-gray-500">{label}</div>
+                                            <div className="text-sm font-medium text-[#111b21] dark:text-gray-100">{value || '—'}</div>
+                                            {note && <div className="text-[10px] text-[#667781] dark:text-gray-500">{note}</div>}
+                                        </div>
+                                    ))}
+                                </div>
+                            )}
+
                             {/* Recording Player (Expandable) */}
                             {hasRecording && expandedRecording === call.id && (
                                 <div className="px-4 pb-4 bg-gray-50 dark:bg-gray-800/50">
-                                    <CallRecordingPlayer
-                                        recordingUrl={call.recordingUrl}
-                                        duration={call.recordingDuration}
-                                        participants={[user.name]}
-                                        timestamp={call.timestamp?.toMillis ? call.timestamp.toMillis() : call.timestamp}
-                                    />
+                                    {recording?.url ? (
+                                        <CallRecordingPlayer
+                                            recordingUrl={recording.url}
+                                            duration={recording.duration}
+                                            isVideo={recording.hasVideo}
+                                            title={isMissed ? 'Missed Call Recording' : 'Call Recording'}
+                                            participants={[user.name]}
+                                            timestamp={call.timestamp?.toMillis ? call.timestamp.toMillis() : call.timestamp}
+                                            transcript={transcripts[call.id] || null}
+                                            recordingStartedAt={recording.startedAt}
+                                            getSpeakerName={getSpeakerName}
+                                        />
+                                    ) : (
+                                        <p className="py-3 text-center text-xs text-[#667781] dark:text-gray-500">
+                                            {recording === null ? 'This recording is no longer available' : 'Loading recording…'}
+                                        </p>
+                                    )}
+                                </div>
+                            )}
+
+                            {/* Transcript (Expandable, calls with captions but no recording) */}
+                            {call.transcriptId && !hasRecording && expandedTranscript === call.id && (
+                                <div className="px-4 pb-4 bg-gray-50 dark:bg-gray-800/50">
+                                    {transcripts[call.id] ? (
+                                        <CallTranscript segments={transcripts[call.id]} getSpeakerName={getSpeakerName} />
+                                    ) : (
+                                        <p className="py-3 text-center text-xs text-[#667781] dark:text-gray-500">
+                                            {transcripts[call.id] === null ? 'This transcript is no longer available' : 'Loading transcript…'}
+                                        </p>
+                                    )}
                                 </div>
                             )}
                         </div>
@@ -0,0 +1,40 @@
+import React from 'react';
+
+/**
+ * One speaker's caption: the translation when there is one, with what they said under it
+ */
+export const CaptionLine = ({ caption, speakerName = null, className = '' }) => (
+    <div className={`rounded-lg bg-black/70 px-3 py-1.5 text-white backdrop-blur-sm ${className}`}>
+        <p className={`text-sm leading-snug ${caption.isFinal ? '' : 'text-white/80'}`}>
+            {speakerName && <span className="font-semibold text-wa-lightGreen">{speakerName}: </span>}
+            {caption.translatedText || caption.text}
+        </p>
+        {caption.translatedText && caption.translatedText !== caption.text && (
+            <p className="text-[11px] text-white/60 leading-snug">{caption.text}</p>
+        )}
+    </div>
+);
+
+/**
+ * Captions Overlay
+ * Live captions of a 1:1 call, one line per speaker (group calls show them on each tile)
+ */
+const CaptionsOverlay = ({ captions = {}, users = {}, currentUserId, className = '' }) => {
+    const lines = Object.entries(captions).sort(([, a], [, b]) => a.startedAt - b.startedAt);
+    if (lines.length === 0) return null;
+
+    return (
+        <div className={`flex flex-col items-center gap-1.5 pointer-events-none ${className}`} aria-live="polite">
+            {lines.map(([speakerId, caption]) => (
+                <CaptionLine
+                    key={speakerId}
+                    caption={caption}
+                    speakerName={speakerId === currentUserId ? 'You' : users[speakerId]?.name || speakerId}
+                    className="max-w-xl text-center"
+                />
+            ))}
+        </div>
+    );
+};
+
+export default CaptionsOverlay;
@@ -1,17 +1,23 @@
 import React, { useRef, useEffect } from 'react';
 import { User as UserIcon, Mic, MicOff } from 'lucide-react';
+import { getLayerForTile } from '../../../shared/utils/simulcast';
+import { CaptionLine } from './CaptionsOverlay';
 
 /**
  * Participant Grid Component
  * Displays video streams for all participants in a grid layout
  * Responsive: 1x1, 2x2, or 3x3 grids based on participant count
+ * onLayerChange(participantId, layer) asks for the simulcast layer that fits each tile
+ * captions (participantId -> line) shows each participant's live caption on their tile
  */
 const ParticipantGrid = ({ 
     participants = [], 
     localStream = null, 
     currentUserId,
     users = {},
-    dominantSpeakerId = null 
+    dominantSpeakerId = null,
+    onLayerChange = null,
+    captions = {}
 }) => {
     const getGridClass = (count) => {
         if (count <= 1) return 'grid-cols-1';
@@ -32,6 +38,7 @@ const ParticipantGrid = ({
                         user={users[currentUserId]}
                         isLocal={true}
                         isDominant={dominantSpeakerId === currentUserId}
+                        caption={captions[currentUserId]}
                     />
                 )}
 
@@ -45,6 +52,8 @@ const ParticipantGrid = ({
                         isLocal={false}
                         isDominant={dominantSpeakerId === participant.id}
                         isMuted={participant.isMuted}
+                        onLayerChange={onLayerChange}
+                        caption={captions[participant.id]}
                     />
                 ))}
             </div>
@@ -61,9 +70,13 @@ const ParticipantTile = ({
     user, 
     isLocal, 
     isDominant,
-    isMuted = false 
+    isMuted = false,
+    onLayerChange = null,
+    caption = null
 }) => {
     const videoRef = useRef(null);
+    const tileRef = useRef(null);
+    const layerRef = useRef(null);
 
     useEffect(() => {
         if (videoRef.current && stream) {
@@ -71,10 +84,28 @@ const ParticipantTile = ({
         }
     }, [stream]);
 
+    // Ask for a new simulcast layer only when the tile's size crosses into another one
+    useEffect(() => {
+        const tile = tileRef.current;
+        if (isLocal || !onLayerChange || !tile || typeof ResizeObserver === 'undefined') return;
+
+        const observer = new ResizeObserver(([entry]) => {
+            const layer = getLayerForTile(entry.contentRect, window.devicePixelRatio || 1);
+            if (layer !== layerRef.current) {
+                layerRef.current = layer;
+                onLayerChange(userId, layer);
+            }
+        });
+        observer.observe(tile);
+
+        return () => observer.disconnect();
+    }, [isLocal, onLayerChange, userId]);
+
     const hasVideo = stream && stream.getVideoTracks().length > 0 && stream.getVideoTracks()[0].enabled;
 
     return (
         <div 
+            ref={tileRef}
             className={`relative bg-gray-800 rounded-lg overflow-hidden transition-all ${
                 isDominant ? 'ring-4 ring-green-500 shadow-lg shadow-green-500/50' : ''
             }`}
@@ -105,6 +136,13 @@ const ParticipantTile = ({
                 </div>
             )}
 
+            {/* Live Caption */}
+            {caption && (
+                <div className="absolute bottom-12 left-2 right-2 flex justify-center pointer-events-none">
+                    <CaptionLine caption={caption} className="max-w-full" />
+                </div>
+            )}
+
             {/* User Info Overlay */}
             <div className="absolute bottom-0 left-0 right-0 bg-gradient-to-t from-black/70 to-transparent p-3">
                 <div className="flex items-center justify-between">
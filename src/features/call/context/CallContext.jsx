@@ -12,10 +12,20 @@ import callFirebaseService from '../../../services/firebase/CallFirebaseService'
 import unifiedNotificationService, { NOTIFICATION_TYPES } from '../../../services/UnifiedNotificationService';
 import groupCallManager from '../../../services/GroupCallManager';
 import callReactionsService from '../../../services/CallReactionsService';
+import callQualityService from '../../../services/CallQualityService';
 import virtualBackgroundService from '../../../services/VirtualBackgroundService';
 import noiseCancellationService from '../../../services/NoiseCancellationService';
+import captionService from '../../../services/CaptionService';
 import { useApp } from '../../../shared/context/AppContext';
 import storage from '../../../shared/utils/storage';
+import { CALL_RECORDING, CAPTIONS } from '../../../shared/constants/callConstants';
+
+/**
+ * Whether everyone asked has agreed to a recording request
+ */
+const hasEveryoneConsented = (recording) => (
+  (recording.participants || []).every(userId => recording.consents?.[userId] === true)
+);
 
 const CallContext = createContext(undefined);
 
@@ -25,10 +35,12 @@ export const CallProvider = ({ children }) => {
   const [incomingCall, setIncomingCall] = useState(null);
   const [localStream, setLocalStream] = useState(null);
   const [remoteStream, setRemoteStream] = useState(null);
-  const [connectionState, setConnectionState] = useState('new'); // new, connecting, connected, disconnected, failed, closed
+  const [connectionState, setConnectionState] = useState('new'); // new, connecting, connected, reconnecting, failed, closed
   const [isRecording, setIsRecording] = useState(false);
+  const [recordingState, setRecordingState] = useState(null); // request, consents and status, shared by everyone in the call
   const [isScreenSharing, setIsScreenSharing] = useState(false);
   const [isPiPMode, setIsPiPMode] = useState(false);
+  const [callQuality, setCallQuality] = useState(null); // latest quality sample, with bars
 
   // Group call state
   const [participants, setParticipants] = useState([]);
@@ -46,13 +58,21 @@ export const CallProvider = ({ children }) => {
   const [isNoiseCancellationEnabled, setIsNoiseCancellationEnabled] = useState(false);
   const [noiseCancellationLevel, setNoiseCancellationLevel] = useState('medium');
 
+  // Live captions state
+  const [captionsEnabled, setCaptionsEnabled] = useState(false); // on for everyone in the call
+  const [captions, setCaptions] = useState({}); // speakerId -> the line they are saying
+  const [translateCaptions, setTranslateCaptions] = useState(() => storage.local.get('call_translate_captions', false));
+
   // Refs
   const ringTimerRef = useRef(null);
   const missedCallTimerRef = useRef(null);
   const unsubscribeListenersRef = useRef([]);
+  const callLogRef = useRef(null); // 1:1 call to log when it ends
+  const captionTimersRef = useRef(new Map()); // speakerId -> timeout clearing their last line
+  const captionLanguageRef = useRef(null); // language to translate captions into, if any
 
   // Get current user from AppContext
-  const { currentUser } = useApp();
+  const { currentUser, users, language } = useApp();
 
   /**
    * Listen for incoming calls
@@ -106,12 +126,17 @@ export const CallProvider = ({ children }) => {
       }
 
       const callId = result.callId;
+      callLogRef.current = { callId, userId: currentUser.id, contactId, type, direction: 'outgoing', connectedAt: null };
 
-      // Get local media stream
+      // Get local media stream and TURN credentials
       const audioEnabled = true;
       const videoEnabled = type === 'video';
       const stream = await webRTCService.getLocalStream(audioEnabled, videoEnabled);
       setLocalStream(stream);
+      await webRTCService.refreshIceServers(currentUser.id);
+
+      // Revision of the last ICE restart offer, so stale answers are ignored
+      let restartRevision = null;
 
       // Create peer connection
       const peerConnection = webRTCService.createPeerConnection(
@@ -126,21 +151,10 @@ export const CallProvider = ({ children }) => {
           console.log('📹 [CallContext] Remote stream received');
           setRemoteStream(stream);
         },
-        (state) => {
-          // Connection state changed
-          setConnectionState(state);
-          if (state === 'connected') {
-            setActiveCall(prev => {
-              if (prev) {
-                const updated = { ...prev, status: 'connected', startTime: Date.now() };
-                // Send call connected notification
-                handleCallConnected(callId, contactId);
-                return updated;
-              }
-              return null;
-            });
-          } else if (state === 'failed' || state === 'disconnected') {
-            handleCallFailed(callId, contactId, state);
+        (state) => handleConnectionStateChange(callId, state),
+        {
+          onRestartOffer: async (offer) => {
+            restartRevision = await signalingService.sendRenegotiationOffer(callId, offer);
           }
         }
       );
@@ -165,6 +179,19 @@ export const CallProvider = ({ children }) => {
       });
       unsubscribeListenersRef.current.push(unsubscribeICE);
 
+      // ICE restarts: answers to our offers, and requests from the callee
+      const unsubscribeRenegotiation = signalingService.listenForRenegotiationAnswers(callId, async (answer, revision) => {
+        if (revision !== restartRevision) return;
+        restartRevision = null;
+        await webRTCService.setRemoteAnswer(callId, answer);
+      });
+      unsubscribeListenersRef.current.push(unsubscribeRenegotiation);
+
+      const unsubscribeRestart = signalingService.listenForIceRestartRequests(callId, () => {
+        webRTCService.restartIce(callId);
+      });
+      unsubscribeListenersRef.current.push(unsubscribeRestart);
+
       // Listen for call status changes
       const unsubscribeStatus = signalingService.listenForStatusChange(callId, (status) => {
         if (status === 'rejected') {
@@ -209,12 +236,14 @@ export const CallProvider = ({ children }) => {
 
       const callId = incomingCall.callId;
       const type = incomingCall.type;
+      callLogRef.current = { callId, userId: currentUser.id, contactId: incomingCall.caller, type, direction: 'incoming', connectedAt: null };
 
-      // Get local media stream
+      // Get local media stream and TURN credentials
       const audioEnabled = true;
       const videoEnabled = type === 'video';
       const stream = await webRTCService.getLocalStream(audioEnabled, videoEnabled);
       setLocalStream(stream);
+      await webRTCService.refreshIceServers(currentUser.id);
 
       // Create peer connection
       webRTCService.createPeerConnection(
@@ -227,21 +256,9 @@ export const CallProvider = ({ children }) => {
           console.log('📹 [CallContext] Remote stream received');
           setRemoteStream(stream);
         },
-        (state) => {
-          setConnectionState(state);
-          if (state === 'connected') {
-            setActiveCall(prev => {
-              if (prev) {
-                const updated = { ...prev, status: 'connected', startTime: Date.now() };
-                // Send call connected notification
-                handleCallConnected(callId, incomingCall.caller);
-                return updated;
-              }
-              return null;
-            });
-          } else if (state === 'failed' || state === 'disconnected') {
-            handleCallFailed(callId, incomingCall.caller, state);
-          }
+        (state) => handleConnectionStateChange(callId, state),
+        {
+          onRestartRequest: () => signalingService.requestIceRestart(callId)
         }
       );
 
@@ -262,6 +279,13 @@ export const CallProvider = ({ children }) => {
       });
       unsubscribeListenersRef.current.push(unsubscribeICE);
 
+      // Renegotiation offers from the caller (ICE restarts)
+      const unsubscribeRenegotiation = signalingService.listenForRenegotiationOffers(callId, async (offer, revision) => {
+        const answer = await webRTCService.createAnswer(callId, offer);
+        await signalingService.sendRenegotiationAnswer(callId, answer, revision);
+      });
+      unsubscribeListenersRef.current.push(unsubscribeRenegotiation);
+
       // Listen for status changes
       const unsubscribeStatus = signalingService.listenForStatusChange(callId, (status) => {
         if (status === 'ended') {
@@ -347,7 +371,10 @@ export const CallProvider = ({ children }) => {
 
     if (autoRecord && remoteStream) {
       console.log('🔴 [CallContext] Auto-recording missed call');
-      const recordingResult = await callRecordingService.startRecording(callId, remoteStream);
+      const recordingResult = await callRecordingService.startRecording(callId, remoteStream, {
+        recordedBy: callData.callee,
+        participants: [callData.callee, callData.caller]
+      });
       if (recordingResult.success) {
         // Stop recording after a short duration (e.g., 10 seconds)
         setTimeout(async () => {
@@ -370,6 +397,45 @@ export const CallProvider = ({ children }) => {
     setIncomingCall(null);
   };
 
+  /**
+   * Connection state of a 1:1 call. WebRTCService restarts ICE by itself, reporting
+   * 'reconnecting' meanwhile; 'failed' means it gave up
+   */
+  const handleConnectionStateChange = (callId, state) => {
+    setConnectionState(state);
+
+    if (state === 'connected') {
+      // A reconnection keeps the call's start time
+      setActiveCall(prev => prev?.id === callId
+        ? { ...prev, status: 'connected', startTime: prev.startTime || Date.now() }
+        : prev);
+
+      if (callLogRef.current?.callId === callId && !callLogRef.current.connectedAt) {
+        callLogRef.current.connectedAt = Date.now();
+      }
+      callQualityService.startMonitoring(callId, webRTCService.getPeerConnection(callId), setCallQuality);
+    } else if (state === 'reconnecting') {
+      setActiveCall(prev => prev?.id === callId ? { ...prev, status: 'reconnecting' } : prev);
+    } else if (state === 'failed') {
+      handleCallFailed(callId);
+    }
+  };
+
+  /**
+   * Handle a call that could not reconnect
+   */
+  const handleCallFailed = (callId) => {
+    console.error(`❌ [CallContext] Call ${callId} could not reconnect`);
+    if (callLogRef.current?.callId === callId) callLogRef.current.failed = true;
+
+    setActiveCall(prev => prev?.id === callId ? { ...prev, status: 'failed' } : prev);
+    signalingService.endCall(callId);
+
+    setTimeout(() => {
+      cleanup();
+    }, 2000);
+  };
+
   /**
    * Handle call rejection
    */
@@ -403,13 +469,45 @@ export const CallProvider = ({ children }) => {
     }, 1000);
   };
 
+  /**
+   * Log a 1:1 call that connected, with its quality summary
+   */
+  const finishCallLog = () => {
+    const entry = callLogRef.current;
+    callLogRef.current = null;
+    if (!entry) return;
+
+    const quality = callQualityService.stopMonitoring(entry.callId);
+    if (!entry.connectedAt) return;
+
+    callFirebaseService.logCall({
+      userId: entry.userId,
+      contactId: entry.contactId,
+      type: entry.type,
+      direction: entry.direction,
+      status: entry.failed ? 'failed' : 'completed',
+      duration: Math.round((Date.now() - entry.connectedAt) / 1000),
+      quality,
+      recordingId: entry.recordingId,
+      transcriptId: entry.transcriptId
+    }).catch(error => console.error('Failed to log call:', error));
+  };
+
   /**
    * Cleanup call resources
    */
   const cleanup = () => {
     console.log('🧹 [CallContext] Cleaning up call resources');
 
+    finishCallLog();
+
     if (activeCall?.id) {
+      // A recording we were making ends with the call
+      if (callRecordingService.isRecording(activeCall.id)) {
+        finishRecording(activeCall.id);
+        signalingService.updateRecordingStatus(activeCall.id, 'stopped', { stoppedBy: currentUser.id });
+      }
+
       webRTCService.closePeerConnection(activeCall.id);
 
       // Cleanup group call
@@ -451,6 +549,8 @@ export const CallProvider = ({ children }) => {
     setRemoteStream(null);
     setConnectionState('new');
     setIsRecording(false);
+    setRecordingState(null);
+    setCallQuality(null);
 
     // Clear new state
     setParticipants([]);
@@ -460,6 +560,7 @@ export const CallProvider = ({ children }) => {
     setIsVirtualBackgroundEnabled(false);
     setCurrentBackground(null);
     setIsNoiseCancellationEnabled(false);
+    setCaptionsEnabled(false);
   };
 
   /**
@@ -608,8 +709,8 @@ export const CallProvider = ({ children }) => {
 
       const callId = result.callId;
 
-      // Create mesh connections
-      await groupCallManager.createMeshConnections(
+      // Connect to everyone (a mesh, or the SFU for larger calls)
+      await groupCallManager.connect(
         callId,
         currentUser.id,
         participantIds,
@@ -648,7 +749,8 @@ export const CallProvider = ({ children }) => {
         isMuted: false,
         isVideoEnabled: videoEnabled,
         isGroupCall: true,
-        isOutgoing: true
+        isOutgoing: true,
+        participantIds: [currentUser.id, ...participantIds]
       });
 
       setIsGroupCall(true);
@@ -716,6 +818,257 @@ export const CallProvider = ({ children }) => {
     }
   };
 
+  /**
+   * Pick the simulcast layer of a participant's video (SFU calls only)
+   */
+  const setParticipantLayer = useCallback((participantId, layer) => {
+    if (!activeCall?.isGroupCall) return;
+    groupCallManager.setPreferredLayer(activeCall.id, participantId, layer);
+  }, [activeCall?.id, activeCall?.isGroupCall]);
+
+  /**
+   * Everyone's stream, named, for mixing into a recording
+   */
+  const getRecordingSources = () => {
+    const sources = [{ id: currentUser.id, stream: localStream, label: currentUser.name }];
+    if (activeCall?.isGroupCall) {
+      participants.forEach(participant => {
+        sources.push({ id: participant.id, stream: participant.stream, label: users[participant.id]?.name });
+      });
+    } else if (activeCall) {
+      sources.push({ id: activeCall.contactId, stream: remoteStream, label: users[activeCall.contactId]?.name });
+    }
+    return sources.filter(source => source.stream);
+  };
+
+  const canRequestRecording = Boolean(activeCall)
+    && (activeCall.isGroupCall ? participants.length > 0 : activeCall.status === 'connected')
+    && !['pending', 'recording'].includes(recordingState?.status);
+
+  /**
+   * Ask everyone in the call to agree to record it; recording starts once they all have
+   * @param {boolean} video - Record a grid of everyone's video too
+   */
+  const requestRecording = async (video = activeCall?.type === 'video') => {
+    if (!canRequestRecording) return;
+
+    const participantIds = activeCall.isGroupCall
+      ? activeCall.participantIds
+      : [currentUser.id, activeCall.contactId];
+    await signalingService.requestRecording(activeCall.id, currentUser.id, participantIds, video);
+  };
+
+  /**
+   * Agree or refuse to a recording request
+   */
+  const respondToRecording = async (accepted) => {
+    if (!activeCall || recordingState?.status !== 'pending') return;
+    await signalingService.respondToRecording(activeCall.id, currentUser.id, accepted);
+  };
+
+  /**
+   * Stop the recording (anyone in the call can), or withdraw a request
+   */
+  const stopRecording = async () => {
+    if (!activeCall || !recordingState) return;
+
+    const status = recordingState.status === 'pending' ? 'cancelled' : 'stopped';
+    await signalingService.updateRecordingStatus(activeCall.id, status, { stoppedBy: currentUser.id });
+  };
+
+  /**
+   * Start recording on this device, once everyone agreed to our request
+   */
+  const beginRecording = async (callId, recording) => {
+    const result = await callRecordingService.startRecording(callId, getRecordingSources(), {
+      video: recording.video,
+      recordedBy: currentUser.id,
+      participants: recording.participants
+    });
+
+    if (result.success) {
+      await signalingService.updateRecordingStatus(callId, 'recording', {
+        recordingId: result.recordingId,
+        startedAt: Date.now()
+      });
+    } else {
+      await signalingService.updateRecordingStatus(callId, 'failed');
+    }
+  };
+
+  /**
+   * Stop recording on this device and save it
+   */
+  const finishRecording = async (callId) => {
+    const result = await callRecordingService.stopRecording(callId);
+    if (!result.success) {
+      console.error('❌ [CallContext] Recording could not be saved:', result.error);
+    }
+  };
+
+  /**
+   * Follow the call's recording: requests, consents, start and stop
+   */
+  useEffect(() => {
+    const callId = activeCall?.id;
+    if (!callId) return;
+
+    const unsubscribe = signalingService.listenForRecording(callId, (recording) => {
+      setRecordingState(recording);
+      setIsRecording(recording?.status === 'recording');
+
+      // Everyone's log entry links to the recording
+      if (recording?.recordingId && callLogRef.current?.callId === callId) {
+        callLogRef.current.recordingId = recording.recordingId;
+      }
+    });
+
+    return () => {
+      unsubscribe();
+    };
+  }, [activeCall?.id]);
+
+  /**
+   * The requester's device does the recording: it starts once everyone agreed and stops when
+   * anyone stops it. Requests left unanswered expire
+   */
+  useEffect(() => {
+    const callId = activeCall?.id;
+    if (!callId || !recordingState || recordingState.requestedBy !== currentUser?.id) return;
+
+    if (recordingState.status === 'pending') {
+      if (hasEveryoneConsented(recordingState)) {
+        if (!callRecordingService.isRecording(callId)) beginRecording(callId, recordingState);
+        return;
+      }
+
+      const timer = setTimeout(() => {
+        signalingService.updateRecordingStatus(callId, 'expired');
+      }, Math.max(recordingState.requestedAt + CALL_RECORDING.consentTimeoutMs - Date.now(), 0));
+      return () => clearTimeout(timer);
+    }
+
+    if (recordingState.status !== 'recording' && callRecordingService.isRecording(callId)) {
+      finishRecording(callId);
+    }
+  }, [activeCall?.id, recordingState]);
+
+  /**
+   * Keep a recording in progress mixing whoever is in the call
+   */
+  useEffect(() => {
+    if (activeCall?.id && callRecordingService.isRecording(activeCall.id)) {
+      callRecordingService.updateSources(activeCall.id, getRecordingSources());
+    }
+  }, [participants, remoteStream, localStream]);
+
+  /**
+   * Finish recordings this user's device left unfinished (closed or crashed mid-call)
+   */
+  useEffect(() => {
+    if (!currentUser?.id) return;
+
+    callRecordingService.recoverRecordings(currentUser.id).then((recovered) => {
+      if (recovered > 0) console.log(`🩹 [CallContext] Recovered ${recovered} unfinished recording(s)`);
+    });
+  }, [currentUser?.id]);
+
+  /**
+   * Turn live captions on or off for everyone in the call
+   */
+  const toggleCaptions = async () => {
+    if (!activeCall) return;
+    await signalingService.setCaptionsEnabled(activeCall.id, !captionsEnabled, currentUser.id);
+  };
+
+  /**
+   * Translate other people's captions into the app language (or stop)
+   */
+  const toggleCaptionTranslation = () => {
+    setTranslateCaptions(prev => {
+      storage.local.set('call_translate_captions', !prev);
+      return !prev;
+    });
+  };
+
+  /**
+   * Show someone's line, translated once it is final; it disappears a while after
+   */
+  const handleCaption = (callId, caption) => {
+    const { speakerId } = caption;
+
+    // Everyone's log entry links to the transcript
+    if (caption.isFinal && callLogRef.current?.callId === callId) {
+      callLogRef.current.transcriptId = callId;
+    }
+    // Lines finished before we started following only go in the transcript
+    if (caption.isFinal && Date.now() - caption.endedAt > CAPTIONS.displayMs) return;
+
+    setCaptions(prev => ({ ...prev, [speakerId]: caption }));
+    clearTimeout(captionTimersRef.current.get(speakerId));
+    if (!caption.isFinal) return;
+
+    captionTimersRef.current.set(speakerId, setTimeout(() => {
+      setCaptions(prev => {
+        if (prev[speakerId]?.id !== caption.id) return prev;
+        const { [speakerId]: _finished, ...rest } = prev;
+        return rest;
+      });
+    }, CAPTIONS.displayMs));
+
+    const targetLanguage = captionLanguageRef.current;
+    if (targetLanguage && speakerId !== currentUser.id) {
+      captionService.translate(caption.text, targetLanguage).then((translatedText) => {
+        setCaptions(prev => prev[speakerId]?.id === caption.id && prev[speakerId].isFinal
+          ? { ...prev, [speakerId]: { ...prev[speakerId], translatedText } }
+          : prev);
+      });
+    }
+  };
+
+  useEffect(() => {
+    captionLanguageRef.current = translateCaptions ? language : null;
+  }, [translateCaptions, language]);
+
+  /**
+   * Follow whether captions are on in the call
+   */
+  useEffect(() => {
+    const callId = activeCall?.id;
+    if (!callId) return;
+
+    const unsubscribe = signalingService.listenForCaptionsEnabled(callId, setCaptionsEnabled);
+    return () => {
+      unsubscribe();
+    };
+  }, [activeCall?.id]);
+
+  /**
+   * While captions are on, transcribe the local user and show everyone's lines
+   */
+  useEffect(() => {
+    const callId = activeCall?.id;
+    if (!callId || !captionsEnabled || !localStream) return;
+
+    const participantIds = activeCall.isGroupCall
+      ? activeCall.participantIds
+      : [currentUser.id, activeCall.contactId];
+    captionService.start(callId, {
+      userId: currentUser.id,
+      stream: localStream,
+      participants: participantIds,
+      onCaption: (caption) => handleCaption(callId, caption)
+    });
+
+    const timers = captionTimersRef.current;
+    return () => {
+      captionService.stop(callId);
+      timers.forEach(timer => clearTimeout(timer));
+      timers.clear();
+      setCaptions({});
+    };
+  }, [activeCall?.id, captionsEnabled, localStream]);
+
   /**
    * Toggle virtual background
    */
@@ -729,9 +1082,7 @@ export const CallProvider = ({ children }) => {
           if (originalStream) {
             const videoTrack = originalStream.getVideoTracks()[0];
             if (isGroupCall) {
-              participants.forEach(p => {
-                webRTCService.replaceVideoTrack(`${activeCall.id}_${p.id}`, videoTrack);
-              });
+              await groupCallManager.replaceTrack(activeCall.id, 'video', videoTrack);
             } else {
               await webRTCService.replaceVideoTrack(activeCall.id, videoTrack);
             }
@@ -748,9 +1099,7 @@ export const CallProvider = ({ children }) => {
         const videoTrack = processedStream.getVideoTracks()[0];
 
         if (isGroupCall) {
-          participants.forEach(p => {
-            webRTCService.replaceVideoTrack(`${activeCall.id}_${p.id}`, videoTrack);
-          });
+          await groupCallManager.replaceTrack(activeCall.id, 'video', videoTrack);
         } else {
           await webRTCService.replaceVideoTrack(activeCall.id, videoTrack);
         }
@@ -780,9 +1129,7 @@ export const CallProvider = ({ children }) => {
         const audioTrack = processedStream.getAudioTracks()[0];
 
         if (isGroupCall) {
-          participants.forEach(p => {
-            webRTCService.replaceAudioTrack(`${activeCall.id}_${p.id}`, audioTrack);
-          });
+          await groupCallManager.replaceTrack(activeCall.id, 'audio', audioTrack);
         } else {
           await webRTCService.replaceAudioTrack(activeCall.id, audioTrack);
         }
@@ -794,9 +1141,7 @@ export const CallProvider = ({ children }) => {
           const audioTrack = originalStream.getAudioTracks()[0];
 
           if (isGroupCall) {
-            participants.forEach(p => {
-              webRTCService.replaceAudioTrack(`${activeCall.id}_${p.id}`, audioTrack);
-            });
+            await groupCallManager.replaceTrack(activeCall.id, 'audio', audioTrack);
           } else {
             await webRTCService.replaceAudioTrack(activeCall.id, audioTrack);
           }
@@ -818,8 +1163,11 @@ export const CallProvider = ({ children }) => {
       remoteStream,
       connectionState,
       isRecording,
+      recordingState,
+      canRequestRecording,
       isScreenSharing,
       isPiPMode,
+      callQuality,
 
       // Group call state
       participants,
@@ -833,6 +1181,11 @@ export const CallProvider = ({ children }) => {
       isNoiseCancellationEnabled,
       noiseCancellationLevel,
 
+      // Live captions state
+      captionsEnabled,
+      captions,
+      translateCaptions,
+
       // Outgoing call actions
       startCall,
       startGroupCall,
@@ -856,8 +1209,14 @@ export const CallProvider = ({ children }) => {
       startScreenShare,
       stopScreenShare,
       sendReaction,
+      setParticipantLayer,
+      requestRecording,
+      respondToRecording,
+      stopRecording,
       toggleVirtualBackground,
-      toggleNoiseCancellation
+      toggleNoiseCancellation,
+      toggleCaptions,
+      toggleCaptionTranslation
     }}>
       {children}
     </CallContext.Provider>
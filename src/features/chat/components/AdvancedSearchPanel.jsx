@@ -1,33 +1,101 @@
-import React from 'react';
-import { Search, X, ChevronUp, ChevronDown } from 'lucide-react';
+import React, { useRef, useState } from 'react';
+import { Search, X, ChevronUp, ChevronDown, Bookmark, BookmarkCheck } from 'lucide-react';
 import { useMessageSearch } from '../../../shared/hooks/useMessageSearch';
+import { useApp } from '../../../shared/context/AppContext';
+import { getQuerySuggestions, applyQuerySuggestion } from '../../../shared/utils/searchQuery';
 
 /**
  * AdvancedSearchPanel - Advanced search UI with filters
+ * Accepts a typed query syntax, e.g. `from:alice has:link before:2026-01-01 "exact phrase" -excluded`
  * 
  * @param {Object} props
  * @param {Array} props.messages - All messages to search
  * @param {Object} props.users - Users object
- * @param {Function} props.onResultSelect - Callback when result is selected
+ * @param {string} props.chatId - Current chat ID
+ * @param {Function} props.onResultSelect - Callback when result is selected (message, chatId)
  * @param {Function} props.onClose - Callback to close panel
  */
-const AdvancedSearchPanel = ({ messages, users, onResultSelect, onClose }) => {
-    const search = useMessageSearch(messages, users);
+const AdvancedSearchPanel = ({ messages, users, chatId, onResultSelect, onClose }) => {
+    const { chats, messages: messagesByChat, currentUser, chatSettings, updateChatSettings } = useApp();
+    const search = useMessageSearch(messages, users, {
+        chats,
+        messagesByChat,
+        chatId,
+        currentUserId: currentUser?.id
+    });
+
+    const inputRef = useRef(null);
+    const [cursor, setCursor] = useState(0);
+    const [activeSuggestion, setActiveSuggestion] = useState(0);
+    const [isInputFocused, setIsInputFocused] = useState(false);
+
+    const savedSearches = chatSettings.savedSearches || [];
+    const trimmedQuery = search.searchQuery.trim();
+    const isSaved = savedSearches.some(s => s.query === trimmedQuery);
+
+    const { suggestions, token } = isInputFocused
+        ? getQuerySuggestions(search.searchQuery, cursor, { users, chats })
+        : { suggestions: [], token: null };
 
     const handleSearch = () => {
         if (search.currentResult) {
-            onResultSelect(search.currentResult);
+            onResultSelect(search.currentResult, search.resultChatId);
         }
     };
 
     const handleNavigate = (direction) => {
         const result = search.navigateTo(direction);
         if (result) {
-            onResultSelect(result);
+            onResultSelect(result, search.resultChatId);
         }
     };
 
+    const setQuery = (query, caret = query.length) => {
+        search.setSearchQuery(query);
+        setCursor(caret);
+        setActiveSuggestion(0);
+    };
+
+    const pickSuggestion = (suggestion) => {
+        const next = applyQuerySuggestion(search.searchQuery, token, suggestion);
+        setQuery(next.query, next.cursor);
+        requestAnimationFrame(() => {
+            inputRef.current?.focus();
+            inputRef.current?.setSelectionRange(next.cursor, next.cursor);
+        });
+    };
+
+    const toggleSavedSearch = () => {
+        if (!trimmedQuery) return;
+        const next = isSaved
+            ? savedSearches.filter(s => s.query !== trimmedQuery)
+            : [...savedSearches, { id: `search_${Date.now()}`, query: trimmedQuery, createdAt: new Date().toISOString() }];
+        updateChatSettings({ savedSearches: next });
+    };
+
+    const removeSavedSearch = (id) => {
+        updateChatSettings({ savedSearches: savedSearches.filter(s => s.id !== id) });
+    };
+
     const handleKeyDown = (e) => {
+        if (suggestions.length > 0) {
+            if (e.key === 'ArrowDown') {
+                e.preventDefault();
+                setActiveSuggestion(i => (i + 1) % suggestions.length);
+                return;
+            }
+            if (e.key === 'ArrowUp') {
+                e.preventDefault();
+                setActiveSuggestion(i => (i - 1 + suggestions.length) % suggestions.length);
+                return;
+            }
+            if (e.key === 'Tab' || e.key === 'Enter') {
+                e.preventDefault();
+                pickSuggestion(suggestions[Math.min(activeSuggestion, suggestions.length - 1)]);
+                return;
+            }
+        }
+
         if (e.key === 'Enter') {
             handleSearch();
         } else if (e.key === 'Escape') {
@@ -39,17 +107,52 @@ const AdvancedSearchPanel = ({ messages, users, onResultSelect, onClose }) => {
         <div className="bg-white dark:bg-wa-dark-header border-b border-gray-200 dark:border-gray-700 p-4 z-40 animate-in slide-in-from-top duration-200 shadow-md">
             {/* Search Input */}
             <div className="flex items-center gap-2 mb-4">
-                <div className="flex-1 flex items-center bg-gray-100 dark:bg-wa-dark-input rounded-lg px-3 py-2.5">
+                <div className="relative flex-1 flex items-center bg-gray-100 dark:bg-wa-dark-input rounded-lg px-3 py-2.5">
                     <Search size={18} className="text-gray-400 mr-2 shrink-0" />
                     <input
+                        ref={inputRef}
                         type="text"
-                        placeholder="Search messages..."
+                        placeholder='Search messages... (try from: has:link "phrase")'
                         value={search.searchQuery}
-                        onChange={(e) => search.setSearchQuery(e.target.value)}
+                        onChange={(e) => setQuery(e.target.value, e.target.selectionStart)}
+                        onSelect={(e) => setCursor(e.target.selectionStart)}
+                        onFocus={() => setIsInputFocused(true)}
+                        onBlur={() => setIsInputFocused(false)}
                         onKeyDown={handleKeyDown}
                         className="flex-1 bg-transparent outline-none text-sm text-gray-900 dark:text-white placeholder:text-gray-500"
                         autoFocus
                     />
+                    {trimmedQuery && (
+                        <button
+                            onClick={toggleSavedSearch}
+                            className="p-1 -mr-1 rounded-full hover:bg-gray-200 dark:hover:bg-gray-700 transition-colors shrink-0"
+                            aria-label={isSaved ? 'Remove saved search' : 'Save search'}
+                            title={isSaved ? 'Remove saved search' : 'Save search'}
+                        >
+                            {isSaved
+                                ? <BookmarkCheck size={18} className="text-wa-teal" />
+                                : <Bookmark size={18} className="text-gray-500 dark:text-gray-400" />}
+                        </button>
+                    )}
+
+                    {/* Autocomplete */}
+                    {suggestions.length > 0 && (
+                        <div className="absolute left-0 right-0 top-full mt-1 bg-white dark:bg-wa-dark-paper rounded-lg shadow-lg border border-gray-200 dark:border-gray-700 py-1 z-50">
+                            {suggestions.map((suggestion, index) => (
+                                <button
+                                    key={suggestion.value}
+                                    // Keep focus in the input so the blur does not hide the list first
+                                    onMouseDown={(e) => {
+                                        e.preventDefault();
+                                        pickSuggestion(suggestion);
+                                    }}
+                                    className={`w-full text-left px-3 py-2 text-sm text-gray-900 dark:text-white transition-colors ${index === activeSuggestion ? 'bg-gray-100 dark:bg-gray-700' : 'hover:bg-gray-50 dark:hover:bg-gray-800'}`}
+                                >
+                                    {suggestion.label}
+                                </button>
+                            ))}
+                        </div>
+                    )}
                 </div>
                 <button
                     onClick={onClose}
@@ -60,6 +163,26 @@ const AdvancedSearchPanel = ({ messages, users, onResultSelect, onClose }) => {
                 </button>
             </div>
 
+            {/* Saved Searches */}
+            {savedSearches.length > 0 && !trimmedQuery && (
+                <div className="flex gap-2 mb-3 overflow-x-auto no-scrollbar">
+                    {savedSearches.map(saved => (
+                        <div key={saved.id} className="flex items-center gap-1 pl-3 pr-1 py-1 bg-gray-100 dark:bg-gray-700 rounded-full text-xs text-gray-700 dark:text-gray-200 shrink-0">
+                            <button onClick={() => setQuery(saved.query)} className="max-w-[200px] truncate">
+                                {saved.query}
+                            </button>
+                            <button
+                                onClick={() => removeSavedSearch(saved.id)}
+                                className="p-0.5 rounded-full hover:bg-gray-200 dark:hover:bg-gray-600"
+                                aria-label="Remove saved search"
+                            >
+                                <X size={12} />
+                            </button>
+                        </div>
+                    ))}
+                </div>
+            )}
+
             {/* Filters */}
             <div className="grid grid-cols-2 md:grid-cols-4 gap-2 mb-3">
                 {/* Sender Filter */}
@@ -85,6 +208,7 @@ const AdvancedSearchPanel = ({ messages, users, onResultSelect, onClose }) => {
                     <option value="image">Images</option>
                     <option value="video">Videos</option>
                     <option value="voice">Voice</option>
+                    <option value="document">Documents</option>
                 </select>
 
                 {/* Date From */}
@@ -131,7 +255,11 @@ const AdvancedSearchPanel = ({ messages, users, onResultSelect, onClose }) => {
                         </button>
                     </div>
                 </div>
-            ) : search.searchQuery || search.filters.sender !== 'all' || search.filters.type !== 'all' || search.filters.dateFrom || search.filters.dateTo ? (
+            ) : search.queryErrors.length > 0 ? (
+                <div className="text-center text-sm text-red-500 py-2">
+                    {search.queryErrors[0]}
+                </div>
+            ) : search.hasActiveFilters ? (
                 <div className="text-center text-sm text-gray-500 dark:text-gray-400 py-2">
                     No results found
                 </div>
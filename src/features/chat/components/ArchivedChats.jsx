@@ -8,7 +8,7 @@ import { formatTimestamp } from '../../../shared/utils/formatTime';
 
 const ArchivedChats = () => {
     const navigate = useNavigate();
-    const { chats, messages, toggleArchiveChat, users, securitySettings } = useApp();
+    const { chats, messages, toggleArchiveChat, users, securitySettings, verifySecurityPin } = useApp();
     const [activeTab, setActiveTab] = useState('following');
 
     // Archive Action PIN modal (for unarchiving)
@@ -51,14 +51,14 @@ const ArchivedChats = () => {
         }
     };
 
-    const verifyArchivePin = () => {
-        const requiredPin = securitySettings.archiveLockPassword || '0000';
-        if (archivePin === requiredPin) {
+    const verifyArchivePin = async () => {
+        const result = await verifySecurityPin('archive', archivePin, { defaultPin: '0000' });
+        if (result.success) {
             toggleArchiveChat(archiveTarget);
             setArchiveTarget(null);
             setArchivePin('');
         } else {
-            setArchiveError('Incorrect PIN');
+            setArchiveError(result.error);
             setArchivePin('');
         }
     };
@@ -81,14 +81,14 @@ const ArchivedChats = () => {
         }
     };
 
-    const verifyChatLockPin = () => {
-        const requiredPin = securitySettings.chatLockPassword || '0000';
-        if (chatLockPin === requiredPin) {
+    const verifyChatLockPin = async () => {
+        const result = await verifySecurityPin('chat', chatLockPin, { defaultPin: '0000' });
+        if (result.success) {
             navigate(`/chat/${lockedChatTarget}`);
             setLockedChatTarget(null);
             setChatLockPin('');
         } else {
-            setChatLockError('Incorrect PIN');
+            setChatLockError(result.error);
             setChatLockPin('');
         }
     };
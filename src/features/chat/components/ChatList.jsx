@@ -2,7 +2,7 @@
 import React, { useState } from 'react';
 import { createPortal } from 'react-dom';
 import { useNavigate, useParams } from 'react-router-dom';
-import { Check, CheckCheck, Pin, PinOff, Mic, Archive, Lock } from 'lucide-react';
+import { Check, CheckCheck, Pin, PinOff, Mic, Archive, Lock, Search } from 'lucide-react';
 import { formatTimestamp } from '../../../shared/utils/formatTime';
 import { useApp } from '../../../shared/context/AppContext';
 import { useWorkerChatSearch } from '../../../shared/hooks/useWorkerSearch';
@@ -12,7 +12,7 @@ import { useWorkerChatSearch } from '../../../shared/hooks/useWorkerSearch';
 const ChatList = () => {
     const navigate = useNavigate();
     const { chatId: activeChatId } = useParams();
-    const { searchQuery, chats, messages, toggleArchiveChat, togglePinChat, securitySettings, users, chatSettings, drafts, onlineUsers } = useApp();
+    const { searchQuery, chats, messages, toggleArchiveChat, togglePinChat, securitySettings, verifySecurityPin, chatPreviews, isChatLockUnlocked, users, chatSettings, drafts, onlineUsers } = useApp();
     const [activeFilter, setActiveFilter] = useState('all');
 
     // Archive Action PIN modal
@@ -53,14 +53,14 @@ const ChatList = () => {
         }
     };
 
-    const verifyArchivePin = () => {
-        const requiredPin = securitySettings.archiveLockPassword || '0000';
-        if (archivePin === requiredPin) {
+    const verifyArchivePin = async () => {
+        const result = await verifySecurityPin('archive', archivePin, { defaultPin: '0000' });
+        if (result.success) {
             toggleArchiveChat(archiveTarget);
             setArchiveTarget(null);
             setArchivePin('');
         } else {
-            setArchiveError('Incorrect PIN');
+            setArchiveError(result.error);
             setArchivePin('');
         }
     };
@@ -83,14 +83,14 @@ const ChatList = () => {
         }
     };
 
-    const verifyChatLockPin = () => {
-        const requiredPin = securitySettings.chatLockPassword || '0000';
-        if (chatLockPin === requiredPin) {
+    const verifyChatLockPin = async () => {
+        const result = await verifySecurityPin('chat', chatLockPin, { defaultPin: '0000' });
+        if (result.success) {
             navigate(`/chat/${lockedChatTarget}`);
             setLockedChatTarget(null);
             setChatLockPin('');
         } else {
-            setChatLockError('Incorrect PIN');
+            setChatLockError(result.error);
             setChatLockPin('');
         }
     };
@@ -229,6 +229,20 @@ const ChatList = () => {
                     </div>
                 )}
 
+                {searchQuery && (
+                    <div
+                        onClick={() => navigate('/search', { state: { query: searchQuery } })}
+                        className="flex items-center gap-3 px-4 py-3 cursor-pointer hover:bg-wa-grayBg/80 dark:hover:bg-wa-dark-hover/80 transition-colors group backdrop-blur-sm bg-white/60 dark:bg-wa-dark-bg/60"
+                    >
+                        <div className="w-12 flex items-center justify-center shrink-0">
+                            <Search size={20} className="text-wa-teal dark:text-wa-teal group-hover:scale-110 transition-transform" />
+                        </div>
+                        <div className="flex-1 border-b border-wa-border dark:border-wa-dark-border pb-3 -mb-3 min-w-0">
+                            <div className="text-[#111b21] dark:text-gray-100 text-[17px] truncate">Search messages for "{searchQuery}"</div>
+                        </div>
+                    </div>
+                )}
+
                 {sortedChats.length === 0 ? (
                     <div className="flex flex-col items-center justify-center h-64 text-[#667781] dark:text-gray-400 text-center px-4 relative z-10">
                         <p className="bg-white/80 dark:bg-black/50 p-2 rounded-lg backdrop-blur-sm">
@@ -241,7 +255,11 @@ const ChatList = () => {
                         if (!user && !chat.isGroup) return null;
 
                         const chatMessages = messages[chat.id] || [];
-                        const lastMsg = chatMessages.length > 0 ? chatMessages[chatMessages.length - 1] : null;
+                        // Fall back to the cached preview until messages arrive (cold start)
+                        const lastMsg = chatMessages.length > 0
+                            ? chatMessages[chatMessages.length - 1]
+                            : (chatPreviews[chat.id]?.sealed ? null : chatPreviews[chat.id] || null);
+                        const isPreviewHidden = chat.isLocked && !isChatLockUnlocked;
                         const isTyping = chat.id === 'c1' && Math.random() > 0.8;
                         const isActive = chat.id === activeChatId;
                         const draft = drafts[chat.id];
@@ -287,7 +305,7 @@ const ChatList = () => {
                                                 </span>
                                             ) : (
                                                 <>
-                                                    {lastMsg?.senderId === 'me' && !isTyping && (
+                                                    {lastMsg?.senderId === 'me' && !isTyping && !isPreviewHidden && (
                                                         lastMsg.status === 'read'
                                                             ? <CheckCheck size={16} className="text-wa-blue shrink-0" />
                                                             : <Check size={16} className="shrink-0" />
@@ -295,6 +313,11 @@ const ChatList = () => {
 
                                                     {isTyping ? (
                                                         <span className="text-wa-lightGreen font-medium">typing...</span>
+                                                    ) : isPreviewHidden ? (
+                                                        <span className="truncate flex items-center gap-1">
+                                                            <Lock size={14} />
+                                                            Locked chat
+                                                        </span>
                                                     ) : (
                                                         <span className="truncate flex items-center gap-1">
                                                             {lastMsg?.type === 'voice' && <Mic size={14} />}
@@ -1,6 +1,6 @@
 
-import React, { useRef, useState, useMemo } from 'react';
-import { useLocation } from 'react-router-dom';
+import React, { useRef, useState, useMemo, useEffect } from 'react';
+import { useLocation, useNavigate } from 'react-router-dom';
 import {
     ArrowLeft, MoreVertical, Phone, Video as VideoIcon, Search, Smile, Paperclip, Mic, Send,
     Check, CheckCheck, Reply, Trash2, Star, Forward, Info, X,
@@ -16,6 +16,7 @@ import DrawingCanvas from '../../../shared/components/media/DrawingCanvas';
 import PollCreator from '../../../shared/components/media/PollCreator';
 import MediaEditor from '../../../shared/components/media/MediaEditor';
 import GameInviteBubble from '../../games/components/GameInviteBubble';
+import PinnedCorrespondenceGames from '../../games/components/PinnedCorrespondenceGames';
 import TypingIndicator from './TypingIndicator';
 import { formatLastSeen } from '../../../shared/utils/dateUtils';
 import EmojiPicker from '../../../shared/components/input/EmojiPicker';
@@ -25,7 +26,7 @@ import { useMentions } from '../../../shared/hooks/useMentions';
 import MentionAutocomplete from '../../../shared/components/input/MentionAutocomplete';
 import AdvancedSearchPanel from './AdvancedSearchPanel';
 import PollMessage from './message/PollMessage';
-import LinkPreview from './message/LinkPreview';
+import { LinkPreviewCard } from './message/LinkPreview';
 import PollDetailsModal from './message/PollDetailsModal';
 import { combineFormatting } from '../../../shared/components/text/MessageFormatting';
 import AttachmentMenu from './AttachmentMenu';
@@ -33,6 +34,7 @@ import MessageList from './MessageList';
 import ThreadView from './threading/ThreadView';
 import { translateText } from '../../../services/TranslationService';
 import DeleteMessageModal from './DeleteMessageModal';
+import EncryptionInfoModal from './EncryptionInfoModal';
 import EmptyChatState from '../../../shared/components/chat/EmptyChatState';
 import WalkieTalkieModal from './WalkieTalkieModal';
 import MusicRequestModal from './MusicRequestModal';
@@ -52,6 +54,7 @@ const mockTranslate = (text, lang) => {
 
 const ChatWindow = () => {
     const location = useLocation();
+    const navigate = useNavigate();
     const ctrl = useChatWindowController();
     const { toggleStarMessage, deleteForMe, deleteForEveryone, canDeleteForEveryone, hiddenMessages, isFollowing, openGameInvite } = useApp();
     const fileInputRef = useRef(null);
@@ -63,6 +66,9 @@ const ChatWindow = () => {
     const [deleteModalOpen, setDeleteModalOpen] = useState(false);
     const [messageToDelete, setMessageToDelete] = useState(null);
 
+    // Safety Number Modal State
+    const [showEncryptionInfo, setShowEncryptionInfo] = useState(false);
+
     // Media Preview State
     const [previewMedia, setPreviewMedia] = useState(null);
 
@@ -187,6 +193,25 @@ const ChatWindow = () => {
         return null;
     }, [effectiveChat, ctrl.users, location.state]);
 
+    // Scroll to a message opened from global search once it has rendered
+    // (paging in older history until it is loaded)
+    const highlightedMessageRef = useRef(null);
+    useEffect(() => {
+        const messageId = location.state?.highlightMessageId;
+        if (!messageId || highlightedMessageRef.current === messageId) return;
+
+        const element = document.getElementById(`msg-${messageId}`);
+        if (!element) {
+            if (ctrl.hasOlderMessages && !ctrl.isLoadingOlder) ctrl.handleLoadOlder();
+            return;
+        }
+
+        highlightedMessageRef.current = messageId;
+        element.scrollIntoView({ behavior: 'smooth', block: 'center' });
+        element.classList.add('animate-pulse');
+        setTimeout(() => element.classList.remove('animate-pulse'), 2000);
+    }, [location.state, ctrl.chatMessages, ctrl.hasOlderMessages, ctrl.isLoadingOlder, ctrl.handleLoadOlder]);
+
     // Only show error if we truly can't create a chat interface
     if (!effectiveChat) return (
         <div className="flex flex-col items-center justify-center h-full text-gray-500 bg-wa-bg">
@@ -412,6 +437,14 @@ const ChatWindow = () => {
                 timeWarning={timeWarning}
             />
 
+            {/* Safety Number Modal */}
+            <EncryptionInfoModal
+                isOpen={showEncryptionInfo}
+                onClose={() => setShowEncryptionInfo(false)}
+                currentUserId={ctrl.currentUserId}
+                contact={displayContact}
+            />
+
             {/* Header / Selection Mode / Search */}
             {ctrl.isSelectionMode ? (
                 <div className="h-[60px] bg-wa-teal dark:bg-wa-dark-header flex items-center px-4 gap-6 text-white z-10 shrink-0 shadow-md">
@@ -450,7 +483,14 @@ const ChatWindow = () => {
                 <AdvancedSearchPanel
                     messages={ctrl.chatMessages}
                     users={ctrl.users}
-                    onResultSelect={(msg) => {
+                    chatId={ctrl.chatId}
+                    onResultSelect={(msg, resultChatId) => {
+                        // `in:` results from another chat open that chat at the message
+                        if (resultChatId && resultChatId !== ctrl.chatId) {
+                            ctrl.setIsSearchOpen(false);
+                            navigate(`/chat/${resultChatId}`, { state: { highlightMessageId: msg.id } });
+                            return;
+                        }
                         setSelectedSearchResult(msg);
                         const element = document.getElementById(`msg-${msg.id}`);
                         if (element) {
@@ -468,7 +508,14 @@ const ChatWindow = () => {
                         <button onClick={(e) => { e.stopPropagation(); ctrl.navigateToChats(); }} className="md:hidden mr-1 shrink-0"><ArrowLeft size={24} className="text-[#54656f] dark:text-gray-400" /></button>
                                 <img src={displayChat.isGroup ? 'https://picsum.photos/300' : displayContact?.avatar} alt="Avatar" className="w-10 h-10 rounded-full object-cover shrink-0" />
                         <div className="flex flex-col justify-center min-w-0">
-                                    <h2 className="text-[#111b21] dark:text-gray-100 font-medium text-base truncate">{displayChat.isGroup ? displayChat.groupName : displayContact?.name}</h2>
+                                    <div className="flex items-center gap-1 min-w-0">
+                                        <h2 className="text-[#111b21] dark:text-gray-100 font-medium text-base truncate">{displayChat.isGroup ? displayChat.groupName : displayContact?.name}</h2>
+                                        {!displayChat.isGroup && displayContact && (
+                                            <button onClick={(e) => { e.stopPropagation(); setShowEncryptionInfo(true); }} title="Verify security code" className="shrink-0 text-[#667781] dark:text-gray-400 hover:text-wa-teal">
+                                                <Lock size={13} />
+                                            </button>
+                                        )}
+                                    </div>
                             {(() => {
                                 const { typingUsers, onlineUsers, lastSeen, users } = ctrl;
                                 const chatTyping = typingUsers?.[ctrl.chatId] || [];
@@ -517,6 +564,9 @@ const ChatWindow = () => {
                                     <div className="absolute right-0 top-full mt-2 w-56 bg-white dark:bg-wa-dark-paper rounded-lg shadow-xl border border-wa-border dark:border-wa-dark-border z-50 py-2 origin-top-right animate-in fade-in zoom-in-95 duration-200">
                                                 <button onClick={() => { ctrl.navigateToInfo(); ctrl.setIsMenuOpen(false); }} className="w-full text-left px-4 py-3 hover:bg-gray-100 dark:hover:bg-wa-dark-hover text-[#111b21] dark:text-gray-100 text-[15px]">{displayChat.isGroup ? 'Group info' : 'Contact info'}</button>
                                         <button onClick={() => { ctrl.setIsSearchOpen(true); ctrl.setIsMenuOpen(false); }} className="w-full text-left px-4 py-3 hover:bg-gray-100 dark:hover:bg-wa-dark-hover text-[#111b21] dark:text-gray-100 text-[15px]">Search</button>
+                                        {!displayChat.isGroup && displayContact && (
+                                            <button onClick={() => { setShowEncryptionInfo(true); ctrl.setIsMenuOpen(false); }} className="w-full text-left px-4 py-3 hover:bg-gray-100 dark:hover:bg-wa-dark-hover text-[#111b21] dark:text-gray-100 text-[15px]">Encryption</button>
+                                        )}
                                         <button onClick={() => { ctrl.deleteMessages(ctrl.chatId, [], true); ctrl.setIsMenuOpen(false); }} className="w-full text-left px-4 py-3 hover:bg-gray-100 dark:hover:bg-wa-dark-hover text-[#111b21] dark:text-gray-100 text-[15px]">Clear chat</button>
                                         <button onClick={() => { ctrl.setIsMenuOpen(false); ctrl.navigateToChats(); }} className="w-full text-left px-4 py-3 hover:bg-gray-100 dark:hover:bg-wa-dark-hover text-[#111b21] dark:text-gray-100 text-[15px]">Close chat</button>
                                     </div>
@@ -527,6 +577,9 @@ const ChatWindow = () => {
                 </div>
             )}
 
+            {/* Correspondence games in this chat stay pinned while they run */}
+            <PinnedCorrespondenceGames chatId={displayChat.id} />
+
             {/* Messages List or Empty State */}
             {visibleMessages.length === 0 ? (
                 <EmptyChatState
@@ -549,6 +602,9 @@ const ChatWindow = () => {
                         chat={displayChat}
                         hiddenDates={displayChat?.userSettings?.hiddenDates}
                         mockTranslate={mockTranslate}
+                        hasOlderMessages={ctrl.hasOlderMessages}
+                        isLoadingOlder={ctrl.isLoadingOlder}
+                        onLoadOlder={ctrl.handleLoadOlder}
                         onDateLock={ctrl.handleDateLock || ctrl.setDateLockTarget} // Assuming handleDateLock might not exist, falling back to setting target
                         onAction={(action, payload) => {
                             switch (action) {
@@ -605,6 +661,18 @@ const ChatWindow = () => {
                 </div>
             )}
 
+            {ctrl.composerPreviews.length > 0 && (
+                <div className="flex flex-col gap-1 z-10 mx-2 mt-2">
+                    {ctrl.composerPreviews.map(preview => (
+                        <LinkPreviewCard
+                            key={preview.url}
+                            preview={preview}
+                            compact
+                            onRemove={() => ctrl.dismissComposerPreview(preview.url)}
+                        />
+                    ))}
+                </div>
+            )}
             {ctrl.replyTo && <div className="bg-gray-100 dark:bg-wa-dark-paper px-4 py-2 border-l-4 border-wa-teal flex justify-between items-center z-10 mx-2 mt-2 rounded-lg"><div className="flex flex-col text-sm max-w-[90%]"><span className="text-wa-teal font-medium text-xs">Replying to {ctrl.users[ctrl.replyTo.senderId]?.name || 'User'}</span><span className="truncate text-gray-600 dark:text-gray-300">{ctrl.replyTo.text}</span></div><button onClick={() => ctrl.setReplyTo(null)}><X size={20} className="text-gray-500" /></button></div>}
 
             {/* Input Area */}
@@ -0,0 +1,113 @@
+import React, { useEffect, useState } from 'react';
+import { X, Lock, ShieldCheck, Copy, Check } from 'lucide-react';
+import encryptionService from '../../../services/EncryptionService';
+
+/**
+ * EncryptionInfoModal - Shows the safety number for a 1:1 chat
+ * Both users see the same 60 digits when no one is intercepting the chat
+ *
+ * @param {Object} props
+ * @param {boolean} props.isOpen - Whether modal is open
+ * @param {Function} props.onClose - Close modal callback
+ * @param {string} props.currentUserId - Signed-in user ID
+ * @param {Object} props.contact - Contact user object ({ id, name })
+ */
+const EncryptionInfoModal = ({ isOpen, onClose, currentUserId, contact }) => {
+    const [safetyNumber, setSafetyNumber] = useState(null);
+    const [error, setError] = useState(null);
+    const [isLoading, setIsLoading] = useState(false);
+    const [copied, setCopied] = useState(false);
+
+    useEffect(() => {
+        if (!isOpen || !currentUserId || !contact?.id) return;
+
+        let cancelled = false;
+        setIsLoading(true);
+        setError(null);
+
+        encryptionService.getSafetyNumber(currentUserId, contact.id).then((result) => {
+            if (cancelled) return;
+            if (result.success) {
+                setSafetyNumber(result.groups);
+            } else {
+                setSafetyNumber(null);
+                setError(result.error);
+            }
+            setIsLoading(false);
+        });
+
+        return () => {
+            cancelled = true;
+        };
+    }, [isOpen, currentUserId, contact?.id]);
+
+    if (!isOpen) return null;
+
+    const handleCopy = async () => {
+        if (!safetyNumber) return;
+        try {
+            await navigator.clipboard.writeText(safetyNumber.join(' '));
+            setCopied(true);
+            setTimeout(() => setCopied(false), 2000);
+        } catch (err) {
+            console.error('Copy failed:', err);
+        }
+    };
+
+    return (
+        <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-[9999] animate-in fade-in duration-200">
+            <div className="bg-white dark:bg-wa-dark-paper rounded-lg shadow-2xl max-w-sm w-full mx-4 animate-in zoom-in duration-200">
+                {/* Header */}
+                <div className="flex items-center justify-between p-4 border-b border-gray-200 dark:border-gray-700">
+                    <h3 className="text-lg font-semibold text-gray-900 dark:text-gray-100">
+                        Verify security code
+                    </h3>
+                    <button
+                        onClick={onClose}
+                        className="p-1 hover:bg-gray-100 dark:hover:bg-gray-700 rounded-full transition-colors"
+                    >
+                        <X size={20} className="text-gray-500 dark:text-gray-400" />
+                    </button>
+                </div>
+
+                {/* Content */}
+                <div className="p-5 flex flex-col items-center gap-4">
+                    <div className="w-12 h-12 bg-wa-teal rounded-full flex items-center justify-center text-white">
+                        {safetyNumber ? <ShieldCheck size={24} /> : <Lock size={24} />}
+                    </div>
+
+                    {isLoading && (
+                        <p className="text-sm text-gray-500 dark:text-gray-400">Computing security code…</p>
+                    )}
+
+                    {!isLoading && error && (
+                        <p className="text-sm text-center text-gray-500 dark:text-gray-400">{error}</p>
+                    )}
+
+                    {!isLoading && safetyNumber && (
+                        <>
+                            <div className="grid grid-cols-4 gap-x-4 gap-y-2 font-mono text-lg text-[#111b21] dark:text-gray-100">
+                                {safetyNumber.map((group, index) => (
+                                    <span key={index}>{group}</span>
+                                ))}
+                            </div>
+                            <p className="text-xs text-center text-[#667781] dark:text-gray-400">
+                                Messages with {contact?.name || 'this contact'} are end-to-end encrypted.
+                                Compare these numbers with theirs in person or over a call to verify that no one is intercepting the chat.
+                            </p>
+                            <button
+                                onClick={handleCopy}
+                                className="flex items-center gap-2 px-4 py-2 text-wa-teal font-medium hover:bg-wa-grayBg dark:hover:bg-wa-dark-hover rounded-full transition-colors"
+                            >
+                                {copied ? <Check size={18} /> : <Copy size={18} />}
+                                {copied ? 'Copied' : 'Copy code'}
+                            </button>
+                        </>
+                    )}
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default EncryptionInfoModal;
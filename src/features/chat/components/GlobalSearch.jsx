@@ -0,0 +1,151 @@
+import React, { useMemo, useState } from 'react';
+import { useNavigate, useLocation } from 'react-router-dom';
+import { ArrowLeft, Search, Users, X } from 'lucide-react';
+import { useApp } from '../../../shared/context/AppContext';
+import { useGlobalMessageSearch } from '../../../shared/hooks/useWorkerSearch';
+import { formatTimestamp } from '../../../shared/utils/formatTime';
+
+/**
+ * Render a snippet with the matched words wrapped in <mark>
+ */
+const HighlightedSnippet = ({ snippet }) => {
+    const parts = [];
+    let cursor = 0;
+
+    snippet.highlights.forEach(([start, end], index) => {
+        if (start > cursor) parts.push(snippet.text.slice(cursor, start));
+        parts.push(
+            <mark key={index} className="bg-transparent text-wa-teal font-semibold">
+                {snippet.text.slice(start, end)}
+            </mark>
+        );
+        cursor = end;
+    });
+    if (cursor < snippet.text.length) parts.push(snippet.text.slice(cursor));
+
+    return <>{parts}</>;
+};
+
+/**
+ * GlobalSearch - Full-text search across messages in every chat
+ * Results come from the search worker's index and are grouped by chat
+ */
+const GlobalSearch = () => {
+    const navigate = useNavigate();
+    const location = useLocation();
+    const { chats, users, currentUser, hiddenMessages, isChatLockUnlocked } = useApp();
+    const [query, setQuery] = useState(location.state?.query || '');
+
+    const { results, isSearching } = useGlobalMessageSearch({ searchQuery: query });
+
+    const groupedResults = useMemo(() => {
+        const chatsById = new Map(chats.map(c => [c.id, c]));
+        const groups = new Map();
+
+        results.forEach((hit) => {
+            const chat = chatsById.get(hit.chatId);
+            if (!chat) return;
+            if (chat.isLocked && !isChatLockUnlocked) return;
+            if ((hiddenMessages[hit.chatId] || []).includes(hit.messageId)) return;
+
+            if (!groups.has(chat.id)) groups.set(chat.id, { chat, hits: [] });
+            groups.get(chat.id).hits.push(hit);
+        });
+
+        return Array.from(groups.values());
+    }, [results, chats, hiddenMessages, isChatLockUnlocked]);
+
+    const getSenderName = (senderId) => {
+        if (senderId === currentUser?.id) return 'You';
+        return users[senderId]?.name || '';
+    };
+
+    const openHit = (hit) => {
+        navigate(`/chat/${hit.chatId}`, { state: { highlightMessageId: hit.messageId } });
+    };
+
+    return (
+        <div className="flex flex-col h-full bg-white dark:bg-wa-dark-bg">
+            <div className="h-[60px] bg-wa-teal dark:bg-wa-dark-header flex items-center gap-3 px-4 text-white shrink-0 shadow-sm md:bg-wa-grayBg md:border-b md:border-wa-border md:dark:border-wa-dark-border md:text-black md:dark:text-white transition-colors">
+                <button onClick={() => navigate('/chats')} className="p-1 -ml-2 rounded-full active:bg-black/10">
+                    <ArrowLeft size={24} />
+                </button>
+                <input
+                    type="text"
+                    value={query}
+                    onChange={(e) => setQuery(e.target.value)}
+                    placeholder="Search messages..."
+                    className="flex-1 bg-transparent outline-none text-[17px] placeholder-white/70 md:placeholder-[#667781]"
+                    autoFocus
+                />
+                {query && (
+                    <button onClick={() => setQuery('')} className="p-1 rounded-full active:bg-black/10">
+                        <X size={20} />
+                    </button>
+                )}
+            </div>
+
+            <div className="flex-1 overflow-y-auto pb-4">
+                {groupedResults.length === 0 ? (
+                    <div className="flex flex-col items-center justify-center h-full text-[#667781] dark:text-gray-400 p-8 text-center">
+                        <div className="w-20 h-20 bg-wa-grayBg dark:bg-wa-dark-header rounded-full flex items-center justify-center mb-4">
+                            <Search size={32} className="opacity-40" />
+                        </div>
+                        <p className="text-sm">
+                            {!query.trim()
+                                ? 'Search for messages in all your chats'
+                                : isSearching ? 'Searching…' : `No messages found for "${query}"`}
+                        </p>
+                    </div>
+                ) : (
+                    groupedResults.map(({ chat, hits }) => {
+                        const user = users[chat.contactId];
+
+                        return (
+                            <div key={chat.id} className="border-b border-wa-border dark:border-wa-dark-border">
+                                <div className="flex items-center gap-3 px-4 pt-3 pb-1">
+                                    {chat.isGroup ? (
+                                        <div className="w-8 h-8 rounded-full bg-gray-200 dark:bg-gray-700 flex items-center justify-center">
+                                            <Users size={16} className="text-gray-500 dark:text-gray-400" />
+                                        </div>
+                                    ) : (
+                                        <img src={user?.avatar || 'https://picsum.photos/300'} alt={user?.name} className="w-8 h-8 rounded-full object-cover" />
+                                    )}
+                                    <h3 className="text-[15px] font-medium text-[#111b21] dark:text-gray-100 truncate">
+                                        {chat.isGroup ? chat.groupName : user?.name}
+                                    </h3>
+                                </div>
+
+                                {hits.map((hit) => {
+                                    const senderName = chat.isGroup || hit.senderId === currentUser?.id
+                                        ? getSenderName(hit.senderId)
+                                        : '';
+
+                                    return (
+                                        <div
+                                            key={hit.messageId}
+                                            onClick={() => openHit(hit)}
+                                            className="px-4 py-2 pl-[60px] hover:bg-wa-grayBg dark:hover:bg-wa-dark-hover cursor-pointer transition-colors"
+                                        >
+                                            <div className="flex justify-between items-center gap-2">
+                                                <p className="text-[14px] text-[#667781] dark:text-gray-400 line-clamp-2 break-words">
+                                                    {senderName && <span className="text-[#111b21] dark:text-gray-200">{senderName}: </span>}
+                                                    <HighlightedSnippet snippet={hit.snippet} />
+                                                </p>
+                                                <span className="text-[12px] text-[#667781] dark:text-gray-400 shrink-0">
+                                                    {formatTimestamp(hit.timestamp)}
+                                                </span>
+                                            </div>
+                                        </div>
+                                    );
+                                })}
+                            </div>
+                        );
+                    })
+                )}
+            </div>
+        </div>
+    );
+};
+
+export default GlobalSearch;
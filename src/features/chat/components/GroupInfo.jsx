@@ -8,6 +8,8 @@ import { formatTimestamp } from '../../../shared/utils/formatTime';
 import StatusViewer from '../../status/components/StatusViewer';
 import EditButton from '../../../shared/components/ui/EditButton';
 import groupInviteLinkService from '../../../services/GroupInviteLinkService';
+import GameLeaderboard from '../../games/components/GameLeaderboard';
+import TournamentPanel from '../../games/components/TournamentPanel';
 
 const THEME_COLORS = [
     { name: 'Default', value: '' },
@@ -22,7 +24,7 @@ const THEME_COLORS = [
 const GroupInfo = () => {
     const { chatId } = useParams();
     const navigate = useNavigate();
-    const { chats, messages, currentUser, currentUserId, users, updateChatTheme, toggleChatLock, toggleArchiveChat, securitySettings, chatDocuments, chatSettings, updateGroupRole, updateGroupSettings, addGroupParticipants, updateGroupInfo } = useApp();
+    const { chats, messages, currentUser, currentUserId, users, updateChatTheme, toggleChatLock, toggleArchiveChat, securitySettings, verifySecurityPin, chatDocuments, chatSettings, updateGroupRole, updateGroupSettings, addGroupParticipants, updateGroupInfo } = useApp();
 
     // Tab State
     const [topTab, setTopTab] = useState('public');
@@ -189,12 +191,10 @@ const GroupInfo = () => {
         setShowAuthModal(true);
     };
 
-    const handleAuthVerify = () => {
-        const requiredPin = authMode === 'private_tab'
-            ? (securitySettings.dailyLockPassword || '')
-            : (securitySettings.chatLockPassword || '');
+    const handleAuthVerify = async () => {
+        const result = await verifySecurityPin(authMode === 'private_tab' ? 'daily' : 'chat', authPin);
 
-        if (authPin === requiredPin) {
+        if (result.success) {
             if (authMode === 'private_tab') {
                 setIsPrivateUnlocked(true);
                 setTopTab('private');
@@ -209,7 +209,7 @@ const GroupInfo = () => {
                 }
             }
         } else {
-            setAuthError('Incorrect PIN');
+            setAuthError(result.error);
             setAuthPin('');
         }
     };
@@ -298,14 +298,14 @@ const GroupInfo = () => {
         }
     };
 
-    const verifyArchivePin = () => {
-        const requiredPin = securitySettings.archiveLockPassword || '0000';
-        if (archivePin === requiredPin) {
+    const verifyArchivePin = async () => {
+        const result = await verifySecurityPin('archive', archivePin, { defaultPin: '0000' });
+        if (result.success) {
             toggleArchiveChat(chatId);
             setShowArchiveModal(false);
             setArchivePin('');
         } else {
-            setArchiveError('Incorrect PIN');
+            setArchiveError(result.error);
             setArchivePin('');
         }
     };
@@ -1289,6 +1289,13 @@ const GroupInfo = () => {
                             </div>
                         )}
 
+                        {isGroup && (
+                            <>
+                                <GameLeaderboard chatId={chatId} memberIds={chat.groupParticipants || []} />
+                                <TournamentPanel chatId={chatId} memberIds={chat.groupParticipants || []} />
+                            </>
+                        )}
+
                         <div className="bg-white/90 dark:bg-wa-dark-header/90 backdrop-blur-sm mb-3 shadow-sm transition-colors px-6 py-6 rounded-lg">
                             {/* Theme Selectors */}
                             <div className="mb-8 mt-2">
@@ -1,45 +1,19 @@
 import React, { memo } from 'react';
-import { Check, CheckCheck, Reply, Languages, Pin, CheckSquare, Globe, Lock, Info, Mic } from 'lucide-react';
+import { Check, CheckCheck, Reply, Languages, Pin, CheckSquare, Globe, Lock, LockOpen, Info, Mic, Clock, AlertCircle } from 'lucide-react';
 import RichTextRenderer from '../../../shared/components/text/RichTextRenderer';
 import MediaCarousel from '../../../shared/components/media/MediaCarousel';
+import CachedImage from '../../../shared/components/media/CachedImage';
 import VideoMessage from '../../../shared/components/media/VideoMessage';
 import PollMessage from './message/PollMessage';
+import LinkPreview from './message/LinkPreview';
+import FailedMessageActions from './message/FailedMessageActions';
 import GameInviteBubble from '../../games/components/GameInviteBubble';
+import CorrespondenceGameBubble from '../../games/components/CorrespondenceGameBubble';
+import SnakeBoardBubble from '../../games/components/SnakeBoardBubble';
 import ReplyIndicator from './threading/ReplyIndicator';
 import ThreadPreview from './threading/ThreadPreview';
 
 
-/**
- * LinkPreview Component - Shows preview for URLs in messages
- */
-const LinkPreview = memo(({ text }) => {
-    const urlRegex = /(https?:\/\/[^\s]+)/g;
-    const match = text.match(urlRegex);
-    if (!match) return null;
-
-    const url = match[0];
-    const domain = new URL(url).hostname;
-
-    return (
-        <div className="mt-2 bg-black/5 dark:bg-white/5 rounded-lg overflow-hidden border border-black/10 dark:border-white/10 max-w-sm">
-            <div className="h-32 bg-gray-200 dark:bg-gray-700 relative">
-                <img
-                    src={`https://picsum.photos/seed/${domain}/400/200`}
-                    alt="Preview"
-                    className="w-full h-full object-cover"
-                />
-            </div>
-            <div className="p-2">
-                <h4 className="font-bold text-sm text-[#111b21] dark:text-gray-100 truncate">{domain}</h4>
-                <p className="text-xs text-[#667781] dark:text-gray-400 line-clamp-2">Check out this interesting link from {domain}. Click to read more about this content.</p>
-                <a href={url} target="_blank" rel="noopener noreferrer" className="text-xs text-blue-500 mt-1 block truncate">{url}</a>
-            </div>
-        </div>
-    );
-});
-
-LinkPreview.displayName = 'LinkPreview';
-
 /**
  * MessageReactions Component - Shows reactions on a message
  */
@@ -102,6 +76,10 @@ const MessageBubble = memo(({
                 <CheckCheck size={14} className="text-wa-blue" />
             ) : msg.status === 'delivered' ? (
                 <CheckCheck size={14} className="text-gray-400" />
+            ) : msg.status === 'queued' ? (
+                <Clock size={12} className="text-gray-400" />
+            ) : msg.status === 'failed' ? (
+                <AlertCircle size={14} className="text-red-500" />
             ) : (
                 <Check size={14} className="text-gray-400" />
             )
@@ -113,6 +91,7 @@ const MessageBubble = memo(({
 
     return (
         <div
+            id={`msg-${msg.id}`}
             className={`relative flex mb-3.5 md:mb-4 ${isMe ? 'justify-end' : 'justify-start'} ${isSelectionMode ? 'cursor-pointer hover:bg-blue-100/10 -mx-4 px-4 py-1' : ''} ${isSelected ? 'bg-blue-100/30 dark:bg-blue-900/20' : ''}`}
             onClick={onClick}
             onContextMenu={onContextMenu}
@@ -197,6 +176,10 @@ const MessageBubble = memo(({
                         <>
                             {msg.type === 'game_invite' ? (
                                 <GameInviteBubble message={msg} />
+                            ) : msg.type === 'snake_board' ? (
+                                <SnakeBoardBubble message={msg} />
+                            ) : msg.type === 'correspondence_game' ? (
+                                <CorrespondenceGameBubble message={msg} />
                             ) : msg.pollData ? (
                                 <PollMessage
                                     msg={msg}
@@ -225,7 +208,7 @@ const MessageBubble = memo(({
                                     className="rounded-lg overflow-hidden cursor-pointer relative max-w-[300px] md:max-w-[350px]"
                                     onClick={() => onViewMedia({ url: msg.mediaUrl, type: 'image' })}
                                 >
-                                    <img src={msg.mediaUrl} alt="Sent media" className="w-full max-h-[250px] md:max-h-[300px] object-cover rounded-lg" />
+                                    <CachedImage src={msg.mediaUrl} alt="Sent media" className="w-full max-h-[250px] md:max-h-[300px] object-cover rounded-lg" />
                                 </div>
                             ) : msg.mediaUrls && msg.mediaUrls.length > 0 ? (
                                 <MediaCarousel mediaUrls={msg.mediaUrls} onImageClick={(url) => onViewMedia({ url, type: 'image' })} />
@@ -256,7 +239,7 @@ const MessageBubble = memo(({
                                         <RichTextRenderer text={msg.text} />
                                     )}
 
-                                    <LinkPreview text={msg.text} />
+                                    <LinkPreview text={msg.text} previews={msg.linkPreviews} />
 
                                     {isTranslated && (
                                         <div className="mt-2 pt-1 border-t border-black/10 dark:border-white/10 animate-in fade-in duration-300">
@@ -270,8 +253,15 @@ const MessageBubble = memo(({
                                         </div>
                                     )}
 
-                                    <span className="inline-block w-16 h-3"></span>
+                                    <span className={`inline-block h-3 ${msg.unencrypted ? 'w-32' : 'w-16'}`}></span>
                                     <span className="absolute bottom-[-3px] right-0 flex items-center gap-1 text-[10px] text-gray-500 dark:text-gray-400 select-none whitespace-nowrap">
+                                        {/* Sent in plaintext: a participant had no encryption keys yet */}
+                                        {msg.unencrypted && (
+                                            <span className="flex items-center gap-0.5 text-amber-600 dark:text-amber-400 mr-1" title="Not end-to-end encrypted: someone in this chat hadn't set up encryption yet">
+                                                <LockOpen size={10} />
+                                                not encrypted
+                                            </span>
+                                        )}
                                         {msg.isEdited && <span className="italic mr-1">edited</span>}
                                         {formattedTime} <StatusIcon />
                                     </span>
@@ -284,6 +274,7 @@ const MessageBubble = memo(({
                 {/* Timestamp for Media (Overlay Style) */}
                 {isMediaMessage && !msg.isDeleted && (
                     <div className="absolute bottom-1 right-2 bg-black/40 text-white rounded-full px-1.5 py-0.5 backdrop-blur-sm flex items-center gap-1 select-none pointer-events-none z-10">
+                        {msg.unencrypted && <LockOpen size={10} className="text-amber-300" aria-label="Not end-to-end encrypted" />}
                         <span className="text-[10px] text-white/90">{formattedTime}</span>
                         {isMe && <CheckCheck size={14} className="text-white/90" />}
                     </div>
@@ -292,6 +283,11 @@ const MessageBubble = memo(({
                 {/* Reactions */}
                 <MessageReactions reactions={msg.reactions} />
 
+                {/* Dead-lettered by the outbox: tap to retry or delete */}
+                {isMe && msg.status === 'failed' && (
+                    <FailedMessageActions chatId={msg.chatId} messageId={msg.id} />
+                )}
+
                 {/* Thread Preview - Shows reply count if this message has replies */}
                 {msg.threadReplyCount > 0 && (
                     <div className="px-1 pb-1">
@@ -1,4 +1,4 @@
-import React, { useMemo } from 'react';
+import React, { useMemo, useRef, useLayoutEffect, useEffect } from 'react';
 import { Lock } from 'lucide-react';
 import MessageBubble from './MessageBubble';
 import { useMentions } from '../../../shared/hooks/useMentions';
@@ -29,9 +29,53 @@ const MessageList = ({
     messageRefs,
 
     // Chat object for per-chat themes
-    chat
+    chat,
+
+    // Backwards pagination
+    hasOlderMessages = false,
+    isLoadingOlder = false,
+    onLoadOlder
 }) => {
     const mentions = useMentions();
+    // Scroll position to restore once older messages are prepended
+    const scrollAnchorRef = useRef(null);
+    const firstMessageId = messages[0]?.id;
+
+    const requestOlder = () => {
+        const container = chatContainerRef.current;
+        if (!container || !onLoadOlder || !hasOlderMessages || isLoadingOlder || messageSearchQuery) return;
+        scrollAnchorRef.current = { firstMessageId, scrollHeight: container.scrollHeight, scrollTop: container.scrollTop };
+        onLoadOlder();
+    };
+
+    const handleScroll = (e) => {
+        if (e.currentTarget.scrollTop < 200) requestOlder();
+    };
+
+    // Keep the same messages in view when history is prepended above them
+    useLayoutEffect(() => {
+        const anchor = scrollAnchorRef.current;
+        const container = chatContainerRef.current;
+        if (!anchor || !container || anchor.firstMessageId === firstMessageId) return;
+
+        scrollAnchorRef.current = null;
+        container.scrollTo({
+            top: container.scrollHeight - anchor.scrollHeight + anchor.scrollTop,
+            behavior: 'instant'
+        });
+    }, [firstMessageId, chatContainerRef]);
+
+    useEffect(() => {
+        if (!isLoadingOlder && scrollAnchorRef.current?.firstMessageId === firstMessageId) {
+            scrollAnchorRef.current = null;
+        }
+    }, [isLoadingOlder, firstMessageId]);
+
+    // A short chat can't be scrolled, so keep paging until it fills the view
+    useEffect(() => {
+        const container = chatContainerRef.current;
+        if (container && container.scrollHeight <= container.clientHeight) requestOlder();
+    });
 
     // Group messages by date
     const groupedMessages = useMemo(() => {
@@ -105,8 +149,14 @@ const MessageList = ({
     };
 
     return (
-        <div className="flex-1 overflow-y-auto p-2 md:p-4 z-0 relative scroll-smooth" ref={chatContainerRef}>
-            {!messageSearchQuery && (
+        <div className="flex-1 overflow-y-auto p-2 md:p-4 z-0 relative scroll-smooth" ref={chatContainerRef} onScroll={handleScroll}>
+            {isLoadingOlder && (
+                <div className="flex justify-center py-2">
+                    <div className="w-5 h-5 border-2 border-wa-teal border-t-transparent rounded-full animate-spin" />
+                </div>
+            )}
+
+            {!messageSearchQuery && !hasOlderMessages && (
                 <div className="flex justify-center mb-6">
                     <div className="bg-[#FFEECD] dark:bg-[#1f2c34] text-[#54656f] dark:text-[#ffcc00] text-[10px] md:text-xs px-3 py-1.5 rounded-lg text-center shadow-sm max-w-[80%] flex items-center gap-1.5">
                         <Lock size={10} /> Messages and calls are end-to-end encrypted. No one outside of this chat, not even WhatsApp, can read or listen to them.
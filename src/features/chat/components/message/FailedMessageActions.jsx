@@ -0,0 +1,42 @@
+import React from 'react';
+import { AlertCircle, RotateCw, Trash2 } from 'lucide-react';
+import { useApp } from '../../../../shared/context/AppContext';
+
+/**
+ * FailedMessageActions - "Not sent" row under a dead-lettered message
+ *
+ * @param {Object} props
+ * @param {string} props.chatId - Chat ID
+ * @param {string} props.messageId - Message ID
+ */
+const FailedMessageActions = ({ chatId, messageId }) => {
+    const { retryFailedMessage, discardFailedMessage } = useApp();
+
+    return (
+        <div
+            className="flex items-center justify-end gap-3 mt-1 text-[12px] select-none"
+            onClick={(e) => e.stopPropagation()}
+        >
+            <span className="flex items-center gap-1 text-red-500">
+                <AlertCircle size={14} />
+                Not sent
+            </span>
+            <button
+                onClick={() => retryFailedMessage(messageId)}
+                className="flex items-center gap-1 text-wa-teal font-medium hover:underline"
+            >
+                <RotateCw size={12} />
+                Retry
+            </button>
+            <button
+                onClick={() => discardFailedMessage(chatId, messageId)}
+                className="flex items-center gap-1 text-[#667781] dark:text-gray-400 font-medium hover:underline"
+            >
+                <Trash2 size={12} />
+                Delete
+            </button>
+        </div>
+    );
+};
+
+export default FailedMessageActions;
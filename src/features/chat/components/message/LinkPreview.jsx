@@ -1,34 +1,112 @@
-import React from 'react';
-
-const LinkPreview = ({ text }) => {
-    const urlRegex = /(https?:\/\/[^\s]+)/g;
-    const match = text.match(urlRegex);
-    if (!match) return null;
-
-    const url = match[0];
-    let domain;
-    try {
-        domain = new URL(url).hostname;
-    } catch (e) {
-        return null;
+import React, { memo, useEffect, useState } from 'react';
+import { X } from 'lucide-react';
+import linkPreviewService from '../../../../services/LinkPreviewService';
+
+/**
+ * LinkPreviewCard - One unfurled link
+ *
+ * @param {Object} props
+ * @param {Object} props.preview - { url, title, description, image, siteName }
+ * @param {Function} props.onRemove - Optional; shows a remove button (composer)
+ * @param {boolean} props.compact - Small horizontal layout (composer)
+ */
+export const LinkPreviewCard = ({ preview, onRemove, compact = false }) => {
+    const [imageFailed, setImageFailed] = useState(false);
+    const showImage = preview.image && !imageFailed;
+
+    if (compact) {
+        return (
+            <div className="flex items-stretch bg-black/5 dark:bg-white/5 rounded-lg overflow-hidden border border-black/10 dark:border-white/10">
+                {showImage && (
+                    <img
+                        src={preview.image}
+                        alt=""
+                        onError={() => setImageFailed(true)}
+                        className="w-16 h-16 object-cover shrink-0"
+                    />
+                )}
+                <div className="flex-1 min-w-0 p-2">
+                    <h4 className="font-bold text-sm text-[#111b21] dark:text-gray-100 truncate">{preview.title}</h4>
+                    <p className="text-xs text-[#667781] dark:text-gray-400 truncate">{preview.description || preview.siteName}</p>
+                </div>
+                {onRemove && (
+                    <button
+                        onClick={onRemove}
+                        className="p-2 self-start text-[#54656f] dark:text-gray-400 hover:text-[#111b21] dark:hover:text-gray-200"
+                        aria-label="Remove link preview"
+                    >
+                        <X size={16} />
+                    </button>
+                )}
+            </div>
+        );
     }
 
     return (
-        <div className="mt-2 bg-black/5 dark:bg-white/5 rounded-lg overflow-hidden border border-black/10 dark:border-white/10 max-w-sm">
-            <div className="h-32 bg-gray-200 dark:bg-gray-700 relative">
-                <img
-                    src={`https://picsum.photos/seed/${domain}/400/200`}
-                    alt="Preview"
-                    className="w-full h-full object-cover"
-                />
-            </div>
+        <a
+            href={preview.url}
+            target="_blank"
+            rel="noopener noreferrer"
+            onClick={(e) => e.stopPropagation()}
+            className="mt-2 block bg-black/5 dark:bg-white/5 rounded-lg overflow-hidden border border-black/10 dark:border-white/10 max-w-sm"
+        >
+            {showImage && (
+                <div className="h-32 bg-gray-200 dark:bg-gray-700 relative">
+                    <img
+                        src={preview.image}
+                        alt=""
+                        loading="lazy"
+                        onError={() => setImageFailed(true)}
+                        className="w-full h-full object-cover"
+                    />
+                </div>
+            )}
             <div className="p-2">
-                <h4 className="font-bold text-sm text-[#111b21] dark:text-gray-100 truncate">{domain}</h4>
-                <p className="text-xs text-[#667781] dark:text-gray-400 line-clamp-2">Check out this interesting link from {domain}. Click to read more about this content.</p>
-                <a href={url} target="_blank" rel="noopener noreferrer" className="text-xs text-blue-500 mt-1 block truncate">{url}</a>
+                <h4 className="font-bold text-sm text-[#111b21] dark:text-gray-100 line-clamp-2">{preview.title}</h4>
+                {preview.description && (
+                    <p className="text-xs text-[#667781] dark:text-gray-400 line-clamp-2">{preview.description}</p>
+                )}
+                <span className="text-xs text-blue-500 mt-1 block truncate">{preview.siteName}</span>
             </div>
-        </div>
+        </a>
+    );
+};
+
+/**
+ * LinkPreview - Previews for the links in a message
+ * Uses the previews stored on the message; older messages without them are unfurled on demand
+ *
+ * @param {Object} props
+ * @param {string} props.text - Message text
+ * @param {Array} props.previews - msg.linkPreviews ([] means the sender removed the preview)
+ */
+const LinkPreview = ({ text, previews }) => {
+    const [fetched, setFetched] = useState([]);
+    const hasStored = Array.isArray(previews);
+
+    useEffect(() => {
+        if (hasStored || !text) return;
+
+        let cancelled = false;
+        linkPreviewService.getPreviewsForText(text).then((result) => {
+            if (!cancelled) setFetched(result);
+        });
+
+        return () => {
+            cancelled = true;
+        };
+    }, [text, hasStored]);
+
+    const items = hasStored ? previews : fetched;
+    if (items.length === 0) return null;
+
+    return (
+        <>
+            {items.map(preview => (
+                <LinkPreviewCard key={preview.url} preview={preview} />
+            ))}
+        </>
     );
 };
 
-export default LinkPreview;
+export default memo(LinkPreview);
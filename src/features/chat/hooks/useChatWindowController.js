@@ -3,6 +3,9 @@ import { useParams, useNavigate } from 'react-router-dom';
 import { useApp } from '../../../shared/context/AppContext';
 import { useCall } from '../../call/context/CallContext';
 import { useWorkerMessageSearch } from '../../../shared/hooks/useWorkerSearch';
+import { useDebounce } from '../../../shared/hooks/useDebounce';
+import linkPreviewService from '../../../services/LinkPreviewService';
+import messageStoreService from '../../../services/MessageStoreService';
 
 export const useChatWindowController = () => {
     const { chatId } = useParams();
@@ -12,10 +15,10 @@ export const useChatWindowController = () => {
     const {
         chats, messages, users, currentUser, addMessage, deleteMessages,
         togglePinMessage, addReaction, currentUserId, chatSettings,
-        toggleDateLock, securitySettings, drafts, setDraft, votePoll,
+        toggleDateLock, securitySettings, verifySecurityPin, drafts, setDraft, votePoll,
         setUserTyping, updateMessageStatus, markChatAsRead,
         onlineUsers, typingUsers, lastSeen, markMessageAsViewed, editMessage,
-        openGameInvite
+        openGameInvite, messagePagination, loadOlderMessages
     } = useApp();
     const { startCall } = useCall();
 
@@ -46,6 +49,10 @@ export const useChatWindowController = () => {
     const [lockError, setLockError] = useState('');
     const [editingMessage, setEditingMessage] = useState(null);
 
+    // Composer link previews
+    const [unfurled, setUnfurled] = useState({ urls: [], previews: [] });
+    const [dismissedPreviewUrls, setDismissedPreviewUrls] = useState(new Set());
+
     const messagesEndRef = useRef(null);
     const chatContainerRef = useRef(null);
 
@@ -54,6 +61,13 @@ export const useChatWindowController = () => {
     const rawChatMessages = useMemo(() => (chatId && messages[chatId]) ? messages[chatId] : [], [chatId, messages]);
     const contact = useMemo(() => chat ? (chat.isGroup ? null : users[chat.contactId]) : null, [chat, users]);
 
+    // Older history is paged in on scroll
+    const hasOlderMessages = Boolean(chatId && messagePagination[chatId]?.hasMoreOlder);
+    const isLoadingOlder = Boolean(chatId && messagePagination[chatId]?.isLoadingOlder);
+    const handleLoadOlder = useCallback(() => {
+        if (chatId) loadOlderMessages(chatId);
+    }, [chatId, loadOlderMessages]);
+
     // Use Worker for Message Filtering
     const { filteredMessages: chatMessages } = useWorkerMessageSearch({
         messages: rawChatMessages,
@@ -97,11 +111,18 @@ export const useChatWindowController = () => {
     }, [chatId, currentUserId, setDraft, setUserTyping]);
 
     // Effects
+    // Follow new messages only; paging in older ones must not jump to the bottom
+    const lastMessageId = chatMessages[chatMessages.length - 1]?.id;
     useEffect(() => {
         if (messagesEndRef.current && !messageSearchQuery) {
             messagesEndRef.current.scrollIntoView({ behavior: 'auto' });
         }
-    }, [chatMessages.length, chatId, messageSearchQuery]);
+    }, [lastMessageId, chatId, messageSearchQuery]);
+
+    // Recently viewed chats are what a cold start shows first
+    useEffect(() => {
+        if (chatId) messageStoreService.markChatViewed(chatId);
+    }, [chatId]);
 
     // Mark chat as read when opened and mark messages as read
     useEffect(() => {
@@ -120,6 +141,34 @@ export const useChatWindowController = () => {
         }
     }, [chatId, markChatAsRead, updateMessageStatus, currentUserId, chatMessages.length]);
 
+    // Unfurl links while typing (not when editing: edits keep the original previews)
+    const debouncedInputText = useDebounce(inputText, 500);
+    useEffect(() => {
+        const urls = editingMessage ? [] : linkPreviewService.extractUrls(debouncedInputText);
+        if (urls.length === 0) {
+            setUnfurled({ urls: [], previews: [] });
+            return;
+        }
+
+        let cancelled = false;
+        Promise.all(urls.map(url => linkPreviewService.getPreview(url))).then((previews) => {
+            if (!cancelled) setUnfurled({ urls, previews: previews.filter(Boolean) });
+        });
+
+        return () => {
+            cancelled = true;
+        };
+    }, [debouncedInputText, editingMessage]);
+
+    const visibleComposerPreviews = useMemo(
+        () => unfurled.previews.filter(p => !dismissedPreviewUrls.has(p.url) && inputText.includes(p.url)),
+        [unfurled, dismissedPreviewUrls, inputText]
+    );
+
+    const dismissComposerPreview = useCallback((url) => {
+        setDismissedPreviewUrls(prev => new Set(prev).add(url));
+    }, []);
+
     // Logic Handlers
     const handleSendMessage = useCallback((e) => {
         e?.preventDefault();
@@ -135,14 +184,23 @@ export const useChatWindowController = () => {
             editMessage(chatId, editingMessage.id, inputText);
             setEditingMessage(null);
         } else {
-            addMessage(chatId, inputText, 'text', replyTo?.id);
+            // Stored previews travel with the (encrypted) message; while still unfurling,
+            // leave them off so the bubble fetches them itself. [] records a removed preview.
+            const urls = linkPreviewService.extractUrls(inputText);
+            const isSettled = urls.every(url => unfurled.urls.includes(url));
+            const linkPreviews = urls.length > 0 && (isSettled || dismissedPreviewUrls.size > 0)
+                ? visibleComposerPreviews
+                : undefined;
+            addMessage(chatId, inputText, 'text', replyTo?.id, undefined, undefined, undefined, undefined, linkPreviews);
         }
 
         setInputText('');
+        setUnfurled({ urls: [], previews: [] });
+        setDismissedPreviewUrls(new Set());
         setDraft(chatId, ''); // Clear draft
         setReplyTo(null);
         setShowAttachMenu(false); // Close menu on send
-    }, [chatId, inputText, replyTo, editingMessage, editMessage, currentUserId, addMessage, setDraft, setUserTyping]);
+    }, [chatId, inputText, replyTo, editingMessage, editMessage, currentUserId, addMessage, setDraft, setUserTyping, unfurled, dismissedPreviewUrls, visibleComposerPreviews]);
 
     const handleKeyDown = useCallback((e) => {
         if (e.key === 'Enter' && !e.shiftKey) {
@@ -260,18 +318,18 @@ export const useChatWindowController = () => {
     }, []);
 
     // Date Lock Logic
-    const handleLockVerify = useCallback((e) => {
+    const handleLockVerify = useCallback(async (e) => {
         e.preventDefault();
-        const correctPin = securitySettings.dailyLockPassword || '1234';
-        if (lockPin === correctPin) {
+        const result = await verifySecurityPin('daily', lockPin, { defaultPin: '1234' });
+        if (result.success) {
             if (chatId && dateLockTarget) toggleDateLock(chatId, dateLockTarget);
             setDateLockTarget(null);
             setLockPin(''); // Clear PIN on successful unlock
         } else {
-            setLockError('Incorrect PIN');
+            setLockError(result.error);
             setLockPin('');
         }
-    }, [lockPin, chatId, dateLockTarget, securitySettings.dailyLockPassword, toggleDateLock]);
+    }, [lockPin, chatId, dateLockTarget, verifySecurityPin, toggleDateLock]);
 
     const navigateToChats = useCallback(() => navigate('/chats'), [navigate]);
     const navigateToInfo = useCallback(() => navigate(`/chat/${chatId}/info`), [navigate, chatId]);
@@ -309,6 +367,11 @@ export const useChatWindowController = () => {
         dateLockTarget, setDateLockTarget,
         lockPin, setLockPin,
         lockError, setLockError,
+        composerPreviews: visibleComposerPreviews,
+        dismissComposerPreview,
+        hasOlderMessages,
+        isLoadingOlder,
+        handleLoadOlder,
 
         // Refs
         messagesEndRef,
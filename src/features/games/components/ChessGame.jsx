@@ -1,14 +1,16 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import { Chess } from 'chess.js';
 import { useApp } from '../../../shared/context/AppContext';
-import { Clock, RotateCcw } from 'lucide-react';
-import { GAME_CONFIG, GAME_TYPES } from '../../../shared/constants/gameConstants';
+import { Clock, RotateCcw, Cpu, Mail } from 'lucide-react';
+import { DEFAULT_CHESS_TIME_CONTROL, CHESS_ENGINE_LEVELS } from '../../../shared/constants/gameConstants';
+import { chessEngineService } from '../../../services/ChessEngineService';
+import { getTimeControl, createClock, pressClock, MAX_LAG_COMPENSATION_MS } from '../../../shared/gameRules';
+import useGameTimer from '../hooks/useGameTimer';
 import ResponsiveGameContainer from '../../../shared/components/games/ResponsiveGameContainer';
 
 const ChessGame = ({ onMove, timeControl }) => {
-    const { activeGame, makeGameMove, currentUserId } = useApp();
-    const chessConfig = GAME_CONFIG[GAME_TYPES.CHESS];
-    const defaultTimeControl = timeControl || chessConfig.defaultTimeControl || 600; // Default 10 minutes (600 seconds)
+    const { activeGame, makeGameMove, endGame, currentUserId } = useApp();
+    const timeControlId = activeGame?.timeControl || timeControl || DEFAULT_CHESS_TIME_CONTROL;
     const [game, setGame] = useState(new Chess());
     const [selectedSquare, setSelectedSquare] = useState(null);
     const [possibleMoves, setPossibleMoves] = useState([]);
@@ -20,12 +22,32 @@ const ChessGame = ({ onMove, timeControl }) => {
     const [gameOver, setGameOver] = useState(false);
     const [turn, setTurn] = useState('w');
 
-    // Timer state
-    const [whiteTime, setWhiteTime] = useState(defaultTimeControl);
-    const [blackTime, setBlackTime] = useState(defaultTimeControl);
-    const [timerActive, setTimerActive] = useState(false);
+    // Correspondence games have days per move instead of a clock
+    const correspondence = activeGame?.correspondence || null;
+
+    // Clock: the referee's when the game is refereed, otherwise kept locally
+    const serverClock = activeGame?.gameState?.clock || null;
+    const [localClock, setLocalClock] = useState(() => createClock(getTimeControl(timeControlId)));
+    const clock = correspondence ? null : serverClock || localClock;
+    const { whiteTime, blackTime, timerActive, flaggedSide, formatTime } = useGameTimer(
+        clock,
+        serverClock ? activeGame.serverTimeOffset || 0 : 0
+    );
     const [timeExpired, setTimeExpired] = useState(null); // 'w' or 'b' if time expired
     const [winner, setWinner] = useState(null);
+    const flagHandledRef = useRef(false);
+    const flagClaimTimerRef = useRef(null);
+    const endGameTimerRef = useRef(null);
+
+    // Computer opponent
+    const vsComputer = Boolean(activeGame?.vsComputer);
+    const engineLevel = CHESS_ENGINE_LEVELS.find(level => level.id === activeGame?.engineLevel);
+    const [engineThinking, setEngineThinking] = useState(false);
+
+    useEffect(() => () => {
+        clearTimeout(flagClaimTimerRef.current);
+        clearTimeout(endGameTimerRef.current);
+    }, []);
 
     // Pieces Map for simple rendering
     const PIECES = {
@@ -33,38 +55,81 @@ const ChessGame = ({ onMove, timeControl }) => {
         'P': '♙', 'R': '♖', 'N': '♘', 'B': '♗', 'Q': '♕', 'K': '♔'
     };
 
-    // Timer countdown effect
+    // Flag fall
     useEffect(() => {
-        if (!timerActive || gameOver || timeExpired) return;
-
-        const interval = setInterval(() => {
-            if (turn === 'w') {
-                setWhiteTime(prev => {
-                    if (prev <= 1) {
-                        setTimeExpired('w');
-                        setGameOver(true);
-                        setWinner('Black');
-                        setTimerActive(false);
-                        return 0;
-                    }
-                    return prev - 1;
-                });
-            } else {
-                setBlackTime(prev => {
-                    if (prev <= 1) {
-                        setTimeExpired('b');
-                        setGameOver(true);
-                        setWinner('White');
-                        setTimerActive(false);
-                        return 0;
-                    }
-                    return prev - 1;
-                });
+        if (flaggedSide === null || gameOver || flagHandledRef.current) return;
+        flagHandledRef.current = true;
+
+        const flaggedColor = flaggedSide === 0 ? 'w' : 'b';
+        setTimeExpired(flaggedColor);
+        setGameOver(true);
+        setWinner(flaggedColor === 'w' ? 'Black' : 'White');
+        if (!activeGame) return;
+
+        if (serverClock) {
+            // The referee ends the game itself; claim only if its result hasn't arrived
+            flagClaimTimerRef.current = setTimeout(() => {
+                makeGameMove(activeGame.id, { action: { type: 'flag' } });
+            }, MAX_LAG_COMPENSATION_MS * 2);
+            return;
+        }
+
+        const opponent = activeGame.players?.find(p => p.color === (flaggedColor === 'w' ? 'black' : 'white'));
+        endGame(activeGame.id, { winner: opponent?.userId || null, reason: 'flag' });
+    }, [flaggedSide, gameOver, activeGame, serverClock, makeGameMove, endGame]);
+
+    /**
+     * Show the result of a finished position; games against the computer have no
+     * referee, so they are ended here once the result has been on screen for a moment.
+     */
+    const handleGameOver = (finishedGame) => {
+        const isDraw = !finishedGame.isCheckmate();
+        const winningColor = finishedGame.turn() === 'w' ? 'b' : 'w';
+        setGameOver(true);
+        setWinner(isDraw ? null : winningColor === 'w' ? 'White' : 'Black');
+        if (!vsComputer) return;
+
+        const gameId = activeGame.id;
+        const winningPlayer = activeGame.players?.find(p => p.color === (winningColor === 'w' ? 'white' : 'black'));
+        endGameTimerRef.current = setTimeout(() => {
+            endGame(gameId, {
+                winner: isDraw ? null : winningPlayer?.userId || null,
+                isDraw,
+                reason: isDraw ? 'draw' : 'checkmate'
+            });
+        }, 3000);
+    };
+
+    // Engine reply: the computer moves whenever it is its turn
+    useEffect(() => {
+        if (!vsComputer || gameOver || turn === playerColor) return;
+
+        let cancelled = false;
+        const fen = game.fen();
+        setEngineThinking(true);
+        chessEngineService.getBestMove(fen, activeGame.engineLevel).then(result => {
+            if (cancelled) return;
+            setEngineThinking(false);
+            if (!result.success) {
+                console.error('❌ [ChessGame] Engine move failed:', result.error);
+                return;
             }
-        }, 1000);
 
-        return () => clearInterval(interval);
-    }, [timerActive, turn, gameOver, timeExpired]);
+            const replyGame = new Chess(fen);
+            const move = replyGame.move(result.move);
+            makeGameMove(activeGame.id, {
+                fen: replyGame.fen(),
+                move,
+                turn: replyGame.turn(),
+                history: [...(activeGame.gameState?.history || []), move.san],
+                action: { type: 'move', from: move.from, to: move.to, promotion: move.promotion }
+            });
+        });
+
+        return () => {
+            cancelled = true;
+        };
+    }, [vsComputer, gameOver, turn, playerColor, game]);
 
     // Sync game state from activeGame updates (multiplayer)
     useEffect(() => {
@@ -74,6 +139,8 @@ const ChessGame = ({ onMove, timeControl }) => {
             setTurn(newGame.turn());
             setSelectedSquare(null);
             setPossibleMoves([]);
+            if (!serverClock) setLocalClock(prev => pressClock(prev, Date.now()));
+            if (vsComputer && newGame.isGameOver()) handleGameOver(newGame);
         }
     }, [activeGame?.gameState?.fen]);
 
@@ -121,19 +188,20 @@ const ChessGame = ({ onMove, timeControl }) => {
                     makeGameMove(activeGame.id, {
                         fen: newGame.fen(),
                         move: move,
-                        turn: newGame.turn()
+                        turn: newGame.turn(),
+                        // Refereed games keep their own history; local ones record it here
+                        ...(vsComputer && { history: [...(activeGame.gameState?.history || []), move.san] }),
+                        action: { type: 'move', from: move.from, to: move.to, promotion: move.promotion }
                     });
                 }
 
-                // Start timer on first move
-                if (!timerActive) {
-                    setTimerActive(true);
+                // The referee presses its own clock when the move arrives
+                if (!serverClock) {
+                    setLocalClock(prev => pressClock(prev, Date.now()));
                 }
 
                 if (newGame.isGameOver()) {
-                    setGameOver(true);
-                    setWinner(newGame.turn() === 'w' ? 'Black' : 'White');
-                    setTimerActive(false);
+                    handleGameOver(newGame);
                 }
             } else {
                 // If invalid move but clicking another own piece, select that instead
@@ -170,13 +238,7 @@ const ChessGame = ({ onMove, timeControl }) => {
             board.push(
                 <div
                     key={square}
-                    onClick={() => {
-                        handleSquareClick(square);
-                        // Start timer on first move
-                        if (!timerActive && game.history().length === 1) {
-                            startTimer();
-                        }
-                    }}
+                    onClick={() => handleSquareClick(square)}
                     className={`
                         w-[12.5%] aspect-square flex items-center justify-center text-3xl cursor-pointer relative select-none
                         ${isDark ? 'bg-[#769656]' : 'bg-[#eeeed2]'}
@@ -198,69 +260,91 @@ const ChessGame = ({ onMove, timeControl }) => {
         }
     }
 
-    const formatTime = (seconds) => {
-        const mins = Math.floor(seconds / 60);
-        const secs = seconds % 60;
-        return `${mins}:${secs.toString().padStart(2, '0')}`;
-    };
-
     const resetGame = () => {
+        clearTimeout(endGameTimerRef.current);
+        if (vsComputer && activeGame) {
+            chessEngineService.stop();
+            setEngineThinking(false);
+            makeGameMove(activeGame.id, {});
+        }
         setGame(new Chess());
         setSelectedSquare(null);
         setPossibleMoves([]);
         setGameOver(false);
         setWinner(null);
-        setWhiteTime(timeControl);
-        setBlackTime(timeControl);
-        setTimerActive(false);
+        setLocalClock(createClock(getTimeControl(timeControlId)));
         setTimeExpired(null);
+        flagHandledRef.current = false;
         setTurn('w');
     };
 
     return (
         <div className="flex flex-col items-center gap-4 w-full max-w-[500px] mx-auto p-4">
-            {/* Timer and Controls */}
-            <div className="w-full flex items-center justify-between bg-gray-100 dark:bg-gray-800 rounded-lg p-3 shadow-sm">
-                {/* White Timer */}
-                <div className={`flex items-center gap-2 px-3 py-2 rounded-lg transition-colors ${
-                    turn === 'w' && timerActive && !gameOver ? 'bg-white dark:bg-gray-700 ring-2 ring-blue-400' : 'bg-gray-50 dark:bg-gray-900'
-                }`}>
-                    <Clock size={18} className={whiteTime < 30 && timerActive && !timeExpired ? 'text-red-500 animate-pulse' : 'text-gray-600 dark:text-gray-300'} />
-                    <span className={`font-mono font-bold ${whiteTime < 30 && timerActive && !timeExpired ? 'text-red-600 dark:text-red-400' : 'text-gray-900 dark:text-white'}`}>
-                        {formatTime(whiteTime)}
+            {/* Timer and Controls (the move deadline in correspondence games) */}
+            {correspondence ? (
+                <div className="w-full flex items-center gap-2 bg-gray-100 dark:bg-gray-800 rounded-lg p-3 shadow-sm text-sm text-gray-700 dark:text-gray-200">
+                    <Mail size={18} className="text-wa-teal shrink-0" />
+                    <span>
+                        {turn === playerColor ? 'Your move' : `${turn === 'w' ? 'White' : 'Black'} to move`}
+                        {correspondence.moveDeadline && ` · by ${new Date(correspondence.moveDeadline).toLocaleString([], { dateStyle: 'medium', timeStyle: 'short' })}`}
                     </span>
-                    <span className="text-xs text-gray-500 dark:text-gray-400">White</span>
                 </div>
+            ) : (
+                <div className="w-full flex items-center justify-between bg-gray-100 dark:bg-gray-800 rounded-lg p-3 shadow-sm">
+                    {/* White Timer */}
+                    <div className={`flex items-center gap-2 px-3 py-2 rounded-lg transition-colors ${
+                        turn === 'w' && timerActive && !gameOver ? 'bg-white dark:bg-gray-700 ring-2 ring-blue-400' : 'bg-gray-50 dark:bg-gray-900'
+                    }`}>
+                        <Clock size={18} className={whiteTime < 30000 && timerActive && !timeExpired ? 'text-red-500 animate-pulse' : 'text-gray-600 dark:text-gray-300'} />
+                        <span className={`font-mono font-bold ${whiteTime < 30000 && timerActive && !timeExpired ? 'text-red-600 dark:text-red-400' : 'text-gray-900 dark:text-white'}`}>
+                            {formatTime(whiteTime)}
+                        </span>
+                        <span className="text-xs text-gray-500 dark:text-gray-400">White</span>
+                    </div>
 
-                {/* Reset Button */}
-                <button
-                    onClick={resetGame}
-                    className="p-2 hover:bg-gray-200 dark:hover:bg-gray-700 rounded-lg transition-colors"
-                    title="Reset Game"
-                >
-                    <RotateCcw size={20} className="text-gray-600 dark:text-gray-300" />
-                </button>
-
-                {/* Black Timer */}
-                <div className={`flex items-center gap-2 px-3 py-2 rounded-lg transition-colors ${
-                    turn === 'b' && timerActive && !gameOver ? 'bg-gray-900 dark:bg-gray-700 ring-2 ring-red-400' : 'bg-gray-800 dark:bg-gray-900'
-                }`}>
-                    <span className="text-xs text-gray-300 dark:text-gray-400">Black</span>
-                    <span className={`font-mono font-bold ${blackTime < 30 && timerActive && !timeExpired ? 'text-red-400 animate-pulse' : 'text-white'}`}>
-                        {formatTime(blackTime)}
-                    </span>
-                    <Clock size={18} className={blackTime < 30 && timerActive && !timeExpired ? 'text-red-400 animate-pulse' : 'text-gray-300'} />
+                    {/* Reset Button */}
+                    <button
+                        onClick={resetGame}
+                        className="p-2 hover:bg-gray-200 dark:hover:bg-gray-700 rounded-lg transition-colors"
+                        title="Reset Game"
+                    >
+                        <RotateCcw size={20} className="text-gray-600 dark:text-gray-300" />
+                    </button>
+
+                    {/* Black Timer */}
+                    <div className={`flex items-center gap-2 px-3 py-2 rounded-lg transition-colors ${
+                        turn === 'b' && timerActive && !gameOver ? 'bg-gray-900 dark:bg-gray-700 ring-2 ring-red-400' : 'bg-gray-800 dark:bg-gray-900'
+                    }`}>
+                        <span className="text-xs text-gray-300 dark:text-gray-400">Black</span>
+                        <span className={`font-mono font-bold ${blackTime < 30000 && timerActive && !timeExpired ? 'text-red-400 animate-pulse' : 'text-white'}`}>
+                            {formatTime(blackTime)}
+                        </span>
+                        <Clock size={18} className={blackTime < 30000 && timerActive && !timeExpired ? 'text-red-400 animate-pulse' : 'text-gray-300'} />
+                    </div>
                 </div>
-            </div>
+            )}
 
             {/* Game Status */}
             {gameOver && (
                 <div className="w-full bg-gradient-to-r from-yellow-400 to-yellow-600 text-white p-3 rounded-lg text-center font-bold animate-in zoom-in">
-                    {timeExpired ? `${winner} wins on time! ⏱️` : `${winner} wins!`}
+                    {timeExpired ? `${winner} wins on time! ⏱️` : winner ? `${winner} wins!` : 'Draw!'}
                 </div>
             )}
 
-            <h3 className="text-xl font-bold text-gray-900 dark:text-white">Chess</h3>
+            <h3 className="text-xl font-bold text-gray-900 dark:text-white">
+                Chess <span className="text-sm font-normal text-gray-500 dark:text-gray-400">
+                    {correspondence
+                        ? `${correspondence.daysPerMove} ${correspondence.daysPerMove === 1 ? 'day' : 'days'} per move`
+                        : getTimeControl(timeControlId).label}
+                </span>
+            </h3>
+            {vsComputer && (
+                <div className="flex items-center gap-2 text-sm text-gray-600 dark:text-gray-300">
+                    <Cpu size={16} />
+                    <span>Computer · {engineLevel?.name || 'Engine'}</span>
+                    {engineThinking && <span className="text-wa-teal animate-pulse">Thinking…</span>}
+                </div>
+            )}
             <div className="flex flex-wrap w-full max-w-[350px] shadow-lg border-4 border-[#3a3a3a]">
                 {board}
             </div>
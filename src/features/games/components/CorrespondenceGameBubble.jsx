@@ -0,0 +1,23 @@
+import React from 'react';
+import useCorrespondenceGame from '../hooks/useCorrespondenceGame';
+import CorrespondenceGameCard from './CorrespondenceGameCard';
+
+/**
+ * CorrespondenceGameBubble - The message a correspondence game was started with
+ * Follows the game's document, so the card always shows the current position.
+ */
+const CorrespondenceGameBubble = ({ message }) => {
+    const { game, loading } = useCorrespondenceGame(message.pollData?.gameId);
+
+    if (!game) {
+        return (
+            <p className="text-sm text-gray-500 dark:text-gray-400 italic px-1 py-2">
+                {loading ? 'Loading game…' : 'This game is no longer available'}
+            </p>
+        );
+    }
+
+    return <CorrespondenceGameCard game={game} />;
+};
+
+export default CorrespondenceGameBubble;
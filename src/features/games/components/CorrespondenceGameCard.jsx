@@ -0,0 +1,116 @@
+import React from 'react';
+import { Mail, Play, Flag } from 'lucide-react';
+import { useApp } from '../../../shared/context/AppContext';
+import { getGameIcon, getGameTitle } from '../../../shared/utils/gameUtils';
+import { CORRESPONDENCE_STATUS, getPlayerToMove } from '../../../shared/utils/correspondence';
+import SpectatorBoard from './SpectatorBoard';
+
+/**
+ * Time left to move, e.g. "2d 5h left"
+ */
+const formatTimeLeft = (deadline) => {
+    const ms = Date.parse(deadline) - Date.now();
+    if (ms <= 0) return 'Out of time';
+    const hours = Math.floor(ms / 3600000);
+    if (hours >= 24) return `${Math.floor(hours / 24)}d ${hours % 24}h left`;
+    return hours > 0 ? `${hours}h left` : `${Math.max(1, Math.floor(ms / 60000))}m left`;
+};
+
+/**
+ * CorrespondenceGameCard - A correspondence game in a chat
+ * The full card (with the board) is the game's message; `compact` is the one-line version
+ * pinned above the chat while the game runs.
+ */
+const CorrespondenceGameCard = ({ game, compact = false }) => {
+    const { openCorrespondenceGame, resignCorrespondenceGame, activeGame, users, currentUserId } = useApp();
+
+    const isPlayer = game.playerIds.includes(currentUserId);
+    const inProgress = game.status === CORRESPONDENCE_STATUS.IN_PROGRESS;
+    const toMove = getPlayerToMove(game);
+    const isOpen = activeGame?.id === game.id;
+    const getName = (userId) => (userId === currentUserId ? 'You' : users[userId]?.name || 'Player');
+
+    const getStatusText = () => {
+        if (!inProgress) {
+            if (game.result?.isDraw) return 'Draw';
+            const onTime = game.result?.reason === 'timeout' ? ' on time' : '';
+            return `🏆 ${getName(game.result?.winner)} won${onTime}`;
+        }
+        return toMove === currentUserId ? 'Your move' : `${getName(toMove)} to move`;
+    };
+
+    const playButton = isPlayer && inProgress && !isOpen && (
+        <button
+            onClick={() => openCorrespondenceGame(game)}
+            className={`rounded-lg font-bold text-sm bg-wa-teal text-white hover:bg-teal-600 transition-all flex items-center justify-center gap-2 ${
+                compact ? 'px-3 py-1' : 'w-full py-2 shadow-md'
+            }`}
+        >
+            <Play size={14} fill="currentColor" />
+            {toMove === currentUserId ? 'Play' : 'Open'}
+        </button>
+    );
+
+    if (compact) {
+        return (
+            <div className="flex items-center gap-3 px-3 py-2">
+                <span className="text-lg">{getGameIcon(game.gameType)}</span>
+                <div className="flex-1 min-w-0">
+                    <p className="text-sm text-[#111b21] dark:text-gray-100 truncate">
+                        {getGameTitle(game.gameType)} · <span className={toMove === currentUserId ? 'font-semibold text-wa-teal' : ''}>{getStatusText()}</span>
+                    </p>
+                    <p className="text-xs text-[#667781] dark:text-gray-400">{formatTimeLeft(game.moveDeadline)}</p>
+                </div>
+                {playButton}
+            </div>
+        );
+    }
+
+    return (
+        <div className="bg-white dark:bg-wa-dark-paper rounded-lg overflow-hidden shadow-sm max-w-[300px] border border-black/5 dark:border-white/5">
+            {/* Header */}
+            <div className="bg-gradient-to-r from-amber-500 to-wa-teal p-3 flex items-center justify-between text-white">
+                <div className="flex items-center gap-2">
+                    <Mail size={20} />
+                    <span className="font-bold text-sm tracking-wide">{getGameTitle(game.gameType)}</span>
+                </div>
+                <div className="text-[10px] font-medium bg-white/20 px-2 py-0.5 rounded-full">
+                    {game.daysPerMove} {game.daysPerMove === 1 ? 'day' : 'days'} / move
+                </div>
+            </div>
+
+            <div className="p-3 flex flex-col gap-3">
+                <p className="text-center text-sm font-medium text-[#111b21] dark:text-gray-100">
+                    {getName(game.playerIds[0])} vs {getName(game.playerIds[1])}
+                </p>
+
+                <div className="w-48 mx-auto">
+                    <SpectatorBoard gameType={game.gameType} gameState={game.state} />
+                </div>
+
+                <div className="text-center">
+                    <p className={`text-sm ${toMove === currentUserId ? 'font-semibold text-wa-teal' : 'text-[#111b21] dark:text-gray-100'}`}>
+                        {getStatusText()}
+                    </p>
+                    {inProgress && (
+                        <p className="text-xs text-gray-500 dark:text-gray-400 mt-1">
+                            Move by {new Date(game.moveDeadline).toLocaleString([], { dateStyle: 'medium', timeStyle: 'short' })} ({formatTimeLeft(game.moveDeadline)})
+                        </p>
+                    )}
+                </div>
+
+                {playButton}
+                {isPlayer && inProgress && (
+                    <button
+                        onClick={() => window.confirm('Resign this game?') && resignCorrespondenceGame(game.id)}
+                        className="w-full py-1.5 rounded-lg text-xs text-gray-500 dark:text-gray-400 hover:bg-gray-100 dark:hover:bg-gray-700 transition-colors flex items-center justify-center gap-1"
+                    >
+                        <Flag size={12} /> Resign
+                    </button>
+                )}
+            </div>
+        </div>
+    );
+};
+
+export default CorrespondenceGameCard;
@@ -5,6 +5,7 @@ import { useApp } from '../../../shared/context/AppContext';
 import useResponsive from '../../../shared/hooks/useResponsive';
 import GameFactory from './GameFactory';
 import GameSpectatorMode from './GameSpectatorMode';
+import PlayerDisconnectedBanner from './PlayerDisconnectedBanner';
 import GameChatPanel from './chat/GameChatPanel';
 import { GAME_CONFIG } from '../../../shared/constants/gameConstants';
 
@@ -184,9 +185,16 @@ const FloatingGameView = () => {
                             onClick={() => setSpectatorMode(!spectatorMode)}
                             className={`p-2 rounded-xl transition-colors ${spectatorMode ? 'bg-purple-500 text-white' : 'hover:bg-white/20'}`}
                             style={{ minWidth: '44px', minHeight: '44px' }}
-                            title="Toggle Spectator Mode"
+                            title="Spectators"
                         >
-                            <Eye size={20} strokeWidth={2.5} />
+                            <span className="relative">
+                                <Eye size={20} strokeWidth={2.5} />
+                                {activeGame.spectators?.length > 0 && (
+                                    <span className="absolute -top-2 -right-2 bg-purple-500 text-white text-[10px] font-bold rounded-full min-w-4 h-4 px-1 flex items-center justify-center">
+                                        {activeGame.spectators.length}
+                                    </span>
+                                )}
+                            </span>
                         </button>
                         {!dimensions.isFullscreen && (
                             <button 
@@ -211,7 +219,8 @@ const FloatingGameView = () => {
 
                 {/* Game Content */}
                 <div className="flex-1 flex flex-col bg-wa-grayBg dark:bg-[#0b141a] relative overflow-hidden">
-    
+                <PlayerDisconnectedBanner game={activeGame} />
+
                 {/* Content */}
                 <div className="flex-1 overflow-auto relative">
                     {spectatorMode && (
@@ -220,7 +229,19 @@ const FloatingGameView = () => {
                             onClose={() => setSpectatorMode(false)}
                         />
                     )}
-                    <GameFactory gameType={activeGame.type} />
+                    {activeGame.moveError && (
+                        <div className="absolute top-2 left-1/2 -translate-x-1/2 z-10 px-3 py-1.5 rounded-full bg-red-500 text-white text-xs font-medium shadow-lg">
+                            {activeGame.moveError.message}
+                        </div>
+                    )}
+                    {/* With bots on, they take every seat up to the game's maximum */}
+                    <GameFactory
+                        gameType={activeGame.type}
+                        numPlayers={activeGame.botDifficulty ? GAME_CONFIG[activeGame.type]?.maxPlayers : undefined}
+                        botDifficulty={activeGame.botDifficulty || undefined}
+                        houseRules={activeGame.houseRules || undefined}
+                        board={activeGame.snakeBoard || undefined}
+                    />
                 </div>
             </div>
 
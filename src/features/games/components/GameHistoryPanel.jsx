@@ -1,12 +1,41 @@
-import React from 'react';
+import React, { useState } from 'react';
 import { useApp } from '../../../shared/context/AppContext';
 import { useNavigate } from 'react-router-dom';
-import { Trophy, Gamepad2, X, TrendingUp } from 'lucide-react';
-import { getGameIcon, getGameTitle, getGameColor } from '../../../shared/utils/gameUtils';
+import { Trophy, Gamepad2, X, TrendingUp, History, FileInput } from 'lucide-react';
+import { getGameIcon, getGameTitle, getGameColor, calculatePlayerStats } from '../../../shared/utils/gameUtils';
+import { DEFAULT_POSITION } from 'chess.js';
+import ReplayEngine from '../../../services/ReplayEngine';
+import GameReplayViewer from './replay/GameReplayViewer';
+import { COMPUTER_PLAYER_ID } from '../../../shared/constants/gameConstants';
+import { isBotPlayer } from '../../../shared/gameRules';
 
 const GameHistoryPanel = ({ onClose }) => {
     const { gameHistory, users, currentUserId } = useApp();
     const navigate = useNavigate();
+    const [replayEngine, setReplayEngine] = useState(null);
+
+    const stats = calculatePlayerStats(gameHistory, currentUserId);
+
+    const getPlayerName = (userId) => (
+        userId === COMPUTER_PLAYER_ID ? 'Computer'
+            : isBotPlayer(userId) ? 'Bot'
+            : users[userId]?.name || 'Player'
+    );
+
+    // Chess games can be replayed, and an empty board takes imported PGN/FEN
+    if (replayEngine) {
+        return <GameReplayViewer engine={replayEngine} onClose={() => setReplayEngine(null)} />;
+    }
+
+    const analysisButton = (
+        <button
+            onClick={() => setReplayEngine(new ReplayEngine('chess', [], { fen: DEFAULT_POSITION }))}
+            className="p-2 hover:bg-gray-100 dark:hover:bg-gray-700 rounded-full transition-colors"
+            title="Analysis board (import PGN/FEN)"
+        >
+            <FileInput size={20} className="text-gray-600 dark:text-gray-400" />
+        </button>
+    );
 
     if (gameHistory.length === 0) {
         return (
@@ -17,9 +46,12 @@ const GameHistoryPanel = ({ onClose }) => {
                             <Trophy className="text-yellow-500" size={24} />
                             Game History
                         </h2>
-                        <button onClick={onClose} className="p-2 hover:bg-gray-100 dark:hover:bg-gray-700 rounded-full">
-                            <X size={20} />
-                        </button>
+                        <div className="flex items-center gap-1">
+                            {analysisButton}
+                            <button onClick={onClose} className="p-2 hover:bg-gray-100 dark:hover:bg-gray-700 rounded-full">
+                                <X size={20} />
+                            </button>
+                        </div>
                     </div>
                     <div className="text-center py-12 text-gray-500 dark:text-gray-400">
                         <Gamepad2 size={48} className="mx-auto mb-4 opacity-50" />
@@ -40,9 +72,12 @@ const GameHistoryPanel = ({ onClose }) => {
                         <Trophy className="text-yellow-500" size={24} />
                         Game History
                     </h2>
-                    <button onClick={onClose} className="p-2 hover:bg-gray-100 dark:hover:bg-gray-700 rounded-full transition-colors">
-                        <X size={20} className="text-gray-600 dark:text-gray-400" />
-                    </button>
+                    <div className="flex items-center gap-1">
+                        {analysisButton}
+                        <button onClick={onClose} className="p-2 hover:bg-gray-100 dark:hover:bg-gray-700 rounded-full transition-colors">
+                            <X size={20} className="text-gray-600 dark:text-gray-400" />
+                        </button>
+                    </div>
                 </div>
 
                 {/* Game List */}
@@ -50,7 +85,8 @@ const GameHistoryPanel = ({ onClose }) => {
                     {gameHistory.map((game, index) => {
                         const isWinner = game.result?.winner === currentUserId;
                         const isDraw = game.result?.isDraw;
-                        const winnerName = game.result?.winner ? users[game.result.winner]?.name : null;
+                        const winnerName = game.result?.winner ? getPlayerName(game.result.winner) : null;
+                        const ratingChange = game.ratingChanges?.[currentUserId];
 
                         return (
                             <div
@@ -83,6 +119,11 @@ const GameHistoryPanel = ({ onClose }) => {
                                         'bg-red-100 dark:bg-red-900/30 text-red-700 dark:text-red-400'
                                     }`}>
                                         {isWinner ? '🏆 Won' : isDraw ? '🤝 Draw' : '❌ Lost'}
+                                        {ratingChange && (
+                                            <span className="ml-1 font-mono font-normal">
+                                                {ratingChange.delta >= 0 ? '+' : ''}{ratingChange.delta}
+                                            </span>
+                                        )}
                                     </div>
                                 </div>
 
@@ -92,7 +133,7 @@ const GameHistoryPanel = ({ onClose }) => {
                                     <div className="flex gap-1 flex-wrap">
                                         {game.players.map((player, idx) => (
                                             <span key={idx} className="px-2 py-0.5 bg-white dark:bg-gray-700 rounded text-xs">
-                                                {player.userId === currentUserId ? 'You' : users[player.userId]?.name || 'Player'}
+                                                {player.userId === currentUserId ? 'You' : getPlayerName(player.userId)}
                                             </span>
                                         ))}
                                     </div>
@@ -104,6 +145,16 @@ const GameHistoryPanel = ({ onClose }) => {
                                         Winner: <span className="font-semibold text-gray-700 dark:text-gray-300">{winnerName}</span>
                                     </div>
                                 )}
+
+                                {game.type === 'chess' && game.moves?.length > 0 && (
+                                    <button
+                                        onClick={() => setReplayEngine(ReplayEngine.fromChessGame(game, getPlayerName))}
+                                        className="mt-3 w-full py-1.5 rounded-lg text-xs font-medium flex items-center justify-center gap-1.5 bg-white dark:bg-gray-700 hover:bg-gray-100 dark:hover:bg-gray-600 text-gray-700 dark:text-gray-300 transition-colors"
+                                    >
+                                        <History size={14} />
+                                        Replay & Analyse
+                                    </button>
+                                )}
                             </div>
                         );
                     })}
@@ -113,18 +164,24 @@ const GameHistoryPanel = ({ onClose }) => {
                 <div className="border-t border-gray-200 dark:border-gray-700 p-4 bg-gray-50 dark:bg-gray-800/30">
                     <div className="flex justify-around text-center">
                         <div>
-                            <div className="text-2xl font-bold text-gray-900 dark:text-white">{gameHistory.length}</div>
+                            <div className="text-2xl font-bold text-gray-900 dark:text-white">{stats.totalGames}</div>
                             <div className="text-xs text-gray-500 dark:text-gray-400">Total Games</div>
                         </div>
                         <div>
                             <div className="text-2xl font-bold text-green-600 dark:text-green-400">
-                                {gameHistory.filter(g => g.result?.winner === currentUserId).length}
+                                {stats.wins}
                             </div>
                             <div className="text-xs text-gray-500 dark:text-gray-400">Wins</div>
                         </div>
+                        <div>
+                            <div className="text-2xl font-bold text-gray-600 dark:text-gray-300">
+                                {stats.draws}
+                            </div>
+                            <div className="text-xs text-gray-500 dark:text-gray-400">Draws</div>
+                        </div>
                         <div>
                             <div className="text-2xl font-bold text-red-600 dark:text-red-400">
-                                {gameHistory.filter(g => g.result?.winner && g.result.winner !== currentUserId && !g.result.isDraw).length}
+                                {stats.losses}
                             </div>
                             <div className="text-xs text-gray-500 dark:text-gray-400">Losses</div>
                         </div>
@@ -1,16 +1,28 @@
 import React from 'react';
 import { useApp } from '../../../shared/context/AppContext';
-import { Gamepad2, Play, UserPlus } from 'lucide-react';
+import { Gamepad2, Play, UserPlus, Eye } from 'lucide-react';
+import { getTimeControl } from '../../../shared/gameRules';
+import { LUDO_HOUSE_RULES, DEFAULT_LUDO_HOUSE_RULES } from '../../../shared/constants/gameConstants';
+import useSpectatorCount from '../hooks/useSpectatorCount';
 
 const GameInviteBubble = ({ message }) => {
-    const { joinGame, currentUserId, users } = useApp();
+    const { joinGame, watchGame, activeGames, currentUserId, users } = useApp();
 
     // Extract payload from pollData (reused as payload) or equivalent
     const payload = message.pollData || {};
-    const { gameType, roomId, status, hostId } = payload;
+    const { gameType, roomId, status, hostId, timeControl, botDifficulty, houseRules, snakeBoard, tournament } = payload;
+    const houseRuleLabels = LUDO_HOUSE_RULES
+        .filter(rule => houseRules?.[rule.id] && !DEFAULT_LUDO_HOUSE_RULES[rule.id])
+        .map(rule => rule.label);
 
     const isMe = message.senderId === currentUserId;
     const isHost = hostId === currentUserId;
+    const spectatorCount = useSpectatorCount(payload.gameId);
+    // Games you play in open from the action button instead
+    const canWatch = spectatorCount.live && spectatorCount.allowed && !activeGames.has(payload.gameId);
+    // Tournament games are only for the two paired players
+    const canJoin = !tournament || payload.players?.includes(currentUserId);
+    const getName = (userId) => (userId === currentUserId ? 'You' : users[userId]?.name || 'Player');
 
     const getGameTitle = (type) => {
         switch (type) {
@@ -49,15 +61,47 @@ const GameInviteBubble = ({ message }) => {
 
                 <div className="text-center">
                     <h3 className="text-[#111b21] dark:text-gray-100 font-medium text-sm">
-                        {isMe ? 'You invited others to play' : `${users[message.senderId]?.name || 'Someone'} invited you to play`}
+                        {tournament
+                            ? `${getName(payload.players[0])} vs ${getName(payload.players[1])}`
+                            : isMe ? 'You invited others to play' : `${users[message.senderId]?.name || 'Someone'} invited you to play`}
                     </h3>
+                    {tournament && (
+                        <p className="text-xs font-medium text-wa-teal mt-1">
+                            🏆 {tournament.name} · Round {tournament.round}
+                        </p>
+                    )}
+                    {timeControl && (
+                        <p className="text-xs font-medium text-wa-teal mt-1">
+                            ⏱️ {getTimeControl(timeControl).label} ({getTimeControl(timeControl).category})
+                        </p>
+                    )}
+                    {houseRuleLabels.length > 0 && (
+                        <p className="text-xs text-gray-500 dark:text-gray-400 mt-1">
+                            📜 {houseRuleLabels.join(' · ')}
+                        </p>
+                    )}
+                    {snakeBoard?.name && (
+                        <p className="text-xs text-gray-500 dark:text-gray-400 mt-1">
+                            🪜 {snakeBoard.name} ({snakeBoard.size} × {snakeBoard.size})
+                        </p>
+                    )}
+                    {botDifficulty && (
+                        <p className="text-xs font-medium text-wa-teal mt-1">
+                            🤖 Bots fill empty seats ({botDifficulty})
+                        </p>
+                    )}
                     <p className="text-xs text-gray-500 dark:text-gray-400 mt-1">
-                        {status === 'pending' ? 'Waiting for players...' : 'Game in progress'}
+                        {status === 'pending' && !spectatorCount.live ? 'Waiting for players...' : 'Game in progress'}
                     </p>
+                    {spectatorCount.count > 0 && (
+                        <p className="text-xs font-medium text-purple-600 dark:text-purple-400 mt-1 flex items-center justify-center gap-1">
+                            <Eye size={12} /> {spectatorCount.count} watching
+                        </p>
+                    )}
                 </div>
 
                 {/* Action Button */}
-                {status === 'pending' && (
+                {status === 'pending' && canJoin && (
                     <button
                         onClick={handleJoin}
                         className={`w-full py-2 rounded-lg font-bold text-sm transition-all flex items-center justify-center gap-2 bg-wa-teal text-white hover:bg-teal-600 shadow-md hover:shadow-lg active:scale-95`}
@@ -70,7 +114,7 @@ const GameInviteBubble = ({ message }) => {
                         ) : (
                             <>
                                 <Play size={16} fill="currentColor" />
-                                Join Game
+                                {tournament ? 'Play' : 'Join Game'}
                             </>
                         )}
                     </button>
@@ -84,6 +128,15 @@ const GameInviteBubble = ({ message }) => {
                         <Gamepad2 size={16} /> Return to Game
                     </button>
                 )}
+
+                {canWatch && (
+                    <button
+                        onClick={() => watchGame(message.chatId, payload)}
+                        className="w-full py-2 rounded-lg font-bold text-sm border border-purple-500 text-purple-600 dark:text-purple-400 hover:bg-purple-50 dark:hover:bg-purple-900/20 transition-all flex items-center justify-center gap-2"
+                    >
+                        <Eye size={16} /> Watch
+                    </button>
+                )}
             </div>
 
             {/* Footer info */}
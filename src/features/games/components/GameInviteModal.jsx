@@ -1,6 +1,23 @@
-import React from 'react';
+import React, { useState, useEffect } from 'react';
 import { createPortal } from 'react-dom';
-import { X, Gamepad2, Dice5, Trophy } from 'lucide-react';
+import { X, Gamepad2, Dice5, Trophy, ArrowLeft, Clock, Cpu, Users, Bot, Share2, Mail } from 'lucide-react';
+import {
+    CHESS_TIME_CONTROLS,
+    DEFAULT_CHESS_TIME_CONTROL,
+    CHESS_ENGINE_LEVELS,
+    DEFAULT_CHESS_ENGINE_LEVEL,
+    BOT_DIFFICULTIES,
+    DEFAULT_BOT_DIFFICULTY,
+    LUDO_HOUSE_RULES,
+    DEFAULT_LUDO_HOUSE_RULES,
+    GAME_TYPES,
+    CORRESPONDENCE_GAME_TYPES,
+    CORRESPONDENCE_DAYS_PER_MOVE,
+    DEFAULT_CORRESPONDENCE_DAYS
+} from '../../../shared/constants/gameConstants';
+import { getGameTitle } from '../../../shared/utils/gameUtils';
+import { DEFAULT_SNAKE_BOARD } from '../../../shared/gameRules';
+import SnakeBoardEditor, { getSnakeBoardError } from './SnakeBoardEditor';
 
 
 
@@ -23,9 +40,388 @@ const GameOption = ({
     </button>
 );
 
-const GameInviteModal = ({ isOpen, isGroup, onClose, onSelectGame }) => {
+/**
+ * Describe a time control, e.g. "3 min + 2s per move"
+ */
+const describeTimeControl = ({ initialMs, incrementMs, delayMs }) => {
+    const base = `${initialMs / 60000} min`;
+    if (incrementMs) return `${base} + ${incrementMs / 1000}s per move`;
+    if (delayMs) return `${base}, ${delayMs / 1000}s delay`;
+    return base;
+};
+
+const TimeControlPicker = ({ selected, onSelect }) => {
+    const categories = [...new Set(CHESS_TIME_CONTROLS.map(tc => tc.category))];
+
+    return (
+        <div className="space-y-4 mb-6">
+            {categories.map(category => (
+                <div key={category}>
+                    <h3 className="text-xs font-medium uppercase tracking-wide text-[#667781] dark:text-gray-400 mb-2">{category}</h3>
+                    <div className="grid grid-cols-3 gap-2">
+                        {CHESS_TIME_CONTROLS.filter(tc => tc.category === category).map(tc => (
+                            <button
+                                key={tc.id}
+                                onClick={() => onSelect(tc.id)}
+                                title={describeTimeControl(tc)}
+                                className={`py-3 rounded-xl border text-sm font-medium transition-colors ${
+                                    selected === tc.id
+                                        ? 'bg-wa-teal text-white border-wa-teal'
+                                        : 'bg-gray-50 dark:bg-wa-dark-header border-gray-100 dark:border-gray-700 text-[#111b21] dark:text-gray-100 hover:bg-gray-100 dark:hover:bg-wa-dark-hover'
+                                }`}
+                            >
+                                {tc.label}
+                            </button>
+                        ))}
+                    </div>
+                </div>
+            ))}
+            <p className="text-xs text-center text-[#667781] dark:text-gray-400">
+                {describeTimeControl(CHESS_TIME_CONTROLS.find(tc => tc.id === selected))}
+            </p>
+        </div>
+    );
+};
+
+const OpponentPicker = ({ opponent, onSelectOpponent, engineLevel, onSelectLevel }) => (
+    <div className="mb-6">
+        <div className="grid grid-cols-2 gap-2 mb-3">
+            {[
+                { id: 'friend', label: 'Invite a friend', Icon: Users },
+                { id: 'computer', label: 'Play the computer', Icon: Cpu }
+            ].map(({ id, label, Icon }) => (
+                <button
+                    key={id}
+                    onClick={() => onSelectOpponent(id)}
+                    className={`py-3 rounded-xl border text-sm font-medium flex items-center justify-center gap-2 transition-colors ${
+                        opponent === id
+                            ? 'bg-wa-teal text-white border-wa-teal'
+                            : 'bg-gray-50 dark:bg-wa-dark-header border-gray-100 dark:border-gray-700 text-[#111b21] dark:text-gray-100 hover:bg-gray-100 dark:hover:bg-wa-dark-hover'
+                    }`}
+                >
+                    <Icon size={16} />
+                    {label}
+                </button>
+            ))}
+        </div>
+        {opponent === 'computer' && (
+            <div className="flex gap-1.5">
+                {CHESS_ENGINE_LEVELS.map(level => (
+                    <button
+                        key={level.id}
+                        onClick={() => onSelectLevel(level.id)}
+                        className={`flex-1 py-2 rounded-lg text-xs font-medium transition-colors ${
+                            engineLevel === level.id
+                                ? 'bg-wa-teal/15 text-wa-teal ring-1 ring-wa-teal'
+                                : 'bg-gray-50 dark:bg-wa-dark-header text-[#54656f] dark:text-gray-400 hover:bg-gray-100 dark:hover:bg-wa-dark-hover'
+                        }`}
+                    >
+                        {level.label}
+                    </button>
+                ))}
+            </div>
+        )}
+    </div>
+);
+
+/**
+ * Ludo lobbies seat up to 4; seats nobody has taken when the game starts can go to bots
+ */
+const BotSeatPicker = ({ fillWithBots, onToggle, difficulty, onSelectDifficulty }) => (
+    <div className="mb-6">
+        <button
+            onClick={() => onToggle(!fillWithBots)}
+            className={`w-full py-3 px-4 rounded-xl border text-sm font-medium flex items-center gap-3 transition-colors mb-3 ${
+                fillWithBots
+                    ? 'bg-wa-teal text-white border-wa-teal'
+                    : 'bg-gray-50 dark:bg-wa-dark-header border-gray-100 dark:border-gray-700 text-[#111b21] dark:text-gray-100 hover:bg-gray-100 dark:hover:bg-wa-dark-hover'
+            }`}
+        >
+            <Bot size={18} />
+            <span className="flex-1 text-left">Fill empty seats with bots</span>
+            <span className="text-xs">{fillWithBots ? 'On' : 'Off'}</span>
+        </button>
+        {fillWithBots && (
+            <div className="flex gap-1.5">
+                {BOT_DIFFICULTIES.map(level => (
+                    <button
+                        key={level.id}
+                        onClick={() => onSelectDifficulty(level.id)}
+                        className={`flex-1 py-2 rounded-lg text-xs font-medium transition-colors ${
+                            difficulty === level.id
+                                ? 'bg-wa-teal/15 text-wa-teal ring-1 ring-wa-teal'
+                                : 'bg-gray-50 dark:bg-wa-dark-header text-[#54656f] dark:text-gray-400 hover:bg-gray-100 dark:hover:bg-wa-dark-hover'
+                        }`}
+                    >
+                        {level.label}
+                    </button>
+                ))}
+            </div>
+        )}
+        <p className="text-xs text-center text-[#667781] dark:text-gray-400 mt-3">
+            {fillWithBots
+                ? 'The game starts once someone joins; bots take the seats still empty.'
+                : 'Up to 4 players can join.'}
+        </p>
+    </div>
+);
+
+const HouseRulesPicker = ({ rules, onChange }) => (
+    <div className="mb-6">
+        <h3 className="text-xs font-medium uppercase tracking-wide text-[#667781] dark:text-gray-400 mb-2">House Rules</h3>
+        <div className="space-y-1.5">
+            {LUDO_HOUSE_RULES.map(rule => (
+                <label
+                    key={rule.id}
+                    className="flex items-center gap-3 px-3 py-2 rounded-lg bg-gray-50 dark:bg-wa-dark-header cursor-pointer hover:bg-gray-100 dark:hover:bg-wa-dark-hover"
+                >
+                    <input
+                        type="checkbox"
+                        checked={rules[rule.id]}
+                        onChange={(e) => onChange({ ...rules, [rule.id]: e.target.checked })}
+                        className="accent-wa-teal w-4 h-4"
+                    />
+                    <div className="flex-1 min-w-0">
+                        <div className="text-sm text-[#111b21] dark:text-gray-100">{rule.label}</div>
+                        <div className="text-xs text-[#667781] dark:text-gray-400">{rule.description}</div>
+                    </div>
+                </label>
+            ))}
+        </div>
+    </div>
+);
+
+const GameInviteModal = ({ isOpen, isGroup, onClose, onSelectGame, onShareBoard }) => {
+    const [pickingTimeControl, setPickingTimeControl] = useState(false);
+    const [timeControl, setTimeControl] = useState(DEFAULT_CHESS_TIME_CONTROL);
+    const [opponent, setOpponent] = useState('friend');
+    const [engineLevel, setEngineLevel] = useState(DEFAULT_CHESS_ENGINE_LEVEL);
+    const [settingUpLudo, setSettingUpLudo] = useState(false);
+    const [fillWithBots, setFillWithBots] = useState(false);
+    const [botDifficulty, setBotDifficulty] = useState(DEFAULT_BOT_DIFFICULTY);
+    const [houseRules, setHouseRules] = useState(DEFAULT_LUDO_HOUSE_RULES);
+    const [settingUpSnake, setSettingUpSnake] = useState(false);
+    const [useCustomBoard, setUseCustomBoard] = useState(false);
+    const [customBoard, setCustomBoard] = useState({ ...DEFAULT_SNAKE_BOARD, name: 'My board' });
+    const [settingUpCorrespondence, setSettingUpCorrespondence] = useState(false);
+    const [correspondenceType, setCorrespondenceType] = useState(GAME_TYPES.CHESS);
+    const [daysPerMove, setDaysPerMove] = useState(DEFAULT_CORRESPONDENCE_DAYS);
+
+    useEffect(() => {
+        if (!isOpen) {
+            setPickingTimeControl(false);
+            setSettingUpLudo(false);
+            setSettingUpSnake(false);
+            setSettingUpCorrespondence(false);
+        }
+    }, [isOpen]);
+
     if (!isOpen) return null;
 
+    if (settingUpCorrespondence) {
+        const choiceClass = (selected) => `py-3 rounded-xl border text-sm font-medium transition-colors ${
+            selected
+                ? 'bg-wa-teal text-white border-wa-teal'
+                : 'bg-gray-50 dark:bg-wa-dark-header border-gray-100 dark:border-gray-700 text-[#111b21] dark:text-gray-100 hover:bg-gray-100 dark:hover:bg-wa-dark-hover'
+        }`;
+
+        return createPortal(
+            <div className="fixed inset-0 z-50 flex items-end md:items-center justify-center bg-black/60 backdrop-blur-sm animate-in fade-in duration-200">
+                <div className="bg-white dark:bg-wa-dark-paper w-full md:w-[450px] md:rounded-2xl rounded-t-2xl p-6 shadow-2xl animate-in slide-in-from-bottom-10 duration-300">
+                    <div className="flex items-center gap-2 mb-6">
+                        <button onClick={() => setSettingUpCorrespondence(false)} className="p-2 hover:bg-gray-100 dark:hover:bg-wa-dark-hover rounded-full transition-colors">
+                            <ArrowLeft size={24} className="text-[#54656f] dark:text-gray-400" />
+                        </button>
+                        <h2 className="flex-1 text-xl font-medium text-[#111b21] dark:text-gray-100">New Correspondence Game</h2>
+                        <button onClick={onClose} className="p-2 hover:bg-gray-100 dark:hover:bg-wa-dark-hover rounded-full transition-colors">
+                            <X size={24} className="text-[#54656f] dark:text-gray-400" />
+                        </button>
+                    </div>
+
+                    <div className="grid grid-cols-2 gap-2 mb-6">
+                        {CORRESPONDENCE_GAME_TYPES.map(type => (
+                            <button key={type} onClick={() => setCorrespondenceType(type)} className={choiceClass(correspondenceType === type)}>
+                                {getGameTitle(type)}
+                            </button>
+                        ))}
+                    </div>
+
+                    <h3 className="text-xs font-medium uppercase tracking-wide text-[#667781] dark:text-gray-400 mb-2">Days per move</h3>
+                    <div className="grid grid-cols-5 gap-2 mb-3">
+                        {CORRESPONDENCE_DAYS_PER_MOVE.map(days => (
+                            <button key={days} onClick={() => setDaysPerMove(days)} className={choiceClass(daysPerMove === days)}>
+                                {days}
+                            </button>
+                        ))}
+                    </div>
+                    <p className="text-xs text-center text-[#667781] dark:text-gray-400 mb-6">
+                        Play one move at a time. Whoever doesn't move within {daysPerMove} {daysPerMove === 1 ? 'day' : 'days'} loses.
+                    </p>
+
+                    <button
+                        onClick={() => onSelectGame(correspondenceType, { daysPerMove })}
+                        className="w-full py-3 rounded-full bg-wa-teal hover:bg-teal-600 text-white font-medium flex items-center justify-center gap-2 transition-colors"
+                    >
+                        <Mail size={18} />
+                        Start Game
+                    </button>
+                </div>
+            </div>,
+            document.body
+        );
+    }
+
+    if (settingUpSnake) {
+        const boardError = useCustomBoard ? getSnakeBoardError(customBoard) : null;
+
+        return createPortal(
+            <div className="fixed inset-0 z-50 flex items-end md:items-center justify-center bg-black/60 backdrop-blur-sm animate-in fade-in duration-200">
+                <div className="bg-white dark:bg-wa-dark-paper w-full md:w-[450px] md:rounded-2xl rounded-t-2xl p-6 shadow-2xl animate-in slide-in-from-bottom-10 duration-300">
+                    <div className="flex items-center gap-2 mb-6">
+                        <button onClick={() => setSettingUpSnake(false)} className="p-2 hover:bg-gray-100 dark:hover:bg-wa-dark-hover rounded-full transition-colors">
+                            <ArrowLeft size={24} className="text-[#54656f] dark:text-gray-400" />
+                        </button>
+                        <h2 className="flex-1 text-xl font-medium text-[#111b21] dark:text-gray-100">New Snake & Ladders Game</h2>
+                        <button onClick={onClose} className="p-2 hover:bg-gray-100 dark:hover:bg-wa-dark-hover rounded-full transition-colors">
+                            <X size={24} className="text-[#54656f] dark:text-gray-400" />
+                        </button>
+                    </div>
+
+                    <div className="grid grid-cols-2 gap-2 mb-4">
+                        {[
+                            { custom: false, label: 'Classic board' },
+                            { custom: true, label: 'Custom board' }
+                        ].map(({ custom, label }) => (
+                            <button
+                                key={label}
+                                onClick={() => setUseCustomBoard(custom)}
+                                className={`py-3 rounded-xl border text-sm font-medium transition-colors ${
+                                    useCustomBoard === custom
+                                        ? 'bg-wa-teal text-white border-wa-teal'
+                                        : 'bg-gray-50 dark:bg-wa-dark-header border-gray-100 dark:border-gray-700 text-[#111b21] dark:text-gray-100 hover:bg-gray-100 dark:hover:bg-wa-dark-hover'
+                                }`}
+                            >
+                                {label}
+                            </button>
+                        ))}
+                    </div>
+
+                    {useCustomBoard && (
+                        <div className="max-h-[55vh] overflow-y-auto">
+                            <SnakeBoardEditor board={customBoard} onChange={setCustomBoard} />
+                        </div>
+                    )}
+
+                    <div className="flex gap-2">
+                        {useCustomBoard && onShareBoard && (
+                            <button
+                                onClick={() => onShareBoard(customBoard)}
+                                disabled={!!boardError}
+                                className="flex-1 py-3 rounded-full border border-wa-teal text-wa-teal font-medium flex items-center justify-center gap-2 transition-colors hover:bg-wa-teal/10 disabled:opacity-50 disabled:cursor-not-allowed"
+                            >
+                                <Share2 size={18} />
+                                Share Board
+                            </button>
+                        )}
+                        <button
+                            onClick={() => onSelectGame('snake', useCustomBoard ? { board: customBoard } : {})}
+                            disabled={!!boardError}
+                            className="flex-1 py-3 rounded-full bg-wa-teal hover:bg-teal-600 text-white font-medium flex items-center justify-center gap-2 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+                        >
+                            <Gamepad2 size={18} />
+                            Send Invite
+                        </button>
+                    </div>
+                </div>
+            </div>,
+            document.body
+        );
+    }
+
+    if (settingUpLudo) {
+        return createPortal(
+            <div className="fixed inset-0 z-50 flex items-end md:items-center justify-center bg-black/60 backdrop-blur-sm animate-in fade-in duration-200">
+                <div className="bg-white dark:bg-wa-dark-paper w-full md:w-[450px] md:rounded-2xl rounded-t-2xl p-6 shadow-2xl animate-in slide-in-from-bottom-10 duration-300">
+                    <div className="flex items-center gap-2 mb-6">
+                        <button onClick={() => setSettingUpLudo(false)} className="p-2 hover:bg-gray-100 dark:hover:bg-wa-dark-hover rounded-full transition-colors">
+                            <ArrowLeft size={24} className="text-[#54656f] dark:text-gray-400" />
+                        </button>
+                        <h2 className="flex-1 text-xl font-medium text-[#111b21] dark:text-gray-100">New Ludo Game</h2>
+                        <button onClick={onClose} className="p-2 hover:bg-gray-100 dark:hover:bg-wa-dark-hover rounded-full transition-colors">
+                            <X size={24} className="text-[#54656f] dark:text-gray-400" />
+                        </button>
+                    </div>
+
+                    <div className="max-h-[60vh] overflow-y-auto">
+                        <BotSeatPicker
+                            fillWithBots={fillWithBots}
+                            onToggle={setFillWithBots}
+                            difficulty={botDifficulty}
+                            onSelectDifficulty={setBotDifficulty}
+                        />
+
+                        <HouseRulesPicker rules={houseRules} onChange={setHouseRules} />
+
+                        {houseRules.teamMode && !fillWithBots && (
+                            <p className="text-xs text-center text-[#667781] dark:text-gray-400 -mt-3 mb-4">
+                                Teams need 4 players: the game starts when the last seat is taken.
+                            </p>
+                        )}
+                    </div>
+
+                    <button
+                        onClick={() => onSelectGame('ludo', fillWithBots ? { houseRules, botDifficulty } : { houseRules })}
+                        className="w-full py-3 rounded-full bg-wa-teal hover:bg-teal-600 text-white font-medium flex items-center justify-center gap-2 transition-colors"
+                    >
+                        <Dice5 size={18} />
+                        Send Ludo Invite
+                    </button>
+                </div>
+            </div>,
+            document.body
+        );
+    }
+
+    if (pickingTimeControl) {
+        return createPortal(
+            <div className="fixed inset-0 z-50 flex items-end md:items-center justify-center bg-black/60 backdrop-blur-sm animate-in fade-in duration-200">
+                <div className="bg-white dark:bg-wa-dark-paper w-full md:w-[450px] md:rounded-2xl rounded-t-2xl p-6 shadow-2xl animate-in slide-in-from-bottom-10 duration-300">
+                    <div className="flex items-center gap-2 mb-6">
+                        <button onClick={() => setPickingTimeControl(false)} className="p-2 hover:bg-gray-100 dark:hover:bg-wa-dark-hover rounded-full transition-colors">
+                            <ArrowLeft size={24} className="text-[#54656f] dark:text-gray-400" />
+                        </button>
+                        <h2 className="flex-1 text-xl font-medium text-[#111b21] dark:text-gray-100">New Chess Game</h2>
+                        <button onClick={onClose} className="p-2 hover:bg-gray-100 dark:hover:bg-wa-dark-hover rounded-full transition-colors">
+                            <X size={24} className="text-[#54656f] dark:text-gray-400" />
+                        </button>
+                    </div>
+
+                    {!isGroup && (
+                        <OpponentPicker
+                            opponent={opponent}
+                            onSelectOpponent={setOpponent}
+                            engineLevel={engineLevel}
+                            onSelectLevel={setEngineLevel}
+                        />
+                    )}
+
+                    <TimeControlPicker selected={timeControl} onSelect={setTimeControl} />
+
+                    <button
+                        onClick={() => onSelectGame('chess', opponent === 'computer' && !isGroup
+                            ? { timeControl, opponent: 'computer', engineLevel }
+                            : { timeControl })}
+                        className="w-full py-3 rounded-full bg-wa-teal hover:bg-teal-600 text-white font-medium flex items-center justify-center gap-2 transition-colors"
+                    >
+                        <Clock size={18} />
+                        {opponent === 'computer' && !isGroup ? 'Start Game' : 'Send Chess Invite'}
+                    </button>
+                </div>
+            </div>,
+            document.body
+        );
+    }
+
     return createPortal(
         <div className="fixed inset-0 z-50 flex items-end md:items-center justify-center bg-black/60 backdrop-blur-sm animate-in fade-in duration-200">
             <div className="bg-white dark:bg-wa-dark-paper w-full md:w-[450px] md:rounded-2xl rounded-t-2xl p-6 shadow-2xl animate-in slide-in-from-bottom-10 duration-300">
@@ -44,7 +440,7 @@ const GameInviteModal = ({ isOpen, isGroup, onClose, onSelectGame }) => {
                             title="Chess"
                             desc="Play standard chess"
                             color="bg-purple-500"
-                            onClick={() => onSelectGame('chess')}
+                            onClick={() => setPickingTimeControl(true)}
                         />
                     )}
                     <GameOption
@@ -52,14 +448,14 @@ const GameInviteModal = ({ isOpen, isGroup, onClose, onSelectGame }) => {
                         title="Ludo"
                         desc="Classic board game"
                         color="bg-red-500"
-                        onClick={() => onSelectGame('ludo')}
+                        onClick={() => setSettingUpLudo(true)}
                     />
                     <GameOption
                         icon={<Gamepad2 size={24} />}
                         title="Snake & Ladders"
                         desc="Board game with snakes"
                         color="bg-green-500"
-                        onClick={() => onSelectGame('snake')}
+                        onClick={() => setSettingUpSnake(true)}
                     />
                     <GameOption
                         icon={<span className="text-xl font-bold">#</span>}
@@ -68,6 +464,15 @@ const GameInviteModal = ({ isOpen, isGroup, onClose, onSelectGame }) => {
                         color="bg-blue-600"
                         onClick={() => onSelectGame('tictactoe')}
                     />
+                    {!isGroup && (
+                        <GameOption
+                            icon={<Mail size={24} />}
+                            title="Correspondence"
+                            desc="A move at a time, over days"
+                            color="bg-amber-500"
+                            onClick={() => setSettingUpCorrespondence(true)}
+                        />
+                    )}
                 </div>
 
                 <p className="text-center text-xs text-[#667781] dark:text-gray-500">
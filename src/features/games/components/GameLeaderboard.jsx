@@ -0,0 +1,113 @@
+import React, { useState, useEffect } from 'react';
+import { Trophy, ChevronDown } from 'lucide-react';
+import { useApp } from '../../../shared/context/AppContext';
+import { GAME_TYPES } from '../../../shared/constants/gameConstants';
+import { getGameIcon, getGameTitle } from '../../../shared/utils/gameUtils';
+import gameStatsFirebaseService from '../../../services/firebase/GameStatsFirebaseService';
+
+const MEDALS = ['🥇', '🥈', '🥉'];
+
+/**
+ * GameLeaderboard - Group leaderboard per game type
+ * Members are ranked by rating; wins/draws/losses count this group's games only.
+ */
+const GameLeaderboard = ({ chatId, memberIds = [] }) => {
+    const { users, currentUser, currentUserId, gameHistory } = useApp();
+    const [isOpen, setIsOpen] = useState(false);
+    const [gameType, setGameType] = useState(GAME_TYPES.CHESS);
+    const [entries, setEntries] = useState([]);
+    const [loading, setLoading] = useState(false);
+
+    // Reload after a game in this group finishes
+    const latestGroupGameId = gameHistory.find(game => game.chatId === chatId)?.id;
+    const memberKey = memberIds.join(',');
+
+    useEffect(() => {
+        if (!isOpen || !chatId) return;
+
+        let cancelled = false;
+        setLoading(true);
+        gameStatsFirebaseService.getLeaderboard(chatId, memberIds, gameType)
+            .then(({ entries: leaderboard }) => {
+                if (!cancelled) setEntries(leaderboard);
+            })
+            .catch(error => console.error('Error loading leaderboard:', error))
+            .finally(() => {
+                if (!cancelled) setLoading(false);
+            });
+
+        return () => {
+            cancelled = true;
+        };
+    }, [isOpen, chatId, memberKey, gameType, latestGroupGameId]);
+
+    return (
+        <div className="bg-white/90 dark:bg-wa-dark-header/90 backdrop-blur-sm mb-3 shadow-sm transition-colors overflow-hidden rounded-lg">
+            <div
+                className="px-4 py-3 flex items-center justify-between border-b border-gray-100 dark:border-gray-800 cursor-pointer hover:bg-wa-grayBg/50 dark:hover:bg-wa-dark-hover/50"
+                onClick={() => setIsOpen(!isOpen)}
+            >
+                <h3 className="text-sm text-[#667781] dark:text-gray-400 font-medium flex items-center gap-2">
+                    Game Leaderboard
+                    <ChevronDown size={14} className={`transition-transform duration-200 ${isOpen ? 'rotate-180' : ''}`} />
+                </h3>
+                <Trophy size={20} className="text-[#667781] dark:text-gray-400" />
+            </div>
+
+            {isOpen && (
+                <div className="animate-in slide-in-from-top-2 duration-200">
+                    {/* Game Type Tabs */}
+                    <div className="flex gap-2 px-4 py-3 overflow-x-auto no-scrollbar">
+                        {Object.values(GAME_TYPES).map(type => (
+                            <button
+                                key={type}
+                                onClick={() => setGameType(type)}
+                                className={`px-3 py-1 rounded-full text-xs font-medium whitespace-nowrap transition-colors ${
+                                    gameType === type
+                                        ? 'bg-wa-teal text-white'
+                                        : 'bg-gray-100 dark:bg-gray-700 text-gray-600 dark:text-gray-300 hover:bg-gray-200 dark:hover:bg-gray-600'
+                                }`}
+                            >
+                                {getGameIcon(type)} {getGameTitle(type)}
+                            </button>
+                        ))}
+                    </div>
+
+                    {loading ? (
+                        <div className="px-6 py-6 text-center text-xs text-gray-400">Loading...</div>
+                    ) : entries.length === 0 ? (
+                        <div className="px-6 py-6 text-center text-xs text-gray-400 italic">
+                            No {getGameTitle(gameType)} games played in this group yet
+                        </div>
+                    ) : (
+                        entries.map((entry, index) => {
+                            const user = users[entry.userId] || (entry.userId === currentUserId ? currentUser : null);
+                            return (
+                                <div
+                                    key={entry.userId}
+                                    className={`flex items-center gap-4 px-6 py-3 ${entry.userId === currentUserId ? 'bg-wa-teal/5' : ''}`}
+                                >
+                                    <span className="w-6 text-center text-sm font-bold text-[#667781] dark:text-gray-400">
+                                        {MEDALS[index] || index + 1}
+                                    </span>
+                                    <img src={user?.avatar} alt="" className="w-9 h-9 rounded-full object-cover" />
+                                    <div className="flex-1 min-w-0">
+                                        <h3 className="text-sm text-[#111b21] dark:text-gray-100 truncate">
+                                            {user?.name || 'Player'} {entry.userId === currentUserId && '(You)'}
+                                        </h3>
+                                        <p className="text-xs text-[#667781] dark:text-gray-500">
+                                            {entry.wins}W · {entry.draws}D · {entry.losses}L
+                                        </p>
+                                    </div>
+                                    <span className="font-mono font-bold text-[#111b21] dark:text-gray-100">{entry.rating}</span>
+                                </div>
+                            );
+                        })
+                    )}
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default GameLeaderboard;
@@ -1,4 +1,4 @@
-import React, { useEffect } from 'react';
+import React, { useEffect, useRef } from 'react';
 import { useApp } from '../../../shared/context/AppContext';
 import { Gamepad2, Trophy, Users, XCircle } from 'lucide-react';
 import { getGameTitle} from '../../../shared/utils/gameUtils';
@@ -14,6 +14,8 @@ import { getGameTitle} from '../../../shared/utils/gameUtils';
 
 const GameNotifications = () => {
     const { activeGames, gameHistory, users, currentUserId } = useApp();
+    // The history entry is replaced once the match is stored, so notify once per game
+    const notifiedGameIdRef = useRef(null);
 
     useEffect(() => {
         // Listen for new game history entries
@@ -25,7 +27,8 @@ const GameNotifications = () => {
             const now = new Date();
             const timeDiff = (now - endedAt) / 1000; // in seconds
 
-            if (timeDiff < 2) {
+            if (timeDiff < 2 && notifiedGameIdRef.current !== latestGame.id) {
+                notifiedGameIdRef.current = latestGame.id;
                 // Show notification
                 const isWinner = latestGame.result?.winner === currentUserId;
                 const isDraw = latestGame.result?.isDraw;
@@ -1,149 +1,245 @@
-import React, { useState, useEffect } from 'react';
+import React from 'react';
 import { useApp } from '../../../shared/context/AppContext';
-import { Eye, Users, X } from 'lucide-react';
+import { Eye, Users, X, UserMinus } from 'lucide-react';
+import { SPECTATOR_DELAYS_MS, DEFAULT_SPECTATOR_DELAY_MS } from '../../../shared/constants/gameConstants';
+import { isBotPlayer } from '../../../shared/gameRules';
+import useSpectateGame from '../hooks/useSpectateGame';
+import SpectatorBoard from './SpectatorBoard';
+import SpectatorChatPanel from './chat/SpectatorChatPanel';
 
 /**
  * GameSpectatorMode Component
- * 
- * Allows users to watch ongoing games without participating.
- * Features:
- * - View-only mode with live game updates
- * - List of current spectators
- * - Join/leave spectator functionality
+ *
+ * Players: who's watching, allow/deny spectating, the spectator delay and removing spectators.
+ * Spectators (`watching` set): the game as spectators see it, after the players' delay,
+ * and the spectator chat.
  */
 
-const GameSpectatorMode = ({ game, onClose }) => {
-    const { users, currentUserId, activeGames } = useApp();
-    const [spectators, setSpectators] = useState([currentUserId]);
+const formatDelay = (delayMs) => (
+    delayMs === 0 ? 'No delay' : delayMs < 60000 ? `${delayMs / 1000} seconds` : `${delayMs / 60000} min`
+);
 
-    if (!game) return null;
+const SpectatorChip = ({ user, onRemove }) => (
+    <div className="flex items-center gap-1 bg-white dark:bg-gray-800 px-2 py-1 rounded-full text-xs">
+        <img
+            src={user?.avatar || 'https://via.placeholder.com/20'}
+            alt={user?.name}
+            className="w-4 h-4 rounded-full"
+        />
+        <span className="text-gray-700 dark:text-gray-300">
+            {user?.name || 'Someone'}
+        </span>
+        {onRemove && (
+            <button
+                onClick={onRemove}
+                className="p-0.5 hover:text-red-500 text-gray-400 transition-colors"
+                title="Remove from this game"
+            >
+                <UserMinus size={12} />
+            </button>
+        )}
+    </div>
+);
 
-    const isPlayer = game.players?.some(p => p.userId === currentUserId);
+const Header = ({ subtitle, onClose }) => (
+    <div className="bg-gradient-to-r from-purple-600 to-purple-700 p-4 flex items-center justify-between text-white shadow-lg">
+        <div className="flex items-center gap-2">
+            <Eye size={24} />
+            <div>
+                <h3 className="font-bold text-lg">Spectator Mode</h3>
+                <p className="text-xs text-purple-200">{subtitle}</p>
+            </div>
+        </div>
+        <button
+            onClick={onClose}
+            className="p-2 hover:bg-white/20 rounded-full transition-colors"
+        >
+            <X size={20} />
+        </button>
+    </div>
+);
+
+const SpectatorCount = ({ count }) => (
+    <div className="bg-purple-50 dark:bg-purple-900/20 border-b border-purple-200 dark:border-purple-800 px-4 py-2">
+        <div className="flex items-center gap-2 text-sm text-purple-700 dark:text-purple-300">
+            <Users size={16} />
+            <span className="font-medium">{count} watching</span>
+        </div>
+    </div>
+);
+
+/**
+ * Controls for the players of a game
+ */
+const PlayerControls = ({ game, onClose }) => {
+    const { users, setSpectatorSettings } = useApp();
+    const spectators = game.spectators || [];
+    const settings = game.spectatorSettings || { allowed: true, delayMs: DEFAULT_SPECTATOR_DELAY_MS };
 
     return (
-        <div className="absolute inset-0 bg-white/95 dark:bg-gray-900/95 backdrop-blur-sm z-20 flex flex-col">
-            {/* Header */}
-            <div className="bg-gradient-to-r from-purple-600 to-purple-700 p-4 flex items-center justify-between text-white shadow-lg">
-                <div className="flex items-center gap-2">
-                    <Eye size={24} />
-                    <div>
-                        <h3 className="font-bold text-lg">Spectator Mode</h3>
-                        <p className="text-xs text-purple-200">Watch only • No moves allowed</p>
-                    </div>
-                </div>
-                <button
-                    onClick={onClose}
-                    className="p-2 hover:bg-white/20 rounded-full transition-colors"
-                >
-                    <X size={20} />
-                </button>
+        <>
+            <Header subtitle="Choose who can watch your game" onClose={onClose} />
+            <SpectatorCount count={spectators.length} />
+
+            <div className="flex-1 overflow-auto p-4 space-y-4">
+                {game.vsComputer ? (
+                    <p className="text-sm text-center text-gray-600 dark:text-gray-400">
+                        Games against the computer are played on this device, so nobody can watch them.
+                    </p>
+                ) : (
+                    <>
+                        <label className="flex items-center justify-between bg-white dark:bg-gray-800 rounded-lg p-3">
+                            <div>
+                                <p className="font-semibold text-sm text-gray-900 dark:text-white">Allow spectators</p>
+                                <p className="text-xs text-gray-500">People in the chat can watch from the invite</p>
+                            </div>
+                            <input
+                                type="checkbox"
+                                checked={settings.allowed}
+                                onChange={(e) => setSpectatorSettings(game.id, { allowed: e.target.checked })}
+                                className="w-5 h-5 accent-purple-600"
+                            />
+                        </label>
+
+                        <div className="bg-white dark:bg-gray-800 rounded-lg p-3">
+                            <p className="font-semibold text-sm text-gray-900 dark:text-white">Spectator delay</p>
+                            <p className="text-xs text-gray-500 mb-2">Spectators see every move this late, so they can't help anyone</p>
+                            <div className="flex flex-wrap gap-2">
+                                {SPECTATOR_DELAYS_MS.map(delayMs => (
+                                    <button
+                                        key={delayMs}
+                                        onClick={() => setSpectatorSettings(game.id, { delayMs })}
+                                        disabled={!settings.allowed}
+                                        className={`px-3 py-1 rounded-full text-xs font-medium transition-colors disabled:opacity-50 ${
+                                            settings.delayMs === delayMs
+                                                ? 'bg-purple-600 text-white'
+                                                : 'bg-gray-100 dark:bg-gray-700 text-gray-700 dark:text-gray-300'
+                                        }`}
+                                    >
+                                        {formatDelay(delayMs)}
+                                    </button>
+                                ))}
+                            </div>
+                        </div>
+
+                        <div>
+                            <p className="text-xs font-semibold text-purple-700 dark:text-purple-300 mb-2">
+                                Spectators
+                            </p>
+                            {spectators.length === 0 ? (
+                                <p className="text-xs text-gray-500">Nobody is watching</p>
+                            ) : (
+                                <div className="flex flex-wrap gap-2">
+                                    {spectators.map(spectatorId => (
+                                        <SpectatorChip
+                                            key={spectatorId}
+                                            user={users[spectatorId]}
+                                            onRemove={() => setSpectatorSettings(game.id, { remove: spectatorId })}
+                                        />
+                                    ))}
+                                </div>
+                            )}
+                        </div>
+                    </>
+                )}
             </div>
+        </>
+    );
+};
 
-            {/* Spectator Count */}
-            <div className="bg-purple-50 dark:bg-purple-900/20 border-b border-purple-200 dark:border-purple-800 px-4 py-2">
-                <div className="flex items-center gap-2 text-sm text-purple-700 dark:text-purple-300">
-                    <Users size={16} />
-                    <span className="font-medium">{spectators.length} watching</span>
+/**
+ * Someone else's game, as its spectators see it
+ */
+const SpectatorView = ({ watching, onClose }) => {
+    const { users, currentUserId, currentUser } = useApp();
+    const { status, reason, gameState, gameOver, spectators, settings, chat, sendChat } =
+        useSpectateGame(watching.gameId, currentUser?.name);
+
+    if (status === 'denied' || status === 'ended') {
+        return (
+            <>
+                <Header subtitle="Watch only • No moves allowed" onClose={onClose} />
+                <div className="flex-1 flex flex-col items-center justify-center p-8 text-center">
+                    <Eye size={48} className="mb-4 text-purple-300" />
+                    <h4 className="text-lg font-bold text-gray-900 dark:text-white mb-2">
+                        {status === 'denied' ? "You can't watch this game" : 'You stopped watching'}
+                    </h4>
+                    <p className="text-sm text-gray-600 dark:text-gray-400">{reason}</p>
                 </div>
-            </div>
+            </>
+        );
+    }
+
+    const others = spectators.filter(id => id !== currentUserId);
+
+    return (
+        <>
+            <Header subtitle="Watch only • No moves allowed" onClose={onClose} />
+            <SpectatorCount count={spectators.length} />
 
-            {/* Game Content Area */}
-            <div className="flex-1 overflow-auto p-4">
+            <div className="flex-1 overflow-auto p-4 space-y-4">
                 {/* Players Info */}
-                <div className="mb-4 grid grid-cols-2 gap-3">
-                    {game.players?.map((player, idx) => {
-                        const user = users[player.userId];
-                        return (
+                {gameState && (
+                    <div className="grid grid-cols-2 gap-3">
+                        {gameState.players.map((playerId, idx) => (
                             <div
-                                key={idx}
+                                key={playerId}
                                 className="bg-gray-100 dark:bg-gray-800 rounded-lg p-3 flex items-center gap-2"
                             >
                                 <img
-                                    src={user?.avatar || 'https://via.placeholder.com/40'}
-                                    alt={user?.name || 'Player'}
+                                    src={users[playerId]?.avatar || 'https://via.placeholder.com/40'}
+                                    alt={users[playerId]?.name || 'Player'}
                                     className="w-8 h-8 rounded-full"
                                 />
-                                <div>
-                                    <p className="font-semibold text-sm text-gray-900 dark:text-white">
-                                        {user?.name || 'Player'}
-                                        {player.userId === currentUserId && ' (You)'}
-                                    </p>
-                                    <p className="text-xs text-gray-500">
-                                        {player.color || `Player ${idx + 1}`}
-                                    </p>
-                                </div>
+                                <p className="font-semibold text-sm text-gray-900 dark:text-white">
+                                    {isBotPlayer(playerId) ? 'Bot' : users[playerId]?.name || `Player ${idx + 1}`}
+                                </p>
                             </div>
-                        );
-                    })}
-                </div>
+                        ))}
+                    </div>
+                )}
 
-                {/* Spectator Mode Notice */}
-                <div className="text-center p-8 bg-purple-50 dark:bg-purple-900/10 rounded-lg border-2 border-dashed border-purple-300 dark:border-purple-700">
-                    <Eye size={48} className="mx-auto mb-4 text-purple-500" />
-                    <h4 className="text-lg font-bold text-gray-900 dark:text-white mb-2">
-                        Watching Game
-                    </h4>
-                    <p className="text-sm text-gray-600 dark:text-gray-400 max-w-md mx-auto">
-                        {isPlayer
-                            ? "You're a player in this game. Close spectator mode to make moves."
-                            : "You're spectating this game. Game moves will update in real-time."}
-                    </p>
-                    
-                    {/* Spectators List */}
-                    {spectators.length > 1 && (
-                        <div className="mt-4">
-                            <p className="text-xs font-semibold text-purple-700 dark:text-purple-300 mb-2">
-                                Other Spectators:
-                            </p>
-                            <div className="flex flex-wrap gap-2 justify-center">
-                                {spectators
-                                    .filter(id => id !== currentUserId)
-                                    .map(spectatorId => {
-                                        const spectator = users[spectatorId];
-                                        return (
-                                            <div
-                                                key={spectatorId}
-                                                className="flex items-center gap-1 bg-white dark:bg-gray-800 px-2 py-1 rounded-full text-xs"
-                                            >
-                                                <img
-                                                    src={spectator?.avatar || 'https://via.placeholder.com/20'}
-                                                    alt={spectator?.name}
-                                                    className="w-4 h-4 rounded-full"
-                                                />
-                                                <span className="text-gray-700 dark:text-gray-300">
-                                                    {spectator?.name}
-                                                </span>
-                                            </div>
-                                        );
-                                    })}
-                            </div>
-                        </div>
-                    )}
-                </div>
+                {status === 'joining' ? (
+                    <p className="text-center text-sm text-gray-500 py-10">Joining…</p>
+                ) : (
+                    <SpectatorBoard gameType={watching.gameType} gameState={gameState} />
+                )}
 
-                {/* Game State Info */}
-                <div className="mt-4 grid grid-cols-2 gap-2 text-center">
-                    <div className="bg-white dark:bg-gray-800 rounded-lg p-3">
-                        <p className="text-xs text-gray-500 dark:text-gray-400">Game Type</p>
-                        <p className="text-lg font-bold text-gray-900 dark:text-white capitalize">
-                            {game.type}
-                        </p>
-                    </div>
-                    <div className="bg-white dark:bg-gray-800 rounded-lg p-3">
-                        <p className="text-xs text-gray-500 dark:text-gray-400">Status</p>
-                        <p className="text-lg font-bold text-green-600 dark:text-green-400 capitalize">
-                            {game.status}
-                        </p>
+                <p className="text-xs text-center text-purple-700 dark:text-purple-300">
+                    {gameOver
+                        ? 'The game is over'
+                        : settings.delayMs > 0
+                            ? `⏱️ Moves appear ${formatDelay(settings.delayMs)} after they're played`
+                            : '⏱️ Moves appear as they are played'}
+                </p>
+
+                {others.length > 0 && (
+                    <div className="flex flex-wrap gap-2 justify-center">
+                        {others.map(spectatorId => (
+                            <SpectatorChip key={spectatorId} user={users[spectatorId]} />
+                        ))}
                     </div>
-                </div>
-            </div>
+                )}
 
-            {/* Footer */}
-            <div className="border-t border-gray-200 dark:border-gray-700 p-4 bg-gray-50 dark:bg-gray-800">
-                <p className="text-xs text-center text-gray-500 dark:text-gray-400">
-                    💡 Tip: Game updates will appear automatically as players make moves
-                </p>
+                <SpectatorChatPanel
+                    messages={chat}
+                    currentUserId={currentUserId}
+                    onSend={sendChat}
+                    disabled={status !== 'watching'}
+                />
             </div>
+        </>
+    );
+};
+
+const GameSpectatorMode = ({ game, watching, onClose }) => {
+    if (!game && !watching) return null;
+
+    return (
+        <div className="absolute inset-0 bg-white/95 dark:bg-gray-900/95 backdrop-blur-sm z-20 flex flex-col">
+            {watching
+                ? <SpectatorView watching={watching} onClose={onClose} />
+                : <PlayerControls game={game} onClose={onClose} />}
         </div>
     );
 };
@@ -1,20 +1,49 @@
-import React from 'react';
+import React, { useEffect, useRef } from 'react';
 import { useApp } from '../../../shared/context/AppContext';
 import GameInviteModal from './GameInviteModal';
 import FloatingGameView from './FloatingGameView';
 import GameNotifications from './GameNotifications';
+import GameSpectatorMode from './GameSpectatorMode';
 
 const GlobalGameUI = () => {
-    const { isGameInviteOpen, closeGameInvite, inviteToGame, inviteOptions } = useApp();
-    const handleGameSelect = (type) => {
-        if (inviteOptions.chatId) {
-            inviteToGame(inviteOptions.chatId, type);
+    const {
+        isGameInviteOpen, closeGameInvite, inviteToGame, startComputerGame, startCorrespondenceGame, shareSnakeBoard,
+        inviteOptions, spectatingGame, stopWatching, currentUser, resumeGames
+    } = useApp();
+
+    // Rejoin the games that were running when the app was last closed or reloaded
+    const resumedFor = useRef(null);
+    useEffect(() => {
+        if (!currentUser?.id || resumedFor.current === currentUser.id) return;
+        resumedFor.current = currentUser.id;
+        resumeGames();
+    }, [currentUser?.id, resumeGames]);
+
+    const handleGameSelect = (type, gameOptions) => {
+        if (gameOptions?.opponent === 'computer') {
+            startComputerGame(type, gameOptions);
+        } else if (gameOptions?.daysPerMove && inviteOptions.chatId && inviteOptions.opponentId) {
+            startCorrespondenceGame(inviteOptions.chatId, type, {
+                opponentId: inviteOptions.opponentId,
+                daysPerMove: gameOptions.daysPerMove
+            });
+        } else if (inviteOptions.chatId) {
+            inviteToGame(inviteOptions.chatId, type, gameOptions);
         } else {
             console.error("Game initialization failed: Missing chat context");
             closeGameInvite();
         }
     };
 
+    const handleShareBoard = (board) => {
+        if (inviteOptions.chatId) {
+            shareSnakeBoard(inviteOptions.chatId, board);
+        } else {
+            console.error("Sharing board failed: Missing chat context");
+            closeGameInvite();
+        }
+    };
+
     return (
         <>
             <GameInviteModal
@@ -22,8 +51,18 @@ const GlobalGameUI = () => {
                 isGroup={inviteOptions.isGroup}
                 onClose={closeGameInvite}
                 onSelectGame={handleGameSelect}
+                onShareBoard={handleShareBoard}
             />
             <FloatingGameView />
+            {spectatingGame && (
+                <div className="fixed inset-0 md:inset-auto md:bottom-4 md:left-4 md:w-[420px] md:h-[80vh] z-50 md:rounded-2xl overflow-hidden shadow-2xl">
+                    <GameSpectatorMode
+                        key={spectatingGame.gameId}
+                        watching={spectatingGame}
+                        onClose={stopWatching}
+                    />
+                </div>
+            )}
             <GameNotifications />
         </>
     );
@@ -0,0 +1,105 @@
+import React, { useState, useEffect } from 'react';
+import { Swords } from 'lucide-react';
+import { useApp } from '../../../shared/context/AppContext';
+import { getGameIcon, getGameTitle } from '../../../shared/utils/gameUtils';
+import gameStatsFirebaseService from '../../../services/firebase/GameStatsFirebaseService';
+
+const RECENT_MATCHES = 5;
+
+/**
+ * HeadToHeadCard - Games between the current user and another user
+ * Shows the overall record, the record and both ratings per game type, and recent results.
+ */
+const HeadToHeadCard = ({ opponentId, opponentName }) => {
+    const { currentUserId, gameHistory } = useApp();
+    const [record, setRecord] = useState(null);
+    const [ratings, setRatings] = useState({ mine: {}, theirs: {} });
+
+    const latestGameId = gameHistory[0]?.id;
+
+    useEffect(() => {
+        if (!currentUserId || !opponentId) return;
+
+        let cancelled = false;
+        Promise.all([
+            gameStatsFirebaseService.getHeadToHead(currentUserId, opponentId),
+            gameStatsFirebaseService.getUserRatings(currentUserId),
+            gameStatsFirebaseService.getUserRatings(opponentId)
+        ])
+            .then(([headToHead, mine, theirs]) => {
+                if (cancelled) return;
+                setRecord(headToHead.record);
+                setRatings({ mine: mine.ratings, theirs: theirs.ratings });
+            })
+            .catch(error => console.error('Error loading head-to-head record:', error));
+
+        return () => {
+            cancelled = true;
+        };
+    }, [currentUserId, opponentId, latestGameId]);
+
+    if (!record || record.played === 0) return null;
+
+    const resultLabel = (match) => (
+        match.result?.isDraw ? { text: 'Draw', className: 'text-gray-500' }
+            : match.result?.winner === currentUserId ? { text: 'Won', className: 'text-green-600 dark:text-green-400' }
+            : { text: 'Lost', className: 'text-red-600 dark:text-red-400' }
+    );
+
+    return (
+        <div className="mt-8 border-t border-gray-200 dark:border-gray-700 pt-6 px-6">
+            <h3 className="text-lg font-semibold text-gray-900 dark:text-gray-100 mb-4 flex items-center gap-2">
+                <Swords size={20} />
+                Head to Head
+            </h3>
+
+            {/* Overall Record */}
+            <div className="flex justify-around text-center mb-4 p-4 bg-gray-50 dark:bg-gray-800 rounded-xl">
+                <div>
+                    <div className="text-2xl font-bold text-green-600 dark:text-green-400">{record.wins}</div>
+                    <div className="text-xs text-gray-500 dark:text-gray-400">Your wins</div>
+                </div>
+                <div>
+                    <div className="text-2xl font-bold text-gray-600 dark:text-gray-300">{record.draws}</div>
+                    <div className="text-xs text-gray-500 dark:text-gray-400">Draws</div>
+                </div>
+                <div>
+                    <div className="text-2xl font-bold text-red-600 dark:text-red-400">{record.losses}</div>
+                    <div className="text-xs text-gray-500 dark:text-gray-400">{opponentName}'s wins</div>
+                </div>
+            </div>
+
+            {/* Per Game Type */}
+            <div className="space-y-2 mb-4">
+                {Object.entries(record.byGameType).map(([type, typeRecord]) => (
+                    <div key={type} className="flex items-center justify-between text-sm">
+                        <span className="text-gray-900 dark:text-gray-100">
+                            {getGameIcon(type)} {getGameTitle(type)}
+                        </span>
+                        <span className="text-gray-500 dark:text-gray-400">
+                            {typeRecord.wins}–{typeRecord.draws}–{typeRecord.losses}
+                        </span>
+                        <span className="font-mono text-xs text-gray-500 dark:text-gray-400">
+                            {ratings.mine[type]?.rating ?? '–'} vs {ratings.theirs[type]?.rating ?? '–'}
+                        </span>
+                    </div>
+                ))}
+            </div>
+
+            {/* Recent Matches */}
+            <div className="space-y-1">
+                {record.matches.slice(0, RECENT_MATCHES).map(match => {
+                    const label = resultLabel(match);
+                    return (
+                        <div key={match.id} className="flex items-center justify-between text-xs text-gray-500 dark:text-gray-400">
+                            <span>{getGameIcon(match.type)} {new Date(match.endedAt).toLocaleDateString()}</span>
+                            <span className={`font-medium ${label.className}`}>{label.text}</span>
+                        </div>
+                    );
+                })}
+            </div>
+        </div>
+    );
+};
+
+export default HeadToHeadCard;
@@ -3,7 +3,15 @@ import { motion } from 'framer-motion';
 import { RotateCcw } from 'lucide-react';
 import useGameLogic from '../hooks/useGameLogic';
 import { gameService } from '../../../services/GameService';
-import { GAME_TYPES, GAME_CONFIG, ANIMATION_DURATION } from '../../../shared/constants/gameConstants';
+import {
+  GAME_TYPES,
+  GAME_CONFIG,
+  ANIMATION_DURATION,
+  BOT_MOVE_DELAY_MS,
+  DEFAULT_BOT_DIFFICULTY,
+  LUDO_HOUSE_RULES
+} from '../../../shared/constants/gameConstants';
+import { LUDO_HOME, normalizeLudoRules, getLudoTeammate } from '../../../shared/gameRules';
 import ResponsiveGameContainer from '../../../shared/components/games/ResponsiveGameContainer';
 
 /**
@@ -12,13 +20,23 @@ import ResponsiveGameContainer from '../../../shared/components/games/Responsive
  * Features:
  * - Uses useGameLogic for turn management
  * - Configuration from GAME_CONFIG constants
- * - Improved AI with capture priority
+ * - Bots in every seat but the first, with difficulty levels (GameService rule engine)
  * - Safe zones and capture mechanics
+ * - House rules (LUDO_HOUSE_RULES); only legal tokens are highlighted
  * - Responsive design
  * - Smooth animations
  */
-const LudoGame = ({ onMove, onGameEnd, numPlayers = 2 }) => {
+const LudoGame = ({
+  onMove,
+  onGameEnd,
+  numPlayers: requestedPlayers = 2,
+  botDifficulty = DEFAULT_BOT_DIFFICULTY,
+  houseRules,
+}) => {
   const ludoConfig = GAME_CONFIG[GAME_TYPES.LUDO];
+  const rules = normalizeLudoRules(houseRules);
+  // Partners sit opposite each other, so teams always fill the board
+  const numPlayers = rules.teamMode ? ludoConfig.maxPlayers : requestedPlayers;
   
   const initialState = {
     positions: {
@@ -27,6 +45,9 @@ const LudoGame = ({ onMove, onGameEnd, numPlayers = 2 }) => {
       blue: [0, 0, 0, 0],
       yellow: [0, 0, 0, 0],
     },
+    rules,
+    captures: {},
+    sixesInRow: 0,
     numPlayers,
   };
 
@@ -37,6 +58,7 @@ const LudoGame = ({ onMove, onGameEnd, numPlayers = 2 }) => {
     loading,
     updateState,
     makeMove,
+    nextTurn,
     resetGame: resetLogic,
     setWinner,
   } = useGameLogic(GAME_TYPES.LUDO, initialState, {
@@ -51,186 +73,124 @@ const LudoGame = ({ onMove, onGameEnd, numPlayers = 2 }) => {
 
   const playerColors = ludoConfig.colors.slice(0, numPlayers);
   const currentPlayer = playerColors[turn % numPlayers];
+  const isBotTurn = turn !== 0;
+
+  /**
+   * Change turn
+   */
+  const changeTurn = useCallback(() => {
+    setDice(null);
+    setSelectedToken(null);
+    nextTurn();
+  }, [nextTurn]);
+
+  const ruleEngine = gameService.getRuleEngine(GAME_TYPES.LUDO);
+  const legalMoves = dice && !rolling ? ruleEngine.getLegalMoves(gameState, currentPlayer, dice) : [];
+  const activeHouseRules = LUDO_HOUSE_RULES.filter(rule => rule.id !== 'safeZones' && rules[rule.id]);
+  const winnerLabel = winner !== null
+    ? [playerColors[winner], getLudoTeammate(playerColors[winner], rules)].filter(Boolean).join(' & ')
+    : null;
 
   /**
    * Roll dice
    */
   const rollDice = useCallback(() => {
-    if (rolling || dice || winner) return;
-    
-    // Only player can roll in 2-player mode (turn 0)
-    if (numPlayers === 2 && turn !== 0) return;
+    if (rolling || dice || winner !== null) return;
     
     setRolling(true);
     setTimeout(() => {
       const val = Math.floor(Math.random() * 6) + 1;
+      const sixesInRow = val === 6 ? gameState.sixesInRow + 1 : 0;
       setDice(val);
       setRolling(false);
 
-      // Auto-pass if no move possible
-      if (!canMoveAny(currentPlayer, val)) {
-        setTimeout(() => changeTurn(val), 1000);
-      } else if (turn === 1 && numPlayers === 2) {
-        // AI turn
-        setTimeout(() => makeAIMove(val), 1000);
+      // A third six in a row ends the turn; so does a roll nothing can move with
+      if ((rules.threeSixesPenalty && sixesInRow === 3)
+        || ruleEngine.getLegalMoves(gameState, currentPlayer, val).length === 0) {
+        updateState({ sixesInRow: 0 });
+        setTimeout(() => changeTurn(), 1000);
+      } else {
+        updateState({ sixesInRow });
       }
     }, ANIMATION_DURATION.DICE_ROLL);
-  }, [rolling, dice, winner, turn, numPlayers, currentPlayer]);
-
-  /**
-   * Check if any token can move
-   */
-  const canMoveAny = useCallback((player, roll) => {
-    const positions = gameState.positions[player];
-    return positions.some(p => {
-      if (p === 0) return roll === 6;
-      return p + roll <= 57;
-    });
-  }, [gameState]);
-
-  /**
-   * Handle token click
-   */
-  const handleTokenClick = useCallback((tokenIndex) => {
-    if (!dice || winner || turn !== 0) return;
-    
-    const move = {
-      tokenIndex,
-      diceRoll: dice,
-      playerId: currentPlayer,
-    };
-
-    if (!makeMove(move)) return;
-
-    moveToken(tokenIndex, dice);
-  }, [dice, winner, turn, currentPlayer, makeMove]);
+  }, [rolling, dice, winner, gameState, rules, ruleEngine, currentPlayer, updateState, changeTurn]);
 
   /**
    * Move a token
    */
   const moveToken = useCallback((tokenIndex, roll) => {
-    const positions = { ...gameState.positions };
-    const currentPos = positions[currentPlayer][tokenIndex];
-
-    // Calculate new position
-    const ruleEngine = gameService.getRuleEngine(GAME_TYPES.LUDO);
-    const newPos = ruleEngine.calculateNewPosition(currentPos, roll, currentPlayer);
-
-    if (newPos === currentPos && roll !== 0 && currentPos !== 0) {
+    const moved = ruleEngine.executeMove(gameState, { tokenIndex, diceRoll: roll, playerId: currentPlayer });
+    if (!moved) {
       return; // Invalid move
     }
 
-    // Check for capture
-    let captureHappened = false;
-    playerColors.forEach(color => {
-      if (color === currentPlayer) return;
-      
-      const capturedIndex = ruleEngine.checkCapture(newPos, positions[color]);
-      if (capturedIndex !== null) {
-        positions[color][capturedIndex] = 0;
-        captureHappened = true;
-      }
-    });
-
-    // Update position
-    positions[currentPlayer][tokenIndex] = newPos;
-    updateState({ positions });
+    const { positions, captured } = moved;
+    const captures = captured
+      ? { ...gameState.captures, [currentPlayer]: (gameState.captures[currentPlayer] || 0) + 1 }
+      : gameState.captures;
+    updateState({ positions, captures });
 
     // Check win
-    if (positions[currentPlayer].every(p => p === 57)) {
+    if (ruleEngine.hasWon({ ...gameState, positions }, currentPlayer)) {
+      setDice(null);
       setWinner(turn);
       if (onGameEnd) {
         onGameEnd({
           winner: turn,
-          gameState: { positions },
+          gameState: { positions, rules },
           timestamp: new Date().toISOString(),
         });
       }
       return;
     }
 
-    // Turn management
-    if (roll !== 6 && !captureHappened) {
-      changeTurn(roll);
+    // A six or a capture earns another roll
+    if (roll !== 6 && !captured) {
+      updateState({ sixesInRow: 0 });
+      changeTurn();
     } else {
       setDice(null);
-      if (turn === 1 && numPlayers === 2) {
-        setTimeout(() => rollDice(), 1000);
-      }
     }
-  }, [gameState, currentPlayer, playerColors, updateState, setWinner, onGameEnd, turn, numPlayers, rollDice]);
+  }, [gameState, currentPlayer, ruleEngine, rules, updateState, setWinner, onGameEnd, turn, changeTurn]);
 
   /**
-   * AI Move Logic (improved with capture priority)
+   * Handle token click
    */
-  const makeAIMove = useCallback((roll) => {
-    const aiColor = playerColors[1];
-    const positions = gameState.positions[aiColor];
-
-    // Find valid moves
-    const validMoves = positions
-      .map((p, i) => ({ index: i, pos: p }))
-      .filter(({ pos }) => {
-        if (pos === 0) return roll === 6;
-        return pos + roll <= 57;
-      });
-
-    if (validMoves.length === 0) {
-      changeTurn(roll);
-      return;
-    }
-
-    // AI Priority:
-    // 1. Capture opponent
-    // 2. Move token that's furthest
-    // 3. Exit home if on 6
-
-    let bestMove = validMoves[0];
-    let bestScore = -1;
-
-    const ruleEngine = gameService.getRuleEngine(GAME_TYPES.LUDO);
-
-    validMoves.forEach(({ index, pos }) => {
-      const newPos = ruleEngine.calculateNewPosition(pos, roll, aiColor);
-      let score = newPos; // Base score = progress
-
-      // Check if this move captures
-      playerColors.forEach(color => {
-        if (color === aiColor) return;
-        const capturedIndex = ruleEngine.checkCapture(newPos, gameState.positions[color]);
-        if (capturedIndex !== null) {
-          score += 100; // High priority for capture
-        }
-      });
-
-      // Bonus for exiting home
-      if (pos === 0 && roll === 6) {
-        score += 10;
-      }
+  const handleTokenClick = useCallback((tokenIndex) => {
+    if (!dice || winner !== null || isBotTurn) return;
+    
+    const move = {
+      tokenIndex,
+      diceRoll: dice,
+      playerId: currentPlayer,
+    };
 
-      if (score > bestScore) {
-        bestScore = score;
-        bestMove = { index, pos };
-      }
-    });
+    if (!makeMove(move)) return;
 
-    moveToken(bestMove.index, roll);
-  }, [gameState, playerColors, moveToken]);
+    moveToken(tokenIndex, dice);
+  }, [dice, winner, isBotTurn, currentPlayer, makeMove, moveToken]);
 
   /**
-   * Change turn
+   * Every seat but the first is a bot: roll, then let the rule engine pick a token
    */
-  const changeTurn = useCallback((roll) => {
-    setDice(null);
-    setSelectedToken(null);
-    
-    const nextTurn = (turn + 1) % numPlayers;
-    updateState({ turn: nextTurn });
+  useEffect(() => {
+    if (!isBotTurn || rolling || winner !== null) return;
 
-    if (nextTurn === 1 && numPlayers === 2) {
-      setTimeout(() => rollDice(), 1500);
-    }
-  }, [turn, numPlayers, updateState, rollDice]);
+    const timer = setTimeout(() => {
+      if (!dice) {
+        rollDice();
+        return;
+      }
+      const move = gameService.getBotMove(GAME_TYPES.LUDO, gameState, {
+        color: currentPlayer,
+        diceRoll: dice,
+        difficulty: botDifficulty,
+      });
+      if (move && makeMove(move)) moveToken(move.tokenIndex, dice);
+    }, BOT_MOVE_DELAY_MS);
+
+    return () => clearTimeout(timer);
+  }, [isBotTurn, rolling, winner, dice, gameState, currentPlayer, botDifficulty, rollDice, makeMove, moveToken]);
 
   /**
    * Reset game
@@ -258,7 +218,7 @@ const LudoGame = ({ onMove, onGameEnd, numPlayers = 2 }) => {
                   whileTap={{ scale: 0.9 }}
                   onClick={() => handleTokenClick(i)}
                   className={`w-5 h-5 md:w-6 md:h-6 rounded-full bg-red-600 ring-2 ring-black shadow-lg ${
-                    turn === 0 && dice === 6 ? 'cursor-pointer animate-pulse' : 'cursor-not-allowed opacity-50'
+                    !isBotTurn && legalMoves.includes(i) ? 'cursor-pointer animate-pulse' : 'cursor-not-allowed opacity-50'
                   }`}
                 />
               )}
@@ -287,8 +247,9 @@ const LudoGame = ({ onMove, onGameEnd, numPlayers = 2 }) => {
         <div className="col-span-3 row-span-3 bg-gradient-to-br from-yellow-100 to-blue-100 dark:from-yellow-900 dark:to-blue-900 flex flex-col items-center justify-center border-4 border-black/20">
           <div className="text-xs font-bold text-gray-600 dark:text-gray-300">HOME</div>
           <div className="flex gap-1 mt-1 flex-wrap justify-center">
-            {gameState.positions.red.map((p, i) => p === 57 && <div key={`rf-${i}`} className="w-2 h-2 bg-red-500 rounded-full border border-white" />)}
-            {gameState.positions.green.map((p, i) => p === 57 && <div key={`gf-${i}`} className="w-2 h-2 bg-green-500 rounded-full border border-white" />)}
+            {playerColors.map(color => gameState.positions[color].map((p, i) => (
+              p === LUDO_HOME && <div key={`${color}-home-${i}`} className={`w-2 h-2 bg-${color}-500 rounded-full border border-white`} />
+            )))}
           </div>
         </div>
 
@@ -296,18 +257,34 @@ const LudoGame = ({ onMove, onGameEnd, numPlayers = 2 }) => {
         <div className="col-span-4 row-span-3 bg-gray-100 dark:bg-gray-700" />
 
         {/* Blue Base (disabled if only 2 players) */}
-        <div className={`col-span-4 row-span-4 bg-blue-500 border-r-4 border-t-4 border-black ${numPlayers < 3 ? 'opacity-30' : ''}`} />
+        <div className={`col-span-4 row-span-4 bg-blue-500 border-r-4 border-t-4 border-black p-3 grid grid-cols-2 gap-2 ${numPlayers < 3 ? 'opacity-30' : ''}`}>
+          {numPlayers >= 3 && gameState.positions.blue.map((p, i) => (
+            <div key={`b-${i}`} className="bg-white rounded-full flex items-center justify-center shadow-inner">
+              {p === 0 && (
+                <div className="w-5 h-5 md:w-6 md:h-6 rounded-full bg-blue-600 ring-2 ring-black shadow-lg" />
+              )}
+            </div>
+          ))}
+        </div>
 
         {/* Bottom Path */}
         <div className="col-span-3 row-span-4 bg-gray-100 dark:bg-gray-700" />
 
-        {/* Yellow Base (disabled if only 2 players) */}
-        <div className={`col-span-4 row-span-4 bg-yellow-400 border-l-4 border-t-4 border-black ${numPlayers < 4 ? 'opacity-30' : ''}`} />
+        {/* Yellow Base (disabled if fewer than 4 players) */}
+        <div className={`col-span-4 row-span-4 bg-yellow-400 border-l-4 border-t-4 border-black p-3 grid grid-cols-2 gap-2 ${numPlayers < 4 ? 'opacity-30' : ''}`}>
+          {numPlayers >= 4 && gameState.positions.yellow.map((p, i) => (
+            <div key={`y-${i}`} className="bg-white rounded-full flex items-center justify-center shadow-inner">
+              {p === 0 && (
+                <div className="w-5 h-5 md:w-6 md:h-6 rounded-full bg-yellow-500 ring-2 ring-black shadow-lg" />
+              )}
+            </div>
+          ))}
+        </div>
 
         {/* Active tokens on path */}
         {playerColors.map(color => (
           gameState.positions[color].map((pos, idx) => {
-            if (pos > 0 && pos < 57) {
+            if (pos > 0 && pos < LUDO_HOME) {
               return (
                 <motion.div
                   key={`${color}-token-${idx}-${pos}`}
@@ -338,7 +315,7 @@ const LudoGame = ({ onMove, onGameEnd, numPlayers = 2 }) => {
               Ludo King
             </h3>
             <p className="text-sm text-gray-600 dark:text-gray-400">
-              {winner !== null ? `${playerColors[winner]} wins!` : `${currentPlayer}'s turn`}
+              {winner !== null ? `${winnerLabel} ${rules.teamMode ? 'win' : 'wins'}!` : `${currentPlayer}'s turn`}
             </p>
           </div>
           
@@ -363,13 +340,13 @@ const LudoGame = ({ onMove, onGameEnd, numPlayers = 2 }) => {
             <div className="font-bold text-red-600">YOU</div>
             <div className="flex gap-1">
               {gameState.positions.red.map((p, i) => (
-                p > 0 && p < 57 && (
+                p > 0 && p < LUDO_HOME && (
                   <motion.div
                     key={i}
                     whileHover={{ scale: 1.1 }}
                     onClick={() => handleTokenClick(i)}
                     className={`w-6 h-6 bg-red-500 rounded-full border-2 border-white shadow-md flex items-center justify-center text-[8px] text-white font-bold ${
-                      turn === 0 && dice ? 'cursor-pointer hover:bg-red-400' : 'cursor-not-allowed'
+                      !isBotTurn && legalMoves.includes(i) ? 'cursor-pointer hover:bg-red-400 ring-2 ring-yellow-300 animate-pulse' : 'cursor-not-allowed'
                     }`}
                   >
                     {p}
@@ -382,31 +359,38 @@ const LudoGame = ({ onMove, onGameEnd, numPlayers = 2 }) => {
           {/* Dice */}
           <button
             onClick={rollDice}
-            disabled={turn !== 0 || rolling || dice || winner}
+            disabled={isBotTurn || rolling || dice || winner !== null}
             className={`
               w-14 h-14 md:w-16 md:h-16 rounded-2xl flex items-center justify-center text-3xl md:text-4xl shadow-xl transition-all active:scale-95 border-2
-              ${turn === 0 && !dice && !winner ? 'bg-wa-teal hover:bg-teal-600 text-white cursor-pointer border-teal-700' : 'bg-gray-200 dark:bg-gray-700 text-gray-400 border-gray-300 cursor-not-allowed'}
+              ${!isBotTurn && !dice && winner === null ? 'bg-wa-teal hover:bg-teal-600 text-white cursor-pointer border-teal-700' : 'bg-gray-200 dark:bg-gray-700 text-gray-400 border-gray-300 cursor-not-allowed'}
               ${rolling ? 'animate-spin' : ''}
             `}
           >
             {dice || '🎲'}
           </button>
 
-          {/* Green Player (AI) */}
-          <div className={`flex flex-col items-center gap-2 transition-all ${turn === 1 ? 'scale-110 opacity-100' : 'opacity-60'}`}>
-            <div className="font-bold text-green-600">AI</div>
-            <div className="flex gap-1">
-              {gameState.positions.green.map((p, i) => (
-                p > 0 && p < 57 && (
-                  <div
-                    key={i}
-                    className="w-6 h-6 bg-green-500 rounded-full border-2 border-white shadow-md flex items-center justify-center text-[8px] text-white font-bold"
-                  >
-                    {p}
-                  </div>
-                )
-              ))}
-            </div>
+          {/* Bot Players */}
+          <div className="flex flex-col gap-1">
+            {playerColors.slice(1).map((color, idx) => (
+              <div
+                key={color}
+                className={`flex items-center gap-2 transition-all ${turn === idx + 1 ? 'scale-110 opacity-100' : 'opacity-60'}`}
+              >
+                <div className={`font-bold text-xs text-${color}-600`}>BOT {idx + 1}</div>
+                <div className="flex gap-1">
+                  {gameState.positions[color].map((p, i) => (
+                    p > 0 && p < LUDO_HOME && (
+                      <div
+                        key={i}
+                        className={`w-5 h-5 bg-${color}-500 rounded-full border-2 border-white shadow-md flex items-center justify-center text-[8px] text-white font-bold`}
+                      >
+                        {p}
+                      </div>
+                    )
+                  ))}
+                </div>
+              </div>
+            ))}
           </div>
         </div>
 
@@ -418,7 +402,7 @@ const LudoGame = ({ onMove, onGameEnd, numPlayers = 2 }) => {
             className="flex flex-col items-center gap-2"
           >
             <div className="text-2xl font-bold text-yellow-500 animate-bounce">
-              🏆 {playerColors[winner].toUpperCase()} Wins! 🏆
+              🏆 {winnerLabel.toUpperCase()} {rules.teamMode ? 'Win' : 'Wins'}! 🏆
             </div>
             <button
               onClick={resetGame}
@@ -431,7 +415,12 @@ const LudoGame = ({ onMove, onGameEnd, numPlayers = 2 }) => {
 
         {/* Rules */}
         <div className="text-xs text-center text-gray-500 dark:text-gray-400 max-w-[300px]">
-          <p>🎲 Roll 6 to start • Capture opponents • Safe zones protect you • Reach home to win!</p>
+          <p>🎲 Roll 6 to start • Capture opponents • {rules.safeZones ? 'Safe zones protect you' : 'No safe zones'} • Reach home to win!</p>
+          {activeHouseRules.length > 0 && (
+            <p className="mt-1 font-medium text-wa-teal">
+              House rules: {activeHouseRules.map(rule => rule.label).join(' • ')}
+            </p>
+          )}
         </div>
       </div>
     </ResponsiveGameContainer>
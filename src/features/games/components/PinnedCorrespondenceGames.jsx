@@ -0,0 +1,29 @@
+import React from 'react';
+import { Pin } from 'lucide-react';
+import { useApp } from '../../../shared/context/AppContext';
+import CorrespondenceGameCard from './CorrespondenceGameCard';
+
+/**
+ * PinnedCorrespondenceGames - The chat's running correspondence games, pinned above the messages
+ */
+const PinnedCorrespondenceGames = ({ chatId }) => {
+    const { correspondenceGames } = useApp();
+    const games = correspondenceGames.filter(game => game.chatId === chatId);
+
+    if (games.length === 0) return null;
+
+    return (
+        <div className="relative z-10 bg-white/95 dark:bg-wa-dark-header/95 border-b border-wa-border dark:border-wa-dark-border divide-y divide-gray-100 dark:divide-gray-800">
+            {games.map(game => (
+                <div key={game.id} className="flex items-center">
+                    <Pin size={14} className="ml-3 text-[#667781] dark:text-gray-400 rotate-45 shrink-0" />
+                    <div className="flex-1 min-w-0">
+                        <CorrespondenceGameCard game={game} compact />
+                    </div>
+                </div>
+            ))}
+        </div>
+    );
+};
+
+export default PinnedCorrespondenceGames;
@@ -0,0 +1,45 @@
+import React, { useEffect, useState } from 'react';
+import { WifiOff } from 'lucide-react';
+import { useApp } from '../../../shared/context/AppContext';
+import usePlayerPresence from '../hooks/usePlayerPresence';
+
+/**
+ * PlayerDisconnectedBanner - Players who dropped out of the game, with the time they have
+ * left to come back before they forfeit. The referee starts the countdown; presence hides a
+ * player as soon as they are online again.
+ */
+const PlayerDisconnectedBanner = ({ game }) => {
+    const { users } = useApp();
+    const { isPlayerOnline } = usePlayerPresence();
+    const [now, setNow] = useState(Date.now());
+
+    const away = Object.entries(game.disconnectedPlayers || {})
+        .filter(([playerId]) => !isPlayerOnline(playerId));
+
+    useEffect(() => {
+        if (away.length === 0) return undefined;
+        const timer = setInterval(() => setNow(Date.now()), 1000);
+        return () => clearInterval(timer);
+    }, [away.length]);
+
+    if (away.length === 0) return null;
+
+    return (
+        <div className="shrink-0 flex flex-col gap-1 px-3 py-2 bg-amber-100 dark:bg-amber-900/40 text-amber-900 dark:text-amber-100 text-xs font-medium">
+            {away.map(([playerId, graceEndsAt]) => {
+                const secondsLeft = Math.max(0, Math.ceil((graceEndsAt - now) / 1000));
+                return (
+                    <div key={playerId} className="flex items-center gap-2">
+                        <WifiOff size={14} className="shrink-0" />
+                        <span className="truncate">
+                            {users[playerId]?.name || 'A player'} disconnected ·{' '}
+                            {secondsLeft > 0 ? `${secondsLeft}s to come back` : 'forfeiting…'}
+                        </span>
+                    </div>
+                );
+            })}
+        </div>
+    );
+};
+
+export default PlayerDisconnectedBanner;
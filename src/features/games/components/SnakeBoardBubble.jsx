@@ -0,0 +1,88 @@
+import React from 'react';
+import { Play, UserPlus } from 'lucide-react';
+import { useApp } from '../../../shared/context/AppContext';
+import { getSnakeBoardSquares } from '../../../shared/utils/gameUtils';
+import SnakeBoardJumps from './SnakeBoardJumps';
+import { getSnakeBoardError } from './SnakeBoardEditor';
+
+/**
+ * SnakeBoardBubble - A custom Snake & Ladders board shared in a chat
+ * Shows a preview; the board can be played against bots or sent as a game invite.
+ */
+const SnakeBoardBubble = ({ message }) => {
+    const { startComputerGame, inviteToGame, currentUserId, users } = useApp();
+    const board = message.pollData?.board;
+    const error = board ? getSnakeBoardError(board) : 'Missing board';
+
+    const isMe = message.senderId === currentUserId;
+
+    return (
+        <div className="bg-white dark:bg-wa-dark-paper rounded-lg overflow-hidden shadow-sm max-w-[300px] border border-black/5 dark:border-white/5">
+            {/* Header */}
+            <div className="bg-gradient-to-r from-green-600 to-wa-teal p-3 flex items-center justify-between text-white">
+                <span className="font-bold text-sm tracking-wide truncate">🪜 {board?.name || 'Snake & Ladders board'}</span>
+                {board && !error && (
+                    <span className="text-[10px] font-medium bg-white/20 px-2 py-0.5 rounded-full">
+                        {board.size} × {board.size}
+                    </span>
+                )}
+            </div>
+
+            <div className="p-3 flex flex-col items-center gap-3">
+                {error ? (
+                    <p className="text-xs text-red-500 text-center">This board can't be played: {error}</p>
+                ) : (
+                    <>
+                        {/* Preview */}
+                        <div className="relative w-48 aspect-square border border-gray-300 dark:border-gray-700 rounded overflow-hidden">
+                            <div
+                                className="w-full h-full grid bg-gray-50 dark:bg-[#1a2c38]"
+                                style={{
+                                    gridTemplateColumns: `repeat(${board.size}, minmax(0, 1fr))`,
+                                    gridTemplateRows: `repeat(${board.size}, minmax(0, 1fr))`
+                                }}
+                            >
+                                {getSnakeBoardSquares(board.size).map(square => (
+                                    <div
+                                        key={square}
+                                        className={`border-[0.5px] border-gray-200 dark:border-gray-700 ${
+                                            board.specials[square] ? 'bg-amber-200 dark:bg-amber-900/50' : ''
+                                        }`}
+                                    />
+                                ))}
+                            </div>
+                            <SnakeBoardJumps board={board} />
+                        </div>
+
+                        <p className="text-xs text-gray-500 dark:text-gray-400 text-center">
+                            {isMe ? 'You shared a board' : `${users[message.senderId]?.name || 'Someone'} shared a board`}
+                            {' · '}
+                            {Object.keys(board.ladders).length} 🪜 · {Object.keys(board.snakes).length} 🐍
+                            {Object.keys(board.specials).length > 0 && ` · ${Object.keys(board.specials).length} special`}
+                        </p>
+
+                        {/* Actions */}
+                        <div className="flex gap-2 w-full">
+                            <button
+                                onClick={() => startComputerGame('snake', { board })}
+                                className="flex-1 py-2 rounded-lg font-bold text-sm bg-wa-teal text-white hover:bg-teal-600 transition-all shadow-md active:scale-95 flex items-center justify-center gap-1.5"
+                            >
+                                <Play size={16} fill="currentColor" />
+                                Play
+                            </button>
+                            <button
+                                onClick={() => inviteToGame(message.chatId, 'snake', { board })}
+                                className="flex-1 py-2 rounded-lg font-bold text-sm border border-wa-teal text-wa-teal hover:bg-wa-teal/10 transition-all active:scale-95 flex items-center justify-center gap-1.5"
+                            >
+                                <UserPlus size={16} />
+                                Invite
+                            </button>
+                        </div>
+                    </>
+                )}
+            </div>
+        </div>
+    );
+};
+
+export default SnakeBoardBubble;
@@ -0,0 +1,215 @@
+import React, { useState } from 'react';
+import { Eraser, RotateCcw, Trash2 } from 'lucide-react';
+import { SNAKE_BOARD_LIMITS, SNAKE_SPECIAL_SQUARES } from '../../../shared/constants/gameConstants';
+import { normalizeSnakeBoard, DEFAULT_SNAKE_BOARD } from '../../../shared/gameRules';
+import { getSnakeBoardSquares } from '../../../shared/utils/gameUtils';
+import SnakeBoardJumps from './SnakeBoardJumps';
+
+const TOOLS = [
+    { id: 'ladder', label: 'Ladder', icon: '🪜' },
+    { id: 'snake', label: 'Snake', icon: '🐍' },
+    ...SNAKE_SPECIAL_SQUARES.map(({ id, label, icon }) => ({ id, label, icon })),
+    { id: 'erase', label: 'Erase', icon: <Eraser size={14} /> }
+];
+
+const SIZES = Array.from(
+    { length: SNAKE_BOARD_LIMITS.maxSize - SNAKE_BOARD_LIMITS.minSize + 1 },
+    (_, i) => SNAKE_BOARD_LIMITS.minSize + i
+);
+
+const withoutKey = (object, key) => {
+    const { [key]: _removed, ...rest } = object;
+    return rest;
+};
+
+/**
+ * Everything starting or sitting on a square removed
+ */
+const clearSquare = (board, square) => ({
+    ...board,
+    snakes: withoutKey(board.snakes, square),
+    ladders: withoutKey(board.ladders, square),
+    specials: withoutKey(board.specials, square)
+});
+
+/**
+ * Keep only what still fits after resizing
+ */
+const resizeBoard = (board, size) => {
+    const end = size * size;
+    const fits = (jumps) => Object.fromEntries(Object.entries(jumps).filter(([from, to]) => Number(from) < end && to <= end));
+    return {
+        ...board,
+        size,
+        snakes: fits(board.snakes),
+        ladders: fits(board.ladders),
+        specials: Object.fromEntries(Object.entries(board.specials).filter(([square]) => Number(square) > 1 && Number(square) < end))
+    };
+};
+
+/**
+ * Validation message for a board, or null if it can be played
+ */
+export const getSnakeBoardError = (board) => {
+    try {
+        normalizeSnakeBoard(board);
+        return null;
+    } catch (error) {
+        return error.message;
+    }
+};
+
+/**
+ * SnakeBoardEditor - Draw a Snake & Ladders board on the grid
+ * Ladders and snakes take two clicks (start, then end); special squares and the eraser one.
+ */
+const SnakeBoardEditor = ({ board, onChange }) => {
+    const [tool, setTool] = useState('ladder');
+    const [pending, setPending] = useState(null); // { tool, from } while drawing a jump
+
+    const end = board.size * board.size;
+    const error = getSnakeBoardError(board);
+    const specialInfo = Object.fromEntries(SNAKE_SPECIAL_SQUARES.map(special => [special.id, special]));
+
+    const selectTool = (id) => {
+        setTool(id);
+        setPending(null);
+    };
+
+    const handleSquareClick = (square) => {
+        if (tool === 'erase') {
+            const cleared = clearSquare(board, square);
+            // Also remove jumps that end here
+            const endingHere = (jumps) => Object.fromEntries(Object.entries(jumps).filter(([, to]) => to !== square));
+            onChange({ ...cleared, snakes: endingHere(cleared.snakes), ladders: endingHere(cleared.ladders) });
+            return;
+        }
+
+        if (tool === 'ladder' || tool === 'snake') {
+            if (!pending) {
+                setPending({ tool, from: square });
+                return;
+            }
+            setPending(null);
+            if (pending.from === square) return;
+
+            // Ladders always climb and snakes always drop, whichever end was clicked first
+            const low = Math.min(pending.from, square);
+            const high = Math.max(pending.from, square);
+            const [from, to] = tool === 'ladder' ? [low, high] : [high, low];
+            const key = tool === 'ladder' ? 'ladders' : 'snakes';
+            const cleared = clearSquare(board, from);
+            onChange({ ...cleared, [key]: { ...cleared[key], [from]: to } });
+            return;
+        }
+
+        // Special squares toggle
+        if (board.specials[square] === tool) {
+            onChange({ ...board, specials: withoutKey(board.specials, square) });
+        } else {
+            onChange({ ...clearSquare(board, square), specials: { ...board.specials, [square]: tool } });
+        }
+    };
+
+    return (
+        <div className="mb-4">
+            {/* Name & Size */}
+            <div className="flex gap-2 mb-3">
+                <input
+                    type="text"
+                    value={board.name}
+                    maxLength={SNAKE_BOARD_LIMITS.maxNameLength}
+                    onChange={(e) => onChange({ ...board, name: e.target.value })}
+                    placeholder="Board name"
+                    className="flex-1 min-w-0 px-3 py-2 rounded-lg bg-gray-50 dark:bg-wa-dark-header border border-gray-100 dark:border-gray-700 text-sm text-[#111b21] dark:text-gray-100 outline-none focus:border-wa-teal"
+                />
+                <select
+                    value={board.size}
+                    onChange={(e) => {
+                        setPending(null);
+                        onChange(resizeBoard(board, Number(e.target.value)));
+                    }}
+                    className="px-2 py-2 rounded-lg bg-gray-50 dark:bg-wa-dark-header border border-gray-100 dark:border-gray-700 text-sm text-[#111b21] dark:text-gray-100 outline-none"
+                >
+                    {SIZES.map(size => (
+                        <option key={size} value={size}>{size} × {size}</option>
+                    ))}
+                </select>
+            </div>
+
+            {/* Tools */}
+            <div className="flex flex-wrap gap-1.5 mb-3">
+                {TOOLS.map(({ id, label, icon }) => (
+                    <button
+                        key={id}
+                        onClick={() => selectTool(id)}
+                        className={`px-2.5 py-1.5 rounded-lg text-xs font-medium flex items-center gap-1 transition-colors ${
+                            tool === id
+                                ? 'bg-wa-teal/15 text-wa-teal ring-1 ring-wa-teal'
+                                : 'bg-gray-50 dark:bg-wa-dark-header text-[#54656f] dark:text-gray-400 hover:bg-gray-100 dark:hover:bg-wa-dark-hover'
+                        }`}
+                    >
+                        <span>{icon}</span>
+                        {label}
+                    </button>
+                ))}
+            </div>
+
+            {/* Grid */}
+            <div className="relative w-full aspect-square border-2 border-gray-300 dark:border-gray-700 rounded-lg overflow-hidden select-none">
+                <div
+                    className="w-full h-full grid bg-white dark:bg-[#1a2c38]"
+                    style={{
+                        gridTemplateColumns: `repeat(${board.size}, minmax(0, 1fr))`,
+                        gridTemplateRows: `repeat(${board.size}, minmax(0, 1fr))`
+                    }}
+                >
+                    {getSnakeBoardSquares(board.size).map(square => {
+                        const special = board.specials[square];
+                        return (
+                            <button
+                                key={square}
+                                onClick={() => handleSquareClick(square)}
+                                className={`relative border border-gray-200 dark:border-gray-700 flex items-center justify-center hover:bg-wa-teal/10 ${
+                                    pending?.from === square ? 'bg-wa-teal/20' : ''
+                                } ${special ? 'bg-amber-100 dark:bg-amber-900/30' : ''}`}
+                            >
+                                <span className="absolute top-0 left-0.5 text-[8px] text-gray-400 dark:text-gray-600">{square}</span>
+                                {special && <span className="text-xs">{specialInfo[special].icon}</span>}
+                                {square === end && <span className="text-xs">🏁</span>}
+                            </button>
+                        );
+                    })}
+                </div>
+                <SnakeBoardJumps board={board} pending={pending} />
+            </div>
+
+            <p className="text-xs text-center mt-2 min-h-[1rem] text-[#667781] dark:text-gray-400">
+                {pending
+                    ? `Now tap where the ${pending.tool} ends`
+                    : error
+                        ? <span className="text-red-500">{error}</span>
+                        : `${Object.keys(board.ladders).length} ladders · ${Object.keys(board.snakes).length} snakes · ${Object.keys(board.specials).length} special squares`}
+            </p>
+
+            <div className="flex justify-center gap-2 mt-2">
+                <button
+                    onClick={() => onChange({ ...DEFAULT_SNAKE_BOARD })}
+                    className="px-3 py-1.5 rounded-full text-xs font-medium flex items-center gap-1 text-[#54656f] dark:text-gray-400 hover:bg-gray-100 dark:hover:bg-wa-dark-hover"
+                >
+                    <RotateCcw size={14} />
+                    Classic
+                </button>
+                <button
+                    onClick={() => onChange({ ...board, snakes: {}, ladders: {}, specials: {} })}
+                    className="px-3 py-1.5 rounded-full text-xs font-medium flex items-center gap-1 text-[#54656f] dark:text-gray-400 hover:bg-gray-100 dark:hover:bg-wa-dark-hover"
+                >
+                    <Trash2 size={14} />
+                    Clear
+                </button>
+            </div>
+        </div>
+    );
+};
+
+export default SnakeBoardEditor;
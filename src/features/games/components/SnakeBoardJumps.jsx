@@ -0,0 +1,46 @@
+import React from 'react';
+import { GAME_COLOR_THEMES } from '../../../shared/constants/gameConstants';
+import { getSnakeSquareCenter } from '../../../shared/utils/gameUtils';
+
+/**
+ * SnakeBoardJumps - Snakes and ladders drawn over a Snake & Ladders grid
+ * Goes inside a `relative` container the same size as the grid.
+ */
+const SnakeBoardJumps = ({ board, pending = null }) => {
+    const { snake, ladder } = GAME_COLOR_THEMES.snake;
+
+    const line = (from, to, color, key, dashed = false) => {
+        const start = getSnakeSquareCenter(Number(from), board.size);
+        const end = getSnakeSquareCenter(Number(to), board.size);
+        return (
+            <g key={key}>
+                <line
+                    x1={start.x} y1={start.y} x2={end.x} y2={end.y}
+                    stroke={color}
+                    strokeWidth={1.2}
+                    strokeLinecap="round"
+                    strokeDasharray={dashed ? '2 1.5' : undefined}
+                    opacity={0.75}
+                />
+                <circle cx={end.x} cy={end.y} r={1.2} fill={color} opacity={0.75} />
+            </g>
+        );
+    };
+
+    return (
+        <svg
+            viewBox="0 0 100 100"
+            preserveAspectRatio="none"
+            className="absolute inset-0 w-full h-full pointer-events-none z-10"
+        >
+            {Object.entries(board.ladders).map(([from, to]) => line(from, to, ladder, `ladder-${from}`))}
+            {Object.entries(board.snakes).map(([from, to]) => line(from, to, snake, `snake-${from}`, true))}
+            {pending && (() => {
+                const { x, y } = getSnakeSquareCenter(pending.from, board.size);
+                return <circle cx={x} cy={y} r={2.5} fill="none" stroke={pending.tool === 'snake' ? snake : ladder} strokeWidth={0.8} />;
+            })()}
+        </svg>
+    );
+};
+
+export default SnakeBoardJumps;
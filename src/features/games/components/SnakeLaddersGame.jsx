@@ -1,25 +1,45 @@
-import React, { useState, useCallback } from 'react';
+import React, { useState, useCallback, useEffect, useMemo } from 'react';
 import { motion } from 'framer-motion';
-import{ RotateCcw } from 'lucide-react';
+import { RotateCcw } from 'lucide-react';
 import useGameLogic from '../hooks/useGameLogic';
 import { gameService } from '../../../services/GameService';
-import { GAME_TYPES, GAME_CONFIG, ANIMATION_DURATION } from '../../../shared/constants/gameConstants';
+import { GAME_TYPES, ANIMATION_DURATION, BOT_MOVE_DELAY_MS, SNAKE_SPECIAL_SQUARES } from '../../../shared/constants/gameConstants';
+import { normalizeSnakeBoard, getSnakeBoardEnd, getSnakeSpecial, DEFAULT_SNAKE_BOARD } from '../../../shared/gameRules';
+import { getSnakeBoardSquares } from '../../../shared/utils/gameUtils';
 import ResponsiveGameContainer from '../../../shared/components/games/ResponsiveGameContainer';
+import SnakeBoardJumps from './SnakeBoardJumps';
+
+/**
+ * Board to play on; a board that fails validation (e.g. edited in transit) falls back to the classic one
+ */
+const loadBoard = (board) => {
+  try {
+    return normalizeSnakeBoard(board || DEFAULT_SNAKE_BOARD);
+  } catch (error) {
+    console.warn('⚠️ [SnakeLaddersGame] Invalid board, playing the classic one:', error.message);
+    return DEFAULT_SNAKE_BOARD;
+  }
+};
 
 /**
  * SnakeLaddersGame - Refactored with useGameLogic hook
  * 
  * Improvements:
  * - Uses useGameLogic for turn management and state
- * - Snakes and ladders configuration from constants
+ * - Plays the classic board or a custom one (see SnakeBoardEditor), with special squares
  * - Improved animations and visual feedback
+ * - Every seat but the first is played by a bot
  * - Responsive design
  */
-const SnakeLaddersGame = ({ onMove, onGameEnd, numPlayers = 2 }) => {
-  const snakeConfig = GAME_CONFIG[GAME_TYPES.SNAKE];
-  
+const SnakeLaddersGame = ({ onMove, onGameEnd, numPlayers = 2, board }) => {
+  const snakeBoard = useMemo(() => loadBoard(board), [board]);
+  const boardEnd = getSnakeBoardEnd(snakeBoard);
+  const specialInfo = Object.fromEntries(SNAKE_SPECIAL_SQUARES.map(special => [special.id, special]));
+
   const initialState = {
     positions: new Array(numPlayers).fill(0),
+    skipTurns: [], // Players who miss their next turn
+    board: snakeBoard,
     numPlayers,
   };
 
@@ -30,6 +50,7 @@ const SnakeLaddersGame = ({ onMove, onGameEnd, numPlayers = 2 }) => {
     loading,
     updateState,
     makeMove,
+    nextTurn,
     resetGame: resetLogic,
     setWinner,
   } = useGameLogic(GAME_TYPES.SNAKE, initialState, {
@@ -43,32 +64,37 @@ const SnakeLaddersGame = ({ onMove, onGameEnd, numPlayers = 2 }) => {
   const [message, setMessage] = useState('Roll the dice to start!');
   const [animatingSquare, setAnimatingSquare] = useState(null);
 
+  const [busy, setBusy] = useState(false); // A roll is being animated
+
   const playerColors = ['bg-blue-500', 'bg-red-500', 'bg-green-500', 'bg-yellow-500'];
-  const playerNames = ['You', 'AI', 'Player 3', 'Player 4'];
+  const playerNames = ['You', 'Bot 1', 'Bot 2', 'Bot 3'];
 
   /**
-   * Handle dice roll
+   * Change to next player's turn, passing over players who have to skip one
    */
-  const handleRoll = useCallback(() => {
-    if (rolling || winner || (turn !== 0 && numPlayers === 2)) return;
-    performTurn();
-  }, [rolling, winner, turn, numPlayers]);
+  const changeTurn = useCallback((roll, special, skipTurns) => {
+    setDice(null);
+    setBusy(false);
 
-  /**
-   * Perform a turn (dice roll + move)
-   */
-  const performTurn = useCallback(() => {
-    setRolling(true);
-    setMessage('Rolling...');
+    // Roll 6 or a roll-again square = go again
+    if (roll === 6 || special === 'rollAgain') {
+      setMessage(`${roll === 6 ? 'Rolled 6!' : '🔁 Roll again!'} ${playerNames[turn]} rolls again!`);
+      return;
+    }
 
-    setTimeout(() => {
-      const roll = Math.floor(Math.random() * 6) + 1;
-      setDice(roll);
-      setRolling(false);
+    let next = nextTurn();
+    const skipped = [];
+    while (skipTurns.includes(next) && skipped.length < numPlayers) {
+      skipped.push(next);
+      next = nextTurn(next);
+    }
+    if (skipped.length > 0) {
+      updateState({ skipTurns: skipTurns.filter(idx => !skipped.includes(idx)) });
+    }
 
-      movePlayer(roll);
-    }, ANIMATION_DURATION.DICE_ROLL);
-  }, []);
+    const skippedText = skipped.map(idx => `${playerNames[idx]} misses a turn. `).join('');
+    setMessage(`${skippedText}${next === 0 ? 'Your turn!' : `${playerNames[next]}'s turn...`}`);
+  }, [turn, nextTurn, numPlayers, updateState]);
 
   /**
    * Move player based on dice roll
@@ -77,10 +103,10 @@ const SnakeLaddersGame = ({ onMove, onGameEnd, numPlayers = 2 }) => {
     const currentPos = gameState.positions[turn];
     let newPos = currentPos + roll;
 
-    // Can't exceed 100
-    if (newPos > 100) {
-      setMessage(`Need ${100 - currentPos} to win! Try again.`);
-      changeTurn(roll);
+    // Can't go past the last square
+    if (newPos > boardEnd) {
+      setMessage(`Need ${boardEnd - currentPos} to win! Try again.`);
+      setTimeout(() => changeTurn(roll, null, gameState.skipTurns), ANIMATION_DURATION.SLOW);
       return;
     }
 
@@ -88,24 +114,29 @@ const SnakeLaddersGame = ({ onMove, onGameEnd, numPlayers = 2 }) => {
 
     // Apply snakes and ladders
     setTimeout(() => {
-      const finalPos = gameService.getRuleEngine(GAME_TYPES.SNAKE).calculateNewPosition(currentPos, roll);
-      
+      const finalPos = gameService.getRuleEngine(GAME_TYPES.SNAKE).calculateNewPosition(currentPos, roll, snakeBoard);
+      const special = getSnakeSpecial(finalPos, snakeBoard);
+      const skipTurns = special === 'skipTurn' ? [...gameState.skipTurns, turn] : gameState.skipTurns;
+
       const newPositions = [...gameState.positions];
       newPositions[turn] = finalPos;
-      updateState({ positions: newPositions });
+      updateState({ positions: newPositions, skipTurns });
 
       // Update message
       if (finalPos < newPos) {
         setMessage(`🐍 Snake! Down to ${finalPos}`);
       } else if (finalPos > newPos) {
         setMessage(`🪜 Ladder! Up to ${finalPos}`);
+      } else if (special) {
+        setMessage(`${specialInfo[special].icon} ${specialInfo[special].label}! ${specialInfo[special].description}`);
       } else {
         setMessage(`Moved to ${finalPos}`);
       }
 
       // Check winner
-      if (finalPos === 100) {
+      if (finalPos === boardEnd) {
         setWinner(turn);
+        setBusy(false);
         setMessage(`🎉 ${playerNames[turn]} Wins!`);
         
         if (onGameEnd) {
@@ -121,40 +152,50 @@ const SnakeLaddersGame = ({ onMove, onGameEnd, numPlayers = 2 }) => {
       // Change turn after animation
       setTimeout(() => {
         setAnimatingSquare(null);
-        changeTurn(roll);
+        changeTurn(roll, special, skipTurns);
       }, ANIMATION_DURATION.SLOW);
     }, ANIMATION_DURATION.NORMAL);
-  }, [gameState, turn, updateState, setWinner, onGameEnd, playerNames]);
+  }, [gameState, turn, snakeBoard, boardEnd, updateState, setWinner, onGameEnd, changeTurn]);
 
   /**
-   * Change to next player's turn
+   * Perform a turn (dice roll + move)
    */
-  const changeTurn = useCallback((roll) => {
-    // Roll 6 = go again
-    if (roll === 6 && winner === null) {
-      setMessage(`Rolled 6! ${playerNames[turn]} rolls again!`);
-      setDice(null);
-      
-      if (turn === 1) {
-        // AI rolls again
-        setTimeout(() => performTurn(), 1500);
-      }
-      return;
-    }
+  const performTurn = useCallback((roll) => {
+    setBusy(true);
+    setRolling(true);
+    setMessage('Rolling...');
 
-    // Next player
-    const nextTurn = (turn + 1) % numPlayers;
-    updateState({ turn: nextTurn });
-    setDice(null);
-    
-    if (nextTurn === 1 && numPlayers === 2) {
-      // AI turn in 2-player mode
-      setMessage("AI's turn...");
-      setTimeout(() => performTurn(), 1500);
-    } else {
-      setMessage(`${playerNames[nextTurn]}'s turn!`);
-    }
-  }, [turn, winner, numPlayers, playerNames, performTurn, updateState]);
+    setTimeout(() => {
+      setDice(roll);
+      setRolling(false);
+
+      movePlayer(roll);
+    }, ANIMATION_DURATION.DICE_ROLL);
+  }, [movePlayer]);
+
+  /**
+   * Handle dice roll
+   */
+  const handleRoll = useCallback(() => {
+    if (busy || winner !== null || turn !== 0) return;
+    const roll = Math.floor(Math.random() * 6) + 1;
+    if (!makeMove({ diceRoll: roll })) return;
+    performTurn(roll);
+  }, [busy, winner, turn, makeMove, performTurn]);
+
+  /**
+   * Every seat but the first is a bot
+   */
+  useEffect(() => {
+    if (turn === 0 || busy || winner !== null) return;
+
+    const timer = setTimeout(() => {
+      const move = gameService.getBotMove(GAME_TYPES.SNAKE, gameState);
+      if (makeMove(move)) performTurn(move.diceRoll);
+    }, BOT_MOVE_DELAY_MS);
+
+    return () => clearTimeout(timer);
+  }, [turn, busy, winner, gameState, makeMove, performTurn]);
 
   /**
    * Reset game
@@ -163,6 +204,7 @@ const SnakeLaddersGame = ({ onMove, onGameEnd, numPlayers = 2 }) => {
     resetLogic();
     setDice(null);
     setRolling(false);
+    setBusy(false);
     setMessage('Roll the dice to start!');
     setAnimatingSquare(null);
   }, [resetLogic]);
@@ -170,65 +212,54 @@ const SnakeLaddersGame = ({ onMove, onGameEnd, numPlayers = 2 }) => {
   /**
    * Render game board
    */
-  const renderBoard = () => {
-    const cells = [];
-    
-    for (let row = 9; row >= 0; row--) {
-      for (let col = 0; col < 10; col++) {
-        let cellNum = 0;
-        if (row % 2 === 0) {
-          cellNum = (row * 10) + col + 1;
-        } else {
-          cellNum = (row * 10) + (10 - col);
-        }
+  const renderBoard = () => getSnakeBoardSquares(snakeBoard.size).map((cellNum) => {
+    const isSnakeHead = snakeBoard.snakes[cellNum];
+    const isLadderBase = snakeBoard.ladders[cellNum];
+    const special = getSnakeSpecial(cellNum, snakeBoard);
+    const playersHere = gameState.positions
+      .map((pos, idx) => (pos === cellNum ? idx : null))
+      .filter(idx => idx !== null);
+    const isAnimating = animatingSquare === cellNum;
 
-        const isSnakeHead = snakeConfig.snakes[cellNum];
-        const isLadderBase = snakeConfig.ladders[cellNum];
-        const playersHere = gameState.positions
-          .map((pos, idx) => (pos === cellNum ? idx : null))
-          .filter(idx => idx !== null);
-        const isAnimating = animatingSquare === cellNum;
-
-        cells.push(
-          <motion.div 
-            key={cellNum}
-            animate={isAnimating ? { scale: [1, 1.2, 1] } : {}}
-            transition={{ duration: 0.3 }}
-            className={`
-              relative border border-gray-300 dark:border-gray-700 
-              flex items-center justify-center text-[10px] font-bold
-              ${isSnakeHead ? 'bg-red-100 dark:bg-red-900/30' : ''}
-              ${isLadderBase ? 'bg-green-100 dark:bg-green-900/30' : ''}
-              ${isAnimating ? 'ring-2 ring-yellow-400' : ''}
-              transition-all duration-300
-            `}
-          >
-            <span className="absolute top-0.5 left-0.5 text-gray-400 dark:text-gray-600 z-0">
-              {cellNum}
-            </span>
-            
-            {isSnakeHead && <div className="text-lg z-10">🐍</div>}
-            {isLadderBase && <div className="text-lg z-10">🪜</div>}
-
-            {playersHere.length > 0 && (
-              <div className="absolute bottom-1 flex gap-0.5 z-20">
-                {playersHere.map((playerIdx) => (
-                  <motion.div
-                    key={playerIdx}
-                    initial={{ scale: 0 }}
-                    animate={{ scale: 1 }}
-                    className={`w-3 h-3 rounded-full ${playerColors[playerIdx]} shadow border border-white`}
-                  />
-                ))}
-              </div>
-            )}
-          </motion.div>
-        );
-      }
-    }
-    
-    return cells;
-  };
+    return (
+      <motion.div 
+        key={cellNum}
+        animate={isAnimating ? { scale: [1, 1.2, 1] } : {}}
+        transition={{ duration: 0.3 }}
+        className={`
+          relative border border-gray-300 dark:border-gray-700 
+          flex items-center justify-center text-[10px] font-bold
+          ${isSnakeHead ? 'bg-red-100 dark:bg-red-900/30' : ''}
+          ${isLadderBase ? 'bg-green-100 dark:bg-green-900/30' : ''}
+          ${special ? 'bg-amber-100 dark:bg-amber-900/30' : ''}
+          ${isAnimating ? 'ring-2 ring-yellow-400' : ''}
+          transition-all duration-300
+        `}
+        title={special ? specialInfo[special].description : undefined}
+      >
+        <span className="absolute top-0.5 left-0.5 text-gray-400 dark:text-gray-600 z-0">
+          {cellNum}
+        </span>
+        
+        {isSnakeHead && <div className="text-lg z-10">🐍</div>}
+        {isLadderBase && <div className="text-lg z-10">🪜</div>}
+        {special && <div className="text-base z-10">{specialInfo[special].icon}</div>}
+
+        {playersHere.length > 0 && (
+          <div className="absolute bottom-1 flex gap-0.5 z-20">
+            {playersHere.map((playerIdx) => (
+              <motion.div
+                key={playerIdx}
+                initial={{ scale: 0 }}
+                animate={{ scale: 1 }}
+                className={`w-3 h-3 rounded-full ${playerColors[playerIdx]} shadow border border-white`}
+              />
+            ))}
+          </div>
+        )}
+      </motion.div>
+    );
+  });
 
   return (
     <ResponsiveGameContainer minHeight="600px" maxWidth="600px">
@@ -254,8 +285,17 @@ const SnakeLaddersGame = ({ onMove, onGameEnd, numPlayers = 2 }) => {
         </div>
 
         {/* Board */}
-        <div className="w-full max-w-[350px] aspect-square bg-white dark:bg-[#1a2c38] grid grid-cols-10 grid-rows-10 shadow-2xl border-4 border-gray-400 dark:border-gray-700 rounded-lg overflow-hidden">
-          {renderBoard()}
+        <div className="relative w-full max-w-[350px] aspect-square shadow-2xl border-4 border-gray-400 dark:border-gray-700 rounded-lg overflow-hidden">
+          <div
+            className="w-full h-full bg-white dark:bg-[#1a2c38] grid"
+            style={{
+              gridTemplateColumns: `repeat(${snakeBoard.size}, minmax(0, 1fr))`,
+              gridTemplateRows: `repeat(${snakeBoard.size}, minmax(0, 1fr))`
+            }}
+          >
+            {renderBoard()}
+          </div>
+          <SnakeBoardJumps board={snakeBoard} />
         </div>
 
         {/* Controls */}
@@ -272,27 +312,25 @@ const SnakeLaddersGame = ({ onMove, onGameEnd, numPlayers = 2 }) => {
                 {playerNames[idx][0]}
               </div>
               <span className="text-xs mt-1 font-medium text-gray-700 dark:text-gray-300">
-                {gameState.positions[idx]}/100
+                {gameState.positions[idx]}/{boardEnd}
               </span>
             </div>
           ))}
 
-          {/* Dice (center for 2 players) */}
-          {numPlayers === 2 && (
-            <div className="flex flex-col items-center gap-2">
-              <button
-                onClick={handleRoll}
-                disabled={turn !== 0 || rolling || winner !== null}
-                className={`
-                  w-16 h-16 rounded-2xl flex items-center justify-center text-4xl shadow-xl transition-all active:scale-95 border-2
-                  ${turn === 0 && !winner ? 'bg-wa-teal hover:bg-teal-600 text-white cursor-pointer border-teal-700' : 'bg-gray-200 dark:bg-gray-700 text-gray-400 border-gray-300 cursor-not-allowed'}
-                  ${rolling ? 'animate-bounce' : ''}
-                `}
-              >
-                {dice || '🎲'}
-              </button>
-            </div>
-          )}
+          {/* Dice */}
+          <div className="flex flex-col items-center gap-2">
+            <button
+              onClick={handleRoll}
+              disabled={turn !== 0 || busy || winner !== null}
+              className={`
+                w-16 h-16 rounded-2xl flex items-center justify-center text-4xl shadow-xl transition-all active:scale-95 border-2
+                ${turn === 0 && !busy && winner === null ? 'bg-wa-teal hover:bg-teal-600 text-white cursor-pointer border-teal-700' : 'bg-gray-200 dark:bg-gray-700 text-gray-400 border-gray-300 cursor-not-allowed'}
+                ${rolling ? 'animate-bounce' : ''}
+              `}
+            >
+              {dice || '🎲'}
+            </button>
+          </div>
         </div>
 
         {/* Winner Banner */}
@@ -316,7 +354,13 @@ const SnakeLaddersGame = ({ onMove, onGameEnd, numPlayers = 2 }) => {
 
         {/* Rules */}
         <div className="text-xs text-center text-gray-500 dark:text-gray-400 max-w-[300px]">
-          <p>🎲 Roll 6 to get another turn • 🐍 Beware of snakes • 🪜 Climb the ladders • Reach exactly 100 to win!</p>
+          {snakeBoard.name !== DEFAULT_SNAKE_BOARD.name && (
+            <p className="font-medium text-gray-700 dark:text-gray-300 mb-1">Board: {snakeBoard.name}</p>
+          )}
+          <p>🎲 Roll 6 to get another turn • 🐍 Beware of snakes • 🪜 Climb the ladders • Reach exactly {boardEnd} to win!</p>
+          {Object.keys(snakeBoard.specials).length > 0 && (
+            <p className="mt-1">{SNAKE_SPECIAL_SQUARES.map(special => `${special.icon} ${special.description}`).join(' • ')}</p>
+          )}
         </div>
       </div>
     </ResponsiveGameContainer>
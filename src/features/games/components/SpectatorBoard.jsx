@@ -0,0 +1,131 @@
+import React from 'react';
+import { useApp } from '../../../shared/context/AppContext';
+import { GAME_COLOR_THEMES } from '../../../shared/constants/gameConstants';
+import { LUDO_HOME, DEFAULT_SNAKE_BOARD, getSnakeBoardEnd, isBotPlayer } from '../../../shared/gameRules';
+import { getSnakeBoardSquares } from '../../../shared/utils/gameUtils';
+import AnalysisBoard from './replay/AnalysisBoard';
+import SnakeBoardJumps from './SnakeBoardJumps';
+
+const TOKEN_COLORS = ['#2563EB', '#DC2626', '#16A34A', '#EAB308'];
+
+/**
+ * SpectatorBoard - Read-only view of a refereed game's state
+ * Spectators get the referee's state (late), so this draws that instead of a game component.
+ */
+const SpectatorBoard = ({ gameType, gameState }) => {
+    const { users, currentUserId } = useApp();
+
+    if (!gameState) {
+        return (
+            <div className="text-center text-sm text-gray-500 dark:text-gray-400 py-10">
+                Waiting for the first move to reach spectators…
+            </div>
+        );
+    }
+
+    const getName = (playerId) => {
+        if (isBotPlayer(playerId)) return 'Bot';
+        return playerId === currentUserId ? 'You' : users[playerId]?.name || 'Player';
+    };
+    const toMove = gameState.players[gameState.turn];
+
+    const renderBoard = () => {
+        switch (gameType) {
+            case 'chess':
+                return <AnalysisBoard fen={gameState.fen} />;
+            case 'tictactoe':
+                return (
+                    <div className="grid grid-cols-3 gap-1.5 w-48 mx-auto">
+                        {gameState.board.map((mark, i) => (
+                            <div
+                                key={i}
+                                className="aspect-square rounded-lg bg-white dark:bg-gray-800 flex items-center justify-center text-3xl font-bold shadow-sm"
+                                style={{ color: mark === 'X' ? GAME_COLOR_THEMES.tictactoe.x : GAME_COLOR_THEMES.tictactoe.o }}
+                            >
+                                {mark}
+                            </div>
+                        ))}
+                    </div>
+                );
+            case 'snake': {
+                const board = gameState.board || DEFAULT_SNAKE_BOARD;
+                const end = getSnakeBoardEnd(board);
+                return (
+                    <div className="relative w-full max-w-[320px] mx-auto aspect-square border-2 border-gray-300 dark:border-gray-700 rounded-lg overflow-hidden">
+                        <div
+                            className="w-full h-full grid bg-white dark:bg-[#1a2c38]"
+                            style={{
+                                gridTemplateColumns: `repeat(${board.size}, minmax(0, 1fr))`,
+                                gridTemplateRows: `repeat(${board.size}, minmax(0, 1fr))`
+                            }}
+                        >
+                            {getSnakeBoardSquares(board.size).map(square => (
+                                <div
+                                    key={square}
+                                    className={`relative border border-gray-200 dark:border-gray-700 flex items-center justify-center gap-px ${
+                                        board.specials[square] ? 'bg-amber-100 dark:bg-amber-900/30' : ''
+                                    }`}
+                                >
+                                    <span className="absolute top-0 left-0.5 text-[8px] text-gray-400 dark:text-gray-600">{square}</span>
+                                    {square === end && <span className="text-xs">🏁</span>}
+                                    {gameState.players.map((playerId, i) => gameState.positions[playerId] === square && (
+                                        <span
+                                            key={playerId}
+                                            className="w-2.5 h-2.5 rounded-full border border-white z-10"
+                                            style={{ backgroundColor: TOKEN_COLORS[i] }}
+                                            title={getName(playerId)}
+                                        />
+                                    ))}
+                                </div>
+                            ))}
+                        </div>
+                        <SnakeBoardJumps board={board} />
+                    </div>
+                );
+            }
+            case 'ludo':
+                return (
+                    <div className="space-y-2">
+                        {gameState.players.map(playerId => {
+                            const color = gameState.colors[playerId];
+                            return (
+                                <div key={playerId} className="flex items-center gap-2 bg-white dark:bg-gray-800 rounded-lg p-2">
+                                    <span className="w-3 h-3 rounded-full" style={{ backgroundColor: GAME_COLOR_THEMES.ludo[color] }} />
+                                    <span className="text-sm font-medium text-gray-900 dark:text-white w-20 truncate">{getName(playerId)}</span>
+                                    <div className="flex-1 grid grid-cols-4 gap-1">
+                                        {gameState.positions[color].map((position, i) => (
+                                            <div key={i} className="h-2 rounded-full bg-gray-200 dark:bg-gray-700 overflow-hidden">
+                                                <div
+                                                    className="h-full"
+                                                    style={{ width: `${(position / LUDO_HOME) * 100}%`, backgroundColor: GAME_COLOR_THEMES.ludo[color] }}
+                                                />
+                                            </div>
+                                        ))}
+                                    </div>
+                                    <span className="text-xs text-gray-500">{gameState.captures[color]} ⚔️</span>
+                                </div>
+                            );
+                        })}
+                        {gameState.lastRoll && (
+                            <p className="text-center text-sm text-gray-600 dark:text-gray-400">🎲 Last roll: {gameState.lastRoll}</p>
+                        )}
+                    </div>
+                );
+            default:
+                return null;
+        }
+    };
+
+    return (
+        <div>
+            {renderBoard()}
+            <p className="text-center text-xs text-gray-500 dark:text-gray-400 mt-3">
+                {gameState.winner
+                    ? `🏆 ${getName(gameState.winner)} won`
+                    : gameState.isDraw ? 'Draw' : `${getName(toMove)} to move · move ${gameState.moveCount}`}
+            </p>
+        </div>
+    );
+};
+
+export default SpectatorBoard;
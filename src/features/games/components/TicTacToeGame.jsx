@@ -2,8 +2,9 @@ import React, { useState, useCallback, useEffect } from 'react';
 import { motion } from 'framer-motion';
 import { RotateCcw, Trophy } from 'lucide-react';
 import useGameLogic from '../hooks/useGameLogic';
+import { useApp } from '../../../shared/context/AppContext';
 import { gameService } from '../../../services/GameService';
-import { GAME_TYPES, ANIMATION_DURATION } from '../../../shared/constants/gameConstants';
+import { GAME_TYPES, BOT_MOVE_DELAY_MS, DEFAULT_BOT_DIFFICULTY } from '../../../shared/constants/gameConstants';
 import ResponsiveGameContainer from '../../../shared/components/games/ResponsiveGameContainer';
 
 /**
@@ -12,10 +13,11 @@ import ResponsiveGameContainer from '../../../shared/components/games/Responsive
  * Improvements:
  * - Uses useGameLogic for common game logic (DRY)
  * - Responsive container for all screen sizes
- * - AI difficulty levels
+ * - Bot opponent with difficulty levels (GameService rule engine)
+ * - Correspondence games are played on the shared rules state of the active game
  * - Clean separation of concerns
  */
-const TicTacToeGame = ({ onMove, onGameEnd, aiEnabled = true, aiDifficulty = 'medium' }) => {
+const TicTacToeGame = ({ onMove, onGameEnd, aiEnabled = true, botDifficulty = DEFAULT_BOT_DIFFICULTY }) => {
   const initialState = {
     board: Array(9).fill(null),
     isXNext: true,
@@ -43,10 +45,21 @@ const TicTacToeGame = ({ onMove, onGameEnd, aiEnabled = true, aiDifficulty = 'me
 
   const [hoveredSquare, setHoveredSquare] = useState(null);
 
+  // Correspondence games: the board and turns come from the game's document
+  const { activeGame, makeGameMove, currentUserId } = useApp();
+  const correspondence = activeGame?.correspondence && activeGame.type === GAME_TYPES.TIC_TAC_TOE ? activeGame : null;
+  const sharedState = correspondence?.gameState?.board ? correspondence.gameState : null;
+  const isMyTurn = Boolean(sharedState) && sharedState.players[sharedState.turn] === currentUserId;
+  const board = sharedState ? sharedState.board : gameState.board;
+  const winningLine = sharedState ? sharedState.winningLine : gameState.winningLine;
+  const shownWinner = sharedState
+    ? sharedState.winner ? sharedState.marks[sharedState.winner] : sharedState.isDraw ? 'draw' : null
+    : winner;
+
   /**
-   * Handle square click
+   * Place the next mark
    */
-  const handleSquareClick = useCallback((index) => {
+  const placeMark = useCallback((index) => {
     if (loading || winner || gameState.board[index] !== null) return;
     
     // Validate move
@@ -88,117 +101,38 @@ const TicTacToeGame = ({ onMove, onGameEnd, aiEnabled = true, aiDifficulty = 'me
           timestamp: new Date().toISOString(),
         });
       }
-    } else if (aiEnabled && !gameState.isXNext) {
-      // AI's turn (O)
-      setTimeout(() => makeAIMove(newBoard), 500);
-    }
-  }, [gameState, loading, winner, makeMove, updateState, setWinner, onGameEnd, aiEnabled]);
-
-  /**
-   * AI Move Logic
-   */
-  const makeAIMove = useCallback((currentBoard) => {
-    let bestMove = -1;
-
-    if (aiDifficulty === 'easy') {
-      // Random move
-      const emptySquares = currentBoard
-        .map((val, idx) => (val === null ? idx : null))
-        .filter(val => val !== null);
-      bestMove = emptySquares[Math.floor(Math.random() * emptySquares.length)];
-    } else if (aiDifficulty === 'medium') {
-      // Block player or win if possible
-      bestMove = findBestMove(currentBoard, 'O') || findBestMove(currentBoard, 'X') || 
-                 findRandomMove(currentBoard);
-    } else {
-      // Hard: Minimax algorithm
-      bestMove = findMinimaxMove(currentBoard);
     }
+  }, [gameState, loading, winner, makeMove, updateState, setWinner, onGameEnd]);
 
-    if (bestMove !== -1) {
-      handleSquareClick(bestMove);
-    }
-  }, [aiDifficulty, handleSquareClick]);
+  const isBotTurn = !sharedState && aiEnabled && !gameState.isXNext;
 
   /**
-   * Find winning move for a player
+   * Handle square click
    */
-  const findBestMove = (board, player) => {
-    const lines = [
-      [0, 1, 2], [3, 4, 5], [6, 7, 8], // rows
-      [0, 3, 6], [1, 4, 7], [2, 5, 8], // cols
-      [0, 4, 8], [2, 4, 6]             // diagonals
-    ];
-
-    for (const [a, b, c] of lines) {
-      if (board[a] === player && board[b] === player && board[c] === null) return c;
-      if (board[a] === player && board[c] === player && board[b] === null) return b;
-      if (board[b] === player && board[c] === player && board[a] === null) return a;
+  const handleSquareClick = useCallback((index) => {
+    if (sharedState) {
+      if (isMyTurn && !shownWinner && board[index] === null) {
+        makeGameMove(correspondence.id, { action: { type: 'place', position: index } });
+      }
+      return;
     }
-    return null;
-  };
+    if (isBotTurn) return;
+    placeMark(index);
+  }, [sharedState, isMyTurn, shownWinner, board, correspondence, makeGameMove, isBotTurn, placeMark]);
 
   /**
-   * Find random empty square
+   * Bot plays O
    */
-  const findRandomMove = (board) => {
-    const emptySquares = board
-      .map((val, idx) => (val === null ? idx : null))
-      .filter(val => val !== null);
-    return emptySquares[Math.floor(Math.random() * emptySquares.length)] || -1;
-  };
+  useEffect(() => {
+    if (!isBotTurn || winner) return;
 
-  /**
-   * Minimax algorithm for hard difficulty
-   */
-  const findMinimaxMove = (board) => {
-    let bestScore = -Infinity;
-    let bestMove = -1;
-
-    for (let i = 0; i < 9; i++) {
-      if (board[i] === null) {
-        board[i] = 'O';
-        const score = minimax(board, 0, false);
-        board[i] = null;
-        if (score > bestScore) {
-          bestScore = score;
-          bestMove = i;
-        }
-      }
-    }
-    return bestMove;
-  };
+    const timer = setTimeout(() => {
+      const move = gameService.getBotMove(GAME_TYPES.TIC_TAC_TOE, gameState, { mark: 'O', difficulty: botDifficulty });
+      if (move) placeMark(move.position);
+    }, BOT_MOVE_DELAY_MS);
 
-  const minimax = (board, depth, isMaximizing) => {
-    const result = gameService.ruleEngines[GAME_TYPES.TIC_TAC_TOE].checkWinner(board);
-    
-    if (result) {
-      return result.winner === 'O' ? 10 - depth : depth - 10;
-    }
-    if (!board.includes(null)) return 0;
-
-    if (isMaximizing) {
-      let bestScore = -Infinity;
-      for (let i = 0; i < 9; i++) {
-        if (board[i] === null) {
-          board[i] = 'O';
-          bestScore = Math.max(bestScore, minimax(board, depth + 1, false));
-          board[i] = null;
-        }
-      }
-      return bestScore;
-    } else {
-      let bestScore = Infinity;
-      for (let i = 0; i < 9; i++) {
-        if (board[i] === null) {
-          board[i] = 'X';
-          bestScore = Math.min(bestScore, minimax(board, depth + 1, true));
-          board[i] = null;
-        }
-      }
-      return bestScore;
-    }
-  };
+    return () => clearTimeout(timer);
+  }, [isBotTurn, winner, gameState, botDifficulty, placeMark]);
 
   /**
    * Render game board
@@ -206,9 +140,9 @@ const TicTacToeGame = ({ onMove, onGameEnd, aiEnabled = true, aiDifficulty = 'me
   const renderBoard = () => {
     return (
       <div className="grid grid-cols-3 gap-2 md:gap-3 w-full max-w-[350px] mx-auto">
-        {gameState.board.map((value, index) => {
-          const isWinningSquare = gameState.winningLine?.includes(index);
-          const isHovered = hoveredSquare === index && !value && !winner;
+        {board.map((value, index) => {
+          const isWinningSquare = winningLine?.includes(index);
+          const isHovered = hoveredSquare === index && !value && !shownWinner;
 
           return (
             <motion.button
@@ -216,9 +150,9 @@ const TicTacToeGame = ({ onMove, onGameEnd, aiEnabled = true, aiDifficulty = 'me
               onClick={() => handleSquareClick(index)}
               onMouseEnter={() => setHoveredSquare(index)}
               onMouseLeave={() => setHoveredSquare(null)}
-              disabled={loading || winner || value !== null}
-              whileHover={!value && !winner ? { scale: 1.05 } : {}}
-              whileTap={!value && !winner ? { scale: 0.95 } : {}}
+              disabled={loading || shownWinner || value !== null || isBotTurn || (sharedState && !isMyTurn)}
+              whileHover={!value && !shownWinner ? { scale: 1.05 } : {}}
+              whileTap={!value && !shownWinner ? { scale: 0.95 } : {}}
               className={`
                 aspect-square rounded-xl flex items-center justify-center text-5xl md:text-6xl font-bold
                 transition-all duration-200 shadow-md
@@ -231,7 +165,7 @@ const TicTacToeGame = ({ onMove, onGameEnd, aiEnabled = true, aiDifficulty = 'me
                       : 'bg-gray-100 dark:bg-gray-800 hover:bg-gray-200 dark:hover:bg-gray-700'
                 }
                 ${isHovered ? 'ring-2 ring-wa-teal' : ''}
-                ${!value && !winner ? 'cursor-pointer' : 'cursor-not-allowed'}
+                ${!value && !shownWinner ? 'cursor-pointer' : 'cursor-not-allowed'}
               `}
               style={{ minHeight: '80px', minWidth: '80px' }}
             >
@@ -261,34 +195,38 @@ const TicTacToeGame = ({ onMove, onGameEnd, aiEnabled = true, aiDifficulty = 'me
               Tic-Tac-Toe
             </h3>
             <p className="text-sm text-gray-600 dark:text-gray-400">
-              {winner 
-                ? winner === 'draw' ? "It's a draw!" : `${winner} wins!`
-                : `${gameState.isXNext ? 'X' : 'O'}'s turn`
+              {shownWinner 
+                ? shownWinner === 'draw' ? "It's a draw!" : `${shownWinner} wins!`
+                : sharedState
+                  ? isMyTurn ? `Your move (${sharedState.marks[currentUserId]})` : `${sharedState.marks[sharedState.players[sharedState.turn]]}'s move`
+                  : `${gameState.isXNext ? 'X' : 'O'}'s turn`
               }
             </p>
           </div>
           
-          <button
-            onClick={resetGame}
-            className="p-2 md:p-3 hover:bg-gray-200 dark:hover:bg-gray-700 rounded-xl transition-colors"
-            title="Reset Game"
-          >
-            <RotateCcw size={20} className="text-gray-600 dark:text-gray-300" />
-          </button>
+          {!sharedState && (
+            <button
+              onClick={resetGame}
+              className="p-2 md:p-3 hover:bg-gray-200 dark:hover:bg-gray-700 rounded-xl transition-colors"
+              title="Reset Game"
+            >
+              <RotateCcw size={20} className="text-gray-600 dark:text-gray-300" />
+            </button>
+          )}
         </div>
 
         {/* Game Board */}
         {renderBoard()}
 
         {/* Winner Banner */}
-        {winner && winner !== 'draw' && (
+        {shownWinner && shownWinner !== 'draw' && (
           <motion.div
             initial={{ scale: 0, opacity: 0 }}
             animate={{ scale: 1, opacity: 1 }}
             className="flex items-center gap-2 px-6 py-3 bg-gradient-to-r from-yellow-400 to-yellow-600 text-white rounded-full shadow-lg"
           >
             <Trophy size={24} />
-            <span className="font-bold text-lg">{winner} Wins!</span>
+            <span className="font-bold text-lg">{shownWinner} Wins!</span>
           </motion.div>
         )}
 
@@ -301,7 +239,9 @@ const TicTacToeGame = ({ onMove, onGameEnd, aiEnabled = true, aiDifficulty = 'me
 
         {/* Game Info */}
         <div className="text-xs text-center text-gray-500 dark:text-gray-400 max-w-[300px]">
-          {aiEnabled ? `Playing against AI (${aiDifficulty} difficulty)` : 'Two player game'}
+          {correspondence
+            ? `By correspondence · ${correspondence.correspondence.daysPerMove} ${correspondence.correspondence.daysPerMove === 1 ? 'day' : 'days'} per move`
+            : aiEnabled ? `Playing against a bot (${botDifficulty} difficulty)` : 'Two player game'}
         </div>
       </div>
     </ResponsiveGameContainer>
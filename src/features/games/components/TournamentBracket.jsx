@@ -0,0 +1,110 @@
+import React from 'react';
+import { useApp } from '../../../shared/context/AppContext';
+import { getMatchWinner, getTournamentStandings } from '../../../shared/utils/tournaments';
+
+const MEDALS = ['🥇', '🥈', '🥉'];
+
+const formatPoints = (points) => (Number.isInteger(points) ? `${points}` : `${Math.floor(points) || ''}½`);
+
+/**
+ * TournamentBracket - A tournament's rounds and standings
+ * Knockouts are drawn as a bracket (later rounds as empty slots until they're paired);
+ * Swiss and round-robin tournaments show a standings table and every round's games.
+ */
+const TournamentBracket = ({ tournament }) => {
+    const { users, currentUser, currentUserId } = useApp();
+
+    const getName = (userId) => {
+        if (!userId) return 'TBD';
+        const user = users[userId] || (userId === currentUserId ? currentUser : null);
+        return `${user?.name || 'Player'}${userId === currentUserId ? ' (You)' : ''}`;
+    };
+
+    const renderMatch = (match, key) => {
+        const [a, b] = match?.players || [null, null];
+        const through = match?.result && tournament.format === 'knockout' ? getMatchWinner(tournament, match) : match?.result?.winner;
+        const score = (player) => {
+            if (!match?.result) return '';
+            if (match.result.bye) return 'bye';
+            if (match.result.isDraw) return '½';
+            return match.result.winner === player ? '1' : '0';
+        };
+
+        return (
+            <div key={key} className="w-40 bg-gray-50 dark:bg-gray-800 rounded-lg border border-gray-200 dark:border-gray-700 text-xs overflow-hidden">
+                {[a, b].map((player, i) => (
+                    <div
+                        key={i}
+                        className={`flex items-center justify-between px-2 py-1.5 ${i === 0 ? 'border-b border-gray-200 dark:border-gray-700' : ''} ${
+                            through && player === through ? 'font-semibold text-wa-teal' : 'text-[#111b21] dark:text-gray-200'
+                        }`}
+                    >
+                        <span className="truncate">{match && i === 1 && !player ? '—' : getName(player)}</span>
+                        <span className="font-mono">{i === 1 && !player ? '' : score(player)}</span>
+                    </div>
+                ))}
+            </div>
+        );
+    };
+
+    if (tournament.format === 'knockout') {
+        return (
+            <div className="flex gap-4 overflow-x-auto px-4 py-3">
+                {Array.from({ length: tournament.roundCount }, (_, index) => {
+                    const round = tournament.rounds[index];
+                    const slots = 2 ** (tournament.roundCount - index - 1);
+                    return (
+                        <div key={index} className="flex flex-col justify-around gap-3 shrink-0">
+                            <p className="text-[10px] uppercase tracking-wide text-center text-[#667781] dark:text-gray-400">
+                                {index === tournament.roundCount - 1 ? 'Final' : `Round ${index + 1}`}
+                            </p>
+                            {Array.from({ length: slots }, (_, slot) => renderMatch(round?.matches[slot], slot))}
+                        </div>
+                    );
+                })}
+            </div>
+        );
+    }
+
+    const standings = tournament.standings || getTournamentStandings(tournament);
+
+    return (
+        <div className="px-4 py-3 space-y-4">
+            <table className="w-full text-xs">
+                <thead>
+                    <tr className="text-[#667781] dark:text-gray-400">
+                        <th className="text-left font-medium py-1">#</th>
+                        <th className="text-left font-medium">Player</th>
+                        <th className="font-medium">W-D-L</th>
+                        {tournament.format === 'swiss' && <th className="font-medium" title="Opponents' points">Buch.</th>}
+                        <th className="text-right font-medium">Pts</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    {standings.map(row => (
+                        <tr key={row.userId} className={`text-[#111b21] dark:text-gray-200 ${row.userId === currentUserId ? 'bg-wa-teal/5' : ''}`}>
+                            <td className="py-1">{MEDALS[row.rank - 1] && tournament.winnerId ? MEDALS[row.rank - 1] : row.rank}</td>
+                            <td className="truncate max-w-[120px]">{getName(row.userId)}</td>
+                            <td className="text-center">{row.wins + row.byes}-{row.draws}-{row.losses}</td>
+                            {tournament.format === 'swiss' && <td className="text-center">{formatPoints(row.buchholz)}</td>}
+                            <td className="text-right font-bold">{formatPoints(row.points)}</td>
+                        </tr>
+                    ))}
+                </tbody>
+            </table>
+
+            {[...tournament.rounds].reverse().map(round => (
+                <div key={round.number}>
+                    <p className="text-[10px] uppercase tracking-wide text-[#667781] dark:text-gray-400 mb-1.5">
+                        Round {round.number} of {tournament.roundCount}
+                    </p>
+                    <div className="flex flex-wrap gap-2">
+                        {round.matches.map(match => renderMatch(match, match.id))}
+                    </div>
+                </div>
+            ))}
+        </div>
+    );
+};
+
+export default TournamentBracket;
@@ -0,0 +1,119 @@
+import React, { useState } from 'react';
+import { Trophy, ChevronDown, ChevronLeft, Plus } from 'lucide-react';
+import { useApp } from '../../../shared/context/AppContext';
+import { TOURNAMENT_FORMATS } from '../../../shared/constants/gameConstants';
+import { getGameIcon, getGameTitle } from '../../../shared/utils/gameUtils';
+import { TOURNAMENT_STATUS } from '../../../shared/utils/tournaments';
+import useGroupTournaments from '../hooks/useGroupTournaments';
+import TournamentSetup from './TournamentSetup';
+import TournamentBracket from './TournamentBracket';
+
+/**
+ * TournamentPanel - A group's tournaments (shown in Group Info)
+ * Lists the tournaments, opens one as a bracket and creates new ones.
+ */
+const TournamentPanel = ({ chatId, memberIds = [] }) => {
+    const { users, createTournament } = useApp();
+    const [isOpen, setIsOpen] = useState(false);
+    const [isCreating, setIsCreating] = useState(false);
+    const [selectedId, setSelectedId] = useState(null);
+    const { tournaments, loading } = useGroupTournaments(chatId, isOpen);
+    const selected = tournaments.find(t => t.id === selectedId);
+
+    const getStatusText = (tournament) => {
+        if (tournament.status === TOURNAMENT_STATUS.FINISHED) {
+            return `🏆 ${users[tournament.winnerId]?.name || 'Winner'}`;
+        }
+        if (tournament.status === TOURNAMENT_STATUS.SCHEDULED) {
+            return `Starts ${new Date(tournament.startsAt).toLocaleString([], { dateStyle: 'short', timeStyle: 'short' })}`;
+        }
+        return `Round ${tournament.rounds.length} of ${tournament.roundCount}`;
+    };
+
+    const handleCreate = async (options) => {
+        const tournament = await createTournament(chatId, options);
+        setIsCreating(false);
+        setSelectedId(tournament.id);
+    };
+
+    return (
+        <div className="bg-white/90 dark:bg-wa-dark-header/90 backdrop-blur-sm mb-3 shadow-sm transition-colors overflow-hidden rounded-lg">
+            <div
+                className="px-4 py-3 flex items-center justify-between border-b border-gray-100 dark:border-gray-800 cursor-pointer hover:bg-wa-grayBg/50 dark:hover:bg-wa-dark-hover/50"
+                onClick={() => setIsOpen(!isOpen)}
+            >
+                <h3 className="text-sm text-[#667781] dark:text-gray-400 font-medium flex items-center gap-2">
+                    Tournaments
+                    <ChevronDown size={14} className={`transition-transform duration-200 ${isOpen ? 'rotate-180' : ''}`} />
+                </h3>
+                <Trophy size={20} className="text-[#667781] dark:text-gray-400" />
+            </div>
+
+            {isOpen && (
+                <div className="animate-in slide-in-from-top-2 duration-200">
+                    {isCreating ? (
+                        <TournamentSetup
+                            memberIds={memberIds}
+                            onCreate={handleCreate}
+                            onCancel={() => setIsCreating(false)}
+                        />
+                    ) : selected ? (
+                        <>
+                            <button
+                                onClick={() => setSelectedId(null)}
+                                className="flex items-center gap-1 px-4 pt-3 text-sm font-medium text-[#111b21] dark:text-gray-100"
+                            >
+                                <ChevronLeft size={16} />
+                                {getGameIcon(selected.gameType)} {selected.name}
+                            </button>
+                            <p className="px-4 text-xs text-[#667781] dark:text-gray-400">
+                                {TOURNAMENT_FORMATS.find(f => f.id === selected.format)?.label} · {getStatusText(selected)}
+                            </p>
+                            <TournamentBracket tournament={selected} />
+                        </>
+                    ) : (
+                        <>
+                            <button
+                                onClick={() => setIsCreating(true)}
+                                className="w-full flex items-center gap-4 px-6 py-3 text-wa-teal hover:bg-wa-grayBg/50 dark:hover:bg-wa-dark-hover/50"
+                            >
+                                <div className="w-9 h-9 rounded-full bg-wa-teal flex items-center justify-center text-white">
+                                    <Plus size={20} />
+                                </div>
+                                <span className="text-sm font-medium">New tournament</span>
+                            </button>
+
+                            {loading ? (
+                                <div className="px-6 py-6 text-center text-xs text-gray-400">Loading...</div>
+                            ) : tournaments.length === 0 ? (
+                                <div className="px-6 py-6 text-center text-xs text-gray-400 italic">
+                                    No tournaments in this group yet
+                                </div>
+                            ) : (
+                                tournaments.map(tournament => (
+                                    <button
+                                        key={tournament.id}
+                                        onClick={() => setSelectedId(tournament.id)}
+                                        className="w-full flex items-center gap-4 px-6 py-3 text-left hover:bg-wa-grayBg/50 dark:hover:bg-wa-dark-hover/50"
+                                    >
+                                        <span className="w-9 h-9 rounded-full bg-gray-100 dark:bg-gray-700 flex items-center justify-center text-lg">
+                                            {getGameIcon(tournament.gameType)}
+                                        </span>
+                                        <div className="flex-1 min-w-0">
+                                            <h3 className="text-sm text-[#111b21] dark:text-gray-100 truncate">{tournament.name}</h3>
+                                            <p className="text-xs text-[#667781] dark:text-gray-500">
+                                                {getGameTitle(tournament.gameType)} · {tournament.playerIds.length} players · {getStatusText(tournament)}
+                                            </p>
+                                        </div>
+                                    </button>
+                                ))
+                            )}
+                        </>
+                    )}
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default TournamentPanel;
@@ -0,0 +1,189 @@
+import React, { useState } from 'react';
+import { useApp } from '../../../shared/context/AppContext';
+import {
+    GAME_TYPES,
+    CHESS_TIME_CONTROLS,
+    DEFAULT_CHESS_TIME_CONTROL,
+    TOURNAMENT_FORMATS,
+    TOURNAMENT_LIMITS,
+    TOURNAMENT_ROUND_INTERVALS
+} from '../../../shared/constants/gameConstants';
+import { getGameIcon, getGameTitle } from '../../../shared/utils/gameUtils';
+import { getTournamentRoundCount } from '../../../shared/utils/tournaments';
+
+/**
+ * TournamentSetup - Form for a new group tournament
+ */
+const TournamentSetup = ({ memberIds, onCreate, onCancel }) => {
+    const { users, currentUser, currentUserId } = useApp();
+    const [name, setName] = useState('');
+    const [gameType, setGameType] = useState(GAME_TYPES.CHESS);
+    const [format, setFormat] = useState(TOURNAMENT_FORMATS[0].id);
+    const [timeControl, setTimeControl] = useState(DEFAULT_CHESS_TIME_CONTROL);
+    const [playerIds, setPlayerIds] = useState(memberIds.slice(0, TOURNAMENT_LIMITS.maxPlayers));
+    const [startsAt, setStartsAt] = useState(''); // datetime-local value; empty starts now
+    const [intervalId, setIntervalId] = useState(TOURNAMENT_ROUND_INTERVALS[0].id);
+    const [creating, setCreating] = useState(false);
+    const [error, setError] = useState(null);
+
+    const togglePlayer = (userId) => {
+        setPlayerIds(prev => (prev.includes(userId) ? prev.filter(id => id !== userId) : [...prev, userId]));
+    };
+
+    const getSetupError = () => {
+        if (!name.trim()) return 'Give the tournament a name';
+        if (playerIds.length < TOURNAMENT_LIMITS.minPlayers) return `Pick at least ${TOURNAMENT_LIMITS.minPlayers} players`;
+        if (playerIds.length > TOURNAMENT_LIMITS.maxPlayers) return `A tournament can have at most ${TOURNAMENT_LIMITS.maxPlayers} players`;
+        if (startsAt && new Date(startsAt) < new Date()) return 'The start time has passed';
+        return null;
+    };
+
+    const handleCreate = async () => {
+        const setupError = getSetupError();
+        setError(setupError);
+        if (setupError) return;
+
+        setCreating(true);
+        try {
+            await onCreate({
+                name: name.trim(),
+                gameType,
+                format,
+                playerIds,
+                startsAt: startsAt ? new Date(startsAt).toISOString() : undefined,
+                roundIntervalMs: TOURNAMENT_ROUND_INTERVALS.find(i => i.id === intervalId).ms,
+                timeControl: gameType === GAME_TYPES.CHESS ? timeControl : null
+            });
+        } catch (createError) {
+            setError(createError.message || 'Could not create the tournament');
+            setCreating(false);
+        }
+    };
+
+    const optionClass = (selected) => `px-3 py-1 rounded-full text-xs font-medium whitespace-nowrap transition-colors ${
+        selected
+            ? 'bg-wa-teal text-white'
+            : 'bg-gray-100 dark:bg-gray-700 text-gray-600 dark:text-gray-300 hover:bg-gray-200 dark:hover:bg-gray-600'
+    }`;
+    const labelClass = 'text-xs font-medium text-[#667781] dark:text-gray-400 mb-1.5';
+
+    return (
+        <div className="px-4 py-3 space-y-4 border-b border-gray-100 dark:border-gray-800">
+            <input
+                type="text"
+                value={name}
+                onChange={(e) => setName(e.target.value)}
+                placeholder="Tournament name"
+                maxLength={TOURNAMENT_LIMITS.maxNameLength}
+                className="w-full px-3 py-2 bg-gray-100 dark:bg-gray-700 text-[#111b21] dark:text-gray-100 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-wa-teal"
+            />
+
+            <div>
+                <p className={labelClass}>Game</p>
+                <div className="flex gap-2 overflow-x-auto no-scrollbar">
+                    {Object.values(GAME_TYPES).map(type => (
+                        <button key={type} onClick={() => setGameType(type)} className={optionClass(gameType === type)}>
+                            {getGameIcon(type)} {getGameTitle(type)}
+                        </button>
+                    ))}
+                </div>
+            </div>
+
+            {gameType === GAME_TYPES.CHESS && (
+                <div>
+                    <p className={labelClass}>Time control</p>
+                    <div className="flex flex-wrap gap-2">
+                        {CHESS_TIME_CONTROLS.map(control => (
+                            <button key={control.id} onClick={() => setTimeControl(control.id)} className={optionClass(timeControl === control.id)}>
+                                {control.label}
+                            </button>
+                        ))}
+                    </div>
+                </div>
+            )}
+
+            <div>
+                <p className={labelClass}>Format</p>
+                <div className="flex gap-2">
+                    {TOURNAMENT_FORMATS.map(option => (
+                        <button key={option.id} onClick={() => setFormat(option.id)} className={optionClass(format === option.id)}>
+                            {option.label}
+                        </button>
+                    ))}
+                </div>
+                <p className="text-xs text-gray-500 dark:text-gray-400 mt-1.5">
+                    {TOURNAMENT_FORMATS.find(option => option.id === format).description}
+                    {playerIds.length >= 2 && ` · ${getTournamentRoundCount(format, playerIds.length)} rounds`}
+                </p>
+            </div>
+
+            <div>
+                <p className={labelClass}>Players ({playerIds.length})</p>
+                <div className="max-h-40 overflow-y-auto space-y-1">
+                    {memberIds.map(userId => {
+                        const user = users[userId] || (userId === currentUserId ? currentUser : null);
+                        return (
+                            <label key={userId} className="flex items-center gap-3 py-1 cursor-pointer">
+                                <input
+                                    type="checkbox"
+                                    checked={playerIds.includes(userId)}
+                                    onChange={() => togglePlayer(userId)}
+                                    className="w-4 h-4 accent-wa-teal"
+                                />
+                                <img src={user?.avatar} alt="" className="w-7 h-7 rounded-full object-cover" />
+                                <span className="text-sm text-[#111b21] dark:text-gray-100 truncate">
+                                    {user?.name || 'Member'} {userId === currentUserId && '(You)'}
+                                </span>
+                            </label>
+                        );
+                    })}
+                </div>
+            </div>
+
+            <div className="grid grid-cols-2 gap-3">
+                <div>
+                    <p className={labelClass}>Starts</p>
+                    <input
+                        type="datetime-local"
+                        value={startsAt}
+                        onChange={(e) => setStartsAt(e.target.value)}
+                        className="w-full px-2 py-1.5 bg-gray-100 dark:bg-gray-700 text-[#111b21] dark:text-gray-100 rounded-lg text-xs"
+                    />
+                    <p className="text-[10px] text-gray-400 mt-1">Leave empty to start now</p>
+                </div>
+                <div>
+                    <p className={labelClass}>Rounds</p>
+                    <select
+                        value={intervalId}
+                        onChange={(e) => setIntervalId(e.target.value)}
+                        className="w-full px-2 py-1.5 bg-gray-100 dark:bg-gray-700 text-[#111b21] dark:text-gray-100 rounded-lg text-xs"
+                    >
+                        {TOURNAMENT_ROUND_INTERVALS.map(interval => (
+                            <option key={interval.id} value={interval.id}>{interval.label}</option>
+                        ))}
+                    </select>
+                </div>
+            </div>
+
+            {error && <p className="text-xs text-red-500">{error}</p>}
+
+            <div className="flex justify-end gap-2">
+                <button
+                    onClick={onCancel}
+                    className="px-4 py-1.5 rounded-full text-sm text-[#667781] dark:text-gray-400 hover:bg-gray-100 dark:hover:bg-gray-700"
+                >
+                    Cancel
+                </button>
+                <button
+                    onClick={handleCreate}
+                    disabled={creating}
+                    className="px-4 py-1.5 rounded-full text-sm font-medium bg-wa-teal text-white hover:bg-teal-600 disabled:opacity-50"
+                >
+                    {creating ? 'Creating…' : 'Create'}
+                </button>
+            </div>
+        </div>
+    );
+};
+
+export default TournamentSetup;
@@ -59,11 +59,8 @@ const GameChatPanel = ({ gameId, currentUserId, currentUserName, participants =
       }
     };
 
-    webSocketService.subscribeToGame(gameId, handleChatEvent);
-
-    return () => {
-      webSocketService.unsubscribeFromGame(gameId);
-    };
+    // Only drop our own listener; the game itself stays subscribed
+    return webSocketService.subscribeToGame(gameId, handleChatEvent);
   }, [gameId, currentUserId, isMinimized]);
 
   /**
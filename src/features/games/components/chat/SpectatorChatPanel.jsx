@@ -0,0 +1,96 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { Send, MessageCircle } from 'lucide-react';
+import { MAX_SPECTATOR_CHAT_LENGTH } from '../../../../shared/constants/gameConstants';
+
+/**
+ * SpectatorChatPanel - Chat between the spectators of a game
+ *
+ * Separate from GameChatPanel: players never see it, so spectators can talk about
+ * the game without helping either side.
+ */
+const SpectatorChatPanel = ({ messages, currentUserId, onSend, disabled = false }) => {
+  const [inputText, setInputText] = useState('');
+  const messagesEndRef = useRef(null);
+
+  /**
+   * Auto-scroll to bottom
+   */
+  useEffect(() => {
+    messagesEndRef.current?.scrollIntoView({ behavior: 'smooth' });
+  }, [messages]);
+
+  /**
+   * Send message
+   */
+  const handleSendMessage = () => {
+    if (!inputText.trim() || disabled) return;
+    onSend(inputText.trim());
+    setInputText('');
+  };
+
+  /**
+   * Format timestamp
+   */
+  const formatTime = (timestamp) => {
+    const date = new Date(timestamp);
+    return date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+  };
+
+  return (
+    <div className="flex flex-col h-64 bg-white dark:bg-gray-800 rounded-lg border border-gray-200 dark:border-gray-700 overflow-hidden">
+      {/* Header */}
+      <div className="flex items-center gap-2 p-2 border-b border-gray-200 dark:border-gray-700 bg-gray-50 dark:bg-gray-900">
+        <MessageCircle size={16} className="text-purple-500" />
+        <h3 className="font-semibold text-gray-900 dark:text-white text-sm">Spectator Chat</h3>
+        <span className="text-xs text-gray-500 dark:text-gray-400">Players can't see this</span>
+      </div>
+
+      {/* Messages */}
+      <div className="flex-1 overflow-y-auto p-2 space-y-2 bg-gray-50 dark:bg-gray-900">
+        {messages.length === 0 && (
+          <p className="text-xs text-center text-gray-400 mt-4">No messages yet</p>
+        )}
+        {messages.map((msg) => (
+          <div
+            key={msg.id}
+            className={`flex flex-col ${msg.senderId === currentUserId ? 'items-end' : 'items-start'}`}
+          >
+            <div className={`max-w-[80%] ${msg.senderId === currentUserId ? 'bg-purple-500 text-white' : 'bg-white dark:bg-gray-800 text-gray-900 dark:text-white'} rounded-lg p-2 shadow`}>
+              {msg.senderId !== currentUserId && (
+                <div className="text-xs font-semibold mb-1 opacity-70">
+                  {msg.senderName || 'Spectator'}
+                </div>
+              )}
+              <div className="text-sm">{msg.text}</div>
+              <div className="text-xs opacity-70 mt-1">{formatTime(msg.timestamp)}</div>
+            </div>
+          </div>
+        ))}
+        <div ref={messagesEndRef} />
+      </div>
+
+      {/* Input */}
+      <div className="p-2 border-t border-gray-200 dark:border-gray-700 flex gap-2">
+        <input
+          type="text"
+          value={inputText}
+          onChange={(e) => setInputText(e.target.value)}
+          onKeyDown={(e) => e.key === 'Enter' && handleSendMessage()}
+          placeholder={disabled ? 'Chat is closed' : 'Talk to other spectators...'}
+          disabled={disabled}
+          className="flex-1 px-3 py-2 bg-gray-100 dark:bg-gray-700 text-gray-900 dark:text-white rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-purple-500 disabled:opacity-50"
+          maxLength={MAX_SPECTATOR_CHAT_LENGTH}
+        />
+        <button
+          onClick={handleSendMessage}
+          disabled={!inputText.trim() || disabled}
+          className="p-2 bg-purple-500 hover:bg-purple-600 text-white rounded-lg transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          <Send size={18} />
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default SpectatorChatPanel;
@@ -0,0 +1,68 @@
+import React, { useState, useMemo } from 'react';
+import { Chess } from 'chess.js';
+
+const PIECES = {
+  'p': '♟', 'r': '♜', 'n': '♞', 'b': '♝', 'q': '♛', 'k': '♚',
+  'P': '♙', 'R': '♖', 'N': '♘', 'B': '♗', 'Q': '♕', 'K': '♔'
+};
+
+const FILES = ['a', 'b', 'c', 'd', 'e', 'f', 'g', 'h'];
+const RANKS = ['8', '7', '6', '5', '4', '3', '2', '1'];
+
+/**
+ * AnalysisBoard - Chess board for stepping through a game
+ *
+ * Either side can move (click a piece, then a target square); moves go to `onMove`,
+ * which decides whether they start a variation.
+ */
+const AnalysisBoard = ({ fen, lastMove, onMove }) => {
+  const game = useMemo(() => new Chess(fen), [fen]);
+  const [selected, setSelected] = useState(null);
+  const targets = selected ? game.moves({ square: selected, verbose: true }).map(m => m.to) : [];
+
+  const handleSquareClick = (square) => {
+    const piece = game.get(square);
+
+    if (selected && targets.includes(square)) {
+      onMove?.({ from: selected, to: square, promotion: 'q' });
+      setSelected(null);
+    } else if (piece && piece.color === game.turn() && square !== selected) {
+      setSelected(square);
+    } else {
+      setSelected(null);
+    }
+  };
+
+  return (
+    <div className="w-full max-w-[360px] aspect-square mx-auto flex flex-wrap border-4 border-[#5d4037] rounded shadow-lg">
+      {RANKS.map((rank, r) => FILES.map((file, f) => {
+        const square = file + rank;
+        const piece = game.get(square);
+        const isDark = (r + f) % 2 === 1;
+        const isLastMove = lastMove && (lastMove.from === square || lastMove.to === square);
+
+        return (
+          <div
+            key={square}
+            onClick={() => handleSquareClick(square)}
+            className={`
+              w-[12.5%] aspect-square flex items-center justify-center text-2xl cursor-pointer relative select-none
+              ${isDark ? 'bg-[#769656]' : 'bg-[#eeeed2]'}
+              ${isLastMove ? 'bg-yellow-200/80' : ''}
+              ${selected === square ? 'ring-inset ring-4 ring-yellow-400' : ''}
+            `}
+          >
+            {targets.includes(square) && (
+              <div className={`absolute w-3 h-3 rounded-full ${piece ? 'ring-4 ring-black/20 w-full h-full rounded-none' : 'bg-black/20'}`}></div>
+            )}
+            <span className={`${piece?.color === 'w' ? 'text-white drop-shadow-md' : 'text-black'}`}>
+              {piece && PIECES[piece.color === 'w' ? piece.type.toUpperCase() : piece.type]}
+            </span>
+          </div>
+        );
+      }))}
+    </div>
+  );
+};
+
+export default AnalysisBoard;
@@ -0,0 +1,74 @@
+import React from 'react';
+import { winningChances } from '../../../../shared/chessEngine/search';
+
+const WIDTH = 400;
+const HEIGHT = 80;
+
+const MARK_COLORS = {
+  blunder: '#ef4444',
+  mistake: '#f97316',
+  inaccuracy: '#eab308'
+};
+
+/**
+ * EvaluationGraph - Engine evaluation across a game (white's advantage is up)
+ *
+ * @param {Array<Object>} evaluations - { score } for the start and after every move
+ * @param {Array<Object>} classifications - Review mark for every move
+ * @param {number} currentIndex - Move shown on the board (-1 for the start)
+ * @param {Function} onSelect - Called with a move index
+ */
+const EvaluationGraph = ({ evaluations, classifications = [], currentIndex = -1, onSelect }) => {
+  if (!evaluations?.length) return null;
+
+  const step = evaluations.length > 1 ? WIDTH / (evaluations.length - 1) : WIDTH;
+  const points = evaluations.map((evaluation, i) => ({
+    x: i * step,
+    y: (HEIGHT / 2) * (1 - winningChances(evaluation.score))
+  }));
+  const line = points.map(p => `${p.x},${p.y}`).join(' ');
+  const area = `0,${HEIGHT} ${line} ${points[points.length - 1].x},${HEIGHT}`;
+
+  const handleClick = (e) => {
+    const rect = e.currentTarget.getBoundingClientRect();
+    const position = Math.round(((e.clientX - rect.left) / rect.width) * WIDTH / step);
+    onSelect?.(Math.min(evaluations.length - 1, Math.max(0, position)) - 1);
+  };
+
+  return (
+    <svg
+      viewBox={`0 0 ${WIDTH} ${HEIGHT}`}
+      preserveAspectRatio="none"
+      onClick={handleClick}
+      className="w-full h-20 rounded-lg bg-gray-700 cursor-pointer"
+    >
+      <polygon points={area} fill="#f3f4f6" />
+      <line x1="0" y1={HEIGHT / 2} x2={WIDTH} y2={HEIGHT / 2} stroke="#9ca3af" strokeWidth="0.5" />
+      <polyline points={line} fill="none" stroke="#00a884" strokeWidth="1.5" />
+      {currentIndex >= -1 && points[currentIndex + 1] && (
+        <line
+          x1={points[currentIndex + 1].x}
+          y1="0"
+          x2={points[currentIndex + 1].x}
+          y2={HEIGHT}
+          stroke="#00a884"
+          strokeWidth="1"
+          strokeDasharray="3 2"
+        />
+      )}
+      {classifications.map((mark, i) => mark?.classification && (
+        <circle
+          key={i}
+          cx={points[i + 1].x}
+          cy={points[i + 1].y}
+          r="3"
+          fill={MARK_COLORS[mark.classification]}
+        >
+          <title>{`${i + 1}: ${mark.classification}`}</title>
+        </circle>
+      ))}
+    </svg>
+  );
+};
+
+export default EvaluationGraph;
@@ -1,8 +1,12 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import { motion } from 'framer-motion';
-import { Play, Pause, SkipBack, SkipForward, ChevronsLeft, ChevronsRight, X } from 'lucide-react';
-import ReplayEngine from '../../../services/ReplayEngine';
+import { Play, Pause, SkipBack, SkipForward, ChevronsLeft, ChevronsRight, X, FileInput, Cpu } from 'lucide-react';
+import ReplayEngine from '../../../../services/ReplayEngine';
+import { chessEngineService } from '../../../../services/ChessEngineService';
+import { formatNag, formatPgnEval } from '../../../../shared/utils/pgn';
 import MoveHistoryPanel from './MoveHistoryPanel';
+import AnalysisBoard from './AnalysisBoard';
+import EvaluationGraph from './EvaluationGraph';
 
 /**
  * GameReplayViewer - Complete replay interface with controls
@@ -13,26 +17,42 @@ import MoveHistoryPanel from './MoveHistoryPanel';
  * - Progress bar
  * - Move history panel
  * - Export functionality
+ * - PGN/FEN import and an analysis board for chess (moves played on it become variations)
+ * - Review: the chess engine evaluates every position and marks blunders and mistakes
+ *
+ * Pass `engine` to replay a prepared game (e.g. ReplayEngine.fromChessGame), or
+ * `gameType` / `moveHistory` / `initialState` to build one.
  */
 const GameReplayViewer = ({ 
+  engine,
   gameType, 
   moveHistory = [], 
   initialState, 
   onClose,
   onStateChange 
 }) => {
-  const [replayEngine] = useState(() => new ReplayEngine(gameType, moveHistory, initialState));
+  const [replayEngine, setReplayEngine] = useState(() => engine || new ReplayEngine(gameType, moveHistory, initialState));
   const [currentMove, setCurrentMove] = useState(-1);
   const [isPlaying, setIsPlaying] = useState(false);
   const [playSpeed, setPlaySpeed] = useState(1);
+  const [position, setPosition] = useState(replayEngine.initialState);
+  const [isImportOpen, setIsImportOpen] = useState(false);
+  const [importText, setImportText] = useState('');
+  const [importError, setImportError] = useState(null);
+  const [review, setReview] = useState(null); // { status, progress, evaluations, classifications }
+  const reviewRunningRef = useRef(false);
 
   const speeds = [0.5, 1, 1.5, 2];
+  const isChess = replayEngine.gameType === 'chess';
+  const currentLine = replayEngine.getCurrentLine();
+  const currentRecord = currentLine[currentMove] || null;
 
   /**
    * Handle state change
    */
   const handleStateChange = (state, moveIndex) => {
     setCurrentMove(moveIndex);
+    setPosition(state);
     if (onStateChange) {
       onStateChange(state);
     }
@@ -79,18 +99,87 @@ const GameReplayViewer = ({
     replayEngine.pause();
     setIsPlaying(false);
     const state = replayEngine.goToEnd();
-    handleStateChange(state, replayEngine.moveHistory.length - 1);
+    handleStateChange(state, replayEngine.currentMoveIndex);
   };
 
   /**
-   * Jump to move
+   * Jump to a move (in the game or in a variation)
    */
-  const jumpToMove = (moveIndex) => {
+  const jumpToMove = (move) => {
     replayEngine.pause();
     setIsPlaying(false);
-    const state = replayEngine.goToMove(moveIndex);
+    const state = replayEngine.goToRecord(move);
     if (state) {
-      handleStateChange(state, moveIndex);
+      handleStateChange(state, replayEngine.currentMoveIndex);
+    }
+  };
+
+  /**
+   * Move played on the analysis board
+   */
+  const handleBoardMove = (move) => {
+    replayEngine.pause();
+    setIsPlaying(false);
+    if (replayEngine.playVariationMove(move)) {
+      handleStateChange(replayEngine.getCurrentState(), replayEngine.currentMoveIndex);
+    }
+  };
+
+  const deleteVariation = (move) => {
+    if (replayEngine.deleteVariation(move)) {
+      handleStateChange(replayEngine.getCurrentState(), replayEngine.currentMoveIndex);
+    }
+  };
+
+  /**
+   * Load a pasted PGN game or FEN position
+   */
+  const handleImport = () => {
+    try {
+      const imported = ReplayEngine.fromPGN(importText);
+      replayEngine.pause();
+      setIsPlaying(false);
+      if (reviewRunningRef.current) chessEngineService.stop();
+      setReview(null);
+      setReplayEngine(imported);
+      handleStateChange(imported.goToStart(), -1);
+      setIsImportOpen(false);
+      setImportText('');
+      setImportError(null);
+    } catch (error) {
+      setImportError(error.message);
+    }
+  };
+
+  /**
+   * Review the game with the engine
+   */
+  const startReview = async () => {
+    const fens = replayEngine.getMainlineFens();
+    setReview({ status: 'running', progress: 0 });
+    reviewRunningRef.current = true;
+
+    const result = await chessEngineService.analyseGame(fens, {
+      onProgress: ({ index, total }) => setReview(prev => prev && { ...prev, progress: (index + 1) / total })
+    });
+    reviewRunningRef.current = false;
+    if (!result.success) {
+      setReview(result.error === 'cancelled' ? null : { status: 'failed', progress: 0 });
+      return;
+    }
+
+    replayEngine.applyReview(result.evaluations, result.classifications);
+    setReview({ status: 'done', progress: 1, evaluations: result.evaluations, classifications: result.classifications });
+  };
+
+  /**
+   * Graph click: go to a move of the game
+   */
+  const jumpToMainlineMove = (index) => {
+    if (index < 0) {
+      goToStart();
+    } else if (replayEngine.moveHistory[index]) {
+      jumpToMove(replayEngine.moveHistory[index]);
     }
   };
 
@@ -136,9 +225,20 @@ const GameReplayViewer = ({
     };
   }, [replayEngine]);
 
-  const progress = moveHistory.length > 0 
-    ? ((currentMove + 1) / moveHistory.length) * 100 
+  // Don't leave a review running in the background
+  useEffect(() => () => {
+    if (reviewRunningRef.current) chessEngineService.stop();
+  }, []);
+
+  const progress = currentLine.length > 0 
+    ? ((currentMove + 1) / currentLine.length) * 100 
     : 0;
+  const { white, black } = replayEngine.metadata;
+  const mainlineIndex = currentMove === -1 ? -1 : replayEngine.moveHistory.indexOf(currentRecord);
+  const reviewCounts = (review?.classifications || []).reduce((counts, mark) => {
+    if (mark.classification) counts[mark.classification] = (counts[mark.classification] || 0) + 1;
+    return counts;
+  }, {});
 
   return (
     <div className="fixed inset-0 z-50 bg-black/50 flex items-center justify-center p-4">
@@ -149,33 +249,135 @@ const GameReplayViewer = ({
       >
         {/* Header */}
         <div className="flex items-center justify-between p-4 border-b border-gray-200 dark:border-gray-700">
-          <h2 className="text-lg font-bold text-gray-900 dark:text-white">
-            Game Replay
-          </h2>
-          <button
-            onClick={onClose}
-            className="p-2 hover:bg-gray-100 dark:hover:bg-gray-700 rounded-lg transition-colors"
-          >
-            <X size={20} className="text-gray-500 dark:text-gray-400" />
-          </button>
+          <div>
+            <h2 className="text-lg font-bold text-gray-900 dark:text-white">
+              Game Replay
+            </h2>
+            {(white || black) && (
+              <p className="text-xs text-gray-500 dark:text-gray-400">
+                {white || '?'} vs {black || '?'}{replayEngine.metadata.result ? ` · ${replayEngine.metadata.result}` : ''}
+              </p>
+            )}
+          </div>
+          <div className="flex items-center gap-2">
+            {isChess && (
+              <button
+                onClick={startReview}
+                disabled={replayEngine.moveHistory.length === 0 || review?.status === 'running'}
+                className="flex items-center gap-1.5 px-3 py-1.5 text-sm hover:bg-gray-100 dark:hover:bg-gray-700 text-gray-700 dark:text-gray-300 rounded-lg transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+                title="Review the game with the engine"
+              >
+                <Cpu size={16} />
+                {review?.status === 'running' ? `Reviewing ${Math.round(review.progress * 100)}%` : 'Review'}
+              </button>
+            )}
+            <button
+              onClick={() => setIsImportOpen(open => !open)}
+              className="flex items-center gap-1.5 px-3 py-1.5 text-sm hover:bg-gray-100 dark:hover:bg-gray-700 text-gray-700 dark:text-gray-300 rounded-lg transition-colors"
+              title="Import PGN/FEN"
+            >
+              <FileInput size={16} />
+              Import PGN/FEN
+            </button>
+            <button
+              onClick={onClose}
+              className="p-2 hover:bg-gray-100 dark:hover:bg-gray-700 rounded-lg transition-colors"
+            >
+              <X size={20} className="text-gray-500 dark:text-gray-400" />
+            </button>
+          </div>
         </div>
 
+        {/* Import */}
+        {isImportOpen && (
+          <div className="p-4 border-b border-gray-200 dark:border-gray-700 bg-gray-50 dark:bg-gray-900">
+            <textarea
+              value={importText}
+              onChange={(e) => setImportText(e.target.value)}
+              placeholder={'Paste a PGN game or a FEN position\n\n[White "..."]\n1. e4 e5 2. Nf3 {comment} (2. f4!?) Nc6 *'}
+              rows={6}
+              className="w-full p-3 font-mono text-xs rounded-lg border border-gray-200 dark:border-gray-700 bg-white dark:bg-gray-800 text-gray-900 dark:text-gray-100 focus:outline-none focus:ring-2 focus:ring-wa-teal"
+            />
+            {importError && (
+              <p className="text-xs text-red-600 dark:text-red-400 mt-1">{importError}</p>
+            )}
+            <div className="flex justify-end gap-2 mt-2">
+              <button
+                onClick={() => { setIsImportOpen(false); setImportError(null); }}
+                className="px-3 py-1.5 text-sm text-gray-600 dark:text-gray-400 hover:bg-gray-200 dark:hover:bg-gray-700 rounded-lg transition-colors"
+              >
+                Cancel
+              </button>
+              <button
+                onClick={handleImport}
+                disabled={!importText.trim()}
+                className="px-3 py-1.5 text-sm bg-wa-teal hover:bg-teal-600 text-white rounded-lg transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                Load
+              </button>
+            </div>
+          </div>
+        )}
+
         {/* Content */}
         <div className="flex gap-4 p-4">
           {/* Game Display Area */}
           <div className="flex-1">
-            <div className="text-center text-gray-500 dark:text-gray-400 py-12">
-              Game board would render here
-            </div>
+            {isChess && position?.fen ? (
+              <div className="space-y-3">
+                <AnalysisBoard
+                  fen={position.fen}
+                  lastMove={currentRecord?.move}
+                  onMove={handleBoardMove}
+                />
+                {currentRecord && (currentRecord.comment || currentRecord.nags?.length > 0) && (
+                  <p className="text-sm text-center text-gray-600 dark:text-gray-400">
+                    <span className="font-mono font-semibold">
+                      {currentRecord.notation}{(currentRecord.nags || []).map(formatNag).join(' ')}
+                    </span>
+                    {currentRecord.comment && ` — ${currentRecord.comment}`}
+                  </p>
+                )}
+                {currentRecord?.isAnalysis && (
+                  <p className="text-xs text-center text-wa-teal">Analysis variation (the game itself is unchanged)</p>
+                )}
+                {currentRecord?.review?.classification && (
+                  <p className="text-xs text-center text-orange-600 dark:text-orange-400">
+                    {currentRecord.review.classification} ({formatPgnEval(currentRecord.evaluation)}) · {currentRecord.review.bestSan} was best
+                  </p>
+                )}
+                {review?.status === 'done' && (
+                  <div className="space-y-1">
+                    <EvaluationGraph
+                      evaluations={review.evaluations}
+                      classifications={review.classifications}
+                      currentIndex={mainlineIndex}
+                      onSelect={jumpToMainlineMove}
+                    />
+                    <p className="text-xs text-center text-gray-500 dark:text-gray-400">
+                      {reviewCounts.blunder || 0} blunders · {reviewCounts.mistake || 0} mistakes · {reviewCounts.inaccuracy || 0} inaccuracies
+                    </p>
+                  </div>
+                )}
+                {review?.status === 'failed' && (
+                  <p className="text-xs text-center text-red-600 dark:text-red-400">The review could not be completed</p>
+                )}
+              </div>
+            ) : (
+              <div className="text-center text-gray-500 dark:text-gray-400 py-12">
+                Game board would render here
+              </div>
+            )}
           </div>
 
           {/* Move History */}
           <MoveHistoryPanel
-            moves={moveHistory}
-            currentMoveIndex={currentMove}
+            moves={replayEngine.getAllMoves()}
+            currentMoveId={currentRecord?.id || null}
             onMoveClick={jumpToMove}
+            onDeleteVariation={deleteVariation}
             onExport={handleExport}
-            gameType={gameType}
+            gameType={replayEngine.gameType}
           />
         </div>
 
@@ -184,7 +386,7 @@ const GameReplayViewer = ({
           {/* Progress Bar */}
           <div className="mb-4">
             <div className="flex justify-between text-xs text-gray-600 dark:text-gray-400 mb-1">
-              <span>Move {currentMove + 1} / {moveHistory.length}</span>
+              <span>Move {currentMove + 1} / {currentLine.length}</span>
               <span>{Math.round(progress)}%</span>
             </div>
             <div className="h-2 bg-gray-200 dark:bg-gray-700 rounded-full overflow-hidden">
@@ -217,7 +419,7 @@ const GameReplayViewer = ({
 
             <button
               onClick={togglePlay}
-              disabled={moveHistory.length === 0}
+              disabled={currentLine.length === 0}
               className="p-3 bg-wa-teal hover:bg-teal-600 text-white rounded-full transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
               title={isPlaying ? 'Pause' : 'Play'}
             >
@@ -226,7 +428,7 @@ const GameReplayViewer = ({
 
             <button
               onClick={stepForward}
-              disabled={currentMove >= moveHistory.length - 1}
+              disabled={currentMove >= currentLine.length - 1}
               className="p-2 hover:bg-gray-200 dark:hover:bg-gray-700 rounded-lg transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
               title="Next move"
             >
@@ -235,7 +437,7 @@ const GameReplayViewer = ({
 
             <button
               onClick={goToEnd}
-              disabled={currentMove >= moveHistory.length - 1}
+              disabled={currentMove >= currentLine.length - 1}
               className="p-2 hover:bg-gray-200 dark:hover:bg-gray-700 rounded-lg transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
               title="Go to end"
             >
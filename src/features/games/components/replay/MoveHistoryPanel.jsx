@@ -1,23 +1,97 @@
 import React from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
-import { Play, Pause, SkipBack, SkipForward, ChevronsLeft, ChevronsRight, Download } from 'lucide-react';
-import ReplayEngine from '../../../services/ReplayEngine';
+import { Trash2 } from 'lucide-react';
+import { formatNag, formatPgnClock, getMoveNumberLabel } from '../../../../shared/utils/pgn';
+
+/**
+ * Move label, e.g. "12... Nf6!?" (chess) or "5. <notation>"
+ */
+const formatMove = (move, gameType, withNumber = true) => {
+  // The game's own annotations win over engine review marks
+  const marks = move.nags?.length ? move.nags : move.review?.nag ? [move.review.nag] : [];
+  const nags = marks.map(formatNag).join(' ');
+  const notation = nags ? `${move.notation}${nags.startsWith('$') ? ` ${nags}` : nags}` : move.notation;
+  if (!withNumber) return notation;
+  const number = gameType === 'chess' && move.stateBefore?.fen
+    ? getMoveNumberLabel(move.stateBefore.fen)
+    : `${move.moveNumber}.`;
+  return `${number} ${notation}`;
+};
+
+/**
+ * Variation lines, shown inline under the move they replace
+ */
+const VariationList = ({ variations, gameType, currentMoveId, onMoveClick, onDeleteVariation, depth = 1 }) => (
+  <div className="space-y-1" style={{ marginLeft: depth * 8 }}>
+    {variations.map(variation => (
+      <div
+        key={variation[0].id}
+        className={`flex flex-wrap items-center gap-x-1 text-xs border-l-2 pl-2 py-0.5 ${
+          variation[0].isAnalysis ? 'border-wa-teal/60' : 'border-gray-300 dark:border-gray-600'
+        }`}
+      >
+        <span className="text-gray-400">(</span>
+        {variation.map((move, index) => (
+          <React.Fragment key={move.id}>
+            <button
+              onClick={() => onMoveClick && onMoveClick(move)}
+              className={`font-mono px-1 rounded ${
+                move.id === currentMoveId
+                  ? 'bg-wa-teal text-white'
+                  : `hover:bg-gray-100 dark:hover:bg-gray-700 text-gray-600 dark:text-gray-400 ${move.isAnalysis ? 'italic' : ''}`
+              }`}
+            >
+              {formatMove(move, gameType, index === 0 || move.stateBefore?.fen?.split(' ')[1] === 'w')}
+            </button>
+            {move.comment && (
+              <span className="text-gray-500 dark:text-gray-500">{move.comment}</span>
+            )}
+            {move.variations?.length > 0 && (
+              <div className="w-full">
+                <VariationList
+                  variations={move.variations}
+                  gameType={gameType}
+                  currentMoveId={currentMoveId}
+                  onMoveClick={onMoveClick}
+                  onDeleteVariation={onDeleteVariation}
+                  depth={depth + 1}
+                />
+              </div>
+            )}
+          </React.Fragment>
+        ))}
+        <span className="text-gray-400">)</span>
+        {variation[0].isAnalysis && onDeleteVariation && (
+          <button
+            onClick={() => onDeleteVariation(variation[0])}
+            className="p-0.5 text-gray-400 hover:text-red-500"
+            title="Delete variation"
+          >
+            <Trash2 size={12} />
+          </button>
+        )}
+      </div>
+    ))}
+  </div>
+);
 
 /**
  * MoveHistoryPanel - Display move-by-move game history
- * 
+ *
  * Features:
  * - Scrollable move list
  * - Click to jump to position
  * - Export functionality
  * - Current move highlighting
+ * - Comments, annotations, clock times and variations
  */
-const MoveHistoryPanel = ({ 
-  moves = [], 
-  currentMoveIndex = -1, 
-  onMoveClick, 
+const MoveHistoryPanel = ({
+  moves = [],
+  currentMoveId = null,
+  onMoveClick,
+  onDeleteVariation,
   onExport,
-  gameType 
+  gameType
 }) => {
   /**
    * Export moves
@@ -29,7 +103,7 @@ const MoveHistoryPanel = ({
   };
 
   return (
-    <div className="bg-white dark:bg-gray-800 rounded-lg shadow-lg p-4 w-64 max-h-96 flex flex-col">
+    <div className="bg-white dark:bg-gray-800 rounded-lg shadow-lg p-4 w-72 max-h-[28rem] flex flex-col">
       {/* Header */}
       <div className="flex items-center justify-between mb-3 pb-2 border-b border-gray-200 dark:border-gray-700">
         <h3 className="font-semibold text-gray-900 dark:text-white text-sm">
@@ -49,29 +123,47 @@ const MoveHistoryPanel = ({
         ) : (
           <AnimatePresence>
             {moves.map((move, index) => (
-              <motion.button
-                key={index}
+              <motion.div
+                key={move.id}
                 initial={{ opacity: 0, x: -10 }}
                 animate={{ opacity: 1, x: 0 }}
-                transition={{ delay: index * 0.02 }}
-                onClick={() => onMoveClick && onMoveClick(index)}
-                className={`
-                  w-full text-left px-3 py-2 rounded-lg text-sm transition-colors
-                  ${index === currentMoveIndex
-                    ? 'bg-wa-teal text-white'
-                    : 'hover:bg-gray-100 dark:hover:bg-gray-700 text-gray-700 dark:text-gray-300'
-                  }
-                `}
+                transition={{ delay: Math.min(index, 30) * 0.02 }}
               >
-                <div className="flex items-center justify-between">
-                  <span className="font-mono">
-                    {move.moveNumber}. {move.notation}
-                  </span>
-                  {index === currentMoveIndex && (
-                    <span className="text-xs">◀</span>
+                <button
+                  onClick={() => onMoveClick && onMoveClick(move)}
+                  className={`
+                    w-full text-left px-3 py-2 rounded-lg text-sm transition-colors
+                    ${move.id === currentMoveId
+                      ? 'bg-wa-teal text-white'
+                      : 'hover:bg-gray-100 dark:hover:bg-gray-700 text-gray-700 dark:text-gray-300'
+                    }
+                  `}
+                >
+                  <div className="flex items-center justify-between">
+                    <span className="font-mono">
+                      {formatMove(move, gameType)}
+                    </span>
+                    <span className="text-xs opacity-70">
+                      {move.clockMs !== null && move.clockMs !== undefined && formatPgnClock(move.clockMs)}
+                      {move.id === currentMoveId && ' ◀'}
+                    </span>
+                  </div>
+                  {move.comment && (
+                    <p className={`text-xs mt-1 ${move.id === currentMoveId ? 'text-white/80' : 'text-gray-500 dark:text-gray-400'}`}>
+                      {move.comment}
+                    </p>
                   )}
-                </div>
-              </motion.button>
+                </button>
+                {move.variations?.length > 0 && (
+                  <VariationList
+                    variations={move.variations}
+                    gameType={gameType}
+                    currentMoveId={currentMoveId}
+                    onMoveClick={onMoveClick}
+                    onDeleteVariation={onDeleteVariation}
+                  />
+                )}
+              </motion.div>
             ))}
           </AnimatePresence>
         )}
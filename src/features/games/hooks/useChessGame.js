@@ -84,7 +84,8 @@ const useChessGame = (activeGame, currentUserId, makeGameMove) => {
                     makeGameMove(activeGame.id, {
                         fen: newGame.fen(),
                         move: move,
-                        turn: newGame.turn()
+                        turn: newGame.turn(),
+                        action: { type: 'move', from: move.from, to: move.to, promotion: move.promotion }
                     });
                 }
 
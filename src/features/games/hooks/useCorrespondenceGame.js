@@ -0,0 +1,32 @@
+import { useEffect, useState } from 'react';
+import correspondenceFirebaseService from '../../../services/firebase/CorrespondenceFirebaseService';
+
+/**
+ * useCorrespondenceGame - Hook for a correspondence game's document, kept up to date
+ * `game` is null until it loads (or if it no longer exists).
+ */
+const useCorrespondenceGame = (gameId) => {
+  const [game, setGame] = useState(null);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    if (!gameId) return undefined;
+
+    setLoading(true);
+    return correspondenceFirebaseService.subscribeToGame(
+      gameId,
+      (latest) => {
+        setGame(latest);
+        setLoading(false);
+      },
+      (error) => {
+        console.error('Error loading correspondence game:', error);
+        setLoading(false);
+      }
+    );
+  }, [gameId]);
+
+  return { game, loading };
+};
+
+export default useCorrespondenceGame;
@@ -1,61 +1,47 @@
-import { useState, useEffect, useCallback } from 'react';
+import { useMemo, useCallback } from 'react';
 import { useApp } from '../../../shared/context/AppContext';
+import { isFinished } from '../../../shared/gameRules';
 
+/**
+ * useGameRoom - A game the current user plays in, by its room (or game) ID
+ * The game comes from AppContext's active games, so after a reload it picks up where the
+ * resumed session left off. `status` is null when this device isn't in the game.
+ */
 export const useGameRoom = (roomId) => {
-    const { activeGames, currentUserId } = useApp();
+    const { activeGames, currentUserId, makeGameMove, endGame } = useApp();
 
-    // Local state for the game (synced with roomSession in real app)
-    const [gameState, setGameState] = useState({
-        status: 'waiting', // waiting, active, finished
-        turn: 'white', // userId or color
-        board: null, // game specific board state
-        winner: null
-    });
+    const game = useMemo(
+        () => Array.from(activeGames.values()).find(g => g.roomId === roomId || g.id === roomId) || null,
+        [activeGames, roomId]
+    );
 
-    const [players, setPlayers] = useState([]);
-
-    useEffect(() => {
-        // In a real app, subscribe to websocket/firebase for this roomId
-        // For now, sync with initial Context state
-        if (activeGame) {
-            setPlayers(activeGame.players || []);
-        }
-    }, [activeGame]);
-
-    const makeMove = useCallback((moveData) => {
-        // Validate turn
-        const isMyTurn = (gameState.turn === currentUserId) ||
-            (gameState.turn === 'white' && players.find(p => p.userId === currentUserId)?.color === 'white') ||
-            (gameState.turn === 'black' && players.find(p => p.userId === currentUserId)?.color === 'black');
+    const gameState = game?.gameState || {};
+    const started = Array.isArray(gameState.players);
+    const status = !game ? null : !started ? 'waiting' : isFinished(gameState) ? 'finished' : 'active';
+    const isMyTurn = status === 'active' && gameState.players[gameState.turn] === currentUserId;
 
+    const makeMove = useCallback((action) => {
         if (!isMyTurn) {
             console.warn("Not your turn!");
             return false;
         }
 
-        // Optimistic update
-        setGameState(prev => ({
-            ...prev,
-            // Mock logic: switch turn
-            turn: prev.turn === 'white' ? 'black' : 'white',
-            // Update board logic would go here or be passed in
-            board: moveData.newBoard || prev.board
-        }));
-
-        // Send move to server...
+        // The referee has the final say; a rejected move comes back as `game.moveError`
+        makeGameMove(game.id, { action });
         return true;
-    }, [gameState.turn, currentUserId, players]);
+    }, [game, isMyTurn, makeGameMove]);
 
     const leaveRoom = useCallback(() => {
-        // Logic to leave
-    }, []);
+        if (!game) return;
+        endGame(game.id, { winner: null, reason: 'quit', quitBy: currentUserId });
+    }, [game, endGame, currentUserId]);
 
     return {
+        game,
         gameState,
-        players,
-        isMyTurn: (gameState.turn === currentUserId) ||
-            (gameState.turn === 'white' && players.find(p => p.userId === currentUserId)?.color === 'white') ||
-            (gameState.turn === 'black' && players.find(p => p.userId === currentUserId)?.color === 'black'),
+        status,
+        players: game?.players || [],
+        isMyTurn,
         currentUserId,
         makeMove,
         leaveRoom
@@ -1,91 +1,50 @@
 import { useState, useEffect, useCallback } from 'react';
+import { isClockRunning, getLiveRemaining, getFlaggedSide } from '../../../shared/gameRules';
+
+const TICK_MS = 100;
 
 /**
  * Custom hook for Chess timer logic (Single Responsibility Principle)
- * Handles countdown timers for both players
- * Separated from chess game logic and UI rendering
+ * Renders a game clock (see shared/gameRules/clock.js); the clock itself is only changed by
+ * moves, so both players see the same times whatever their local timers do.
+ *
+ * @param {Object} clock - Clock from the game state (null for untimed games)
+ * @param {number} serverOffset - Referee time minus local time (0 for local clocks)
  */
-const useGameTimer = (defaultTimeControl = 600, activeGame, turn) => {
-    const [whiteTime, setWhiteTime] = useState(defaultTimeControl);
-    const [blackTime, setBlackTime] = useState(defaultTimeControl);
-    const [timerActive, setTimerActive] = useState(false);
-    const [timeExpired, setTimeExpired] = useState(null);
-
-    // Sync timer from activeGame if available (multiplayer sync)
-    useEffect(() => {
-        if (activeGame?.gameState?.whiteTime !== undefined) {
-            setWhiteTime(activeGame.gameState.whiteTime);
-        }
-        if (activeGame?.gameState?.blackTime !== undefined) {
-            setBlackTime(activeGame.gameState.blackTime);
-        }
-        if (activeGame?.gameState?.timerActive !== undefined) {
-            setTimerActive(activeGame.gameState.timerActive);
-        }
-    }, [activeGame?.gameState]);
+const useGameTimer = (clock, serverOffset = 0) => {
+    const [, setTick] = useState(0);
+    const running = isClockRunning(clock);
 
-    // Timer countdown effect
+    // Re-render while the clock runs; times are always computed from the clock itself
     useEffect(() => {
-        if (!timerActive || timeExpired) return;
-
-        const interval = setInterval(() => {
-            if (turn === 'w') {
-                setWhiteTime(prev => {
-                    if (prev <= 1) {
-                        setTimeExpired('w');
-                        setTimerActive(false);
-                        return 0;
-                    }
-                    return prev - 1;
-                });
-            } else {
-                setBlackTime(prev => {
-                    if (prev <= 1) {
-                        setTimeExpired('b');
-                        setTimerActive(false);
-                        return 0;
-                    }
-                    return prev - 1;
-                });
-            }
-        }, 1000);
-
+        if (!running) return;
+        const interval = setInterval(() => setTick(tick => tick + 1), TICK_MS);
         return () => clearInterval(interval);
-    }, [timerActive, turn, timeExpired]);
+    }, [running]);
 
-    /**
-     * Start the timer (called on first move)
-     */
-    const startTimer = useCallback(() => {
-        setTimerActive(true);
-    }, []);
+    const now = Date.now() + serverOffset;
+    const [whiteTime, blackTime] = clock ? getLiveRemaining(clock, now) : [null, null];
 
     /**
-     * Reset timer to initial state
+     * Format milliseconds as M:SS (tenths under 10 seconds)
      */
-    const resetTimer = useCallback((timeControl = defaultTimeControl) => {
-        setWhiteTime(timeControl);
-        setBlackTime(timeControl);
-        setTimerActive(false);
-        setTimeExpired(null);
-    }, [defaultTimeControl]);
-
-    /**
-     * Format time as MM:SS
-     */
-    const formatTime = useCallback((seconds) => {
-        const mins = Math.floor(seconds / 60);
-        const secs = seconds % 60;
+    const formatTime = useCallback((ms) => {
+        if (ms === null) return '--:--';
+        const clamped = Math.max(0, ms);
+        const mins = Math.floor(clamped / 60000);
+        const secs = Math.floor((clamped % 60000) / 1000);
+        if (clamped < 10000) {
+            return `0:${secs.toString().padStart(2, '0')}.${Math.floor((clamped % 1000) / 100)}`;
+        }
         return `${mins}:${secs.toString().padStart(2, '0')}`;
     }, []);
 
     return {
         whiteTime,
         blackTime,
-        timerActive,
-        timeExpired,
-        startTimer,
-        resetTimer,
+        timerActive: running,
+        activeSide: clock?.active ?? null,
+        flaggedSide: clock ? getFlaggedSide(clock, now) : null,
         formatTime
     };
 };
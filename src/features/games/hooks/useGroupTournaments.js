@@ -0,0 +1,32 @@
+import { useEffect, useState } from 'react';
+import tournamentFirebaseService from '../../../services/firebase/TournamentFirebaseService';
+
+/**
+ * useGroupTournaments - Hook for a group's tournaments, kept up to date
+ * Newest first; `enabled` lets a collapsed panel skip the listener.
+ */
+const useGroupTournaments = (chatId, enabled = true) => {
+  const [tournaments, setTournaments] = useState([]);
+  const [loading, setLoading] = useState(false);
+
+  useEffect(() => {
+    if (!chatId || !enabled) return undefined;
+
+    setLoading(true);
+    return tournamentFirebaseService.subscribeToChatTournaments(
+      chatId,
+      (list) => {
+        setTournaments(list);
+        setLoading(false);
+      },
+      (error) => {
+        console.error('Error loading tournaments:', error);
+        setLoading(false);
+      }
+    );
+  }, [chatId, enabled]);
+
+  return { tournaments, loading };
+};
+
+export default useGroupTournaments;
@@ -0,0 +1,98 @@
+import { useEffect, useState, useCallback } from 'react';
+import { webSocketService, GameEventTypes } from '../../../services/WebSocketService';
+import { DEFAULT_SPECTATOR_DELAY_MS } from '../../../shared/constants/gameConstants';
+
+/**
+ * useSpectateGame - Hook for watching a game you don't play in
+ *
+ * Features:
+ * - Joins the game's spectators while mounted
+ * - Game state as spectators see it (after the players' delay)
+ * - Spectator list and chat
+ * - Ends when the players deny spectating or remove you
+ */
+const useSpectateGame = (gameId, senderName) => {
+  const [status, setStatus] = useState('joining'); // 'joining' | 'watching' | 'denied' | 'ended'
+  const [reason, setReason] = useState(null);
+  const [gameState, setGameState] = useState(null);
+  const [gameOver, setGameOver] = useState(false);
+  const [spectators, setSpectators] = useState([]);
+  const [settings, setSettings] = useState({ allowed: true, delayMs: DEFAULT_SPECTATOR_DELAY_MS });
+  const [chat, setChat] = useState([]);
+
+  /**
+   * Handle spectator events
+   */
+  const handleEvent = useCallback(({ type, data }) => {
+    switch (type) {
+      case GameEventTypes.SPECTATE_SNAPSHOT:
+        setStatus('watching');
+        setGameState(data.gameState);
+        setGameOver(data.ended);
+        setChat(data.chat);
+        setSpectators(data.spectators);
+        setSettings(data.settings);
+        break;
+      case GameEventTypes.GAME_STATE_UPDATE:
+        setGameState(data.gameState);
+        break;
+      case GameEventTypes.GAME_END:
+        if (data.gameState) setGameState(data.gameState);
+        setGameOver(true);
+        break;
+      case GameEventTypes.SPECTATOR_CHAT:
+        setChat(prev => [...prev, data.message]);
+        break;
+      case GameEventTypes.SPECTATORS_UPDATE:
+        setSpectators(data.spectators);
+        setSettings(data.settings);
+        break;
+      case GameEventTypes.SPECTATE_DENIED:
+        setStatus('denied');
+        setReason(data.reason);
+        break;
+      case GameEventTypes.SPECTATE_ENDED:
+        setStatus('ended');
+        setReason(data.reason);
+        break;
+      default:
+        break;
+    }
+  }, []);
+
+  /**
+   * Join while mounted
+   */
+  useEffect(() => {
+    if (!gameId) return undefined;
+
+    setStatus('joining');
+    setReason(null);
+    setGameState(null);
+    setGameOver(false);
+    setChat([]);
+    setSpectators([]);
+
+    return webSocketService.spectateGame(gameId, handleEvent);
+  }, [gameId, handleEvent]);
+
+  /**
+   * Send a message to the other spectators
+   */
+  const sendChat = useCallback((text) => {
+    webSocketService.sendGameEvent(GameEventTypes.SPECTATOR_CHAT, { gameId, text, senderName });
+  }, [gameId, senderName]);
+
+  return {
+    status,
+    reason,
+    gameState,
+    gameOver,
+    spectators,
+    settings,
+    chat,
+    sendChat,
+  };
+};
+
+export default useSpectateGame;
@@ -0,0 +1,23 @@
+import { useEffect, useState } from 'react';
+import { webSocketService } from '../../../services/WebSocketService';
+
+/**
+ * useSpectatorCount - Hook for how many people watch a game
+ * Returns { count, allowed, live }; `live` is false until the game starts and after it ends
+ */
+const useSpectatorCount = (gameId) => {
+  const [spectatorCount, setSpectatorCount] = useState(() => webSocketService.getSpectatorCount(gameId));
+
+  useEffect(() => {
+    setSpectatorCount(webSocketService.getSpectatorCount(gameId));
+
+    return webSocketService.onSpectatorCountsChange((entries) => {
+      const entry = entries.find(e => e.gameId === gameId);
+      if (entry) setSpectatorCount(entry);
+    });
+  }, [gameId]);
+
+  return spectatorCount;
+};
+
+export default useSpectatorCount;
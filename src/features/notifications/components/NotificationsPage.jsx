@@ -168,6 +168,22 @@ const NotificationItem = ({ notification, onActionTaken }) => {
                         </button>
                     )
                 };
+            case NOTIFICATION_TYPES.GAME_YOUR_MOVE:
+                return {
+                    icon: '♟️',
+                    message: `moved in your ${notification.metadata?.gameTitle || 'game'}. It's your move`,
+                    action: (
+                        <button
+                            onClick={async () => {
+                                await notificationFirebaseService.markAsRead(notification.id);
+                                navigate(`/chat/${notification.metadata?.chatId}`);
+                            }}
+                            className="px-4 py-1.5 bg-wa-teal text-white rounded-lg text-sm font-medium hover:bg-wa-tealDark"
+                        >
+                            Play
+                        </button>
+                    )
+                };
             default:
                 return {
                     icon: '📬',
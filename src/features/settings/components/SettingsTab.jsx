@@ -228,13 +228,13 @@ const LogoEffectsSettingsScreen = ({ onClose }) => {
 };
 
 const PasswordSettingsScreen = ({ onClose }) => {
-    const { securitySettings, updateSecuritySettings } = useApp();
+    const { securitySettings, setSecurityPin } = useApp();
     const [editingType, setEditingType] = useState(null);
     const [newPassword, setNewPassword] = useState('');
     const [confirmPassword, setConfirmPassword] = useState('');
     const [message, setMessage] = useState('');
 
-    const handleSave = () => {
+    const handleSave = async () => {
         if (newPassword.length < 4) {
             setMessage('Password must be at least 4 characters');
             return;
@@ -245,13 +245,13 @@ const PasswordSettingsScreen = ({ onClose }) => {
         }
 
         if (editingType === 'daily') {
-            updateSecuritySettings({ dailyLockPassword: newPassword });
+            await setSecurityPin('daily', newPassword);
             setMessage('App Lock Password updated!');
         } else if (editingType === 'chat') {
-            updateSecuritySettings({ chatLockPassword: newPassword });
+            await setSecurityPin('chat', newPassword);
             setMessage('Chat Lock Password updated!');
         } else if (editingType === 'archive') {
-            updateSecuritySettings({ archiveLockPassword: newPassword });
+            await setSecurityPin('archive', newPassword);
             setMessage('Archive Lock Password updated!');
         }
 
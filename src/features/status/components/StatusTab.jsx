@@ -14,7 +14,7 @@ import NearbyFriendsSection from './NearbyFriendsSection';
 
 const StatusTab = () => {
     const navigate = useNavigate();
-    const { users, currentUserId, statusUpdates, channels, addStatusUpdate, searchQuery, chats, securitySettings, statusPrivacy } = useApp();
+    const { users, currentUserId, statusUpdates, channels, addStatusUpdate, searchQuery, chats, securitySettings, verifySecurityPin, statusPrivacy } = useApp();
     const myStatusUser = users[currentUserId];
 
     // UI States
@@ -94,14 +94,14 @@ const StatusTab = () => {
         }
     };
 
-    const verifyArchivePin = (e) => {
+    const verifyArchivePin = async (e) => {
         e?.preventDefault();
-        const requiredPin = securitySettings.chatLockPassword || '0000';
-        if (authPin === requiredPin) {
+        const result = await verifySecurityPin('chat', authPin, { defaultPin: '0000' });
+        if (result.success) {
             setShowArchiveAuth(false);
             setIsArchiveExpanded(true);
         } else {
-            setAuthError('Incorrect PIN');
+            setAuthError(result.error);
             setAuthPin('');
         }
     };
@@ -42,7 +42,7 @@ const StatusItem = ({ update, isViewed, onClick }) => {
 const UpdatesTab = () => {
     const navigate = useNavigate();
     const {
-        users, currentUserId, statusUpdates, channels, addStatusUpdate, searchQuery, chats, setChats, securitySettings,
+        users, currentUserId, statusUpdates, channels, addStatusUpdate, searchQuery, chats, setChats, securitySettings, verifySecurityPin,
         followUser, unfollowUser, isFollowing, followedUsers, getMutualConnectionsCount
     } = useApp();
     const myStatusUser = users[currentUserId];
@@ -159,14 +159,14 @@ const UpdatesTab = () => {
         }
     };
 
-    const verifyArchivePin = (e) => {
+    const verifyArchivePin = async (e) => {
         e?.preventDefault();
-        const requiredPin = securitySettings.chatLockPassword || '0000';
-        if (authPin === requiredPin) {
+        const result = await verifySecurityPin('chat', authPin, { defaultPin: '0000' });
+        if (result.success) {
             setShowArchiveAuth(false);
             setIsArchiveExpanded(true);
         } else {
-            setAuthError('Incorrect PIN');
+            setAuthError(result.error);
             setAuthPin('');
         }
     };
@@ -4,6 +4,7 @@ import { ArrowLeft, MessageCircle, Users, Lock, ChevronRight } from 'lucide-reac
 import { useApp } from '../../../shared/context/AppContext';
 import followFirebaseService from '../../../services/firebase/FollowFirebaseService';
 import FollowButton from './FollowButton';
+import HeadToHeadCard from '../../games/components/HeadToHeadCard';
 
 /**
  * UserProfile - Dedicated user profile page
@@ -264,6 +265,11 @@ const UserProfile = () => {
                         </div>
                     )}
 
+                    {/* Games against this user */}
+                    {!isOwnProfile && canViewProfile && (
+                        <HeadToHeadCard opponentId={userId} opponentName={profileUser.name} />
+                    )}
+
                     {/* Own Profile Actions */}
                     {isOwnProfile && (
                         <div className="px-6 mt-6">
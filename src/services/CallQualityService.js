@@ -0,0 +1,129 @@
+/**
+ * Call Quality Service
+ * Samples a call's WebRTC stats while it lasts (RTT, jitter, packet loss, frame rate),
+ * adapts the bitrate and resolution of the video we send to them, and summarizes the
+ * call's quality when it ends
+ */
+
+import { CALL_QUALITY, ADAPTIVE_BITRATE } from '../shared/constants/callConstants';
+import { readCallStats, getQualityBars, getSenderCaps, summarizeCallQuality } from '../shared/utils/callQuality';
+
+class CallQualityService {
+    constructor() {
+        // Map callId -> { peerConnection, interval, samples, maxBitrate, onSample }
+        this.monitors = new Map();
+    }
+
+    /**
+     * Start sampling a call (again on the same connection is a no-op)
+     * @param {string} callId - Call identifier
+     * @param {RTCPeerConnection} peerConnection - The call's connection
+     * @param {function} onSample - ({ ...sample, bars }) after each sample
+     */
+    startMonitoring(callId, peerConnection, onSample) {
+        if (!peerConnection) return;
+
+        const existing = this.monitors.get(callId);
+        if (existing?.peerConnection === peerConnection) return;
+        if (existing) clearInterval(existing.interval);
+
+        console.log(`📊 [CallQuality] Monitoring call ${callId}`);
+        const monitor = {
+            peerConnection,
+            samples: existing?.samples || [],
+            maxBitrate: ADAPTIVE_BITRATE.maxBitrate,
+            onSample,
+            interval: setInterval(() => this.sample(callId), CALL_QUALITY.sampleIntervalMs)
+        };
+        this.monitors.set(callId, monitor);
+    }
+
+    /**
+     * Stop sampling a call
+     * @param {string} callId - Call identifier
+     * @returns {Object|null} Quality summary (see summarizeCallQuality)
+     */
+    stopMonitoring(callId) {
+        const monitor = this.monitors.get(callId);
+        if (!monitor) return null;
+
+        clearInterval(monitor.interval);
+        this.monitors.delete(callId);
+
+        const summary = summarizeCallQuality(monitor.samples);
+        console.log(`📊 [CallQuality] Call ${callId} summary:`, summary);
+        return summary;
+    }
+
+    /**
+     * Latest sample of a call
+     * @param {string} callId - Call identifier
+     * @returns {Object|null}
+     */
+    getLatestSample(callId) {
+        const samples = this.monitors.get(callId)?.samples;
+        return samples?.length ? samples[samples.length - 1] : null;
+    }
+
+    /**
+     * @private
+     */
+    async sample(callId) {
+        const monitor = this.monitors.get(callId);
+        if (!monitor) return;
+
+        try {
+            const report = await monitor.peerConnection.getStats();
+            const previous = monitor.samples[monitor.samples.length - 1] || null;
+            const sample = readCallStats(report, previous);
+            const bars = getQualityBars(sample);
+
+            // Stopped while the stats were on their way
+            if (this.monitors.get(callId) !== monitor) return;
+
+            monitor.samples.push(sample);
+            monitor.onSample?.({ ...sample, bars });
+            await this.adaptSenders(monitor, sample);
+        } catch (error) {
+            console.error('❌ [CallQuality] Error sampling stats:', error);
+        }
+    }
+
+    /**
+     * Cap the video we send according to the latest sample
+     * @private
+     */
+    async adaptSenders(monitor, sample) {
+        const caps = getSenderCaps(sample, monitor.maxBitrate);
+        if (caps.maxBitrate === monitor.maxBitrate) return;
+
+        const senders = monitor.peerConnection.getSenders().filter(sender => sender.track?.kind === 'video');
+        for (const sender of senders) {
+            const parameters = sender.getParameters();
+            if (!parameters.encodings?.length) continue;
+
+            parameters.encodings.forEach(encoding => {
+                encoding.maxBitrate = caps.maxBitrate;
+                encoding.scaleResolutionDownBy = caps.scaleResolutionDownBy;
+            });
+            await sender.setParameters(parameters);
+        }
+
+        if (caps.maxBitrate < monitor.maxBitrate) {
+            console.log(`📉 [CallQuality] Video capped at ${Math.round(caps.maxBitrate / 1000)} kbps (1/${caps.scaleResolutionDownBy} resolution)`);
+        }
+        monitor.maxBitrate = caps.maxBitrate;
+    }
+
+    /**
+     * Stop sampling every call
+     */
+    cleanup() {
+        this.monitors.forEach(monitor => clearInterval(monitor.interval));
+        this.monitors.clear();
+    }
+}
+
+// Export singleton instance
+export const callQualityService = new CallQualityService();
+export default callQualityService;
@@ -1,24 +1,56 @@
 /**
  * Call Recording Service
- * Records missed group calls using MediaRecorder API
- * Stores recordings in Firebase Storage
+ * Records calls using MediaRecorder API: every participant's audio mixed together, and
+ * optionally their videos composited into a grid (see callMixer)
+ *
+ * The recorder hands over a chunk every few seconds, uploaded to Firebase Storage as it comes
+ * (call-recordings/{recordingId}/chunk-00000.webm, ...) with its progress in the recording's
+ * Firestore document (callRecordings/{recordingId}). Stopping uploads the whole recording as
+ * one file; recordings cut short by a crash are put together from their chunks the next time
+ * the app starts (recoverRecordings).
  */
 
-import { ref as storageRef, uploadBytes, getDownloadURL } from 'firebase/storage';
-import { storage } from '../config/firebaseConfig';
+import { ref as storageRef, uploadBytes, getDownloadURL, deleteObject } from 'firebase/storage';
+import { doc, setDoc, updateDoc, getDoc, getDocs, collection, query, where, serverTimestamp } from 'firebase/firestore';
+import { storage, db } from '../config/firebaseConfig';
+import { CALL_RECORDING } from '../shared/constants/callConstants';
+import { CallMixer } from '../shared/utils/callMixer';
 
+const COLLECTION = 'callRecordings';
+
+const chunkPath = (recordingId, index) => `call-recordings/${recordingId}/chunk-${String(index).padStart(5, '0')}.webm`;
+const recordingPath = (recordingId) => `call-recordings/${recordingId}/recording.webm`;
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * @private
+ */
+const pickMimeType = (video) => {
+    const candidates = video
+        ? ['video/webm;codecs=vp8,opus', 'video/webm']
+        : ['audio/webm;codecs=opus', 'audio/webm'];
+    return candidates.find(type => MediaRecorder.isTypeSupported(type)) || candidates[candidates.length - 1];
+};
 
 class CallRecordingService {
     constructor() {
-        this.activeRecordings = new Map(); // callId -> recording data
-        this.mediaRecorder = null;
-        this.recordedChunks = [];
+        // Map callId -> { recordingId, recorder, mixer, mimeType, startTime, chunks, uploadQueue, uploadFailed }
+        this.activeRecordings = new Map();
     }
 
     /**
      * Start recording a call
+     * @param {string} callId - Call identifier
+     * @param {MediaStream|Array<{id: string, stream: MediaStream, label: string}>} sources -
+     *   One stream, or every participant's (mixed together)
+     * @param {Object} options
+     * @param {boolean} options.video - Composite the participants' videos into a grid
+     * @param {string} options.recordedBy - User recording
+     * @param {Array<string>} options.participants - Everyone in the call (user IDs)
+     * @returns {Promise<{success: boolean, recordingId?: string, error?: string}>}
      */
-    async startRecording(callId, stream) {
+    async startRecording(callId, sources, { video = false, recordedBy = null, participants = [] } = {}) {
         try {
             console.log(`🔴 [CallRecording] Starting recording for call: ${callId}`);
 
@@ -28,89 +60,165 @@ class CallRecordingService {
                 return { success: false, error: 'Already recording' };
             }
 
-            this.recordedChunks = [];
-
-            // Create MediaRecorder
-            const options = {
-                mimeType: 'audio/webm;codecs=opus',
-                audioBitsPerSecond: 128000
-            };
-
-            this.mediaRecorder = new MediaRecorder(stream, options);
-
-            // Collect recorded data
-            this.mediaRecorder.ondataavailable = (event) => {
-                if (event.data.size > 0) {
-                    this.recordedChunks.push(event.data);
-                }
-            };
+            const entries = sources instanceof MediaStream ? [{ id: 'remote', stream: sources }] : sources;
+            const mixer = new CallMixer({ video });
+            mixer.setSources(entries);
 
-            // Start recording
-            this.mediaRecorder.start(1000); // Collect data every second
+            const mimeType = pickMimeType(video);
+            const recorder = new MediaRecorder(mixer.stream, {
+                mimeType,
+                audioBitsPerSecond: CALL_RECORDING.audioBitsPerSecond,
+                ...(video && { videoBitsPerSecond: CALL_RECORDING.video.bitsPerSecond })
+            });
 
+            const recordingId = `${callId}_${Date.now()}`;
             const recording = {
+                recordingId,
                 callId,
+                recorder,
+                mixer,
+                mimeType,
+                participants,
                 startTime: Date.now(),
-                isRecording: true
+                chunks: [],
+                uploadQueue: Promise.resolve(),
+                uploadFailed: false
             };
 
+            // Claimed before anything is awaited, so a second start is turned away
             this.activeRecordings.set(callId, recording);
 
-            console.log('✅ [CallRecording] Recording started');
-            return { success: true };
+            await setDoc(doc(db, COLLECTION, recordingId), {
+                callId,
+                recordedBy,
+                participants,
+                mimeType,
+                hasVideo: video,
+                status: 'recording',
+                chunkCount: 0,
+                duration: 0,
+                url: null,
+                startedAt: serverTimestamp(),
+                updatedAt: serverTimestamp()
+            });
+
+            // Stopped or cancelled while the document was being written
+            if (this.activeRecordings.get(callId) !== recording) {
+                mixer.stop();
+                return { success: false, error: 'Recording stopped before it started' };
+            }
+
+            // Upload each chunk as it comes, one after the other so chunkCount never skips one
+            recorder.ondataavailable = (event) => {
+                if (event.data.size === 0) return;
+
+                const index = recording.chunks.length;
+                recording.chunks.push(event.data);
+                recording.uploadQueue = recording.uploadQueue.then(() => this.uploadChunk(recording, index, event.data));
+            };
+
+            recorder.start(CALL_RECORDING.chunkMs);
+
+            console.log(`✅ [CallRecording] Recording ${recordingId} started (${mimeType})`);
+            return { success: true, recordingId };
         } catch (error) {
             console.error('❌ [CallRecording] Start error:', error);
+            this.activeRecordings.get(callId)?.mixer.stop();
+            this.activeRecordings.delete(callId);
             return { success: false, error: error.message };
         }
     }
 
+    /**
+     * Mix a different set of participants into a running recording (someone joined or left)
+     * @param {string} callId - Call identifier
+     * @param {Array<{id: string, stream: MediaStream, label: string}>} sources
+     */
+    updateSources(callId, sources) {
+        this.activeRecordings.get(callId)?.mixer.setSources(sources);
+    }
+
+    /**
+     * Upload one chunk and record the progress
+     * @private
+     */
+    async uploadChunk(recording, index, blob) {
+        if (recording.uploadFailed) return;
+
+        for (let attempt = 1; attempt <= CALL_RECORDING.uploadRetries; attempt++) {
+            try {
+                await uploadBytes(storageRef(storage, chunkPath(recording.recordingId, index)), blob, {
+                    contentType: recording.mimeType
+                });
+                await updateDoc(doc(db, COLLECTION, recording.recordingId), {
+                    chunkCount: index + 1,
+                    duration: Math.round((Date.now() - recording.startTime) / 1000),
+                    updatedAt: serverTimestamp()
+                });
+                return;
+            } catch (error) {
+                console.warn(`⚠️ [CallRecording] Chunk ${index} upload failed (attempt ${attempt}):`, error);
+                await wait(attempt * 1000);
+            }
+        }
+
+        // Later chunks would leave a gap; the whole recording still goes up when it stops
+        console.error(`❌ [CallRecording] Giving up on chunk uploads for ${recording.recordingId}`);
+        recording.uploadFailed = true;
+    }
+
     /**
      * Stop recording and upload to Firebase
+     * @param {string} callId - Call identifier
+     * @param {Object} callData - { groupId, participants } for the file's metadata
+     * @returns {Promise<{success: boolean, recordingId?: string, url?: string, duration?: number, size?: number, error?: string}>}
      */
-    async stopRecording(callId, callData) {
+    async stopRecording(callId, callData = {}) {
         try {
             console.log(`⏹️ [CallRecording] Stopping recording for call: ${callId}`);
 
             const recording = this.activeRecordings.get(callId);
-            
-            if (!recording || !recording.isRecording) {
+            if (!recording) {
                 return { success: false, error: 'No active recording' };
             }
+            this.activeRecordings.delete(callId);
+
+            // The last chunk arrives before 'stop'
+            if (recording.recorder.state !== 'inactive') {
+                await new Promise((resolve) => {
+                    recording.recorder.onstop = resolve;
+                    recording.recorder.stop();
+                });
+            }
+            recording.mixer.stop();
+            await recording.uploadQueue;
 
-            return new Promise((resolve) => {
-                this.mediaRecorder.onstop = async () => {
-                    try {
-                        // Create blob from recorded chunks
-                        const blob = new Blob(this.recordedChunks, { type: 'audio/webm' });
-                        const duration = (Date.now() - recording.startTime) / 1000; // seconds
-
-                        console.log(`📦 [CallRecording] Recording complete - ${duration}s, ${blob.size} bytes`);
-
-                        // Upload to Firebase Storage
-                        const uploadResult = await this.uploadRecording(callId, blob, callData);
-
-                        if (uploadResult.success) {
-                            // Cleanup
-                            this.recordedChunks = [];
-                            this.activeRecordings.delete(callId);
-
-                            resolve({
-                                success: true,
-                                url: uploadResult.url,
-                                duration,
-                                size: blob.size
-                            });
-                        } else {
-                            resolve(uploadResult);
-                        }
-                    } catch (error) {
-                        console.error('❌ [CallRecording] Stop processing error:', error);
-                        resolve({ success: false, error: error.message });
-                    }
-                };
-
-                this.mediaRecorder.stop();
+            if (recording.chunks.length === 0) {
+                updateDoc(doc(db, COLLECTION, recording.recordingId), { status: 'cancelled', updatedAt: serverTimestamp() }).catch(() => {});
+                return { success: false, error: 'Nothing was recorded' };
+            }
+
+            const blob = new Blob(recording.chunks, { type: recording.mimeType });
+            const duration = Math.round((Date.now() - recording.startTime) / 1000); // seconds
+
+            console.log(`📦 [CallRecording] Recording complete - ${duration}s, ${blob.size} bytes`);
+
+            const uploadResult = await this.uploadRecording(recording.recordingId, blob, {
+                callId,
+                groupId: callData.groupId,
+                participants: callData.participants || recording.participants,
+                duration
             });
+            if (!uploadResult.success) return uploadResult;
+
+            this.deleteChunks(recording.recordingId, recording.chunks.length);
+            return {
+                success: true,
+                recordingId: recording.recordingId,
+                url: uploadResult.url,
+                duration,
+                size: blob.size
+            };
         } catch (error) {
             console.error('❌ [CallRecording] Stop error:', error);
             return { success: false, error: error.message };
@@ -118,28 +226,35 @@ class CallRecordingService {
     }
 
     /**
-     * Upload recording to Firebase Storage
+     * Upload a whole recording to Firebase Storage and mark it complete
+     * @private
      */
-    async uploadRecording(callId, blob, callData) {
+    async uploadRecording(recordingId, blob, { callId, groupId, participants, duration }) {
         try {
             console.log('☁️ [CallRecording] Uploading to Firebase Storage...');
 
-            const fileName = `call-recordings/${callId}_${Date.now()}.webm`;
-            const fileRef = storageRef(storage, fileName);
+            const fileRef = storageRef(storage, recordingPath(recordingId));
 
             // Upload file
             await uploadBytes(fileRef, blob, {
-                contentType: 'audio/webm',
+                contentType: blob.type,
                 customMetadata: {
                     callId,
-                    groupId: callData.groupId || '',
-                    participants: JSON.stringify(callData.participants || []),
+                    groupId: groupId || '',
+                    participants: JSON.stringify(participants || []),
                     timestamp: Date.now().toString()
                 }
             });
 
             // Get download URL
             const url = await getDownloadURL(fileRef);
+            await updateDoc(doc(db, COLLECTION, recordingId), {
+                status: 'complete',
+                url,
+                duration,
+                size: blob.size,
+                updatedAt: serverTimestamp()
+            });
 
             console.log('✅ [CallRecording] Upload complete:', url);
             return { success: true, url };
@@ -149,12 +264,114 @@ class CallRecordingService {
         }
     }
 
+    /**
+     * Download the uploaded chunks of a recording as one blob
+     * @private
+     */
+    async downloadChunks(recordingId, chunkCount, mimeType) {
+        const blobs = [];
+        for (let index = 0; index < chunkCount; index++) {
+            const url = await getDownloadURL(storageRef(storage, chunkPath(recordingId, index)));
+            const response = await fetch(url);
+            if (!response.ok) throw new Error(`Chunk ${index} responded with ${response.status}`);
+            blobs.push(await response.blob());
+        }
+        return new Blob(blobs, { type: mimeType });
+    }
+
+    /**
+     * @private
+     */
+    deleteChunks(recordingId, chunkCount) {
+        for (let index = 0; index < chunkCount; index++) {
+            deleteObject(storageRef(storage, chunkPath(recordingId, index))).catch(() => {});
+        }
+    }
+
+    /**
+     * Finish recordings this user started that never stopped (the app crashed or was closed)
+     * @param {string} userId - Who recorded them
+     * @returns {Promise<number>} How many were recovered
+     */
+    async recoverRecordings(userId) {
+        try {
+            const snapshot = await getDocs(query(
+                collection(db, COLLECTION),
+                where('recordedBy', '==', userId),
+                where('status', '==', 'recording')
+            ));
+
+            const active = new Set([...this.activeRecordings.values()].map(recording => recording.recordingId));
+            // Leave alone recordings still making progress (from another tab)
+            const staleBefore = Date.now() - CALL_RECORDING.chunkMs * 3;
+            const abandoned = snapshot.docs.filter(recordingDoc => (
+                !active.has(recordingDoc.id)
+                && (recordingDoc.data().updatedAt?.toMillis?.() ?? 0) < staleBefore
+            ));
+
+            let recovered = 0;
+            for (const recordingDoc of abandoned) {
+                const data = recordingDoc.data();
+                if (!data.chunkCount) {
+                    await updateDoc(recordingDoc.ref, { status: 'failed', updatedAt: serverTimestamp() });
+                    continue;
+                }
+
+                console.log(`🩹 [CallRecording] Recovering recording ${recordingDoc.id} (${data.chunkCount} chunks)`);
+                const blob = await this.downloadChunks(recordingDoc.id, data.chunkCount, data.mimeType);
+                const result = await this.uploadRecording(recordingDoc.id, blob, {
+                    callId: data.callId,
+                    participants: data.participants,
+                    duration: data.duration
+                });
+                if (result.success) {
+                    this.deleteChunks(recordingDoc.id, data.chunkCount);
+                    recovered++;
+                }
+            }
+            return recovered;
+        } catch (error) {
+            console.error('❌ [CallRecording] Recovery error:', error);
+            return 0;
+        }
+    }
+
+    /**
+     * A recording, ready to play
+     * @param {string} recordingId - Recording identifier
+     * @returns {Promise<{url: string, duration: number, hasVideo: boolean, participants: Array<string>, startedAt: number}|null>}
+     *   Recordings not put together yet play from their chunks (a blob URL)
+     */
+    async getRecording(recordingId) {
+        try {
+            const snapshot = await getDoc(doc(db, COLLECTION, recordingId));
+            if (!snapshot.exists()) return null;
+
+            const data = snapshot.data();
+            let url = data.url;
+            if (!url && data.chunkCount > 0) {
+                url = URL.createObjectURL(await this.downloadChunks(recordingId, data.chunkCount, data.mimeType));
+            }
+            if (!url) return null;
+
+            return {
+                url,
+                duration: data.duration,
+                hasVideo: data.hasVideo,
+                participants: data.participants || [],
+                startedAt: data.startedAt?.toMillis?.() ?? null
+            };
+        } catch (error) {
+            console.error('❌ [CallRecording] Error loading recording:', error);
+            return null;
+        }
+    }
+
     /**
      * Check if call is being recorded
      */
     isRecording(callId) {
-        const recording = this.activeRecordings.get(callId);
-        return recording ? recording.isRecording : false;
+        return this.activeRecordings.has(callId);
     }
 
     /**
@@ -162,12 +379,22 @@ class CallRecordingService {
      */
     async cancelRecording(callId) {
         try {
-            if (this.mediaRecorder && this.mediaRecorder.state === 'recording') {
-                this.mediaRecorder.stop();
+            const recording = this.activeRecordings.get(callId);
+            if (!recording) return { success: true };
+            this.activeRecordings.delete(callId);
+
+            recording.recorder.ondataavailable = null;
+            if (recording.recorder.state !== 'inactive') {
+                recording.recorder.stop();
             }
+            recording.mixer.stop();
 
-            this.recordedChunks = [];
-            this.activeRecordings.delete(callId);
+            await recording.uploadQueue;
+            this.deleteChunks(recording.recordingId, recording.chunks.length);
+            await updateDoc(doc(db, COLLECTION, recording.recordingId), {
+                status: 'cancelled',
+                updatedAt: serverTimestamp()
+            });
 
             console.log('🗑️ [CallRecording] Recording cancelled');
             return { success: true };
@@ -0,0 +1,190 @@
+/**
+ * Caption Service
+ * Live captions and transcripts for calls. Everyone's device transcribes its own user with a
+ * speech recognizer (see services/speech) and publishes the line they are saying through
+ * signaling, so every caption has one speaker. Finished lines are added to the call's
+ * transcript in Firestore (callTranscripts/{callId}) by the device that heard them.
+ */
+
+import { doc, setDoc, getDoc, arrayUnion, serverTimestamp } from 'firebase/firestore';
+import { db } from '../config/firebaseConfig';
+import signalingService from './SignalingService';
+import { translateText } from './TranslationService';
+import { createSpeechRecognizer, isSpeechRecognitionAvailable } from './speech';
+import { sortSegments } from '../shared/utils/transcript';
+
+const COLLECTION = 'callTranscripts';
+
+// TranslationService translates from English
+const SOURCE_LANGUAGE = 'English';
+
+class CaptionService {
+    constructor() {
+        // Map callId -> { userId, participants, recognizer, unsubscribe, line, segments }
+        this.sessions = new Map();
+        this.translations = new Map(); // 'language|text' -> Promise<string>
+    }
+
+    /**
+     * Whether this device can transcribe its user
+     * @returns {boolean}
+     */
+    isAvailable() {
+        return isSpeechRecognitionAvailable();
+    }
+
+    /**
+     * Start captioning a call: transcribe the local user and follow everyone's captions
+     * @param {string} callId - Call identifier
+     * @param {Object} options
+     * @param {string} options.userId - The local user
+     * @param {MediaStream} options.stream - Their stream
+     * @param {Array<string>} options.participants - Everyone in the call (they can read the transcript)
+     * @param {Function} options.onCaption - ({ speakerId, id, text, isFinal, startedAt, endedAt }),
+     *   for everyone's lines including ours
+     * @param {string} options.language - Language they speak (BCP 47), defaults to the browser's
+     * @returns {Promise<boolean>} Whether this device transcribes; others' captions show either way
+     */
+    async start(callId, { userId, stream, participants, onCaption, language = navigator.language || 'en-US' }) {
+        this.stop(callId);
+
+        console.log(`💬 [Captions] Captioning call ${callId}`);
+        const session = {
+            userId,
+            participants,
+            recognizer: null,
+            unsubscribe: null,
+            line: null, // { id, startedAt } of the line being said
+            segments: new Map()
+        };
+        this.sessions.set(callId, session);
+
+        session.unsubscribe = signalingService.listenForCaptions(callId, (speakerId, caption) => {
+            if (caption.isFinal) session.segments.set(caption.id, { ...caption, speakerId });
+            onCaption?.({ ...caption, speakerId });
+        });
+
+        const recognizer = createSpeechRecognizer();
+        if (!recognizer) {
+            console.warn('⚠️ [Captions] No speech recognizer available; showing others\' captions only');
+            return false;
+        }
+
+        session.recognizer = recognizer;
+        try {
+            await recognizer.start(stream, {
+                language,
+                onResult: (result) => this.handleResult(callId, session, result),
+                onError: (error) => console.error('❌ [Captions] Recognizer stopped:', error)
+            });
+
+            // Stopped while the recognizer was starting
+            if (this.sessions.get(callId) !== session) {
+                recognizer.stop();
+                return false;
+            }
+            return true;
+        } catch (error) {
+            console.error('❌ [Captions] Could not start the recognizer:', error);
+            session.recognizer = null;
+            return false;
+        }
+    }
+
+    /**
+     * A recognizer result: publish the line, and keep it once it is final
+     * @private
+     */
+    handleResult(callId, session, { text, isFinal }) {
+        if (this.sessions.get(callId) !== session) return;
+
+        const now = Date.now();
+        if (!session.line) {
+            session.line = { id: `${session.userId}_${now}`, startedAt: now };
+        }
+
+        const caption = { id: session.line.id, text, isFinal, startedAt: session.line.startedAt, endedAt: now };
+        signalingService.publishCaption(callId, session.userId, caption);
+
+        if (isFinal) {
+            session.line = null;
+            this.saveSegment(callId, session, {
+                id: caption.id,
+                speakerId: session.userId,
+                text,
+                startedAt: caption.startedAt,
+                endedAt: now
+            });
+        }
+    }
+
+    /**
+     * Add a finished line to the call's transcript
+     * @private
+     */
+    async saveSegment(callId, session, segment) {
+        try {
+            await setDoc(doc(db, COLLECTION, callId), {
+                callId,
+                participants: session.participants,
+                segments: arrayUnion(segment),
+                updatedAt: serverTimestamp()
+            }, { merge: true });
+        } catch (error) {
+            console.error('❌ [Captions] Error saving transcript line:', error);
+        }
+    }
+
+    /**
+     * Stop captioning a call
+     * @param {string} callId - Call identifier
+     * @returns {Array<Object>} The finished lines this device saw, in order
+     */
+    stop(callId) {
+        const session = this.sessions.get(callId);
+        if (!session) return [];
+
+        session.recognizer?.stop();
+        session.unsubscribe?.();
+        this.sessions.delete(callId);
+
+        console.log(`💬 [Captions] Stopped captioning call ${callId}`);
+        return sortSegments([...session.segments.values()]);
+    }
+
+    /**
+     * A call's transcript
+     * @param {string} transcriptId - The call's signaling ID
+     * @returns {Promise<Array<Object>|null>} Its lines in order, or null if there is none
+     */
+    async getTranscript(transcriptId) {
+        try {
+            const snapshot = await getDoc(doc(db, COLLECTION, transcriptId));
+            if (!snapshot.exists()) return null;
+            return sortSegments(snapshot.data().segments);
+        } catch (error) {
+            console.error('❌ [Captions] Error loading transcript:', error);
+            return null;
+        }
+    }
+
+    /**
+     * A caption in the viewer's language (cached, since lines repeat across updates)
+     * @param {string} text - Caption text
+     * @param {string} language - Language name, as in TranslationService (e.g. 'Spanish')
+     * @returns {Promise<string>}
+     */
+    translate(text, language) {
+        if (!language || language === SOURCE_LANGUAGE) return Promise.resolve(text);
+
+        const key = `${language}|${text}`;
+        if (!this.translations.has(key)) {
+            this.translations.set(key, translateText(text, language).catch(() => text));
+        }
+        return this.translations.get(key);
+    }
+}
+
+// Export singleton instance
+export const captionService = new CaptionService();
+export default captionService;
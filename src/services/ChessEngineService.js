@@ -0,0 +1,98 @@
+/**
+ * Chess Engine Service
+ * Owns the Web Worker running the chess engine (src/shared/chessEngine)
+ *
+ * Features:
+ * - Computer opponent moves at the levels in CHESS_ENGINE_LEVELS
+ * - Game review: evaluation of every position plus blunder/mistake/inaccuracy marks
+ * - Searches never block the UI; stop() abandons whatever is running
+ */
+
+import { CHESS_REVIEW_DEPTH } from '../shared/constants/gameConstants';
+
+class ChessEngineService {
+    constructor() {
+        this.worker = null;
+        this.requestId = 0;
+        this.pending = new Map(); // requestId -> { resolve, onProgress }
+    }
+
+    /**
+     * Lazily create the worker
+     * @private
+     */
+    getWorker() {
+        if (this.worker) return this.worker;
+
+        this.worker = new Worker(new URL('../shared/chessEngine/chessEngine.worker.js', import.meta.url), { type: 'module' });
+        this.worker.onmessage = (e) => {
+            const { type, requestId, result, progress, error } = e.data;
+            const request = this.pending.get(requestId);
+            if (!request) return;
+
+            if (type === 'PROGRESS') {
+                request.onProgress?.(progress);
+                return;
+            }
+
+            this.pending.delete(requestId);
+            if (type === 'ERROR') {
+                console.error('❌ [ChessEngine] Request failed:', error);
+                request.resolve({ success: false, error });
+            } else {
+                request.resolve({ success: true, ...result });
+            }
+        };
+        this.worker.onerror = (e) => {
+            console.error('❌ [ChessEngine] Worker error:', e.message);
+            this.stop();
+        };
+
+        return this.worker;
+    }
+
+    /**
+     * @private
+     */
+    request(type, payload, onProgress) {
+        const requestId = ++this.requestId;
+        return new Promise(resolve => {
+            this.pending.set(requestId, { resolve, onProgress });
+            this.getWorker().postMessage({ requestId, type, payload });
+        });
+    }
+
+    /**
+     * Pick a move for the computer
+     * @param {string} fen - Position with the computer to move
+     * @param {number} level - ID from CHESS_ENGINE_LEVELS
+     * @returns {Promise<Object>} { success, move: { from, to, promotion, san }, score, depth }
+     */
+    getBestMove(fen, level) {
+        return this.request('BEST_MOVE', { fen, level });
+    }
+
+    /**
+     * Review a game
+     * @param {string[]} fens - Start position and the position after every move
+     * @param {Object} options
+     * @param {Function} options.onProgress - ({ index, total, evaluation }) per position
+     * @returns {Promise<Object>} { success, evaluations, classifications }
+     */
+    analyseGame(fens, { depth = CHESS_REVIEW_DEPTH, onProgress } = {}) {
+        return this.request('ANALYSE', { fens, depth }, onProgress);
+    }
+
+    /**
+     * Abandon running searches (the worker is restarted on next use)
+     */
+    stop() {
+        this.worker?.terminate();
+        this.worker = null;
+        this.pending.forEach(({ resolve }) => resolve({ success: false, error: 'cancelled' }));
+        this.pending.clear();
+    }
+}
+
+export const chessEngineService = new ChessEngineService();
+export default chessEngineService;
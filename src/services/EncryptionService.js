@@ -0,0 +1,671 @@
+/**
+ * Encryption Service
+ * End-to-end encryption for 1:1 and group messages using WebCrypto
+ *
+ * Model (Signal-style sender keys):
+ * - Every device owns an ECDH P-256 identity key pair. The private key is
+ *   non-extractable and never leaves this device's IndexedDB; the public key
+ *   is published on the user doc under `identityKeys.<deviceId>`.
+ * - Each sending device creates an AES-GCM sender key per chat and key epoch
+ *   and distributes it to every participant device, wrapped with a pairwise
+ *   ECDH + HKDF key. Distributions live in `chats/{chatId}/senderKeys`.
+ * - Group membership changes bump `chats/{chatId}.e2e.epoch`, which forces
+ *   every sender to create a fresh sender key for the remaining members.
+ * - Messages carry `ciphertext` plus an `e2e` header; the plaintext fields
+ *   are blanked before the message is written to Firestore.
+ */
+
+import { db } from '../config/firebaseConfig';
+import {
+    doc,
+    getDoc,
+    setDoc,
+    updateDoc,
+    increment,
+    serverTimestamp
+} from 'firebase/firestore';
+
+const DB_NAME = 'WhatsAppE2EDB';
+const DB_VERSION = 1;
+const STORE_NAME = 'identityKeys';
+
+const PROTOCOL_VERSION = 1;
+const HKDF_INFO = 'whatsapp-clone-e2e-sender-key-v1';
+const DEVICE_CACHE_TTL = 5 * 60 * 1000;
+const SAFETY_NUMBER_ITERATIONS = 5200;
+
+// Message fields that are moved into the ciphertext
+export const ENCRYPTED_FIELDS = ['text', 'mediaUrl', 'caption', 'fileName', 'pollData', 'replyTo', 'location', 'linkPreviews'];
+
+export const ENCRYPTED_PLACEHOLDER = '🔒 Encrypted message';
+
+const textEncoder = new TextEncoder();
+const textDecoder = new TextDecoder();
+
+const toBase64 = (buffer) => {
+    const bytes = new Uint8Array(buffer);
+    let binary = '';
+    for (let i = 0; i < bytes.length; i++) {
+        binary += String.fromCharCode(bytes[i]);
+    }
+    return btoa(binary);
+};
+
+const fromBase64 = (value) => {
+    const binary = atob(value);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes;
+};
+
+const randomId = (prefix) => {
+    const bytes = crypto.getRandomValues(new Uint8Array(8));
+    return `${prefix}_${Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('')}`;
+};
+
+class EncryptionService {
+    constructor() {
+        this.db = null;
+        this.userId = null;
+        this.identity = null; // { deviceId, privateKey, publicKeyJwk }
+        this.senderKeyCache = new Map(); // `${chatId}:${keyId}` -> { key: CryptoKey, senderId }
+        this.outgoingKeys = new Map(); // `${chatId}:${epoch}` -> { keyId, key, devices }
+        this.deviceCache = new Map(); // userId -> { devices, fetchedAt }
+        this.pairwiseCache = new Map(); // `${chatId}:${deviceId}` -> CryptoKey
+    }
+
+    /**
+     * Check whether WebCrypto and IndexedDB are available
+     */
+    isSupported() {
+        return typeof window !== 'undefined' &&
+            Boolean(window.crypto?.subtle) &&
+            typeof indexedDB !== 'undefined';
+    }
+
+    /**
+     * Check whether this device has an identity loaded
+     */
+    isReady() {
+        return Boolean(this.identity);
+    }
+
+    /**
+     * Open the local key store
+     * @private
+     */
+    async openDB() {
+        if (this.db) return this.db;
+
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+            request.onerror = () => {
+                console.error('[EncryptionService] IndexedDB error:', request.error);
+                reject(request.error);
+            };
+
+            request.onsuccess = () => {
+                this.db = request.result;
+                resolve(this.db);
+            };
+
+            request.onupgradeneeded = (event) => {
+                const database = event.target.result;
+                if (!database.objectStoreNames.contains(STORE_NAME)) {
+                    database.createObjectStore(STORE_NAME, { keyPath: 'userId' });
+                }
+            };
+        });
+    }
+
+    /**
+     * Read or write a record in the local key store
+     * @private
+     */
+    async runStore(mode, operation) {
+        const database = await this.openDB();
+
+        return new Promise((resolve, reject) => {
+            const transaction = database.transaction([STORE_NAME], mode);
+            const request = operation(transaction.objectStore(STORE_NAME));
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Load (or create) this device's identity and publish its public key
+     * @param {string} userId - Signed-in user ID
+     * @returns {Promise<{success: boolean, deviceId?: string, error?: string}>}
+     */
+    async initialize(userId) {
+        if (!userId || !this.isSupported()) {
+            return { success: false, error: 'End-to-end encryption is not supported on this device' };
+        }
+
+        if (this.userId === userId && this.identity) {
+            return { success: true, deviceId: this.identity.deviceId };
+        }
+
+        try {
+            this.reset();
+            this.userId = userId;
+
+            let record = await this.runStore('readonly', store => store.get(userId));
+
+            if (!record) {
+                const keyPair = await crypto.subtle.generateKey(
+                    { name: 'ECDH', namedCurve: 'P-256' },
+                    false,
+                    ['deriveBits']
+                );
+                const publicKeyJwk = await crypto.subtle.exportKey('jwk', keyPair.publicKey);
+
+                record = {
+                    userId,
+                    deviceId: randomId('dev'),
+                    privateKey: keyPair.privateKey,
+                    publicKeyJwk,
+                    createdAt: Date.now()
+                };
+
+                await this.runStore('readwrite', store => store.put(record));
+                console.log('🔐 [EncryptionService] Device identity key created');
+            }
+
+            this.identity = {
+                deviceId: record.deviceId,
+                privateKey: record.privateKey,
+                publicKeyJwk: record.publicKeyJwk
+            };
+
+            await this.publishIdentityKey();
+
+            return { success: true, deviceId: record.deviceId };
+        } catch (error) {
+            console.error('[EncryptionService] Initialize error:', error);
+            this.identity = null;
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Publish this device's public identity key on the user doc
+     * @private
+     */
+    async publishIdentityKey() {
+        const userRef = doc(db, 'users', this.userId);
+        await updateDoc(userRef, {
+            [`identityKeys.${this.identity.deviceId}`]: {
+                publicKey: this.identity.publicKeyJwk,
+                createdAt: Date.now()
+            }
+        });
+        this.deviceCache.delete(this.userId);
+    }
+
+    /**
+     * Drop all in-memory key material (called on sign-out)
+     */
+    reset() {
+        this.userId = null;
+        this.identity = null;
+        this.senderKeyCache.clear();
+        this.outgoingKeys.clear();
+        this.deviceCache.clear();
+        this.pairwiseCache.clear();
+    }
+
+    /**
+     * Get the published device keys of a user
+     * @param {string} userId - User ID
+     * @param {boolean} forceRefresh - Skip the in-memory cache
+     * @returns {Promise<Object<string, {publicKey: JsonWebKey}>>}
+     */
+    async getUserDevices(userId, forceRefresh = false) {
+        const cached = this.deviceCache.get(userId);
+        if (!forceRefresh && cached && Date.now() - cached.fetchedAt < DEVICE_CACHE_TTL) {
+            return cached.devices;
+        }
+
+        const userSnap = await getDoc(doc(db, 'users', userId));
+        const devices = userSnap.exists() ? (userSnap.data().identityKeys || {}) : {};
+        this.deviceCache.set(userId, { devices, fetchedAt: Date.now() });
+        return devices;
+    }
+
+    /**
+     * Derive the pairwise wrapping key between this device and a remote device
+     * @private
+     */
+    async getPairwiseKey(chatId, remoteDeviceId, remotePublicKeyJwk) {
+        const cacheKey = `${chatId}:${remoteDeviceId}`;
+        if (this.pairwiseCache.has(cacheKey)) {
+            return this.pairwiseCache.get(cacheKey);
+        }
+
+        const remotePublicKey = await crypto.subtle.importKey(
+            'jwk',
+            remotePublicKeyJwk,
+            { name: 'ECDH', namedCurve: 'P-256' },
+            false,
+            []
+        );
+
+        const sharedSecret = await crypto.subtle.deriveBits(
+            { name: 'ECDH', public: remotePublicKey },
+            this.identity.privateKey,
+            256
+        );
+
+        const hkdfKey = await crypto.subtle.importKey('raw', sharedSecret, 'HKDF', false, ['deriveKey']);
+        const pairwiseKey = await crypto.subtle.deriveKey(
+            {
+                name: 'HKDF',
+                hash: 'SHA-256',
+                salt: textEncoder.encode(chatId),
+                info: textEncoder.encode(HKDF_INFO)
+            },
+            hkdfKey,
+            { name: 'AES-GCM', length: 256 },
+            false,
+            ['encrypt', 'decrypt']
+        );
+
+        this.pairwiseCache.set(cacheKey, pairwiseKey);
+        return pairwiseKey;
+    }
+
+    /**
+     * Collect every device of every participant
+     * @private
+     * @returns {Promise<Array<{userId: string, deviceId: string, publicKey: JsonWebKey}>>}
+     */
+    async getParticipantDevices(participants, forceRefresh = false) {
+        const devices = [];
+
+        for (const participantId of participants) {
+            const userDevices = await this.getUserDevices(participantId, forceRefresh);
+            Object.entries(userDevices).forEach(([deviceId, device]) => {
+                if (device?.publicKey) {
+                    devices.push({ userId: participantId, deviceId, publicKey: device.publicKey });
+                }
+            });
+        }
+
+        return devices;
+    }
+
+    /**
+     * Check that every participant has at least one published device key
+     * @param {string[]} participants - Participant user IDs
+     */
+    async canEncryptFor(participants) {
+        if (!this.isReady() || !participants?.length) return false;
+
+        try {
+            for (const participantId of participants) {
+                const devices = await this.getUserDevices(participantId);
+                if (Object.keys(devices).length === 0) return false;
+            }
+            return true;
+        } catch (error) {
+            console.warn('[EncryptionService] Could not check participant keys:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Create a sender key for (chat, epoch) and distribute it to all participant devices
+     * @private
+     */
+    async createSenderKey(chatId, epoch, participants) {
+        const devices = await this.getParticipantDevices(participants, true);
+        const keyId = randomId('sk');
+
+        const senderKey = await crypto.subtle.generateKey(
+            { name: 'AES-GCM', length: 256 },
+            true,
+            ['encrypt', 'decrypt']
+        );
+        const rawKey = await crypto.subtle.exportKey('raw', senderKey);
+
+        const wrapped = {};
+        for (const device of devices) {
+            const pairwiseKey = await this.getPairwiseKey(chatId, device.deviceId, device.publicKey);
+            const iv = crypto.getRandomValues(new Uint8Array(12));
+            const ciphertext = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, pairwiseKey, rawKey);
+            wrapped[device.deviceId] = { iv: toBase64(iv), ct: toBase64(ciphertext) };
+        }
+
+        await setDoc(doc(db, 'chats', chatId, 'senderKeys', keyId), {
+            keyId,
+            chatId,
+            epoch,
+            senderId: this.userId,
+            senderDeviceId: this.identity.deviceId,
+            wrapped,
+            createdAt: serverTimestamp()
+        });
+
+        const entry = {
+            keyId,
+            key: senderKey,
+            devices: new Set(devices.map(d => d.deviceId))
+        };
+
+        this.outgoingKeys.set(`${chatId}:${epoch}`, entry);
+        this.senderKeyCache.set(`${chatId}:${keyId}`, { key: senderKey, senderId: this.userId });
+
+        console.log(`🔐 [EncryptionService] Sender key ${keyId} distributed to ${devices.length} devices`);
+        return entry;
+    }
+
+    /**
+     * Get the current outgoing sender key, creating a new one when the
+     * epoch changed or a participant published a new device
+     * @private
+     */
+    async getOutgoingSenderKey(chatId, epoch, participants) {
+        const existing = this.outgoingKeys.get(`${chatId}:${epoch}`);
+
+        if (existing) {
+            const devices = await this.getParticipantDevices(participants);
+            const hasAllDevices = devices.every(d => existing.devices.has(d.deviceId));
+            if (hasAllDevices) return existing;
+        }
+
+        return this.createSenderKey(chatId, epoch, participants);
+    }
+
+    /**
+     * Establish an encrypted session for a chat by distributing this
+     * device's first sender key. Safe to call more than once.
+     * @param {string} chatId - Chat ID
+     * @param {string[]} participants - Participant user IDs
+     */
+    async establishSession(chatId, participants) {
+        try {
+            if (!(await this.canEncryptFor(participants))) {
+                return { success: false, error: 'Not all participants have encryption keys yet' };
+            }
+
+            const chatRef = doc(db, 'chats', chatId);
+            const chatSnap = await getDoc(chatRef);
+            const epoch = chatSnap.exists() ? (chatSnap.data().e2e?.epoch || 0) : 0;
+
+            if (chatSnap.exists() && !chatSnap.data().e2e) {
+                await updateDoc(chatRef, { e2e: { version: PROTOCOL_VERSION, epoch } });
+            }
+
+            await this.getOutgoingSenderKey(chatId, epoch, participants);
+            return { success: true, epoch };
+        } catch (error) {
+            console.error('[EncryptionService] Establish session error:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Rotate group sender keys after a membership change
+     * @param {string} chatId - Group chat ID
+     */
+    async rotateGroupKeys(chatId) {
+        try {
+            await updateDoc(doc(db, 'chats', chatId), {
+                'e2e.version': PROTOCOL_VERSION,
+                'e2e.epoch': increment(1),
+                'e2e.rotatedAt': serverTimestamp()
+            });
+
+            // Drop cached outgoing keys so the next send distributes a new key
+            Array.from(this.outgoingKeys.keys())
+                .filter(key => key.startsWith(`${chatId}:`))
+                .forEach(key => this.outgoingKeys.delete(key));
+
+            console.log(`🔐 [EncryptionService] Rotated sender keys for ${chatId}`);
+            return { success: true };
+        } catch (error) {
+            console.error('[EncryptionService] Rotate group keys error:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Encrypt the private fields of an outgoing message
+     * @param {string} chatId - Chat ID
+     * @param {object} message - Message document about to be written
+     * @param {object} chat - Chat document ({ participants, e2e })
+     * @returns {Promise<object>} Message with ciphertext. If the chat couldn't be read, or this
+     *   device or a participant has no keys yet, it goes out in plaintext, flagged
+     *   `unencrypted: true` so both ends can show it.
+     */
+    async encryptMessage(chatId, message, chat) {
+        if (message.type === 'system') return message;
+
+        if (!chat) {
+            console.warn(`⚠️ [EncryptionService] Sending ${message.id} unencrypted: chat ${chatId} not found`);
+            return { ...message, unencrypted: true };
+        }
+
+        const participants = chat.participants || [];
+        if (!this.isReady() || !(await this.canEncryptFor(participants))) {
+            console.warn(`⚠️ [EncryptionService] Sending ${message.id} unencrypted: this device or a participant has no keys yet`);
+            return { ...message, unencrypted: true };
+        }
+
+        const epoch = chat.e2e?.epoch || 0;
+        const { keyId, key } = await this.getOutgoingSenderKey(chatId, epoch, participants);
+
+        const payload = {};
+        ENCRYPTED_FIELDS.forEach(field => {
+            if (message[field] !== undefined) payload[field] = message[field];
+        });
+
+        const iv = crypto.getRandomValues(new Uint8Array(12));
+        const ciphertext = await crypto.subtle.encrypt(
+            { name: 'AES-GCM', iv, additionalData: textEncoder.encode(message.id) },
+            key,
+            textEncoder.encode(JSON.stringify(payload))
+        );
+
+        const encrypted = { ...message };
+        ENCRYPTED_FIELDS.forEach(field => delete encrypted[field]);
+
+        return {
+            ...encrypted,
+            text: '',
+            ciphertext: toBase64(ciphertext),
+            e2e: {
+                v: PROTOCOL_VERSION,
+                keyId,
+                epoch,
+                senderDeviceId: this.identity.deviceId,
+                iv: toBase64(iv)
+            }
+        };
+    }
+
+    /**
+     * Load and unwrap a sender key addressed to this device
+     * @private
+     * @returns {Promise<{key: CryptoKey, senderId: string}>} The key and the user who distributed it
+     */
+    async getIncomingSenderKey(chatId, keyId) {
+        const cacheKey = `${chatId}:${keyId}`;
+        if (this.senderKeyCache.has(cacheKey)) {
+            return this.senderKeyCache.get(cacheKey);
+        }
+
+        const keySnap = await getDoc(doc(db, 'chats', chatId, 'senderKeys', keyId));
+        if (!keySnap.exists()) {
+            throw new Error('Sender key not found');
+        }
+
+        const distribution = keySnap.data();
+        const wrappedKey = distribution.wrapped?.[this.identity.deviceId];
+        if (!wrappedKey) {
+            throw new Error('Sender key was not shared with this device');
+        }
+
+        const senderDevices = await this.getUserDevices(distribution.senderId);
+        const senderDevice = senderDevices[distribution.senderDeviceId];
+        if (!senderDevice?.publicKey) {
+            throw new Error('Sender device key not found');
+        }
+
+        const pairwiseKey = await this.getPairwiseKey(chatId, distribution.senderDeviceId, senderDevice.publicKey);
+        const rawKey = await crypto.subtle.decrypt(
+            { name: 'AES-GCM', iv: fromBase64(wrappedKey.iv) },
+            pairwiseKey,
+            fromBase64(wrappedKey.ct)
+        );
+
+        const senderKey = await crypto.subtle.importKey('raw', rawKey, { name: 'AES-GCM' }, false, ['decrypt']);
+        const entry = { key: senderKey, senderId: distribution.senderId };
+        this.senderKeyCache.set(cacheKey, entry);
+        return entry;
+    }
+
+    /**
+     * Decrypt an incoming message. Plaintext messages are returned untouched;
+     * messages that cannot be decrypted are returned with a placeholder text.
+     * @param {string} chatId - Chat ID
+     * @param {object} message - Message as read from Firestore
+     * @returns {Promise<object>}
+     */
+    async decryptMessage(chatId, message) {
+        if (!message?.e2e || !message.ciphertext || message.isDeleted) return message;
+
+        const { ciphertext, e2e, ...rest } = message;
+
+        if (!this.isReady()) {
+            return { ...rest, text: ENCRYPTED_PLACEHOLDER, isEncrypted: true, decryptionFailed: true };
+        }
+
+        try {
+            const senderKey = await this.getIncomingSenderKey(chatId, e2e.keyId);
+            // Every participant can read every sender key; only the sender's own one counts
+            if (senderKey.senderId !== message.senderId) {
+                throw new Error('Sender key belongs to another user');
+            }
+
+            const plaintext = await crypto.subtle.decrypt(
+                { name: 'AES-GCM', iv: fromBase64(e2e.iv), additionalData: textEncoder.encode(message.id) },
+                senderKey.key,
+                fromBase64(ciphertext)
+            );
+
+            return {
+                ...rest,
+                ...JSON.parse(textDecoder.decode(plaintext)),
+                isEncrypted: true
+            };
+        } catch (error) {
+            console.warn(`[EncryptionService] Could not decrypt message ${message.id}:`, error.message);
+            return { ...rest, text: ENCRYPTED_PLACEHOLDER, isEncrypted: true, decryptionFailed: true };
+        }
+    }
+
+    /**
+     * Decrypt a list of messages, preserving order
+     * @param {string} chatId - Chat ID
+     * @param {object[]} messages - Messages as read from Firestore
+     */
+    async decryptMessages(chatId, messages) {
+        return Promise.all(messages.map(message => this.decryptMessage(chatId, message)));
+    }
+
+    /**
+     * Compute the half of a safety number that belongs to one user
+     * @private
+     */
+    async computeFingerprint(userId, devices) {
+        const keys = await Promise.all(
+            Object.keys(devices).sort().map(async (deviceId) => {
+                const publicKey = await crypto.subtle.importKey(
+                    'jwk',
+                    devices[deviceId].publicKey,
+                    { name: 'ECDH', namedCurve: 'P-256' },
+                    true,
+                    []
+                );
+                return new Uint8Array(await crypto.subtle.exportKey('raw', publicKey));
+            })
+        );
+
+        const keyBytes = keys.reduce((all, key) => {
+            const merged = new Uint8Array(all.length + key.length);
+            merged.set(all);
+            merged.set(key, all.length);
+            return merged;
+        }, new Uint8Array());
+
+        const userBytes = textEncoder.encode(userId);
+        let hash = new Uint8Array(2 + keyBytes.length + userBytes.length);
+        hash.set([0, PROTOCOL_VERSION]);
+        hash.set(keyBytes, 2);
+        hash.set(userBytes, 2 + keyBytes.length);
+
+        for (let i = 0; i < SAFETY_NUMBER_ITERATIONS; i++) {
+            const input = new Uint8Array(hash.length + keyBytes.length);
+            input.set(hash);
+            input.set(keyBytes, hash.length);
+            hash = new Uint8Array(await crypto.subtle.digest('SHA-512', input));
+        }
+
+        // 30 digits: six 5-byte chunks, each reduced to 5 decimal digits
+        let digits = '';
+        for (let i = 0; i < 30; i += 5) {
+            const chunk = hash.slice(i, i + 5).reduce((value, byte) => value * 256 + byte, 0);
+            digits += String(chunk % 100000).padStart(5, '0');
+        }
+        return digits;
+    }
+
+    /**
+     * Compute the 60-digit safety number two users can compare out of band.
+     * Both sides get the same number because the halves are ordered by user ID.
+     * @param {string} userId - First user ID
+     * @param {string} contactId - Second user ID
+     * @returns {Promise<{success: boolean, safetyNumber?: string, groups?: string[], error?: string}>}
+     */
+    async getSafetyNumber(userId, contactId) {
+        try {
+            const [userDevices, contactDevices] = await Promise.all([
+                this.getUserDevices(userId, true),
+                this.getUserDevices(contactId, true)
+            ]);
+
+            if (!Object.keys(userDevices).length || !Object.keys(contactDevices).length) {
+                return { success: false, error: 'Encryption keys are not available for this chat yet' };
+            }
+
+            const halves = await Promise.all([
+                this.computeFingerprint(userId, userDevices).then(digits => ({ userId, digits })),
+                this.computeFingerprint(contactId, contactDevices).then(digits => ({ userId: contactId, digits }))
+            ]);
+
+            const safetyNumber = halves
+                .sort((a, b) => a.userId.localeCompare(b.userId))
+                .map(half => half.digits)
+                .join('');
+
+            return {
+                success: true,
+                safetyNumber,
+                groups: safetyNumber.match(/.{5}/g)
+            };
+        } catch (error) {
+            console.error('[EncryptionService] Safety number error:', error);
+            return { success: false, error: error.message };
+        }
+    }
+}
+
+// Export singleton instance
+export const encryptionService = new EncryptionService();
+export default encryptionService;
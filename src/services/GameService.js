@@ -10,9 +10,25 @@
  * - POST /api/games/move
  * - GET /api/games/{id}/state  
  * - POST /api/games/validate
+ *
+ * The rule engines delegate to the shared rules in src/shared/gameRules, which the
+ * game server's referee also uses to re-validate multiplayer moves.
  */
 
 import { GAME_CONFIG, GAME_TYPES } from '../shared/constants/gameConstants';
+import {
+  calculateLudoPosition,
+  checkLudoCapture,
+  getLudoMoveTarget,
+  getLudoLegalMoves,
+  moveLudoToken,
+  hasLudoWon,
+  calculateSnakePosition,
+  getSnakeBoardEnd,
+  checkTicTacToeWinner,
+  chooseLudoToken,
+  chooseTicTacToeMove
+} from '../shared/gameRules';
 
 /**
  * Base Rule Engine Interface
@@ -33,74 +49,71 @@ class BaseGameRules {
   getWinner(gameState) {
     return null;
   }
+
+  /**
+   * Move for a bot, in the shape validateMove() accepts
+   * @param {Object} options - { difficulty, ...game-specific }
+   * @returns {Object|null} null if the bot has no move
+   */
+  getBotMove(gameState, options) {
+    return null;
+  }
 }
 
 /**
  * Ludo Game Rules
+ * House rules (LUDO_HOUSE_RULES) are read from `gameState.rules`; without them the
+ * standard rules apply
  */
 class LudoRules extends BaseGameRules {
   validateMove(gameState, move) {
     const { tokenIndex, diceRoll, playerId } = move;
-    const positions = gameState.positions?.[playerId];
-    
-    if (!positions || tokenIndex >= positions.length) {
-      return false;
-    }
-
-    const currentPos = positions[tokenIndex];
-    
-    // Need 6 to start
-    if (currentPos === 0 && diceRoll !== 6) {
+    if (!gameState.positions?.[playerId]) {
       return false;
     }
 
-    // Cannot exceed finish line
-    const newPos = this.calculateNewPosition(currentPos, diceRoll, playerId);
-    if (newPos > 57) {
-      return false;
-    }
+    // Needs a 6 to leave base, an exact roll to finish, and whatever the house rules add
+    return getLudoMoveTarget(gameState, playerId, tokenIndex, diceRoll) !== null;
+  }
 
-    return true;
+  /**
+   * Tokens a colour can move with this roll (what the board highlights)
+   */
+  getLegalMoves(gameState, playerColor, roll) {
+    return getLudoLegalMoves(gameState, playerColor, roll);
   }
   
   calculateNewPosition(currentPos, roll, playerColor) {
-    if (currentPos === 0) {
-      return roll === 6 ? 1 : 0;
-    }
-
-    let newPos = currentPos + roll;
-
-    if (newPos > 57) {
-      return currentPos;
-    }
-    if (newPos === 57) {
-      return 100; // Finished
-    }
-
-    return newPos;
+    return calculateLudoPosition(currentPos, roll) ?? currentPos;
   }
   
-  checkCapture(position, opponentPositions) {
-    const safeZones = [0, 1, 9, 14, 22, 27, 35, 40, 48];
-    
-    if (safeZones.includes(position)) {
-      return null;
-    }
+  checkCapture(position, opponentPositions, rules) {
+    return checkLudoCapture(position, opponentPositions, rules);
+  }
 
-    for (let i = 0; i < opponentPositions.length; i++) {
-      if (opponentPositions[i] === position && position > 0 && position <= 52) {
-        return i;
-      }
-    }
-    
-    return null;
+  /**
+   * @returns {{positions: Object, captured: boolean}|null} null if the move is illegal
+   */
+  executeMove(gameState, { tokenIndex, diceRoll, playerId }) {
+    return moveLudoToken(gameState, playerId, tokenIndex, diceRoll);
+  }
+
+  hasWon(gameState, playerColor) {
+    return hasLudoWon(gameState, playerColor);
   }
   
   checkGameOver(gameState) {
     if (!gameState.positions) return false;
-    return Object.values(gameState.positions).some(playerPositions =>
-      playerPositions.every(pos => pos === 57)
-    );
+    return Object.keys(gameState.positions).some(color => hasLudoWon(gameState, color));
+  }
+
+  /**
+   * Prefers captures, safe zones and getting tokens home (see shared/gameRules/bots.js)
+   * @param {Object} options - { color, diceRoll, difficulty }
+   */
+  getBotMove(gameState, { color, diceRoll, difficulty }) {
+    const tokenIndex = chooseLudoToken(gameState, color, diceRoll, difficulty);
+    return tokenIndex === null ? null : { tokenIndex, diceRoll, playerId: color };
   }
 }
 
@@ -119,24 +132,21 @@ class TicTacToeRules extends BaseGameRules {
   }
   
   checkWinner(squares) {
-    const lines = [
-      [0, 1, 2], [3, 4, 5], [6, 7, 8], // rows
-      [0, 3, 6], [1, 4, 7], [2, 5, 8], // cols
-      [0, 4, 8], [2, 4, 6]             // diagonals
-    ];
-    
-    for (let i = 0; i < lines.length; i++) {
-      const [a, b, c] = lines[i];
-      if (squares[a] && squares[a] === squares[b] && squares[a] === squares[c]) {
-        return { winner: squares[a], line: lines[i] };
-      }
-    }
-    return null;
+    return checkTicTacToeWinner(squares);
   }
   
   checkGameOver(gameState) {
     return gameState.winner !== null || !gameState.board?.includes(null);
   }
+
+  /**
+   * Minimax on hard, win/block on medium, random on easy
+   * @param {Object} options - { mark, difficulty }
+   */
+  getBotMove(gameState, { mark, difficulty }) {
+    const position = chooseTicTacToeMove(gameState.board, mark, difficulty);
+    return position === null ? null : { position, player: mark };
+  }
 }
 
 /**
@@ -153,39 +163,35 @@ class SnakeRules extends BaseGameRules {
     return move.diceRoll >= 1 && move.diceRoll <= 6;
   }
   
-  calculateNewPosition(currentPos, diceRoll) {
-    let newPos = currentPos + diceRoll;
-
-    if (newPos > 100) {
-      return currentPos;
-    }
-
-    // Check for ladders
-    if (this.ladders[newPos]) {
-      return this.ladders[newPos];
-    }
-
-    // Check for snakes
-    if (this.snakes[newPos]) {
-      return this.snakes[newPos];
-    }
-
-    return newPos;
+  /**
+   * @param {Object} board - Custom board (see DEFAULT_SNAKE_BOARD); the classic board if missing
+   */
+  calculateNewPosition(currentPos, diceRoll, board = this) {
+    return calculateSnakePosition(currentPos, diceRoll, board);
   }
   
   checkGameOver(gameState) {
-    return gameState.positions?.some(pos => pos === 100);
+    return this.getWinner(gameState) !== null;
   }
   
   getWinner(gameState) {
     const positions = gameState.positions || [];
+    const end = getSnakeBoardEnd(gameState.board);
     for (let i = 0; i < positions.length; i++) {
-      if (positions[i] === 100) {
+      if (positions[i] === end) {
         return i;
       }
     }
     return null;
   }
+
+  /**
+   * There is nothing to decide in Snake & Ladders: a bot just rolls
+   */
+  getBotMove(gameState, options = {}) {
+    const random = options.random || Math.random;
+    return { diceRoll: Math.floor(random() * 6) + 1 };
+  }
 }
 
 /**
@@ -500,6 +506,15 @@ class GameService {
     const ruleEngine = this.getRuleEngine(gameType);
     return ruleEngine ? ruleEngine.getWinner(gameState) : null;
   }
+
+  /**
+   * Get a bot's move (uses rule engines; chess has its own engine)
+   * @param {Object} options - { difficulty, ...game-specific } (see each rule engine)
+   */
+  getBotMove(gameType, gameState, options = {}) {
+    const ruleEngine = this.getRuleEngine(gameType);
+    return ruleEngine ? ruleEngine.getBotMove(gameState, options) : null;
+  }
 }
 
 // Singleton instance
@@ -1,23 +1,199 @@
 /**
  * Group Call Manager Service
- * Manages multiple WebRTC peer connections in a mesh topology
+ * Manages group calls as a mesh of WebRTC peer connections, or through a selective
+ * forwarding unit (SFU) once there are more than SFU_PARTICIPANT_THRESHOLD people
  * Follows Single Responsibility Principle - handles group call coordination
  */
 
 import webRTCService from './WebRTCService';
+import { createMediaServerAdapter, isSfuAvailable } from './sfu';
+import { DominantSpeakerDetector } from '../shared/utils/dominantSpeaker';
+import { DOMINANT_SPEAKER, SFU_PARTICIPANT_THRESHOLD } from '../shared/constants/callConstants';
 
 class GroupCallManager {
     constructor() {
         // Map callId -> Map of participantId -> { stream, peerConnection, connectionState }
         this.groupCalls = new Map();
         
+        // Map callId -> { localUserId, localStream, callbacks, adapter } (adapter set in SFU mode)
+        this.topologies = new Map();
+
         // Map callId -> dominant speaker participantId
         this.dominantSpeakers = new Map();
+        this.speakerDetectors = new Map();
         
         // Audio level monitoring intervals
         this.audioMonitors = new Map();
     }
 
+    /**
+     * Connect to a group call, through the SFU when there are enough participants
+     * (falls back to a mesh if the SFU can't be reached)
+     * @param {string} callId - Unique call identifier
+     * @param {string} localUserId - Current user's ID
+     * @param {Array<string>} participantIds - Array of other participant IDs
+     * @param {MediaStream} localStream - Local media stream
+     * @param {Object} callbacks - Same as createMeshConnections
+     * @returns {Promise<string>} - 'mesh' | 'sfu'
+     */
+    async connect(callId, localUserId, participantIds, localStream, callbacks = {}) {
+        const others = participantIds.filter(id => id !== localUserId);
+        this.topologies.set(callId, { localUserId, localStream, callbacks, adapter: null });
+
+        if (this.shouldUseSfu(others.length + 1) && await this.joinSfu(callId)) {
+            this.startAudioMonitoring(callId);
+            return 'sfu';
+        }
+
+        await this.createMeshConnections(callId, localUserId, others, localStream, callbacks);
+        return 'mesh';
+    }
+
+    /**
+     * @param {number} count - Participants including the local user
+     * @returns {boolean}
+     */
+    shouldUseSfu(count) {
+        return count > SFU_PARTICIPANT_THRESHOLD && isSfuAvailable();
+    }
+
+    /**
+     * Current topology of a call
+     * @param {string} callId - Call identifier
+     * @returns {string|null} - 'mesh' | 'sfu'
+     */
+    getTopology(callId) {
+        const topology = this.topologies.get(callId);
+        if (!topology) return this.groupCalls.has(callId) ? 'mesh' : null;
+        return topology.adapter ? 'sfu' : 'mesh';
+    }
+
+    /**
+     * Move a mesh call to the SFU. Each mesh connection stays up until that
+     * participant's stream arrives through the SFU, so nobody drops out meanwhile
+     * @param {string} callId - Call identifier
+     * @returns {Promise<boolean>}
+     */
+    async switchToSfu(callId) {
+        if (this.getTopology(callId) === 'sfu') return true;
+
+        console.log(`🔀 [GroupCallManager] Switching call ${callId} to the SFU`);
+        return this.joinSfu(callId);
+    }
+
+    /**
+     * Ask for a participant's video in a simulcast layer (no-op in a mesh, where
+     * everyone sends a single full stream)
+     * @param {string} callId - Call identifier
+     * @param {string} participantId - Participant ID
+     * @param {string} layer - One of SIMULCAST_LAYERS
+     */
+    setPreferredLayer(callId, participantId, layer) {
+        this.topologies.get(callId)?.adapter?.setPreferredLayer(participantId, layer);
+    }
+
+    /**
+     * Replace the local audio or video track everywhere it is sent
+     * @param {string} callId - Call identifier
+     * @param {string} kind - 'audio' | 'video'
+     * @param {MediaStreamTrack} track - New track
+     */
+    async replaceTrack(callId, kind, track) {
+        const adapter = this.topologies.get(callId)?.adapter;
+        if (adapter) await adapter.replaceTrack(kind, track);
+
+        const replace = kind === 'audio'
+            ? webRTCService.replaceAudioTrack.bind(webRTCService)
+            : webRTCService.replaceVideoTrack.bind(webRTCService);
+        const participants = this.groupCalls.get(callId);
+        await Promise.all(Array.from(participants?.entries() || [])
+            .filter(([, data]) => data.peerConnection)
+            .map(([participantId]) => replace(`${callId}_${participantId}`, track)));
+    }
+
+    /**
+     * Join the call's room on the SFU and publish the local stream
+     * @private
+     * @param {string} callId - Call identifier
+     * @returns {Promise<boolean>}
+     */
+    async joinSfu(callId) {
+        const topology = this.topologies.get(callId);
+        const adapter = topology && createMediaServerAdapter();
+        if (!adapter) return false;
+
+        if (!this.groupCalls.has(callId)) {
+            this.groupCalls.set(callId, new Map());
+        }
+        const participants = this.groupCalls.get(callId);
+        const { localUserId, localStream, callbacks } = topology;
+
+        try {
+            await adapter.join({ callId, userId: localUserId }, {
+                onRemoteStream: (participantId, stream) => {
+                    console.log(`📹 [GroupCallManager] Received stream from ${participantId} through the SFU`);
+
+                    // Make-before-break: the mesh connection goes once the SFU delivers
+                    if (participants.get(participantId)?.peerConnection) {
+                        webRTCService.closePeerConnection(`${callId}_${participantId}`, false);
+                    }
+                    participants.set(participantId, {
+                        peerConnection: null,
+                        stream,
+                        connectionState: 'connected',
+                        audioLevel: 0
+                    });
+                    callbacks.onRemoteStream?.(participantId, stream);
+                },
+                onParticipantLeft: (participantId) => {
+                    participants.delete(participantId);
+                    this.speakerDetectors.get(callId)?.remove(participantId);
+                    callbacks.onConnectionStateChange?.(participantId, 'disconnected');
+                },
+                onStateChange: (state) => {
+                    console.log(`🔄 [GroupCallManager] SFU connection: ${state}`);
+                    if (state !== 'connected') this.fallBackToMesh(callId);
+                }
+            });
+            await adapter.publish(localStream);
+        } catch (error) {
+            console.error('❌ [GroupCallManager] Could not use the SFU, staying on a mesh:', error);
+            await adapter.leave();
+            return false;
+        }
+
+        topology.adapter = adapter;
+        console.log(`✅ [GroupCallManager] Call ${callId} is going through the SFU`);
+        return true;
+    }
+
+    /**
+     * The SFU went away: reconnect to everyone directly
+     * @private
+     * @param {string} callId - Call identifier
+     */
+    async fallBackToMesh(callId) {
+        const topology = this.topologies.get(callId);
+        if (!topology?.adapter) return;
+
+        console.warn(`⚠️ [GroupCallManager] Lost the SFU, call ${callId} goes back to a mesh`);
+        const adapter = topology.adapter;
+        topology.adapter = null;
+        await adapter.leave();
+
+        const participants = this.groupCalls.get(callId);
+        const unconnected = Array.from(participants?.entries() || [])
+            .filter(([, data]) => !data.peerConnection)
+            .map(([participantId]) => participantId);
+        await this.createMeshConnections(
+            callId,
+            topology.localUserId,
+            unconnected,
+            topology.localStream,
+            topology.callbacks
+        );
+    }
+
     /**
      * Create mesh connections for a group call
      * @param {string} callId - Unique call identifier
@@ -206,9 +382,16 @@ class GroupCallManager {
      */
     async addParticipant(callId, participantId, localStream, callbacks = {}) {
         console.log(`➕ [GroupCallManager] Adding participant ${participantId} to call ${callId}`);
-        
+
+        // One more (with ourselves) may take the call over the SFU threshold
+        const count = this.getParticipantCount(callId) + 2;
+        if (this.topologies.has(callId) && this.shouldUseSfu(count) && await this.switchToSfu(callId)) {
+            return; // The SFU forwards their stream once they publish
+        }
+
         // Create connection just to this participant
-        await this.createMeshConnections(callId, 'local', [participantId], localStream, callbacks);
+        const localUserId = this.topologies.get(callId)?.localUserId || 'local';
+        await this.createMeshConnections(callId, localUserId, [participantId], localStream, callbacks);
     }
 
     /**
@@ -222,11 +405,12 @@ class GroupCallManager {
         const participants = this.groupCalls.get(callId);
         if (!participants) return;
 
-        // Close connection to this participant
-        webRTCService.closePeerConnection(`${callId}_${participantId}`);
+        // Close connection to this participant (the local stream is still sent to the others)
+        webRTCService.closePeerConnection(`${callId}_${participantId}`, false);
         
         // Remove from tracking
         participants.delete(participantId);
+        this.speakerDetectors.get(callId)?.remove(participantId);
 
         // If no participants left, cleanup call
         if (participants.size === 0) {
@@ -272,38 +456,31 @@ class GroupCallManager {
         // Clear existing monitor if any
         this.stopAudioMonitoring(callId);
 
+        const detector = new DominantSpeakerDetector();
+        this.speakerDetectors.set(callId, detector);
+
         const interval = setInterval(() => {
             const participants = this.groupCalls.get(callId);
-            if (!participants || participants.size === 0) {
+            if (!participants) {
                 this.stopAudioMonitoring(callId);
                 return;
             }
 
-            // Find participant with highest audio level
-            let maxLevel = 0;
-            let dominantParticipant = null;
-
-            participants.forEach((data, participantId) => {
-                if (data.stream) {
-                    const audioLevel = this.getAudioLevel(data.stream);
-                    data.audioLevel = audioLevel;
+            const samples = new Map();
+            this.getAudioReceivers(callId).forEach((receiver, participantId) => {
+                const audioLevel = this.getAudioLevel(receiver);
+                samples.set(participantId, audioLevel);
 
-                    if (audioLevel > maxLevel) {
-                        maxLevel = audioLevel;
-                        dominantParticipant = participantId;
-                    }
-                }
+                const participant = participants.get(participantId);
+                if (participant) participant.audioLevel = audioLevel;
             });
 
-            // Update dominant speaker if changed and level is significant
-            if (maxLevel > 0.1) { // Threshold to avoid background noise
-                const currentDominant = this.dominantSpeakers.get(callId);
-                if (currentDominant !== dominantParticipant) {
-                    this.dominantSpeakers.set(callId, dominantParticipant);
-                    console.log(`🎤 [GroupCallManager] Dominant speaker: ${dominantParticipant}`);
-                }
+            const dominantParticipant = detector.update(samples);
+            if (dominantParticipant && dominantParticipant !== this.dominantSpeakers.get(callId)) {
+                this.dominantSpeakers.set(callId, dominantParticipant);
+                console.log(`🎤 [GroupCallManager] Dominant speaker: ${dominantParticipant}`);
             }
-        }, 500); // Check every 500ms
+        }, DOMINANT_SPEAKER.intervalMs);
 
         this.audioMonitors.set(callId, interval);
     }
@@ -319,22 +496,37 @@ class GroupCallManager {
             clearInterval(interval);
             this.audioMonitors.delete(callId);
         }
+        this.speakerDetectors.delete(callId);
     }
 
     /**
-     * Get audio level from stream
+     * Receivers of everyone's audio, from the SFU and from mesh connections
      * @private
-     * @param {MediaStream} stream - Media stream
+     * @param {string} callId - Call identifier
+     * @returns {Map<string, RTCRtpReceiver>} - participantId -> receiver
+     */
+    getAudioReceivers(callId) {
+        const adapter = this.topologies.get(callId)?.adapter;
+        const receivers = new Map(adapter?.getAudioReceivers() || []);
+
+        this.groupCalls.get(callId)?.forEach((data, participantId) => {
+            if (!data.peerConnection || receivers.has(participantId)) return;
+            const receiver = data.peerConnection.getReceivers().find(r => r.track?.kind === 'audio');
+            if (receiver) receivers.set(participantId, receiver);
+        });
+
+        return receivers;
+    }
+
+    /**
+     * Get the level of the audio a receiver is getting
+     * @private
+     * @param {RTCRtpReceiver} receiver - Audio receiver
      * @returns {number} - Audio level (0-1)
      */
-    getAudioLevel(stream) {
+    getAudioLevel(receiver) {
         try {
-            const audioTracks = stream.getAudioTracks();
-            if (audioTracks.length === 0) return 0;
-
-            // This is a simplified version - in production you'd use Web Audio API
-            // to get actual audio levels via AnalyserNode
-            return Math.random(); // Placeholder - replace with actual audio analysis
+            return receiver.getSynchronizationSources()[0]?.audioLevel ?? 0;
         } catch (error) {
             return 0;
         }
@@ -375,11 +567,15 @@ class GroupCallManager {
             participants.clear();
         }
 
+        // Leave the SFU
+        this.topologies.get(callId)?.adapter?.leave();
+
         // Stop audio monitoring
         this.stopAudioMonitoring(callId);
 
         // Remove from tracking
         this.groupCalls.delete(callId);
+        this.topologies.delete(callId);
         this.dominantSpeakers.delete(callId);
 
         console.log('✅ [GroupCallManager] Call cleaned up');
@@ -0,0 +1,129 @@
+/**
+ * ICE Server Service
+ * STUN/TURN configuration for peer connections
+ *
+ * TURN servers come from either:
+ * - VITE_TURN_URLS (comma-separated) with static VITE_TURN_USERNAME / VITE_TURN_CREDENTIAL
+ * - A credential endpoint (VITE_TURN_CREDENTIALS_URL) handing out short-lived credentials,
+ *   fetched again shortly before they expire. Both the TURN REST API response
+ *   ({ username, password, ttl, uris }) and { iceServers, ttl } are accepted. Requests carry
+ *   the user's Firebase ID token; the reference endpoint is `npm run turn-credentials`
+ *   (server/turnCredentials.js)
+ *
+ * Without either, or if the endpoint can't be reached, only STUN is used.
+ */
+
+import { auth } from '../config/firebaseConfig';
+import { TURN_REFRESH_MARGIN_MS } from '../shared/constants/callConstants';
+
+const STUN_SERVERS = [
+    { urls: 'stun:stun.l.google.com:19302' },
+    { urls: 'stun:stun1.l.google.com:19302' },
+    { urls: 'stun:stun2.l.google.com:19302' },
+];
+
+const TURN_URLS = (import.meta.env.VITE_TURN_URLS || '').split(',').map(url => url.trim()).filter(Boolean);
+const TURN_USERNAME = import.meta.env.VITE_TURN_USERNAME || '';
+const TURN_CREDENTIAL = import.meta.env.VITE_TURN_CREDENTIAL || '';
+const TURN_CREDENTIALS_URL = import.meta.env.VITE_TURN_CREDENTIALS_URL || null;
+
+/**
+ * ICE servers from a credential endpoint response
+ * @private
+ */
+const parseCredentials = (data) => {
+    if (Array.isArray(data.iceServers)) return data.iceServers;
+    if (data.uris?.length && data.username) {
+        return [{ urls: data.uris, username: data.username, credential: data.password ?? data.credential }];
+    }
+    throw new Error('Unrecognized TURN credentials response');
+};
+
+class IceServerService {
+    constructor() {
+        this.userId = null;
+        this.fetched = null; // { iceServers, expiresAt }
+        this.pending = null;
+    }
+
+    /**
+     * RTCPeerConnection configuration with the current TURN credentials
+     * @param {string} userId - Who the credentials are for (defaults to the last one asked for)
+     * @returns {Promise<RTCConfiguration>}
+     */
+    async getConfiguration(userId = this.userId) {
+        if (userId !== this.userId) {
+            this.userId = userId;
+            this.fetched = null;
+        }
+
+        const turnServers = TURN_CREDENTIALS_URL ? await this.getFetchedServers() : this.getStaticServers();
+        return { iceServers: [...STUN_SERVERS, ...turnServers] };
+    }
+
+    /**
+     * STUN only, until TURN credentials have been fetched
+     * @returns {RTCConfiguration}
+     */
+    getDefaultConfiguration() {
+        return { iceServers: [...STUN_SERVERS, ...this.getStaticServers()] };
+    }
+
+    /**
+     * @private
+     */
+    getStaticServers() {
+        if (TURN_URLS.length === 0) return [];
+        return [{ urls: TURN_URLS, username: TURN_USERNAME, credential: TURN_CREDENTIAL }];
+    }
+
+    /**
+     * Cached credentials, or fresh ones once they are about to expire
+     * @private
+     */
+    async getFetchedServers() {
+        if (this.fetched && this.fetched.expiresAt - TURN_REFRESH_MARGIN_MS > Date.now()) {
+            return this.fetched.iceServers;
+        }
+
+        // Calls starting at the same time share one request
+        if (!this.pending) {
+            this.pending = this.fetchCredentials().finally(() => {
+                this.pending = null;
+            });
+        }
+        return this.pending;
+    }
+
+    /**
+     * @private
+     */
+    async fetchCredentials() {
+        try {
+            // The endpoint only hands credentials to signed-in users, named by their ID token
+            const idToken = await auth.currentUser?.getIdToken();
+            const params = new URLSearchParams({ service: 'turn' });
+            const response = await fetch(`${TURN_CREDENTIALS_URL}?${params}`, {
+                headers: idToken ? { Authorization: `Bearer ${idToken}` } : {}
+            });
+            if (!response.ok) {
+                throw new Error(`Credential endpoint responded with ${response.status}`);
+            }
+
+            const data = await response.json();
+            const iceServers = parseCredentials(data);
+            const ttlMs = (Number(data.ttl) || 0) * 1000;
+            this.fetched = { iceServers, expiresAt: Date.now() + ttlMs };
+            console.log(`🔑 [IceServers] TURN credentials fetched (valid for ${Math.round(ttlMs / 1000)}s)`);
+            return iceServers;
+        } catch (error) {
+            // Keep whatever we had, even if it expired: the TURN server may still take it
+            console.warn('⚠️ [IceServers] Could not fetch TURN credentials:', error);
+            return this.fetched?.iceServers || this.getStaticServers();
+        }
+    }
+}
+
+// Export singleton instance
+export const iceServerService = new IceServerService();
+export default iceServerService;
@@ -0,0 +1,290 @@
+/**
+ * Link Preview Service
+ * Unfurls URLs into previews using Open Graph, Twitter card and oEmbed metadata
+ *
+ * Features:
+ * - Pluggable fetcher (default: unfurl proxy at VITE_LINK_PREVIEW_PROXY_URL)
+ * - Results cached by URL in IndexedDB (and in memory for the session)
+ * - Concurrent requests for the same URL are shared
+ * - Multiple URLs per message
+ *
+ * Browsers cannot read cross-origin HTML directly, so the default fetcher goes through
+ * a proxy that returns the page body: GET <proxy>?url=<encoded url>. `npm run unfurl-stub`
+ * (server/unfurlStub.js) serves canned pages on the default proxy URL, and
+ * `npm run check:link-previews` unfurls them through setFetcher().
+ */
+
+const DB_NAME = 'WhatsAppLinkPreviewDB';
+const DB_VERSION = 1;
+const STORE_NAME = 'previews';
+
+const CACHE_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+const FAILED_TTL_MS = 60 * 60 * 1000;
+const MAX_URLS_PER_MESSAGE = 3;
+const MAX_TITLE_LENGTH = 200;
+const MAX_DESCRIPTION_LENGTH = 300;
+
+const URL_REGEX = /https?:\/\/[^\s<>"']+/gi;
+
+/**
+ * Default fetcher: ask the unfurl proxy for the page body
+ * @param {string} url - Page or oEmbed URL
+ * @returns {Promise<{contentType: string, body: string}>}
+ */
+export const createProxyFetcher = (proxyUrl) => async (url) => {
+    const response = await fetch(`${proxyUrl}?url=${encodeURIComponent(url)}`);
+    if (!response.ok) {
+        throw new Error(`Proxy responded with ${response.status}`);
+    }
+    return {
+        contentType: response.headers.get('content-type') || '',
+        body: await response.text()
+    };
+};
+
+const DEFAULT_PROXY_URL = import.meta.env.VITE_LINK_PREVIEW_PROXY_URL || 'http://localhost:8787/unfurl';
+
+const truncate = (value, max) => {
+    if (!value) return '';
+    const clean = value.replace(/\s+/g, ' ').trim();
+    return clean.length > max ? `${clean.slice(0, max - 1)}…` : clean;
+};
+
+/**
+ * Resolve a possibly relative URL; only http(s) is allowed
+ * @private
+ */
+const resolveHttpUrl = (value, base) => {
+    if (!value) return null;
+    try {
+        const resolved = new URL(value, base);
+        return resolved.protocol === 'http:' || resolved.protocol === 'https:' ? resolved.href : null;
+    } catch {
+        return null;
+    }
+};
+
+class LinkPreviewService {
+    constructor() {
+        this.db = null;
+        this.dbPromise = null;
+        this.memoryCache = new Map();
+        this.inFlight = new Map();
+        this.fetcher = createProxyFetcher(DEFAULT_PROXY_URL);
+    }
+
+    /**
+     * Replace the fetcher (e.g. a local stub in tests)
+     * @param {Function} fetcher - async (url) => ({ contentType, body })
+     */
+    setFetcher(fetcher) {
+        this.fetcher = fetcher;
+        this.memoryCache.clear();
+    }
+
+    /**
+     * Initialize IndexedDB
+     */
+    async initDB() {
+        if (this.dbPromise) return this.dbPromise;
+
+        this.dbPromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+            request.onerror = () => {
+                console.error('[LinkPreview] IndexedDB error:', request.error);
+                this.dbPromise = null;
+                reject(request.error);
+            };
+
+            request.onsuccess = () => {
+                this.db = request.result;
+                resolve(this.db);
+            };
+
+            request.onupgradeneeded = (event) => {
+                const db = event.target.result;
+                if (!db.objectStoreNames.contains(STORE_NAME)) {
+                    db.createObjectStore(STORE_NAME, { keyPath: 'url' });
+                }
+            };
+        });
+
+        return this.dbPromise;
+    }
+
+    /**
+     * Find the distinct URLs in a message
+     * @param {string} text - Message text
+     * @returns {string[]}
+     */
+    extractUrls(text) {
+        if (!text) return [];
+        const urls = (text.match(URL_REGEX) || [])
+            // Trailing punctuation is almost always sentence punctuation
+            .map(url => url.replace(/[.,;:!?)\]]+$/, ''))
+            .filter(url => resolveHttpUrl(url));
+        return Array.from(new Set(urls)).slice(0, MAX_URLS_PER_MESSAGE);
+    }
+
+    /**
+     * Read a cached preview
+     * @private
+     */
+    async readCache(url) {
+        const cached = this.memoryCache.get(url);
+        if (cached) return cached;
+
+        try {
+            const db = await this.initDB();
+            const record = await new Promise((resolve, reject) => {
+                const request = db.transaction([STORE_NAME], 'readonly').objectStore(STORE_NAME).get(url);
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+
+            if (record && record.expiresAt > Date.now()) {
+                this.memoryCache.set(url, record);
+                return record;
+            }
+        } catch (error) {
+            console.warn('[LinkPreview] Cache read failed:', error);
+        }
+        return null;
+    }
+
+    /**
+     * Write a preview to the cache
+     * @private
+     */
+    async writeCache(record) {
+        this.memoryCache.set(record.url, record);
+        try {
+            const db = await this.initDB();
+            await new Promise((resolve, reject) => {
+                const tx = db.transaction([STORE_NAME], 'readwrite');
+                tx.objectStore(STORE_NAME).put(record);
+                tx.oncomplete = () => resolve();
+                tx.onerror = () => reject(tx.error);
+            });
+        } catch (error) {
+            console.warn('[LinkPreview] Cache write failed:', error);
+        }
+    }
+
+    /**
+     * Extract Open Graph / Twitter card / oEmbed metadata from an HTML page
+     * @param {string} html - Page body
+     * @param {string} pageUrl - URL of the page (resolves relative links)
+     * @returns {{meta: Object, oEmbedUrl: string|null}}
+     */
+    parseHtml(html, pageUrl) {
+        const docNode = new DOMParser().parseFromString(html, 'text/html');
+        const meta = (...names) => {
+            for (const name of names) {
+                const el = docNode.querySelector(`meta[property="${name}"], meta[name="${name}"]`);
+                const content = el?.getAttribute('content');
+                if (content) return content;
+            }
+            return '';
+        };
+
+        const oEmbedLink = docNode.querySelector('link[rel="alternate"][type="application/json+oembed"]');
+
+        return {
+            meta: {
+                title: meta('og:title', 'twitter:title') || docNode.title || '',
+                description: meta('og:description', 'twitter:description', 'description'),
+                image: resolveHttpUrl(meta('og:image:secure_url', 'og:image', 'twitter:image', 'twitter:image:src'), pageUrl),
+                siteName: meta('og:site_name', 'application-name'),
+                canonicalUrl: resolveHttpUrl(meta('og:url'), pageUrl)
+            },
+            oEmbedUrl: resolveHttpUrl(oEmbedLink?.getAttribute('href'), pageUrl)
+        };
+    }
+
+    /**
+     * Fetch and build a preview record for one URL
+     * @private
+     */
+    async unfurl(url) {
+        const { contentType, body } = await this.fetcher(url);
+        const hostname = new URL(url).hostname.replace(/^www\./, '');
+
+        // Direct image links preview as themselves
+        if (contentType.startsWith('image/')) {
+            return { url, title: hostname, description: '', image: url, siteName: hostname };
+        }
+
+        const { meta, oEmbedUrl } = this.parseHtml(body, url);
+
+        // oEmbed fills in whatever the page metadata lacks
+        if (oEmbedUrl && (!meta.title || !meta.image)) {
+            try {
+                const oEmbed = JSON.parse((await this.fetcher(oEmbedUrl)).body);
+                meta.title = meta.title || oEmbed.title || '';
+                meta.image = meta.image || resolveHttpUrl(oEmbed.thumbnail_url, url);
+                meta.siteName = meta.siteName || oEmbed.provider_name || '';
+            } catch (error) {
+                console.warn('[LinkPreview] oEmbed lookup failed:', error);
+            }
+        }
+
+        return {
+            url,
+            title: truncate(meta.title, MAX_TITLE_LENGTH) || hostname,
+            description: truncate(meta.description, MAX_DESCRIPTION_LENGTH),
+            image: meta.image || null,
+            siteName: truncate(meta.siteName, MAX_TITLE_LENGTH) || hostname
+        };
+    }
+
+    /**
+     * Get a preview for one URL (cache first)
+     * @param {string} url - URL to unfurl
+     * @returns {Promise<Object|null>} Preview, or null if the page has no usable metadata
+     */
+    async getPreview(url) {
+        const cached = await this.readCache(url);
+        if (cached) return cached.preview;
+
+        if (this.inFlight.has(url)) return this.inFlight.get(url);
+
+        const request = (async () => {
+            let preview = null;
+            try {
+                preview = await this.unfurl(url);
+            } catch (error) {
+                console.warn(`[LinkPreview] Could not unfurl ${url}:`, error.message);
+            }
+
+            // Failures are cached briefly so a broken link isn't refetched on every render
+            await this.writeCache({
+                url,
+                preview,
+                expiresAt: Date.now() + (preview ? CACHE_TTL_MS : FAILED_TTL_MS)
+            });
+            return preview;
+        })();
+
+        this.inFlight.set(url, request);
+        try {
+            return await request;
+        } finally {
+            this.inFlight.delete(url);
+        }
+    }
+
+    /**
+     * Get previews for every URL in a message
+     * @param {string} text - Message text
+     * @returns {Promise<Array>} Previews in URL order (failed URLs omitted)
+     */
+    async getPreviewsForText(text) {
+        const previews = await Promise.all(this.extractUrls(text).map(url => this.getPreview(url)));
+        return previews.filter(Boolean);
+    }
+}
+
+export const linkPreviewService = new LinkPreviewService();
+export default linkPreviewService;
@@ -0,0 +1,451 @@
+/**
+ * Message Store Service
+ * Offline-first local copy of chat messages in IndexedDB
+ *
+ * Features:
+ * - Messages are read locally before the network, so a cold start renders without it
+ * - Per-chat delta cursor: the newest server `updatedAt` already stored
+ * - Contiguous history range per chat, so backwards pagination never skips a gap
+ * - Recently viewed chats are hydrated on startup
+ * - Media blobs cached with LRU eviction
+ *
+ * Messages are stored decrypted so they can be shown offline. Locked chats are never stored,
+ * and messages that could not be decrypted are kept in their encrypted form so they can be
+ * retried on the next read.
+ */
+
+import storage from '../shared/utils/storage';
+
+const DB_NAME = 'WhatsAppMessageStore';
+const DB_VERSION = 1;
+const MESSAGES_STORE = 'messages';
+const SYNC_STORE = 'syncState';
+const MEDIA_STORE = 'media';
+const OWNER_KEY = 'messageStoreOwner';
+
+export const MESSAGE_PAGE_SIZE = 50;
+const MAX_MEDIA_BYTES = 100 * 1024 * 1024;
+const MAX_MEDIA_ITEM_BYTES = 20 * 1024 * 1024;
+
+/**
+ * Convert a Firestore Timestamp, ISO string or number to epoch millis
+ */
+export const toMillis = (value) => {
+    if (value === null || value === undefined) return null;
+    if (typeof value === 'number') return value;
+    if (typeof value.toMillis === 'function') return value.toMillis();
+    if (typeof value.seconds === 'number') return value.seconds * 1000 + Math.floor((value.nanoseconds || 0) / 1e6);
+    const parsed = Date.parse(value);
+    return isNaN(parsed) ? null : parsed;
+};
+
+/**
+ * Sort key of a message (its send time)
+ */
+export const getMessageTime = (message) => toMillis(message.timestamp) ?? toMillis(message.createdAt) ?? 0;
+
+const requestToPromise = (request) => new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+});
+
+const defaultSyncState = (chatId) => ({
+    chatId,
+    seeded: false,
+    cursor: 0,
+    historyStart: null,
+    reachedStart: false,
+    lastViewedAt: 0
+});
+
+class MessageStoreService {
+    constructor() {
+        this.db = null;
+        this.dbPromise = null;
+        this.excludedChats = new Set();
+        this.mediaUrls = new Map();
+        this.mediaInFlight = new Map();
+        this.uncacheableMedia = new Set();
+    }
+
+    /**
+     * Initialize IndexedDB
+     */
+    async initDB() {
+        if (this.dbPromise) return this.dbPromise;
+
+        this.dbPromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+            request.onerror = () => {
+                console.error('[MessageStore] IndexedDB error:', request.error);
+                this.dbPromise = null;
+                reject(request.error);
+            };
+
+            request.onsuccess = () => {
+                this.db = request.result;
+                resolve(this.db);
+            };
+
+            request.onupgradeneeded = (event) => {
+                const db = event.target.result;
+
+                if (!db.objectStoreNames.contains(MESSAGES_STORE)) {
+                    const messages = db.createObjectStore(MESSAGES_STORE, { keyPath: 'id' });
+                    messages.createIndex('chatId', 'chatId', { unique: false });
+                    messages.createIndex('chatId_ts', ['chatId', 'ts'], { unique: false });
+                }
+                if (!db.objectStoreNames.contains(SYNC_STORE)) {
+                    db.createObjectStore(SYNC_STORE, { keyPath: 'chatId' });
+                }
+                if (!db.objectStoreNames.contains(MEDIA_STORE)) {
+                    const media = db.createObjectStore(MEDIA_STORE, { keyPath: 'url' });
+                    media.createIndex('lastAccessed', 'lastAccessed', { unique: false });
+                }
+            };
+        });
+
+        return this.dbPromise;
+    }
+
+    /**
+     * Run a readwrite transaction and wait for it to commit
+     * @private
+     */
+    async write(storeNames, operation) {
+        const db = await this.initDB();
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(storeNames, 'readwrite');
+            operation(tx);
+            tx.oncomplete = () => resolve();
+            tx.onerror = () => reject(tx.error);
+        });
+    }
+
+    /**
+     * Forget everything stored for another account
+     * @param {string} userId - Signed-in user
+     * @returns {Promise<boolean>} Whether another account's data was cleared
+     */
+    async setOwner(userId) {
+        const owner = storage.local.get(OWNER_KEY);
+        const changed = Boolean(owner && owner !== userId);
+        if (changed) {
+            await this.clear();
+        }
+        storage.local.set(OWNER_KEY, userId);
+        return changed;
+    }
+
+    /**
+     * Chats whose messages must not be kept on disk (locked chats)
+     * Anything already stored for them is removed
+     * @param {string[]} chatIds - Excluded chat IDs
+     */
+    async setExcludedChats(chatIds) {
+        const next = new Set(chatIds);
+        const added = chatIds.filter(id => !this.excludedChats.has(id));
+        this.excludedChats = next;
+        await Promise.all(added.map(chatId => this.clearChat(chatId)));
+    }
+
+    isPersisted(chatId) {
+        return !this.excludedChats.has(chatId);
+    }
+
+    /**
+     * Sync bookkeeping for one chat
+     * @param {string} chatId - Chat ID
+     * @returns {Promise<{seeded, cursor, historyStart, reachedStart, lastViewedAt}>}
+     */
+    async getSyncState(chatId) {
+        if (!this.isPersisted(chatId)) return defaultSyncState(chatId);
+        try {
+            const db = await this.initDB();
+            const record = await requestToPromise(
+                db.transaction([SYNC_STORE], 'readonly').objectStore(SYNC_STORE).get(chatId)
+            );
+            return { ...defaultSyncState(chatId), ...record };
+        } catch (error) {
+            console.warn('[MessageStore] Could not read sync state:', error);
+            return defaultSyncState(chatId);
+        }
+    }
+
+    /**
+     * Read a page of stored messages, newest first, returned in chronological order
+     * Only the contiguous synced range is read so the page never has holes
+     * @param {string} chatId - Chat ID
+     * @param {Object} options
+     * @param {number} options.before - Exclusive upper bound (message time in ms)
+     * @param {number} options.limit - Page size
+     * @returns {Promise<{messages: Array, hasMoreLocal: boolean, state: Object}>}
+     */
+    async getPage(chatId, { before = Infinity, limit = MESSAGE_PAGE_SIZE } = {}) {
+        const state = await this.getSyncState(chatId);
+        if (!state.seeded || state.historyStart === null || before <= state.historyStart) {
+            return { messages: [], hasMoreLocal: false, state };
+        }
+
+        try {
+            const db = await this.initDB();
+            const range = IDBKeyRange.bound([chatId, state.historyStart], [chatId, before], false, true);
+            const records = await new Promise((resolve, reject) => {
+                const found = [];
+                const request = db.transaction([MESSAGES_STORE], 'readonly')
+                    .objectStore(MESSAGES_STORE)
+                    .index('chatId_ts')
+                    .openCursor(range, 'prev');
+                request.onsuccess = () => {
+                    const cursor = request.result;
+                    // One extra record tells us whether more are stored
+                    if (!cursor || found.length > limit) return resolve(found);
+                    found.push(cursor.value);
+                    cursor.continue();
+                };
+                request.onerror = () => reject(request.error);
+            });
+
+            return {
+                messages: records.slice(0, limit).reverse().map(r => r.message),
+                hasMoreLocal: records.length > limit,
+                state
+            };
+        } catch (error) {
+            console.warn('[MessageStore] Could not read messages:', error);
+            return { messages: [], hasMoreLocal: false, state };
+        }
+    }
+
+    /**
+     * Apply server data for one chat in a single transaction
+     * @param {string} chatId - Chat ID
+     * @param {Object} changes
+     * @param {Array} changes.upserts - Messages to store
+     * @param {string[]} changes.removals - Message IDs deleted on the server
+     * @param {number} changes.cursor - Newest confirmed updatedAt in the batch (only moves forward)
+     * @param {number} changes.historyStart - Oldest message time of a history page (extends the range)
+     * @param {boolean} changes.reachedStart - The history page reached the first message
+     * @param {boolean} changes.seeded - This is the first page of a fresh sync (resets the state)
+     */
+    async applyChanges(chatId, { upserts = [], removals = [], cursor, historyStart, reachedStart, seeded } = {}) {
+        if (!this.isPersisted(chatId)) return;
+
+        try {
+            await this.write([MESSAGES_STORE, SYNC_STORE], (tx) => {
+                const messagesStore = tx.objectStore(MESSAGES_STORE);
+                const syncStore = tx.objectStore(SYNC_STORE);
+
+                upserts.forEach(message => messagesStore.put({
+                    id: message.id,
+                    chatId,
+                    ts: getMessageTime(message),
+                    message
+                }));
+                removals.forEach(id => messagesStore.delete(id));
+
+                const request = syncStore.get(chatId);
+                request.onsuccess = () => {
+                    const previous = { ...defaultSyncState(chatId), ...request.result };
+                    const next = seeded
+                        ? { ...defaultSyncState(chatId), lastViewedAt: previous.lastViewedAt, seeded: true, cursor: cursor || 0 }
+                        : { ...previous, cursor: Math.max(previous.cursor, cursor || 0) };
+
+                    if (historyStart !== undefined && historyStart !== null) {
+                        next.historyStart = next.historyStart === null ? historyStart : Math.min(next.historyStart, historyStart);
+                    }
+                    if (reachedStart) {
+                        // The whole history is stored from here on
+                        next.reachedStart = true;
+                        next.historyStart = 0;
+                    }
+
+                    syncStore.put(next);
+                };
+            });
+        } catch (error) {
+            console.warn('[MessageStore] Could not store messages:', error);
+        }
+    }
+
+    /**
+     * Remember when a chat was last opened (drives cold-start hydration)
+     */
+    async markChatViewed(chatId) {
+        if (!chatId || !this.isPersisted(chatId)) return;
+
+        try {
+            await this.write([SYNC_STORE], (tx) => {
+                const syncStore = tx.objectStore(SYNC_STORE);
+                const request = syncStore.get(chatId);
+                request.onsuccess = () => {
+                    syncStore.put({ ...defaultSyncState(chatId), ...request.result, lastViewedAt: Date.now() });
+                };
+            });
+        } catch (error) {
+            console.warn('[MessageStore] Could not mark chat viewed:', error);
+        }
+    }
+
+    /**
+     * Chats opened most recently that have stored messages
+     * @param {number} limit - Max chats
+     * @returns {Promise<string[]>}
+     */
+    async getRecentlyViewedChatIds(limit = 10) {
+        try {
+            const db = await this.initDB();
+            const states = await requestToPromise(
+                db.transaction([SYNC_STORE], 'readonly').objectStore(SYNC_STORE).getAll()
+            );
+            return states
+                .filter(s => s.seeded && s.lastViewedAt > 0 && this.isPersisted(s.chatId))
+                .sort((a, b) => b.lastViewedAt - a.lastViewedAt)
+                .slice(0, limit)
+                .map(s => s.chatId);
+        } catch (error) {
+            console.warn('[MessageStore] Could not read recent chats:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Remove a chat's messages and sync state
+     */
+    async clearChat(chatId) {
+        try {
+            await this.write([MESSAGES_STORE, SYNC_STORE], (tx) => {
+                const messagesStore = tx.objectStore(MESSAGES_STORE);
+                const request = messagesStore.index('chatId').openKeyCursor(IDBKeyRange.only(chatId));
+                request.onsuccess = () => {
+                    const cursor = request.result;
+                    if (!cursor) return;
+                    messagesStore.delete(cursor.primaryKey);
+                    cursor.continue();
+                };
+                tx.objectStore(SYNC_STORE).delete(chatId);
+            });
+        } catch (error) {
+            console.warn('[MessageStore] Could not clear chat:', error);
+        }
+    }
+
+    /**
+     * Get a displayable URL for a media file, served from the local blob cache when possible
+     * Falls back to the original URL if the file cannot be fetched (e.g. no CORS)
+     * @param {string} url - Remote media URL
+     * @returns {Promise<string>}
+     */
+    async getMediaUrl(url) {
+        if (!url || !/^https?:\/\//i.test(url) || this.uncacheableMedia.has(url)) return url;
+        if (this.mediaUrls.has(url)) return this.mediaUrls.get(url);
+        if (this.mediaInFlight.has(url)) return this.mediaInFlight.get(url);
+
+        const request = (async () => {
+            try {
+                const db = await this.initDB();
+                let record = await requestToPromise(
+                    db.transaction([MEDIA_STORE], 'readonly').objectStore(MEDIA_STORE).get(url)
+                );
+
+                if (record) {
+                    // Access time is updated once per session per file
+                    await this.write([MEDIA_STORE], tx => tx.objectStore(MEDIA_STORE).put({ ...record, lastAccessed: Date.now() }));
+                } else {
+                    const response = await fetch(url);
+                    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                    const blob = await response.blob();
+                    if (blob.size > MAX_MEDIA_ITEM_BYTES) {
+                        this.uncacheableMedia.add(url);
+                        return url;
+                    }
+
+                    record = { url, blob, size: blob.size, lastAccessed: Date.now() };
+                    await this.write([MEDIA_STORE], tx => tx.objectStore(MEDIA_STORE).put(record));
+                    await this.evictMedia();
+                }
+
+                const objectUrl = URL.createObjectURL(record.blob);
+                this.mediaUrls.set(url, objectUrl);
+                return objectUrl;
+            } catch (error) {
+                console.warn(`[MessageStore] Could not cache media ${url}:`, error.message);
+                this.uncacheableMedia.add(url);
+                return url;
+            }
+        })();
+
+        this.mediaInFlight.set(url, request);
+        try {
+            return await request;
+        } finally {
+            this.mediaInFlight.delete(url);
+        }
+    }
+
+    /**
+     * Drop least recently used media until the cache fits its budget
+     * @private
+     */
+    async evictMedia() {
+        const db = await this.initDB();
+        const entries = await new Promise((resolve, reject) => {
+            const found = [];
+            const request = db.transaction([MEDIA_STORE], 'readonly')
+                .objectStore(MEDIA_STORE)
+                .index('lastAccessed')
+                .openCursor();
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (!cursor) return resolve(found);
+                found.push({ url: cursor.value.url, size: cursor.value.size });
+                cursor.continue();
+            };
+            request.onerror = () => reject(request.error);
+        });
+
+        let total = entries.reduce((sum, entry) => sum + entry.size, 0);
+        const evicted = [];
+        for (const entry of entries) {
+            if (total <= MAX_MEDIA_BYTES) break;
+            evicted.push(entry.url);
+            total -= entry.size;
+        }
+        if (evicted.length === 0) return;
+
+        await this.write([MEDIA_STORE], (tx) => {
+            evicted.forEach(url => tx.objectStore(MEDIA_STORE).delete(url));
+        });
+        evicted.forEach((url) => {
+            const objectUrl = this.mediaUrls.get(url);
+            if (objectUrl) URL.revokeObjectURL(objectUrl);
+            this.mediaUrls.delete(url);
+        });
+        console.log(`🧹 [MessageStore] Evicted ${evicted.length} cached media files`);
+    }
+
+    /**
+     * Remove everything (on logout)
+     */
+    async clear() {
+        this.mediaUrls.forEach(objectUrl => URL.revokeObjectURL(objectUrl));
+        this.mediaUrls.clear();
+        this.uncacheableMedia.clear();
+        storage.local.remove(OWNER_KEY);
+
+        try {
+            await this.write([MESSAGES_STORE, SYNC_STORE, MEDIA_STORE], (tx) => {
+                tx.objectStore(MESSAGES_STORE).clear();
+                tx.objectStore(SYNC_STORE).clear();
+                tx.objectStore(MEDIA_STORE).clear();
+            });
+            console.log('🧹 [MessageStore] Local message store cleared');
+        } catch (error) {
+            console.warn('[MessageStore] Could not clear store:', error);
+        }
+    }
+}
+
+export const messageStoreService = new MessageStoreService();
+export default messageStoreService;
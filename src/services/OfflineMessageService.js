@@ -1,23 +1,122 @@
 /**
  * Offline Message Service
- * Manages message queue for offline messaging using IndexedDB
+ * Transactional outbox for message writes, persisted in IndexedDB
  * 
  * Features:
- * - Queue messages when offline
- * - Persist queue in IndexedDB
+ * - Every message write (send, edit, reaction, delete) is recorded in the outbox first
+ * - Per-chat ordering: a failing entry blocks the entries queued after it in the same chat
+ * - Client-generated idempotency keys, so redelivery never duplicates a message
+ * - Exponential backoff with jitter between attempts
+ * - Dead-letter state after repeated or permanent failures ("tap to retry/delete")
  * - Auto-sync when connection restored
- * - Retry logic for failed sends
  */
 
 const DB_NAME = 'WhatsAppOfflineDB';
 const DB_VERSION = 1;
 const STORE_NAME = 'messageQueue';
 
+export const OUTBOX_OPS = ['send', 'edit', 'react', 'delete'];
+
+const MAX_ATTEMPTS = 8;
+const BASE_BACKOFF_MS = 2000;
+const MAX_BACKOFF_MS = 5 * 60 * 1000;
+
+// Retrying these can never succeed, so they go straight to the dead-letter state
+const PERMANENT_ERROR_CODES = ['permission-denied', 'invalid-argument', 'failed-precondition', 'unauthenticated', 'already-exists'];
+
+/**
+ * Exponential backoff with "equal jitter": half fixed, half random
+ * @param {number} attempts - Failed attempts so far
+ * @returns {number} Delay in ms
+ */
+export const getBackoffDelay = (attempts) => {
+    const ceiling = Math.min(MAX_BACKOFF_MS, BASE_BACKOFF_MS * Math.pow(2, attempts - 1));
+    return ceiling / 2 + Math.random() * (ceiling / 2);
+};
+
+const createIdempotencyKey = (op, messageId) => {
+    const random = crypto.randomUUID ? crypto.randomUUID() : `${Date.now()}_${Math.random().toString(36).slice(2)}`;
+    return `${op}:${messageId}:${random}`;
+};
+
+/**
+ * Upgrade entries written by the old queue format ({ messageData, retryCount, status: 'failed' })
+ * @private
+ */
+const normalizeEntry = (entry) => {
+    if (entry.op) return entry;
+    return {
+        id: entry.id,
+        op: 'send',
+        chatId: entry.chatId,
+        messageId: entry.messageData?.id,
+        payload: entry.messageData || {},
+        idempotencyKey: entry.messageData?.id,
+        timestamp: entry.timestamp,
+        status: entry.status === 'failed' ? 'dead' : 'pending',
+        attempts: entry.retryCount || 0,
+        nextAttemptAt: 0,
+        lastError: entry.lastError || null
+    };
+};
+
+/**
+ * Overlay outbox entries on the messages loaded from the server, so queued and
+ * dead-lettered writes stay visible until they are delivered
+ * @param {Object} messagesByChat - { chatId: [messages] }
+ * @param {Array} entries - Outbox entries from getOutbox()
+ * @returns {Object} Messages by chat with pending writes applied
+ */
+export const applyOutboxToMessages = (messagesByChat, entries) => {
+    if (!entries || entries.length === 0) return messagesByChat;
+
+    const result = { ...messagesByChat };
+    const touched = new Set();
+
+    entries.forEach((entry) => {
+        const list = touched.has(entry.chatId) ? result[entry.chatId] : [...(result[entry.chatId] || [])];
+        touched.add(entry.chatId);
+        result[entry.chatId] = list;
+
+        const index = list.findIndex(m => m.id === entry.messageId);
+        const current = index >= 0 ? list[index] : null;
+        let next = current;
+
+        if (entry.op === 'send') {
+            const status = entry.status === 'dead' ? 'failed' : 'queued';
+            next = { ...(current || entry.payload), status };
+        } else if (!current) {
+            return;
+        } else if (entry.op === 'edit') {
+            next = { ...current, text: entry.payload.text, isEdited: true };
+        } else if (entry.op === 'react') {
+            const reactions = { ...(current.reactions || {}) };
+            if (entry.payload.emoji) reactions[entry.payload.userId] = entry.payload.emoji;
+            else delete reactions[entry.payload.userId];
+            next = { ...current, reactions };
+        } else if (entry.op === 'delete' && entry.payload.forEveryone) {
+            next = { ...current, isDeleted: true, text: 'You deleted this message', type: 'text', mediaUrl: undefined, pollData: undefined, reactions: undefined };
+        }
+
+        if (index >= 0) {
+            list[index] = next;
+        } else {
+            list.push(next);
+            list.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+        }
+    });
+
+    return result;
+};
+
 class OfflineMessageService {
     constructor() {
         this.db = null;
         this.isOnline = navigator.onLine;
         this.syncInProgress = false;
+        this.syncRequested = false;
+        this.retryTimer = null;
+        this.messageService = null;
         this.listeners = new Set();
         this.initDB();
         this.setupConnectionListeners();
@@ -70,12 +169,13 @@ class OfflineMessageService {
             console.log('🌐 [OfflineService] Connection restored');
             this.isOnline = true;
             this.notifyListeners({ type: 'online' });
-            this.syncQueue();
+            this.syncQueue(this.messageService, { ignoreBackoff: true });
         });
 
         window.addEventListener('offline', () => {
             console.log('📴 [OfflineService] Connection lost');
             this.isOnline = false;
+            clearTimeout(this.retryTimer);
             this.notifyListeners({ type: 'offline' });
         });
     }
@@ -102,9 +202,19 @@ class OfflineMessageService {
     }
 
     /**
-     * Queue a message for later sending
+     * Add an entry to the outbox
+     * @param {string} op - One of OUTBOX_OPS
+     * @param {Object} params
+     * @param {string} params.chatId - Chat ID (entries are ordered per chat)
+     * @param {string} params.messageId - Message the operation applies to
+     * @param {Object} params.payload - Operation data
+     * @param {string} params.idempotencyKey - Optional; generated when omitted
+     * @returns {Promise<{success: boolean, queueId: number}>}
      */
-    async queueMessage(chatId, messageData) {
+    async enqueue(op, { chatId, messageId, payload = {}, idempotencyKey }) {
+        if (!OUTBOX_OPS.includes(op)) {
+            throw new Error(`Unknown outbox operation: ${op}`);
+        }
         if (!this.db) {
             await this.initDB();
         }
@@ -113,30 +223,27 @@ class OfflineMessageService {
             const transaction = this.db.transaction([STORE_NAME], 'readwrite');
             const store = transaction.objectStore(STORE_NAME);
 
-            const queuedMessage = {
+            const entry = {
+                op,
                 chatId,
-                messageData: {
-                    ...messageData,
-                    queuedAt: Date.now(),
-                    status: 'queued'
-                },
+                messageId,
+                payload,
+                idempotencyKey: idempotencyKey || createIdempotencyKey(op, messageId),
                 timestamp: Date.now(),
                 status: 'pending',
-                retryCount: 0,
-                maxRetries: 3
+                attempts: 0,
+                nextAttemptAt: 0,
+                lastError: null
             };
 
-            const request = store.add(queuedMessage);
+            const request = store.add(entry);
 
             request.onsuccess = () => {
-                const messageId = request.result;
-                console.log(`📦 [OfflineService] Message queued: ${messageId}`);
-                this.notifyListeners({ 
-                    type: 'messageQueued', 
-                    chatId, 
-                    messageId 
-                });
-                resolve({ success: true, queueId: messageId });
+                const queueId = request.result;
+                console.log(`📦 [OfflineService] ${op} queued: ${queueId}`);
+                this.notifyListeners({ type: 'messageQueued', op, chatId, messageId, queueId });
+                this.notifyListeners({ type: 'outboxChanged' });
+                resolve({ success: true, queueId });
             };
 
             request.onerror = () => {
@@ -147,9 +254,26 @@ class OfflineMessageService {
     }
 
     /**
-     * Get all queued messages
+     * Queue a new message for sending
+     * The message ID doubles as the idempotency key, so a retried send is a no-op on the server
      */
-    async getQueuedMessages(chatId = null) {
+    async queueMessage(chatId, messageData) {
+        return this.enqueue('send', {
+            chatId,
+            messageId: messageData.id,
+            idempotencyKey: messageData.idempotencyKey || messageData.id,
+            payload: {
+                ...messageData,
+                queuedAt: Date.now()
+            }
+        });
+    }
+
+    /**
+     * Get every outbox entry (pending and dead-lettered) in queue order
+     * Entries written by the previous queue format are upgraded on read
+     */
+    async getOutbox(chatId = null) {
         if (!this.db) {
             await this.initDB();
         }
@@ -157,28 +281,38 @@ class OfflineMessageService {
         return new Promise((resolve, reject) => {
             const transaction = this.db.transaction([STORE_NAME], 'readonly');
             const store = transaction.objectStore(STORE_NAME);
-            
-            let request;
-            
-            if (chatId) {
-                const index = store.index('chatId');
-                request = index.getAll(chatId);
-            } else {
-                request = store.getAll();
-            }
+            const request = chatId ? store.index('chatId').getAll(chatId) : store.getAll();
 
             request.onsuccess = () => {
-                const messages = request.result.filter(msg => msg.status === 'pending');
-                resolve(messages);
+                const entries = request.result
+                    .map(normalizeEntry)
+                    .sort((a, b) => a.id - b.id);
+                resolve(entries);
             };
 
             request.onerror = () => {
-                console.error('[OfflineService] Get messages error:', request.error);
+                console.error('[OfflineService] Get outbox error:', request.error);
                 reject(request.error);
             };
         });
     }
 
+    /**
+     * Get all queued (not dead-lettered) entries
+     */
+    async getQueuedMessages(chatId = null) {
+        const entries = await this.getOutbox(chatId);
+        return entries.filter(entry => entry.status === 'pending');
+    }
+
+    /**
+     * Get dead-lettered entries
+     */
+    async getDeadLetters(chatId = null) {
+        const entries = await this.getOutbox(chatId);
+        return entries.filter(entry => entry.status === 'dead');
+    }
+
     /**
      * Get count of queued messages
      */
@@ -203,6 +337,7 @@ class OfflineMessageService {
             request.onsuccess = () => {
                 console.log(`✅ [OfflineService] Message removed from queue: ${queueId}`);
                 this.notifyListeners({ type: 'messageRemoved', queueId });
+                this.notifyListeners({ type: 'outboxChanged' });
                 resolve({ success: true });
             };
 
@@ -233,10 +368,11 @@ class OfflineMessageService {
                     return;
                 }
 
-                const updatedMessage = { ...message, ...updates };
+                const updatedMessage = { ...normalizeEntry(message), ...updates };
                 const putRequest = store.put(updatedMessage);
 
                 putRequest.onsuccess = () => {
+                    this.notifyListeners({ type: 'outboxChanged' });
                     resolve({ success: true });
                 };
 
@@ -252,9 +388,47 @@ class OfflineMessageService {
     }
 
     /**
-     * Sync all queued messages
+     * Deliver one outbox entry through the message service
+     * Every operation is idempotent, so redelivery after an unacknowledged success is safe
+     * @private
+     */
+    async deliver(entry, messageService) {
+        const { op, chatId, messageId, payload } = entry;
+
+        try {
+            switch (op) {
+                case 'send':
+                    return await messageService.sendMessage(chatId, {
+                        ...payload,
+                        idempotencyKey: entry.idempotencyKey
+                    });
+                case 'edit':
+                    return await messageService.editMessage(messageId, payload.text);
+                case 'react':
+                    return payload.emoji
+                        ? await messageService.addReaction(messageId, payload.userId, payload.emoji)
+                        : await messageService.removeReaction(messageId, payload.userId);
+                case 'delete':
+                    return await messageService.deleteMessage(messageId, payload.forEveryone);
+                default:
+                    throw new Error(`Unknown outbox operation: ${op}`);
+            }
+        } catch (error) {
+            // Deleting something that is already gone has the intended effect
+            if (op === 'delete' && error.code === 'not-found') return { success: true };
+            throw error;
+        }
+    }
+
+    /**
+     * Sync the outbox
+     * Entries are delivered in queue order per chat; a chat stops at its first entry that
+     * is waiting out a backoff or whose send is dead-lettered, so later entries never overtake it
+     * @param {Object} messageService - Optional message service (defaults to Firestore)
+     * @param {Object} options
+     * @param {boolean} options.ignoreBackoff - Retry now (e.g. when the connection returns)
      */
-    async syncQueue(messageService = null) {
+    async syncQueue(messageService = null, { ignoreBackoff = false } = {}) {
         if (!this.isOnline) {
             console.log('📴 [OfflineService] Cannot sync - offline');
             return { success: false, reason: 'offline' };
@@ -262,81 +436,93 @@ class OfflineMessageService {
 
         if (this.syncInProgress) {
             console.log('⏳ [OfflineService] Sync already in progress');
+            this.syncRequested = true;
             return { success: false, reason: 'sync_in_progress' };
         }
 
         this.syncInProgress = true;
+        this.syncRequested = false;
+        clearTimeout(this.retryTimer);
         this.notifyListeners({ type: 'syncStarted' });
 
         try {
-            const queuedMessages = await this.getQueuedMessages();
-            
-            if (queuedMessages.length === 0) {
+            const entries = await this.getOutbox();
+            const pending = entries.filter(entry => entry.status === 'pending');
+
+            if (pending.length === 0) {
                 console.log('✅ [OfflineService] No messages to sync');
-                this.syncInProgress = false;
                 return { success: true, synced: 0 };
             }
 
-            console.log(`📤 [OfflineService] Syncing ${queuedMessages.length} messages...`);
+            // Import dynamically to avoid circular dependency
+            if (!messageService) {
+                const { messageFirebaseService } = await import('./firebase/MessageFirebaseService');
+                messageService = messageFirebaseService;
+            }
+
+            console.log(`📤 [OfflineService] Syncing ${pending.length} outbox entries...`);
 
             let successCount = 0;
             let failedCount = 0;
+            const blockedChats = new Set();
+
+            for (const entry of entries) {
+                // A dead-lettered send holds back everything after it in its chat until it is
+                // retried or discarded, so later messages never overtake it
+                if (entry.status === 'dead' && entry.op === 'send') blockedChats.add(entry.chatId);
+                if (entry.status !== 'pending' || blockedChats.has(entry.chatId)) continue;
+
+                if (!ignoreBackoff && entry.nextAttemptAt > Date.now()) {
+                    blockedChats.add(entry.chatId);
+                    continue;
+                }
 
-            for (const queuedMsg of queuedMessages) {
                 try {
-                    // Import dynamically to avoid circular dependency
-                    if (!messageService) {
-                        const { messageFirebaseService } = await import('./firebase/MessageFirebaseService');
-                        messageService = messageFirebaseService;
+                    const result = await this.deliver(entry, messageService);
+                    if (result && result.success === false) {
+                        throw new Error(result.error || 'Send failed');
                     }
 
-                    // Send the message
-                    const result = await messageService.sendMessage(
-                        queuedMsg.chatId,
-                        queuedMsg.messageData
-                    );
-
-                    if (result.success) {
-                        // Remove from queue
-                        await this.removeFromQueue(queuedMsg.id);
-                        successCount++;
-                        
-                        this.notifyListeners({ 
-                            type: 'messageSynced', 
-                            chatId: queuedMsg.chatId,
-                            queueId: queuedMsg.id,
-                            messageId: result.messageId
-                        });
-                    } else {
-                        throw new Error('Send failed');
-                    }
+                    await this.removeFromQueue(entry.id);
+                    successCount++;
+
+                    this.notifyListeners({
+                        type: 'messageSynced',
+                        op: entry.op,
+                        chatId: entry.chatId,
+                        queueId: entry.id,
+                        messageId: entry.messageId,
+                        unencrypted: Boolean(result?.unencrypted)
+                    });
                 } catch (error) {
-                    console.error(`❌ [OfflineService] Failed to send message ${queuedMsg.id}:`, error);
-                    
-                    // Increment retry count
-                    const newRetryCount = (queuedMsg.retryCount || 0) + 1;
-                    
-                    if (newRetryCount >= queuedMsg.maxRetries) {
-                        // Max retries reached, mark as failed
-                        await this.updateQueuedMessage(queuedMsg.id, { 
-                            status: 'failed',
-                            retryCount: newRetryCount,
+                    console.error(`❌ [OfflineService] Failed to deliver ${entry.op} ${entry.id}:`, error);
+                    failedCount++;
+
+                    const attempts = entry.attempts + 1;
+                    const isPermanent = PERMANENT_ERROR_CODES.includes(error.code);
+
+                    if (isPermanent || attempts >= MAX_ATTEMPTS) {
+                        await this.updateQueuedMessage(entry.id, {
+                            status: 'dead',
+                            attempts,
                             lastError: error.message
                         });
-                        failedCount++;
-                        
-                        this.notifyListeners({ 
-                            type: 'messageFailed', 
-                            chatId: queuedMsg.chatId,
-                            queueId: queuedMsg.id
+                        if (entry.op === 'send') blockedChats.add(entry.chatId);
+
+                        this.notifyListeners({
+                            type: 'messageFailed',
+                            op: entry.op,
+                            chatId: entry.chatId,
+                            queueId: entry.id,
+                            messageId: entry.messageId
                         });
                     } else {
-                        // Retry later
-                        await this.updateQueuedMessage(queuedMsg.id, { 
-                            retryCount: newRetryCount,
+                        await this.updateQueuedMessage(entry.id, {
+                            attempts,
+                            nextAttemptAt: Date.now() + getBackoffDelay(attempts),
                             lastError: error.message
                         });
-                        failedCount++;
+                        blockedChats.add(entry.chatId);
                     }
                 }
             }
@@ -360,7 +546,80 @@ class OfflineMessageService {
             return { success: false, error };
         } finally {
             this.syncInProgress = false;
+            this.messageService = messageService || this.messageService;
+
+            if (this.syncRequested) {
+                this.syncQueue(this.messageService);
+            } else {
+                this.scheduleRetry();
+            }
+        }
+    }
+
+    /**
+     * Schedule the next sync for the earliest entry waiting out its backoff
+     * @private
+     */
+    async scheduleRetry() {
+        clearTimeout(this.retryTimer);
+        if (!this.isOnline) return;
+
+        try {
+            // Only the first pending entry of each chat can go next; chats held back by a
+            // dead-lettered send wait for it to be retried instead
+            const blockedChats = new Set();
+            const waiting = (await this.getOutbox()).filter((entry) => {
+                if (entry.status === 'dead' && entry.op === 'send') blockedChats.add(entry.chatId);
+                if (entry.status !== 'pending' || blockedChats.has(entry.chatId)) return false;
+                blockedChats.add(entry.chatId);
+                return true;
+            });
+            const next = waiting.reduce((min, entry) => Math.min(min, entry.nextAttemptAt || 0), Infinity);
+            if (next === Infinity) return;
+
+            const delay = Math.max(0, next - Date.now());
+            this.retryTimer = setTimeout(() => this.syncQueue(this.messageService), delay);
+        } catch (error) {
+            console.error('[OfflineService] Could not schedule retry:', error);
+        }
+    }
+
+    /**
+     * Move a dead-lettered message (and its queued edits/reactions) back into the queue
+     * @param {string} messageId - Message ID
+     */
+    async retryMessage(messageId) {
+        const entries = await this.getOutbox();
+        const dead = entries.filter(entry => entry.messageId === messageId && entry.status === 'dead');
+
+        for (const entry of dead) {
+            await this.updateQueuedMessage(entry.id, {
+                status: 'pending',
+                attempts: 0,
+                nextAttemptAt: 0,
+                lastError: null
+            });
+        }
+
+        console.log(`🔁 [OfflineService] Retrying ${dead.length} entries for message ${messageId}`);
+        this.syncQueue(this.messageService);
+        return { success: true, retried: dead.length };
+    }
+
+    /**
+     * Drop every outbox entry for a message (e.g. "delete" on a message that never sent)
+     * @param {string} messageId - Message ID
+     */
+    async discardMessage(messageId) {
+        const entries = await this.getOutbox();
+        const related = entries.filter(entry => entry.messageId === messageId);
+
+        for (const entry of related) {
+            await this.removeFromQueue(entry.id);
         }
+
+        this.notifyListeners({ type: 'messageDiscarded', messageId });
+        return { success: true, discarded: related.length };
     }
 
     /**
@@ -371,7 +630,7 @@ class OfflineMessageService {
             await this.initDB();
         }
 
-        const messages = await this.getQueuedMessages(chatId);
+        const messages = await this.getOutbox(chatId);
         
         for (const msg of messages) {
             await this.removeFromQueue(msg.id);
@@ -395,7 +654,9 @@ class OfflineMessageService {
 
             request.onsuccess = () => {
                 console.log('✅ [OfflineService] All queues cleared');
+                clearTimeout(this.retryTimer);
                 this.notifyListeners({ type: 'allQueuesCleared' });
+                this.notifyListeners({ type: 'outboxChanged' });
                 resolve({ success: true });
             };
 
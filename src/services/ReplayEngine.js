@@ -6,24 +6,104 @@
  * - State restoration
  * - Speed control
  * - Export to various formats
+ * - PGN/FEN import and analysis variations (chess)
+ * - Engine review: evaluations and blunder/mistake/inaccuracy marks (chess)
+ *
+ * Playback follows the current line: the game's moves, or the moves leading into a
+ * variation and on through it. Variations live on the engine's own copy of the moves,
+ * so exploring never changes the game that was passed in.
  */
 
+import { DEFAULT_POSITION } from 'chess.js';
+import { GAME_TYPES } from '../shared/constants/gameConstants';
+import { getTimeControl } from '../shared/gameRules';
+import {
+  parseGameText,
+  writePGN,
+  createMoveNode,
+  formatPgnTimeControl
+} from '../shared/utils/pgn';
+
 class ReplayEngine {
-  constructor(gameType, moveHistory = [], initialState = null) {
+  /**
+   * @param {string} gameType
+   * @param {Array<Object>} moveHistory - Move records
+   * @param {Object} initialState
+   * @param {Object} metadata - { white, black, result, timeControl, date, event, headers, comment } (PGN tags)
+   */
+  constructor(gameType, moveHistory = [], initialState = null, metadata = {}) {
     this.gameType = gameType;
-    this.moveHistory = moveHistory;
+    this.recordCounter = 0;
+    this.moveHistory = this._copyLine(moveHistory);
+    this.currentLine = this.moveHistory;
     this.initialState = initialState;
+    this.metadata = metadata;
+    this.review = null; // Set by applyReview()
     this.currentMoveIndex = -1;
     this.isPlaying = false;
     this.playSpeed = 1; // 1x speed
     this.playInterval = null;
   }
 
+  /**
+   * Load a pasted PGN game or FEN position
+   * @throws {PgnParseError} If the text can't be read
+   */
+  static fromPGN(text) {
+    const game = parseGameText(text);
+    const engine = new ReplayEngine(GAME_TYPES.CHESS, [], { fen: game.startFen }, {
+      headers: game.headers,
+      white: game.headers.White,
+      black: game.headers.Black,
+      result: game.result,
+      comment: game.comment
+    });
+    engine.moveHistory.push(...game.moves.map((node, index) => engine._recordFromNode(node, index + 1)));
+    return engine;
+  }
+
+  /**
+   * Replay a finished chess game from the game history
+   * @param {Object} game - Match record (SAN `moves` and `clocks`)
+   * @param {Function} getPlayerName - userId => display name
+   */
+  static fromChessGame(game, getPlayerName) {
+    const playerFor = color => game.players?.find(p => p.color === color)?.userId;
+    const white = playerFor('white');
+    const black = playerFor('black');
+    const { winner, isDraw } = game.result || {};
+    const result = isDraw ? '1/2-1/2'
+      : winner && winner === white ? '1-0'
+      : winner && winner === black ? '0-1'
+      : '*';
+
+    const engine = new ReplayEngine(GAME_TYPES.CHESS, [], { fen: DEFAULT_POSITION }, {
+      white: white ? getPlayerName(white) : undefined,
+      black: black ? getPlayerName(black) : undefined,
+      result,
+      timeControl: game.timeControl || undefined,
+      date: game.endedAt,
+      event: 'Casual Game'
+    });
+
+    const clocks = game.clocks || [];
+    let fen = DEFAULT_POSITION;
+    for (const [index, san] of (game.moves || []).entries()) {
+      const node = createMoveNode(fen, san);
+      if (!node) break;
+      node.clockMs = clocks[index] ?? null;
+      engine.moveHistory.push(engine._recordFromNode(node, index + 1));
+      fen = node.fen;
+    }
+    return engine;
+  }
+
   /**
    * Record a move
    */
   recordMove(move, stateBefore, stateAfter, playerId, notation) {
     const moveRecord = {
+      id: this._nextRecordId(),
       moveNumber: this.moveHistory.length + 1,
       playerId,
       move,
@@ -31,9 +111,11 @@ class ReplayEngine {
       timestamp: Date.now(),
       stateBefore: this._compressState(stateBefore),
       stateAfter: this._compressState(stateAfter),
+      variations: [],
     };
 
     this.moveHistory.push(moveRecord);
+    this.currentLine = this.moveHistory;
     this.currentMoveIndex = this.moveHistory.length - 1;
 
     return moveRecord;
@@ -43,7 +125,7 @@ class ReplayEngine {
    * Go to specific move
    */
   goToMove(moveIndex) {
-    if (moveIndex < -1 || moveIndex >= this.moveHistory.length) {
+    if (moveIndex < -1 || moveIndex >= this.currentLine.length) {
       return null;
     }
 
@@ -53,14 +135,126 @@ class ReplayEngine {
       return this.initialState;
     }
 
-    return this._decompressState(this.moveHistory[moveIndex].stateAfter);
+    return this._decompressState(this.currentLine[moveIndex].stateAfter);
+  }
+
+  /**
+   * Go to a move anywhere in the tree (switches the current line to the one it's on)
+   */
+  goToRecord(record) {
+    const path = this._pathTo(record.id);
+    if (!path) return null;
+
+    const { line, index } = this._findLine(record.id);
+    this.currentLine = [...path, ...line.slice(index + 1)];
+    return this.goToMove(path.length - 1);
+  }
+
+  /**
+   * Play a move from the current position (chess analysis)
+   * Follows the existing move or variation when there is one, otherwise starts a new
+   * variation. The game's own line is never extended.
+   * @param {Object|string} move - { from, to, promotion } or SAN
+   * @returns {Object|null} The record now current, or null if the move can't be played here
+   */
+  playVariationMove(move) {
+    if (this.gameType !== GAME_TYPES.CHESS) return null;
+
+    const current = this.currentLine[this.currentMoveIndex];
+    const fenBefore = current ? current.stateAfter.fen : this._startFen();
+    const node = createMoveNode(fenBefore, move);
+    if (!node) return null;
+
+    const next = this.currentLine[this.currentMoveIndex + 1];
+    if (next) {
+      if (next.notation === node.san) {
+        this.goToMove(this.currentMoveIndex + 1);
+        return next;
+      }
+      const existing = next.variations.find(variation => variation[0].notation === node.san);
+      if (existing) {
+        this.goToRecord(existing[0]);
+        return existing[0];
+      }
+
+      const record = { ...this._recordFromNode(node, 1), isAnalysis: true };
+      next.variations.push([record]);
+      this.goToRecord(record);
+      return record;
+    }
+
+    // End of the line: only variations can be continued
+    const owner = current ? this._findLine(current.id).line : this.moveHistory;
+    if (owner === this.moveHistory) return null;
+
+    const record = { ...this._recordFromNode(node, owner.length + 1), isAnalysis: true };
+    owner.push(record);
+    this.goToRecord(record);
+    return record;
+  }
+
+  /**
+   * Remove a variation (and everything after it) from the analysis
+   */
+  deleteVariation(record) {
+    const location = this._findLine(record.id);
+    if (!location || location.line === this.moveHistory) return false;
+
+    const { line, index } = location;
+    const onCurrentLine = this.currentLine.some(r => r.id === record.id);
+    if (index > 0) {
+      line.splice(index);
+    } else {
+      this._forEachRecord(r => {
+        r.variations = r.variations.filter(variation => variation !== line);
+      });
+    }
+
+    if (onCurrentLine) {
+      const keep = this.currentLine.findIndex(r => r.id === record.id);
+      const parent = this.currentLine[keep - 1];
+      if (parent) {
+        this.goToRecord(parent);
+      } else {
+        this.currentLine = this.moveHistory;
+        this.goToMove(-1);
+      }
+    }
+    return true;
+  }
+
+  /**
+   * Positions of the game's own line: the start and after every move (chess)
+   */
+  getMainlineFens() {
+    return [this._startFen(), ...this.moveHistory.map(record => record.stateAfter.fen)];
+  }
+
+  /**
+   * Attach an engine review to the game's moves
+   * @param {Array<Object>} evaluations - One per getMainlineFens() position ({ score, mate, bestSan })
+   * @param {Array<Object>} classifications - One per move ({ classification, nag, loss })
+   */
+  applyReview(evaluations, classifications) {
+    this.moveHistory.forEach((record, index) => {
+      record.evaluation = { score: evaluations[index + 1].score, mate: evaluations[index + 1].mate };
+      record.review = { ...classifications[index], bestSan: evaluations[index].bestSan };
+    });
+    this.review = { startEvaluation: evaluations[0] };
+  }
+
+  /**
+   * Moves of the line being played back
+   */
+  getCurrentLine() {
+    return this.currentLine;
   }
 
   /**
    * Step forward
    */
   stepForward() {
-    if (this.currentMoveIndex < this.moveHistory.length - 1) {
+    if (this.currentMoveIndex < this.currentLine.length - 1) {
       return this.goToMove(this.currentMoveIndex + 1);
     }
     return null;
@@ -87,7 +281,7 @@ class ReplayEngine {
    * Go to end
    */
   goToEnd() {
-    return this.goToMove(this.moveHistory.length - 1);
+    return this.goToMove(this.currentLine.length - 1);
   }
 
   /**
@@ -134,7 +328,7 @@ class ReplayEngine {
    * Get move at index
    */
   getMove(index) {
-    return this.moveHistory[index];
+    return this.currentLine[index];
   }
 
   /**
@@ -169,26 +363,130 @@ class ReplayEngine {
 
   /**
    * Export to PGN (Chess)
+   * Includes comments, annotations, clock times and variations
    */
   _exportPGN() {
     if (this.gameType !== 'chess') {
       return 'PGN format only available for chess games';
     }
 
-    let pgn = '[Event "Game"]\n';
-    pgn += `[Date "${new Date().toISOString().split('T')[0]}"]\n`;
-    pgn += '[White "Player 1"]\n';
-    pgn += '[Black "Player 2"]\n\n';
+    const { headers = {}, white, black, result, timeControl, date, event, comment } = this.metadata;
+    const pgnHeaders = { ...headers };
+    if (event) pgnHeaders.Event = event;
+    if (date || !headers.Date) {
+      pgnHeaders.Date = (date ? new Date(date) : new Date()).toISOString().split('T')[0].replace(/-/g, '.');
+    }
+    if (white) pgnHeaders.White = white;
+    if (black) pgnHeaders.Black = black;
+    if (timeControl) pgnHeaders.TimeControl = formatPgnTimeControl(getTimeControl(timeControl));
 
-    for (let i = 0; i < this.moveHistory.length; i += 2) {
-      const moveNum = Math.floor(i / 2) + 1;
-      const whiteMove = this.moveHistory[i]?.notation || '';
-      const blackMove = this.moveHistory[i + 1]?.notation || '';
-      
-      pgn += `${moveNum}. ${whiteMove} ${blackMove}\n`;
+    return writePGN({
+      headers: pgnHeaders,
+      startFen: this._startFen(),
+      comment: comment || null,
+      moves: this.moveHistory.map(record => this._nodeFromRecord(record)),
+      result: result || headers.Result || '*'
+    });
+  }
+
+  /**
+   * Starting position (chess)
+   */
+  _startFen() {
+    return this.initialState?.fen || DEFAULT_POSITION;
+  }
+
+  _nextRecordId() {
+    return `move_${++this.recordCounter}`;
+  }
+
+  /**
+   * Copy a line (and its variations) so the caller's moves are never changed
+   */
+  _copyLine(line) {
+    return line.map(record => ({
+      ...record,
+      id: this._nextRecordId(),
+      variations: (record.variations || []).map(variation => this._copyLine(variation))
+    }));
+  }
+
+  _recordFromNode(node, moveNumber) {
+    return {
+      id: this._nextRecordId(),
+      moveNumber,
+      playerId: null,
+      move: { from: node.from, to: node.to, promotion: node.promotion },
+      notation: node.san,
+      timestamp: null,
+      stateBefore: { fen: node.fenBefore },
+      stateAfter: { fen: node.fen },
+      comment: node.comment,
+      commentBefore: node.commentBefore,
+      nags: node.nags,
+      clockMs: node.clockMs,
+      evaluation: node.evaluation,
+      review: null,
+      variations: node.variations.map(variation => (
+        variation.map((child, index) => this._recordFromNode(child, moveNumber + index))
+      )),
+    };
+  }
+
+  _nodeFromRecord(record) {
+    const nags = record.nags || [];
+    const { review } = record;
+    // Review marks are only added where the game has no annotation of its own
+    const reviewNote = review?.classification && nags.length === 0
+      ? `${review.classification[0].toUpperCase()}${review.classification.slice(1)}. ${review.bestSan} was best.`
+      : null;
+
+    return {
+      san: record.notation,
+      fenBefore: record.stateBefore?.fen,
+      comment: [reviewNote, record.comment].filter(Boolean).join(' ') || null,
+      commentBefore: record.commentBefore || null,
+      nags: reviewNote ? [review.nag] : nags,
+      clockMs: record.clockMs ?? null,
+      evaluation: record.evaluation || null,
+      variations: (record.variations || []).map(variation => variation.map(r => this._nodeFromRecord(r)))
+    };
+  }
+
+  _forEachRecord(callback, line = this.moveHistory) {
+    line.forEach(record => {
+      callback(record);
+      record.variations.forEach(variation => this._forEachRecord(callback, variation));
+    });
+  }
+
+  /**
+   * Line holding a record and its position in it
+   */
+  _findLine(recordId, line = this.moveHistory) {
+    for (let index = 0; index < line.length; index++) {
+      if (line[index].id === recordId) return { line, index };
+      for (const variation of line[index].variations) {
+        const found = this._findLine(recordId, variation);
+        if (found) return found;
+      }
     }
+    return null;
+  }
 
-    return pgn;
+  /**
+   * Moves from the start of the game up to and including a record
+   */
+  _pathTo(recordId, line = this.moveHistory, prefix = []) {
+    for (let index = 0; index < line.length; index++) {
+      const before = [...prefix, ...line.slice(0, index)];
+      if (line[index].id === recordId) return [...before, line[index]];
+      for (const variation of line[index].variations) {
+        const found = this._pathTo(recordId, variation, before);
+        if (found) return found;
+      }
+    }
+    return null;
   }
 
   /**
@@ -212,6 +510,7 @@ class ReplayEngine {
   clear() {
     this.pause();
     this.moveHistory = [];
+    this.currentLine = this.moveHistory;
     this.currentMoveIndex = -1;
   }
 
@@ -220,7 +519,7 @@ class ReplayEngine {
    */
   getStats() {
     return {
-      totalMoves: this.moveHistory.length,
+      totalMoves: this.currentLine.length,
       currentMove: this.currentMoveIndex + 1,
       isPlaying: this.isPlaying,
       playSpeed: this.playSpeed,
@@ -0,0 +1,98 @@
+/**
+ * Search Index Service
+ * Owns the search worker that keeps a full-text index of messages across all chats
+ *
+ * Features:
+ * - Incremental indexing as message subscriptions deliver snapshots
+ * - Index persisted in IndexedDB inside the worker (survives reloads)
+ * - Prefix matching, diacritic folding and Indic-script normalization
+ * - Ranked results with highlighted snippets
+ */
+
+import { createWorker } from '../shared/utils/searchWorker';
+
+class SearchIndexService {
+    constructor() {
+        this.worker = null;
+        this.requestId = 0;
+        this.pending = new Map();
+    }
+
+    /**
+     * Lazily create the worker
+     * @private
+     */
+    getWorker() {
+        if (this.worker) return this.worker;
+
+        this.worker = createWorker();
+        this.worker.onmessage = (e) => {
+            const { type, requestId, result, error } = e.data;
+
+            if (type === 'SEARCH_ALL_RESULT') {
+                const resolve = this.pending.get(requestId);
+                this.pending.delete(requestId);
+                if (error) console.warn('[SearchIndex] Search failed:', error);
+                resolve?.(result || []);
+            } else if (type === 'INDEX_ERROR') {
+                console.error('[SearchIndex] Indexing failed:', error);
+            }
+        };
+
+        return this.worker;
+    }
+
+    /**
+     * Index (or re-index) the loaded messages of one chat
+     * Unchanged messages are skipped; messages missing from the list are removed from the index
+     * @param {string} chatId - Chat ID
+     * @param {Array} messages - Decrypted messages for the chat
+     * @param {Object} options
+     * @param {string} options.since - Timestamp of the oldest loaded message when older history
+     *   isn't loaded; indexed messages before it are left alone
+     */
+    indexChatMessages(chatId, messages, { since = null } = {}) {
+        if (!chatId || !Array.isArray(messages)) return;
+
+        // Only send what the index needs across the worker boundary
+        const docs = messages.map(m => ({
+            id: m.id,
+            text: m.text,
+            senderId: m.senderId,
+            type: m.type,
+            timestamp: m.timestamp,
+            isDeleted: m.isDeleted,
+            decryptionFailed: m.decryptionFailed
+        }));
+
+        this.getWorker().postMessage({ type: 'INDEX_MESSAGES', payload: { chatId, messages: docs, since } });
+    }
+
+    /**
+     * Search all indexed messages
+     * @param {string} query - Search text
+     * @param {Object} options
+     * @param {number} options.limit - Max results (default 100)
+     * @returns {Promise<Array<{chatId, messageId, senderId, timestamp, score, snippet}>>}
+     */
+    search(query, { limit = 100 } = {}) {
+        if (!query || !query.trim()) return Promise.resolve([]);
+
+        const requestId = ++this.requestId;
+        return new Promise((resolve) => {
+            this.pending.set(requestId, resolve);
+            this.getWorker().postMessage({ type: 'SEARCH_ALL', payload: { query, limit, requestId } });
+        });
+    }
+
+    /**
+     * Remove everything from the index (on logout)
+     */
+    clear() {
+        this.getWorker().postMessage({ type: 'CLEAR_INDEX' });
+        console.log('🧹 [SearchIndex] Index cleared');
+    }
+}
+
+export const searchIndexService = new SearchIndexService();
+export default searchIndexService;
@@ -277,6 +277,290 @@ class SignalingService {
         };
     }
 
+    /**
+     * Send a renegotiation offer once the call is up (ICE restart, tracks added or removed)
+     * @param {string} callId - Call identifier
+     * @param {RTCSessionDescriptionInit} offer - SDP offer
+     * @returns {Promise<number>} Revision of the offer, echoed by its answer
+     */
+    async sendRenegotiationOffer(callId, offer) {
+        try {
+            console.log(`📤 [Signaling] Sending renegotiation offer for call: ${callId}`);
+            const revision = Date.now();
+            const offerRef = ref(realtimeDb, `calls/${callId}/renegotiation/offer`);
+            await set(offerRef, {
+                type: offer.type,
+                sdp: offer.sdp,
+                revision
+            });
+            return revision;
+        } catch (error) {
+            console.error('❌ [Signaling] Error sending renegotiation offer:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Answer a renegotiation offer
+     * @param {string} callId - Call identifier
+     * @param {RTCSessionDescriptionInit} answer - SDP answer
+     * @param {number} revision - Revision of the offer being answered
+     */
+    async sendRenegotiationAnswer(callId, answer, revision) {
+        try {
+            console.log(`📤 [Signaling] Sending renegotiation answer for call: ${callId}`);
+            const answerRef = ref(realtimeDb, `calls/${callId}/renegotiation/answer`);
+            await set(answerRef, {
+                type: answer.type,
+                sdp: answer.sdp,
+                revision
+            });
+        } catch (error) {
+            console.error('❌ [Signaling] Error sending renegotiation answer:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Ask the offerer to restart ICE (the answerer can't send offers)
+     * @param {string} callId - Call identifier
+     */
+    async requestIceRestart(callId) {
+        try {
+            console.log(`🧊 [Signaling] Requesting an ICE restart for call: ${callId}`);
+            await set(ref(realtimeDb, `calls/${callId}/renegotiation/restartRequest`), Date.now());
+        } catch (error) {
+            console.error('❌ [Signaling] Error requesting ICE restart:', error);
+        }
+    }
+
+    /**
+     * Listen for renegotiation offers (for callee)
+     * @param {string} callId - Call identifier
+     * @param {function} callback - (offer, revision) for each new offer
+     * @returns {function} Unsubscribe function
+     */
+    listenForRenegotiationOffers(callId, callback) {
+        return this.listenForRevisions(`calls/${callId}/renegotiation/offer`, 'renegotiation offer', (offer) => {
+            callback({ type: offer.type, sdp: offer.sdp }, offer.revision);
+        });
+    }
+
+    /**
+     * Listen for renegotiation answers (for caller)
+     * @param {string} callId - Call identifier
+     * @param {function} callback - (answer, revision) for each new answer
+     * @returns {function} Unsubscribe function
+     */
+    listenForRenegotiationAnswers(callId, callback) {
+        return this.listenForRevisions(`calls/${callId}/renegotiation/answer`, 'renegotiation answer', (answer) => {
+            callback({ type: answer.type, sdp: answer.sdp }, answer.revision);
+        });
+    }
+
+    /**
+     * Listen for ICE restart requests (for caller)
+     * @param {string} callId - Call identifier
+     * @param {function} callback - Called for each new request
+     * @returns {function} Unsubscribe function
+     */
+    listenForIceRestartRequests(callId, callback) {
+        return this.listenForRevisions(`calls/${callId}/renegotiation/restartRequest`, 'ICE restart request', () => {
+            callback();
+        });
+    }
+
+    /**
+     * Call back once per new value at `path` (values carry a revision, or are one)
+     * @private
+     */
+    listenForRevisions(path, label, callback) {
+        console.log(`👂 [Signaling] Listening for ${label}s at: ${path}`);
+
+        const revisionRef = ref(realtimeDb, path);
+        let lastRevision = null;
+
+        const handleValue = (snapshot) => {
+            if (!snapshot.exists()) return;
+
+            const value = snapshot.val();
+            const revision = typeof value === 'object' ? value.revision : value;
+            if (revision === lastRevision) return;
+
+            lastRevision = revision;
+            console.log(`📥 [Signaling] New ${label} received`);
+            callback(value);
+        };
+
+        onValue(revisionRef, handleValue);
+
+        return () => {
+            off(revisionRef, 'value', handleValue);
+            console.log(`🔇 [Signaling] Stopped listening for ${label}s`);
+        };
+    }
+
+    /**
+     * Ask everyone in a call to agree to record it (the requester agrees by asking)
+     * @param {string} callId - Call identifier
+     * @param {string} userId - User asking
+     * @param {Array<string>} participantIds - Everyone in the call, including the requester
+     * @param {boolean} video - Whether the videos are recorded too
+     */
+    async requestRecording(callId, userId, participantIds, video) {
+        try {
+            console.log(`🔴 [Signaling] Requesting consent to record call: ${callId}`);
+            await set(ref(realtimeDb, `calls/${callId}/recording`), {
+                requestedBy: userId,
+                participants: participantIds,
+                consents: { [userId]: true },
+                video,
+                status: 'pending',
+                requestedAt: Date.now()
+            });
+        } catch (error) {
+            console.error('❌ [Signaling] Error requesting recording consent:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Agree or refuse to be recorded; one refusal declines the request
+     * @param {string} callId - Call identifier
+     * @param {string} userId - User answering
+     * @param {boolean} accepted - Whether they agree
+     */
+    async respondToRecording(callId, userId, accepted) {
+        try {
+            console.log(`📤 [Signaling] ${accepted ? 'Agreeing' : 'Refusing'} to record call: ${callId}`);
+            await update(ref(realtimeDb, `calls/${callId}/recording`), {
+                [`consents/${userId}`]: accepted,
+                ...(!accepted && { status: 'declined' })
+            });
+        } catch (error) {
+            console.error('❌ [Signaling] Error answering recording request:', error);
+        }
+    }
+
+    /**
+     * Update the recording state of a call
+     * @param {string} callId - Call identifier
+     * @param {string} status - 'recording', 'stopped', 'declined' or 'failed'
+     * @param {Object} fields - Anything else to set (recordingId, stoppedBy, ...)
+     */
+    async updateRecordingStatus(callId, status, fields = {}) {
+        try {
+            console.log(`🔄 [Signaling] Recording status of call ${callId}: ${status}`);
+            await update(ref(realtimeDb, `calls/${callId}/recording`), { status, ...fields });
+        } catch (error) {
+            console.error('❌ [Signaling] Error updating recording status:', error);
+        }
+    }
+
+    /**
+     * Listen for the recording state of a call (requests, consents, start and stop)
+     * @param {string} callId - Call identifier
+     * @param {function} callback - Called with the recording state, or null
+     * @returns {function} Unsubscribe function
+     */
+    listenForRecording(callId, callback) {
+        console.log(`👂 [Signaling] Listening for recording on call: ${callId}`);
+
+        const recordingRef = ref(realtimeDb, `calls/${callId}/recording`);
+
+        const handleValue = (snapshot) => {
+            callback(snapshot.exists() ? snapshot.val() : null);
+        };
+
+        onValue(recordingRef, handleValue);
+
+        return () => {
+            off(recordingRef, 'value', handleValue);
+            console.log(`🔇 [Signaling] Stopped listening for recording`);
+        };
+    }
+
+    /**
+     * Turn live captions on or off for everyone in a call
+     * @param {string} callId - Call identifier
+     * @param {boolean} enabled - Whether everyone's device transcribes its user
+     * @param {string} userId - User switching them
+     */
+    async setCaptionsEnabled(callId, enabled, userId) {
+        try {
+            console.log(`💬 [Signaling] Captions ${enabled ? 'on' : 'off'} for call: ${callId}`);
+            await update(ref(realtimeDb, `calls/${callId}/captions`), { enabled, changedBy: userId });
+        } catch (error) {
+            console.error('❌ [Signaling] Error switching captions:', error);
+        }
+    }
+
+    /**
+     * Listen for captions being turned on or off in a call
+     * @param {string} callId - Call identifier
+     * @param {function} callback - Called with whether captions are on
+     * @returns {function} Unsubscribe function
+     */
+    listenForCaptionsEnabled(callId, callback) {
+        const enabledRef = ref(realtimeDb, `calls/${callId}/captions/enabled`);
+
+        const handleValue = (snapshot) => {
+            callback(snapshot.val() === true);
+        };
+
+        onValue(enabledRef, handleValue);
+
+        return () => {
+            off(enabledRef, 'value', handleValue);
+        };
+    }
+
+    /**
+     * Publish the line a user is saying (replaced as it changes)
+     * @param {string} callId - Call identifier
+     * @param {string} userId - Who is speaking
+     * @param {Object} caption - { id, text, isFinal, startedAt, endedAt }
+     */
+    async publishCaption(callId, userId, caption) {
+        try {
+            await set(ref(realtimeDb, `calls/${callId}/captions/live/${userId}`), caption);
+        } catch (error) {
+            console.error('❌ [Signaling] Error publishing caption:', error);
+        }
+    }
+
+    /**
+     * Listen for everyone's captions in a call
+     * @param {string} callId - Call identifier
+     * @param {function} callback - (speakerId, caption) each time someone's line changes
+     * @returns {function} Unsubscribe function
+     */
+    listenForCaptions(callId, callback) {
+        console.log(`👂 [Signaling] Listening for captions on call: ${callId}`);
+
+        const liveRef = ref(realtimeDb, `calls/${callId}/captions/live`);
+        const lastSeen = new Map(); // speakerId -> caption key
+
+        const handleValue = (snapshot) => {
+            if (!snapshot.exists()) return;
+
+            Object.entries(snapshot.val()).forEach(([speakerId, caption]) => {
+                const key = `${caption.id}|${caption.isFinal}|${caption.text}`;
+                if (lastSeen.get(speakerId) === key) return;
+
+                lastSeen.set(speakerId, key);
+                callback(speakerId, caption);
+            });
+        };
+
+        onValue(liveRef, handleValue);
+
+        return () => {
+            off(liveRef, 'value', handleValue);
+            console.log(`🔇 [Signaling] Stopped listening for captions`);
+        };
+    }
+
     /**
      * Update call status
      * @param {string} callId - Call identifier
@@ -192,6 +192,19 @@ class UnifiedNotificationService {
                     }
                 };
 
+            case NOTIFICATION_TYPES.GAME_YOUR_MOVE:
+                return {
+                    title: 'Your move',
+                    body: `${actorName} moved in your ${metadata.gameTitle || 'game'}. You have until ${new Date(metadata.moveDeadline).toLocaleString()}`,
+                    data: {
+                        type,
+                        actorName,
+                        gameId: metadata.gameId,
+                        chatId: metadata.chatId,
+                        url: `/chat/${metadata.chatId}`
+                    }
+                };
+
             default:
                 return {
                     title: 'New Notification',
@@ -2,8 +2,15 @@
  * WebRTC Service
  * Manages WebRTC peer connections for real-time audio/video communication
  * Follows SOLID principles - Single Responsibility for peer connection management
+ *
+ * Connections created with recovery callbacks restart ICE (with fresh TURN credentials)
+ * when they drop or the network changes, instead of being torn down.
  */
 
+import iceServerService from './IceServerService';
+import { ICE_RECOVERY } from '../shared/constants/callConstants';
+import { readCallStats, getQualityBars } from '../shared/utils/callQuality';
+
 class WebRTCService {
     constructor() {
         // Map to store active peer connections by callId
@@ -12,14 +19,28 @@ class WebRTCService {
         // Map to store local streams by callId
         this.localStreams = new Map();
         
-        // ICE server configuration (using Google's public STUN servers)
-        this.iceServers = {
-            iceServers: [
-                { urls: 'stun:stun.l.google.com:19302' },
-                { urls: 'stun:stun1.l.google.com:19302' },
-                { urls: 'stun:stun2.l.google.com:19302' },
-            ]
-        };
+        // ICE server configuration (STUN, plus TURN once refreshIceServers() has run)
+        this.iceServers = iceServerService.getDefaultConfiguration();
+
+        // Map callId -> { isOfferer, attempts, timer, callbacks } for connections that recover
+        this.recoveries = new Map();
+
+        // A new network (Wi-Fi <-> cellular, VPN) invalidates the current ICE candidates
+        if (typeof window !== 'undefined') {
+            const handleNetworkChange = () => this.handleNetworkChange();
+            window.addEventListener('online', handleNetworkChange);
+            navigator.connection?.addEventListener?.('change', handleNetworkChange);
+        }
+    }
+
+    /**
+     * Fetch the STUN/TURN configuration (short-lived TURN credentials) for new connections
+     * @param {string} userId - Who the TURN credentials are for
+     * @returns {Promise<RTCConfiguration>}
+     */
+    async refreshIceServers(userId) {
+        this.iceServers = await iceServerService.getConfiguration(userId);
+        return this.iceServers;
     }
 
     /**
@@ -29,9 +50,13 @@ class WebRTCService {
      * @param {function} onIceCandidate - Callback for ICE candidate events
      * @param {function} onTrack - Callback for remote track events
      * @param {function} onConnectionStateChange - Callback for connection state changes
+     * @param {Object} recovery - Restart ICE instead of closing when the connection drops
+     *   ('reconnecting' is reported meanwhile, 'failed' once it gives up)
+     * @param {function} recovery.onRestartOffer - Offerer: send the ICE restart offer
+     * @param {function} recovery.onRestartRequest - Answerer: ask the offerer to restart
      * @returns {RTCPeerConnection}
      */
-    createPeerConnection(callId, isOfferer, onIceCandidate, onTrack, onConnectionStateChange) {
+    createPeerConnection(callId, isOfferer, onIceCandidate, onTrack, onConnectionStateChange, recovery = null) {
         try {
             console.log(`🔗 [WebRTC] Creating peer connection for call: ${callId} (offerer: ${isOfferer})`);
 
@@ -52,10 +77,30 @@ class WebRTCService {
                 onTrack?.(event.streams[0]);
             };
 
+            if (recovery) {
+                this.recoveries.set(callId, {
+                    isOfferer,
+                    attempts: 0,
+                    timer: null,
+                    callbacks: { ...recovery, onConnectionStateChange }
+                });
+            }
+
             // Handle connection state changes
             peerConnection.onconnectionstatechange = () => {
                 const state = peerConnection.connectionState;
                 console.log(`🔄 [WebRTC] Connection state changed to: ${state}`);
+
+                if (this.recoveries.has(callId) && (state === 'disconnected' || state === 'failed')) {
+                    onConnectionStateChange?.('reconnecting');
+                    // 'disconnected' often comes back by itself; 'failed' never does
+                    this.scheduleIceRestart(callId, state === 'failed' ? 0 : ICE_RECOVERY.disconnectGraceMs);
+                    return;
+                }
+                if (state === 'connected') {
+                    this.resetRecovery(callId);
+                }
+
                 onConnectionStateChange?.(state);
 
                 // Cleanup on disconnect/failed
@@ -79,6 +124,119 @@ class WebRTCService {
         }
     }
 
+    /**
+     * Restart ICE on a connection: the offerer sends an ICE restart offer, the answerer
+     * asks the offerer for one. Gives up (closing it) after ICE_RECOVERY.maxRestarts
+     * @param {string} callId - Call identifier
+     * @returns {Promise<boolean>} - Whether a restart was started
+     */
+    async restartIce(callId) {
+        const recovery = this.recoveries.get(callId);
+        const peerConnection = this.peerConnections.get(callId);
+        if (!recovery || !peerConnection) return false;
+
+        clearTimeout(recovery.timer);
+        recovery.timer = null;
+
+        if (recovery.attempts >= ICE_RECOVERY.maxRestarts) {
+            console.error(`❌ [WebRTC] Could not reconnect call ${callId} after ${recovery.attempts} ICE restarts`);
+            const { onConnectionStateChange } = recovery.callbacks;
+            this.closePeerConnection(callId);
+            onConnectionStateChange?.('failed');
+            return false;
+        }
+
+        recovery.attempts += 1;
+        console.log(`🧊 [WebRTC] Restarting ICE for ${callId} (attempt ${recovery.attempts}/${ICE_RECOVERY.maxRestarts})`);
+
+        // If this attempt doesn't connect either, try again
+        recovery.timer = setTimeout(() => this.checkIceRestart(callId), ICE_RECOVERY.restartTimeoutMs);
+
+        try {
+            // Relayed candidates need TURN credentials that haven't expired
+            peerConnection.setConfiguration(await this.refreshIceServers());
+
+            if (!recovery.isOfferer) {
+                await recovery.callbacks.onRestartRequest?.();
+                return true;
+            }
+
+            // An earlier restart offer that never got an answer is dropped
+            if (peerConnection.signalingState === 'have-local-offer') {
+                await peerConnection.setLocalDescription({ type: 'rollback' });
+            }
+            const offer = await peerConnection.createOffer({ iceRestart: true });
+            await peerConnection.setLocalDescription(offer);
+            await recovery.callbacks.onRestartOffer?.({ type: offer.type, sdp: offer.sdp });
+            return true;
+        } catch (error) {
+            console.error('❌ [WebRTC] Error restarting ICE:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Restart ICE after `delay` unless the connection recovers first
+     * @private
+     * @param {string} callId - Call identifier
+     * @param {number} delay - ms
+     */
+    scheduleIceRestart(callId, delay) {
+        const recovery = this.recoveries.get(callId);
+        if (!recovery) return;
+        // A restart is already under way (or about to be)
+        if (recovery.timer && delay > 0) return;
+
+        clearTimeout(recovery.timer);
+        recovery.timer = setTimeout(() => this.restartIce(callId), delay);
+    }
+
+    /**
+     * A restart had its time: done if the connection is up (it may never have gone down,
+     * e.g. after a network change), otherwise try again
+     * @private
+     * @param {string} callId - Call identifier
+     */
+    checkIceRestart(callId) {
+        const recovery = this.recoveries.get(callId);
+        if (!recovery) return;
+
+        if (this.peerConnections.get(callId)?.connectionState === 'connected') {
+            this.resetRecovery(callId);
+            recovery.callbacks.onConnectionStateChange?.('connected');
+            return;
+        }
+        this.restartIce(callId);
+    }
+
+    /**
+     * The connection is back: stop restarting and reset the attempts
+     * @private
+     * @param {string} callId - Call identifier
+     */
+    resetRecovery(callId) {
+        const recovery = this.recoveries.get(callId);
+        if (!recovery) return;
+
+        clearTimeout(recovery.timer);
+        recovery.timer = null;
+        recovery.attempts = 0;
+    }
+
+    /**
+     * Restart ICE on every established connection after a network change
+     * @private
+     */
+    handleNetworkChange() {
+        for (const callId of this.recoveries.keys()) {
+            const state = this.peerConnections.get(callId)?.connectionState;
+            if (state === 'connected' || state === 'disconnected' || state === 'failed') {
+                console.log(`📶 [WebRTC] Network changed, restarting ICE for ${callId}`);
+                this.scheduleIceRestart(callId, 0);
+            }
+        }
+    }
+
     /**
      * Get user media stream (camera + microphone)
      * @param {boolean} audioEnabled - Enable audio track
@@ -310,7 +468,8 @@ class WebRTCService {
     /**
      * Get connection statistics
      * @param {string} callId - Call identifier
-     * @returns {Promise<Object>}
+     * @returns {Promise<Object>} - Received bytes and packets lost per kind, plus the quality
+     *   sample (rtt, jitter, packetLoss, frameRate, bars; see readCallStats)
      */
     async getConnectionStats(callId) {
         try {
@@ -335,7 +494,8 @@ class WebRTCService {
                 }
             });
 
-            return statsData;
+            const sample = readCallStats(stats);
+            return { ...statsData, ...sample, bars: getQualityBars(sample) };
         } catch (error) {
             console.error('❌ [WebRTC] Error getting stats:', error);
             return null;
@@ -345,17 +505,22 @@ class WebRTCService {
     /**
      * Close peer connection and cleanup
      * @param {string} callId - Call identifier
+     * @param {boolean} stopLocalStream - False when other connections still send the stream (group calls)
      */
-    closePeerConnection(callId) {
+    closePeerConnection(callId, stopLocalStream = true) {
         console.log(`🔌 [WebRTC] Closing peer connection for call: ${callId}`);
 
         // Stop local stream tracks
         const localStream = this.localStreams.get(callId);
         if (localStream) {
-            localStream.getTracks().forEach(track => track.stop());
+            if (stopLocalStream) localStream.getTracks().forEach(track => track.stop());
             this.localStreams.delete(callId);
         }
 
+        // Stop recovering it
+        clearTimeout(this.recoveries.get(callId)?.timer);
+        this.recoveries.delete(callId);
+
         // Close peer connection
         const peerConnection = this.peerConnections.get(callId);
         if (peerConnection) {
@@ -1,130 +1,637 @@
 /**
  * WebSocketService.js
- * 
- * Mock WebSocket service for real-time game communication.
- * Uses localStorage events to simulate real-time updates across tabs.
- * 
- * In a Spring Boot backend, this will be replaced with actual WebSocket:
- * - Connection: ws://localhost:8080/ws/game
- * - STOMP protocol over SockJS
- * - Topic subscriptions: /topic/game/{gameId}
+ *
+ * Real-time game transport: STOMP 1.2 over WebSocket.
+ * - Connection: VITE_GAME_SERVER_URL (default ws://localhost:8090/ws/game)
+ * - Topic subscriptions: /topic/game/{gameId}; events are sent to /app/game/{gameId}
+ * - The server numbers every game's events (`seq`). The last seq seen per game is kept,
+ *   and (re)subscribing asks the server to replay everything after it
+ * - Sends carry an event ID and a STOMP receipt; unacknowledged sends are resent after a
+ *   reconnect and the server drops duplicates
+ * - Automatic reconnection with exponential backoff, heart-beats and a dead-connection watchdog
+ * - CONNECT carries the user's Firebase ID token (`passcode`), which the server checks against `login`
+ * - Spectating: /topic/spectate/{gameId} carries a game's delayed events and the spectator
+ *   chat; /topic/spectators the spectator count of every live game
+ *
+ * `npm run game-server` starts the Node reference server (server/gameServer.js).
  */
 
+import { auth } from '../config/firebaseConfig';
+import {
+    STOMP_VERSION,
+    STOMP_SUBPROTOCOL,
+    GAME_TOPIC_PREFIX,
+    GAME_SEND_PREFIX,
+    PRESENCE_TOPIC,
+    SPECTATE_TOPIC_PREFIX,
+    SPECTATORS_TOPIC,
+    encodeFrame,
+    parseFrames,
+    getGameIdFromDestination,
+    getSpectatedGameId
+} from '../shared/utils/stompFrames';
+
+const GAME_SERVER_URL = import.meta.env.VITE_GAME_SERVER_URL || 'ws://localhost:8090/ws/game';
+
+const HEARTBEAT_MS = 10000;
+const RECONNECT_BASE_MS = 1000;
+const RECONNECT_MAX_MS = 30000;
+const MAX_PENDING_SENDS = 500;
+const LAST_SEQ_STORAGE_KEY = 'whatsapp_game_last_seq';
+const MAX_TRACKED_GAMES = 50;
+
+const PRESENCE_SUBSCRIPTION_ID = 'presence';
+const SPECTATORS_SUBSCRIPTION_ID = 'spectators';
+
+const createClientId = () => (
+    typeof crypto !== 'undefined' && crypto.randomUUID
+        ? crypto.randomUUID()
+        : `c_${Date.now()}_${Math.random().toString(36).slice(2)}`
+);
+
 class WebSocketService {
     constructor() {
-        this.connected = false;
+        this.socket = null;
+        this.status = 'disconnected'; // 'disconnected' | 'connecting' | 'connected'
         this.userId = null;
-        this.subscriptions = new Map(); // gameId -> callback
-        this.eventChannel = 'whatsapp_game_events';
+        this.clientId = createClientId();
+        this.shouldReconnect = false;
+        this.reconnectAttempt = 0;
+        this.reconnectTimer = null;
+        this.heartbeatTimer = null;
+        this.watchdogTimer = null;
+        this.lastReceivedAt = 0;
+        this.buffer = '';
+        this.eventCounter = 0;
+
+        this.subscriptions = new Map(); // gameId -> Set<callback>
+        this.lastSeqs = this.loadLastSeqs(); // gameId -> last seq delivered
+        this.pendingSends = new Map(); // eventId -> { destination, event }
+
+        this.connectionListeners = new Set();
+        this.presenceListeners = new Set();
+        this.presence = new Map(); // userId -> { userId, status, lastSeen }
+
+        this.spectating = new Map(); // gameId -> Set<callback>
+        this.spectatorCountListeners = new Set();
+        this.spectatorCounts = new Map(); // gameId -> { gameId, count, allowed, live }
+
+        this.handleOnline = this.handleOnline.bind(this);
     }
 
     /**
-     * Initialize connection (simulated)
+     * Connect as a user (no-op if already connected or connecting)
      * @param {string} userId Current user ID
      */
     connect(userId) {
-        if (this.connected) return;
+        if (this.userId === userId && this.status !== 'disconnected') return;
 
         this.userId = userId;
-        this.connected = true;
-
-        // Listen for storage events (cross-tab communication)
-        window.addEventListener('storage', this._handleStorageEvent.bind(this));
-
-        console.log(`[WebSocket] Connected as user: ${userId}`);
+        this.shouldReconnect = true;
+        window.addEventListener('online', this.handleOnline);
+        this.openSocket();
     }
 
     /**
-     * Handle storage events from other tabs
+     * Open the socket and start the STOMP handshake
      * @private
      */
-    _handleStorageEvent(event) {
-        if (event.key !== this.eventChannel) return;
+    openSocket() {
+        clearTimeout(this.reconnectTimer);
+        this.reconnectTimer = null;
+        this.buffer = '';
+        this.setStatus('connecting');
 
+        let socket;
         try {
-            const eventData = JSON.parse(event.newValue);
-            
-            // Don't process our own events
-            if (eventData.senderId === this.userId) return;
+            socket = new WebSocket(GAME_SERVER_URL, [STOMP_SUBPROTOCOL]);
+        } catch (error) {
+            console.error('[WebSocket] Could not open connection:', error);
+            this.scheduleReconnect();
+            return;
+        }
+        this.socket = socket;
 
-            // Route to appropriate subscriber
-            const { gameId, type, data } = eventData;
-            const callback = this.subscriptions.get(gameId);
+        socket.onopen = async () => {
+            this.lastReceivedAt = Date.now();
 
-            if (callback) {
-                callback({ type, data, senderId: eventData.senderId });
+            // The server only accepts the login its Firebase ID token proves
+            let idToken = '';
+            try {
+                idToken = (await auth.currentUser?.getIdToken()) || '';
+            } catch (error) {
+                console.warn('[WebSocket] Could not get an ID token:', error);
             }
+            if (socket !== this.socket) return;
+
+            this.transmit('CONNECT', {
+                'accept-version': STOMP_VERSION,
+                host: new URL(GAME_SERVER_URL).host,
+                login: this.userId,
+                passcode: idToken,
+                'heart-beat': `${HEARTBEAT_MS},${HEARTBEAT_MS}`,
+                'client-id': this.clientId
+            });
+        };
+
+        socket.onmessage = (message) => {
+            if (socket !== this.socket) return;
+            this.lastReceivedAt = Date.now();
+            const { frames, rest } = parseFrames(this.buffer + message.data);
+            this.buffer = rest;
+            frames.forEach(frame => this.handleFrame(frame));
+        };
+
+        socket.onerror = () => {
+            console.warn('[WebSocket] Connection error');
+        };
+
+        socket.onclose = () => {
+            if (socket !== this.socket) return;
+            this.handleClose();
+        };
+    }
+
+    /**
+     * Write a frame to the socket
+     * @private
+     */
+    transmit(command, headers = {}, body = '') {
+        if (this.socket?.readyState !== WebSocket.OPEN) return false;
+        this.socket.send(encodeFrame(command, headers, body));
+        return true;
+    }
+
+    /**
+     * Dispatch a server frame
+     * @private
+     */
+    handleFrame({ command, headers, body }) {
+        switch (command) {
+            case 'CONNECTED':
+                this.handleConnected(headers);
+                break;
+            case 'MESSAGE':
+                this.handleMessage(headers, body);
+                break;
+            case 'RECEIPT':
+                this.pendingSends.delete(headers['receipt-id']);
+                break;
+            case 'ERROR':
+                console.error('[WebSocket] Server error:', headers.message, body);
+                break;
+            default:
+                break;
+        }
+    }
+
+    /**
+     * Session established: restore subscriptions, then resend unacknowledged events
+     * @private
+     */
+    handleConnected(headers) {
+        this.reconnectAttempt = 0;
+        this.setStatus('connected');
+        this.startHeartbeat(headers['heart-beat']);
+
+        this.transmit('SUBSCRIBE', { id: PRESENCE_SUBSCRIPTION_ID, destination: PRESENCE_TOPIC });
+        this.transmit('SUBSCRIBE', { id: SPECTATORS_SUBSCRIPTION_ID, destination: SPECTATORS_TOPIC });
+        this.subscriptions.forEach((_, gameId) => this.sendSubscribe(gameId));
+        this.spectating.forEach((_, gameId) => this.sendSpectateSubscribe(gameId));
+        this.pendingSends.forEach(({ destination, event }) => this.sendEvent(destination, event));
+
+        console.log(`[WebSocket] Connected as user: ${this.userId}`);
+    }
+
+    /**
+     * Route a MESSAGE frame to game or presence listeners
+     * @private
+     */
+    handleMessage(headers, body) {
+        let payload;
+        try {
+            payload = JSON.parse(body);
         } catch (error) {
             console.error('[WebSocket] Error processing event:', error);
+            return;
         }
+
+        if (headers.destination === PRESENCE_TOPIC) {
+            this.updatePresence(payload);
+            return;
+        }
+        if (headers.destination === SPECTATORS_TOPIC) {
+            this.updateSpectatorCounts(payload);
+            return;
+        }
+
+        const spectatedGameId = getSpectatedGameId(headers.destination);
+        if (spectatedGameId) {
+            this.spectating.get(spectatedGameId)?.forEach((callback) => {
+                try {
+                    callback({ type: payload.type, data: payload.data, senderId: payload.senderId });
+                } catch (error) {
+                    console.error('[WebSocket] Spectator error:', error);
+                }
+            });
+            return;
+        }
+
+        const gameId = getGameIdFromDestination(headers.destination);
+        if (gameId) this.deliverGameEvent(gameId, payload);
+    }
+
+    /**
+     * Deliver a game event in sequence order
+     * Duplicates (already seen seq) are dropped; a gap triggers a replay from the last seen seq
+     * @private
+     */
+    deliverGameEvent(gameId, event) {
+        const callbacks = this.subscriptions.get(gameId);
+        if (!callbacks) return;
+
+        if (event.type === GameEventTypes.REPLAY_TRUNCATED) {
+            // The server can't replay everything we missed; start over from what it has
+            this.lastSeqs.delete(gameId);
+            console.warn(`[WebSocket] Replay truncated for game ${gameId}`);
+        } else if (typeof event.seq === 'number') {
+            const lastSeq = this.lastSeqs.get(gameId) || 0;
+            if (event.seq <= lastSeq) return;
+            if (event.seq > lastSeq + 1 && lastSeq > 0) {
+                console.warn(`[WebSocket] Missed events ${lastSeq + 1}-${event.seq - 1} for game ${gameId}, requesting replay`);
+                this.transmit('UNSUBSCRIBE', { id: `game-${gameId}` });
+                this.sendSubscribe(gameId);
+                return;
+            }
+            this.setLastSeq(gameId, event.seq);
+        }
+
+        // Our own events come back from the server too
+        if (event.originId === this.clientId) return;
+
+        callbacks.forEach((callback) => {
+            try {
+                callback({ type: event.type, data: event.data, senderId: event.senderId, seq: event.seq });
+            } catch (error) {
+                console.error('[WebSocket] Subscriber error:', error);
+            }
+        });
+    }
+
+    /**
+     * @private
+     */
+    sendSubscribe(gameId) {
+        this.transmit('SUBSCRIBE', {
+            id: `game-${gameId}`,
+            destination: `${GAME_TOPIC_PREFIX}${gameId}`,
+            'last-seq': this.lastSeqs.get(gameId) || 0
+        });
+    }
+
+    /**
+     * @private
+     */
+    sendEvent(destination, event) {
+        return this.transmit('SEND', {
+            destination,
+            receipt: event.eventId,
+            'content-type': 'application/json'
+        }, JSON.stringify(event));
     }
 
     /**
      * Send a game event
+     * Events sent while disconnected are delivered after reconnecting
      * @param {string} type Event type (GAME_INVITE, GAME_MOVE, etc.)
-     * @param {object} data Event data
+     * @param {object} data Event data (must include gameId)
+     * @returns {string|null} Event ID
      */
     sendGameEvent(type, data) {
-        if (!this.connected) {
+        if (!this.userId) {
             console.warn('[WebSocket] Not connected');
-            return;
+            return null;
         }
 
         const event = {
+            eventId: `${this.clientId}:${++this.eventCounter}`,
             type,
             data,
             senderId: this.userId,
+            originId: this.clientId,
             gameId: data.gameId,
             timestamp: new Date().toISOString()
         };
+        const destination = `${GAME_SEND_PREFIX}${data.gameId}`;
 
-        // Broadcast via localStorage (will trigger storage events in other tabs)
-        try {
-            const currentValue = localStorage.getItem(this.eventChannel);
-            localStorage.setItem(this.eventChannel, JSON.stringify(event));
-            
-            // Reset to allow same event again
-            setTimeout(() => {
-                if (localStorage.getItem(this.eventChannel) === JSON.stringify(event)) {
-                    localStorage.removeItem(this.eventChannel);
-                }
-            }, 100);
+        if (this.pendingSends.size >= MAX_PENDING_SENDS) {
+            const oldest = this.pendingSends.keys().next().value;
+            this.pendingSends.delete(oldest);
+            console.warn('[WebSocket] Too many unsent events, dropped the oldest');
+        }
+        this.pendingSends.set(event.eventId, { destination, event });
 
+        if (this.sendEvent(destination, event)) {
             console.log(`[WebSocket] Sent ${type}:`, data);
-        } catch (error) {
-            console.error('[WebSocket] Error sending event:', error);
+        } else {
+            console.log(`[WebSocket] Queued ${type} until reconnected`);
         }
+        return event.eventId;
     }
 
     /**
      * Subscribe to game updates
+     * Events missed since the last seen seq (e.g. while offline or before a reload) are replayed
      * @param {string} gameId Game ID to subscribe to
      * @param {function} callback Function to call on updates
+     * @returns {function} Unsubscribe function for this callback
      */
     subscribeToGame(gameId, callback) {
-        this.subscriptions.set(gameId, callback);
+        const isNew = !this.subscriptions.has(gameId);
+        if (isNew) this.subscriptions.set(gameId, new Set());
+        this.subscriptions.get(gameId).add(callback);
+
+        if (isNew && this.status === 'connected') this.sendSubscribe(gameId);
         console.log(`[WebSocket] Subscribed to game: ${gameId}`);
+
+        return () => this.unsubscribeFromGame(gameId, callback);
     }
 
     /**
      * Unsubscribe from game updates
      * @param {string} gameId Game ID to unsubscribe from
+     * @param {function} callback Only remove this callback (default: all)
      */
-    unsubscribeFromGame(gameId) {
-        this.subscriptions.delete(gameId);
-        console.log(`[WebSocket] Unsubscribed from game: ${gameId}`);
+    unsubscribeFromGame(gameId, callback) {
+        const callbacks = this.subscriptions.get(gameId);
+        if (!callbacks) return;
+
+        if (callback) callbacks.delete(callback);
+        else callbacks.clear();
+
+        if (callbacks.size === 0) {
+            this.subscriptions.delete(gameId);
+            this.transmit('UNSUBSCRIBE', { id: `game-${gameId}` });
+            console.log(`[WebSocket] Unsubscribed from game: ${gameId}`);
+        }
+    }
+
+    /**
+     * Watch a game as a spectator
+     * The server answers with SPECTATE_SNAPSHOT (or SPECTATE_DENIED), then sends the game's
+     * events after its spectator delay, spectator chat and SPECTATORS_UPDATE
+     * @param {string} gameId Game ID to watch
+     * @param {function} callback Function to call on spectator events
+     * @returns {function} Stop watching (for this callback)
+     */
+    spectateGame(gameId, callback) {
+        const isNew = !this.spectating.has(gameId);
+        if (isNew) this.spectating.set(gameId, new Set());
+        this.spectating.get(gameId).add(callback);
+
+        if (isNew && this.status === 'connected') this.sendSpectateSubscribe(gameId);
+        console.log(`[WebSocket] Spectating game: ${gameId}`);
+
+        return () => {
+            const callbacks = this.spectating.get(gameId);
+            if (!callbacks) return;
+            callbacks.delete(callback);
+            if (callbacks.size === 0) {
+                this.spectating.delete(gameId);
+                this.transmit('UNSUBSCRIBE', { id: `spectate-${gameId}` });
+                console.log(`[WebSocket] Stopped spectating game: ${gameId}`);
+            }
+        };
+    }
+
+    /**
+     * @private
+     */
+    sendSpectateSubscribe(gameId) {
+        this.transmit('SUBSCRIBE', {
+            id: `spectate-${gameId}`,
+            destination: `${SPECTATE_TOPIC_PREFIX}${gameId}`
+        });
+    }
+
+    /**
+     * Listen for spectator counts of live games
+     * @param {function} listener Called with the changed [{ gameId, count, allowed, live }]
+     * @returns {function} Unsubscribe function
+     */
+    onSpectatorCountsChange(listener) {
+        this.spectatorCountListeners.add(listener);
+        return () => this.spectatorCountListeners.delete(listener);
+    }
+
+    getSpectatorCount(gameId) {
+        return this.spectatorCounts.get(gameId) || { gameId, count: 0, allowed: true, live: false };
+    }
+
+    /**
+     * @private
+     */
+    updateSpectatorCounts(entries) {
+        if (!Array.isArray(entries)) return;
+        entries.forEach(entry => this.spectatorCounts.set(entry.gameId, entry));
+        this.spectatorCountListeners.forEach(listener => listener(entries));
+    }
+
+    /**
+     * Listen for connection status changes
+     * @param {function} listener Called with 'connecting' | 'connected' | 'disconnected'
+     * @returns {function} Unsubscribe function
+     */
+    onConnectionChange(listener) {
+        this.connectionListeners.add(listener);
+        return () => this.connectionListeners.delete(listener);
+    }
+
+    /**
+     * Current connection status
+     */
+    getConnectionStatus() {
+        return {
+            status: this.status,
+            connected: this.status === 'connected',
+            connecting: this.status === 'connecting',
+            pendingEvents: this.pendingSends.size
+        };
+    }
+
+    /**
+     * Listen for player presence changes
+     * @param {function} listener Called with [{ userId, status, lastSeen }]
+     * @returns {function} Unsubscribe function
+     */
+    onPresenceChange(listener) {
+        this.presenceListeners.add(listener);
+        return () => this.presenceListeners.delete(listener);
+    }
+
+    getPlayerPresence(userId) {
+        return this.presence.get(userId) || { status: 'offline', lastSeen: null };
+    }
+
+    getOnlinePlayers() {
+        return Array.from(this.presence.values())
+            .filter(p => p.status === 'online')
+            .map(p => p.userId);
+    }
+
+    /**
+     * @private
+     */
+    updatePresence(entries) {
+        if (!Array.isArray(entries)) return;
+        entries.forEach(entry => this.presence.set(entry.userId, entry));
+        const all = Array.from(this.presence.values());
+        this.presenceListeners.forEach(listener => listener(all));
+    }
+
+    /**
+     * @private
+     */
+    setStatus(status) {
+        if (this.status === status) return;
+        this.status = status;
+        this.connectionListeners.forEach(listener => listener(status));
+    }
+
+    /**
+     * Send heart-beats and close connections that have gone quiet
+     * @private
+     */
+    startHeartbeat(serverHeartBeat = '0,0') {
+        this.stopHeartbeat();
+        const [serverSends, serverWants] = serverHeartBeat.split(',').map(Number);
+
+        const sendEvery = serverWants > 0 ? Math.max(HEARTBEAT_MS, serverWants) : 0;
+        if (sendEvery) {
+            this.heartbeatTimer = setInterval(() => {
+                if (this.socket?.readyState === WebSocket.OPEN) this.socket.send('\n');
+            }, sendEvery);
+        }
+
+        const expectEvery = serverSends > 0 ? Math.max(HEARTBEAT_MS, serverSends) : 0;
+        if (expectEvery) {
+            this.watchdogTimer = setInterval(() => {
+                if (Date.now() - this.lastReceivedAt > expectEvery * 2.5) {
+                    console.warn('[WebSocket] Server went quiet, reconnecting');
+                    this.socket?.close();
+                }
+            }, expectEvery);
+        }
+    }
+
+    /**
+     * @private
+     */
+    stopHeartbeat() {
+        clearInterval(this.heartbeatTimer);
+        clearInterval(this.watchdogTimer);
+        this.heartbeatTimer = null;
+        this.watchdogTimer = null;
+    }
+
+    /**
+     * @private
+     */
+    handleClose() {
+        this.stopHeartbeat();
+        this.socket = null;
+
+        if (!this.shouldReconnect) {
+            this.setStatus('disconnected');
+            return;
+        }
+        this.scheduleReconnect();
+    }
+
+    /**
+     * Reconnect with exponential backoff and jitter
+     * @private
+     */
+    scheduleReconnect() {
+        if (this.reconnectTimer) return;
+
+        const ceiling = Math.min(RECONNECT_MAX_MS, RECONNECT_BASE_MS * 2 ** this.reconnectAttempt);
+        const delay = ceiling / 2 + Math.random() * (ceiling / 2);
+        this.reconnectAttempt++;
+        this.setStatus('connecting');
+
+        console.log(`[WebSocket] Reconnecting in ${Math.round(delay / 1000)}s`);
+        this.reconnectTimer = setTimeout(() => {
+            this.reconnectTimer = null;
+            this.openSocket();
+        }, delay);
+    }
+
+    /**
+     * Reconnect immediately when the browser comes back online
+     * @private
+     */
+    handleOnline() {
+        if (!this.shouldReconnect || this.status === 'connected') return;
+        this.reconnectAttempt = 0;
+        this.openSocket();
+    }
+
+    /**
+     * @private
+     */
+    loadLastSeqs() {
+        try {
+            return new Map(JSON.parse(localStorage.getItem(LAST_SEQ_STORAGE_KEY)) || []);
+        } catch {
+            return new Map();
+        }
+    }
+
+    /**
+     * Remember the last delivered seq so a reload only replays what was missed
+     * @private
+     */
+    setLastSeq(gameId, seq) {
+        this.lastSeqs.delete(gameId);
+        this.lastSeqs.set(gameId, seq);
+        while (this.lastSeqs.size > MAX_TRACKED_GAMES) {
+            this.lastSeqs.delete(this.lastSeqs.keys().next().value);
+        }
+
+        try {
+            localStorage.setItem(LAST_SEQ_STORAGE_KEY, JSON.stringify(Array.from(this.lastSeqs.entries())));
+        } catch (error) {
+            console.warn('[WebSocket] Could not persist event sequence:', error);
+        }
     }
 
     /**
      * Disconnect and cleanup
      */
     disconnect() {
-        if (!this.connected) return;
+        if (!this.userId) return;
+
+        this.shouldReconnect = false;
+        window.removeEventListener('online', this.handleOnline);
+        clearTimeout(this.reconnectTimer);
+        this.reconnectTimer = null;
+        this.stopHeartbeat();
+
+        this.transmit('DISCONNECT');
+        const socket = this.socket;
+        this.socket = null;
+        socket?.close();
 
-        window.removeEventListener('storage', this._handleStorageEvent.bind(this));
         this.subscriptions.clear();
-        this.connected = false;
+        this.pendingSends.clear();
+        this.presence.clear();
+        this.spectating.clear();
+        this.spectatorCounts.clear();
+        localStorage.removeItem(LAST_SEQ_STORAGE_KEY);
+        this.lastSeqs = new Map();
         this.userId = null;
+        this.setStatus('disconnected');
 
         console.log('[WebSocket] Disconnected');
     }
@@ -140,5 +647,26 @@ export const GameEventTypes = {
     GAME_MOVE: 'GAME_MOVE',
     GAME_STATE_UPDATE: 'GAME_STATE_UPDATE',
     GAME_END: 'GAME_END',
-    PLAYER_LEFT: 'PLAYER_LEFT'
+    PLAYER_LEFT: 'PLAYER_LEFT',
+    // Refereed games: clients send GAME_START / GAME_ACTION, the server answers with
+    // GAME_STATE_UPDATE, MOVE_REJECTED or GAME_END
+    GAME_START: 'GAME_START',
+    GAME_ACTION: 'GAME_ACTION',
+    MOVE_REJECTED: 'MOVE_REJECTED',
+    // A player rejoining a game (e.g. after a reload) asks for its state with GAME_RESUME.
+    // Players who drop out get a grace period announced by PLAYER_DISCONNECTED, after which
+    // they forfeit; PLAYER_RECONNECTED ends it
+    GAME_RESUME: 'GAME_RESUME',
+    PLAYER_DISCONNECTED: 'PLAYER_DISCONNECTED',
+    PLAYER_RECONNECTED: 'PLAYER_RECONNECTED',
+    // Sent by the server when events were missed and can no longer be replayed
+    REPLAY_TRUNCATED: 'REPLAY_TRUNCATED',
+    // Spectators: players send SPECTATE_SETTINGS, spectators SPECTATOR_CHAT; the server
+    // sends the rest (SPECTATORS_UPDATE goes to players on the game topic too)
+    SPECTATE_SETTINGS: 'SPECTATE_SETTINGS',
+    SPECTATOR_CHAT: 'SPECTATOR_CHAT',
+    SPECTATORS_UPDATE: 'SPECTATORS_UPDATE',
+    SPECTATE_SNAPSHOT: 'SPECTATE_SNAPSHOT',
+    SPECTATE_DENIED: 'SPECTATE_DENIED',
+    SPECTATE_ENDED: 'SPECTATE_ENDED'
 };
@@ -39,7 +39,10 @@ class CallFirebaseService extends FirebaseService {
                 direction: callData.direction, // 'incoming', 'outgoing', 'missed'
                 timestamp: serverTimestamp(),
                 duration: callData.duration || null,
-                status: callData.status || 'completed' // 'completed', 'missed', 'declined', 'failed'
+                status: callData.status || 'completed', // 'completed', 'missed', 'declined', 'failed'
+                quality: callData.quality || null, // { bars, rtt, maxRtt, jitter, packetLoss, frameRate, samples }
+                recordingId: callData.recordingId || null, // callRecordings document, if it was recorded
+                transcriptId: callData.transcriptId || null // callTranscripts document, if it had captions
             };
 
             const docRef = await addDoc(callsRef, call);
@@ -22,6 +22,7 @@ import {
     arrayRemove
 } from 'firebase/firestore';
 import FirebaseService, { handleFirebaseError } from './FirebaseService';
+import encryptionService from '../EncryptionService';
 
 class ChatFirebaseService extends FirebaseService {
     constructor() {
@@ -54,7 +55,8 @@ class ChatFirebaseService extends FirebaseService {
                 createdBy: userId,
                 createdAt: serverTimestamp(),
                 updatedAt: serverTimestamp(),
-                lastMessage: null
+                lastMessage: null,
+                e2e: { version: 1, epoch: 0 }
             };
 
             await setDoc(chatRef, chatData);
@@ -63,6 +65,12 @@ class ChatFirebaseService extends FirebaseService {
             await this.createUserChatSettings(chatId, userId);
             await this.createUserChatSettings(chatId, contactId);
 
+            // Distribute this device's sender key so the first message is encrypted
+            const session = await encryptionService.establishSession(chatId, [userId, contactId]);
+            if (!session.success) {
+                console.warn('[ChatService] E2E session not established:', session.error);
+            }
+
             return {
                 success: true,
                 chatId,
@@ -106,7 +114,8 @@ class ChatFirebaseService extends FirebaseService {
                 createdBy: userId,
                 createdAt: serverTimestamp(),
                 updatedAt: serverTimestamp(),
-                lastMessage: null
+                lastMessage: null,
+                e2e: { version: 1, epoch: 0 }
             };
 
             await setDoc(chatRef, chatData);
@@ -570,6 +579,9 @@ class ChatFirebaseService extends FirebaseService {
                 });
             }
 
+            // New members must not read messages sent under the old sender keys
+            await encryptionService.rotateGroupKeys(chatId);
+
             return { success: true };
         } catch (error) {
             console.error('[ChatService] Add participants error:', error);
@@ -588,6 +600,9 @@ class ChatFirebaseService extends FirebaseService {
                 updatedAt: serverTimestamp()
             });
 
+            // Removed members must not read messages sent after they left
+            await encryptionService.rotateGroupKeys(chatId);
+
             return { success: true };
         } catch (error) {
             console.error('[ChatService] Remove participant error:', error);
@@ -0,0 +1,138 @@
+/**
+ * Correspondence Game Service
+ * Correspondence games in Firestore, one document per game (see shared/utils/correspondence.js)
+ *
+ * There is no referee: each move is checked against the shared rules inside a transaction,
+ * so two devices can't both move from the same position. Either player's device ends a game
+ * whose deadline has passed.
+ */
+
+import { db } from '../../config/firebaseConfig';
+import {
+    doc,
+    setDoc,
+    collection,
+    query,
+    where,
+    onSnapshot,
+    runTransaction
+} from 'firebase/firestore';
+import FirebaseService, { handleFirebaseError } from './FirebaseService';
+import { RuleViolation } from '../../shared/gameRules';
+import {
+    CORRESPONDENCE_STATUS,
+    applyCorrespondenceAction,
+    claimCorrespondenceTimeout
+} from '../../shared/utils/correspondence';
+
+class CorrespondenceFirebaseService extends FirebaseService {
+    constructor() {
+        super();
+        this.collectionName = 'correspondenceGames';
+    }
+
+    /**
+     * Store a new game
+     * @param {Object} game - From createCorrespondenceGame()
+     */
+    async createGame(game) {
+        try {
+            await setDoc(doc(db, this.collectionName, game.id), game);
+            console.log(`✉️ [Correspondence] Created ${game.gameType} game ${game.id}`);
+            return { success: true, game };
+        } catch (error) {
+            console.error('[Correspondence] Create game error:', error);
+            throw handleFirebaseError(error);
+        }
+    }
+
+    /**
+     * Listen to one game (finished games included)
+     * @returns {function} Unsubscribe function
+     */
+    subscribeToGame(gameId, callback, onError) {
+        return onSnapshot(
+            doc(db, this.collectionName, gameId),
+            (snapshot) => callback(snapshot.exists() ? snapshot.data() : null),
+            (error) => {
+                console.error('[Correspondence] Game subscription error:', error);
+                if (onError) onError(handleFirebaseError(error));
+            }
+        );
+    }
+
+    /**
+     * Listen to the unfinished games a user plays in
+     * @returns {function} Unsubscribe function
+     */
+    subscribeToUserGames(userId, callback, onError) {
+        const q = query(
+            collection(db, this.collectionName),
+            where('playerIds', 'array-contains', userId),
+            where('status', '==', CORRESPONDENCE_STATUS.IN_PROGRESS)
+        );
+        return onSnapshot(
+            q,
+            (snapshot) => callback(snapshot.docs.map(d => d.data())),
+            (error) => {
+                console.error('[Correspondence] User games subscription error:', error);
+                if (onError) onError(handleFirebaseError(error));
+            }
+        );
+    }
+
+    /**
+     * Make a move (or resign)
+     * Rule violations are thrown as they are, so the caller can show them
+     * @returns {Promise<{success: boolean, game: Object}>}
+     * @throws {RuleViolation}
+     */
+    async makeMove(gameId, action, playerId) {
+        try {
+            const ref = doc(db, this.collectionName, gameId);
+            const game = await runTransaction(db, async (transaction) => {
+                const snapshot = await transaction.get(ref);
+                if (!snapshot.exists()) throw new Error('Game not found');
+
+                const next = applyCorrespondenceAction(snapshot.data(), action, playerId);
+                transaction.set(ref, next);
+                return next;
+            });
+
+            return { success: true, game };
+        } catch (error) {
+            if (error instanceof RuleViolation) throw error;
+            console.error('[Correspondence] Make move error:', error);
+            throw handleFirebaseError(error);
+        }
+    }
+
+    /**
+     * End the game if the player to move has run out of days
+     * @returns {Promise<{success: boolean, claimed: boolean, game?: Object}>}
+     */
+    async claimTimeout(gameId) {
+        try {
+            const ref = doc(db, this.collectionName, gameId);
+            const game = await runTransaction(db, async (transaction) => {
+                const snapshot = await transaction.get(ref);
+                if (!snapshot.exists()) return null;
+
+                const next = claimCorrespondenceTimeout(snapshot.data());
+                if (next) transaction.set(ref, next);
+                return next;
+            });
+
+            if (!game) return { success: true, claimed: false };
+            console.log(`⌛ [Correspondence] ${gameId} timed out`);
+            return { success: true, claimed: true, game };
+        } catch (error) {
+            console.error('[Correspondence] Claim timeout error:', error);
+            throw handleFirebaseError(error);
+        }
+    }
+}
+
+// Export singleton instance
+export const correspondenceFirebaseService = new CorrespondenceFirebaseService();
+export default correspondenceFirebaseService;
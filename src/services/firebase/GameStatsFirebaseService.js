@@ -0,0 +1,367 @@
+/**
+ * Game Stats Service
+ * Finished games (match records) and per-game-type Elo ratings in Firestore
+ *
+ * Every player's device reports the end of a game, so a match is written in a transaction
+ * keyed by the game ID: the first report stores it with everyone's rating changes, later
+ * ones find it stored and confirm it if they saw the same result. Ratings only move once
+ * every player has confirmed, so nobody can rate themselves with a match they made up.
+ * Each player may only write their own rating, so every device then applies its user's
+ * change from the confirmed match (once, marked in the match's appliedBy).
+ * Games against the computer, with bots or in teams are stored but never rated.
+ */
+
+import { db } from '../../config/firebaseConfig';
+import {
+    doc,
+    getDoc,
+    getDocs,
+    collection,
+    query,
+    where,
+    orderBy,
+    limit,
+    onSnapshot,
+    runTransaction,
+    arrayUnion
+} from 'firebase/firestore';
+import FirebaseService, { handleFirebaseError } from './FirebaseService';
+import { RATING_CONFIG } from '../../shared/constants/gameConstants';
+import { isBotPlayer } from '../../shared/gameRules';
+import { calculateRatingChanges, getOutcome } from '../../shared/utils/ratings';
+import { calculateHeadToHead, getPlayerIds } from '../../shared/utils/gameUtils';
+
+const MATCH_PAGE_SIZE = 50;
+const HEAD_TO_HEAD_SCAN = 200;
+// How long a device waits for the other players to confirm a match it stored
+const CONFIRMATION_WAIT_MS = 10 * 60 * 1000;
+
+const defaultRating = (userId, gameType) => ({
+    userId,
+    gameType,
+    rating: RATING_CONFIG.initialRating,
+    peakRating: RATING_CONFIG.initialRating,
+    gamesPlayed: 0,
+    wins: 0,
+    losses: 0,
+    draws: 0
+});
+
+// Devices agree on a result when they agree on who won
+const sameResult = (a, b) => Boolean(a?.isDraw) === Boolean(b?.isDraw)
+    && (a?.winner ?? null) === (b?.winner ?? null)
+    && [...(a?.winners || [])].sort().join() === [...(b?.winners || [])].sort().join();
+
+const isConfirmed = (match) => match.playerIds.every(id => match.confirmedBy?.includes(id));
+
+// A rated match whose change to userId's rating is confirmed and not applied yet
+const hasRatingToApply = (match, userId) => Boolean(
+    match.rated && match.ratingChanges?.[userId] && isConfirmed(match) && !match.appliedBy?.includes(userId)
+);
+
+class GameStatsFirebaseService extends FirebaseService {
+    constructor() {
+        super();
+        this.matchesCollection = 'matches';
+        this.ratingsCollection = 'ratings';
+        // matchId => stop waiting for the match to be confirmed
+        this.confirmationWatches = new Map();
+    }
+
+    /**
+     * Rating document ID for a user and game type
+     * @private
+     */
+    getRatingId(gameType, userId) {
+        return `${gameType}_${userId}`;
+    }
+
+    /**
+     * A rating after a match changed it
+     * The change is added to the current rating rather than replacing it with the match's
+     * `after`, since other matches may have been applied since this one was stored.
+     * @private
+     */
+    applyRatingChange(current, match, userId) {
+        const outcome = getOutcome(match.result, userId);
+        const after = Math.max(RATING_CONFIG.floor, current.rating + match.ratingChanges[userId].delta);
+        return {
+            ...current,
+            rating: after,
+            peakRating: Math.max(current.peakRating ?? current.rating, after),
+            gamesPlayed: current.gamesPlayed + 1,
+            wins: current.wins + (outcome === 'win' ? 1 : 0),
+            losses: current.losses + (outcome === 'loss' ? 1 : 0),
+            draws: current.draws + (outcome === 'draw' ? 1 : 0),
+            lastMatchId: match.id,
+            updatedAt: match.endedAt
+        };
+    }
+
+    /**
+     * Store or confirm a finished game and update the current user's rating
+     * A match stored by another player is only confirmed if this device saw the same result;
+     * otherwise it stays unconfirmed and nobody's rating moves.
+     * @param {Object} match - Record from createMatchRecord()
+     * @param {string} userId - The current user (one of the match's players)
+     * @returns {Promise<{success: boolean, match: Object, duplicate?: boolean, disputed?: boolean}>}
+     */
+    async recordMatch(match, userId) {
+        try {
+            const matchRef = doc(db, this.matchesCollection, match.id);
+            const humanIds = match.playerIds.filter(id => !isBotPlayer(id));
+            const ratable = !match.vsComputer && !match.withBots && !match.houseRules?.teamMode
+                && humanIds.length === match.playerIds.length;
+
+            const stored = await runTransaction(db, async (transaction) => {
+                const existing = await transaction.get(matchRef);
+
+                // Reported already: confirm it if the results agree
+                if (existing.exists()) {
+                    const record = existing.data();
+                    if (record.confirmedBy?.includes(userId)) return { match: record, duplicate: true };
+                    if (!sameResult(record.result, match.result)) return { match: record, duplicate: true, disputed: true };
+
+                    transaction.update(matchRef, { confirmedBy: arrayUnion(userId) });
+                    return { match: { ...record, confirmedBy: [...record.confirmedBy, userId] }, duplicate: true };
+                }
+
+                const ratingRefs = humanIds.map(id => doc(db, this.ratingsCollection, this.getRatingId(match.type, id)));
+                const snapshots = await Promise.all(ratingRefs.map(ref => transaction.get(ref)));
+                const ratings = Object.fromEntries(snapshots.map((snap, i) => [
+                    humanIds[i],
+                    snap.exists() ? snap.data() : defaultRating(humanIds[i], match.type)
+                ]));
+
+                const ratingChanges = ratable ? calculateRatingChanges(humanIds, match.result, ratings) : null;
+                const record = {
+                    ...match,
+                    rated: Boolean(ratingChanges),
+                    ratingChanges,
+                    confirmedBy: [userId],
+                    appliedBy: []
+                };
+                transaction.set(matchRef, record);
+
+                return { match: record, duplicate: false };
+            });
+
+            if (stored.disputed) {
+                console.warn(`⚠️ [GameStats] Match ${match.id} was stored with a different result; not confirming it`);
+            } else if (stored.duplicate) {
+                console.log(`♻️ [GameStats] Match ${match.id} already recorded`);
+            } else if (stored.match.rated) {
+                console.log(`🏆 [GameStats] Rated ${match.type} match ${match.id}`);
+            }
+
+            if (stored.match.rated && !stored.disputed) {
+                if (hasRatingToApply(stored.match, userId)) {
+                    stored.match = await this.applyMatchRating(match.id, userId);
+                } else {
+                    this.waitForConfirmation(match.id, userId);
+                }
+            }
+
+            return { success: true, ...stored };
+        } catch (error) {
+            console.error('[GameStats] Record match error:', error);
+            throw handleFirebaseError(error);
+        }
+    }
+
+    /**
+     * Apply a confirmed match's change to the user's rating, once
+     * @private
+     * @returns {Promise<Object>} The match as stored afterwards
+     */
+    async applyMatchRating(matchId, userId) {
+        const matchRef = doc(db, this.matchesCollection, matchId);
+
+        return runTransaction(db, async (transaction) => {
+            const snap = await transaction.get(matchRef);
+            const record = snap.data();
+            if (!hasRatingToApply(record, userId)) return record;
+
+            const ratingRef = doc(db, this.ratingsCollection, this.getRatingId(record.type, userId));
+            const ratingSnap = await transaction.get(ratingRef);
+            const current = ratingSnap.exists() ? ratingSnap.data() : defaultRating(userId, record.type);
+
+            transaction.update(matchRef, { appliedBy: arrayUnion(userId) });
+            transaction.set(ratingRef, this.applyRatingChange(current, record, userId));
+            return { ...record, appliedBy: [...record.appliedBy, userId] };
+        });
+    }
+
+    /**
+     * Apply the user's rating change when the other players have confirmed a match
+     * Gives up after CONFIRMATION_WAIT_MS; applyConfirmedRatings() picks the match up on the
+     * next sign-in instead.
+     * @private
+     */
+    waitForConfirmation(matchId, userId) {
+        if (this.confirmationWatches.has(matchId)) return;
+
+        const stop = () => {
+            clearTimeout(timeout);
+            unsubscribe();
+            this.confirmationWatches.delete(matchId);
+        };
+        const timeout = setTimeout(stop, CONFIRMATION_WAIT_MS);
+        const unsubscribe = onSnapshot(doc(db, this.matchesCollection, matchId), (snap) => {
+            if (!snap.exists() || !hasRatingToApply(snap.data(), userId)) return;
+            stop();
+            this.applyMatchRating(matchId, userId)
+                .catch(error => console.error('[GameStats] Apply rating error:', error));
+        }, (error) => {
+            console.error('[GameStats] Match confirmation error:', error);
+            stop();
+        });
+
+        this.confirmationWatches.set(matchId, stop);
+    }
+
+    /**
+     * Apply rating changes from matches confirmed while the user was away
+     * @param {string} userId
+     * @param {Array<Object>} matches - The user's recent matches (from getUserMatches)
+     * @returns {Promise<{success: boolean, applied: number}>}
+     */
+    async applyConfirmedRatings(userId, matches) {
+        try {
+            // Oldest first, so the ratings move in the order the games were played
+            const pending = matches.filter(match => hasRatingToApply(match, userId)).reverse();
+            for (const match of pending) {
+                await this.applyMatchRating(match.id, userId);
+            }
+            return { success: true, applied: pending.length };
+        } catch (error) {
+            console.error('[GameStats] Apply confirmed ratings error:', error);
+            throw handleFirebaseError(error);
+        }
+    }
+
+    /**
+     * Ratings of several users for one game type
+     * @returns {Promise<{success: boolean, ratings: Object}>} userId => rating (defaults for unrated players)
+     */
+    async getRatings(gameType, userIds) {
+        try {
+            const snapshots = await Promise.all(userIds.map(id =>
+                getDoc(doc(db, this.ratingsCollection, this.getRatingId(gameType, id)))
+            ));
+            const ratings = Object.fromEntries(snapshots.map((snap, i) => [
+                userIds[i],
+                snap.exists() ? snap.data() : defaultRating(userIds[i], gameType)
+            ]));
+            return { success: true, ratings };
+        } catch (error) {
+            console.error('[GameStats] Get ratings error:', error);
+            throw handleFirebaseError(error);
+        }
+    }
+
+    /**
+     * A user's ratings in every game type they have played
+     */
+    async getUserRatings(userId) {
+        try {
+            const q = query(collection(db, this.ratingsCollection), where('userId', '==', userId));
+            const snapshot = await getDocs(q);
+            const ratings = Object.fromEntries(snapshot.docs.map(d => [d.data().gameType, d.data()]));
+            return { success: true, ratings };
+        } catch (error) {
+            console.error('[GameStats] Get user ratings error:', error);
+            throw handleFirebaseError(error);
+        }
+    }
+
+    /**
+     * A user's most recent matches (newest first)
+     */
+    async getUserMatches(userId, limitCount = MATCH_PAGE_SIZE) {
+        try {
+            const q = query(
+                collection(db, this.matchesCollection),
+                where('playerIds', 'array-contains', userId),
+                orderBy('endedAt', 'desc'),
+                limit(limitCount)
+            );
+            const snapshot = await getDocs(q);
+            return { success: true, matches: snapshot.docs.map(d => d.data()) };
+        } catch (error) {
+            console.error('[GameStats] Get user matches error:', error);
+            throw handleFirebaseError(error);
+        }
+    }
+
+    /**
+     * Matches played from a chat (newest first)
+     */
+    async getChatMatches(chatId, limitCount = MATCH_PAGE_SIZE) {
+        try {
+            const q = query(
+                collection(db, this.matchesCollection),
+                where('chatId', '==', chatId),
+                orderBy('endedAt', 'desc'),
+                limit(limitCount)
+            );
+            const snapshot = await getDocs(q);
+            return { success: true, matches: snapshot.docs.map(d => d.data()) };
+        } catch (error) {
+            console.error('[GameStats] Get chat matches error:', error);
+            throw handleFirebaseError(error);
+        }
+    }
+
+    /**
+     * Group leaderboard for one game type
+     * Members are ranked by their rating; the record shown is the one from this group's games.
+     * Members who have never played the game in this group are left out.
+     * @returns {Promise<{success: boolean, entries: Array<Object>}>}
+     */
+    async getLeaderboard(chatId, memberIds, gameType) {
+        try {
+            const { matches } = await this.getChatMatches(chatId, HEAD_TO_HEAD_SCAN);
+            const groupMatches = matches.filter(match => match.type === gameType);
+
+            const records = {};
+            groupMatches.forEach(match => {
+                getPlayerIds(match).forEach(id => {
+                    if (!memberIds.includes(id)) return;
+                    const record = records[id] || (records[id] = { played: 0, wins: 0, losses: 0, draws: 0 });
+                    const outcome = getOutcome(match.result, id);
+                    record.played++;
+                    if (outcome) record[outcome === 'win' ? 'wins' : outcome === 'loss' ? 'losses' : 'draws']++;
+                });
+            });
+
+            const playerIds = Object.keys(records);
+            const { ratings } = await this.getRatings(gameType, playerIds);
+            const entries = playerIds
+                .map(userId => ({ userId, rating: ratings[userId].rating, ...records[userId] }))
+                .sort((a, b) => b.rating - a.rating || b.wins - a.wins);
+
+            return { success: true, entries };
+        } catch (error) {
+            console.error('[GameStats] Get leaderboard error:', error);
+            throw handleFirebaseError(error);
+        }
+    }
+
+    /**
+     * Head-to-head record between two users, from userId's side
+     */
+    async getHeadToHead(userId, opponentId) {
+        try {
+            const { matches } = await this.getUserMatches(userId, HEAD_TO_HEAD_SCAN);
+            return { success: true, record: calculateHeadToHead(matches, userId, opponentId) };
+        } catch (error) {
+            console.error('[GameStats] Get head-to-head error:', error);
+            throw handleFirebaseError(error);
+        }
+    }
+}
+
+// Export singleton instance
+export const gameStatsFirebaseService = new GameStatsFirebaseService();
+export default gameStatsFirebaseService;
@@ -22,6 +22,7 @@ import {
 } from 'firebase/firestore';
 import FirebaseService, { handleFirebaseError } from './FirebaseService';
 import { NOTIFICATION_TYPES } from './NotificationFirebaseService';
+import encryptionService from '../EncryptionService';
 
 class GroupService extends FirebaseService {
     constructor() {
@@ -162,6 +163,9 @@ class GroupService extends FirebaseService {
                 updatedAt: serverTimestamp()
             });
 
+            // Rotate sender keys so the new member only reads messages from now on
+            await encryptionService.rotateGroupKeys(groupId);
+
             // Send notification to the added user
             try {
                 const notificationService = await this.getNotificationService();
@@ -206,6 +210,9 @@ class GroupService extends FirebaseService {
 
             await batch.commit();
 
+            // Rotate sender keys so the removed member cannot read new messages
+            await encryptionService.rotateGroupKeys(groupId);
+
             console.log(`✅ User ${userId} removed from group ${groupId}`);
             return { success: true };
         } catch (error) {
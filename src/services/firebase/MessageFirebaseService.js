@@ -9,7 +9,7 @@ import {
     doc,
     getDoc,
     getDocs,
-    setDoc,
+    getDocsFromServer,
     updateDoc,
     deleteDoc,
     query,
@@ -19,19 +19,53 @@ import {
     onSnapshot,
     serverTimestamp,
     writeBatch,
-    increment
+    increment,
+    runTransaction,
+    Timestamp
 } from 'firebase/firestore';
-import FirebaseService, { handleFirebaseError } from './FirebaseService';
+import FirebaseService, { FirebaseError, handleFirebaseError } from './FirebaseService';
+import encryptionService, { ENCRYPTED_FIELDS, ENCRYPTED_PLACEHOLDER } from '../EncryptionService';
+import messageStoreService, { MESSAGE_PAGE_SIZE, toMillis, getMessageTime } from '../MessageStoreService';
+
+/**
+ * Read a message document with timestamps as epoch millis
+ * Pending server timestamps are estimated so local writes sort correctly
+ * @private
+ */
+const readMessageDoc = (snapshot) => {
+    const data = snapshot.data({ serverTimestamps: 'estimate' });
+    return {
+        ...data,
+        id: snapshot.id,
+        createdAt: toMillis(data.createdAt),
+        updatedAt: toMillis(data.updatedAt)
+    };
+};
+
+/**
+ * What goes into the local store: the decrypted message, or the encrypted one
+ * when decryption failed so it can be retried later
+ * @private
+ */
+const toLocalMessages = (storedMessages, decryptedMessages) =>
+    decryptedMessages.map((message, i) => (message.decryptionFailed ? storedMessages[i] : message));
+
+const byMessageTime = (a, b) => getMessageTime(a) - getMessageTime(b);
 
 class MessageFirebaseService extends FirebaseService {
     constructor() {
         super();
         this.messagesCollection = 'messages';
         this.chatsCollection = 'chats';
+        // chatId -> loaded window of a subscription (see subscribeToMessages)
+        this.messageWindows = new Map();
     }
 
     /**
      * Send a message
+     * Encrypted end-to-end when every participant has published a device key.
+     * Safe to retry: the client-generated ID and idempotency key make a redelivered
+     * message a no-op instead of a duplicate.
      */
     async sendMessage(chatId, messageData) {
         try {
@@ -49,25 +83,66 @@ class MessageFirebaseService extends FirebaseService {
                 senderId: cleanMessageData.senderId,
                 text: cleanMessageData.text || '',
                 timestamp: cleanMessageData.timestamp || new Date().toISOString(),
-                status: 'sent',
                 type: cleanMessageData.type || 'text',
                 ...cleanMessageData,
-                createdAt: serverTimestamp()
+                // Queued copies carry a local status; the stored one starts at 'sent'
+                status: 'sent',
+                idempotencyKey: cleanMessageData.idempotencyKey || messageId,
+                createdAt: serverTimestamp(),
+                updatedAt: serverTimestamp()
             };
+            // Outbox bookkeeping is not part of the stored message
+            delete message.queuedAt;
 
-            await setDoc(messageRef, message);
-
-            // Update chat's lastMessage - create chat if it doesn't exist
+            // Read the chat first: participants and key epoch drive encryption
             const chatRef = doc(db, this.chatsCollection, chatId);
             const chatSnap = await getDoc(chatRef);
+            const chat = chatSnap.exists() ? chatSnap.data() : null;
 
-            if (chatSnap.exists()) {
-                // Chat exists, just update it
-                await updateDoc(chatRef, {
-                    lastMessage: message.text,
+            const storedMessage = await encryptionService.encryptMessage(chatId, message, chat);
+
+            const { alreadyStored, isEncrypted, unencrypted } = await runTransaction(db, async (transaction) => {
+                const existing = await transaction.get(messageRef);
+                const stored = existing.exists() ? existing.data() : storedMessage;
+                if (!existing.exists()) {
+                    transaction.set(messageRef, storedMessage);
+                } else if (stored.idempotencyKey !== message.idempotencyKey) {
+                    throw Object.assign(new Error('Message ID already in use'), { code: 'already-exists' });
+                }
+                return {
+                    alreadyStored: existing.exists(),
+                    isEncrypted: Boolean(stored.e2e),
+                    unencrypted: Boolean(stored.unencrypted)
+                };
+            });
+
+            if (alreadyStored) {
+                console.log(`♻️ [MessageService] Message ${messageId} already delivered`);
+            }
+
+            // Update chat's lastMessage - create chat if it doesn't exist
+            if (chat) {
+                const preview = {
+                    lastMessage: isEncrypted ? ENCRYPTED_PLACEHOLDER : message.text,
                     lastMessageId: messageId,
+                    lastMessageAt: message.timestamp,
                     updatedAt: serverTimestamp()
-                });
+                };
+
+                if (!alreadyStored) {
+                    await updateDoc(chatRef, preview);
+                } else {
+                    // The first attempt may have failed before getting here, but the preview
+                    // must not go back to this message if a newer one is shown already
+                    await runTransaction(db, async (transaction) => {
+                        const current = (await transaction.get(chatRef)).data();
+                        const shownAt = toMillis(current?.lastMessageAt);
+                        const isNewer = !current?.lastMessageId || (shownAt !== null && shownAt < getMessageTime(message));
+                        if (current && current.lastMessageId !== messageId && isNewer) {
+                            transaction.update(chatRef, preview);
+                        }
+                    });
+                }
             } else {
                 console.log('Chat document does not exist, skipping lastMessage update');
                 // Don't create the chat here - let the chat service handle chat creation
@@ -76,7 +151,10 @@ class MessageFirebaseService extends FirebaseService {
             return {
                 success: true,
                 messageId,
-                message
+                message,
+                // Went out in plaintext because a participant has no encryption keys yet
+                unencrypted,
+                ...(alreadyStored && { duplicate: true })
             };
         } catch (error) {
             console.error('[MessageService] Send message error:', error);
@@ -99,13 +177,15 @@ class MessageFirebaseService extends FirebaseService {
             
             const snapshot = await getDocs(q);
             
-            const messages = snapshot.docs.map(doc => ({
+            const storedMessages = snapshot.docs.map(doc => ({
                 ...doc.data(),
                 id: doc.id
             }));
 
             // Reverse to get chronological order
-            messages.reverse();
+            storedMessages.reverse();
+
+            const messages = await encryptionService.decryptMessages(chatId, storedMessages);
 
             return {
                 success: true,
@@ -123,7 +203,7 @@ class MessageFirebaseService extends FirebaseService {
     async updateMessage(messageId, updates) {
         try {
             const messageRef = doc(db, this.messagesCollection, messageId);
-            await updateDoc(messageRef, updates);
+            await updateDoc(messageRef, { ...updates, updatedAt: serverTimestamp() });
 
             return { success: true };
         } catch (error) {
@@ -147,7 +227,11 @@ class MessageFirebaseService extends FirebaseService {
                     type: 'text',
                     mediaUrl: null,
                     pollData: null,
-                    reactions: null
+                    reactions: null,
+                    linkPreviews: null,
+                    ciphertext: null,
+                    e2e: null,
+                    updatedAt: serverTimestamp()
                 });
             } else {
                 // Remove completely
@@ -176,7 +260,11 @@ class MessageFirebaseService extends FirebaseService {
                         isDeleted: true,
                         text: 'This message was deleted',
                         type: 'text',
-                        mediaUrl: null
+                        mediaUrl: null,
+                        linkPreviews: null,
+                        ciphertext: null,
+                        e2e: null,
+                        updatedAt: serverTimestamp()
                     });
                 } else {
                     batch.delete(messageRef);
@@ -198,7 +286,7 @@ class MessageFirebaseService extends FirebaseService {
     async updateMessageStatus(messageId, status) {
         try {
             const messageRef = doc(db, this.messagesCollection, messageId);
-            await updateDoc(messageRef, { status });
+            await updateDoc(messageRef, { status, updatedAt: serverTimestamp() });
 
             return { success: true };
         } catch (error) {
@@ -218,7 +306,7 @@ class MessageFirebaseService extends FirebaseService {
             if (messageSnap.exists()) {
                 const reactions = messageSnap.data().reactions || {};
                 reactions[userId] = emoji;
-                await updateDoc(messageRef, { reactions });
+                await updateDoc(messageRef, { reactions, updatedAt: serverTimestamp() });
             }
 
             return { success: true };
@@ -239,7 +327,7 @@ class MessageFirebaseService extends FirebaseService {
             if (messageSnap.exists()) {
                 const reactions = messageSnap.data().reactions || {};
                 delete reactions[userId];
-                await updateDoc(messageRef, { reactions });
+                await updateDoc(messageRef, { reactions, updatedAt: serverTimestamp() });
             }
 
             return { success: true };
@@ -255,11 +343,52 @@ class MessageFirebaseService extends FirebaseService {
     async editMessage(messageId, newText) {
         try {
             const messageRef = doc(db, this.messagesCollection, messageId);
-            await updateDoc(messageRef, {
-                text: newText,
-                isEdited: true,
-                editedAt: Date.now()
-            });
+            const messageSnap = await getDoc(messageRef);
+            const stored = messageSnap.exists() ? { ...messageSnap.data(), id: messageId } : null;
+
+            if (stored?.e2e) {
+                // Re-encrypt the whole payload with the sender's current key. Media, replies and
+                // the like only live in the ciphertext, so an edit that can't read it would lose them.
+                const decrypted = await encryptionService.decryptMessage(stored.chatId, stored);
+                if (decrypted.decryptionFailed) {
+                    // Keys still loading is worth a retry; a key this device never got is not
+                    if (!encryptionService.isReady()) throw new Error('Encryption keys are not loaded yet');
+                    throw new FirebaseError('failed-precondition', 'This message cannot be decrypted on this device, so it cannot be edited');
+                }
+
+                const chatSnap = await getDoc(doc(db, this.chatsCollection, stored.chatId));
+                const reencrypted = await encryptionService.encryptMessage(
+                    stored.chatId,
+                    { ...decrypted, text: newText },
+                    chatSnap.exists() ? chatSnap.data() : null
+                );
+
+                // Re-encrypting fell back to plaintext: the private fields go back on the document
+                const fields = reencrypted.unencrypted
+                    ? {
+                        ...Object.fromEntries(ENCRYPTED_FIELDS
+                            .filter(field => reencrypted[field] !== undefined)
+                            .map(field => [field, reencrypted[field]])),
+                        unencrypted: true
+                    }
+                    : { text: reencrypted.text };
+
+                await updateDoc(messageRef, {
+                    ...fields,
+                    ciphertext: reencrypted.ciphertext || null,
+                    e2e: reencrypted.e2e || null,
+                    isEdited: true,
+                    editedAt: Date.now(),
+                    updatedAt: serverTimestamp()
+                });
+            } else {
+                await updateDoc(messageRef, {
+                    text: newText,
+                    isEdited: true,
+                    editedAt: Date.now(),
+                    updatedAt: serverTimestamp()
+                });
+            }
 
             return { success: true };
         } catch (error) {
@@ -269,35 +398,240 @@ class MessageFirebaseService extends FirebaseService {
     }
 
     /**
-     * Subscribe to messages real-time
+     * Get the newest locally stored messages of a chat (no network)
+     * @param {string} chatId - Chat ID
+     * @returns {Promise<{messages: Array, hasMoreOlder: boolean}>}
+     */
+    async getCachedMessages(chatId) {
+        const { messages: cached, hasMoreLocal, state } = await messageStoreService.getPage(chatId);
+        // Plaintext passes through; messages stored encrypted get another decryption attempt
+        const messages = await encryptionService.decryptMessages(chatId, cached);
+        return { messages, hasMoreOlder: hasMoreLocal || !state.reachedStart };
+    }
+
+    /**
+     * Fetch a page of history from the server and add it to the local store
+     * @private
+     */
+    async fetchHistoryPage(chatId, beforeTimestamp, pageSize, { seeded = false } = {}) {
+        const constraints = [where('chatId', '==', chatId)];
+        if (beforeTimestamp !== undefined) {
+            constraints.push(where('timestamp', '<', beforeTimestamp));
+        }
+
+        const snapshot = await getDocsFromServer(query(
+            collection(db, this.messagesCollection),
+            ...constraints,
+            orderBy('timestamp', 'desc'),
+            limit(pageSize)
+        ));
+
+        const storedMessages = snapshot.docs.map(readMessageDoc).reverse();
+        const messages = await encryptionService.decryptMessages(chatId, storedMessages);
+        const reachedStart = snapshot.size < pageSize;
+        const cursor = Math.max(0, ...storedMessages.map(m => m.updatedAt || 0));
+
+        await messageStoreService.applyChanges(chatId, {
+            upserts: toLocalMessages(storedMessages, messages),
+            cursor,
+            historyStart: storedMessages.length > 0 ? getMessageTime(storedMessages[0]) : undefined,
+            reachedStart,
+            seeded
+        });
+
+        return { messages, reachedStart, cursor };
+    }
+
+    /**
+     * Subscribe to messages real-time, offline first
+     * The newest stored messages are delivered straight away; after that only documents
+     * changed since the chat's stored `updatedAt` cursor are read from Firestore.
+     * Older messages are added with loadOlderMessages(). Hard deletes that happen while
+     * no listener is running are not seen by the delta query.
+     * Encrypted messages are decrypted before they reach the callback
+     * @param {string} chatId - Chat ID
+     * @param {Function} callback - (messages, { hasMoreOlder }) => void
+     * @param {Function} onError - Error callback
      */
     subscribeToMessages(chatId, callback, onError) {
-        const messagesRef = collection(db, this.messagesCollection);
-        const q = query(
-            messagesRef,
-            where('chatId', '==', chatId),
-            orderBy('timestamp', 'asc')
-        );
-        
-        const unsubscribe = onSnapshot(
-            q,
-            (snapshot) => {
-                const messages = snapshot.docs.map(doc => ({
-                    ...doc.data(),
-                    id: doc.id
-                }));
-                callback(messages);
-            },
-            (error) => {
-                console.error('[MessageService] Messages subscription error:', error);
-                if (onError) onError(handleFirebaseError(error));
+        let active = true;
+        let unsubscribeSnapshot = null;
+        // Deltas must be applied in order even though decryption is async
+        let applying = Promise.resolve();
+
+        const loaded = {
+            messages: new Map(),
+            hasMoreOlder: true,
+            loadingOlder: null,
+            emit: () => {
+                if (!active) return;
+                callback(Array.from(loaded.messages.values()).sort(byMessageTime), { hasMoreOlder: loaded.hasMoreOlder });
             }
-        );
+        };
+
+        const handleError = (error) => {
+            console.error('[MessageService] Messages subscription error:', error);
+            if (onError) onError(handleFirebaseError(error));
+        };
+
+        const applyDelta = async (snapshot) => {
+            const changes = snapshot.docChanges();
+            if (changes.length === 0) return;
+
+            const changedDocs = changes.filter(c => c.type !== 'removed').map(c => c.doc);
+            const removals = changes.filter(c => c.type === 'removed').map(c => c.doc.id);
+            const storedMessages = changedDocs.map(readMessageDoc);
+            const messages = await encryptionService.decryptMessages(chatId, storedMessages);
+
+            // Our own unconfirmed writes only have an estimated updatedAt
+            const cursor = Math.max(0, ...storedMessages
+                .filter((_, i) => !changedDocs[i].metadata.hasPendingWrites)
+                .map(m => m.updatedAt || 0));
+
+            await messageStoreService.applyChanges(chatId, {
+                upserts: toLocalMessages(storedMessages, messages),
+                removals,
+                cursor
+            });
+            if (!active) return;
+
+            // Changes to messages older than the loaded window only go to the store
+            const windowStart = loaded.hasMoreOlder && loaded.messages.size > 0
+                ? Math.min(...Array.from(loaded.messages.values(), getMessageTime))
+                : -Infinity;
+
+            messages.forEach((message) => {
+                if (loaded.messages.has(message.id) || getMessageTime(message) >= windowStart) {
+                    loaded.messages.set(message.id, message);
+                }
+            });
+            removals.forEach(id => loaded.messages.delete(id));
+            loaded.emit();
+        };
+
+        const listen = async () => {
+            const state = await messageStoreService.getSyncState(chatId);
+            let cursor = state.cursor;
+
+            if (!state.seeded) {
+                // First sync of this chat on this device starts from the newest page
+                try {
+                    const page = await this.fetchHistoryPage(chatId, undefined, MESSAGE_PAGE_SIZE, { seeded: true });
+                    if (!active) return;
+
+                    page.messages.forEach(m => loaded.messages.set(m.id, m));
+                    loaded.hasMoreOlder = !page.reachedStart;
+                    cursor = page.cursor;
+                    loaded.emit();
+                } catch (error) {
+                    // Nothing stored and no connection: try again once we're back online
+                    handleError(error);
+                    window.addEventListener('online', () => active && listen().catch(handleError), { once: true });
+                    return;
+                }
+            }
+
+            if (!active) return;
+
+            const deltaQuery = query(
+                collection(db, this.messagesCollection),
+                where('chatId', '==', chatId),
+                where('updatedAt', '>', Timestamp.fromMillis(cursor)),
+                orderBy('updatedAt', 'asc')
+            );
+
+            unsubscribeSnapshot = onSnapshot(
+                deltaQuery,
+                (snapshot) => {
+                    applying = applying
+                        .then(() => applyDelta(snapshot))
+                        .catch(error => console.error('[MessageService] Could not apply message changes:', error));
+                },
+                handleError
+            );
+        };
+
+        const start = async () => {
+            const cached = await this.getCachedMessages(chatId);
+            if (!active) return;
+
+            if (cached.messages.length > 0 || !cached.hasMoreOlder) {
+                cached.messages.forEach(m => loaded.messages.set(m.id, m));
+                loaded.hasMoreOlder = cached.hasMoreOlder;
+                loaded.emit();
+            }
+
+            await listen();
+        };
+
+        this.messageWindows.set(chatId, loaded);
+        start().catch(handleError);
+
+        const unsubscribe = () => {
+            active = false;
+            unsubscribeSnapshot?.();
+            if (this.messageWindows.get(chatId) === loaded) {
+                this.messageWindows.delete(chatId);
+            }
+        };
 
         this.listeners.set(`messages:${chatId}`, unsubscribe);
 
         return unsubscribe;
     }
+
+    /**
+     * Load the page before the oldest loaded message into a subscribed chat
+     * Reads the local store first and only asks the server for what it doesn't have
+     * @param {string} chatId - Chat ID
+     * @returns {Promise<{success: boolean, count: number, hasMoreOlder: boolean}>}
+     */
+    async loadOlderMessages(chatId) {
+        const loaded = this.messageWindows.get(chatId);
+        if (!loaded || !loaded.hasMoreOlder) {
+            return { success: true, count: 0, hasMoreOlder: false };
+        }
+        if (loaded.loadingOlder) return loaded.loadingOlder;
+
+        const load = async () => {
+            const oldest = Array.from(loaded.messages.values()).sort(byMessageTime)[0];
+            const { messages: cached, hasMoreLocal, state } = await messageStoreService.getPage(chatId, {
+                before: oldest ? getMessageTime(oldest) : Infinity
+            });
+            const older = await encryptionService.decryptMessages(chatId, cached);
+            let hasMoreOlder = hasMoreLocal || !state.reachedStart;
+
+            // Show what we have locally even if the server part fails
+            if (older.length > 0) {
+                older.forEach(m => !loaded.messages.has(m.id) && loaded.messages.set(m.id, m));
+                loaded.hasMoreOlder = hasMoreOlder;
+                loaded.emit();
+            }
+
+            if (older.length < MESSAGE_PAGE_SIZE && !state.reachedStart) {
+                const from = older[0] || oldest;
+                const page = await this.fetchHistoryPage(chatId, from?.timestamp, MESSAGE_PAGE_SIZE - older.length);
+                page.messages.forEach(m => !loaded.messages.has(m.id) && loaded.messages.set(m.id, m));
+                older.unshift(...page.messages);
+                hasMoreOlder = !page.reachedStart;
+                loaded.hasMoreOlder = hasMoreOlder;
+                loaded.emit();
+            }
+
+            return { success: true, count: older.length, hasMoreOlder };
+        };
+
+        loaded.loadingOlder = load()
+            .catch((error) => {
+                console.error('[MessageService] Load older messages error:', error);
+                throw handleFirebaseError(error);
+            })
+            .finally(() => {
+                loaded.loadingOlder = null;
+            });
+
+        return loaded.loadingOlder;
+    }
 }
 
 // Export singleton instance
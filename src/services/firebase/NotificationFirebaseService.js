@@ -32,7 +32,8 @@ export const NOTIFICATION_TYPES = {
     ADDED_TO_GROUP: 'added_to_group',      // Someone added you to a group
     INCOMING_CALL: 'incoming_call',        // Receiving a call
     MISSED_CALL: 'missed_call',            // Missed a call
-    CALL_DECLINED: 'call_declined'         // Call was declined
+    CALL_DECLINED: 'call_declined',        // Call was declined
+    GAME_YOUR_MOVE: 'game_your_move'       // It's your move in a correspondence game
 };
 
 class NotificationFirebaseService extends FirebaseService {
@@ -0,0 +1,144 @@
+/**
+ * Tournament Service
+ * Group tournaments in Firestore, one document per tournament (see shared/utils/tournaments.js)
+ *
+ * Every player's device drives the tournament: whoever reports a result or finds a round
+ * due updates the document in a transaction, so a result is counted and a round is paired
+ * exactly once. The device that wins the transaction posts the round's invites.
+ */
+
+import { db } from '../../config/firebaseConfig';
+import {
+    doc,
+    setDoc,
+    collection,
+    query,
+    where,
+    onSnapshot,
+    runTransaction
+} from 'firebase/firestore';
+import FirebaseService, { handleFirebaseError } from './FirebaseService';
+import {
+    TOURNAMENT_STATUS,
+    startTournamentRound,
+    recordTournamentResult
+} from '../../shared/utils/tournaments';
+
+class TournamentFirebaseService extends FirebaseService {
+    constructor() {
+        super();
+        this.collectionName = 'tournaments';
+    }
+
+    /**
+     * Store a new tournament
+     * @param {Object} tournament - From createTournament()
+     */
+    async createTournament(tournament) {
+        try {
+            await setDoc(doc(db, this.collectionName, tournament.id), tournament);
+            console.log(`🏆 [Tournament] Created ${tournament.format} tournament ${tournament.id}`);
+            return { success: true, tournament };
+        } catch (error) {
+            console.error('[Tournament] Create tournament error:', error);
+            throw handleFirebaseError(error);
+        }
+    }
+
+    /**
+     * Listen to a group's tournaments (newest first)
+     * @returns {function} Unsubscribe function
+     */
+    subscribeToChatTournaments(chatId, callback, onError) {
+        const q = query(collection(db, this.collectionName), where('chatId', '==', chatId));
+        return onSnapshot(
+            q,
+            (snapshot) => {
+                const tournaments = snapshot.docs.map(d => d.data());
+                tournaments.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+                callback(tournaments);
+            },
+            (error) => {
+                console.error('[Tournament] Chat tournaments subscription error:', error);
+                if (onError) onError(handleFirebaseError(error));
+            }
+        );
+    }
+
+    /**
+     * Listen to the unfinished tournaments a user plays in
+     * @returns {function} Unsubscribe function
+     */
+    subscribeToUserTournaments(userId, callback, onError) {
+        const q = query(
+            collection(db, this.collectionName),
+            where('playerIds', 'array-contains', userId),
+            where('status', 'in', [TOURNAMENT_STATUS.SCHEDULED, TOURNAMENT_STATUS.IN_PROGRESS])
+        );
+        return onSnapshot(
+            q,
+            (snapshot) => callback(snapshot.docs.map(d => d.data())),
+            (error) => {
+                console.error('[Tournament] User tournaments subscription error:', error);
+                if (onError) onError(handleFirebaseError(error));
+            }
+        );
+    }
+
+    /**
+     * Pair the next round if it is due
+     * @returns {Promise<{success: boolean, started: boolean, tournament?: Object}>}
+     */
+    async startNextRound(tournamentId) {
+        try {
+            const ref = doc(db, this.collectionName, tournamentId);
+            const updated = await runTransaction(db, async (transaction) => {
+                const snapshot = await transaction.get(ref);
+                if (!snapshot.exists()) return null;
+
+                const next = startTournamentRound(snapshot.data());
+                if (next) transaction.set(ref, next);
+                return next;
+            });
+
+            if (!updated) return { success: true, started: false };
+            console.log(`🏆 [Tournament] Started round ${updated.rounds.length} of ${tournamentId}`);
+            return { success: true, started: true, tournament: updated };
+        } catch (error) {
+            console.error('[Tournament] Start round error:', error);
+            throw handleFirebaseError(error);
+        }
+    }
+
+    /**
+     * Record a tournament game's result; only the first report counts
+     * @param {Object} result - { winner, isDraw, quitBy }
+     * @returns {Promise<{success: boolean, recorded: boolean, tournament?: Object}>}
+     */
+    async recordResult(tournamentId, gameId, result) {
+        try {
+            const ref = doc(db, this.collectionName, tournamentId);
+            const updated = await runTransaction(db, async (transaction) => {
+                const snapshot = await transaction.get(ref);
+                if (!snapshot.exists()) return null;
+
+                const next = recordTournamentResult(snapshot.data(), gameId, result);
+                if (next) transaction.set(ref, next);
+                return next;
+            });
+
+            if (!updated) {
+                console.log(`♻️ [Tournament] Result of ${gameId} already recorded`);
+                return { success: true, recorded: false };
+            }
+            return { success: true, recorded: true, tournament: updated };
+        } catch (error) {
+            console.error('[Tournament] Record result error:', error);
+            throw handleFirebaseError(error);
+        }
+    }
+}
+
+// Export singleton instance
+export const tournamentFirebaseService = new TournamentFirebaseService();
+export default tournamentFirebaseService;
@@ -31,5 +31,14 @@ export { default as statusFirebaseService } from './StatusFirebaseService';
 // Calls
 export { default as callFirebaseService } from './CallFirebaseService';
 
+// Game Ratings & Match History
+export { default as gameStatsFirebaseService } from './GameStatsFirebaseService';
+
+// Group Tournaments
+export { default as tournamentFirebaseService } from './TournamentFirebaseService';
+
+// Correspondence Games
+export { default as correspondenceFirebaseService } from './CorrespondenceFirebaseService';
+
 // Migration
 export { default as migrationService } from '../migration/migrationService';
@@ -0,0 +1,65 @@
+/**
+ * Media Server Adapter
+ * What GroupCallManager needs from a selective forwarding unit (SFU). Each media server
+ * (the reference SFU in server/sfuServer.js, or a hosted one) gets an adapter extending this
+ * class, registered in ./index.js.
+ *
+ * The local user publishes their stream once; the server forwards everyone else's to them,
+ * with the video in the simulcast layer they asked for (SIMULCAST_LAYERS).
+ */
+
+export class MediaServerAdapter {
+    /**
+     * Join a call's room on the media server
+     * @param {Object} call - { callId, userId }
+     * @param {Object} callbacks
+     * @param {Function} callbacks.onRemoteStream - (participantId, MediaStream)
+     * @param {Function} callbacks.onParticipantLeft - (participantId)
+     * @param {Function} callbacks.onStateChange - ('connected' | 'disconnected' | 'failed')
+     * @returns {Promise<string[]>} Participants already in the room
+     */
+    async join(call, callbacks) {
+        throw new Error(`${this.constructor.name} does not implement join()`);
+    }
+
+    /**
+     * Send the local stream, video in every simulcast layer
+     * @param {MediaStream} stream
+     */
+    async publish(stream) {
+        throw new Error(`${this.constructor.name} does not implement publish()`);
+    }
+
+    /**
+     * Swap a published track (camera switch, screen share, processed audio)
+     * @param {string} kind - 'audio' | 'video'
+     * @param {MediaStreamTrack} track
+     */
+    async replaceTrack(kind, track) {
+        throw new Error(`${this.constructor.name} does not implement replaceTrack()`);
+    }
+
+    /**
+     * Ask for a participant's video in another layer
+     * @param {string} participantId
+     * @param {string} layer - One of SIMULCAST_LAYERS
+     */
+    setPreferredLayer(participantId, layer) {
+        throw new Error(`${this.constructor.name} does not implement setPreferredLayer()`);
+    }
+
+    /**
+     * Receivers of the forwarded audio, for audio levels
+     * @returns {Map<string, RTCRtpReceiver>} participantId -> receiver
+     */
+    getAudioReceivers() {
+        return new Map();
+    }
+
+    /**
+     * Leave the room and close every connection
+     */
+    async leave() {}
+}
+
+export default MediaServerAdapter;
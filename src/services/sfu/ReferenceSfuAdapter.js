@@ -0,0 +1,267 @@
+/**
+ * Reference SFU Adapter
+ * Client for the reference SFU (`npm run sfu`, server/sfuServer.js): JSON messages over a
+ * WebSocket and two peer connections to its forwarder, one publishing and one receiving.
+ *
+ * - Every simulcast layer is published as its own video track, a scaled-down copy of the
+ *   camera capped at the layer's bitrate (SIMULCAST_ENCODINGS)
+ * - The forwarder offers everyone else's tracks on the receiving connection, with the
+ *   owner of each stream (`streams`), and switches layers without renegotiating
+ */
+
+import { MediaServerAdapter } from './MediaServerAdapter';
+import webRTCService from '../WebRTCService';
+import { SIMULCAST_ENCODINGS } from '../../shared/constants/callConstants';
+
+const JOIN_TIMEOUT_MS = 5000;
+
+export class ReferenceSfuAdapter extends MediaServerAdapter {
+    /**
+     * @param {Object} options
+     * @param {string} options.url - The SFU's WebSocket URL
+     */
+    constructor({ url }) {
+        super();
+        this.url = url;
+        this.socket = null;
+        this.callbacks = {};
+        this.joinRequest = null;
+        this.messages = Promise.resolve(); // SDP and candidates are handled one at a time, in order
+
+        this.publishPc = null;
+        this.subscribePc = null;
+        this.audioSender = null;
+        this.layerSenders = new Map(); // layer -> { sender, track }
+
+        this.streamOwners = new Map(); // stream id -> participantId
+        this.audioReceivers = new Map(); // participantId -> RTCRtpReceiver
+    }
+
+    join({ callId, userId }, callbacks = {}) {
+        this.callbacks = callbacks;
+
+        return new Promise((resolve, reject) => {
+            const fail = (error) => {
+                clearTimeout(this.joinRequest?.timer);
+                this.joinRequest = null;
+                reject(error);
+            };
+            this.joinRequest = {
+                resolve,
+                reject: fail,
+                timer: setTimeout(() => {
+                    fail(new Error('The SFU did not answer'));
+                    this.socket?.close();
+                }, JOIN_TIMEOUT_MS)
+            };
+
+            this.socket = new WebSocket(this.url);
+            this.socket.onopen = () => this.send({ type: 'join', callId, userId });
+            this.socket.onmessage = (event) => {
+                const message = JSON.parse(event.data);
+                this.messages = this.messages
+                    .then(() => this.handleMessage(message))
+                    .catch(error => console.error(`❌ [SFU] Error handling ${message.type}:`, error));
+            };
+            this.socket.onclose = () => {
+                if (this.joinRequest) {
+                    this.joinRequest.reject(new Error('Could not connect to the SFU'));
+                    return;
+                }
+                if (this.socket) this.callbacks.onStateChange?.('disconnected');
+            };
+        });
+    }
+
+    async publish(stream) {
+        const pc = new RTCPeerConnection(webRTCService.iceServers);
+        this.publishPc = pc;
+        pc.onicecandidate = ({ candidate }) => {
+            if (candidate) this.send({ type: 'candidate', pc: 'publish', candidate });
+        };
+        pc.onconnectionstatechange = () => {
+            if (pc.connectionState === 'connected' || pc.connectionState === 'failed') {
+                this.callbacks.onStateChange?.(pc.connectionState);
+            }
+        };
+
+        const audio = stream.getAudioTracks()[0];
+        if (audio) {
+            this.audioSender = pc.addTransceiver(audio, { direction: 'sendonly', streams: [stream] }).sender;
+        }
+
+        const video = stream.getVideoTracks()[0];
+        if (video) {
+            for (const { layer, scaleResolutionDownBy, maxBitrate } of SIMULCAST_ENCODINGS) {
+                const track = await this.scaleTrack(video, scaleResolutionDownBy);
+                const { sender } = pc.addTransceiver(track, {
+                    direction: 'sendonly',
+                    streams: [stream],
+                    sendEncodings: [{ maxBitrate }]
+                });
+                this.layerSenders.set(layer, { sender, track });
+            }
+        }
+
+        await pc.setLocalDescription(await pc.createOffer());
+        this.send({
+            type: 'publish',
+            sdp: pc.localDescription.sdp,
+            tracks: pc.getTransceivers().map(transceiver => ({
+                mid: transceiver.mid,
+                kind: transceiver.sender.track.kind,
+                layer: this.getLayer(transceiver.sender)
+            }))
+        });
+        console.log(`📤 [SFU] Publishing ${audio ? 'audio' : ''}${audio && video ? ' + ' : ''}${video ? `${this.layerSenders.size} video layers` : ''}`);
+    }
+
+    async replaceTrack(kind, track) {
+        if (kind === 'audio') {
+            await this.audioSender?.replaceTrack(track);
+            return;
+        }
+
+        for (const { layer, scaleResolutionDownBy } of SIMULCAST_ENCODINGS) {
+            const entry = this.layerSenders.get(layer);
+            if (!entry) continue;
+            const scaled = await this.scaleTrack(track, scaleResolutionDownBy);
+            await entry.sender.replaceTrack(scaled);
+            if (entry.track !== scaled && scaleResolutionDownBy > 1) entry.track.stop();
+            entry.track = scaled;
+        }
+    }
+
+    setPreferredLayer(participantId, layer) {
+        this.send({ type: 'layer', participantId, layer });
+    }
+
+    getAudioReceivers() {
+        return this.audioReceivers;
+    }
+
+    async leave() {
+        this.send({ type: 'leave' });
+        const socket = this.socket;
+        this.socket = null;
+        socket?.close();
+
+        this.publishPc?.close();
+        this.subscribePc?.close();
+        this.publishPc = null;
+        this.subscribePc = null;
+
+        // The full-size layer is the caller's own camera track; only the copies are ours to stop
+        SIMULCAST_ENCODINGS.forEach(({ layer, scaleResolutionDownBy }) => {
+            if (scaleResolutionDownBy > 1) this.layerSenders.get(layer)?.track.stop();
+        });
+        this.layerSenders.clear();
+        this.streamOwners.clear();
+        this.audioReceivers.clear();
+    }
+
+    /**
+     * @private
+     */
+    async handleMessage(message) {
+        switch (message.type) {
+            case 'joined':
+                clearTimeout(this.joinRequest?.timer);
+                this.joinRequest?.resolve(message.participants);
+                this.joinRequest = null;
+                break;
+            case 'error':
+                console.error('❌ [SFU] Server error:', message.message);
+                this.joinRequest?.reject(new Error(message.message));
+                break;
+            case 'publish-answer':
+                await this.publishPc?.setRemoteDescription({ type: 'answer', sdp: message.sdp });
+                break;
+            case 'subscribe-offer':
+                await this.handleSubscribeOffer(message);
+                break;
+            case 'candidate': {
+                const pc = message.pc === 'publish' ? this.publishPc : this.subscribePc;
+                await pc?.addIceCandidate(message.candidate);
+                break;
+            }
+            case 'participant-left':
+                this.audioReceivers.delete(message.userId);
+                this.streamOwners.forEach((owner, streamId) => {
+                    if (owner === message.userId) this.streamOwners.delete(streamId);
+                });
+                this.callbacks.onParticipantLeft?.(message.userId);
+                break;
+            default:
+                break;
+        }
+    }
+
+    /**
+     * The forwarder (re)offers everyone else's tracks
+     * @private
+     */
+    async handleSubscribeOffer({ sdp, streams }) {
+        Object.entries(streams || {}).forEach(([streamId, participantId]) => {
+            this.streamOwners.set(streamId, participantId);
+        });
+
+        if (!this.subscribePc) {
+            const pc = new RTCPeerConnection(webRTCService.iceServers);
+            pc.onicecandidate = ({ candidate }) => {
+                if (candidate) this.send({ type: 'candidate', pc: 'subscribe', candidate });
+            };
+            pc.ontrack = (event) => {
+                const stream = event.streams[0];
+                const participantId = stream && this.streamOwners.get(stream.id);
+                if (!participantId) return;
+
+                if (event.track.kind === 'audio') this.audioReceivers.set(participantId, event.receiver);
+                this.callbacks.onRemoteStream?.(participantId, stream);
+            };
+            this.subscribePc = pc;
+        }
+
+        await this.subscribePc.setRemoteDescription({ type: 'offer', sdp });
+        await this.subscribePc.setLocalDescription(await this.subscribePc.createAnswer());
+        this.send({ type: 'subscribe-answer', sdp: this.subscribePc.localDescription.sdp });
+    }
+
+    /**
+     * A copy of a video track at 1/`scale` of its resolution (the track itself for 1)
+     * @private
+     */
+    async scaleTrack(track, scale) {
+        if (scale <= 1) return track;
+
+        const copy = track.clone();
+        const { width, height } = track.getSettings();
+        if (width && height) {
+            try {
+                await copy.applyConstraints({ width: Math.round(width / scale), height: Math.round(height / scale) });
+            } catch (error) {
+                console.warn('⚠️ [SFU] Could not scale a simulcast layer:', error);
+            }
+        }
+        return copy;
+    }
+
+    /**
+     * @private
+     */
+    getLayer(sender) {
+        for (const [layer, entry] of this.layerSenders) {
+            if (entry.sender === sender) return layer;
+        }
+        return null;
+    }
+
+    /**
+     * @private
+     */
+    send(message) {
+        if (this.socket?.readyState === WebSocket.OPEN) this.socket.send(JSON.stringify(message));
+    }
+}
+
+export default ReferenceSfuAdapter;
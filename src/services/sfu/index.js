@@ -0,0 +1,35 @@
+/**
+ * SFU Media Servers
+ * Group calls above SFU_PARTICIPANT_THRESHOLD go through a selective forwarding unit when
+ * VITE_SFU_URL is set. VITE_SFU_ADAPTER picks the adapter (default: the reference SFU);
+ * adapters for other media servers are added with registerMediaServerAdapter().
+ */
+
+import { ReferenceSfuAdapter } from './ReferenceSfuAdapter';
+
+export { MediaServerAdapter } from './MediaServerAdapter';
+
+const SFU_URL = import.meta.env.VITE_SFU_URL || null;
+const SFU_ADAPTER = import.meta.env.VITE_SFU_ADAPTER || 'reference';
+
+const adapters = new Map([
+    ['reference', (options) => new ReferenceSfuAdapter(options)]
+]);
+
+/**
+ * @param {string} name - Value of VITE_SFU_ADAPTER that selects it
+ * @param {Function} factory - ({ url }) => MediaServerAdapter
+ */
+export const registerMediaServerAdapter = (name, factory) => {
+    adapters.set(name, factory);
+};
+
+export const isSfuAvailable = () => Boolean(SFU_URL && adapters.has(SFU_ADAPTER));
+
+/**
+ * A new adapter for one call, or null when no SFU is configured
+ * @returns {MediaServerAdapter|null}
+ */
+export const createMediaServerAdapter = () => (
+    isSfuAvailable() ? adapters.get(SFU_ADAPTER)({ url: SFU_URL }) : null
+);
@@ -0,0 +1,113 @@
+/**
+ * Local Speech Recognizer
+ * A stand-in that needs no speech engine, for tests and development. It tells when the user
+ * speaks from the audio level and captions each utterance with the next line of a script,
+ * a few words at a time like a real recognizer. Tests can also feed it lines (speak());
+ * `npm run check:captions` runs it both ways.
+ */
+
+import { SpeechRecognizer } from './SpeechRecognizer';
+import { CAPTIONS } from '../../shared/constants/callConstants';
+
+const DEFAULT_SCRIPT = [
+    'Captions are working on this call.',
+    'This line comes from the local stand-in recognizer.',
+    'Set VITE_SPEECH_RECOGNIZER to use a real one.'
+];
+
+const LEVEL_INTERVAL_MS = 100;
+const WORD_INTERVAL_MS = 300;
+
+export class LocalRecognizer extends SpeechRecognizer {
+    static isSupported() {
+        return true;
+    }
+
+    /**
+     * @param {Object} options
+     * @param {string[]} options.script - Lines to caption utterances with, in turn
+     */
+    constructor({ script = DEFAULT_SCRIPT } = {}) {
+        super();
+        this.script = script;
+        this.lineIndex = 0;
+        this.onResult = null;
+        this.audioContext = null;
+        this.interval = null;
+        this.utterance = null; // { line, startedAt, lastVoiceAt, words }
+    }
+
+    async start(stream, { onResult }) {
+        this.stop();
+        this.onResult = onResult;
+
+        if (!stream?.getAudioTracks().length || typeof AudioContext === 'undefined') return;
+
+        this.audioContext = new AudioContext();
+        const analyser = this.audioContext.createAnalyser();
+        analyser.fftSize = 1024;
+        this.audioContext.createMediaStreamSource(stream).connect(analyser);
+
+        const samples = new Float32Array(analyser.fftSize);
+        this.interval = setInterval(() => {
+            analyser.getFloatTimeDomainData(samples);
+            const level = Math.sqrt(samples.reduce((sum, sample) => sum + sample * sample, 0) / samples.length);
+            this.handleLevel(level, Date.now());
+        }, LEVEL_INTERVAL_MS);
+    }
+
+    /**
+     * One audio level reading
+     * @private
+     */
+    handleLevel(level, now) {
+        if (level >= CAPTIONS.speechLevel) {
+            if (!this.utterance) {
+                this.utterance = { line: this.nextLine(), startedAt: now, lastVoiceAt: now, words: 0 };
+            }
+            this.utterance.lastVoiceAt = now;
+
+            // Reveal the line a word at a time while they keep talking
+            const words = this.utterance.line.split(' ');
+            const shown = Math.min(words.length, 1 + Math.floor((now - this.utterance.startedAt) / WORD_INTERVAL_MS));
+            if (shown > this.utterance.words) {
+                this.utterance.words = shown;
+                this.onResult?.({ text: words.slice(0, shown).join(' '), isFinal: false });
+            }
+        } else if (this.utterance && now - this.utterance.lastVoiceAt >= CAPTIONS.silenceMs) {
+            this.onResult?.({ text: this.utterance.line, isFinal: true });
+            this.utterance = null;
+        }
+    }
+
+    /**
+     * @private
+     */
+    nextLine() {
+        const line = this.script[this.lineIndex % this.script.length];
+        this.lineIndex++;
+        return line;
+    }
+
+    /**
+     * Caption a line as if it had been said
+     * @param {string} text - What was "said"
+     */
+    speak(text) {
+        const words = text.split(' ');
+        for (let shown = 1; shown < words.length; shown++) {
+            this.onResult?.({ text: words.slice(0, shown).join(' '), isFinal: false });
+        }
+        this.onResult?.({ text, isFinal: true });
+    }
+
+    stop() {
+        clearInterval(this.interval);
+        this.interval = null;
+        this.utterance = null;
+        this.audioContext?.close().catch(() => {});
+        this.audioContext = null;
+    }
+}
+
+export default LocalRecognizer;
@@ -0,0 +1,39 @@
+/**
+ * Speech Recognizer
+ * What CaptionService needs from a speech-to-text engine. Each engine (the browser's Web Speech
+ * API, the local stand-in, or an on-device model) gets a recognizer extending this class,
+ * registered in ./index.js.
+ *
+ * A recognizer transcribes one person: the local user's microphone. Everyone's device
+ * transcribes its own user, so each caption has exactly one speaker.
+ */
+
+export class SpeechRecognizer {
+    /**
+     * Whether this engine can run here
+     * @returns {boolean}
+     */
+    static isSupported() {
+        return false;
+    }
+
+    /**
+     * Start transcribing
+     * @param {MediaStream} stream - The local user's stream (its audio track)
+     * @param {Object} options
+     * @param {string} options.language - BCP 47 language of the speech, e.g. 'en-US'
+     * @param {Function} options.onResult - ({ text, isFinal }) as the current line changes;
+     *   after a final result the next one starts a new line
+     * @param {Function} options.onError - (Error) when it stops by itself
+     */
+    async start(stream, options) {
+        throw new Error(`${this.constructor.name} does not implement start()`);
+    }
+
+    /**
+     * Stop transcribing (a line in progress is dropped)
+     */
+    stop() {}
+}
+
+export default SpeechRecognizer;
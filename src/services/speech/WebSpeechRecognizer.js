@@ -0,0 +1,98 @@
+/**
+ * Web Speech Recognizer
+ * The browser's speech recognition (SpeechRecognition / webkitSpeechRecognition). Where the
+ * browser has on-device models it is asked to use them (processLocally), so the audio doesn't
+ * leave the device; newer browsers also take the call's audio track instead of the default
+ * microphone.
+ */
+
+import { SpeechRecognizer } from './SpeechRecognizer';
+
+const SpeechRecognition = typeof window !== 'undefined'
+    ? window.SpeechRecognition || window.webkitSpeechRecognition
+    : null;
+
+// Routine: recognition ends by itself and is started again
+const IGNORED_ERRORS = ['no-speech', 'aborted'];
+
+export class WebSpeechRecognizer extends SpeechRecognizer {
+    static isSupported() {
+        return Boolean(SpeechRecognition);
+    }
+
+    constructor() {
+        super();
+        this.recognition = null;
+        this.track = null;
+        this.active = false;
+    }
+
+    async start(stream, { language, onResult, onError }) {
+        this.stop();
+
+        const recognition = new SpeechRecognition();
+        recognition.continuous = true;
+        recognition.interimResults = true;
+        recognition.lang = language;
+        if ('processLocally' in recognition) recognition.processLocally = true;
+
+        recognition.onresult = (event) => {
+            let interim = '';
+            for (let index = event.resultIndex; index < event.results.length; index++) {
+                const result = event.results[index];
+                const text = result[0].transcript.trim();
+                if (!text) continue;
+
+                if (result.isFinal) {
+                    onResult({ text, isFinal: true });
+                } else {
+                    interim += `${text} `;
+                }
+            }
+            if (interim) onResult({ text: interim.trim(), isFinal: false });
+        };
+
+        recognition.onerror = (event) => {
+            if (IGNORED_ERRORS.includes(event.error)) return;
+            this.active = false;
+            onError?.(new Error(`Speech recognition failed: ${event.error}`));
+        };
+
+        // Browsers end recognition after a pause; keep going until stopped
+        recognition.onend = () => {
+            if (this.active) this.listen();
+        };
+
+        this.recognition = recognition;
+        this.track = stream?.getAudioTracks()[0] || null;
+        this.active = true;
+        this.listen();
+    }
+
+    /**
+     * @private
+     */
+    listen() {
+        try {
+            this.recognition.start(this.track);
+        } catch (error) {
+            // Older browsers only listen to the default microphone
+            try {
+                this.recognition.start();
+            } catch (retryError) {
+                console.warn('⚠️ [WebSpeech] Could not start recognition:', retryError);
+            }
+        }
+    }
+
+    stop() {
+        this.active = false;
+        if (this.recognition) {
+            this.recognition.onend = null;
+            this.recognition.abort();
+            this.recognition = null;
+        }
+    }
+}
+
+export default WebSpeechRecognizer;
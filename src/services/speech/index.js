@@ -0,0 +1,46 @@
+/**
+ * Speech Recognizers
+ * Speech-to-text engines for live captions. VITE_SPEECH_RECOGNIZER picks one (default: the
+ * browser's Web Speech API; 'local' for the stand-in used in tests and development); other
+ * engines are added with registerSpeechRecognizer().
+ */
+
+import { WebSpeechRecognizer } from './WebSpeechRecognizer';
+import { LocalRecognizer } from './LocalRecognizer';
+
+export { SpeechRecognizer } from './SpeechRecognizer';
+export { LocalRecognizer } from './LocalRecognizer';
+
+const SPEECH_RECOGNIZER = import.meta.env.VITE_SPEECH_RECOGNIZER || 'web-speech';
+
+const recognizers = new Map([
+    ['web-speech', { factory: () => new WebSpeechRecognizer(), isSupported: () => WebSpeechRecognizer.isSupported() }],
+    ['local', { factory: (options) => new LocalRecognizer(options), isSupported: () => true }]
+]);
+
+/**
+ * @param {string} name - Value of VITE_SPEECH_RECOGNIZER that selects it
+ * @param {Function} factory - (options) => SpeechRecognizer
+ * @param {Function} isSupported - () => boolean, whether it can run here
+ */
+export const registerSpeechRecognizer = (name, factory, isSupported = () => true) => {
+    recognizers.set(name, { factory, isSupported });
+};
+
+/**
+ * @param {string} name - Recognizer name (defaults to VITE_SPEECH_RECOGNIZER)
+ * @returns {boolean}
+ */
+export const isSpeechRecognitionAvailable = (name = SPEECH_RECOGNIZER) => (
+    Boolean(recognizers.get(name)?.isSupported())
+);
+
+/**
+ * A new recognizer for one call, or null when the configured one can't run here
+ * @param {string} name - Recognizer name (defaults to VITE_SPEECH_RECOGNIZER)
+ * @param {Object} options - Passed to its factory
+ * @returns {SpeechRecognizer|null}
+ */
+export const createSpeechRecognizer = (name = SPEECH_RECOGNIZER, options = {}) => (
+    isSpeechRecognitionAvailable(name) ? recognizers.get(name).factory(options) : null
+);
@@ -0,0 +1,36 @@
+/**
+ * Chess engine worker
+ * Keeps searches off the main thread. Requests carry a `requestId` that is echoed back.
+ *
+ * - BEST_MOVE { fen, level } -> RESULT { move, score, depth, nodes }
+ * - ANALYSE { fens, depth } -> PROGRESS { index, total, evaluation } per position,
+ *   then RESULT { evaluations, classifications }
+ */
+
+import { findBestMove, evaluatePosition, classifyMoves } from './search.js';
+
+self.onmessage = (event) => {
+    const { requestId, type, payload } = event.data;
+
+    try {
+        if (type === 'BEST_MOVE') {
+            self.postMessage({ requestId, type: 'RESULT', result: findBestMove(payload.fen, payload.level) });
+        } else if (type === 'ANALYSE') {
+            const evaluations = [];
+            payload.fens.forEach((fen, index) => {
+                const evaluation = evaluatePosition(fen, payload.depth);
+                evaluations.push(evaluation);
+                self.postMessage({ requestId, type: 'PROGRESS', progress: { index, total: payload.fens.length, evaluation } });
+            });
+            self.postMessage({
+                requestId,
+                type: 'RESULT',
+                result: { evaluations, classifications: classifyMoves(evaluations, payload.fens[0]) }
+            });
+        } else {
+            self.postMessage({ requestId, type: 'ERROR', error: `Unknown request: ${type}` });
+        }
+    } catch (error) {
+        self.postMessage({ requestId, type: 'ERROR', error: error.message });
+    }
+};
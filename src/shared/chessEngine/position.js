@@ -0,0 +1,269 @@
+/**
+ * Compact 0x88 chess position for the engine's search
+ *
+ * chess.js recomputes SAN and legality for every move, which is far too slow to search
+ * with, so the engine makes and unmakes moves on this board instead. Squares are
+ * numbered like chess.js (a8 = 0, h1 = 119); pieces are `color | type`.
+ */
+
+export const WHITE = 0;
+export const BLACK = 8;
+export const PAWN = 1;
+export const KNIGHT = 2;
+export const BISHOP = 3;
+export const ROOK = 4;
+export const QUEEN = 5;
+export const KING = 6;
+
+const PIECE_CODES = { p: PAWN, n: KNIGHT, b: BISHOP, r: ROOK, q: QUEEN, k: KING };
+export const PIECE_LETTERS = ['', 'p', 'n', 'b', 'r', 'q', 'k'];
+
+const KNIGHT_OFFSETS = [-33, -31, -18, -14, 14, 18, 31, 33];
+const BISHOP_OFFSETS = [-17, -15, 15, 17];
+const ROOK_OFFSETS = [-16, -1, 1, 16];
+const KING_OFFSETS = [-17, -16, -15, -1, 1, 15, 16, 17];
+
+// Castling rights
+const WK = 1;
+const WQ = 2;
+const BK = 4;
+const BQ = 8;
+
+// Rights lost when a piece moves from or to a square
+const CASTLING_MASK = new Array(128).fill(15);
+CASTLING_MASK[116] = 15 & ~(WK | WQ); // e1
+CASTLING_MASK[119] = 15 & ~WK; // h1
+CASTLING_MASK[112] = 15 & ~WQ; // a1
+CASTLING_MASK[4] = 15 & ~(BK | BQ); // e8
+CASTLING_MASK[7] = 15 & ~BK; // h8
+CASTLING_MASK[0] = 15 & ~BQ; // a8
+
+export const FLAGS = { NORMAL: 0, DOUBLE_PUSH: 1, EN_PASSANT: 2, CASTLE_KING: 3, CASTLE_QUEEN: 4 };
+
+export const squareName = (sq) => 'abcdefgh'[sq & 7] + (8 - (sq >> 4));
+export const squareIndex = (name) => (8 - Number(name[1])) * 16 + 'abcdefgh'.indexOf(name[0]);
+
+export const colorOf = (piece) => piece & 8;
+export const typeOf = (piece) => piece & 7;
+
+export class Position {
+  constructor(fen) {
+    const [placement, side, castling, enPassant, halfMoves] = fen.split(' ');
+    this.board = new Array(128).fill(0);
+    this.kings = [-1, -1];
+
+    let sq = 0;
+    for (const ch of placement) {
+      if (ch === '/') {
+        sq += 8;
+      } else if (/\d/.test(ch)) {
+        sq += Number(ch);
+      } else {
+        const color = ch === ch.toUpperCase() ? WHITE : BLACK;
+        const type = PIECE_CODES[ch.toLowerCase()];
+        this.board[sq] = color | type;
+        if (type === KING) this.kings[color ? 1 : 0] = sq;
+        sq++;
+      }
+    }
+
+    this.turn = side === 'b' ? BLACK : WHITE;
+    this.castling = (castling.includes('K') ? WK : 0) | (castling.includes('Q') ? WQ : 0)
+      | (castling.includes('k') ? BK : 0) | (castling.includes('q') ? BQ : 0);
+    this.enPassant = enPassant && enPassant !== '-' ? squareIndex(enPassant) : -1;
+    this.halfMoves = Number(halfMoves) || 0;
+    this.history = [];
+  }
+
+  /**
+   * Whether `sq` is attacked by `color`
+   */
+  isAttacked(sq, color) {
+    const board = this.board;
+
+    // Pawns attack diagonally forward, so look diagonally backward from the target
+    const pawnDirection = color === WHITE ? 16 : -16;
+    for (const side of [-1, 1]) {
+      const from = sq + pawnDirection + side;
+      if (!(from & 0x88) && board[from] === (color | PAWN)) return true;
+    }
+    for (const offset of KNIGHT_OFFSETS) {
+      const from = sq + offset;
+      if (!(from & 0x88) && board[from] === (color | KNIGHT)) return true;
+    }
+    for (const offset of KING_OFFSETS) {
+      const from = sq + offset;
+      if (!(from & 0x88) && board[from] === (color | KING)) return true;
+    }
+    for (const offset of BISHOP_OFFSETS) {
+      for (let from = sq + offset; !(from & 0x88); from += offset) {
+        const piece = board[from];
+        if (!piece) continue;
+        if (piece === (color | BISHOP) || piece === (color | QUEEN)) return true;
+        break;
+      }
+    }
+    for (const offset of ROOK_OFFSETS) {
+      for (let from = sq + offset; !(from & 0x88); from += offset) {
+        const piece = board[from];
+        if (!piece) continue;
+        if (piece === (color | ROOK) || piece === (color | QUEEN)) return true;
+        break;
+      }
+    }
+    return false;
+  }
+
+  inCheck(color = this.turn) {
+    return this.isAttacked(this.kings[color ? 1 : 0], color ^ BLACK);
+  }
+
+  /**
+   * Pseudo-legal moves (may leave the king in check)
+   */
+  generatePseudoMoves(capturesOnly = false) {
+    const moves = [];
+    const board = this.board;
+    const us = this.turn;
+    const them = us ^ BLACK;
+
+    const add = (from, to, flag = FLAGS.NORMAL) => {
+      const piece = board[from];
+      const captured = flag === FLAGS.EN_PASSANT ? (them | PAWN) : board[to];
+      const promotionRow = us === WHITE ? 0 : 7;
+      if (typeOf(piece) === PAWN && (to >> 4) === promotionRow) {
+        [QUEEN, ROOK, BISHOP, KNIGHT].forEach(promotion => {
+          moves.push({ from, to, piece, captured, promotion, flag });
+        });
+      } else {
+        moves.push({ from, to, piece, captured, promotion: 0, flag });
+      }
+    };
+
+    for (let from = 0; from < 128; from++) {
+      if (from & 0x88) {
+        from += 7;
+        continue;
+      }
+      const piece = board[from];
+      if (!piece || colorOf(piece) !== us) continue;
+      const type = typeOf(piece);
+
+      if (type === PAWN) {
+        const forward = us === WHITE ? -16 : 16;
+        const startRow = us === WHITE ? 6 : 1;
+        const promotionRow = us === WHITE ? 0 : 7;
+        const one = from + forward;
+        if (!(one & 0x88) && !board[one] && (!capturesOnly || (one >> 4) === promotionRow)) {
+          add(from, one);
+          const two = one + forward;
+          if (!capturesOnly && (from >> 4) === startRow && !board[two]) add(from, two, FLAGS.DOUBLE_PUSH);
+        }
+        for (const side of [-1, 1]) {
+          const to = from + forward + side;
+          if (to & 0x88) continue;
+          if (board[to] && colorOf(board[to]) === them) add(from, to);
+          else if (to === this.enPassant) add(from, to, FLAGS.EN_PASSANT);
+        }
+        continue;
+      }
+
+      const offsets = type === KNIGHT ? KNIGHT_OFFSETS
+        : type === BISHOP ? BISHOP_OFFSETS
+        : type === ROOK ? ROOK_OFFSETS
+        : KING_OFFSETS;
+      const slides = type === BISHOP || type === ROOK || type === QUEEN;
+
+      for (const offset of offsets) {
+        for (let to = from + offset; !(to & 0x88); to += offset) {
+          const target = board[to];
+          if (target) {
+            if (colorOf(target) === them) add(from, to);
+            break;
+          }
+          if (!capturesOnly) add(from, to);
+          if (!slides) break;
+        }
+      }
+
+      if (type === KING && !capturesOnly) {
+        const [kingSide, queenSide, home] = us === WHITE ? [WK, WQ, 116] : [BK, BQ, 4];
+        if (from === home && !this.isAttacked(home, them)) {
+          if ((this.castling & kingSide) && !board[home + 1] && !board[home + 2]
+            && !this.isAttacked(home + 1, them) && !this.isAttacked(home + 2, them)) {
+            add(from, home + 2, FLAGS.CASTLE_KING);
+          }
+          if ((this.castling & queenSide) && !board[home - 1] && !board[home - 2] && !board[home - 3]
+            && !this.isAttacked(home - 1, them) && !this.isAttacked(home - 2, them)) {
+            add(from, home - 2, FLAGS.CASTLE_QUEEN);
+          }
+        }
+      }
+    }
+
+    return moves;
+  }
+
+  /**
+   * Legal moves
+   */
+  generateMoves(capturesOnly = false) {
+    const us = this.turn;
+    return this.generatePseudoMoves(capturesOnly).filter(move => {
+      this.makeMove(move);
+      const legal = !this.inCheck(us);
+      this.undoMove();
+      return legal;
+    });
+  }
+
+  makeMove(move) {
+    const board = this.board;
+    const us = this.turn;
+    this.history.push({ move, castling: this.castling, enPassant: this.enPassant, halfMoves: this.halfMoves });
+
+    board[move.to] = move.promotion ? (us | move.promotion) : move.piece;
+    board[move.from] = 0;
+
+    if (move.flag === FLAGS.EN_PASSANT) {
+      board[move.to + (us === WHITE ? 16 : -16)] = 0;
+    } else if (move.flag === FLAGS.CASTLE_KING) {
+      board[move.to - 1] = board[move.to + 1];
+      board[move.to + 1] = 0;
+    } else if (move.flag === FLAGS.CASTLE_QUEEN) {
+      board[move.to + 1] = board[move.to - 2];
+      board[move.to - 2] = 0;
+    }
+
+    if (typeOf(move.piece) === KING) this.kings[us ? 1 : 0] = move.to;
+    this.castling &= CASTLING_MASK[move.from] & CASTLING_MASK[move.to];
+    this.enPassant = move.flag === FLAGS.DOUBLE_PUSH ? (move.from + move.to) / 2 : -1;
+    this.halfMoves = typeOf(move.piece) === PAWN || move.captured ? 0 : this.halfMoves + 1;
+    this.turn = us ^ BLACK;
+  }
+
+  undoMove() {
+    const { move, castling, enPassant, halfMoves } = this.history.pop();
+    const board = this.board;
+    const us = this.turn ^ BLACK;
+
+    board[move.from] = move.piece;
+    board[move.to] = move.flag === FLAGS.EN_PASSANT ? 0 : move.captured;
+
+    if (move.flag === FLAGS.EN_PASSANT) {
+      board[move.to + (us === WHITE ? 16 : -16)] = move.captured;
+    } else if (move.flag === FLAGS.CASTLE_KING) {
+      board[move.to + 1] = board[move.to - 1];
+      board[move.to - 1] = 0;
+    } else if (move.flag === FLAGS.CASTLE_QUEEN) {
+      board[move.to - 2] = board[move.to + 1];
+      board[move.to + 1] = 0;
+    }
+
+    if (typeOf(move.piece) === KING) this.kings[us ? 1 : 0] = move.from;
+    this.castling = castling;
+    this.enPassant = enPassant;
+    this.halfMoves = halfMoves;
+    this.turn = us;
+  }
+}
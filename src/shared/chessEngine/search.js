@@ -0,0 +1,304 @@
+/**
+ * Chess engine
+ *
+ * Alpha-beta (negamax) search with iterative deepening, quiescence on captures, MVV-LVA
+ * move ordering and a material + piece-square evaluation. The search runs on the fast
+ * board in position.js; chess.js only turns the chosen move into SAN.
+ *
+ * Runs in a Web Worker (chessEngine.worker.js); nothing here touches the DOM.
+ * Scores are centipawns from the side to move unless noted otherwise.
+ */
+
+import { Chess } from 'chess.js';
+import { CHESS_ENGINE_LEVELS, DEFAULT_CHESS_ENGINE_LEVEL } from '../constants/gameConstants.js';
+import { Position, WHITE, PIECE_LETTERS, colorOf, typeOf, squareName } from './position.js';
+
+export const MATE_SCORE = 100000;
+const MATE_THRESHOLD = MATE_SCORE - 1000;
+const QUIESCENCE_DEPTH = 4;
+
+// Indexed by piece type (see position.js)
+const PIECE_VALUES = [0, 100, 320, 330, 500, 900, 0];
+
+// Piece-square tables from white's side, a8 first
+const PIECE_SQUARE_BY_LETTER = {
+  p: [
+    0, 0, 0, 0, 0, 0, 0, 0,
+    50, 50, 50, 50, 50, 50, 50, 50,
+    10, 10, 20, 30, 30, 20, 10, 10,
+    5, 5, 10, 25, 25, 10, 5, 5,
+    0, 0, 0, 20, 20, 0, 0, 0,
+    5, -5, -10, 0, 0, -10, -5, 5,
+    5, 10, 10, -20, -20, 10, 10, 5,
+    0, 0, 0, 0, 0, 0, 0, 0
+  ],
+  n: [
+    -50, -40, -30, -30, -30, -30, -40, -50,
+    -40, -20, 0, 0, 0, 0, -20, -40,
+    -30, 0, 10, 15, 15, 10, 0, -30,
+    -30, 5, 15, 20, 20, 15, 5, -30,
+    -30, 0, 15, 20, 20, 15, 0, -30,
+    -30, 5, 10, 15, 15, 10, 5, -30,
+    -40, -20, 0, 5, 5, 0, -20, -40,
+    -50, -40, -30, -30, -30, -30, -40, -50
+  ],
+  b: [
+    -20, -10, -10, -10, -10, -10, -10, -20,
+    -10, 0, 0, 0, 0, 0, 0, -10,
+    -10, 0, 5, 10, 10, 5, 0, -10,
+    -10, 5, 5, 10, 10, 5, 5, -10,
+    -10, 0, 10, 10, 10, 10, 0, -10,
+    -10, 10, 10, 10, 10, 10, 10, -10,
+    -10, 5, 0, 0, 0, 0, 5, -10,
+    -20, -10, -10, -10, -10, -10, -10, -20
+  ],
+  r: [
+    0, 0, 0, 0, 0, 0, 0, 0,
+    5, 10, 10, 10, 10, 10, 10, 5,
+    -5, 0, 0, 0, 0, 0, 0, -5,
+    -5, 0, 0, 0, 0, 0, 0, -5,
+    -5, 0, 0, 0, 0, 0, 0, -5,
+    -5, 0, 0, 0, 0, 0, 0, -5,
+    -5, 0, 0, 0, 0, 0, 0, -5,
+    0, 0, 0, 5, 5, 0, 0, 0
+  ],
+  q: [
+    -20, -10, -10, -5, -5, -10, -10, -20,
+    -10, 0, 0, 0, 0, 0, 0, -10,
+    -10, 0, 5, 5, 5, 5, 0, -10,
+    -5, 0, 5, 5, 5, 5, 0, -5,
+    0, 0, 5, 5, 5, 5, 0, -5,
+    -10, 5, 5, 5, 5, 5, 0, -10,
+    -10, 0, 5, 0, 0, 0, 0, -10,
+    -20, -10, -10, -5, -5, -10, -10, -20
+  ],
+  k: [
+    -30, -40, -40, -50, -50, -40, -40, -30,
+    -30, -40, -40, -50, -50, -40, -40, -30,
+    -30, -40, -40, -50, -50, -40, -40, -30,
+    -30, -40, -40, -50, -50, -40, -40, -30,
+    -20, -30, -30, -40, -40, -30, -30, -20,
+    -10, -20, -20, -20, -20, -20, -20, -10,
+    20, 20, 0, 0, 0, 0, 20, 20,
+    20, 30, 10, 0, 0, 10, 30, 20
+  ]
+};
+const PIECE_SQUARE = PIECE_LETTERS.map(letter => PIECE_SQUARE_BY_LETTER[letter] || []);
+
+export const getEngineLevel = (id) => (
+  CHESS_ENGINE_LEVELS.find(level => level.id === Number(id))
+  || CHESS_ENGINE_LEVELS.find(level => level.id === DEFAULT_CHESS_ENGINE_LEVEL)
+);
+
+/**
+ * Static evaluation from the side to move
+ */
+export const evaluate = (position) => {
+  const board = position.board;
+  let score = 0;
+  for (let sq = 0; sq < 128; sq++) {
+    if (sq & 0x88) {
+      sq += 7;
+      continue;
+    }
+    const piece = board[sq];
+    if (!piece) continue;
+    const type = typeOf(piece);
+    const row = sq >> 4;
+    const index = (colorOf(piece) === WHITE ? row : 7 - row) * 8 + (sq & 7);
+    const value = PIECE_VALUES[type] + PIECE_SQUARE[type][index];
+    score += colorOf(piece) === WHITE ? value : -value;
+  }
+  return position.turn === WHITE ? score : -score;
+};
+
+const moveKey = (move) => `${move.from}-${move.to}-${move.promotion}`;
+
+// Captures (most valuable victim, least valuable attacker) and promotions first
+const movePriority = (move) => (
+  (move.captured ? 10 * PIECE_VALUES[typeOf(move.captured)] - PIECE_VALUES[typeOf(move.piece)] + 10000 : 0)
+  + (move.promotion ? PIECE_VALUES[move.promotion] : 0)
+);
+
+const orderMoves = (moves, firstKey = null) => moves
+  .map(move => ({ move, priority: firstKey && moveKey(move) === firstKey ? Infinity : movePriority(move) }))
+  .sort((a, b) => b.priority - a.priority)
+  .map(({ move }) => move);
+
+const isTimeUp = (context) => {
+  if (context.stopped) return true;
+  if ((++context.nodes & 1023) === 0 && Date.now() >= context.deadline) context.stopped = true;
+  return context.stopped;
+};
+
+const quiesce = (position, alpha, beta, depth, context) => {
+  const standPat = evaluate(position);
+  if (standPat >= beta) return beta;
+  if (standPat > alpha) alpha = standPat;
+  if (depth === 0 || isTimeUp(context)) return alpha;
+
+  for (const move of orderMoves(position.generateMoves(true))) {
+    position.makeMove(move);
+    const score = -quiesce(position, -beta, -alpha, depth - 1, context);
+    position.undoMove();
+    if (score >= beta) return beta;
+    if (score > alpha) alpha = score;
+  }
+  return alpha;
+};
+
+const negamax = (position, depth, alpha, beta, ply, context) => {
+  if (isTimeUp(context)) return 0;
+
+  const moves = position.generateMoves();
+  if (moves.length === 0) return position.inCheck() ? -MATE_SCORE + ply : 0;
+  if (position.halfMoves >= 100) return 0;
+  if (depth === 0) return quiesce(position, alpha, beta, QUIESCENCE_DEPTH, context);
+
+  for (const move of orderMoves(moves)) {
+    position.makeMove(move);
+    const score = -negamax(position, depth - 1, -beta, -alpha, ply + 1, context);
+    position.undoMove();
+    if (context.stopped) return 0;
+    if (score >= beta) return beta;
+    if (score > alpha) alpha = score;
+  }
+  return alpha;
+};
+
+/**
+ * Score every root move (exactly for those within `margin` of the best)
+ * @returns {Array<{ move: Object, score: number }>|null} null if time ran out
+ */
+const searchRootMoves = (position, depth, margin, previousBest, context) => {
+  const results = [];
+  let best = -Infinity;
+
+  for (const move of orderMoves(position.generateMoves(), previousBest)) {
+    position.makeMove(move);
+    const alpha = best === -Infinity ? -Infinity : best - margin - 1;
+    const score = -negamax(position, depth - 1, -Infinity, -alpha, 1, context);
+    position.undoMove();
+    if (context.stopped) return null;
+
+    results.push({ move, score });
+    if (score > best) best = score;
+  }
+  return results.sort((a, b) => b.score - a.score);
+};
+
+/**
+ * Search a position
+ * @param {string} fen
+ * @param {Object} options - { depth, timeMs, randomnessCp, random }
+ * @returns {{ move: Object|null, score: number, depth: number, nodes: number }}
+ */
+export const searchPosition = (fen, { depth = 3, timeMs = 2000, randomnessCp = 0, random = Math.random } = {}) => {
+  const position = new Position(fen);
+  const context = { nodes: 0, deadline: Date.now() + timeMs, stopped: false };
+
+  if (position.generateMoves().length === 0) {
+    return { move: null, bestSan: null, score: position.inCheck() ? -MATE_SCORE : 0, depth: 0, nodes: 0 };
+  }
+
+  let completed = null;
+  let completedDepth = 0;
+  for (let d = 1; d <= depth; d++) {
+    const results = searchRootMoves(position, d, randomnessCp, completed && moveKey(completed[0].move), context);
+    if (!results) break;
+    completed = results;
+    completedDepth = d;
+    // A forced mate won't get any better
+    if (Math.abs(results[0].score) >= MATE_THRESHOLD) break;
+  }
+
+  // Always finish at least a one-ply search
+  if (!completed) {
+    context.stopped = false;
+    context.deadline = Infinity;
+    completed = searchRootMoves(position, 1, randomnessCp, null, context);
+    completedDepth = 1;
+  }
+
+  const best = completed[0].score;
+  const candidates = completed.filter(result => result.score >= best - randomnessCp);
+  const choice = candidates[Math.floor(random() * candidates.length)];
+
+  return {
+    move: toChessMove(fen, choice.move),
+    bestSan: toChessMove(fen, completed[0].move).san,
+    score: choice.score,
+    depth: completedDepth,
+    nodes: context.nodes
+  };
+};
+
+/**
+ * Engine move as a chess.js move ({ from, to, promotion, san })
+ */
+const toChessMove = (fen, move) => {
+  const from = squareName(move.from);
+  const to = squareName(move.to);
+  const promotion = move.promotion ? PIECE_LETTERS[move.promotion] : undefined;
+  const { san } = new Chess(fen).move({ from, to, promotion });
+  return { from, to, promotion, san };
+};
+
+/**
+ * Best move for a computer opponent
+ */
+export const findBestMove = (fen, levelId) => {
+  const { depth, timeMs, randomnessCp } = getEngineLevel(levelId);
+  return searchPosition(fen, { depth, timeMs, randomnessCp });
+};
+
+/**
+ * Evaluate a position for review
+ * @returns {{ score: number, mate: number|null, bestSan: string|null }} Score from white's side
+ *   (`mate` is moves to mate, negative when black mates)
+ */
+export const evaluatePosition = (fen, depth) => {
+  const sign = fen.split(' ')[1] === 'w' ? 1 : -1;
+  const { score, bestSan } = searchPosition(fen, { depth, timeMs: Infinity });
+
+  let mate = null;
+  if (Math.abs(score) >= MATE_THRESHOLD) {
+    const plies = MATE_SCORE - Math.abs(score);
+    mate = Math.sign(score) * sign * Math.ceil(plies / 2);
+  }
+  return { score: score * sign, mate, bestSan: bestSan || null };
+};
+
+/**
+ * Winning chances in [-1, 1] for a score from white's side
+ */
+export const winningChances = (score) => 2 / (1 + Math.exp(-0.00368208 * Math.max(-1500, Math.min(1500, score)))) - 1;
+
+// Loss of winning chances (for the side that moved) that makes a move...
+const REVIEW_THRESHOLDS = [
+  { classification: 'blunder', minLoss: 0.3, nag: 4 },
+  { classification: 'mistake', minLoss: 0.2, nag: 2 },
+  { classification: 'inaccuracy', minLoss: 0.1, nag: 6 }
+];
+
+/**
+ * Judge each move of a game by how much it changed the evaluation
+ * @param {Array<Object>} evaluations - evaluatePosition() for the start and after every move
+ * @param {string} startFen
+ * @returns {Array<{ classification: string|null, nag: number|null, loss: number }>} One per move
+ */
+export const classifyMoves = (evaluations, startFen) => {
+  const whiteStarts = startFen.split(' ')[1] === 'w';
+
+  return evaluations.slice(1).map((after, index) => {
+    const before = evaluations[index];
+    const whiteMoved = (index % 2 === 0) === whiteStarts;
+    const loss = (winningChances(before.score) - winningChances(after.score)) * (whiteMoved ? 1 : -1);
+    const threshold = REVIEW_THRESHOLDS.find(t => loss >= t.minLoss);
+    return {
+      classification: threshold?.classification || null,
+      nag: threshold?.nag || null,
+      loss: Math.max(0, loss)
+    };
+  });
+};
@@ -0,0 +1,18 @@
+import React from 'react';
+import { useCachedMedia } from '../../hooks/useCachedMedia';
+
+/**
+ * CachedImage - <img> served from the local media cache when possible
+ * Shows a placeholder while the cached copy is looked up
+ */
+const CachedImage = ({ src, className = '', ...props }) => {
+    const cachedSrc = useCachedMedia(src);
+
+    if (!cachedSrc) {
+        return <div className={`${className} h-48 bg-black/5 dark:bg-white/5`} />;
+    }
+
+    return <img src={cachedSrc} className={className} {...props} />;
+};
+
+export default CachedImage;
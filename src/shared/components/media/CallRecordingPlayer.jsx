@@ -1,12 +1,25 @@
 /**
  * Call Recording Player Component
- * Plays back recorded call audio with playback controls
+ * Plays back a recorded call (audio, or the video grid of a video call) with playback controls,
+ * and its transcript when it had captions: the line being played shows as a caption
  */
 
 import React, { useState, useRef, useEffect } from 'react';
 import { Play, Pause, Download, Clock } from 'lucide-react';
-
-const CallRecordingPlayer = ({ recordingUrl, duration, participants = [], timestamp }) => {
+import CallTranscript from './CallTranscript';
+import { getSegmentAtTime } from '../../utils/transcript';
+
+const CallRecordingPlayer = ({
+    recordingUrl,
+    duration,
+    participants = [],
+    timestamp,
+    isVideo = false,
+    title = 'Missed Call Recording',
+    transcript = null,
+    recordingStartedAt = null,
+    getSpeakerName = (speakerId) => speakerId
+}) => {
     const [isPlaying, setIsPlaying] = useState(false);
     const [currentTime, setCurrentTime] = useState(0);
     const [audioDuration, setAudioDuration] = useState(duration || 0);
@@ -17,7 +30,10 @@ const CallRecordingPlayer = ({ recordingUrl, duration, participants = [], timest
         if (!audio) return;
 
         const handleLoadedMetadata = () => {
-            setAudioDuration(audio.duration);
+            // Recorded WebM files often don't say how long they are (Infinity)
+            if (Number.isFinite(audio.duration)) {
+                setAudioDuration(audio.duration);
+            }
         };
 
         const handleTimeUpdate = () => {
@@ -55,14 +71,20 @@ const CallRecordingPlayer = ({ recordingUrl, duration, participants = [], timest
         const bar = e.currentTarget;
         const rect = bar.getBoundingClientRect();
         const percent = (e.clientX - rect.left) / rect.width;
-        const newTime = percent * audioDuration;
+        seekTo(percent * audioDuration);
+    };
 
+    const seekTo = (newTime) => {
         if (audioRef.current) {
             audioRef.current.currentTime = newTime;
             setCurrentTime(newTime);
         }
     };
 
+    const activeSegment = transcript && recordingStartedAt
+        ? getSegmentAtTime(transcript, recordingStartedAt, currentTime)
+        : null;
+
     const handleDownload = () => {
         const link = document.createElement('a');
         link.href = recordingUrl;
@@ -86,7 +108,18 @@ const CallRecordingPlayer = ({ recordingUrl, duration, participants = [], timest
 
     return (
         <div className="bg-gradient-to-br from-blue-50 to-purple-50 dark:from-gray-800 dark:to-gray-900 rounded-xl p-4 border border-blue-200 dark:border-gray-700">
-            <audio ref={audioRef} src={recordingUrl} preload="metadata" />
+            {isVideo ? (
+                <video
+                    ref={audioRef}
+                    src={recordingUrl}
+                    preload="metadata"
+                    playsInline
+                    onClick={handlePlayPause}
+                    className="w-full aspect-video bg-black rounded-lg mb-3 cursor-pointer"
+                />
+            ) : (
+                <audio ref={audioRef} src={recordingUrl} preload="metadata" />
+            )}
 
             {/* Header */}
             <div className="flex items-start justify-between mb-3">
@@ -96,7 +129,7 @@ const CallRecordingPlayer = ({ recordingUrl, duration, participants = [], timest
                             <Clock size={16} className="text-white" />
                         </div>
                         <span className="font-semibold text-gray-800 dark:text-gray-100">
-                            Missed Call Recording
+                            {title}
                         </span>
                     </div>
                     {timestamp && (
@@ -133,6 +166,14 @@ const CallRecordingPlayer = ({ recordingUrl, duration, participants = [], timest
 
             {/* Playback Controls */}
             <div className="space-y-2">
+                {/* Caption of the line being played */}
+                {activeSegment && (
+                    <p className="text-sm text-center text-gray-800 dark:text-gray-100 bg-white/60 dark:bg-gray-700 rounded-lg px-3 py-1.5">
+                        <span className="font-semibold">{getSpeakerName(activeSegment.speakerId)}: </span>
+                        {activeSegment.text}
+                    </p>
+                )}
+
                 {/* Progress Bar */}
                 <div 
                     className="w-full h-2 bg-gray-300 dark:bg-gray-700 rounded-full cursor-pointer group relative"
@@ -168,6 +209,19 @@ const CallRecordingPlayer = ({ recordingUrl, duration, participants = [], timest
                     </span>
                 </div>
             </div>
+
+            {/* Transcript */}
+            {transcript && (
+                <div className="mt-3 pt-3 border-t border-blue-200 dark:border-gray-700">
+                    <CallTranscript
+                        segments={transcript}
+                        getSpeakerName={getSpeakerName}
+                        recordingStartedAt={recordingStartedAt}
+                        activeSegmentId={activeSegment?.id}
+                        onSeek={seekTo}
+                    />
+                </div>
+            )}
         </div>
     );
 };
@@ -0,0 +1,82 @@
+/**
+ * Call Transcript Component
+ * A call's transcript with search. Alongside a recording, the line being played is
+ * highlighted and clicking a line plays from there.
+ */
+
+import React, { useState, useMemo } from 'react';
+import { Search } from 'lucide-react';
+import { searchTranscript, getSegmentOffset } from '../../utils/transcript';
+
+const formatOffset = (seconds) => {
+    const mins = Math.floor(seconds / 60);
+    const secs = Math.floor(seconds % 60);
+    return `${mins}:${secs.toString().padStart(2, '0')}`;
+};
+
+const CallTranscript = ({
+    segments = [],
+    getSpeakerName = (speakerId) => speakerId,
+    recordingStartedAt = null,
+    activeSegmentId = null,
+    onSeek = null
+}) => {
+    const [query, setQuery] = useState('');
+    const matches = useMemo(() => searchTranscript(segments, query), [segments, query]);
+
+    if (segments.length === 0) {
+        return <p className="text-xs text-gray-500 dark:text-gray-400">Nothing was said with captions on.</p>;
+    }
+
+    // Without a recording, times are from the first line
+    const startedAt = recordingStartedAt ?? segments[0].startedAt;
+    const canSeek = Boolean(onSeek && recordingStartedAt);
+
+    return (
+        <div className="space-y-2">
+            <div className="flex items-center gap-2 bg-white/60 dark:bg-gray-700 rounded-full px-3 py-1.5">
+                <Search size={14} className="text-gray-500 dark:text-gray-400" />
+                <input
+                    type="search"
+                    value={query}
+                    onChange={(e) => setQuery(e.target.value)}
+                    placeholder="Search transcript"
+                    className="flex-1 bg-transparent text-xs text-gray-800 dark:text-gray-100 outline-none"
+                />
+                {query && (
+                    <span className="text-[11px] text-gray-500 dark:text-gray-400">
+                        {matches.length} of {segments.length}
+                    </span>
+                )}
+            </div>
+
+            <div className="max-h-48 overflow-y-auto space-y-1 pr-1">
+                {matches.map((segment) => {
+                    const offset = getSegmentOffset(segment, startedAt);
+                    return (
+                        <button
+                            key={segment.id}
+                            type="button"
+                            onClick={canSeek ? () => onSeek(offset) : undefined}
+                            disabled={!canSeek}
+                            className={`w-full text-left rounded-lg px-2 py-1 text-xs transition-colors ${
+                                segment.id === activeSegmentId
+                                    ? 'bg-blue-100 dark:bg-blue-900/40'
+                                    : canSeek ? 'hover:bg-white/60 dark:hover:bg-gray-700' : ''
+                            }`}
+                        >
+                            <span className="font-mono text-gray-500 dark:text-gray-400 mr-2">{formatOffset(offset)}</span>
+                            <span className="font-semibold text-gray-700 dark:text-gray-200">{getSpeakerName(segment.speakerId)}: </span>
+                            <span className="text-gray-700 dark:text-gray-300">{segment.text}</span>
+                        </button>
+                    );
+                })}
+                {matches.length === 0 && (
+                    <p className="text-xs text-gray-500 dark:text-gray-400 px-2">No lines match “{query}”.</p>
+                )}
+            </div>
+        </div>
+    );
+};
+
+export default CallTranscript;
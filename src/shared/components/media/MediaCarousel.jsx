@@ -2,6 +2,7 @@
 import React, { useState, useRef } from 'react';
 import { ChevronLeft, ChevronRight } from 'lucide-react';
 import VideoMessage from './VideoMessage';
+import CachedImage from './CachedImage';
 
 const MediaCarousel = ({ mediaUrls }) => {
     const [currentIndex, setCurrentIndex] = useState(0);
@@ -76,7 +77,7 @@ const MediaCarousel = ({ mediaUrls }) => {
                                 className="w-full h-full"
                             />
                         ) : (
-                            <img
+                            <CachedImage
                                 src={url}
                                 alt={`Slide ${idx + 1}`}
                                 className="w-full h-full object-cover pointer-events-none"
@@ -1,13 +1,47 @@
 /**
  * Recording Consent Notification
- * Shows when a call is being recorded
+ * Asks for consent to record a call, and shows when it is being recorded
+ *
+ * Modes:
+ * - request: someone asked to record; agree or refuse
+ * - waiting: we asked, and not everyone has answered yet
+ * - declined: we asked, and not everyone agreed
+ * - recording: the call is being recorded
  */
 
 import React, { useState, useEffect } from 'react';
 import { createPortal } from 'react-dom';
-import { Video, AlertTriangle, X } from 'lucide-react';
+import { Video, Mic, AlertTriangle, X } from 'lucide-react';
 
-const RecordingConsentNotification = ({ isVisible, onDismiss }) => {
+const CONTENT = {
+  request: {
+    title: 'Recording Request',
+    text: ({ requesterName, includesVideo }) =>
+      `${requesterName || 'Someone'} wants to record this call${includesVideo ? ' (audio and video)' : ''}. It is only recorded if everyone agrees.`
+  },
+  waiting: {
+    title: 'Asking to Record',
+    text: () => 'Waiting for everyone in the call to agree. Recording starts once they all have.'
+  },
+  declined: {
+    title: 'Not Recording',
+    text: () => 'Not everyone agreed, so this call is not being recorded.'
+  },
+  recording: {
+    title: 'Recording in Progress',
+    text: () => 'This call is being recorded. Everyone in it agreed, and anyone can stop the recording.'
+  }
+};
+
+const RecordingConsentNotification = ({
+  isVisible,
+  onDismiss,
+  mode = 'recording',
+  requesterName,
+  includesVideo = false,
+  onAccept,
+  onDecline
+}) => {
   const [show, setShow] = useState(false);
 
   useEffect(() => {
@@ -22,13 +56,21 @@ const RecordingConsentNotification = ({ isVisible, onDismiss }) => {
 
   if (!show) return null;
 
+  const content = CONTENT[mode] || CONTENT.recording;
+  const isRecording = mode === 'recording';
+  const Icon = includesVideo ? Video : Mic;
+
   return createPortal(
     <div
       className={`fixed top-4 left-1/2 -translate-x-1/2 z-[150] max-w-md w-full mx-4 transition-all duration-300 ${
         isVisible ? 'animate-in slide-in-from-top-2 fade-in' : 'animate-out slide-out-to-top-2 fade-out'
       }`}
     >
-      <div className="bg-gradient-to-r from-red-500 to-red-600 rounded-lg shadow-2xl border-2 border-red-400 p-4">
+      <div className={`relative rounded-lg shadow-2xl border-2 p-4 ${
+        isRecording
+          ? 'bg-gradient-to-r from-red-500 to-red-600 border-red-400'
+          : 'bg-gradient-to-r from-gray-800 to-gray-900 border-gray-600'
+      }`}>
         {/* Close Button */}
         {onDismiss && (
           <button
@@ -43,8 +85,8 @@ const RecordingConsentNotification = ({ isVisible, onDismiss }) => {
         <div className="flex items-start gap-3">
           {/* Icon */}
           <div className="flex-shrink-0">
-            <div className="w-10 h-10 bg-white/20 rounded-full flex items-center justify-center animate-pulse">
-              <Video size={20} className="text-white" />
+            <div className={`w-10 h-10 bg-white/20 rounded-full flex items-center justify-center ${isRecording ? 'animate-pulse' : ''}`}>
+              <Icon size={20} className="text-white" />
             </div>
           </div>
 
@@ -52,19 +94,50 @@ const RecordingConsentNotification = ({ isVisible, onDismiss }) => {
           <div className="flex-1">
             <div className="flex items-center gap-2 mb-1">
               <AlertTriangle size={16} className="text-white" />
-              <h3 className="font-bold text-white">Recording in Progress</h3>
+              <h3 className="font-bold text-white">{content.title}</h3>
             </div>
             <p className="text-sm text-white/90">
-              This call is being recorded. Both parties have been notified. Your recording will be saved locally and encrypted.
+              {content.text({ requesterName, includesVideo })}
             </p>
           </div>
         </div>
 
+        {/* Consent Actions */}
+        {mode === 'request' && (
+          <div className="mt-3 flex justify-end gap-2">
+            <button
+              onClick={onDecline}
+              className="px-4 py-1.5 rounded-full text-sm font-medium text-white bg-white/10 hover:bg-white/20 transition-colors"
+            >
+              Decline
+            </button>
+            <button
+              onClick={onAccept}
+              className="px-4 py-1.5 rounded-full text-sm font-medium text-white bg-red-500 hover:bg-red-600 transition-colors"
+            >
+              Allow Recording
+            </button>
+          </div>
+        )}
+
+        {mode === 'waiting' && onDecline && (
+          <div className="mt-3 flex justify-end">
+            <button
+              onClick={onDecline}
+              className="px-4 py-1.5 rounded-full text-sm font-medium text-white bg-white/10 hover:bg-white/20 transition-colors"
+            >
+              Cancel Request
+            </button>
+          </div>
+        )}
+
         {/* Recording Indicator */}
-        <div className="mt-3 flex items-center gap-2 text-white">
-          <div className="w-3 h-3 bg-white rounded-full animate-pulse" />
-          <span className="text-xs font-medium">REC</span>
-        </div>
+        {isRecording && (
+          <div className="mt-3 flex items-center gap-2 text-white">
+            <div className="w-3 h-3 bg-white rounded-full animate-pulse" />
+            <span className="text-xs font-medium">REC</span>
+          </div>
+        )}
       </div>
     </div>,
     document.body
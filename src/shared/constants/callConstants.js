@@ -0,0 +1,95 @@
+/**
+ * Call Constants
+ * Group call topology, simulcast, dominant speaker, connection recovery and call quality
+ * settings shared by the call services, the call UI and the reference SFU (server/sfuServer.js)
+ */
+
+// Group calls open a peer connection to every participant until there are more than this
+// many people in the call (you included); then they move to the SFU, if one is configured
+export const SFU_PARTICIPANT_THRESHOLD = 4;
+
+// Video is published in every layer; each receiver gets the one that fits its tile
+export const SIMULCAST_LAYERS = {
+    LOW: 'low',
+    MEDIUM: 'medium',
+    HIGH: 'high',
+};
+
+export const SIMULCAST_ENCODINGS = [
+    { layer: SIMULCAST_LAYERS.LOW, scaleResolutionDownBy: 4, maxBitrate: 150000 },
+    { layer: SIMULCAST_LAYERS.MEDIUM, scaleResolutionDownBy: 2, maxBitrate: 500000 },
+    { layer: SIMULCAST_LAYERS.HIGH, scaleResolutionDownBy: 1, maxBitrate: 1500000 },
+];
+
+// Smallest tile width (in device pixels) that gets each layer
+export const SIMULCAST_TILE_WIDTHS = {
+    [SIMULCAST_LAYERS.MEDIUM]: 320,
+    [SIMULCAST_LAYERS.HIGH]: 960,
+};
+
+// Dominant speaker: audio levels are sampled every `intervalMs`; a new speaker takes over
+// once they have been loudest (and above `minLevel`) for `holdMs`
+export const DOMINANT_SPEAKER = {
+    intervalMs: 250,
+    minLevel: 0.05,
+    holdMs: 1000,
+};
+
+// Connection recovery: a 'disconnected' connection gets `disconnectGraceMs` to come back by
+// itself before ICE is restarted ('failed' restarts at once); each restart gets
+// `restartTimeoutMs` to connect, and the call gives up after `maxRestarts`
+export const ICE_RECOVERY = {
+    disconnectGraceMs: 3000,
+    restartTimeoutMs: 10000,
+    maxRestarts: 3,
+};
+
+// Short-lived TURN credentials are fetched again this long before they expire
+export const TURN_REFRESH_MARGIN_MS = 60000;
+
+// Call quality: stats are sampled every `sampleIntervalMs`. Each signal bar count needs every
+// metric within its limits (RTT and jitter in ms, packet loss in %); below the last, 1 bar
+export const CALL_QUALITY = {
+    sampleIntervalMs: 2000,
+    levels: [
+        { bars: 4, rtt: 150, jitter: 20, packetLoss: 1 },
+        { bars: 3, rtt: 300, jitter: 40, packetLoss: 3 },
+        { bars: 2, rtt: 500, jitter: 80, packetLoss: 8 },
+    ],
+    labels: { 4: 'Excellent', 3: 'Good', 2: 'Fair', 1: 'Poor' },
+};
+
+// Adaptive bitrate for the video we send: cut the cap when the far end loses packets or the
+// round trip grows, raise it slowly while things are clear. Lower caps also scale the
+// resolution down (`resolutionSteps`, checked in order)
+export const ADAPTIVE_BITRATE = {
+    minBitrate: 100000,
+    maxBitrate: 1500000,
+    decreaseFactor: 0.7,
+    increaseFactor: 1.1,
+    congested: { packetLoss: 5, rtt: 400 },
+    clear: { packetLoss: 2, rtt: 250 },
+    resolutionSteps: [
+        { below: 250000, scaleResolutionDownBy: 4 },
+        { below: 600000, scaleResolutionDownBy: 2 },
+    ],
+};
+
+// Call recording: the recorder hands over a chunk every `chunkMs`, uploaded right away so a
+// crash loses at most that much. Everyone has `consentTimeoutMs` to answer a request, and the
+// video grid is drawn at `video.frameRate`
+export const CALL_RECORDING = {
+    chunkMs: 10000,
+    consentTimeoutMs: 30000,
+    uploadRetries: 3,
+    audioBitsPerSecond: 128000,
+    video: { width: 1280, height: 720, frameRate: 15, bitsPerSecond: 2500000 },
+};
+
+// Live captions: a finished line stays on screen for `displayMs`; the local stand-in recognizer
+// treats audio above `speechLevel` (0-1 RMS) as speech and ends a line after `silenceMs` of quiet
+export const CAPTIONS = {
+    displayMs: 6000,
+    speechLevel: 0.02,
+    silenceMs: 800,
+};
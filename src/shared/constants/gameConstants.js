@@ -80,6 +80,128 @@ export const GAME_CONFIG = {
   },
 };
 
+// Chess time controls (ms). Fischer increment is added after every move; Bronstein delay
+// gives back the time used, up to the delay
+export const CHESS_TIME_CONTROLS = [
+  { id: 'bullet-1', label: '1 min', category: 'Bullet', initialMs: 60000, incrementMs: 0, delayMs: 0 },
+  { id: 'bullet-2-1', label: '2 | 1', category: 'Bullet', initialMs: 120000, incrementMs: 1000, delayMs: 0 },
+  { id: 'blitz-3-2', label: '3 | 2', category: 'Blitz', initialMs: 180000, incrementMs: 2000, delayMs: 0 },
+  { id: 'blitz-5-d3', label: '5 | d3', category: 'Blitz', initialMs: 300000, incrementMs: 0, delayMs: 3000 },
+  { id: 'rapid-10', label: '10 min', category: 'Rapid', initialMs: 600000, incrementMs: 0, delayMs: 0 },
+  { id: 'rapid-15-10', label: '15 | 10', category: 'Rapid', initialMs: 900000, incrementMs: 10000, delayMs: 0 },
+];
+
+export const DEFAULT_CHESS_TIME_CONTROL = 'rapid-10';
+
+// Computer opponent strength. `randomnessCp` lets the engine pick any move within that
+// many centipawns of its best, so weaker levels make human-looking mistakes
+export const CHESS_ENGINE_LEVELS = [
+  { id: 1, label: 'Beginner', depth: 1, timeMs: 300, randomnessCp: 250 },
+  { id: 2, label: 'Casual', depth: 2, timeMs: 600, randomnessCp: 120 },
+  { id: 3, label: 'Club', depth: 3, timeMs: 1500, randomnessCp: 40 },
+  { id: 4, label: 'Strong', depth: 4, timeMs: 3000, randomnessCp: 10 },
+  { id: 5, label: 'Master', depth: 6, timeMs: 5000, randomnessCp: 0 },
+];
+
+export const DEFAULT_CHESS_ENGINE_LEVEL = 2;
+
+// Custom Snake & Ladders boards: a size x size grid with snakes, ladders and special squares
+export const SNAKE_BOARD_LIMITS = {
+  minSize: 5,
+  maxSize: 12,
+  maxJumps: 30, // snakes + ladders
+  maxSpecials: 20,
+  maxNameLength: 40,
+};
+
+export const SNAKE_SPECIAL_SQUARES = [
+  { id: 'skipTurn', label: 'Skip turn', icon: '⏸️', description: 'Miss your next turn' },
+  { id: 'rollAgain', label: 'Roll again', icon: '🔁', description: 'Take another roll' },
+];
+
+// Ludo house rules, chosen per game in the invite. Team mode needs 4 players
+// (red & blue against green & yellow)
+export const LUDO_HOUSE_RULES = [
+  { id: 'safeZones', label: 'Safe zones', description: 'Tokens on star squares can\'t be captured' },
+  { id: 'threeSixesPenalty', label: 'Three sixes', description: 'A third six in a row ends your turn' },
+  { id: 'captureToEnterHome', label: 'Capture to enter home', description: 'Capture a token before entering your home stretch' },
+  { id: 'blockades', label: 'Blockades', description: 'Two of your tokens on one square block opponents' },
+  { id: 'teamMode', label: 'Teams (2v2)', description: 'Partners sit opposite; both must finish to win' },
+  { id: 'quickMode', label: 'Quick game', description: 'Get one token home to win' },
+];
+
+export const DEFAULT_LUDO_HOUSE_RULES = {
+  safeZones: true,
+  threeSixesPenalty: false,
+  captureToEnterHome: false,
+  blockades: false,
+  teamMode: false,
+  quickMode: false,
+};
+
+// Player ID of the computer opponent in local games
+export const COMPUTER_PLAYER_ID = 'computer';
+
+// Bots for Ludo, Snake & Ladders and Tic-Tac-Toe. Bots seated in multiplayer games are
+// played by the referee and get player IDs starting with BOT_PLAYER_PREFIX
+export const BOT_DIFFICULTIES = [
+  { id: 'easy', label: 'Easy' },
+  { id: 'medium', label: 'Medium' },
+  { id: 'hard', label: 'Hard' },
+];
+
+export const DEFAULT_BOT_DIFFICULTY = 'medium';
+export const BOT_PLAYER_PREFIX = 'bot:';
+export const BOT_MOVE_DELAY_MS = 800;
+
+// Spectators see every move this late so they can't pass moves on to a player. Players
+// pick the delay in the game (they can also turn spectating off)
+export const SPECTATOR_DELAYS_MS = [0, 15000, 30000, 60000, 120000];
+export const DEFAULT_SPECTATOR_DELAY_MS = 15000;
+export const MAX_SPECTATORS = 50;
+export const MAX_SPECTATOR_CHAT_LENGTH = 300;
+
+// A player who drops out of a running game has this long to come back before they forfeit
+export const RECONNECT_GRACE_MS = 60000;
+
+// Group tournaments. Every match is one game between two players; a bye counts as a win
+export const TOURNAMENT_FORMATS = [
+  { id: 'knockout', label: 'Knockout', description: 'Lose once and you\'re out; a draw sends the higher seed through' },
+  { id: 'swiss', label: 'Swiss', description: 'Each round pairs players on the same score' },
+  { id: 'roundRobin', label: 'Round-robin', description: 'Everyone plays everyone once' },
+];
+
+export const TOURNAMENT_LIMITS = {
+  minPlayers: 3,
+  maxPlayers: 32,
+  maxNameLength: 40,
+};
+
+// A round starts once the previous one is over, but never before its scheduled time
+export const TOURNAMENT_ROUND_INTERVALS = [
+  { id: 'asap', label: 'As soon as the last round ends', ms: 0 },
+  { id: 'hourly', label: 'Every hour', ms: 3600000 },
+  { id: 'daily', label: 'Every day', ms: 86400000 },
+  { id: 'weekly', label: 'Every week', ms: 604800000 },
+];
+
+// Correspondence games are played a move at a time; the player to move loses once their days run out
+export const CORRESPONDENCE_GAME_TYPES = [GAME_TYPES.CHESS, GAME_TYPES.TIC_TAC_TOE];
+export const CORRESPONDENCE_DAYS_PER_MOVE = [1, 2, 3, 5, 7];
+export const DEFAULT_CORRESPONDENCE_DAYS = 3;
+
+// Depth used to evaluate every position when reviewing a game
+export const CHESS_REVIEW_DEPTH = 3;
+
+// Elo ratings, kept per game type. New players move faster until their rating settles
+export const RATING_CONFIG = {
+  initialRating: 1200,
+  provisionalGames: 10,
+  provisionalK: 40,
+  k: 20,
+  floor: 100,
+};
+
 // Responsive Breakpoints for Games
 export const GAME_BREAKPOINTS = {
   MOBILE_SMALL: 360,
@@ -1,16 +1,36 @@
-import React, { createContext, useContext, useState, useEffect, useMemo, useCallback } from 'react';
-import { generateGameId, generateRoomId } from '../utils/gameUtils';
+import React, { createContext, useContext, useState, useEffect, useMemo, useCallback, useRef } from 'react';
+import { generateGameId, generateRoomId, createMatchRecord, getGameTitle } from '../utils/gameUtils';
 import { webSocketService, GameEventTypes } from '../../services/WebSocketService';
+import { getGameRules, applyGameAction, isFinished, verifyRolls, createSeed, RuleViolation, RULE_ERRORS } from '../gameRules';
+import { COMPUTER_PLAYER_ID, TOURNAMENT_FORMATS } from '../constants/gameConstants';
 import { useLocalStorage, useSessionStorage } from '../hooks/useStorage';
 import { useNotifications } from '../hooks/useNotifications';
-import offlineMessageService from '../../services/OfflineMessageService';
+import offlineMessageService, { applyOutboxToMessages } from '../../services/OfflineMessageService';
 import authService from '../../services/firebase/AuthService';
 import settingsService from '../../services/firebase/SettingsService';
 import chatFirebaseService from '../../services/firebase/ChatFirebaseService';
 import { messageFirebaseService } from '../../services/firebase/MessageFirebaseService';
 import followFirebaseService from '../../services/firebase/FollowFirebaseService';
 import userService from '../../services/firebase/UserService';
+import encryptionService from '../../services/EncryptionService';
+import searchIndexService from '../../services/SearchIndexService';
+import messageStoreService from '../../services/MessageStoreService';
+import gameStatsFirebaseService from '../../services/firebase/GameStatsFirebaseService';
+import tournamentFirebaseService from '../../services/firebase/TournamentFirebaseService';
+import { createTournament as buildTournament, TOURNAMENT_STATUS } from '../utils/tournaments';
+import correspondenceFirebaseService from '../../services/firebase/CorrespondenceFirebaseService';
+import { createCorrespondenceGame as buildCorrespondenceGame, getPlayerToMove } from '../utils/correspondence';
+import unifiedNotificationService, { NOTIFICATION_TYPES } from '../../services/UnifiedNotificationService';
+import {
+  loadGameSessions,
+  saveGameSession,
+  appendSessionMove,
+  removeGameSession,
+  clearGameSessions,
+  restoreGameSession
+} from '../utils/gameSessions';
 import { DEFAULT_PRIVACY_SETTINGS } from '../constants/privacyLevels';
+import { PIN_FIELDS, isPinRecord, unlockWithPin, createPinRecord, derivePinKey, sealWithKey, openWithKey } from '../utils/pinVault';
 
 const AppContext = createContext(undefined);
 
@@ -31,6 +51,34 @@ const DEFAULT_SECURITY_SETTINGS = {
   isAppLockEnabled: false
 };
 
+// Stable empty list so locked chats are only cleared from the search index once
+const NO_MESSAGES = [];
+
+// Chats hydrated from the local message store on cold start
+const RECENT_CHATS_TO_HYDRATE = 10;
+
+/**
+ * Active game entry for a correspondence game document (first player is white / X)
+ */
+const toCorrespondenceActiveGame = (game) => ({
+  id: game.id,
+  type: game.gameType,
+  roomId: null,
+  chatId: game.chatId,
+  status: game.status,
+  timestamp: game.createdAt,
+  currentTurn: getPlayerToMove(game),
+  players: game.playerIds.map((userId, idx) => ({
+    userId,
+    status: 'playing',
+    color: game.gameType === 'chess' ? (idx === 0 ? 'white' : 'black') : idx === 0 ? 'X' : 'O'
+  })),
+  isMinimized: false,
+  timeControl: null,
+  correspondence: { daysPerMove: game.daysPerMove, moveDeadline: game.moveDeadline },
+  gameState: game.state
+});
+
 export const AppProvider = ({ children }) => {
   // All data now loaded from Firebase only - no static data.json
 
@@ -95,15 +143,40 @@ export const AppProvider = ({ children }) => {
   const [gameHistory, setGameHistory] = useState([]); // Completed games
   const [isGameInviteOpen, setIsGameInviteOpen] = useState(false);
   const [inviteOptions, setInviteOptions] = useState({ isGroup: false });
+  const [spectatingGame, setSpectatingGame] = useState(null); // Game being watched: { gameId, gameType, chatId, snakeBoard }
+  const [tournaments, setTournaments] = useState([]); // Unfinished tournaments the user plays in
+  const [correspondenceGames, setCorrespondenceGames] = useState([]); // Unfinished correspondence games the user plays in
+  const correspondenceSyncRef = useRef(new Map()); // Open correspondence games: gameId -> unsubscribe
+  const resumeRequestsRef = useRef(new Map()); // Games being resumed: gameId -> GAME_RESUME event ID
 
   // Real-time subscriptions tracking
   const [messageSubscriptions, setMessageSubscriptions] = useState(new Map());
+  const [messagePagination, setMessagePagination] = useState({}); // chatId -> { hasMoreOlder, isLoadingOlder }
 
   // Hidden messages for "Delete for Me" functionality
   const [hiddenMessages, setHiddenMessages] = useLocalStorage('hiddenMessages', {});
 
+  // Last-message previews cached for cold start; locked chats are sealed with a Chat Lock PIN key
+  const [chatPreviews, setChatPreviews] = useLocalStorage('chatPreviews', {});
+  const [lockedPreviewKey, setLockedPreviewKey] = useState(null); // memory only, never persisted
+  const [unsealedPreviews, setUnsealedPreviews] = useState({});
+  const chatPreviewsRef = useRef(chatPreviews);
+  chatPreviewsRef.current = chatPreviews;
+
+  // Message arrays last sent to the search index, per chat
+  const indexedMessagesRef = useRef(new Map());
+
   // Offline messaging state
   const [isOnline, setIsOnline] = useState(navigator.onLine);
+  const [outboxEntries, setOutboxEntries] = useState([]); // queued and dead-lettered writes
+
+  // Server messages with undelivered outbox writes applied on top
+  const messagesWithOutbox = useMemo(
+    () => applyOutboxToMessages(messages, outboxEntries),
+    [messages, outboxEntries]
+  );
+  const messagesWithOutboxRef = useRef(messagesWithOutbox);
+  messagesWithOutboxRef.current = messagesWithOutbox;
 
   // Follow functionality - Instagram-style (synced with Firebase)
   const [followedUsers, setFollowedUsers] = useState([]);
@@ -114,8 +187,38 @@ export const AppProvider = ({ children }) => {
   const [outgoingRequests, setOutgoingRequests] = useState([]); // Users I have requested to follow
   const [pendingRequests, setPendingRequests] = useState([]); // Users requesting to follow me
 
+  // Message subscription callback: the loaded window of a chat and whether older history exists
+  const receiveMessages = (chatId) => (loadedMessages, { hasMoreOlder = false } = {}) => {
+    console.log(`✅ Loaded ${loadedMessages.length} messages for chat ${chatId}`);
+    setMessages(prev => ({
+      ...prev,
+      [chatId]: loadedMessages
+    }));
+    setMessagePagination(prev => ({ ...prev, [chatId]: { ...prev[chatId], hasMoreOlder } }));
+  };
+
   // === EFFECTS ===
 
+  // Cold start: show recently viewed chats from the local message store before the network answers
+  useEffect(() => {
+    let cancelled = false;
+
+    messageStoreService.getRecentlyViewedChatIds(RECENT_CHATS_TO_HYDRATE).then(async (chatIds) => {
+      for (const chatId of chatIds) {
+        const { messages: cached, hasMoreOlder } = await messageFirebaseService.getCachedMessages(chatId);
+        if (cancelled) return;
+
+        // A live subscription may already have answered
+        setMessages(prev => (prev[chatId] ? prev : { ...prev, [chatId]: cached }));
+        setMessagePagination(prev => (prev[chatId] ? prev : { ...prev, [chatId]: { hasMoreOlder } }));
+      }
+    });
+
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
   // Firebase Auth State Listener
   useEffect(() => {
     console.log('🔐 Setting up Firebase auth state listener');
@@ -126,6 +229,12 @@ export const AppProvider = ({ children }) => {
       setIsAuthenticated(!!user);
       
       if (user) {
+        // Another account's local messages must not be shown
+        if (await messageStoreService.setOwner(user.uid)) {
+          setMessages({});
+          setMessagePagination({});
+        }
+
         // Load user profile from Firestore
         try {
           const { user: userProfile } = await authService.getUserProfile(user.uid);
@@ -180,6 +289,12 @@ export const AppProvider = ({ children }) => {
           webSocketService.connect(user.uid);
         }
         
+        // Load (or create) this device's E2E identity key before messages are subscribed
+        const e2eResult = await encryptionService.initialize(user.uid);
+        if (!e2eResult.success) {
+          console.warn('⚠️ End-to-end encryption unavailable:', e2eResult.error);
+        }
+
         // Load settings from Firebase
         try {
           const { settings: firebaseSettings } = await settingsService.getAllSettings(user.uid);
@@ -491,13 +606,7 @@ export const AppProvider = ({ children }) => {
             console.log(`Subscribing to messages for chat: ${chatId}`);
             const unsubscribe = messageFirebaseService.subscribeToMessages(
               chatId,
-              (loadedMessages) => {
-                console.log(`✅ Loaded ${loadedMessages.length} messages for chat ${chatId}`);
-                setMessages(prev => ({
-                  ...prev,
-                  [chatId]: loadedMessages
-                }));
-              },
+              receiveMessages(chatId),
               (error) => {
                 console.error(`❌ Error loading messages for chat ${chatId}:`, error);
               }
@@ -511,6 +620,14 @@ export const AppProvider = ({ children }) => {
         // User logged out - cleanup
         setCurrentUser(null);
         setActiveSessionId(null);
+        encryptionService.reset();
+        setLockedPreviewKey(null);
+        setChatPreviews({});
+        searchIndexService.clear();
+        indexedMessagesRef.current = new Map();
+        offlineMessageService.clearAllQueues().catch(error => console.error('❌ Failed to clear outbox:', error));
+        messageStoreService.clear();
+        setMessagePagination({});
         
         // Cleanup all message subscriptions
         messageSubscriptions.forEach(unsubscribe => unsubscribe());
@@ -538,6 +655,62 @@ export const AppProvider = ({ children }) => {
     };
   }, []);
 
+  // Match history: games finished on other devices or in earlier sessions
+  useEffect(() => {
+    if (!currentUser?.id) {
+      setGameHistory([]);
+      return;
+    }
+
+    let cancelled = false;
+    gameStatsFirebaseService.getUserMatches(currentUser.id)
+      .then(({ matches }) => {
+        if (cancelled) return;
+        // Games finished while the query ran are already at the top
+        setGameHistory(prev => [...prev, ...matches.filter(match => !prev.some(entry => entry.id === match.id))]);
+        // Matches the other players confirmed after this user's device stopped waiting
+        return gameStatsFirebaseService.applyConfirmedRatings(currentUser.id, matches);
+      })
+      .catch(error => console.error('❌ Failed to load match history:', error));
+
+    return () => {
+      cancelled = true;
+    };
+  }, [currentUser?.id]);
+
+  // Tournaments the user plays in (rounds are started by startTournamentRound below)
+  useEffect(() => {
+    if (!currentUser?.id) {
+      setTournaments([]);
+      return undefined;
+    }
+
+    return tournamentFirebaseService.subscribeToUserTournaments(
+      currentUser.id,
+      setTournaments,
+      error => console.error('❌ Failed to load tournaments:', error)
+    );
+  }, [currentUser?.id]);
+
+  // Correspondence games the user plays in (timed out by the effect after endGame)
+  useEffect(() => {
+    if (!currentUser?.id) {
+      setCorrespondenceGames([]);
+      return undefined;
+    }
+
+    return correspondenceFirebaseService.subscribeToUserGames(
+      currentUser.id,
+      setCorrespondenceGames,
+      error => console.error('❌ Failed to load correspondence games:', error)
+    );
+  }, [currentUser?.id]);
+
+  // Locked chats are kept out of the local message store (runs before subscriptions read it)
+  useEffect(() => {
+    messageStoreService.setExcludedChats(chats.filter(chat => chat.isLocked).map(chat => chat.id));
+  }, [chats]);
+
   // Subscribe to messages for all chats (runs whenever chats array changes)
   useEffect(() => {
     if (!currentUser?.id || chats.length === 0) return;
@@ -557,13 +730,7 @@ export const AppProvider = ({ children }) => {
       try {
         const unsubscribe = messageFirebaseService.subscribeToMessages(
           chatId,
-          (loadedMessages) => {
-            console.log(`✅ Loaded ${loadedMessages.length} messages for chat ${chatId}`);
-            setMessages(prev => ({
-              ...prev,
-              [chatId]: loadedMessages
-            }));
-          },
+          receiveMessages(chatId),
           (error) => {
             console.error(`❌ Error loading messages for chat ${chatId}:`, error);
           }
@@ -576,6 +743,96 @@ export const AppProvider = ({ children }) => {
     });
   }, [chats, currentUser]);
 
+  // Feed message snapshots to the global search index; locked chats are kept out of it
+  useEffect(() => {
+    if (!currentUser?.id) return;
+
+    chats.forEach(chat => {
+      const chatMessages = chat.isLocked ? NO_MESSAGES : messages[chat.id];
+      if (!chatMessages || indexedMessagesRef.current.get(chat.id) === chatMessages) return;
+
+      indexedMessagesRef.current.set(chat.id, chatMessages);
+      // Only a window of history may be loaded; older indexed messages stay in the index
+      const hasMoreOlder = !chat.isLocked && messagePagination[chat.id]?.hasMoreOlder;
+      searchIndexService.indexChatMessages(chat.id, chatMessages, {
+        since: hasMoreOlder ? chatMessages[0]?.timestamp : null
+      });
+    });
+  }, [chats, messages, messagePagination, currentUser?.id]);
+
+  // Keep the at-rest preview cache in sync; locked chats are only stored sealed
+  useEffect(() => {
+    if (!currentUser?.id || chats.length === 0) return;
+
+    let cancelled = false;
+
+    const updatePreviews = async () => {
+      const current = chatPreviewsRef.current;
+      const next = {};
+
+      for (const chat of chats) {
+        const chatMessages = messages[chat.id] || [];
+        const lastMsg = chatMessages[chatMessages.length - 1];
+        const existing = current[chat.id];
+
+        if (!lastMsg) {
+          // Never leave a plaintext preview behind for a chat that is now locked
+          if (existing && !(chat.isLocked && !existing.sealed)) next[chat.id] = existing;
+          continue;
+        }
+
+        const preview = {
+          id: lastMsg.id,
+          text: lastMsg.text,
+          type: lastMsg.type,
+          senderId: lastMsg.senderId,
+          status: lastMsg.status,
+          timestamp: lastMsg.timestamp
+        };
+
+        if (!chat.isLocked) {
+          next[chat.id] = preview;
+        } else if (lockedPreviewKey) {
+          next[chat.id] = { sealed: await sealWithKey(lockedPreviewKey, preview) };
+        } else if (existing?.sealed) {
+          next[chat.id] = existing;
+        }
+      }
+
+      if (!cancelled) setChatPreviews(next);
+    };
+
+    updatePreviews().catch(error => console.error('❌ Failed to update chat previews:', error));
+
+    return () => {
+      cancelled = true;
+    };
+  }, [chats, messages, lockedPreviewKey, currentUser?.id]);
+
+  // Open sealed previews while the Chat Lock PIN key is in memory
+  useEffect(() => {
+    if (!lockedPreviewKey) {
+      setUnsealedPreviews({});
+      return;
+    }
+
+    let cancelled = false;
+
+    const openPreviews = async () => {
+      const opened = {};
+      for (const [chatId, preview] of Object.entries(chatPreviews)) {
+        opened[chatId] = preview.sealed ? await openWithKey(lockedPreviewKey, preview.sealed) : preview;
+      }
+      if (!cancelled) setUnsealedPreviews(opened);
+    };
+
+    openPreviews();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [chatPreviews, lockedPreviewKey]);
+
   // Note: All data initialization removed - using Firebase only
   // Users, chats, messages, etc. are now loaded exclusively from Firebase
   // via the Firebase auth state listener effect above
@@ -606,7 +863,7 @@ export const AppProvider = ({ children }) => {
       console.log('🌐 [AppContext] Connection restored');
       setIsOnline(true);
       // Trigger automatic sync when back online
-      offlineMessageService.syncQueue(messageFirebaseService);
+      offlineMessageService.syncQueue(messageFirebaseService, { ignoreBackoff: true });
     };
 
     const handleOffline = () => {
@@ -617,11 +874,22 @@ export const AppProvider = ({ children }) => {
     window.addEventListener('online', handleOnline);
     window.addEventListener('offline', handleOffline);
 
+    const loadOutbox = () => {
+      offlineMessageService.getOutbox()
+        .then(setOutboxEntries)
+        .catch(error => console.error('❌ Failed to load outbox:', error));
+    };
+    loadOutbox();
+
     // Subscribe to offline service events for message status updates
     const unsubscribe = offlineMessageService.subscribe((event) => {
-      if (event.type === 'messageSynced') {
+      if (event.type === 'outboxChanged') {
+        loadOutbox();
+      }
+
+      if (event.type === 'messageSynced' && event.op === 'send') {
         // Update message status to sent/delivered after successful sync
-        updateMessageStatus(event.chatId, event.messageId, 'sent');
+        updateMessageStatus(event.chatId, event.messageId, 'sent', event.unencrypted ? { unencrypted: true } : {});
         setTimeout(() => {
           updateMessageStatus(event.chatId, event.messageId, 'delivered');
         }, 1000);
@@ -636,6 +904,13 @@ export const AppProvider = ({ children }) => {
   }, []); // updateMessageStatus is stable (useCallback), no need in deps
 
 
+  // Deliver anything left in the outbox from a previous session once signed in
+  useEffect(() => {
+    if (currentUser?.id && navigator.onLine) {
+      offlineMessageService.syncQueue(messageFirebaseService);
+    }
+  }, [currentUser?.id]);
+
   const login = useCallback(() => {
     // Note: This is called from Login component after successful Firebase auth
     // The actual auth state is managed by Firebase listener above
@@ -650,8 +925,9 @@ export const AppProvider = ({ children }) => {
       messageSubscriptions.forEach(unsubscribe => unsubscribe());
       setMessageSubscriptions(new Map());
       
-      // Disconnect WebSocket
+      // Disconnect WebSocket; games left running are forfeited once their grace period ends
       webSocketService.disconnect();
+      if (currentUser) clearGameSessions(currentUser.id);
 
       // Clear all local state
       setChats([]);
@@ -671,7 +947,7 @@ export const AppProvider = ({ children }) => {
       setIsAuthenticated(false);
       setCurrentUser(null);
     }
-  }, [messageSubscriptions]);
+  }, [messageSubscriptions, currentUser]);
 
   const updateChatSettings = useCallback(async (newSettings) => {
   // Update localStorage immediately for responsive UI
@@ -729,6 +1005,62 @@ export const AppProvider = ({ children }) => {
     }
   }, [currentUser, securitySettings]);
 
+  /**
+   * Verify a lock PIN through the PIN vault (throttled, with lockout).
+   * Legacy plaintext/hash values are upgraded to vault records on success.
+   * @param {'daily'|'chat'|'archive'} pinType
+   * @param {string} pin - PIN entered by the user
+   * @param {object} options - { defaultPin } used only while no PIN is configured
+   * @returns {Promise<{success: boolean, error?: string}>}
+   */
+  const verifySecurityPin = useCallback(async (pinType, pin, { defaultPin } = {}) => {
+    const field = PIN_FIELDS[pinType];
+    const configured = securitySettings[field];
+
+    const result = await unlockWithPin({
+      userId: currentUser?.id,
+      pinType,
+      pin,
+      stored: configured || defaultPin
+    });
+
+    if (!result.success) return result;
+
+    let record = configured;
+    if (configured && result.upgradedRecord) {
+      record = result.upgradedRecord;
+      await updateSecuritySettings({ [field]: record });
+      console.log(`🔐 ${field} migrated to PIN vault`);
+    }
+
+    if (pinType === 'chat' && isPinRecord(record)) {
+      setLockedPreviewKey(await derivePinKey(pin, record));
+    }
+
+    return { success: true };
+  }, [securitySettings, currentUser?.id, updateSecuritySettings]);
+
+  /**
+   * Store a new lock PIN as a PIN vault record
+   * @param {'daily'|'chat'|'archive'} pinType
+   * @param {string} pin - New PIN
+   */
+  const setSecurityPin = useCallback(async (pinType, pin) => {
+    const field = PIN_FIELDS[pinType];
+    const record = await createPinRecord(pin);
+    await updateSecuritySettings({ [field]: record });
+
+    if (pinType === 'chat') {
+      // Previews sealed with the old PIN can no longer be opened; they are re-sealed from messages
+      setChatPreviews(prev => Object.fromEntries(
+        Object.entries(prev).filter(([, preview]) => !preview.sealed)
+      ));
+      setLockedPreviewKey(await derivePinKey(pin, record));
+    }
+
+    return { success: true };
+  }, [updateSecuritySettings, setChatPreviews]);
+
   const updateAppSettings = useCallback(async (newSettings) => {
     // Update individual settings in localStorage
     if (newSettings.theme !== undefined) {
@@ -810,13 +1142,13 @@ export const AppProvider = ({ children }) => {
   }, []);
 
   // Message Status Management
-  const updateMessageStatus = useCallback((chatId, messageId, status) => {
+  const updateMessageStatus = useCallback((chatId, messageId, status, fields = {}) => {
     setMessages(prev => {
       const chatMessages = prev[chatId] || [];
       return {
         ...prev,
         [chatId]: chatMessages.map(msg =>
-          msg.id === messageId ? { ...msg, status } : msg
+          msg.id === messageId ? { ...msg, ...fields, status } : msg
         )
       };
     });
@@ -1053,6 +1385,18 @@ export const AppProvider = ({ children }) => {
     });
   }, []);
 
+  // Record a message write in the outbox, then try to deliver it right away
+  const enqueueMessageWrite = useCallback(async (op, params) => {
+    try {
+      await offlineMessageService.enqueue(op, params);
+      if (navigator.onLine) {
+        offlineMessageService.syncQueue(messageFirebaseService);
+      }
+    } catch (error) {
+      console.error(`❌ Error queueing ${op}:`, error);
+    }
+  }, []);
+
   const editMessage = useCallback((chatId, messageId, newText) => {
     setMessages(prev => {
       const chatMessages = prev[chatId] || [];
@@ -1063,22 +1407,26 @@ export const AppProvider = ({ children }) => {
         )
       };
     });
-  }, []);
 
-  const addMessage = useCallback(async (chatId, text, type, replyToId, mediaUrl, duration, pollData, isViewOnce) => {
+    enqueueMessageWrite('edit', { chatId, messageId, payload: { text: newText } });
+  }, [enqueueMessageWrite]);
+
+  const addMessage = useCallback(async (chatId, text, type, replyToId, mediaUrl, duration, pollData, isViewOnce, linkPreviews) => {
     const newMessage = {
-      id: `m_${Date.now()}`,
+      // Client-generated ID; it is also the idempotency key for delivery
+      id: `m_${Date.now()}_${crypto.randomUUID().slice(0, 8)}`,
       chatId,
       senderId: currentUser.id,
       text,
       timestamp: new Date().toISOString(),
-      status: isOnline ? 'sent' : 'queued', // Set to queued if offline
+      status: 'queued', // Until the outbox delivers it
       type,
       replyToId,
       mediaUrl,
       duration,
       pollData,
-      isViewOnce
+      isViewOnce,
+      linkPreviews
     };
 
     // Optimistic update - show immediately in UI
@@ -1107,56 +1455,22 @@ export const AppProvider = ({ children }) => {
       return newChats;
     });
 
-    // Check if online
-    if (!isOnline) {
-      // Queue message for later sending
-      console.log('📴 [AppContext] User is offline, queueing message');
-      try {
-        const cleanMessage = Object.fromEntries(
-          Object.entries(newMessage).filter(([_, value]) => value !== undefined)
-        );
-        await offlineMessageService.queueMessage(chatId, cleanMessage);
-        console.log('📦 Message queued for later sending');
-      } catch (error) {
-        console.error('❌ Error queueing message:', error);
-      }
-      return; // Don't try to send to Firebase when offline
-    }
+    // The outbox owns delivery: ordering, retries and the dead-letter state
+    const cleanMessage = Object.fromEntries(
+      Object.entries(newMessage).filter(([_, value]) => value !== undefined)
+    );
 
-    // Save to Firebase (only when online)
     try {
-      // Clean message object - remove undefined properties
-      const cleanMessage = Object.fromEntries(
-        Object.entries(newMessage).filter(([_, value]) => value !== undefined)
-      );
-
-      await messageFirebaseService.sendMessage(chatId, cleanMessage);
-      console.log('✅ Message saved to Firebase');
-    } catch (error) {
-      console.error('❌ Error saving message to Firebase:', error);
-      // If send fails, queue it for retry
-      try {
-        const cleanMessage = Object.fromEntries(
-          Object.entries(newMessage).filter(([_, value]) => value !== undefined)
-        );
-        await offlineMessageService.queueMessage(chatId, cleanMessage);
-        console.log('📦 Message queued for retry due to error');
-
-        // Update message status to queued
-        updateMessageStatus(chatId, newMessage.id, 'queued');
-      } catch (queueError) {
-        console.error('❌ Error queueing message:', queueError);
+      await offlineMessageService.queueMessage(chatId, cleanMessage);
+      if (!isOnline) {
+        console.log('📴 [AppContext] User is offline, message queued');
+        return;
       }
+      await offlineMessageService.syncQueue(messageFirebaseService);
+    } catch (error) {
+      console.error('❌ Error queueing message:', error);
     }
-
-    // Simulate message delivery status progression
-    // sent -> delivered (1 second) -> read (when chat is next opened)
-    if (isOnline) {
-      setTimeout(() => {
-        updateMessageStatus(chatId, newMessage.id, 'delivered');
-      }, 1000);
-    }
-  }, [currentUser, isOnline, updateMessageStatus]);
+  }, [currentUser, isOnline]);
 
   const votePoll = useCallback((chatId, messageId, optionIds) => {
     setMessages(prev => {
@@ -1220,7 +1534,43 @@ export const AppProvider = ({ children }) => {
         )
       };
     });
-  }, [currentUser]);
+
+    messageIds.forEach(messageId => {
+      enqueueMessageWrite('delete', { chatId, messageId, payload: { forEveryone: true } });
+    });
+  }, [currentUser, enqueueMessageWrite]);
+
+  // Dead-lettered messages: "tap to retry"
+  const retryFailedMessage = useCallback((messageId) => {
+    offlineMessageService.retryMessage(messageId)
+      .catch(error => console.error('❌ Failed to retry message:', error));
+  }, []);
+
+  // Dead-lettered messages: "delete" drops the unsent message and its queued writes
+  const discardFailedMessage = useCallback(async (chatId, messageId) => {
+    try {
+      await offlineMessageService.discardMessage(messageId);
+      setMessages(prev => ({
+        ...prev,
+        [chatId]: (prev[chatId] || []).filter(msg => msg.id !== messageId)
+      }));
+    } catch (error) {
+      console.error('❌ Failed to discard message:', error);
+    }
+  }, []);
+
+  // Page older messages of a chat in (local store first, then the server)
+  const loadOlderMessages = useCallback(async (chatId) => {
+    setMessagePagination(prev => ({ ...prev, [chatId]: { ...prev[chatId], isLoadingOlder: true } }));
+    try {
+      return await messageFirebaseService.loadOlderMessages(chatId);
+    } catch (error) {
+      console.error(`❌ Failed to load older messages for chat ${chatId}:`, error);
+      return { success: false, error: error.message };
+    } finally {
+      setMessagePagination(prev => ({ ...prev, [chatId]: { ...prev[chatId], isLoadingOlder: false } }));
+    }
+  }, []);
 
   // Check if message can be deleted for everyone (time limit check)
   const canDeleteForEveryone = useCallback((messageTimestamp) => {
@@ -1417,6 +1767,11 @@ export const AppProvider = ({ children }) => {
   }, []);
 
   const addReaction = useCallback((chatId, messageId, emoji) => {
+    // Same emoji again removes the reaction; the outbox records the resulting state
+    const current = (messagesWithOutboxRef.current[chatId] || []).find(msg => msg.id === messageId);
+    const nextEmoji = current?.reactions?.[currentUser.id] === emoji ? null : emoji;
+    enqueueMessageWrite('react', { chatId, messageId, payload: { userId: currentUser.id, emoji: nextEmoji } });
+
     setMessages(prev => {
       const chatMessages = prev[chatId] || [];
       return {
@@ -1436,7 +1791,7 @@ export const AppProvider = ({ children }) => {
         })
       };
     });
-  }, [currentUser]);
+  }, [currentUser, enqueueMessageWrite]);
 
   const updateChatTheme = useCallback(async (chatId, color, type) => {
   // 1. Optimistic Update for instant UI feedback
@@ -1588,8 +1943,10 @@ export const AppProvider = ({ children }) => {
 
   /**
    * Send game invitation message
+   * @param {Object} options - { timeControl } for chess; { houseRules, botDifficulty } for Ludo (bots fill empty seats);
+   * { board } for a custom Snake & Ladders board
    */
-  const inviteToGame = useCallback((chatId, gameType) => {
+  const inviteToGame = useCallback((chatId, gameType, options = {}) => {
     const roomId = generateRoomId();
     const gameId = generateGameId();
 
@@ -1609,6 +1966,10 @@ export const AppProvider = ({ children }) => {
         hostId: currentUser.id,
         players: [currentUser.id],
         maxPlayers: gameType === 'ludo' || gameType === 'snake' ? 4 : 2,
+        timeControl: options.timeControl || null,
+        botDifficulty: options.botDifficulty || null,
+        houseRules: options.houseRules || null,
+        snakeBoard: options.board || null,
         createdAt: new Date().toISOString()
       } // Game data stored in pollData field temporarily (will be gameData)
     );
@@ -1624,6 +1985,10 @@ export const AppProvider = ({ children }) => {
         chatId,
         players: [{ userId: currentUser.id, ready: true }],
         maxPlayers: gameType === 'ludo' || gameType === 'snake' ? 4 : 2,
+        timeControl: options.timeControl || null,
+        botDifficulty: options.botDifficulty || null,
+        houseRules: options.houseRules || null,
+        snakeBoard: options.board || null,
         status: 'waiting',
         createdAt: new Date().toISOString()
       });
@@ -1633,6 +1998,123 @@ export const AppProvider = ({ children }) => {
     closeGameInvite();
   }, [currentUser, addMessage]);
 
+  /**
+   * Share a custom Snake & Ladders board in a chat
+   * Anyone in the chat can play it or invite others to a game on it
+   */
+  const shareSnakeBoard = useCallback((chatId, board) => {
+    addMessage(
+      chatId,
+      `🪜 Snake & Ladders board: ${board.name}`,
+      "snake_board",
+      undefined, // replyToId
+      undefined, // mediaUrl
+      undefined, // duration
+      { board } // Board stored in pollData like game invites
+    );
+
+    closeGameInvite();
+  }, [addMessage]);
+
+  /**
+   * Create a tournament in a group, seeding the players by their rating in the game
+   * @param {Object} options - { name, gameType, format, playerIds, startsAt, roundIntervalMs, timeControl }
+   */
+  const createTournament = useCallback(async (chatId, options) => {
+    let playerIds = options.playerIds;
+    try {
+      const { ratings } = await gameStatsFirebaseService.getRatings(options.gameType, playerIds);
+      playerIds = [...playerIds].sort((a, b) => ratings[b].rating - ratings[a].rating);
+    } catch (error) {
+      console.warn('⚠️ Could not load ratings, seeding tournament in the order chosen:', error);
+    }
+
+    const tournament = buildTournament({
+      ...options,
+      id: `tournament_${Date.now()}_${Math.random().toString(36).substring(2, 9)}`,
+      chatId,
+      playerIds,
+      createdBy: currentUser.id
+    });
+    await tournamentFirebaseService.createTournament(tournament);
+
+    const format = TOURNAMENT_FORMATS.find(f => f.id === tournament.format)?.label;
+    const startsAt = new Date(tournament.startsAt);
+    addMessage(
+      chatId,
+      `🏆 New ${format} tournament: ${tournament.name}\n` +
+      `${getGameTitle(tournament.gameType)} · ${playerIds.length} players · ${tournament.roundCount} rounds\n` +
+      (startsAt > new Date() ? `Round 1 starts ${startsAt.toLocaleString()}` : 'Round 1 starts now'),
+      'text'
+    );
+    return tournament;
+  }, [currentUser, addMessage]);
+
+  /**
+   * Post a round that just started: who has a bye, then an invite per game
+   */
+  const postTournamentRound = useCallback(async (tournament) => {
+    const round = tournament.rounds[tournament.rounds.length - 1];
+    const byes = round.matches
+      .filter(match => !match.players[1])
+      .map(match => users[match.players[0]]?.name || 'Player');
+
+    await addMessage(
+      tournament.chatId,
+      `🏆 ${tournament.name}: round ${round.number} of ${tournament.roundCount}` +
+      (byes.length ? ` (bye: ${byes.join(', ')})` : ''),
+      'text'
+    );
+
+    for (const match of round.matches.filter(m => m.players[1])) {
+      await addMessage(
+        tournament.chatId,
+        "🎮 Game Invite",
+        "game_invite",
+        undefined, // replyToId
+        undefined, // mediaUrl
+        undefined, // duration
+        {
+          gameType: tournament.gameType,
+          roomId: match.roomId,
+          gameId: match.gameId,
+          status: "pending",
+          hostId: match.players[0],
+          // Both seats are taken: only the paired players can join
+          players: match.players,
+          maxPlayers: 2,
+          timeControl: tournament.timeControl || null,
+          tournament: { id: tournament.id, name: tournament.name, round: round.number, matchId: match.id },
+          createdAt: new Date().toISOString()
+        }
+      );
+    }
+  }, [users, addMessage]);
+
+  /**
+   * Start a tournament's next round if it is due
+   */
+  const startTournamentRound = useCallback(async (tournamentId) => {
+    try {
+      const { started, tournament } = await tournamentFirebaseService.startNextRound(tournamentId);
+      if (started) await postTournamentRound(tournament);
+    } catch (error) {
+      console.error('❌ Failed to start tournament round:', error);
+    }
+  }, [postTournamentRound]);
+
+  /**
+   * Announce the final standings of a tournament
+   */
+  const announceTournamentResult = useCallback((tournament) => {
+    const medals = ['🥇', '🥈', '🥉'];
+    const podium = tournament.standings
+      .slice(0, 3)
+      .map((row, i) => `${medals[i]} ${users[row.userId]?.name || 'Player'} (${row.points} pts)`);
+
+    addMessage(tournament.chatId, `🏆 ${tournament.name} is over!\n${podium.join('\n')}`, 'text');
+  }, [users, addMessage]);
+
   /**
    * Join a game from invitation
    */
@@ -1653,6 +2135,11 @@ export const AppProvider = ({ children }) => {
         players: messageData.players ? messageData.players.map(p => ({ userId: p, ready: false })) : [],
         maxPlayers: messageData.maxPlayers || (gameType === 'ludo' || gameType === 'snake' ? 4 : 2),
         status: messageData.status || 'waiting',
+        timeControl: messageData.timeControl || null,
+        botDifficulty: messageData.botDifficulty || null,
+        houseRules: messageData.houseRules || null,
+        snakeBoard: messageData.snakeBoard || null,
+        tournament: messageData.tournament || null,
         createdAt: messageData.createdAt || new Date().toISOString()
       };
 
@@ -1671,8 +2158,16 @@ export const AppProvider = ({ children }) => {
       return;
     }
 
+    // Tournament games are for the two paired players only
+    if (room.tournament && !room.players.some(p => p.userId === currentUser.id)) {
+      console.warn('⚠️ Only the paired players can join a tournament game:', roomId);
+      return;
+    }
+
     // Check if already in room
     const alreadyJoined = room.players.some(p => p.userId === currentUser.id);
+    // Ludo teams need every seat taken, unless bots fill the empty ones
+    const playersToStart = room.houseRules?.teamMode && !room.botDifficulty ? room.maxPlayers : 2;
     
     if (!alreadyJoined && room.players.length < room.maxPlayers) {
       // Add player to room
@@ -1682,7 +2177,7 @@ export const AppProvider = ({ children }) => {
         updatedRoom.players.push({ userId: currentUser.id, ready: true });
         
         // Start game if minimum players reached
-        if (updatedRoom.players.length >= 2) {
+        if (updatedRoom.players.length >= playersToStart) {
           updatedRoom.status = 'in_progress';
         }
         
@@ -1715,6 +2210,11 @@ export const AppProvider = ({ children }) => {
                idx === 0 ? 'X' : 'O'
       })),
       isMinimized: false,
+      timeControl: room.timeControl || null,
+      botDifficulty: room.botDifficulty || null,
+      houseRules: room.houseRules || null,
+      snakeBoard: room.snakeBoard || null,
+      tournament: room.tournament || null,
       gameState: {} // Game-specific state
     };
 
@@ -1725,45 +2225,187 @@ export const AppProvider = ({ children }) => {
       return newGames;
     });
 
-    // Subscribe to game events
+    // Subscribe to game events (through a ref so the handler always sees current games)
     webSocketService.subscribeToGame(newGame.id, (event) => {
-      handleGameEvent(event);
+      gameEventHandlerRef.current?.(event);
     });
+
+    // Games with shared rules are refereed by the game server; starting twice is harmless
+    if (getGameRules(gameType) && room.players.length >= playersToStart) {
+      webSocketService.sendGameEvent(GameEventTypes.GAME_START, {
+        gameId: room.gameId,
+        gameType,
+        players: room.players.map(p => p.userId),
+        options: {
+          timeControl: room.timeControl || null,
+          houseRules: room.houseRules || null,
+          board: room.snakeBoard || null,
+          // The referee seats bots in the places nobody has taken
+          bots: room.botDifficulty ? { difficulty: room.botDifficulty } : null
+        }
+      });
+    }
   }, [gameRooms, currentUser]);
 
   /**
-   * Handle incoming game events from WebSocket
+   * Start a game against the computer
+   * Played locally: nothing is sent to the game server and there is no chat invite.
+   * @param {Object} options - { timeControl, engineLevel } for chess; { board } for Snake & Ladders
    */
-  const handleGameEvent = useCallback((event) => {
-    const { type, data } = event;
+  const startComputerGame = useCallback((gameType, options = {}) => {
+    const newGame = {
+      id: generateGameId(),
+      type: gameType,
+      roomId: null,
+      chatId: null,
+      status: 'in_progress',
+      timestamp: new Date().toISOString(),
+      currentTurn: currentUser.id,
+      players: [
+        { userId: currentUser.id, status: 'playing', color: 'white' },
+        { userId: COMPUTER_PLAYER_ID, status: 'playing', color: 'black', isComputer: true }
+      ],
+      isMinimized: false,
+      timeControl: options.timeControl || null,
+      vsComputer: true,
+      engineLevel: options.engineLevel,
+      snakeBoard: options.board || null,
+      gameState: {}
+    };
 
-    switch (type) {
-      case GameEventTypes.GAME_MOVE:
-        updateGameState(data.gameId, data.gameState);
-        break;
-      case GameEventTypes.GAME_STATE_UPDATE:
-        updateGameState(data.gameId, data.gameState);
-        break;
-      case GameEventTypes.GAME_END:
-        endGame(data.gameId, data.result);
-        break;
-      case GameEventTypes.PLAYER_LEFT:
-        // Handle player leaving
-        break;
-      default:
-        break;
-    }
+    setActiveGame(newGame);
+    setActiveGames(prev => {
+      const newGames = new Map(prev);
+      newGames.set(newGame.id, newGame);
+      return newGames;
+    });
+    closeGameInvite();
+  }, [currentUser, closeGameInvite]);
+
+  /**
+   * Update fields of an active game
+   * @param {Object|Function} patch - Fields to set, or a function of the game returning them
+   */
+  const updateGame = useCallback((gameId, patch) => {
+    const apply = (game) => ({ ...game, ...(typeof patch === 'function' ? patch(game) : patch) });
+
+    setActiveGames(prev => {
+      const game = prev.get(gameId);
+      if (!game) return prev;
+      const newGames = new Map(prev);
+      newGames.set(gameId, apply(game));
+      return newGames;
+    });
+
+    // Update active game if it's the current one
+    setActiveGame(prev => (prev && prev.id === gameId ? apply(prev) : prev));
+  }, []);
+
+  /**
+   * Update game state
+   */
+  const updateGameState = useCallback((gameId, newState) => {
+    updateGame(gameId, { gameState: newState });
+  }, [updateGame]);
+
+  /**
+   * Change who may watch a game the current user plays in
+   * @param {Object} changes - { allowed, delayMs, remove: userId }
+   */
+  const setSpectatorSettings = useCallback((gameId, changes) => {
+    webSocketService.sendGameEvent(GameEventTypes.SPECTATE_SETTINGS, { gameId, ...changes });
   }, []);
 
+  /**
+   * Watch someone else's game from its invite
+   */
+  const watchGame = useCallback((chatId, payload) => {
+    setSpectatingGame({
+      gameId: payload.gameId,
+      gameType: payload.gameType,
+      chatId,
+      snakeBoard: payload.snakeBoard || null
+    });
+  }, []);
+
+  const stopWatching = useCallback(() => {
+    setSpectatingGame(null);
+  }, []);
+
+  /**
+   * Store a correspondence move and tell the opponent it's their move
+   * A rejected move puts the game back where it was.
+   */
+  const sendCorrespondenceMove = useCallback(async (game, action) => {
+    try {
+      const { game: updated } = await correspondenceFirebaseService.makeMove(game.id, action, currentUser.id);
+      const next = getPlayerToMove(updated);
+      if (!next) return;
+
+      unifiedNotificationService.sendNotification(next, currentUser.id, NOTIFICATION_TYPES.GAME_YOUR_MOVE, {
+        gameId: updated.id,
+        chatId: updated.chatId,
+        gameTitle: getGameTitle(updated.gameType),
+        moveDeadline: updated.moveDeadline
+      });
+    } catch (error) {
+      if (!(error instanceof RuleViolation)) console.error('❌ Failed to send correspondence move:', error);
+      updateGame(game.id, {
+        gameState: game.gameState,
+        moveError: { code: error.code || 'SEND_FAILED', message: error.message || 'Could not send the move' }
+      });
+    }
+  }, [currentUser, updateGame]);
+
   /**
    * Make a move in game
+   * Refereed games send `move.action` to the referee (after checking it against the shared
+   * rules when the authoritative state is known); the state is only final once the
+   * server's GAME_STATE_UPDATE arrives. Timed games also report how long the player
+   * thought, so the referee can credit the network lag back to their clock.
    */
   const makeGameMove = useCallback((gameId, move) => {
     const game = activeGames.get(gameId);
     if (!game) return;
 
+    // Games against the computer never leave this device
+    if (game.vsComputer) {
+      updateGameState(gameId, move);
+      return;
+    }
+
+    if (getGameRules(game.type) && move.action) {
+      let action = move.action.type === 'roll'
+        ? { ...move.action, clientSeed: createSeed(16) }
+        : move.action;
+      if (game.gameState?.clock && game.stateReceivedAt) {
+        action = { ...action, thinkMs: Date.now() - game.stateReceivedAt };
+      }
+
+      // Dice and flags depend on the referee's dice and clock, so they aren't checked locally
+      if (game.gameState?.players && action.type !== 'roll' && action.type !== 'flag') {
+        try {
+          const nextState = applyGameAction(game.gameState, action, { playerId: currentUser.id });
+          updateGame(gameId, { gameState: nextState, moveError: null });
+        } catch (error) {
+          if (!(error instanceof RuleViolation)) throw error;
+          updateGame(gameId, { moveError: { code: error.code, message: error.message } });
+          return;
+        }
+      }
+
+      if (game.correspondence) {
+        sendCorrespondenceMove(game, action);
+        return;
+      }
+
+      webSocketService.sendGameEvent(GameEventTypes.GAME_ACTION, { gameId, action });
+      return;
+    }
+
     // Update local game state
     updateGameState(gameId, move);
+    appendSessionMove(gameId, { playerId: currentUser.id, gameState: move });
 
     // Broadcast move to other players
     webSocketService.sendGameEvent(GameEventTypes.GAME_MOVE, {
@@ -1772,46 +2414,69 @@ export const AppProvider = ({ children }) => {
       playerId: currentUser.id,
       timestamp: new Date().toISOString()
     });
-  }, [activeGames, currentUser]);
+  }, [activeGames, currentUser, updateGame, updateGameState, sendCorrespondenceMove]);
 
   /**
-   * Update game state
+   * Chat message announcing a game's result
    */
-  const updateGameState = useCallback((gameId, newState) => {
-    setActiveGames(prev => {
-      const newGames = new Map(prev);
-      const game = newGames.get(gameId);
-      if (game) {
-        newGames.set(gameId, { ...game, gameState: newState });
-      }
-      return newGames;
-    });
-
-    // Update active game if it's the current one
-    setActiveGame(prev => {
-      if (prev && prev.id === gameId) {
-        return { ...prev, gameState: newState };
-      }
-      return prev;
-    });
-  }, []);
+  const getResultText = useCallback((result) => {
+    const winnerName = result.winner ? users[result.winner]?.name : null;
+    const how = result.reason === 'forfeit' ? ' by forfeit' :
+      result.reason === 'flag' || result.reason === 'timeout' ? ' on time' : '';
+    return result.isDraw ? "Game ended in a draw" :
+      result.winner === currentUser.id ? `You won the game${how}! 🎉` :
+      `${winnerName} won the game${how}!`;
+  }, [currentUser, users]);
 
   /**
    * End game and save to history
+   * The match is stored and rated once, by whichever player's device reports it first.
+   * @param {Object} options.broadcast - Tell the other players (off for results that came from the server)
+   * @param {Object} options.reveal - The referee's revealed dice seed: { serverSeed, commitment, rolls }
    */
-  const endGame = useCallback((gameId, result) => {
+  const endGame = useCallback((gameId, result, { broadcast = true, reveal = null } = {}) => {
     const game = activeGames.get(gameId);
     if (!game) return;
 
+    // The seed must match the commitment this device saw first, and the referee may never have changed it
+    if (reveal) {
+      const fairnessVerified = Boolean(game.commitment) &&
+        !game.commitmentChanged &&
+        (!reveal.commitment || reveal.commitment === game.commitment) &&
+        verifyRolls({ serverSeed: reveal.serverSeed, commitment: game.commitment, rolls: reveal.rolls });
+      if (!fairnessVerified) console.error('❌ [Game] Dice rolls do not match the committed seed:', gameId);
+      result = { ...result, fairnessVerified };
+    }
+
+    const refereed = Boolean(getGameRules(game.type) && game.gameState?.players);
+    // Quitting a refereed game resigns it; the referee's result is recorded instead
+    const resigning = broadcast && refereed && !isFinished(game.gameState);
+
     // Add to history
-    const completedGame = {
-      ...game,
-      status: 'finished',
-      result,
-      endedAt: new Date().toISOString()
-    };
+    const match = createMatchRecord(game, result);
+    setGameHistory(prev => [match, ...prev]);
 
-    setGameHistory(prev => [completedGame, ...prev]);
+    if (!resigning) {
+      gameStatsFirebaseService.recordMatch(match, currentUser.id)
+        .then(({ match: stored }) => {
+          setGameHistory(prev => prev.map(entry => (entry.id === stored.id ? stored : entry)));
+        })
+        .catch(error => console.error('❌ Failed to record match:', error));
+    }
+
+    // Correspondence games stop following their document
+    correspondenceSyncRef.current.get(gameId)?.();
+    correspondenceSyncRef.current.delete(gameId);
+    removeGameSession(gameId);
+
+    if (!resigning && game.tournament) {
+      tournamentFirebaseService.recordResult(game.tournament.id, gameId, result)
+        .then(({ recorded, tournament }) => {
+          // The device that records the last result announces the winner
+          if (recorded && tournament.status === TOURNAMENT_STATUS.FINISHED) announceTournamentResult(tournament);
+        })
+        .catch(error => console.error('❌ Failed to record tournament result:', error));
+    }
 
     // Remove from active games
     setActiveGames(prev => {
@@ -1827,28 +2492,303 @@ export const AppProvider = ({ children }) => {
 
     // Add result message to chat
     if (game.chatId) {
-      const winnerName = result.winner ? users[result.winner]?.name : null;
-      const resultText = result.isDraw ? "Game ended in a draw" : 
-                        result.winner === currentUser.id ? "You won the game! 🎉" :
-                        `${winnerName} won the game!`;
-      
-      addMessage(game.chatId, resultText, 'text');
+      addMessage(game.chatId, getResultText(result), 'text');
     }
 
     // Unsubscribe from events
     webSocketService.unsubscribeFromGame(gameId);
 
+    if (!broadcast || game.vsComputer) return;
+
+    if (refereed) {
+      // The referee owns the result; quitting a running game is a resignation
+      if (resigning) {
+        webSocketService.sendGameEvent(GameEventTypes.GAME_ACTION, { gameId, action: { type: 'resign' } });
+      }
+      return;
+    }
+
     // Broadcast end event
     webSocketService.sendGameEvent(GameEventTypes.GAME_END, {
       gameId,
       result
     });
-  }, [activeGames, activeGame, currentUser, users, addMessage]);
+  }, [activeGames, activeGame, currentUser, addMessage, getResultText, announceTournamentResult]);
+
+  /**
+   * Drop a game that can't go on, without a result
+   */
+  const discardGame = useCallback((gameId) => {
+    console.warn(`⚠️ [Game] ${gameId} is no longer running, dropping it`);
+    removeGameSession(gameId);
+    webSocketService.unsubscribeFromGame(gameId);
+    setActiveGames(prev => {
+      const newGames = new Map(prev);
+      newGames.delete(gameId);
+      return newGames;
+    });
+    setActiveGame(prev => (prev?.id === gameId ? null : prev));
+  }, []);
+
+  /**
+   * Handle incoming game events from WebSocket
+   */
+  const handleGameEvent = useCallback((event) => {
+    const { type, data, senderId, seq } = event;
+
+    switch (type) {
+      case GameEventTypes.GAME_MOVE:
+        updateGameState(data.gameId, data.gameState);
+        appendSessionMove(data.gameId, { seq, playerId: data.playerId, gameState: data.gameState });
+        break;
+      case GameEventTypes.GAME_STATE_UPDATE:
+        resumeRequestsRef.current.delete(data.gameId);
+        if (data.action) appendSessionMove(data.gameId, { seq, playerId: data.action.playerId, action: data.action });
+        updateGame(data.gameId, (game) => ({
+          gameState: data.gameState,
+          // The dice seed is checked against the first commitment seen; a new one means the seed was swapped
+          commitment: game.commitment || data.commitment,
+          ...(game.commitment && data.commitment && data.commitment !== game.commitment
+            ? { commitmentChanged: true }
+            : {}),
+          moveError: null,
+          // Clocks are shown on the referee's time
+          stateReceivedAt: Date.now(),
+          ...(data.serverTime ? { serverTimeOffset: data.serverTime - Date.now() } : {})
+        }));
+        break;
+      case GameEventTypes.MOVE_REJECTED:
+        // Only the sender rolls back to the referee's state
+        if (data.playerId !== currentUser?.id) break;
+        if (resumeRequestsRef.current.get(data.gameId) === data.rejectedEventId) {
+          resumeRequestsRef.current.delete(data.gameId);
+          // The game server no longer has the game (it was restarted), so there's nothing to rejoin
+          if (data.code === RULE_ERRORS.GAME_NOT_STARTED) discardGame(data.gameId);
+          break;
+        }
+        console.warn(`⚠️ [Game] Move rejected (${data.code}): ${data.message}`);
+        updateGame(data.gameId, {
+          ...(data.gameState ? { gameState: data.gameState } : {}),
+          moveError: { code: data.code, message: data.message }
+        });
+        break;
+      case GameEventTypes.GAME_END: {
+        // Results from the referee reveal the dice seed; endGame checks every roll against it
+        if (senderId === null && data.serverSeed) {
+          endGame(data.gameId, data.result, {
+            broadcast: false,
+            reveal: { serverSeed: data.serverSeed, commitment: data.commitment, rolls: data.gameState?.rolls }
+          });
+        } else {
+          endGame(data.gameId, data.result, { broadcast: false });
+        }
+        break;
+      }
+      case GameEventTypes.SPECTATORS_UPDATE:
+        updateGame(data.gameId, { spectators: data.spectators, spectatorSettings: data.settings });
+        break;
+      case GameEventTypes.PLAYER_DISCONNECTED:
+        // The grace period ends on the referee's clock
+        updateGame(data.gameId, (game) => ({
+          disconnectedPlayers: {
+            ...game.disconnectedPlayers,
+            [data.playerId]: data.graceEndsAt - (game.serverTimeOffset || 0)
+          }
+        }));
+        break;
+      case GameEventTypes.PLAYER_RECONNECTED:
+        updateGame(data.gameId, (game) => {
+          const { [data.playerId]: _returned, ...stillAway } = game.disconnectedPlayers || {};
+          return { disconnectedPlayers: stillAway };
+        });
+        break;
+      case GameEventTypes.PLAYER_LEFT:
+        // Handle player leaving
+        break;
+      default:
+        break;
+    }
+  }, [currentUser, updateGame, updateGameState, endGame, discardGame]);
+
+  const gameEventHandlerRef = useRef(handleGameEvent);
+  gameEventHandlerRef.current = handleGameEvent;
+
+  // Keep every game being played in a session so a reload can resume it
+  useEffect(() => {
+    if (!currentUser) return;
+    activeGames.forEach((game) => {
+      if (!game.vsComputer && !game.correspondence) saveGameSession(currentUser.id, game);
+    });
+  }, [activeGames, currentUser]);
+
+  /**
+   * Rejoin the games this device was playing before the app was reloaded
+   * They come back minimized with their saved state; the referee then sends the current
+   * state (and the result, if a game ended in the meantime).
+   */
+  const resumeGames = useCallback(() => {
+    if (!currentUser) return;
+    const restored = loadGameSessions(currentUser.id)
+      .filter(session => !activeGames.has(session.gameId))
+      .map(restoreGameSession);
+    if (restored.length === 0) return;
+
+    setActiveGames(prev => {
+      const newGames = new Map(prev);
+      restored.forEach(game => newGames.set(game.id, game));
+      return newGames;
+    });
+    // The game played last is the one shown
+    setActiveGame(prev => prev || restored[0]);
+
+    restored.forEach((game) => {
+      webSocketService.subscribeToGame(game.id, (event) => {
+        gameEventHandlerRef.current?.(event);
+      });
+      if (getGameRules(game.type) && game.gameState?.players) {
+        const eventId = webSocketService.sendGameEvent(GameEventTypes.GAME_RESUME, { gameId: game.id });
+        if (eventId) resumeRequestsRef.current.set(game.id, eventId);
+      }
+    });
+    console.log(`♻️ [Game] Resumed ${restored.length} game(s)`);
+  }, [currentUser, activeGames]);
+
+  // Start tournament rounds when they fall due. Every player's device tries; the first one pairs the round
+  useEffect(() => {
+    const waiting = tournaments.filter(t => t.nextRoundAt && t.rounds.length < t.roundCount);
+    const timers = waiting.map(t => setTimeout(
+      () => startTournamentRound(t.id),
+      Math.max(0, Date.parse(t.nextRoundAt) - Date.now())
+    ));
+    return () => timers.forEach(clearTimeout);
+  }, [tournaments, startTournamentRound]);
+
+  /**
+   * Follow an open correspondence game's document; a finished game is ended like any other
+   */
+  const handleCorrespondenceUpdate = useCallback((game) => {
+    if (!game.result) {
+      const { gameState, currentTurn, correspondence } = toCorrespondenceActiveGame(game);
+      updateGame(game.id, { gameState, currentTurn, correspondence, moveError: null });
+      return;
+    }
+    endGame(game.id, game.result, { broadcast: false });
+  }, [updateGame, endGame]);
+
+  const correspondenceUpdateRef = useRef(handleCorrespondenceUpdate);
+  correspondenceUpdateRef.current = handleCorrespondenceUpdate;
+
+  /**
+   * Open a correspondence game to play it
+   */
+  const openCorrespondenceGame = useCallback((game) => {
+    const openGame = toCorrespondenceActiveGame(game);
+    setActiveGame(openGame);
+    setActiveGames(prev => {
+      const newGames = new Map(prev);
+      newGames.set(openGame.id, openGame);
+      return newGames;
+    });
+
+    if (correspondenceSyncRef.current.has(game.id)) return;
+    const unsubscribe = correspondenceFirebaseService.subscribeToGame(game.id, (latest) => {
+      if (latest) correspondenceUpdateRef.current(latest);
+    });
+    correspondenceSyncRef.current.set(game.id, unsubscribe);
+  }, []);
+
+  /**
+   * Start a correspondence game with the other person in a chat and post its card
+   * The player who starts it moves first.
+   * @param {Object} options - { opponentId, daysPerMove }
+   */
+  const startCorrespondenceGame = useCallback(async (chatId, gameType, { opponentId, daysPerMove }) => {
+    closeGameInvite();
+    const game = buildCorrespondenceGame({
+      id: generateGameId(),
+      chatId,
+      gameType,
+      playerIds: [currentUser.id, opponentId],
+      daysPerMove,
+      createdBy: currentUser.id
+    });
+
+    try {
+      await correspondenceFirebaseService.createGame(game);
+    } catch (error) {
+      console.error('❌ Failed to start correspondence game:', error);
+      return;
+    }
+
+    addMessage(
+      chatId,
+      `✉️ ${getGameTitle(gameType)} by correspondence`,
+      'correspondence_game',
+      undefined, // replyToId
+      undefined, // mediaUrl
+      undefined, // duration
+      { gameId: game.id, gameType, daysPerMove } // The card follows the game's document
+    );
+    openCorrespondenceGame(game);
+  }, [currentUser, addMessage, closeGameInvite, openCorrespondenceGame]);
+
+  /**
+   * Store and announce a correspondence game that finished while it wasn't open here
+   * (open games are ended through their document instead)
+   */
+  const recordCorrespondenceResult = useCallback((game) => {
+    if (correspondenceSyncRef.current.has(game.id)) return;
+
+    const match = createMatchRecord(toCorrespondenceActiveGame(game), game.result, game.finishedAt);
+    setGameHistory(prev => [match, ...prev.filter(entry => entry.id !== match.id)]);
+    gameStatsFirebaseService.recordMatch(match, currentUser.id)
+      .then(({ match: stored }) => {
+        setGameHistory(prev => prev.map(entry => (entry.id === stored.id ? stored : entry)));
+      })
+      .catch(error => console.error('❌ Failed to record match:', error));
+
+    addMessage(game.chatId, getResultText(game.result), 'text');
+  }, [currentUser, addMessage, getResultText]);
+
+  const resignCorrespondenceGame = useCallback(async (gameId) => {
+    try {
+      const { game } = await correspondenceFirebaseService.makeMove(gameId, { type: 'resign' }, currentUser.id);
+      recordCorrespondenceResult(game);
+    } catch (error) {
+      console.error('❌ Failed to resign correspondence game:', error);
+    }
+  }, [currentUser, recordCorrespondenceResult]);
+
+  // Correspondence games time out when the player to move runs out of days. Both players' devices try; the first one ends it
+  useEffect(() => {
+    const timers = correspondenceGames.map(game => setTimeout(async () => {
+      try {
+        const { claimed, game: finished } = await correspondenceFirebaseService.claimTimeout(game.id);
+        if (claimed) recordCorrespondenceResult(finished);
+      } catch (error) {
+        console.error('❌ Failed to time out correspondence game:', error);
+      }
+    }, Math.max(0, Date.parse(game.moveDeadline) - Date.now())));
+    return () => timers.forEach(clearTimeout);
+  }, [correspondenceGames, recordCorrespondenceResult]);
 
   /**
    * Close/quit current game
    */
   const closeGame = useCallback(() => {
+    if (activeGame?.correspondence) {
+      // Correspondence games are put away, not ended; they carry on from their card in the chat
+      correspondenceSyncRef.current.get(activeGame.id)?.();
+      correspondenceSyncRef.current.delete(activeGame.id);
+      setActiveGames(prev => {
+        const newGames = new Map(prev);
+        newGames.delete(activeGame.id);
+        return newGames;
+      });
+      setActiveGame(null);
+      return;
+    }
+
     if (activeGame) {
       // If game is in progress, end it
       if (activeGame.status === 'in_progress') {
@@ -1886,7 +2826,7 @@ export const AppProvider = ({ children }) => {
     logout,
     // State
     chats,
-    messages,
+    messages: messagesWithOutbox,
     users,
     calls,
     statusUpdates,
@@ -1899,11 +2839,16 @@ export const AppProvider = ({ children }) => {
     updateChatSettings,
     securitySettings,
     updateSecuritySettings,
+    verifySecurityPin,
+    setSecurityPin,
+    chatPreviews: lockedPreviewKey ? unsealedPreviews : chatPreviews,
+    isChatLockUnlocked: Boolean(lockedPreviewKey),
     privacySettings,
     updatePrivacySettings,
     statusPrivacy,
     searchQuery,
     logoEffect,
+    language,
     // App and game configs are loaded from Firebase or environment\n    // appConfig and gameConfig removed - use Firebase settings instead
 
 
@@ -1938,9 +2883,21 @@ export const AppProvider = ({ children }) => {
     openGameInvite,
     closeGameInvite,
     inviteToGame,
+    shareSnakeBoard,
+    createTournament,
+    correspondenceGames,
+    startCorrespondenceGame,
+    openCorrespondenceGame,
+    resignCorrespondenceGame,
+    startComputerGame,
     joinGame,
+    resumeGames,
     makeGameMove,
     updateGameState,
+    setSpectatorSettings,
+    spectatingGame,
+    watchGame,
+    stopWatching,
     endGame,
     closeGame,
     minimizeGame,
@@ -1995,20 +2952,28 @@ export const AppProvider = ({ children }) => {
     outgoingRequests,
     pendingRequests,
     // Offline messaging
-    isOnline
+    isOnline,
+    retryFailedMessage,
+    discardFailedMessage,
+    // Message history paging
+    messagePagination,
+    loadOlderMessages
   }), [
-    chats, messages, users, calls, statusUpdates, channels, chatDocuments,
+    chats, messagesWithOutbox, users, calls, statusUpdates, channels, chatDocuments,
     currentUser, drafts, chatSettings,
-    securitySettings, statusPrivacy, searchQuery, logoEffect,
+    securitySettings, statusPrivacy, searchQuery, logoEffect, language,
     isAuthenticated, authLoading, firebaseUser, login, logout,
     updateChatSettings, updateSecuritySettings, updateAppSettings,
+    verifySecurityPin, setSecurityPin, chatPreviews, unsealedPreviews, lockedPreviewKey,
     toggleTheme, updateUserProfile, setDraft, startChat, createGroup,
     addGroupParticipants, updateGroupSettings, updateGroupRole, updateGroupInfo, addMessage,
     votePoll, deleteMessages, deleteForMe, deleteForEveryone, canDeleteForEveryone, hiddenMessages,
     toggleArchiveChat, togglePinChat,
     toggleDateLock, addStatusUpdate, deleteStatusUpdate, setSearchQuery,
     activeGame, activeGames, gameRooms, gameHistory, isGameInviteOpen, inviteOptions, 
-    openGameInvite, closeGameInvite, inviteToGame, joinGame, makeGameMove, updateGameState,
+    openGameInvite, closeGameInvite, inviteToGame, shareSnakeBoard, createTournament,
+    correspondenceGames, startCorrespondenceGame, openCorrespondenceGame, resignCorrespondenceGame, startComputerGame, joinGame, resumeGames, makeGameMove, updateGameState,
+    setSpectatorSettings, spectatingGame, watchGame, stopWatching,
     endGame, closeGame, minimizeGame, maximizeGame, editMessage, markMessageAsViewed,
     onlineUsers, typingUsers, lastSeen, markUserOnline, markUserOffline,
     setUserTyping, updateMessageStatus, markChatAsRead, togglePinMessage, toggleStarMessage,
@@ -2027,7 +2992,8 @@ export const AppProvider = ({ children }) => {
     // Session management
     activeSessionId, setActiveSessionId, messageSubscriptions,
     // Offline messaging  
-    isOnline
+    isOnline, retryFailedMessage, discardFailedMessage,
+    messagePagination, loadOlderMessages
   ]);
 
 
@@ -0,0 +1,191 @@
+import { GAME_TYPES, BOT_PLAYER_PREFIX, COMPUTER_PLAYER_ID, DEFAULT_LUDO_HOUSE_RULES } from '../constants/gameConstants.js';
+import {
+  getLudoMoveTarget,
+  getLudoTeammate,
+  isLudoSafeSquare,
+  checkLudoCapture,
+  LUDO_HOME
+} from './ludo.js';
+import { checkTicTacToeWinner } from './ticTacToe.js';
+
+const MAIN_TRACK_END = 52;
+
+// Weights for the hard Ludo bot
+const LUDO_WEIGHTS = {
+  finish: 60,
+  capture: 50,
+  leaveBase: 35,
+  enterHomeStretch: 30,
+  escapeDanger: 20,
+  safeZone: 15,
+  danger: -25
+};
+
+export const createBotId = (index) => `${BOT_PLAYER_PREFIX}${index}`;
+
+/**
+ * Whether a player ID belongs to a bot or the local computer opponent
+ */
+export const isBotPlayer = (playerId) => (
+  typeof playerId === 'string' && (playerId === COMPUTER_PLAYER_ID || playerId.startsWith(BOT_PLAYER_PREFIX))
+);
+
+const pickRandom = (items, random) => items[Math.floor(random() * items.length)];
+
+// --- Tic-Tac-Toe ---
+
+const emptySquares = (board) => board.reduce((empty, square, i) => (square === null ? [...empty, i] : empty), []);
+
+const findWinningSquare = (board, mark) => emptySquares(board).find((i) => {
+  const next = [...board];
+  next[i] = mark;
+  return checkTicTacToeWinner(next)?.winner === mark;
+});
+
+/**
+ * Minimax with alpha-beta pruning; faster wins and slower losses score higher
+ */
+const minimax = (board, mark, opponent, maximizing, depth, alpha, beta) => {
+  const result = checkTicTacToeWinner(board);
+  if (result) return result.winner === mark ? 10 - depth : depth - 10;
+  if (!board.includes(null)) return 0;
+
+  let best = maximizing ? -Infinity : Infinity;
+  for (const i of emptySquares(board)) {
+    board[i] = maximizing ? mark : opponent;
+    const score = minimax(board, mark, opponent, !maximizing, depth + 1, alpha, beta);
+    board[i] = null;
+
+    if (maximizing) {
+      best = Math.max(best, score);
+      alpha = Math.max(alpha, score);
+    } else {
+      best = Math.min(best, score);
+      beta = Math.min(beta, score);
+    }
+    if (beta <= alpha) break;
+  }
+  return best;
+};
+
+/**
+ * Square for `mark` to play
+ * easy: random · medium: win, block, centre, then random · hard: minimax (never loses)
+ * @returns {number|null} Board index, or null if the board is full
+ */
+export const chooseTicTacToeMove = (board, mark, difficulty = 'medium', random = Math.random) => {
+  const empty = emptySquares(board);
+  if (empty.length === 0) return null;
+  const opponent = mark === 'X' ? 'O' : 'X';
+
+  if (difficulty === 'easy') return pickRandom(empty, random);
+
+  if (difficulty === 'medium') {
+    return findWinningSquare(board, mark)
+      ?? findWinningSquare(board, opponent)
+      ?? (board[4] === null ? 4 : pickRandom(empty, random));
+  }
+
+  // Equally good squares are picked at random so games don't repeat
+  const scored = empty.map((i) => {
+    const next = [...board];
+    next[i] = mark;
+    return { i, score: minimax(next, mark, opponent, false, 1, -Infinity, Infinity) };
+  });
+  const bestScore = Math.max(...scored.map(({ score }) => score));
+  return pickRandom(scored.filter(({ score }) => score === bestScore), random).i;
+};
+
+// --- Ludo ---
+
+const isOnMainTrack = (pos) => pos > 0 && pos <= MAIN_TRACK_END;
+
+/**
+ * Whether an opponent token could land on `pos` with its next roll
+ */
+const isThreatened = (pos, opponentTokens, rules) => (
+  isOnMainTrack(pos)
+  && !isLudoSafeSquare(pos, rules)
+  && opponentTokens.some(other => isOnMainTrack(other) && pos - other >= 1 && pos - other <= 6)
+);
+
+const scoreLudoMove = (from, to, opponentTokens, rules) => {
+  let score = to / 10; // Progress breaks ties
+
+  if (to === LUDO_HOME) score += LUDO_WEIGHTS.finish;
+  if (from <= MAIN_TRACK_END && to > MAIN_TRACK_END && to !== LUDO_HOME) score += LUDO_WEIGHTS.enterHomeStretch;
+  if (from === 0) score += LUDO_WEIGHTS.leaveBase;
+  if (checkLudoCapture(to, opponentTokens, rules) !== null) score += LUDO_WEIGHTS.capture;
+  if (isOnMainTrack(to) && isLudoSafeSquare(to, rules)) score += LUDO_WEIGHTS.safeZone;
+
+  const remaining = opponentTokens.filter(pos => pos !== to);
+  if (isThreatened(to, remaining, rules)) score += LUDO_WEIGHTS.danger;
+  if (isThreatened(from, opponentTokens, rules) && !isThreatened(to, remaining, rules)) score += LUDO_WEIGHTS.escapeDanger;
+
+  return score;
+};
+
+/**
+ * Token for `color` to move with `roll`, following the game's house rules
+ * easy: random · medium: capture, leave base, then the furthest token ·
+ * hard: weighs finishing, captures, safe zones and tokens left open to capture
+ * @param {Object} game - { positions: color => tokens, rules?, captures? }
+ * @returns {number|null} Token index, or null if no token can move
+ */
+export const chooseLudoToken = (game, color, roll, difficulty = 'medium', random = Math.random) => {
+  const rules = game.rules || DEFAULT_LUDO_HOUSE_RULES;
+  const moves = game.positions[color]
+    .map((from, index) => ({ index, from, to: getLudoMoveTarget(game, color, index, roll) }))
+    .filter(({ to }) => to !== null);
+  if (moves.length === 0) return null;
+
+  // A partner's tokens are never captured, so they are no threat either
+  const teammate = getLudoTeammate(color, rules);
+  const opponentTokens = Object.entries(game.positions)
+    .filter(([otherColor]) => otherColor !== color && otherColor !== teammate)
+    .flatMap(([, tokens]) => tokens);
+
+  if (difficulty === 'easy') return pickRandom(moves, random).index;
+
+  if (difficulty === 'medium') {
+    const capture = moves.find(({ to }) => checkLudoCapture(to, opponentTokens, rules) !== null);
+    const leaveBase = moves.find(({ from }) => from === 0);
+    const furthest = moves.reduce((best, move) => (move.from > best.from ? move : best));
+    return (capture || leaveBase || furthest).index;
+  }
+
+  return moves.reduce((best, move) => {
+    const score = scoreLudoMove(move.from, move.to, opponentTokens, rules);
+    return score > best.score ? { index: move.index, score } : best;
+  }, { index: moves[0].index, score: -Infinity }).index;
+};
+
+// --- Referee bots ---
+
+/**
+ * Action a bot seated in a refereed game takes on its turn
+ * @param {Object} state - Shared game state
+ * @param {string} playerId - The bot's player ID
+ * @param {Object} options - { difficulty, random }
+ * @returns {Object|null} Action for applyGameAction, or null if the bot can't act
+ */
+export const getBotAction = (state, playerId, { difficulty = 'medium', random = Math.random } = {}) => {
+  const clientSeed = `${playerId}:${state.rolls.length}`;
+
+  switch (state.gameType) {
+    case GAME_TYPES.LUDO: {
+      if (state.dice === null) return { type: 'roll', clientSeed };
+      const tokenIndex = chooseLudoToken(state, state.colors[playerId], state.dice, difficulty, random);
+      return tokenIndex === null ? null : { type: 'move', tokenIndex };
+    }
+    case GAME_TYPES.SNAKE:
+      // Nothing to decide: the token moves by the roll
+      return { type: 'roll', clientSeed };
+    case GAME_TYPES.TIC_TAC_TOE: {
+      const position = chooseTicTacToeMove(state.board, state.marks[playerId], difficulty, random);
+      return position === null ? null : { type: 'place', position };
+    }
+    default:
+      return null;
+  }
+};
@@ -0,0 +1,114 @@
+import { Chess } from 'chess.js';
+import { GAME_TYPES } from '../constants/gameConstants.js';
+import { RuleViolation, RULE_ERRORS } from './errors.js';
+import { createBaseState, assertPlayerCount } from './common.js';
+import { getTimeControl, createClock, pressClock, flagClock, getFlaggedSide } from './clock.js';
+
+/**
+ * Whether `color` ('w' | 'b') still has enough material to mate
+ * (a lone king or king and single minor piece can't)
+ */
+const hasMatingMaterial = (fen, color) => {
+  const pieces = new Chess(fen).board().flat()
+    .filter(square => square && square.color === color && square.type !== 'k')
+    .map(square => square.type);
+  return !(pieces.length === 0 || (pieces.length === 1 && (pieces[0] === 'n' || pieces[0] === 'b')));
+};
+
+/**
+ * Game over on time: the flagged side loses unless the opponent can't mate
+ */
+const endOnTime = (state, clock) => {
+  const flagged = clock.flagged;
+  const opponentColor = flagged === 0 ? 'b' : 'w';
+  const canWin = hasMatingMaterial(state.fen, opponentColor);
+
+  return {
+    ...state,
+    clock,
+    winner: canWin ? state.players[1 - flagged] : null,
+    isDraw: !canWin,
+    endReason: 'flag'
+  };
+};
+
+export const chessRules = {
+  minPlayers: 2,
+  maxPlayers: 2,
+
+  /**
+   * @param {string[]} players - [white, black]
+   * @param {Object} options - { timeControl: preset ID } (no clock without one)
+   */
+  createInitialState(players, options = {}) {
+    assertPlayerCount(players, this.minPlayers, this.maxPlayers);
+    return {
+      ...createBaseState(GAME_TYPES.CHESS, players),
+      colors: { [players[0]]: 'white', [players[1]]: 'black' },
+      fen: new Chess().fen(),
+      history: [],
+      // Mover's time left after each move (for PGN clock comments)
+      clocks: [],
+      clock: options.timeControl ? createClock(getTimeControl(options.timeControl)) : null,
+      endReason: null
+    };
+  },
+
+  /**
+   * Actions: { type: 'move', from, to, promotion, thinkMs }
+   * The clock is only pressed when the context carries the referee's time (`now`)
+   */
+  applyAction(state, action, context) {
+    if (action.type !== 'move') {
+      throw new RuleViolation(RULE_ERRORS.UNKNOWN_ACTION, `Unknown chess action: ${action.type}`);
+    }
+
+    const game = new Chess(state.fen);
+    let move;
+    try {
+      move = game.move({ from: action.from, to: action.to, promotion: action.promotion || 'q' });
+    } catch {
+      move = null;
+    }
+    if (!move) {
+      throw new RuleViolation(RULE_ERRORS.ILLEGAL_MOVE, `Illegal move ${action.from}-${action.to}`);
+    }
+
+    let clock = state.clock;
+    let clocks = state.clocks || [];
+    if (clock && context.now !== undefined) {
+      clock = pressClock(clock, context.now, { reportedThinkMs: action.thinkMs });
+      // Too late: the flag fell before the move arrived
+      if (clock.flagged !== null) return endOnTime(state, clock);
+      clocks = [...clocks, clock.remainingMs[state.turn]];
+    }
+
+    const isDraw = game.isDraw() || game.isStalemate();
+    const winner = game.isCheckmate() ? context.playerId : null;
+
+    return {
+      ...state,
+      fen: game.fen(),
+      history: [...state.history, move.san],
+      lastMove: { from: move.from, to: move.to, san: move.san },
+      clock,
+      clocks,
+      winner,
+      isDraw,
+      endReason: winner ? 'checkmate' : isDraw ? 'draw' : null,
+      turn: game.turn() === 'w' ? 0 : 1
+    };
+  },
+
+  /**
+   * End the game if the side to move has run out of time
+   * @param {Object} context - { now }
+   */
+  claimFlag(state, context) {
+    const flagged = state.clock && context.now !== undefined ? getFlaggedSide(state.clock, context.now) : null;
+    if (flagged === null) {
+      throw new RuleViolation(RULE_ERRORS.ILLEGAL_MOVE, 'No flag has fallen');
+    }
+    return endOnTime(state, flagClock(state.clock, flagged));
+  }
+};
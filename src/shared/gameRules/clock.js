@@ -0,0 +1,103 @@
+import { CHESS_TIME_CONTROLS, DEFAULT_CHESS_TIME_CONTROL } from '../constants/gameConstants.js';
+
+/**
+ * Two-player game clock
+ *
+ * All times are milliseconds on the referee's clock. The side to move (`active`) is charged
+ * from `turnStartedAt`; white's first move is free and starts black's clock.
+ * - Fischer increment: `incrementMs` is added after every move
+ * - Bronstein delay: the time used is given back after the move, up to `delayMs`
+ *   (the clock still runs during the delay, so the flag can fall inside it)
+ */
+
+// The most transit lag credited back per move
+export const MAX_LAG_COMPENSATION_MS = 500;
+
+/**
+ * Preset by ID (unknown IDs fall back to the default)
+ */
+export const getTimeControl = (id) => (
+  CHESS_TIME_CONTROLS.find(tc => tc.id === id)
+  || CHESS_TIME_CONTROLS.find(tc => tc.id === DEFAULT_CHESS_TIME_CONTROL)
+);
+
+export const createClock = (timeControl) => ({
+  timeControl: {
+    id: timeControl.id,
+    initialMs: timeControl.initialMs,
+    incrementMs: timeControl.incrementMs,
+    delayMs: timeControl.delayMs
+  },
+  remainingMs: [timeControl.initialMs, timeControl.initialMs],
+  active: 0,
+  turnStartedAt: null,
+  flagged: null
+});
+
+export const isClockRunning = (clock) => Boolean(clock) && clock.turnStartedAt !== null && clock.flagged === null;
+
+/**
+ * Time left for each side at `now`
+ * @returns {number[]} [white, black]
+ */
+export const getLiveRemaining = (clock, now) => {
+  if (!isClockRunning(clock)) return [...clock.remainingMs];
+  const remaining = [...clock.remainingMs];
+  remaining[clock.active] -= Math.max(0, now - clock.turnStartedAt);
+  return remaining;
+};
+
+/**
+ * Side whose flag has fallen at `now`, or null
+ */
+export const getFlaggedSide = (clock, now) => {
+  if (!isClockRunning(clock)) return clock?.flagged ?? null;
+  return getLiveRemaining(clock, now)[clock.active] <= 0 ? clock.active : null;
+};
+
+/**
+ * Stop the mover's clock and start the opponent's
+ * @param {Object} clock
+ * @param {number} now - Referee time the move arrived
+ * @param {Object} options
+ * @param {number} options.reportedThinkMs - Time the client says it spent on the move; the
+ *   rest of the elapsed time is treated as network lag and credited back (capped)
+ * @returns {Object} Next clock (`flagged` is set if the mover ran out of time)
+ */
+export const pressClock = (clock, now, { reportedThinkMs } = {}) => {
+  const next = { ...clock, remainingMs: [...clock.remainingMs] };
+
+  if (clock.turnStartedAt === null) {
+    next.active = 1 - clock.active;
+    next.turnStartedAt = now;
+    return next;
+  }
+
+  const serverElapsed = Math.max(0, now - clock.turnStartedAt);
+  const lag = Number.isFinite(reportedThinkMs)
+    ? Math.min(Math.max(serverElapsed - reportedThinkMs, 0), MAX_LAG_COMPENSATION_MS)
+    : 0;
+  const elapsed = serverElapsed - lag;
+  const left = clock.remainingMs[clock.active] - elapsed;
+
+  if (left <= 0) {
+    next.remainingMs[clock.active] = 0;
+    next.flagged = clock.active;
+    return next;
+  }
+
+  const { incrementMs, delayMs } = clock.timeControl;
+  next.remainingMs[clock.active] = left + incrementMs + Math.min(elapsed, delayMs);
+  next.active = 1 - clock.active;
+  next.turnStartedAt = now;
+  return next;
+};
+
+/**
+ * Stop the clock with `side` flagged
+ */
+export const flagClock = (clock, side) => {
+  const remainingMs = [...clock.remainingMs];
+  remainingMs[side] = 0;
+  return { ...clock, remainingMs, flagged: side };
+};
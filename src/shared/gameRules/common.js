@@ -0,0 +1,59 @@
+import { RuleViolation, RULE_ERRORS } from './errors.js';
+
+/**
+ * State shared by every turn-based game
+ * @param {string} gameType
+ * @param {string[]} players - User IDs in turn order
+ */
+export const createBaseState = (gameType, players) => ({
+  gameType,
+  players: [...players],
+  turn: 0,
+  winner: null,
+  isDraw: false,
+  resigned: [],
+  moveCount: 0,
+  rolls: []
+});
+
+export const isFinished = (state) => state.winner !== null || state.isDraw;
+
+export const getActivePlayers = (state) => state.players.filter(id => !state.resigned.includes(id));
+
+/**
+ * Index of the next player who hasn't resigned
+ */
+export const nextTurn = (state, from = state.turn) => {
+  for (let step = 1; step <= state.players.length; step++) {
+    const index = (from + step) % state.players.length;
+    if (!state.resigned.includes(state.players[index])) return index;
+  }
+  return from;
+};
+
+/**
+ * Roll a die through the referee and log it in the state
+ * Clients can't roll: their context has no rollDie, so dice actions are only applied by the referee
+ * @returns {{value: number, rolls: Array}}
+ */
+export const takeRoll = (state, action, context) => {
+  if (!context.rollDie) {
+    throw new RuleViolation(RULE_ERRORS.ILLEGAL_MOVE, 'Dice can only be rolled by the referee');
+  }
+
+  const clientSeed = typeof action.clientSeed === 'string' ? action.clientSeed.slice(0, 64) : '';
+  const index = state.rolls.length;
+  const value = context.rollDie(clientSeed, index);
+
+  return {
+    value,
+    rolls: [...state.rolls, { index, playerId: context.playerId, clientSeed, value }]
+  };
+};
+
+export const assertPlayerCount = (players, min, max) => {
+  const unique = new Set(players);
+  if (!Array.isArray(players) || unique.size !== players.length || players.length < min || players.length > max) {
+    throw new RuleViolation(RULE_ERRORS.INVALID_PLAYERS, `Needs ${min}-${max} distinct players`);
+  }
+};
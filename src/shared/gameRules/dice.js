@@ -0,0 +1,63 @@
+import { sha256 } from './sha256.js';
+
+/**
+ * Commit–reveal dice
+ *
+ * The referee picks a secret server seed when the game starts and publishes only its
+ * hash (the commitment). Each roll mixes in a seed chosen by the rolling player:
+ *
+ *   value = die(sha256(`${serverSeed}:${clientSeed}:${rollIndex}`))
+ *
+ * The referee can't steer rolls (the seed was fixed before any client seed was known)
+ * and players can't predict them (the server seed is secret). The server seed is revealed
+ * when the game ends so every roll can be checked with verifyRolls().
+ */
+
+const UINT32_RANGE = 0x100000000;
+// Largest multiple of 6 below 2^32; values at or above it would bias the die
+const UNBIASED_LIMIT = UINT32_RANGE - (UINT32_RANGE % 6);
+
+/**
+ * Random hex seed
+ * @param {number} bytes
+ */
+export const createSeed = (bytes = 32) => {
+  const values = new Uint8Array(bytes);
+  globalThis.crypto.getRandomValues(values);
+  return Array.from(values, value => value.toString(16).padStart(2, '0')).join('');
+};
+
+export const commitSeed = (serverSeed) => sha256(serverSeed);
+
+/**
+ * Roll one die
+ * @param {string} serverSeed - Referee's secret seed
+ * @param {string} clientSeed - Seed sent by the rolling player
+ * @param {number} rollIndex - Roll number within the game (0-based)
+ * @returns {number} 1-6
+ */
+export const rollDie = (serverSeed, clientSeed, rollIndex) => {
+  let digest = sha256(`${serverSeed}:${clientSeed}:${rollIndex}`);
+
+  for (;;) {
+    // Eight 32-bit words per digest; rehash in the (very unlikely) case all are rejected
+    for (let i = 0; i < digest.length; i += 8) {
+      const value = parseInt(digest.slice(i, i + 8), 16);
+      if (value < UNBIASED_LIMIT) return (value % 6) + 1;
+    }
+    digest = sha256(digest);
+  }
+};
+
+/**
+ * Check a revealed seed against its commitment and every logged roll
+ * @param {Object} params
+ * @param {string} params.serverSeed - Seed revealed at the end of the game
+ * @param {string} params.commitment - Hash published when the game started
+ * @param {Array<{index, clientSeed, value}>} params.rolls - Roll log from the game state
+ * @returns {boolean}
+ */
+export const verifyRolls = ({ serverSeed, commitment, rolls = [] }) => {
+  if (!serverSeed || commitSeed(serverSeed) !== commitment) return false;
+  return rolls.every(roll => rollDie(serverSeed, roll.clientSeed, roll.index) === roll.value);
+};
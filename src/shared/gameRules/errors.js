@@ -0,0 +1,27 @@
+/**
+ * Error codes for rejected game actions
+ */
+export const RULE_ERRORS = {
+  GAME_NOT_STARTED: 'GAME_NOT_STARTED',
+  GAME_OVER: 'GAME_OVER',
+  NOT_A_PLAYER: 'NOT_A_PLAYER',
+  NOT_YOUR_TURN: 'NOT_YOUR_TURN',
+  UNKNOWN_ACTION: 'UNKNOWN_ACTION',
+  ALREADY_ROLLED: 'ALREADY_ROLLED',
+  MUST_ROLL_FIRST: 'MUST_ROLL_FIRST',
+  ILLEGAL_MOVE: 'ILLEGAL_MOVE',
+  INVALID_PLAYERS: 'INVALID_PLAYERS',
+  INVALID_BOARD: 'INVALID_BOARD',
+  CLIENT_STATE_REJECTED: 'CLIENT_STATE_REJECTED'
+};
+
+/**
+ * Thrown by the rules when an action is not allowed in the current state
+ */
+export class RuleViolation extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'RuleViolation';
+    this.code = code;
+  }
+}
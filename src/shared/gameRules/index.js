@@ -0,0 +1,141 @@
+/**
+ * Shared game rules
+ *
+ * Deterministic, side-effect free rules used both by the browser (pre-validation,
+ * optimistic updates) and by the referee in the game server (server/gameReferee.js),
+ * which is the only place dice are rolled and the source of truth for game state.
+ *
+ * Modules in this folder import each other with explicit `.js` extensions so Node
+ * can load them without a bundler.
+ */
+
+import { GAME_TYPES } from '../constants/gameConstants.js';
+import { RuleViolation, RULE_ERRORS } from './errors.js';
+import { isFinished, getActivePlayers, nextTurn } from './common.js';
+import { ludoRules } from './ludo.js';
+import { snakeLaddersRules } from './snakeLadders.js';
+import { ticTacToeRules } from './ticTacToe.js';
+import { chessRules } from './chess.js';
+
+export { RuleViolation, RULE_ERRORS } from './errors.js';
+export { createSeed, commitSeed, rollDie, verifyRolls } from './dice.js';
+export { isFinished } from './common.js';
+export {
+  calculateLudoPosition,
+  checkLudoCapture,
+  canMoveAnyToken,
+  normalizeLudoRules,
+  getLudoTeammate,
+  isLudoSafeSquare,
+  getLudoMoveTarget,
+  getLudoLegalMoves,
+  moveLudoToken,
+  hasLudoWon,
+  LUDO_HOME
+} from './ludo.js';
+export {
+  calculateSnakePosition,
+  normalizeSnakeBoard,
+  getSnakeBoardEnd,
+  getSnakeSpecial,
+  DEFAULT_SNAKE_BOARD,
+  SNAKE_BOARD_END
+} from './snakeLadders.js';
+export { checkTicTacToeWinner } from './ticTacToe.js';
+export { createBotId, isBotPlayer, chooseTicTacToeMove, chooseLudoToken, getBotAction } from './bots.js';
+export {
+  MAX_LAG_COMPENSATION_MS,
+  getTimeControl,
+  createClock,
+  pressClock,
+  isClockRunning,
+  getLiveRemaining,
+  getFlaggedSide
+} from './clock.js';
+
+const RULES = {
+  [GAME_TYPES.LUDO]: ludoRules,
+  [GAME_TYPES.SNAKE]: snakeLaddersRules,
+  [GAME_TYPES.TIC_TAC_TOE]: ticTacToeRules,
+  [GAME_TYPES.CHESS]: chessRules
+};
+
+export const getGameRules = (gameType) => RULES[gameType] || null;
+
+/**
+ * Initial state for a new game
+ * @param {string} gameType
+ * @param {string[]} players - User IDs in turn order
+ * @param {Object} options - Game options (e.g. chess `timeControl`)
+ * @throws {RuleViolation}
+ */
+export const createGameState = (gameType, players, options = {}) => {
+  const rules = getGameRules(gameType);
+  if (!rules) {
+    throw new RuleViolation(RULE_ERRORS.UNKNOWN_ACTION, `Unknown game type: ${gameType}`);
+  }
+  return rules.createInitialState(players, options);
+};
+
+/**
+ * End a timed game whose side to move has run out of time
+ * @param {Object} state
+ * @param {number} now - Referee time
+ * @throws {RuleViolation} If the game has no clock or nobody's flag has fallen
+ */
+export const claimFlag = (state, now) => {
+  const rules = getGameRules(state.gameType);
+  if (!rules?.claimFlag) {
+    throw new RuleViolation(RULE_ERRORS.UNKNOWN_ACTION, 'This game has no clock');
+  }
+  return rules.claimFlag(state, { now });
+};
+
+/**
+ * Apply a player's action and return the next state
+ * Checks that the game is running, the sender plays in it and it's their turn; the game
+ * rules check the action itself. `resign` is available in every game, and in timed
+ * games either player may `flag` the opponent once their time has run out.
+ *
+ * @param {Object} state - Current state (never mutated)
+ * @param {Object} action - { type, ...params }
+ * @param {Object} context - { playerId, now?: referee time, rollDie?: (clientSeed, index) => number }
+ * @returns {Object} Next state
+ * @throws {RuleViolation}
+ */
+export const applyGameAction = (state, action, context) => {
+  if (!state) {
+    throw new RuleViolation(RULE_ERRORS.GAME_NOT_STARTED, 'The game has not started');
+  }
+  if (isFinished(state)) {
+    throw new RuleViolation(RULE_ERRORS.GAME_OVER, 'The game is over');
+  }
+  if (!state.players.includes(context.playerId) || state.resigned.includes(context.playerId)) {
+    throw new RuleViolation(RULE_ERRORS.NOT_A_PLAYER, 'You are not playing in this game');
+  }
+
+  if (action?.type === 'resign') {
+    const next = { ...state, resigned: [...state.resigned, context.playerId], moveCount: state.moveCount + 1 };
+    const remaining = getActivePlayers(next);
+    if (remaining.length === 1) {
+      next.winner = remaining[0];
+      next.endReason = 'resigned';
+    }
+    if (state.players[state.turn] === context.playerId) {
+      next.turn = nextTurn(next);
+      if ('dice' in state) next.dice = null;
+    }
+    return next;
+  }
+
+  if (action?.type === 'flag') {
+    return { ...claimFlag(state, context.now), moveCount: state.moveCount + 1 };
+  }
+
+  if (state.players[state.turn] !== context.playerId) {
+    throw new RuleViolation(RULE_ERRORS.NOT_YOUR_TURN, "It's not your turn");
+  }
+
+  const next = getGameRules(state.gameType).applyAction(state, action || {}, context);
+  return { ...next, moveCount: state.moveCount + 1 };
+};
@@ -0,0 +1,247 @@
+import { GAME_CONFIG, GAME_TYPES, DEFAULT_LUDO_HOUSE_RULES } from '../constants/gameConstants.js';
+import { RuleViolation, RULE_ERRORS } from './errors.js';
+import { createBaseState, assertPlayerCount, nextTurn, takeRoll } from './common.js';
+
+const LUDO_CONFIG = GAME_CONFIG[GAME_TYPES.LUDO];
+
+// 0 = base, 1-52 = main track, 53-56 = home stretch, 57 = finished
+export const LUDO_HOME = 57;
+const MAIN_TRACK_END = 52;
+const TEAM_PLAYERS = 4;
+
+/**
+ * House rules with every option filled in; unknown options are dropped
+ */
+export const normalizeLudoRules = (houseRules = {}) => Object.fromEntries(
+  Object.entries(DEFAULT_LUDO_HOUSE_RULES).map(([id, fallback]) => [
+    id,
+    typeof houseRules?.[id] === 'boolean' ? houseRules[id] : fallback
+  ])
+);
+
+const rulesOf = (game) => game.rules || DEFAULT_LUDO_HOUSE_RULES;
+
+/**
+ * Partner colour in team mode (partners sit opposite each other), else null
+ */
+export const getLudoTeammate = (color, rules = DEFAULT_LUDO_HOUSE_RULES) => {
+  if (!rules.teamMode) return null;
+  const index = LUDO_CONFIG.colors.indexOf(color);
+  return LUDO_CONFIG.colors[(index + 2) % TEAM_PLAYERS];
+};
+
+const isOpponent = (color, otherColor, rules) => otherColor !== color && otherColor !== getLudoTeammate(color, rules);
+
+export const isLudoSafeSquare = (position, rules = DEFAULT_LUDO_HOUSE_RULES) => (
+  rules.safeZones && LUDO_CONFIG.safeZones.includes(position)
+);
+
+/**
+ * Position after moving `roll` squares, or null if the token can't move
+ */
+export const calculateLudoPosition = (currentPos, roll) => {
+  if (currentPos === LUDO_HOME) return null;
+  if (currentPos === 0) return roll === 6 ? 1 : null;
+
+  const newPos = currentPos + roll;
+  // An exact roll is needed to finish
+  return newPos > LUDO_HOME ? null : newPos;
+};
+
+/**
+ * Index of the opponent token captured at `position`, or null
+ */
+export const checkLudoCapture = (position, opponentPositions, rules = DEFAULT_LUDO_HOUSE_RULES) => {
+  if (isLudoSafeSquare(position, rules) || position > MAIN_TRACK_END) return null;
+
+  const index = opponentPositions.findIndex(pos => pos === position);
+  return index === -1 ? null : index;
+};
+
+/**
+ * Main-track squares `color` can't pass or land on: two tokens of one opponent colour
+ */
+const getBlockedSquares = (game, color) => {
+  const blocked = new Set();
+  Object.entries(game.positions).forEach(([otherColor, tokens]) => {
+    if (!isOpponent(color, otherColor, rulesOf(game))) return;
+    tokens.forEach((pos, i) => {
+      if (pos > 0 && pos <= MAIN_TRACK_END && tokens.indexOf(pos) !== i) blocked.add(pos);
+    });
+  });
+  return blocked;
+};
+
+/**
+ * Where a token ends up under the game's house rules, or null if the move is illegal
+ * @param {Object} game - { positions: color => tokens, rules?, captures?: color => count }
+ */
+export const getLudoMoveTarget = (game, color, tokenIndex, roll) => {
+  const from = game.positions[color]?.[tokenIndex];
+  if (from === undefined) return null;
+
+  const to = calculateLudoPosition(from, roll);
+  if (to === null) return null;
+
+  const rules = rulesOf(game);
+  if (rules.captureToEnterHome && from <= MAIN_TRACK_END && to > MAIN_TRACK_END && !game.captures?.[color]) {
+    return null;
+  }
+  if (rules.blockades) {
+    const blocked = getBlockedSquares(game, color);
+    const first = from === 0 ? to : from + 1;
+    for (let square = first; square <= Math.min(to, MAIN_TRACK_END); square++) {
+      if (blocked.has(square)) return null;
+    }
+  }
+  return to;
+};
+
+/**
+ * Indexes of the tokens `color` can move with `roll`
+ */
+export const getLudoLegalMoves = (game, color, roll) => (
+  (game.positions[color] || [])
+    .map((_, tokenIndex) => tokenIndex)
+    .filter(tokenIndex => getLudoMoveTarget(game, color, tokenIndex, roll) !== null)
+);
+
+export const canMoveAnyToken = (positions, roll) => (
+  positions.some(pos => calculateLudoPosition(pos, roll) !== null)
+);
+
+/**
+ * Move a token and capture any opponent token on the square it lands on
+ * @returns {{positions: Object, captured: boolean}|null} null if the move is illegal
+ */
+export const moveLudoToken = (game, color, tokenIndex, roll) => {
+  const newPos = getLudoMoveTarget(game, color, tokenIndex, roll);
+  if (newPos === null) return null;
+
+  const rules = rulesOf(game);
+  const positions = {
+    ...game.positions,
+    [color]: game.positions[color].map((pos, i) => (i === tokenIndex ? newPos : pos))
+  };
+  let captured = false;
+  Object.keys(positions).forEach((otherColor) => {
+    if (!isOpponent(color, otherColor, rules)) return;
+    const capturedIndex = checkLudoCapture(newPos, positions[otherColor], rules);
+    if (capturedIndex !== null) {
+      positions[otherColor] = positions[otherColor].map((pos, i) => (i === capturedIndex ? 0 : pos));
+      captured = true;
+    }
+  });
+  return { positions, captured };
+};
+
+/**
+ * Whether `color` has finished: all tokens home, or one in a quick game.
+ * In team mode the partner has to finish too
+ */
+export const hasLudoWon = (game, color) => {
+  const rules = rulesOf(game);
+  const finished = (c) => {
+    const home = (game.positions[c] || []).filter(pos => pos === LUDO_HOME).length;
+    return home >= (rules.quickMode ? 1 : LUDO_CONFIG.tokensPerPlayer);
+  };
+  const teammate = getLudoTeammate(color, rules);
+  return finished(color) && (!teammate || finished(teammate));
+};
+
+export const ludoRules = {
+  minPlayers: LUDO_CONFIG.minPlayers,
+  maxPlayers: LUDO_CONFIG.maxPlayers,
+
+  /**
+   * @param {Object} options - { houseRules } (see LUDO_HOUSE_RULES)
+   */
+  createInitialState(players, options = {}) {
+    assertPlayerCount(players, this.minPlayers, this.maxPlayers);
+    const rules = normalizeLudoRules(options.houseRules);
+    if (rules.teamMode && players.length !== TEAM_PLAYERS) {
+      throw new RuleViolation(RULE_ERRORS.INVALID_PLAYERS, `Team mode needs ${TEAM_PLAYERS} players`);
+    }
+
+    const colors = {};
+    const positions = {};
+    const captures = {};
+    players.forEach((playerId, index) => {
+      const color = LUDO_CONFIG.colors[index];
+      colors[playerId] = color;
+      positions[color] = Array(LUDO_CONFIG.tokensPerPlayer).fill(0);
+      captures[color] = 0;
+    });
+
+    return {
+      ...createBaseState(GAME_TYPES.LUDO, players),
+      rules,
+      colors,
+      positions,
+      captures,
+      dice: null,
+      sixesInRow: 0,
+      winningTeam: null
+    };
+  },
+
+  /**
+   * Actions: { type: 'roll', clientSeed } then { type: 'move', tokenIndex }
+   */
+  applyAction(state, action, context) {
+    const color = state.colors[context.playerId];
+
+    if (action.type === 'roll') {
+      if (state.dice !== null) {
+        throw new RuleViolation(RULE_ERRORS.ALREADY_ROLLED, 'Move a token before rolling again');
+      }
+      const { value, rolls } = takeRoll(state, action, context);
+      const sixesInRow = value === 6 ? state.sixesInRow + 1 : 0;
+
+      // A third six in a row forfeits the turn; so does a roll nothing can move with
+      if ((rulesOf(state).threeSixesPenalty && sixesInRow === 3)
+        || getLudoLegalMoves(state, color, value).length === 0) {
+        return { ...state, rolls, dice: null, lastRoll: value, sixesInRow: 0, turn: nextTurn(state) };
+      }
+      return { ...state, rolls, dice: value, lastRoll: value, sixesInRow };
+    }
+
+    if (action.type === 'move') {
+      if (state.dice === null) {
+        throw new RuleViolation(RULE_ERRORS.MUST_ROLL_FIRST, 'Roll the dice first');
+      }
+
+      const { tokenIndex } = action;
+      if (!Number.isInteger(tokenIndex) || tokenIndex < 0 || tokenIndex >= state.positions[color].length) {
+        throw new RuleViolation(RULE_ERRORS.ILLEGAL_MOVE, 'No such token');
+      }
+
+      const moved = moveLudoToken(state, color, tokenIndex, state.dice);
+      if (!moved) {
+        throw new RuleViolation(RULE_ERRORS.ILLEGAL_MOVE, `That token can't move ${state.dice}`);
+      }
+
+      const { positions, captured } = moved;
+      const captures = captured ? { ...state.captures, [color]: (state.captures?.[color] || 0) + 1 } : state.captures;
+      const won = hasLudoWon({ ...state, positions }, color);
+      const teammate = getLudoTeammate(color, rulesOf(state));
+      // A six or a capture earns another roll
+      const rollAgain = state.dice === 6 || captured;
+
+      return {
+        ...state,
+        positions,
+        captures,
+        dice: null,
+        sixesInRow: rollAgain ? state.sixesInRow : 0,
+        winner: won ? context.playerId : null,
+        winningTeam: won && teammate
+          ? state.players.filter(id => [color, teammate].includes(state.colors[id]))
+          : null,
+        turn: won || rollAgain ? state.turn : nextTurn(state)
+      };
+    }
+
+    throw new RuleViolation(RULE_ERRORS.UNKNOWN_ACTION, `Unknown Ludo action: ${action.type}`);
+  }
+};
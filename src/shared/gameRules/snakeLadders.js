@@ -0,0 +1,156 @@
+import { GAME_CONFIG, GAME_TYPES, SNAKE_BOARD_LIMITS, SNAKE_SPECIAL_SQUARES } from '../constants/gameConstants.js';
+import { RuleViolation, RULE_ERRORS } from './errors.js';
+import { createBaseState, assertPlayerCount, nextTurn, takeRoll } from './common.js';
+
+const SNAKE_CONFIG = GAME_CONFIG[GAME_TYPES.SNAKE];
+
+export const SNAKE_BOARD_END = SNAKE_CONFIG.boardSize;
+
+/**
+ * Board definition: a `size` x `size` grid numbered from 1 in the bottom-left corner
+ * { name, size, snakes: { head: tail }, ladders: { bottom: top }, specials: { square: 'skipTurn' | 'rollAgain' } }
+ */
+export const DEFAULT_SNAKE_BOARD = {
+  name: 'Classic',
+  size: Math.sqrt(SNAKE_CONFIG.boardSize),
+  snakes: { ...SNAKE_CONFIG.snakes },
+  ladders: { ...SNAKE_CONFIG.ladders },
+  specials: {}
+};
+
+export const getSnakeBoardEnd = (board) => (board?.size ? board.size * board.size : SNAKE_BOARD_END);
+
+const invalid = (message) => new RuleViolation(RULE_ERRORS.INVALID_BOARD, message);
+
+const toSquare = (value, end, label) => {
+  const square = Number(value);
+  if (!Number.isInteger(square) || square < 1 || square > end) {
+    throw invalid(`${label} must be a square between 1 and ${end}`);
+  }
+  return square;
+};
+
+/**
+ * Check a board definition and return a clean copy
+ * Snakes go down and ladders go up, nothing starts on the first or last square and no
+ * square starts two jumps. A jump landing on another jump's start doesn't chain
+ * @throws {RuleViolation} INVALID_BOARD
+ */
+export const normalizeSnakeBoard = (board) => {
+  if (!board || typeof board !== 'object') throw invalid('Missing board');
+
+  const { minSize, maxSize, maxJumps, maxSpecials, maxNameLength } = SNAKE_BOARD_LIMITS;
+  const size = Number(board.size);
+  if (!Number.isInteger(size) || size < minSize || size > maxSize) {
+    throw invalid(`Board size must be between ${minSize} and ${maxSize}`);
+  }
+  const end = size * size;
+
+  const starts = new Set();
+  const readJumps = (jumps = {}, kind) => Object.fromEntries(Object.entries(jumps).map(([from, to]) => {
+    const start = toSquare(from, end, `A ${kind} start`);
+    const finish = toSquare(to, end, `A ${kind} end`);
+    if (start === 1 || start === end) throw invalid(`A ${kind} can't start on the first or last square`);
+    if (kind === 'snake' ? finish >= start : finish <= start) {
+      throw invalid(kind === 'snake' ? 'Snakes must go down' : 'Ladders must go up');
+    }
+    if (starts.has(start)) throw invalid(`Square ${start} already has a snake or ladder`);
+    starts.add(start);
+    return [start, finish];
+  }));
+
+  const snakes = readJumps(board.snakes, 'snake');
+  const ladders = readJumps(board.ladders, 'ladder');
+  if (starts.size > maxJumps) throw invalid(`A board can have at most ${maxJumps} snakes and ladders`);
+
+  const specialTypes = SNAKE_SPECIAL_SQUARES.map(special => special.id);
+  const specials = Object.fromEntries(Object.entries(board.specials || {}).map(([square, type]) => {
+    const at = toSquare(square, end, 'A special square');
+    if (!specialTypes.includes(type)) throw invalid(`Unknown special square: ${type}`);
+    if (at === 1 || at === end || starts.has(at)) throw invalid(`Square ${at} can't be a special square`);
+    return [at, type];
+  }));
+  if (Object.keys(specials).length > maxSpecials) throw invalid(`A board can have at most ${maxSpecials} special squares`);
+
+  const name = typeof board.name === 'string' && board.name.trim()
+    ? board.name.trim().slice(0, maxNameLength)
+    : 'Custom board';
+
+  return { name, size, snakes, ladders, specials };
+};
+
+/**
+ * Position after a roll, following any snake or ladder
+ * Overshooting the last square leaves the token where it is
+ */
+export const calculateSnakePosition = (currentPos, roll, board = SNAKE_CONFIG) => {
+  const newPos = currentPos + roll;
+  if (newPos > getSnakeBoardEnd(board)) return currentPos;
+  return board.ladders[newPos] || board.snakes[newPos] || newPos;
+};
+
+/**
+ * Special square a token stopped on, or null
+ */
+export const getSnakeSpecial = (position, board) => board?.specials?.[position] || null;
+
+/**
+ * Next player to roll, passing over (and clearing) anyone who has to skip a turn
+ * @returns {{turn: number, skipTurns: Object}}
+ */
+const advanceTurn = (state, skipTurns) => {
+  const skipping = { ...skipTurns };
+  let turn = nextTurn(state);
+  for (let i = 0; i < state.players.length && skipping[state.players[turn]]; i++) {
+    delete skipping[state.players[turn]];
+    turn = nextTurn(state, turn);
+  }
+  return { turn, skipTurns: skipping };
+};
+
+export const snakeLaddersRules = {
+  minPlayers: SNAKE_CONFIG.minPlayers,
+  maxPlayers: SNAKE_CONFIG.maxPlayers,
+
+  /**
+   * @param {Object} options - { board } (see DEFAULT_SNAKE_BOARD); the classic board if missing
+   */
+  createInitialState(players, options = {}) {
+    assertPlayerCount(players, this.minPlayers, this.maxPlayers);
+    return {
+      ...createBaseState(GAME_TYPES.SNAKE, players),
+      positions: Object.fromEntries(players.map(playerId => [playerId, 0])),
+      board: normalizeSnakeBoard(options.board || DEFAULT_SNAKE_BOARD),
+      skipTurns: {},
+      lastRoll: null
+    };
+  },
+
+  /**
+   * Actions: { type: 'roll', clientSeed } (the token moves automatically)
+   */
+  applyAction(state, action, context) {
+    if (action.type !== 'roll') {
+      throw new RuleViolation(RULE_ERRORS.UNKNOWN_ACTION, `Unknown Snake & Ladders action: ${action.type}`);
+    }
+
+    const { value, rolls } = takeRoll(state, action, context);
+    const newPos = calculateSnakePosition(state.positions[context.playerId], value, state.board);
+    const won = newPos === getSnakeBoardEnd(state.board);
+    const special = getSnakeSpecial(newPos, state.board);
+
+    const skipTurns = special === 'skipTurn' ? { ...state.skipTurns, [context.playerId]: true } : state.skipTurns;
+    const next = won || special === 'rollAgain'
+      ? { turn: state.turn, skipTurns }
+      : advanceTurn(state, skipTurns);
+
+    return {
+      ...state,
+      rolls,
+      lastRoll: value,
+      positions: { ...state.positions, [context.playerId]: newPos },
+      winner: won ? context.playerId : null,
+      ...next
+    };
+  }
+};
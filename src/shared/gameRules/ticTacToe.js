@@ -0,0 +1,58 @@
+import { GAME_TYPES } from '../constants/gameConstants.js';
+import { RuleViolation, RULE_ERRORS } from './errors.js';
+import { createBaseState, assertPlayerCount, nextTurn } from './common.js';
+
+const LINES = [
+  [0, 1, 2], [3, 4, 5], [6, 7, 8], // rows
+  [0, 3, 6], [1, 4, 7], [2, 5, 8], // cols
+  [0, 4, 8], [2, 4, 6]             // diagonals
+];
+
+/**
+ * @returns {{winner: string, line: number[]}|null} Winning mark and line
+ */
+export const checkTicTacToeWinner = (squares) => {
+  const line = LINES.find(([a, b, c]) => squares[a] && squares[a] === squares[b] && squares[a] === squares[c]);
+  return line ? { winner: squares[line[0]], line } : null;
+};
+
+export const ticTacToeRules = {
+  minPlayers: 2,
+  maxPlayers: 2,
+
+  createInitialState(players) {
+    assertPlayerCount(players, this.minPlayers, this.maxPlayers);
+    return {
+      ...createBaseState(GAME_TYPES.TIC_TAC_TOE, players),
+      board: Array(9).fill(null),
+      marks: { [players[0]]: 'X', [players[1]]: 'O' },
+      winningLine: null
+    };
+  },
+
+  /**
+   * Actions: { type: 'place', position }
+   */
+  applyAction(state, action, context) {
+    if (action.type !== 'place') {
+      throw new RuleViolation(RULE_ERRORS.UNKNOWN_ACTION, `Unknown Tic-Tac-Toe action: ${action.type}`);
+    }
+
+    const { position } = action;
+    if (!Number.isInteger(position) || position < 0 || position > 8 || state.board[position] !== null) {
+      throw new RuleViolation(RULE_ERRORS.ILLEGAL_MOVE, 'That square is not free');
+    }
+
+    const board = state.board.map((square, i) => (i === position ? state.marks[context.playerId] : square));
+    const result = checkTicTacToeWinner(board);
+
+    return {
+      ...state,
+      board,
+      winner: result ? context.playerId : null,
+      winningLine: result?.line || null,
+      isDraw: !result && !board.includes(null),
+      turn: nextTurn(state)
+    };
+  }
+};
@@ -1,7 +1,8 @@
 /**
  * useMessages Hook
  * Global hook for message operations (fetch, send, update, delete)
- * Backend-agnostic with real-time support
+ * Backend-agnostic with real-time support; the Firebase backend answers from
+ * the local message store first and pages older history in with loadOlderMessages
  */
 
 import { useState, useEffect, useCallback } from 'react';
@@ -11,6 +12,8 @@ export const useMessages = (chatId) => {
     const [messages, setMessages] = useState([]);
     const [loading, setLoading] = useState(true);
     const [error, setError] = useState(null);
+    const [hasMoreOlder, setHasMoreOlder] = useState(false);
+    const [loadingOlder, setLoadingOlder] = useState(false);
 
     // Fetch messages
     useEffect(() => {
@@ -24,8 +27,9 @@ export const useMessages = (chatId) => {
         // Subscribe to real-time updates
         const unsubscribe = dataServices.message.subscribeToMessages?.(
             chatId,
-            (messagesData) => {
+            (messagesData, meta = {}) => {
                 setMessages(messagesData);
+                setHasMoreOlder(Boolean(meta.hasMoreOlder));
                 setLoading(false);
                 setError(null);
             },
@@ -51,6 +55,21 @@ export const useMessages = (chatId) => {
         return () => unsubscribe?.();
     }, [chatId]);
 
+    // Load the page before the oldest loaded message
+    const loadOlderMessages = useCallback(async () => {
+        if (!dataServices.message.loadOlderMessages) return { success: true, count: 0, hasMoreOlder: false };
+        try {
+            setError(null);
+            setLoadingOlder(true);
+            return await dataServices.message.loadOlderMessages(chatId);
+        } catch (err) {
+            setError(err.message);
+            throw err;
+        } finally {
+            setLoadingOlder(false);
+        }
+    }, [chatId]);
+
     // Send message
     const sendMessage = useCallback(async (messageData) => {
         try {
@@ -154,6 +173,9 @@ export const useMessages = (chatId) => {
         messages,
         loading,
         error,
+        hasMoreOlder,
+        loadingOlder,
+        loadOlderMessages,
         sendMessage,
         updateMessage,
         deleteMessage,
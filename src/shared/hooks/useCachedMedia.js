@@ -0,0 +1,33 @@
+/**
+ * useCachedMedia Hook
+ * Resolves a remote media URL through the local media cache (IndexedDB, LRU-evicted)
+ * so media already seen on this device renders offline
+ */
+
+import { useState, useEffect } from 'react';
+import messageStoreService from '../../services/MessageStoreService';
+
+/**
+ * @param {string} url - Remote media URL
+ * @returns {string|undefined} Displayable URL; undefined while it is being resolved
+ */
+export const useCachedMedia = (url) => {
+    const [resolved, setResolved] = useState({ url: null, src: undefined });
+
+    useEffect(() => {
+        if (!url) return;
+
+        let cancelled = false;
+        messageStoreService.getMediaUrl(url).then((src) => {
+            if (!cancelled) setResolved({ url, src });
+        });
+
+        return () => {
+            cancelled = true;
+        };
+    }, [url]);
+
+    return resolved.url === url ? resolved.src : undefined;
+};
+
+export default useCachedMedia;
@@ -1,69 +1,50 @@
 import { useState, useCallback, useMemo } from 'react';
 import { useDebounce } from 'use-debounce';
+import { parseSearchQuery, matchesSearchFilters, hasActiveSearchFilters, setQueryOperator, shiftDate } from '../utils/searchQuery';
 
 /**
  * useMessageSearch - Hook for advanced message search with filters
+ * The typed query is the source of truth; dropdown filters edit its operators
+ * (see shared/utils/searchQuery.js for the syntax)
  * 
  * @param {Array} messages - All messages in chat
  * @param {Object} users - Users object
+ * @param {Object} options
+ * @param {Array} options.chats - Chats list, resolves `in:`
+ * @param {Object} options.messagesByChat - Messages of every chat, searched when `in:` names another chat
+ * @param {string} options.chatId - Current chat ID
+ * @param {string} options.currentUserId - Resolves `from:me`
  * @returns {Object} Search state and functions
  */
-export const useMessageSearch = (messages, users) => {
+export const useMessageSearch = (messages, users, { chats = [], messagesByChat, chatId, currentUserId } = {}) => {
     const [searchQuery, setSearchQuery] = useState('');
-    const [filters, setFilters] = useState({
-        sender: 'all',
-        type: 'all',
-        dateFrom: '',
-        dateTo: ''
-    });
     const [currentResultIndex, setCurrentResultIndex] = useState(0);
 
     // Debounce search query
     const [debouncedQuery] = useDebounce(searchQuery, 300);
 
+    const { filters, errors } = useMemo(
+        () => parseSearchQuery(debouncedQuery, { users, chats, currentUserId }),
+        [debouncedQuery, users, chats, currentUserId]
+    );
+
+    // `in:` can point the search at another chat
+    const resultChatId = filters.chatId || chatId;
+
     /**
      * Filter messages based on query and filters
      */
     const searchResults = useMemo(() => {
-        if (!debouncedQuery && filters.sender === 'all' && filters.type === 'all' && !filters.dateFrom && !filters.dateTo) {
+        if (!hasActiveSearchFilters(filters) || errors.length > 0) {
             return [];
         }
 
-        return messages.filter(msg => {
-            // Text match
-            if (debouncedQuery && !msg.text.toLowerCase().includes(debouncedQuery.toLowerCase())) {
-                return false;
-            }
-
-            // Sender filter
-            if (filters.sender !== 'all' && msg.senderId !== filters.sender) {
-                return false;
-            }
-
-            // Type filter
-            if (filters.type !== 'all' && msg.type !== filters.type) {
-                return false;
-            }
+        const source = resultChatId !== chatId && messagesByChat
+            ? (messagesByChat[resultChatId] || [])
+            : messages;
 
-            // Date from filter
-            if (filters.dateFrom) {
-                const msgDate = new Date(msg.timestamp);
-                const fromDate = new Date(filters.dateFrom);
-                fromDate.setHours(0, 0, 0, 0);
-                if (msgDate < fromDate) return false;
-            }
-
-            // Date to filter
-            if (filters.dateTo) {
-                const msgDate = new Date(msg.timestamp);
-                const toDate = new Date(filters.dateTo);
-                toDate.setHours(23, 59, 59, 999);
-                if (msgDate > toDate) return false;
-            }
-
-            return true;
-        });
-    }, [messages, debouncedQuery, filters]);
+        return source.filter(msg => !msg.isDeleted && matchesSearchFilters(msg, filters));
+    }, [messages, messagesByChat, filters, errors, resultChatId, chatId]);
 
     /**
      * Navigate to next/previous result
@@ -86,21 +67,25 @@ export const useMessageSearch = (messages, users) => {
      * Update filter
      */
     const updateFilter = useCallback((key, value) => {
-        setFilters(prev => ({ ...prev, [key]: value }));
+        if (key === 'sender') {
+            const name = value === 'all' ? '' : (value === currentUserId ? 'me' : users[value]?.name);
+            setSearchQuery(prev => setQueryOperator(prev, 'from', name || ''));
+        } else if (key === 'type') {
+            setSearchQuery(prev => setQueryOperator(prev, 'type', value === 'all' ? '' : value));
+        } else if (key === 'dateFrom') {
+            setSearchQuery(prev => setQueryOperator(setQueryOperator(prev, 'on', ''), 'after', value));
+        } else if (key === 'dateTo') {
+            // `before:` is exclusive, the date picker is inclusive
+            setSearchQuery(prev => setQueryOperator(setQueryOperator(prev, 'on', ''), 'before', value ? shiftDate(value, 1) : ''));
+        }
         setCurrentResultIndex(0); // Reset to first result
-    }, []);
+    }, [users, currentUserId]);
 
     /**
      * Reset search
      */
     const resetSearch = useCallback(() => {
         setSearchQuery('');
-        setFilters({
-            sender: 'all',
-            type: 'all',
-            dateFrom: '',
-            dateTo: ''
-        });
         setCurrentResultIndex(0);
     }, []);
 
@@ -116,6 +101,9 @@ export const useMessageSearch = (messages, users) => {
         searchQuery,
         setSearchQuery,
         filters,
+        queryErrors: errors,
+        hasActiveFilters: hasActiveSearchFilters(filters),
+        resultChatId,
         updateFilter,
         searchResults,
         currentResult,
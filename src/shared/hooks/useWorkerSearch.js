@@ -1,5 +1,6 @@
 import { useState, useEffect, useRef } from 'react';
 import { createWorker } from '../utils/searchWorker';
+import searchIndexService from '../../services/SearchIndexService';
 import { useDebounce } from './useDebounce';
 
 export const useWorkerChatSearch = ({ chats, users, searchQuery, activeFilter }) => {
@@ -65,3 +66,33 @@ export const useWorkerMessageSearch = ({ messages, searchQuery }) => {
 
     return { filteredMessages };
 };
+
+export const useGlobalMessageSearch = ({ searchQuery, limit = 100 }) => {
+    const [results, setResults] = useState([]);
+    const [isSearching, setIsSearching] = useState(false);
+
+    const debouncedQuery = useDebounce(searchQuery, 250);
+
+    useEffect(() => {
+        if (!debouncedQuery || !debouncedQuery.trim()) {
+            setResults([]);
+            setIsSearching(false);
+            return;
+        }
+
+        let cancelled = false;
+        setIsSearching(true);
+
+        searchIndexService.search(debouncedQuery, { limit }).then((hits) => {
+            if (cancelled) return;
+            setResults(hits);
+            setIsSearching(false);
+        });
+
+        return () => {
+            cancelled = true;
+        };
+    }, [debouncedQuery, limit]);
+
+    return { results, isSearching };
+};
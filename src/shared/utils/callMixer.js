@@ -0,0 +1,158 @@
+/**
+ * Call mixer
+ * Mixes the audio of every participant into one track (Web Audio) and, optionally, draws their
+ * videos side by side on a canvas, for recording a whole call with a single MediaRecorder.
+ */
+
+import { CALL_RECORDING } from '../constants/callConstants';
+
+/**
+ * Tiles for a grid of `count` participants, filled row by row
+ * @param {number} count - Number of tiles
+ * @param {number} width - Canvas width
+ * @param {number} height - Canvas height
+ * @returns {Array<{x: number, y: number, width: number, height: number}>}
+ */
+export const getGridLayout = (count, width, height) => {
+    if (count === 0) return [];
+
+    const columns = count === 1 ? 1 : count <= 4 ? 2 : 3;
+    const rows = Math.ceil(count / columns);
+    const tileWidth = Math.floor(width / columns);
+    const tileHeight = Math.floor(height / rows);
+
+    return Array.from({ length: count }, (_, index) => ({
+        x: (index % columns) * tileWidth,
+        y: Math.floor(index / columns) * tileHeight,
+        width: tileWidth,
+        height: tileHeight
+    }));
+};
+
+export class CallMixer {
+    /**
+     * @param {Object} options
+     * @param {boolean} options.video - Also composite the participants' videos
+     */
+    constructor({ video = false } = {}) {
+        this.audioContext = new AudioContext();
+        this.destination = this.audioContext.createMediaStreamDestination();
+        this.sources = new Map(); // id -> { stream, label, audioNode, videoElement }
+
+        this.canvas = null;
+        this.drawInterval = null;
+        if (video) {
+            const { width, height, frameRate } = CALL_RECORDING.video;
+            this.canvas = document.createElement('canvas');
+            this.canvas.width = width;
+            this.canvas.height = height;
+            this.context = this.canvas.getContext('2d');
+            // Not requestAnimationFrame: it stops while the tab is in the background
+            this.drawInterval = setInterval(() => this.draw(), 1000 / frameRate);
+        }
+
+        const tracks = [...this.destination.stream.getAudioTracks()];
+        if (this.canvas) tracks.push(...this.canvas.captureStream(CALL_RECORDING.video.frameRate).getVideoTracks());
+        this.stream = new MediaStream(tracks);
+    }
+
+    /**
+     * Mix exactly these participants (new ones are added, missing ones removed)
+     * @param {Array<{id: string, stream: MediaStream, label: string}>} entries
+     */
+    setSources(entries) {
+        const ids = new Set(entries.map(entry => entry.id));
+        [...this.sources.keys()].filter(id => !ids.has(id)).forEach(id => this.removeSource(id));
+
+        entries.forEach(({ id, stream, label }) => {
+            const existing = this.sources.get(id);
+            if (existing?.stream === stream) return;
+            if (existing) this.removeSource(id);
+            if (stream) this.addSource(id, stream, label);
+        });
+    }
+
+    /**
+     * @private
+     */
+    addSource(id, stream, label) {
+        const source = { stream, label, audioNode: null, videoElement: null };
+
+        if (stream.getAudioTracks().length > 0) {
+            source.audioNode = this.audioContext.createMediaStreamSource(stream);
+            source.audioNode.connect(this.destination);
+        }
+
+        if (this.canvas && stream.getVideoTracks().length > 0) {
+            source.videoElement = document.createElement('video');
+            source.videoElement.muted = true;
+            source.videoElement.playsInline = true;
+            source.videoElement.srcObject = stream;
+            source.videoElement.play().catch(() => {});
+        }
+
+        this.sources.set(id, source);
+    }
+
+    /**
+     * @private
+     */
+    removeSource(id) {
+        const source = this.sources.get(id);
+        if (!source) return;
+
+        source.audioNode?.disconnect();
+        if (source.videoElement) source.videoElement.srcObject = null;
+        this.sources.delete(id);
+    }
+
+    /**
+     * Draw one frame of the grid
+     * @private
+     */
+    draw() {
+        const { width, height } = this.canvas;
+        const ctx = this.context;
+        ctx.fillStyle = '#111b21';
+        ctx.fillRect(0, 0, width, height);
+
+        const sources = [...this.sources.values()];
+        getGridLayout(sources.length, width, height).forEach((tile, index) => {
+            const { videoElement, label } = sources[index];
+            const video = videoElement?.readyState >= 2 && videoElement.videoWidth > 0 ? videoElement : null;
+
+            if (video) {
+                // Cover the tile, cropping the overflow
+                const scale = Math.max(tile.width / video.videoWidth, tile.height / video.videoHeight);
+                const cropWidth = tile.width / scale;
+                const cropHeight = tile.height / scale;
+                ctx.drawImage(
+                    video,
+                    (video.videoWidth - cropWidth) / 2, (video.videoHeight - cropHeight) / 2, cropWidth, cropHeight,
+                    tile.x, tile.y, tile.width, tile.height
+                );
+            } else {
+                ctx.fillStyle = '#202c33';
+                ctx.fillRect(tile.x + 2, tile.y + 2, tile.width - 4, tile.height - 4);
+            }
+
+            if (label) {
+                ctx.font = '20px sans-serif';
+                ctx.fillStyle = 'rgba(0, 0, 0, 0.5)';
+                ctx.fillRect(tile.x + 8, tile.y + tile.height - 40, ctx.measureText(label).width + 16, 32);
+                ctx.fillStyle = '#ffffff';
+                ctx.fillText(label, tile.x + 16, tile.y + tile.height - 17);
+            }
+        });
+    }
+
+    /**
+     * Stop mixing and release everything
+     */
+    stop() {
+        clearInterval(this.drawInterval);
+        [...this.sources.keys()].forEach(id => this.removeSource(id));
+        this.stream.getTracks().forEach(track => track.stop());
+        this.audioContext.close().catch(() => {});
+    }
+}
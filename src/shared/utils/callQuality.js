@@ -0,0 +1,134 @@
+/**
+ * Call quality
+ * Reading WebRTC stats into quality samples, grading them in signal bars, choosing sender
+ * caps from them (adaptive bitrate) and summarizing a call for its log entry.
+ */
+
+import { ADAPTIVE_BITRATE, CALL_QUALITY } from '../constants/callConstants';
+
+const round = (value, digits = 0) => {
+    if (value == null) return null;
+    const factor = 10 ** digits;
+    return Math.round(value * factor) / factor;
+};
+
+const average = (values) => (
+    values.length ? values.reduce((sum, value) => sum + value, 0) / values.length : null
+);
+
+/**
+ * Quality sample from an RTCStatsReport
+ * @param {RTCStatsReport} report - peerConnection.getStats()
+ * @param {Object} previous - The previous sample, so packet loss covers just the interval
+ * @returns {Object} { timestamp, rtt, jitter, packetLoss, sendPacketLoss, frameRate, totals }
+ *   (ms, ms, %, %, fps; null when the report doesn't say)
+ */
+export const readCallStats = (report, previous = null) => {
+    const totals = { packetsReceived: 0, packetsLost: 0 };
+    let rtt = null;
+    let remoteRtt = null;
+    let jitter = null;
+    let sendPacketLoss = null;
+    let frameRate = null;
+
+    report.forEach((stat) => {
+        switch (stat.type) {
+            case 'candidate-pair':
+                if (stat.nominated && stat.state === 'succeeded' && stat.currentRoundTripTime != null) {
+                    rtt = stat.currentRoundTripTime * 1000;
+                }
+                break;
+            case 'inbound-rtp':
+                totals.packetsReceived += stat.packetsReceived || 0;
+                totals.packetsLost += Math.max(stat.packetsLost || 0, 0);
+                if (stat.jitter != null) jitter = Math.max(jitter ?? 0, stat.jitter * 1000);
+                if (stat.kind === 'video' && stat.framesPerSecond != null) frameRate = stat.framesPerSecond;
+                break;
+            case 'remote-inbound-rtp':
+                // What the other side reports about what we send
+                if (stat.fractionLost != null) sendPacketLoss = Math.max(sendPacketLoss ?? 0, stat.fractionLost * 100);
+                if (stat.roundTripTime != null) remoteRtt = stat.roundTripTime * 1000;
+                break;
+            default:
+                break;
+        }
+    });
+
+    const received = totals.packetsReceived - (previous?.totals.packetsReceived || 0);
+    const lost = Math.max(totals.packetsLost - (previous?.totals.packetsLost || 0), 0);
+
+    return {
+        timestamp: Date.now(),
+        rtt: round(rtt ?? remoteRtt),
+        jitter: round(jitter),
+        packetLoss: received + lost > 0 ? round((lost / (received + lost)) * 100, 1) : null,
+        sendPacketLoss: round(sendPacketLoss, 1),
+        frameRate: round(frameRate),
+        totals
+    };
+};
+
+/**
+ * Signal bars (1-4) for a sample; the worst metric decides
+ * @param {Object} sample - From readCallStats
+ * @returns {number}
+ */
+export const getQualityBars = (sample) => {
+    const packetLoss = Math.max(sample.packetLoss ?? 0, sample.sendPacketLoss ?? 0);
+    const within = (level) => (
+        (sample.rtt == null || sample.rtt <= level.rtt)
+        && (sample.jitter == null || sample.jitter <= level.jitter)
+        && packetLoss <= level.packetLoss
+    );
+    return CALL_QUALITY.levels.find(within)?.bars ?? 1;
+};
+
+/**
+ * @param {number} bars - 1-4
+ * @returns {string} 'Excellent' … 'Poor'
+ */
+export const getQualityLabel = (bars) => CALL_QUALITY.labels[bars] || CALL_QUALITY.labels[1];
+
+/**
+ * Next caps for the video we send
+ * @param {Object} sample - From readCallStats
+ * @param {number} maxBitrate - The current cap
+ * @returns {{maxBitrate: number, scaleResolutionDownBy: number}}
+ */
+export const getSenderCaps = (sample, maxBitrate = ADAPTIVE_BITRATE.maxBitrate) => {
+    const { congested, clear } = ADAPTIVE_BITRATE;
+    const packetLoss = sample.sendPacketLoss ?? 0;
+    const rtt = sample.rtt ?? 0;
+
+    let next = maxBitrate;
+    if (packetLoss >= congested.packetLoss || rtt >= congested.rtt) {
+        next = Math.max(ADAPTIVE_BITRATE.minBitrate, Math.round(maxBitrate * ADAPTIVE_BITRATE.decreaseFactor));
+    } else if (packetLoss < clear.packetLoss && rtt < clear.rtt) {
+        next = Math.min(ADAPTIVE_BITRATE.maxBitrate, Math.round(maxBitrate * ADAPTIVE_BITRATE.increaseFactor));
+    }
+
+    const step = ADAPTIVE_BITRATE.resolutionSteps.find(({ below }) => next < below);
+    return { maxBitrate: next, scaleResolutionDownBy: step?.scaleResolutionDownBy ?? 1 };
+};
+
+/**
+ * Summary of a call's samples, for its log entry
+ * @param {Array<Object>} samples - From readCallStats
+ * @returns {Object|null} { samples, bars, rtt, maxRtt, jitter, packetLoss, frameRate }
+ */
+export const summarizeCallQuality = (samples) => {
+    if (samples.length === 0) return null;
+
+    const values = (key) => samples.map(sample => sample[key]).filter(value => value != null);
+    const rtts = values('rtt');
+
+    return {
+        samples: samples.length,
+        bars: Math.round(average(samples.map(getQualityBars))),
+        rtt: round(average(rtts)),
+        maxRtt: rtts.length ? Math.max(...rtts) : null,
+        jitter: round(average(values('jitter'))),
+        packetLoss: round(average(values('packetLoss')), 1),
+        frameRate: round(average(values('frameRate')))
+    };
+};
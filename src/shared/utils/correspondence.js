@@ -0,0 +1,101 @@
+/**
+ * Correspondence games
+ *
+ * A two-player game played a move at a time over days, stored as one Firestore document:
+ * { id, chatId, gameType, playerIds, daysPerMove, state, status, moveDeadline, lastMoveAt,
+ *   result, createdBy, createdAt, finishedAt }
+ * `state` is the shared rules state (see shared/gameRules) without a clock: the player to
+ * move has `daysPerMove` days instead, and loses the game when `moveDeadline` passes.
+ */
+
+import { createGameState, applyGameAction, isFinished, RuleViolation, RULE_ERRORS } from '../gameRules';
+
+export const CORRESPONDENCE_STATUS = {
+    IN_PROGRESS: 'in_progress',
+    FINISHED: 'finished'
+};
+
+const DAY_MS = 86400000;
+
+export const getMoveDeadline = (daysPerMove, from) => new Date(Date.parse(from) + daysPerMove * DAY_MS).toISOString();
+
+/**
+ * New game; the first player (white in chess, X in Tic-Tac-Toe) moves first
+ * @param {Object} options
+ * @param {string[]} options.playerIds - [first, second]
+ */
+export const createCorrespondenceGame = ({
+    id,
+    chatId,
+    gameType,
+    playerIds,
+    daysPerMove,
+    createdBy,
+    now = new Date().toISOString()
+}) => ({
+    id,
+    chatId,
+    gameType,
+    playerIds: [...playerIds],
+    daysPerMove,
+    state: createGameState(gameType, playerIds),
+    status: CORRESPONDENCE_STATUS.IN_PROGRESS,
+    moveDeadline: getMoveDeadline(daysPerMove, now),
+    lastMoveAt: now,
+    result: null,
+    createdBy,
+    createdAt: now,
+    finishedAt: null
+});
+
+export const getPlayerToMove = (game) => (
+    game.status === CORRESPONDENCE_STATUS.IN_PROGRESS ? game.state.players[game.state.turn] : null
+);
+
+const finish = (game, state, result, now) => ({
+    ...game,
+    state,
+    status: CORRESPONDENCE_STATUS.FINISHED,
+    moveDeadline: null,
+    result,
+    finishedAt: now
+});
+
+/**
+ * Apply a player's action (a move or `resign`) through the shared rules
+ * @returns {Object} The updated game
+ * @throws {RuleViolation} If the action isn't allowed (finished games fail the shared checks)
+ */
+export const applyCorrespondenceAction = (game, action, playerId, now = new Date().toISOString()) => {
+    if (game.status === CORRESPONDENCE_STATUS.IN_PROGRESS && game.moveDeadline <= now) {
+        throw new RuleViolation(RULE_ERRORS.GAME_OVER, 'The time for this move has run out');
+    }
+
+    const state = applyGameAction(game.state, action, { playerId });
+    if (isFinished(state)) {
+        return finish(game, state, {
+            winner: state.winner,
+            isDraw: state.isDraw,
+            reason: state.endReason || (state.isDraw ? 'draw' : 'finished')
+        }, now);
+    }
+
+    return {
+        ...game,
+        state,
+        lastMoveAt: now,
+        moveDeadline: getMoveDeadline(game.daysPerMove, now)
+    };
+};
+
+/**
+ * End a game whose player to move has let the deadline pass; they lose on time
+ * @returns {Object|null} The finished game, or null if the deadline hasn't passed
+ */
+export const claimCorrespondenceTimeout = (game, now = new Date().toISOString()) => {
+    if (game.status !== CORRESPONDENCE_STATUS.IN_PROGRESS || game.moveDeadline > now) return null;
+
+    const late = getPlayerToMove(game);
+    const winner = game.state.players.find(id => id !== late);
+    return finish(game, { ...game.state, winner, endReason: 'timeout' }, { winner, isDraw: false, reason: 'timeout' }, now);
+};
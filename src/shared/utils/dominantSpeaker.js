@@ -0,0 +1,69 @@
+/**
+ * Dominant speaker detection
+ * Fed with everyone's audio level (0-1) a few times a second, whatever the call topology.
+ * Levels are smoothed, and a new speaker only takes over after being the loudest for a
+ * while, so the highlight doesn't jump on every cough.
+ */
+
+import { DOMINANT_SPEAKER } from '../constants/callConstants';
+
+const SMOOTHING = 0.5;
+
+export class DominantSpeakerDetector {
+    /**
+     * @param {Object} options - Overrides for DOMINANT_SPEAKER ({ minLevel, holdMs })
+     */
+    constructor(options = {}) {
+        this.minLevel = options.minLevel ?? DOMINANT_SPEAKER.minLevel;
+        this.holdMs = options.holdMs ?? DOMINANT_SPEAKER.holdMs;
+        this.levels = new Map(); // participantId -> smoothed level
+        this.speaker = null;
+        this.candidate = null; // { participantId, since }
+    }
+
+    /**
+     * Take a new set of samples
+     * @param {Map<string, number>} samples - participantId -> audio level
+     * @param {number} now - Timestamp in ms
+     * @returns {string|null} The dominant speaker
+     */
+    update(samples, now = Date.now()) {
+        // Participants without a sample (left, or no audio) fade out
+        this.levels.forEach((level, participantId) => {
+            if (!samples.has(participantId)) this.levels.set(participantId, level * SMOOTHING);
+        });
+        samples.forEach((level, participantId) => {
+            const previous = this.levels.get(participantId) || 0;
+            this.levels.set(participantId, previous * SMOOTHING + level * (1 - SMOOTHING));
+        });
+
+        let loudest = null;
+        let loudestLevel = this.minLevel;
+        this.levels.forEach((level, participantId) => {
+            if (level >= loudestLevel) {
+                loudest = participantId;
+                loudestLevel = level;
+            }
+        });
+
+        if (!loudest || loudest === this.speaker) {
+            this.candidate = null;
+            return this.speaker;
+        }
+
+        if (this.candidate?.participantId !== loudest) {
+            this.candidate = { participantId: loudest, since: now };
+        }
+        if (!this.speaker || now - this.candidate.since >= this.holdMs) {
+            this.speaker = loudest;
+            this.candidate = null;
+        }
+        return this.speaker;
+    }
+
+    remove(participantId) {
+        this.levels.delete(participantId);
+        if (this.speaker === participantId) this.speaker = null;
+        if (this.candidate?.participantId === participantId) this.candidate = null;
+    }
+}
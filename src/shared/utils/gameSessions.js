@@ -0,0 +1,92 @@
+/**
+ * Game sessions
+ *
+ * Each game a user is playing is kept in localStorage so a reload can pick it up again:
+ * { gameId, userId, game, snapshot, moves, savedAt }
+ * `game` is the active game without its state, `snapshot` the last known state and `moves`
+ * the log of every move seen since joining. The snapshot is saved after every state change;
+ * moves are appended as they arrive, so the log survives a reload before the next save.
+ */
+
+import storage from './storage';
+
+const SESSIONS_KEY = 'whatsapp_game_sessions';
+const MAX_SESSIONS = 20;
+const MAX_SESSION_MOVES = 1000;
+
+// Active game fields that only mean something for the current page
+const TRANSIENT_FIELDS = [
+    'gameState',
+    'moveError',
+    'stateReceivedAt',
+    'serverTimeOffset',
+    'spectators',
+    'disconnectedPlayers'
+];
+
+const readSessions = () => storage.local.get(SESSIONS_KEY, []);
+
+const writeSessions = (sessions) => {
+    storage.local.set(SESSIONS_KEY, sessions.slice(0, MAX_SESSIONS));
+};
+
+/**
+ * A user's saved sessions, most recently saved first
+ */
+export const loadGameSessions = (userId) => readSessions().filter(session => session.userId === userId);
+
+/**
+ * Save the current state of a game (its move log is kept)
+ * @param {string} userId
+ * @param {Object} game - Active game
+ */
+export const saveGameSession = (userId, game) => {
+    const sessions = readSessions();
+    const existing = sessions.find(session => session.gameId === game.id);
+
+    const details = { ...game };
+    TRANSIENT_FIELDS.forEach((field) => delete details[field]);
+
+    const session = {
+        gameId: game.id,
+        userId,
+        game: details,
+        snapshot: game.gameState || {},
+        moves: existing?.moves || [],
+        savedAt: new Date().toISOString()
+    };
+    writeSessions([session, ...sessions.filter(entry => entry.gameId !== game.id)]);
+};
+
+/**
+ * Add a move to a saved game's log
+ * @param {string} gameId
+ * @param {Object} move - { playerId, action?, gameState?, seq? }
+ */
+export const appendSessionMove = (gameId, move) => {
+    const sessions = readSessions();
+    const session = sessions.find(entry => entry.gameId === gameId);
+    if (!session) return;
+
+    session.moves = [...session.moves, { ...move, at: new Date().toISOString() }].slice(-MAX_SESSION_MOVES);
+    writeSessions(sessions);
+};
+
+export const removeGameSession = (gameId) => {
+    const sessions = readSessions();
+    if (!sessions.some(session => session.gameId === gameId)) return;
+    writeSessions(sessions.filter(session => session.gameId !== gameId));
+};
+
+export const clearGameSessions = (userId) => {
+    writeSessions(readSessions().filter(session => session.userId !== userId));
+};
+
+/**
+ * Active game for a saved session; it starts minimized until the player opens it
+ */
+export const restoreGameSession = (session) => ({
+    ...session.game,
+    gameState: session.snapshot,
+    isMinimized: true
+});
@@ -134,9 +134,86 @@ export const getPlayerColor = (gameType, playerIndex) => {
     return gameColors[playerIndex % gameColors.length];
 };
 
+/**
+ * Squares of a Snake & Ladders board in display order, top row first
+ * Square 1 is bottom-left and every other row runs right to left
+ * @param {number} size Squares per side
+ * @returns {number[]} Square numbers
+ */
+export const getSnakeBoardSquares = (size) => {
+    const squares = [];
+    for (let row = size - 1; row >= 0; row--) {
+        for (let col = 0; col < size; col++) {
+            squares.push(row % 2 === 0 ? row * size + col + 1 : row * size + (size - col));
+        }
+    }
+    return squares;
+};
+
+/**
+ * Centre of a Snake & Ladders square, as a percentage of the board's width and height
+ * @param {number} square Square number
+ * @param {number} size Squares per side
+ * @returns {{x: number, y: number}}
+ */
+export const getSnakeSquareCenter = (square, size) => {
+    const row = Math.floor((square - 1) / size);
+    const offset = (square - 1) % size;
+    const col = row % 2 === 0 ? offset : size - 1 - offset;
+    return {
+        x: ((col + 0.5) / size) * 100,
+        y: ((size - 1 - row + 0.5) / size) * 100
+    };
+};
+
+/**
+ * IDs of a game's players (entries may be player objects or plain IDs)
+ * @param {object} game Game or match record
+ * @returns {string[]} Player IDs
+ */
+export const getPlayerIds = (game) => (game.players || []).map(player => player?.userId ?? player);
+
+/**
+ * Build the stored record of a finished game
+ * Chess keeps its SAN moves and clock times so the game can be replayed from history.
+ * @param {object} game Active game
+ * @param {object} result { winner, winners? (team), isDraw, reason }
+ * @param {string} endedAt ISO timestamp
+ * @returns {object} Match record
+ */
+export const createMatchRecord = (game, result, endedAt = new Date().toISOString()) => ({
+    id: game.id,
+    type: game.type,
+    chatId: game.chatId || null,
+    players: (game.players || []).map(({ userId, color, isComputer }) => ({
+        userId,
+        color: color || null,
+        ...(isComputer && { isComputer: true })
+    })),
+    playerIds: getPlayerIds(game),
+    result: {
+        winner: result?.winner ?? null,
+        ...(result?.winners && { winners: result.winners }),
+        isDraw: Boolean(result?.isDraw),
+        reason: result?.reason || null
+    },
+    timeControl: game.timeControl || null,
+    vsComputer: Boolean(game.vsComputer),
+    withBots: Boolean(game.botDifficulty),
+    houseRules: game.houseRules || null,
+    tournamentId: game.tournament?.id || null,
+    engineLevel: game.engineLevel ?? null,
+    timestamp: game.timestamp || endedAt,
+    endedAt,
+    moves: game.gameState?.history || [],
+    clocks: game.gameState?.clocks || [],
+    rated: false,
+    ratingChanges: null
+});
+
 /**
  * Calculate player statistics from game history
- * @param {array} gameHistory Array of completed games
+ * @param {array} gameHistory Array of completed games or match records
  * @param {string} userId User ID
  * @returns {object} Statistics object
  */
@@ -150,14 +227,14 @@ export const calculatePlayerStats = (gameHistory, userId) => {
     };
 
     gameHistory.forEach(game => {
-        if (!game.players.includes(userId)) return;
+        if (!getPlayerIds(game).includes(userId)) return;
 
         stats.totalGames++;
 
-        if (game.result.winner === userId) {
-            stats.wins++;
-        } else if (game.result.winner === null) {
+        if (game.result?.isDraw) {
             stats.draws++;
+        } else if (game.result?.winner === userId) {
+            stats.wins++;
         } else {
             stats.losses++;
         }
@@ -167,7 +244,7 @@ export const calculatePlayerStats = (gameHistory, userId) => {
             stats.byGameType[game.type] = { played: 0, won: 0 };
         }
         stats.byGameType[game.type].played++;
-        if (game.result.winner === userId) {
+        if (game.result?.winner === userId) {
             stats.byGameType[game.type].won++;
         }
     });
@@ -175,6 +252,37 @@ export const calculatePlayerStats = (gameHistory, userId) => {
     return stats;
 };
 
+/**
+ * Head-to-head record between two users
+ * @param {array} matches Match records
+ * @param {string} userId User ID
+ * @param {string} opponentId Opponent's user ID
+ * @returns {object} { played, wins, losses, draws, byGameType, matches } from userId's side
+ */
+export const calculateHeadToHead = (matches, userId, opponentId) => {
+    const shared = matches.filter(match => {
+        const ids = getPlayerIds(match);
+        return ids.includes(userId) && ids.includes(opponentId);
+    });
+
+    const record = { played: 0, wins: 0, losses: 0, draws: 0, byGameType: {}, matches: shared };
+    shared.forEach(match => {
+        const typeRecord = record.byGameType[match.type] || (record.byGameType[match.type] = { played: 0, wins: 0, losses: 0, draws: 0 });
+        const key = match.result?.isDraw ? 'draws'
+            : match.result?.winner === userId ? 'wins'
+            : match.result?.winner === opponentId ? 'losses'
+            : null; // Someone else won a multiplayer game
+        record.played++;
+        typeRecord.played++;
+        if (key) {
+            record[key]++;
+            typeRecord[key]++;
+        }
+    });
+
+    return record;
+};
+
 /**
  * Check if user can join game
  * @param {object} game Game object
@@ -0,0 +1,373 @@
+/**
+ * PGN / FEN reading and writing
+ *
+ * Moves are parsed into a tree of nodes:
+ * { san, from, to, fenBefore, fen, comment, commentBefore, nags, clockMs, evaluation, variations }
+ * where each variation is an alternative line starting in place of the node it's attached to.
+ * Every move is replayed with chess.js, so an imported game is always legal.
+ */
+
+import { Chess, validateFen, DEFAULT_POSITION } from 'chess.js';
+
+export const PGN_RESULTS = ['1-0', '0-1', '1/2-1/2', '*'];
+
+// Seven Tag Roster, written first and in this order
+const TAG_ORDER = ['Event', 'Site', 'Date', 'Round', 'White', 'Black', 'Result'];
+
+// Move suffix annotations and their Numeric Annotation Glyphs
+const SUFFIX_NAGS = { '!': 1, '?': 2, '!!': 3, '??': 4, '!?': 5, '?!': 6 };
+const NAG_SUFFIXES = Object.fromEntries(Object.entries(SUFFIX_NAGS).map(([suffix, nag]) => [nag, suffix]));
+
+const CLOCK_COMMAND = /\[%clk\s+(\d+):(\d{1,2}):(\d{1,2}(?:\.\d+)?)\]/;
+// Engine evaluation in pawns from white's side ("0.35") or moves to mate ("#-3")
+const EVAL_COMMAND = /\[%eval\s+(#?)(-?\d+(?:\.\d+)?)\]/;
+
+export class PgnParseError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'PgnParseError';
+    }
+}
+
+/**
+ * Whether the text is a single FEN position (rather than a PGN game)
+ */
+export const isFEN = (text) => validateFen(text.trim()).ok;
+
+/**
+ * Human-readable NAG (suffix for !, ?, !!, ??, !?, ?!; $n otherwise)
+ */
+export const formatNag = (nag) => NAG_SUFFIXES[nag] || `$${nag}`;
+
+/**
+ * Format milliseconds as a PGN clock (H:MM:SS)
+ */
+export const formatPgnClock = (ms) => {
+    const totalSeconds = Math.max(0, Math.round(ms / 1000));
+    const hours = Math.floor(totalSeconds / 3600);
+    const mins = Math.floor((totalSeconds % 3600) / 60);
+    const secs = totalSeconds % 60;
+    return `${hours}:${mins.toString().padStart(2, '0')}:${secs.toString().padStart(2, '0')}`;
+};
+
+/**
+ * PGN TimeControl tag ("seconds+increment") for a preset from CHESS_TIME_CONTROLS
+ * PGN has no notation for delay, so delay presets are written as their base time.
+ */
+export const formatPgnTimeControl = (timeControl) => (
+    `${timeControl.initialMs / 1000}+${timeControl.incrementMs / 1000}`
+);
+
+/**
+ * Move number and side for a position ("12." for white, "12..." for black)
+ */
+export const getMoveNumberLabel = (fen) => {
+    const [, side, , , , fullMove] = fen.split(' ');
+    return side === 'w' ? `${fullMove}.` : `${fullMove}...`;
+};
+
+/**
+ * Play a move on a position
+ * @param {string} fenBefore
+ * @param {string|Object} move - SAN or { from, to, promotion }
+ * @returns {Object|null} A new move node, or null if the move is illegal
+ */
+export const createMoveNode = (fenBefore, move) => {
+    const chess = new Chess(fenBefore);
+    let played;
+    try {
+        played = chess.move(move);
+    } catch {
+        return null;
+    }
+
+    return {
+        san: played.san,
+        from: played.from,
+        to: played.to,
+        promotion: played.promotion || null,
+        fenBefore,
+        fen: chess.fen(),
+        comment: null,
+        commentBefore: null,
+        nags: [],
+        clockMs: null,
+        evaluation: null,
+        variations: []
+    };
+};
+
+/**
+ * PGN [%eval] value for { score (centipawns, white's side), mate }
+ */
+export const formatPgnEval = ({ score, mate }) => (
+    mate !== null && mate !== undefined ? `#${mate}` : (score / 100).toFixed(2)
+);
+
+const appendComment = (existing, text) => (existing ? `${existing} ${text}` : text);
+
+/**
+ * Take the clock and eval commands out of a comment
+ * @returns {{ text: string|null, clockMs: number|null, evaluation: Object|null }}
+ */
+const readComment = (raw) => {
+    let clockMs = null;
+    let evaluation = null;
+    const text = raw
+        .replace(CLOCK_COMMAND, (_, hours, mins, secs) => {
+            clockMs = Math.round(((Number(hours) * 60 + Number(mins)) * 60 + Number(secs)) * 1000);
+            return '';
+        })
+        .replace(EVAL_COMMAND, (_, isMate, value) => {
+            evaluation = isMate
+                ? { score: Math.sign(Number(value)) * 100000, mate: Number(value) }
+                : { score: Math.round(Number(value) * 100), mate: null };
+            return '';
+        })
+        .replace(/\s+/g, ' ')
+        .trim();
+    return { text: text || null, clockMs, evaluation };
+};
+
+/**
+ * Split movetext into tokens
+ */
+const tokenize = (movetext) => {
+    const tokens = [];
+    let i = 0;
+
+    while (i < movetext.length) {
+        const ch = movetext[i];
+
+        if (/\s/.test(ch)) {
+            i++;
+        } else if (ch === '{') {
+            const end = movetext.indexOf('}', i);
+            if (end === -1) throw new PgnParseError('Unterminated comment');
+            tokens.push({ type: 'comment', value: movetext.slice(i + 1, end) });
+            i = end + 1;
+        } else if (ch === ';') {
+            const end = movetext.indexOf('\n', i);
+            const stop = end === -1 ? movetext.length : end;
+            tokens.push({ type: 'comment', value: movetext.slice(i + 1, stop) });
+            i = stop;
+        } else if (ch === '(' || ch === ')') {
+            tokens.push({ type: ch });
+            i++;
+        } else {
+            const match = /^[^\s(){};]+/.exec(movetext.slice(i));
+            const word = match[0];
+            i += word.length;
+
+            if (PGN_RESULTS.includes(word)) {
+                tokens.push({ type: 'result', value: word });
+            } else if (/^\$\d+$/.test(word)) {
+                tokens.push({ type: 'nag', value: Number(word.slice(1)) });
+            } else if (SUFFIX_NAGS[word]) {
+                tokens.push({ type: 'nag', value: SUFFIX_NAGS[word] });
+            } else {
+                // "12." / "12..." / "12...e5"
+                const move = word.replace(/^\d+\.+/, '').replace(/^0-0(-0)?/, castle => castle.replace(/0/g, 'O'));
+                if (!move) continue;
+                const suffix = /[!?]{1,2}$/.exec(move);
+                tokens.push({ type: 'move', value: suffix ? move.slice(0, -suffix[0].length) : move });
+                if (suffix && SUFFIX_NAGS[suffix[0]]) tokens.push({ type: 'nag', value: SUFFIX_NAGS[suffix[0]] });
+            }
+        }
+    }
+
+    return tokens;
+};
+
+/**
+ * Parse the tag pairs at the top of a game
+ * @returns {{ headers: Object, movetext: string }}
+ */
+const readHeaders = (text) => {
+    const headers = {};
+    const tagPattern = /^\s*\[(\w+)\s+"((?:[^"\\]|\\.)*)"\]/;
+    let rest = text;
+    let match;
+
+    while ((match = tagPattern.exec(rest))) {
+        headers[match[1]] = match[2].replace(/\\(["\\])/g, '$1');
+        rest = rest.slice(match[0].length);
+    }
+
+    return { headers, movetext: rest };
+};
+
+/**
+ * Parse a single PGN game (variations, comments, NAGs and [%clk] included)
+ * @returns {{ headers: Object, startFen: string, comment: string|null, moves: Array<Object>, result: string }}
+ * @throws {PgnParseError} On malformed text or an illegal move
+ */
+export const parsePGN = (text) => {
+    const { headers, movetext } = readHeaders(text.replace(/\r\n?/g, '\n'));
+    const startFen = headers.FEN || DEFAULT_POSITION;
+    if (!validateFen(startFen).ok) {
+        throw new PgnParseError(`Invalid FEN header: ${startFen}`);
+    }
+
+    const root = { line: [], fen: startFen, pendingComment: null };
+    const stack = [root];
+    let gameComment = null;
+    let result = headers.Result || '*';
+
+    for (const token of tokenize(movetext)) {
+        const frame = stack[stack.length - 1];
+        const last = frame.line[frame.line.length - 1];
+
+        switch (token.type) {
+            case 'move': {
+                const node = createMoveNode(frame.fen, token.value);
+                if (!node) {
+                    throw new PgnParseError(`Illegal move ${getMoveNumberLabel(frame.fen)} ${token.value}`);
+                }
+                node.commentBefore = frame.pendingComment;
+                frame.pendingComment = null;
+                frame.line.push(node);
+                frame.fen = node.fen;
+                break;
+            }
+            case 'comment': {
+                const { text: comment, clockMs, evaluation } = readComment(token.value);
+                if (last) {
+                    if (comment) last.comment = appendComment(last.comment, comment);
+                    if (clockMs !== null) last.clockMs = clockMs;
+                    if (evaluation) last.evaluation = evaluation;
+                } else if (frame === root && !gameComment && comment) {
+                    gameComment = comment;
+                } else if (comment) {
+                    frame.pendingComment = appendComment(frame.pendingComment, comment);
+                }
+                break;
+            }
+            case 'nag':
+                if (!last) throw new PgnParseError('Annotation before any move');
+                last.nags.push(token.value);
+                break;
+            case '(': {
+                if (!last) throw new PgnParseError('Variation before any move');
+                const variation = [];
+                last.variations.push(variation);
+                stack.push({ line: variation, fen: last.fenBefore, pendingComment: null });
+                break;
+            }
+            case ')':
+                if (stack.length === 1) throw new PgnParseError('Unmatched ")"');
+                stack.pop();
+                break;
+            case 'result':
+                if (stack.length > 1) throw new PgnParseError('Result inside a variation');
+                result = token.value;
+                break;
+            default:
+                break;
+        }
+    }
+
+    if (stack.length > 1) throw new PgnParseError('Unterminated variation');
+
+    return { headers: { ...headers, Result: result }, startFen, comment: gameComment, moves: root.line, result };
+};
+
+/**
+ * Parse either a PGN game or a bare FEN position
+ */
+export const parseGameText = (text) => {
+    if (isFEN(text)) {
+        const fen = text.trim();
+        return { headers: { SetUp: '1', FEN: fen, Result: '*' }, startFen: fen, comment: null, moves: [], result: '*' };
+    }
+    return parsePGN(text);
+};
+
+const escapeComment = (text) => text.replace(/}/g, ')');
+
+/**
+ * Movetext tokens for a line
+ */
+const writeLine = (nodes) => {
+    const tokens = [];
+    let needsNumber = true;
+
+    nodes.forEach(node => {
+        if (node.commentBefore) {
+            tokens.push(`{${escapeComment(node.commentBefore)}}`);
+            needsNumber = true;
+        }
+
+        const label = getMoveNumberLabel(node.fenBefore);
+        if (label.endsWith('...') ? needsNumber : true) tokens.push(label);
+
+        const [suffixNag, ...otherNags] = node.nags;
+        const suffix = suffixNag && NAG_SUFFIXES[suffixNag] ? NAG_SUFFIXES[suffixNag] : '';
+        tokens.push(`${node.san}${suffix}`);
+        (suffix ? otherNags : node.nags).forEach(nag => tokens.push(`$${nag}`));
+
+        const commentParts = [];
+        if (node.evaluation) commentParts.push(`[%eval ${formatPgnEval(node.evaluation)}]`);
+        if (node.clockMs !== null && node.clockMs !== undefined) commentParts.push(`[%clk ${formatPgnClock(node.clockMs)}]`);
+        if (node.comment) commentParts.push(escapeComment(node.comment));
+        if (commentParts.length) tokens.push(`{${commentParts.join(' ')}}`);
+
+        node.variations.forEach(variation => {
+            tokens.push(`(${writeLine(variation).join(' ')})`);
+        });
+
+        // Black's move needs its number again after anything that interrupts the line
+        needsNumber = commentParts.length > 0 || node.variations.length > 0;
+    });
+
+    return tokens;
+};
+
+/**
+ * Wrap movetext at 80 columns
+ */
+const wrap = (text, width = 80) => {
+    const lines = [];
+    let line = '';
+    text.split(' ').forEach(word => {
+        if (line && line.length + word.length + 1 > width) {
+            lines.push(line);
+            line = word;
+        } else {
+            line = line ? `${line} ${word}` : word;
+        }
+    });
+    if (line) lines.push(line);
+    return lines.join('\n');
+};
+
+/**
+ * Write a game as PGN
+ * @param {Object} game - { headers, startFen, comment, moves, result }
+ */
+export const writePGN = ({ headers = {}, startFen = DEFAULT_POSITION, comment = null, moves = [], result = '*' }) => {
+    const tags = { ...headers, Result: result };
+    if (startFen !== DEFAULT_POSITION) {
+        tags.SetUp = '1';
+        tags.FEN = startFen;
+    }
+    TAG_ORDER.forEach(tag => {
+        if (tags[tag] === undefined) tags[tag] = '?';
+    });
+
+    const orderedTags = [
+        ...TAG_ORDER,
+        ...Object.keys(tags).filter(tag => !TAG_ORDER.includes(tag))
+    ];
+    const headerText = orderedTags
+        .map(tag => `[${tag} "${String(tags[tag]).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"]`)
+        .join('\n');
+
+    const movetext = [
+        ...(comment ? [`{${escapeComment(comment)}}`] : []),
+        ...writeLine(moves),
+        result
+    ].join(' ');
+
+    return `${headerText}\n\n${wrap(movetext)}\n`;
+};
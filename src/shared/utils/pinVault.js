@@ -0,0 +1,294 @@
+/**
+ * PIN Vault
+ * Local secrets module for app/chat/archive lock PINs
+ *
+ * - PINs are stored as PBKDF2-SHA256 records with a random salt per user and PIN type
+ * - Failed attempts are throttled with exponential lockout, persisted per user
+ * - Legacy values (plaintext PINs and the old 32-bit `hashPin` output) still
+ *   verify once and are reported as `needsUpgrade` so callers can re-store them
+ * - A PIN can also derive an AES-GCM key for encrypting data at rest
+ */
+
+export const PIN_VAULT_VERSION = 2;
+
+const PBKDF2_ITERATIONS = 310000;
+const SALT_BYTES = 16;
+
+const MAX_FREE_ATTEMPTS = 5;
+const BASE_LOCKOUT_MS = 30 * 1000;
+const MAX_LOCKOUT_MS = 60 * 60 * 1000;
+const ATTEMPTS_KEY_PREFIX = 'pinVault:attempts';
+
+// Settings field that holds each PIN type
+export const PIN_FIELDS = {
+    daily: 'dailyLockPassword',
+    chat: 'chatLockPassword',
+    archive: 'archiveLockPassword'
+};
+
+const textEncoder = new TextEncoder();
+
+const toBase64 = (buffer) => {
+    const bytes = new Uint8Array(buffer);
+    let binary = '';
+    for (let i = 0; i < bytes.length; i++) {
+        binary += String.fromCharCode(bytes[i]);
+    }
+    return btoa(binary);
+};
+
+const fromBase64 = (value) => {
+    const binary = atob(value);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes;
+};
+
+/**
+ * Constant-time comparison of two equal-purpose strings
+ * @private
+ */
+const safeEqual = (a, b) => {
+    if (typeof a !== 'string' || typeof b !== 'string' || a.length !== b.length) return false;
+    let diff = 0;
+    for (let i = 0; i < a.length; i++) {
+        diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
+    }
+    return diff === 0;
+};
+
+/**
+ * The old Java-style 32-bit hash, kept only to migrate existing values
+ * @param {string} pin - The PIN to hash
+ * @returns {string} Legacy hash
+ */
+export const legacyHashPin = (pin) => {
+    if (!pin) return '';
+
+    let hash = 0;
+    for (let i = 0; i < pin.length; i++) {
+        const char = pin.charCodeAt(i);
+        hash = ((hash << 5) - hash) + char;
+        hash = hash & hash;
+    }
+    return hash.toString(36);
+};
+
+/**
+ * Check whether a stored value is a vault record (as opposed to a legacy string)
+ * @param {*} stored - Stored PIN value
+ * @returns {boolean}
+ */
+export const isPinRecord = (stored) => {
+    return Boolean(stored && typeof stored === 'object' && stored.v === PIN_VAULT_VERSION && stored.hash);
+};
+
+/**
+ * Derive PBKDF2 bits for a PIN
+ * @private
+ */
+const derivePinBits = async (pin, salt, iterations) => {
+    const baseKey = await crypto.subtle.importKey('raw', textEncoder.encode(pin), 'PBKDF2', false, ['deriveBits']);
+    return crypto.subtle.deriveBits(
+        { name: 'PBKDF2', hash: 'SHA-256', salt, iterations },
+        baseKey,
+        256
+    );
+};
+
+/**
+ * Create a vault record for a PIN
+ * @param {string} pin - The PIN to store
+ * @returns {Promise<object>} Record safe to persist in security settings
+ */
+export const createPinRecord = async (pin) => {
+    const salt = crypto.getRandomValues(new Uint8Array(SALT_BYTES));
+    const keySalt = crypto.getRandomValues(new Uint8Array(SALT_BYTES));
+    const hash = await derivePinBits(pin, salt, PBKDF2_ITERATIONS);
+
+    return {
+        v: PIN_VAULT_VERSION,
+        kdf: 'PBKDF2-SHA256',
+        iterations: PBKDF2_ITERATIONS,
+        salt: toBase64(salt),
+        keySalt: toBase64(keySalt),
+        hash: toBase64(hash),
+        updatedAt: Date.now()
+    };
+};
+
+/**
+ * Verify a PIN against a stored value (vault record or legacy string)
+ * @param {string} pin - PIN entered by the user
+ * @param {object|string} stored - Stored PIN value
+ * @returns {Promise<{valid: boolean, needsUpgrade: boolean}>}
+ */
+export const verifyPinRecord = async (pin, stored) => {
+    if (!pin || !stored) return { valid: false, needsUpgrade: false };
+
+    if (isPinRecord(stored)) {
+        const hash = await derivePinBits(pin, fromBase64(stored.salt), stored.iterations);
+        return {
+            valid: safeEqual(toBase64(hash), stored.hash),
+            needsUpgrade: stored.iterations < PBKDF2_ITERATIONS
+        };
+    }
+
+    if (typeof stored === 'string') {
+        const valid = safeEqual(pin, stored) || safeEqual(legacyHashPin(pin), stored);
+        return { valid, needsUpgrade: valid };
+    }
+
+    return { valid: false, needsUpgrade: false };
+};
+
+/**
+ * Storage key for a user's attempt counter
+ * @private
+ */
+const attemptsKey = (userId, pinType) => `${ATTEMPTS_KEY_PREFIX}:${userId || 'anonymous'}:${pinType}`;
+
+const readAttempts = (userId, pinType) => {
+    try {
+        const raw = localStorage.getItem(attemptsKey(userId, pinType));
+        return raw ? JSON.parse(raw) : { failures: 0, lockedUntil: 0 };
+    } catch {
+        return { failures: 0, lockedUntil: 0 };
+    }
+};
+
+const writeAttempts = (userId, pinType, attempts) => {
+    try {
+        localStorage.setItem(attemptsKey(userId, pinType), JSON.stringify(attempts));
+    } catch (error) {
+        console.warn('[pinVault] Could not persist attempt counter:', error);
+    }
+};
+
+/**
+ * Get the current lockout state for a PIN type
+ * @param {string} userId - User ID
+ * @param {string} pinType - 'daily', 'chat' or 'archive'
+ * @returns {{locked: boolean, lockedUntil: number, failures: number}}
+ */
+export const getLockoutState = (userId, pinType) => {
+    const attempts = readAttempts(userId, pinType);
+    return {
+        locked: attempts.lockedUntil > Date.now(),
+        lockedUntil: attempts.lockedUntil,
+        failures: attempts.failures
+    };
+};
+
+/**
+ * Lockout duration after a given number of consecutive failures
+ * @param {number} failures - Consecutive failures
+ * @returns {number} Milliseconds (0 while free attempts remain)
+ */
+export const getLockoutDuration = (failures) => {
+    if (failures < MAX_FREE_ATTEMPTS) return 0;
+    return Math.min(BASE_LOCKOUT_MS * Math.pow(2, failures - MAX_FREE_ATTEMPTS), MAX_LOCKOUT_MS);
+};
+
+/**
+ * Format a lockout end time for an error message
+ * @param {number} lockedUntil - Timestamp in ms
+ * @returns {string}
+ */
+export const formatLockoutMessage = (lockedUntil) => {
+    const seconds = Math.max(1, Math.ceil((lockedUntil - Date.now()) / 1000));
+    if (seconds < 60) return `Too many attempts. Try again in ${seconds}s`;
+    return `Too many attempts. Try again in ${Math.ceil(seconds / 60)} min`;
+};
+
+/**
+ * Verify a PIN with attempt throttling
+ * @param {object} params
+ * @param {string} params.userId - User ID (scopes the attempt counter)
+ * @param {string} params.pinType - 'daily', 'chat' or 'archive'
+ * @param {string} params.pin - PIN entered by the user
+ * @param {object|string} params.stored - Stored PIN value
+ * @returns {Promise<{success: boolean, error?: string, lockedUntil?: number, upgradedRecord?: object}>}
+ */
+export const unlockWithPin = async ({ userId, pinType, pin, stored }) => {
+    const lockout = getLockoutState(userId, pinType);
+    if (lockout.locked) {
+        return { success: false, error: formatLockoutMessage(lockout.lockedUntil), lockedUntil: lockout.lockedUntil };
+    }
+
+    const { valid, needsUpgrade } = await verifyPinRecord(pin, stored);
+
+    if (!valid) {
+        const failures = lockout.failures + 1;
+        const duration = getLockoutDuration(failures);
+        const lockedUntil = duration ? Date.now() + duration : 0;
+        writeAttempts(userId, pinType, { failures, lockedUntil });
+
+        return {
+            success: false,
+            error: lockedUntil ? formatLockoutMessage(lockedUntil) : 'Incorrect PIN',
+            lockedUntil
+        };
+    }
+
+    writeAttempts(userId, pinType, { failures: 0, lockedUntil: 0 });
+
+    return {
+        success: true,
+        upgradedRecord: needsUpgrade ? await createPinRecord(pin) : undefined
+    };
+};
+
+/**
+ * Derive an AES-GCM key from a PIN for encrypting data at rest
+ * @param {string} pin - Verified PIN
+ * @param {object} record - Vault record of that PIN
+ * @returns {Promise<CryptoKey>}
+ */
+export const derivePinKey = async (pin, record) => {
+    const baseKey = await crypto.subtle.importKey('raw', textEncoder.encode(pin), 'PBKDF2', false, ['deriveKey']);
+    return crypto.subtle.deriveKey(
+        { name: 'PBKDF2', hash: 'SHA-256', salt: fromBase64(record.keySalt), iterations: record.iterations },
+        baseKey,
+        { name: 'AES-GCM', length: 256 },
+        false,
+        ['encrypt', 'decrypt']
+    );
+};
+
+/**
+ * Encrypt a JSON-serializable value with a PIN-derived key
+ * @param {CryptoKey} key - Key from derivePinKey
+ * @param {*} value - Value to encrypt
+ * @returns {Promise<{iv: string, ct: string}>}
+ */
+export const sealWithKey = async (key, value) => {
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const ciphertext = await crypto.subtle.encrypt(
+        { name: 'AES-GCM', iv },
+        key,
+        textEncoder.encode(JSON.stringify(value))
+    );
+    return { iv: toBase64(iv), ct: toBase64(ciphertext) };
+};
+
+/**
+ * Decrypt a value sealed with sealWithKey
+ * @param {CryptoKey} key - Key from derivePinKey
+ * @param {{iv: string, ct: string}} sealed - Sealed value
+ * @returns {Promise<*>} Decrypted value, or null if the key does not match
+ */
+export const openWithKey = async (key, sealed) => {
+    try {
+        const plaintext = await crypto.subtle.decrypt(
+            { name: 'AES-GCM', iv: fromBase64(sealed.iv) },
+            key,
+            fromBase64(sealed.ct)
+        );
+        return JSON.parse(new TextDecoder().decode(plaintext));
+    } catch {
+        return null;
+    }
+};
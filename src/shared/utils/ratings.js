@@ -0,0 +1,84 @@
+/**
+ * Elo rating calculations
+ *
+ * Ratings are kept per game type. Two-player games are a normal Elo update; in games
+ * with more players the winner is scored against every other player, and the losers
+ * are not compared with each other because their order isn't known. Every change is
+ * divided by the number of opponents, which stops a four-player win from counting as
+ * three two-player wins. Provisional players have a bigger K-factor and changes are
+ * rounded, so the points won and lost don't always add up to zero.
+ */
+
+import { RATING_CONFIG } from '../constants/gameConstants';
+
+/**
+ * Expected score of a player against an opponent (0..1)
+ */
+export const expectedScore = (rating, opponentRating) => 1 / (1 + Math.pow(10, (opponentRating - rating) / 400));
+
+/**
+ * K-factor for a player with `gamesPlayed` rated games
+ */
+export const getKFactor = (gamesPlayed = 0) => (
+    gamesPlayed < RATING_CONFIG.provisionalGames ? RATING_CONFIG.provisionalK : RATING_CONFIG.k
+);
+
+/**
+ * A player's outcome in a finished game (`winners` lists both partners of a winning team)
+ * @returns {'win'|'loss'|'draw'|null} null when the game ended without a result
+ */
+export const getOutcome = (result, userId) => {
+    if (!result) return null;
+    if (result.isDraw) return 'draw';
+    if (!result.winner) return null;
+    return (result.winners || [result.winner]).includes(userId) ? 'win' : 'loss';
+};
+
+/**
+ * Pairings that count towards ratings, with the first player's score
+ * @param {string[]} playerIds
+ * @param {Object} result - { winner, isDraw }
+ * @returns {Array<{a: string, b: string, score: number}>}
+ */
+export const getRatedPairings = (playerIds, result) => {
+    if (result?.isDraw) {
+        const pairings = [];
+        playerIds.forEach((a, i) => playerIds.slice(i + 1).forEach(b => pairings.push({ a, b, score: 0.5 })));
+        return pairings;
+    }
+    if (!result?.winner || !playerIds.includes(result.winner)) return [];
+    return playerIds
+        .filter(id => id !== result.winner)
+        .map(b => ({ a: result.winner, b, score: 1 }));
+};
+
+/**
+ * Rating changes for a finished game
+ * @param {string[]} playerIds
+ * @param {Object} result - { winner, isDraw }
+ * @param {Object} ratings - userId => { rating, gamesPlayed } (missing players start at the initial rating)
+ * @returns {Object|null} userId => { before, after, delta }, or null if the game can't be rated
+ */
+export const calculateRatingChanges = (playerIds, result, ratings = {}) => {
+    const pairings = getRatedPairings(playerIds, result);
+    if (playerIds.length < 2 || pairings.length === 0) return null;
+
+    const ratingOf = id => ratings[id]?.rating ?? RATING_CONFIG.initialRating;
+    const totals = Object.fromEntries(playerIds.map(id => [id, { actual: 0, expected: 0 }]));
+
+    pairings.forEach(({ a, b, score }) => {
+        const expectedA = expectedScore(ratingOf(a), ratingOf(b));
+        totals[a].actual += score;
+        totals[a].expected += expectedA;
+        totals[b].actual += 1 - score;
+        totals[b].expected += 1 - expectedA;
+    });
+
+    return Object.fromEntries(playerIds.map(id => {
+        const before = ratingOf(id);
+        const { actual, expected } = totals[id];
+        const delta = Math.round(getKFactor(ratings[id]?.gamesPlayed) * (actual - expected) / (playerIds.length - 1));
+        const after = Math.max(RATING_CONFIG.floor, before + delta);
+        return [id, { before, after, delta: after - before }];
+    }));
+};
@@ -0,0 +1,321 @@
+/**
+ * Message search query language
+ *
+ * Parses typed queries such as
+ *   from:alice has:link type:voice before:2026-01-01 in:"Project group" is:starred "exact phrase" -excluded
+ * into the filter model used by useMessageSearch, and offers autocomplete suggestions.
+ *
+ * - `before:` is exclusive, `after:` and `on:` are inclusive (dates are YYYY-MM-DD)
+ * - A leading `-` excludes a word or a quoted phrase
+ * - Unknown operators are searched as plain text
+ */
+
+export const EMPTY_SEARCH_FILTERS = {
+    sender: 'all',
+    type: 'all',
+    dateFrom: '',
+    dateTo: '',
+    chatId: null,
+    has: [],
+    is: [],
+    terms: [],
+    phrases: [],
+    excluded: []
+};
+
+export const MESSAGE_TYPES = ['text', 'image', 'video', 'voice', 'document', 'poll', 'location', 'game_invite', 'snake_board', 'correspondence_game'];
+
+const TYPE_ALIASES = {
+    photo: 'image',
+    audio: 'voice',
+    file: 'document',
+    game: 'game_invite',
+    board: 'snake_board',
+    correspondence: 'correspondence_game'
+};
+
+export const HAS_VALUES = ['link', 'media', 'file', 'poll', 'location', 'mention'];
+export const IS_VALUES = ['starred', 'pinned', 'edited'];
+
+export const SEARCH_OPERATORS = ['from', 'in', 'type', 'has', 'is', 'before', 'after', 'on'];
+
+const TOKEN_RE = /(-)?(?:([a-zA-Z]+):)?(?:"([^"]*)"?|(\S+))/g;
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+const LINK_RE = /(https?:\/\/|www\.)\S+/i;
+
+/**
+ * Split a query into tokens with their positions
+ * @param {string} query - Raw query
+ * @returns {Array<{raw, start, end, negate, key, value, quoted}>}
+ */
+export const tokenizeQuery = (query) => {
+    const tokens = [];
+    for (const match of (query || '').matchAll(TOKEN_RE)) {
+        const [raw, negate, key, quotedValue, bareValue] = match;
+        let token = {
+            raw,
+            start: match.index,
+            end: match.index + raw.length,
+            negate: Boolean(negate),
+            key: key ? key.toLowerCase() : null,
+            value: quotedValue !== undefined ? quotedValue : bareValue,
+            quoted: quotedValue !== undefined
+        };
+
+        // "from:" with nothing typed after it yet
+        if (!token.key && /^[a-zA-Z]+:$/.test(token.value || '')) {
+            token = { ...token, key: token.value.slice(0, -1).toLowerCase(), value: '' };
+        }
+
+        // Unknown operators are just text (e.g. URLs)
+        if (token.key && !SEARCH_OPERATORS.includes(token.key)) {
+            token = { ...token, key: null, value: raw.replace(/^-/, ''), quoted: false };
+        }
+
+        tokens.push(token);
+    }
+    return tokens;
+};
+
+/**
+ * Display title of a chat
+ */
+export const getChatTitle = (chat, users) => {
+    if (!chat) return '';
+    return chat.isGroup ? (chat.groupName || '') : (users?.[chat.contactId]?.name || '');
+};
+
+/**
+ * Resolve a name typed after an operator against a list of { id, name }
+ * Exact (case-insensitive) matches win, otherwise the prefix match must be unique
+ * @private
+ */
+const resolveByName = (value, candidates) => {
+    const needle = value.toLowerCase();
+    const exact = candidates.find(c => c.name.toLowerCase() === needle);
+    if (exact) return { id: exact.id };
+
+    const prefixed = candidates.filter(c => c.name.toLowerCase().startsWith(needle));
+    if (prefixed.length === 1) return { id: prefixed[0].id };
+    if (prefixed.length > 1) return { error: `"${value}" matches ${prefixed.length} names` };
+    return { error: `No match for "${value}"` };
+};
+
+/**
+ * Move a YYYY-MM-DD date by a number of days
+ */
+export const shiftDate = (isoDate, days) => {
+    const date = new Date(`${isoDate}T00:00:00`);
+    date.setDate(date.getDate() + days);
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+};
+
+/**
+ * Parse a query into the useMessageSearch filter model
+ * @param {string} query - Raw query
+ * @param {Object} context
+ * @param {Object} context.users - Users by ID
+ * @param {Array} context.chats - Chats list (for `in:`)
+ * @param {string} context.currentUserId - Resolves `from:me`
+ * @returns {{filters: Object, errors: string[]}}
+ */
+export const parseSearchQuery = (query, { users = {}, chats = [], currentUserId } = {}) => {
+    const filters = { ...EMPTY_SEARCH_FILTERS, has: [], is: [], terms: [], phrases: [], excluded: [] };
+    const errors = [];
+
+    tokenizeQuery(query).forEach((token) => {
+        const value = (token.value || '').trim();
+
+        if (!token.key) {
+            if (!value) return;
+            const text = value.toLowerCase();
+            if (token.negate) filters.excluded.push(text);
+            else if (token.quoted) filters.phrases.push(text);
+            else filters.terms.push(text);
+            return;
+        }
+
+        // Operator typed without a value yet
+        if (!value) return;
+
+        switch (token.key) {
+            case 'from': {
+                if (value.toLowerCase() === 'me') {
+                    filters.sender = currentUserId || 'all';
+                    break;
+                }
+                const result = resolveByName(value, Object.values(users).filter(u => u?.name));
+                if (result.id) filters.sender = result.id;
+                else errors.push(`from: ${result.error}`);
+                break;
+            }
+            case 'in': {
+                const candidates = chats.map(c => ({ id: c.id, name: getChatTitle(c, users) })).filter(c => c.name);
+                const result = resolveByName(value, candidates);
+                if (result.id) filters.chatId = result.id;
+                else errors.push(`in: ${result.error}`);
+                break;
+            }
+            case 'type': {
+                const type = TYPE_ALIASES[value.toLowerCase()] || value.toLowerCase();
+                if (MESSAGE_TYPES.includes(type)) filters.type = type;
+                else errors.push(`type: unknown type "${value}"`);
+                break;
+            }
+            case 'has':
+            case 'is': {
+                const allowed = token.key === 'has' ? HAS_VALUES : IS_VALUES;
+                const flag = value.toLowerCase();
+                if (allowed.includes(flag)) filters[token.key].push(flag);
+                else errors.push(`${token.key}: unknown value "${value}"`);
+                break;
+            }
+            case 'before':
+            case 'after':
+            case 'on': {
+                if (!DATE_RE.test(value) || isNaN(new Date(value).getTime())) {
+                    errors.push(`${token.key}: expected a date like 2026-01-31`);
+                    break;
+                }
+                if (token.key === 'before') filters.dateTo = shiftDate(value, -1);
+                if (token.key === 'after') filters.dateFrom = value;
+                if (token.key === 'on') {
+                    filters.dateFrom = value;
+                    filters.dateTo = value;
+                }
+                break;
+            }
+            default:
+                break;
+        }
+    });
+
+    return { filters, errors };
+};
+
+/**
+ * Whether a filter model restricts anything
+ */
+export const hasActiveSearchFilters = (filters) => Boolean(
+    filters.sender !== 'all' || filters.type !== 'all' || filters.dateFrom || filters.dateTo ||
+    filters.chatId || filters.has.length || filters.is.length ||
+    filters.terms.length || filters.phrases.length || filters.excluded.length
+);
+
+const HAS_MATCHERS = {
+    link: (msg) => LINK_RE.test(msg.text || ''),
+    media: (msg) => msg.type === 'image' || msg.type === 'video' || (msg.mediaUrls && msg.mediaUrls.length > 0),
+    file: (msg) => msg.type === 'document' || Boolean(msg.fileName),
+    poll: (msg) => msg.type === 'poll' || Boolean(msg.pollData),
+    location: (msg) => msg.type === 'location',
+    mention: (msg) => /(^|\s)@\w/.test(msg.text || '')
+};
+
+const IS_MATCHERS = {
+    starred: (msg) => Boolean(msg.isStarred),
+    pinned: (msg) => Boolean(msg.isPinned),
+    edited: (msg) => Boolean(msg.isEdited)
+};
+
+/**
+ * Check a message against a filter model
+ * @param {Object} msg - Message
+ * @param {Object} filters - Filter model from parseSearchQuery
+ * @returns {boolean}
+ */
+export const matchesSearchFilters = (msg, filters) => {
+    const text = (msg.text || '').toLowerCase();
+
+    if (filters.terms.some(term => !text.includes(term))) return false;
+    if (filters.phrases.some(phrase => !text.includes(phrase))) return false;
+    if (filters.excluded.some(term => text.includes(term))) return false;
+
+    if (filters.sender !== 'all' && msg.senderId !== filters.sender) return false;
+    if (filters.type !== 'all' && msg.type !== filters.type) return false;
+    if (filters.has.some(flag => !HAS_MATCHERS[flag](msg))) return false;
+    if (filters.is.some(flag => !IS_MATCHERS[flag](msg))) return false;
+
+    if (filters.dateFrom) {
+        const fromDate = new Date(filters.dateFrom);
+        fromDate.setHours(0, 0, 0, 0);
+        if (new Date(msg.timestamp) < fromDate) return false;
+    }
+
+    if (filters.dateTo) {
+        const toDate = new Date(filters.dateTo);
+        toDate.setHours(23, 59, 59, 999);
+        if (new Date(msg.timestamp) > toDate) return false;
+    }
+
+    return true;
+};
+
+const quoteValue = (value) => (/\s/.test(value) ? `"${value}"` : value);
+
+/**
+ * Set (or remove, when value is empty) an operator in a query string
+ * Used by the dropdown filters so the typed query stays the single source of truth
+ * @param {string} query - Raw query
+ * @param {string} key - Operator name
+ * @param {string} value - New value, or '' to remove
+ * @returns {string} Updated query
+ */
+export const setQueryOperator = (query, key, value) => {
+    const kept = tokenizeQuery(query)
+        .filter(token => token.key !== key)
+        .map(token => token.raw);
+    if (value) kept.push(`${key}:${quoteValue(value)}`);
+    return kept.join(' ');
+};
+
+/**
+ * Autocomplete suggestions for the token under the cursor
+ * @param {string} query - Raw query
+ * @param {number} cursor - Caret position
+ * @param {Object} context - { users, chats }
+ * @returns {{suggestions: Array<{label: string, value: string}>, token: Object|null}}
+ */
+export const getQuerySuggestions = (query, cursor, { users = {}, chats = [] } = {}) => {
+    const token = tokenizeQuery(query).find(t => cursor >= t.start && cursor <= t.end) || null;
+    if (!token) return { suggestions: [], token: null };
+
+    const needle = (token.value || '').toLowerCase();
+    const startsWith = (text) => text.toLowerCase().startsWith(needle);
+    let suggestions = [];
+
+    if (!token.key) {
+        if (!needle || token.negate || token.quoted) return { suggestions: [], token };
+        suggestions = SEARCH_OPERATORS
+            .filter(op => op.startsWith(needle))
+            .map(op => ({ label: `${op}:`, value: `${op}:` }));
+    } else if (token.key === 'from') {
+        suggestions = [{ name: 'me' }, ...Object.values(users)]
+            .filter(u => u?.name && startsWith(u.name))
+            .map(u => ({ label: u.name, value: `from:${quoteValue(u.name)}` }));
+    } else if (token.key === 'in') {
+        suggestions = chats
+            .map(c => getChatTitle(c, users))
+            .filter(title => title && startsWith(title))
+            .map(title => ({ label: title, value: `in:${quoteValue(title)}` }));
+    } else if (token.key === 'type' || token.key === 'has' || token.key === 'is') {
+        const values = { type: MESSAGE_TYPES, has: HAS_VALUES, is: IS_VALUES }[token.key];
+        suggestions = values
+            .filter(startsWith)
+            .map(v => ({ label: v, value: `${token.key}:${v}` }));
+    }
+
+    // Nothing to suggest when the token is already complete
+    suggestions = suggestions.filter(s => s.value !== token.raw).slice(0, 8);
+    return { suggestions, token };
+};
+
+/**
+ * Replace the token under the cursor with a suggestion
+ * @returns {{query: string, cursor: number}}
+ */
+export const applyQuerySuggestion = (query, token, suggestion) => {
+    const insert = suggestion.value.endsWith(':') ? suggestion.value : `${suggestion.value} `;
+    const next = query.slice(0, token.start) + insert + query.slice(token.end).replace(/^\s+/, '');
+    return { query: next, cursor: token.start + insert.length };
+};
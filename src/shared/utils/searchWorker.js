@@ -2,9 +2,284 @@
 // This function contains the code that will run in the Web Worker thread.
 // It must not reference external variables outside its scope.
 const workerCode = () => {
+    // --- Global message search index (persisted in IndexedDB) ---
+    const INDEX_DB_NAME = 'WhatsAppSearchIndex';
+    const INDEX_DB_VERSION = 1;
+    const DOCS_STORE = 'docs';
+    const TERMS_STORE = 'terms';
+    const PREFIX_WEIGHT = 0.6;
+    const SNIPPET_RADIUS = 60;
+
+    // Nukta signs (Devanagari, Bengali, Gurmukhi, Gujarati, Oriya, Kannada)
+    const NUKTA_RE = /[\u093C\u09BC\u0A3C\u0ABC\u0B3C\u0CBC]/g;
+    // Candrabindu folds to anusvara so both spellings match
+    const CANDRABINDU_FOLDS = {
+        '\u0901': '\u0902', '\u0981': '\u0982', '\u0A01': '\u0A02', '\u0A81': '\u0A82',
+        '\u0B01': '\u0B02', '\u0C01': '\u0C02', '\u0C81': '\u0C82', '\u0D01': '\u0D02'
+    };
+    const CANDRABINDU_RE = /[\u0901\u0981\u0A01\u0A81\u0B01\u0C01\u0C81\u0D01]/g;
+    const WORD_RE = /[\p{L}\p{N}\p{M}]+/gu;
+
+    let indexDbPromise = null;
+
+    // Case and diacritic folding; Indic vowel signs are kept because they change the word
+    const normalizeTerm = (word) => word
+        .normalize('NFD')
+        .toLowerCase()
+        .replace(/[\u0300-\u036f]/g, '')
+        .replace(NUKTA_RE, '')
+        .replace(/[\u200c\u200d]/g, '')
+        .replace(CANDRABINDU_RE, (c) => CANDRABINDU_FOLDS[c])
+        .normalize('NFC');
+
+    const tokenize = (text) => {
+        const tokens = [];
+        for (const match of (text || '').matchAll(WORD_RE)) {
+            const term = normalizeTerm(match[0]);
+            if (term) tokens.push({ term, start: match.index, end: match.index + match[0].length });
+        }
+        return tokens;
+    };
+
+    const requestToPromise = (request) => new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+
+    const openIndexDB = () => {
+        if (indexDbPromise) return indexDbPromise;
+
+        indexDbPromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(INDEX_DB_NAME, INDEX_DB_VERSION);
+            request.onerror = () => reject(request.error);
+            request.onsuccess = () => resolve(request.result);
+            request.onupgradeneeded = (event) => {
+                const db = event.target.result;
+                if (!db.objectStoreNames.contains(DOCS_STORE)) {
+                    const docs = db.createObjectStore(DOCS_STORE, { keyPath: 'id' });
+                    docs.createIndex('chatId', 'chatId', { unique: false });
+                }
+                if (!db.objectStoreNames.contains(TERMS_STORE)) {
+                    db.createObjectStore(TERMS_STORE, { keyPath: 'term' });
+                }
+            };
+        });
+
+        return indexDbPromise;
+    };
+
+    const isIndexable = (m) => m && m.text && !m.isDeleted && !m.decryptionFailed &&
+        m.type !== 'system' && m.senderId !== 'system';
+
+    const buildDoc = (chatId, m) => {
+        const termCounts = {};
+        tokenize(m.text).forEach(({ term }) => {
+            termCounts[term] = (termCounts[term] || 0) + 1;
+        });
+        return {
+            id: m.id,
+            chatId,
+            text: m.text,
+            senderId: m.senderId,
+            type: m.type,
+            timestamp: m.timestamp,
+            termCounts
+        };
+    };
+
+    // Diff one chat's messages against the stored docs and apply only the changes
+    // `since` marks a partial (paginated) list: older docs are kept as they are
+    const indexChat = async (chatId, messages, since) => {
+        const db = await openIndexDB();
+        const readTx = db.transaction([DOCS_STORE], 'readonly');
+        const existing = await requestToPromise(readTx.objectStore(DOCS_STORE).index('chatId').getAll(chatId));
+        const existingById = new Map(existing.map(d => [d.id, d]));
+
+        const upserts = [];
+        const removals = [];
+        const seen = new Set();
+
+        messages.filter(isIndexable).forEach((m) => {
+            seen.add(m.id);
+            const previous = existingById.get(m.id);
+            if (!previous || previous.text !== m.text) {
+                upserts.push({ next: buildDoc(chatId, m), previous });
+            }
+        });
+        const sinceTime = since ? new Date(since).getTime() : null;
+        existingById.forEach((doc, id) => {
+            if (seen.has(id)) return;
+            if (sinceTime !== null && new Date(doc.timestamp).getTime() < sinceTime) return;
+            removals.push(doc);
+        });
+
+        if (upserts.length === 0 && removals.length === 0) return { indexed: 0, removed: 0 };
+
+        // term -> { add: Set, remove: Set }
+        const postingChanges = new Map();
+        const change = (term) => {
+            if (!postingChanges.has(term)) postingChanges.set(term, { add: new Set(), remove: new Set() });
+            return postingChanges.get(term);
+        };
+
+        upserts.forEach(({ next, previous }) => {
+            if (previous) Object.keys(previous.termCounts).forEach(term => change(term).remove.add(previous.id));
+            Object.keys(next.termCounts).forEach((term) => {
+                change(term).remove.delete(next.id);
+                change(term).add.add(next.id);
+            });
+        });
+        removals.forEach(doc => Object.keys(doc.termCounts).forEach(term => change(term).remove.add(doc.id)));
+
+        await new Promise((resolve, reject) => {
+            const tx = db.transaction([DOCS_STORE, TERMS_STORE], 'readwrite');
+            const docsStore = tx.objectStore(DOCS_STORE);
+            const termsStore = tx.objectStore(TERMS_STORE);
+
+            upserts.forEach(({ next }) => docsStore.put(next));
+            removals.forEach(doc => docsStore.delete(doc.id));
+
+            postingChanges.forEach(({ add, remove }, term) => {
+                const request = termsStore.get(term);
+                request.onsuccess = () => {
+                    const ids = new Set(request.result ? request.result.ids : []);
+                    remove.forEach(id => ids.delete(id));
+                    add.forEach(id => ids.add(id));
+                    if (ids.size === 0) termsStore.delete(term);
+                    else termsStore.put({ term, ids: Array.from(ids) });
+                };
+            });
+
+            tx.oncomplete = () => resolve();
+            tx.onerror = () => reject(tx.error);
+        });
+
+        return { indexed: upserts.length, removed: removals.length };
+    };
+
+    const buildSnippet = (text, queryTerms) => {
+        const highlights = tokenize(text)
+            .filter(({ term }) => queryTerms.some(q => term.startsWith(q)))
+            .map(({ start, end }) => [start, end]);
+
+        const first = highlights.length ? highlights[0][0] : 0;
+        const start = Math.max(0, first - SNIPPET_RADIUS);
+        const end = Math.min(text.length, first + SNIPPET_RADIUS * 2);
+        const prefix = start > 0 ? '…' : '';
+        const suffix = end < text.length ? '…' : '';
+        const offset = prefix.length - start;
+
+        return {
+            text: prefix + text.slice(start, end) + suffix,
+            highlights: highlights
+                .filter(([s, e]) => s >= start && e <= end)
+                .map(([s, e]) => [s + offset, e + offset])
+        };
+    };
+
+    // Every query term must match (as a whole word or a prefix); results ranked by tf-idf and recency
+    const searchIndex = async (query, limit) => {
+        const queryTerms = Array.from(new Set(tokenize(query).map(t => t.term)));
+        if (queryTerms.length === 0) return [];
+
+        const db = await openIndexDB();
+        const tx = db.transaction([DOCS_STORE, TERMS_STORE], 'readonly');
+        const docsStore = tx.objectStore(DOCS_STORE);
+        const termsStore = tx.objectStore(TERMS_STORE);
+        const totalDocs = Math.max(1, await requestToPromise(docsStore.count()));
+
+        let candidates = null;
+        for (const queryTerm of queryTerms) {
+            const range = IDBKeyRange.bound(queryTerm, queryTerm + '\uffff');
+            const postings = await requestToPromise(termsStore.getAll(range));
+            const weights = new Map();
+
+            postings.forEach(({ term, ids }) => {
+                const idf = Math.log(1 + totalDocs / ids.length);
+                const weight = (term === queryTerm ? 1 : PREFIX_WEIGHT) * idf;
+                ids.forEach((id) => {
+                    const current = weights.get(id);
+                    if (!current || current.weight < weight) weights.set(id, { weight, term });
+                });
+            });
+
+            if (candidates === null) {
+                candidates = new Map(Array.from(weights, ([id, w]) => [id, [w]]));
+            } else {
+                candidates = new Map(Array.from(candidates)
+                    .filter(([id]) => weights.has(id))
+                    .map(([id, list]) => [id, [...list, weights.get(id)]]));
+            }
+            if (candidates.size === 0) return [];
+        }
+
+        const now = Date.now();
+        const results = [];
+        for (const [id, matches] of candidates) {
+            const doc = await requestToPromise(docsStore.get(id));
+            if (!doc) continue;
+
+            const textScore = matches.reduce((sum, { weight, term }) =>
+                sum + weight * (1 + Math.log(doc.termCounts[term] || 1)), 0);
+            const ageDays = Math.max(0, (now - new Date(doc.timestamp).getTime()) / 86400000) || 0;
+            const score = textScore + 0.5 * Math.exp(-ageDays / 30);
+
+            results.push({
+                chatId: doc.chatId,
+                messageId: doc.id,
+                senderId: doc.senderId,
+                timestamp: doc.timestamp,
+                score,
+                snippet: buildSnippet(doc.text, queryTerms)
+            });
+        }
+
+        return results.sort((a, b) => b.score - a.score).slice(0, limit);
+    };
+
+    const clearIndex = async () => {
+        const db = await openIndexDB();
+        await new Promise((resolve, reject) => {
+            const tx = db.transaction([DOCS_STORE, TERMS_STORE], 'readwrite');
+            tx.objectStore(DOCS_STORE).clear();
+            tx.objectStore(TERMS_STORE).clear();
+            tx.oncomplete = () => resolve();
+            tx.onerror = () => reject(tx.error);
+        });
+    };
+
+    // Index updates are applied one at a time so diffs never interleave
+    let indexQueue = Promise.resolve();
+
     self.onmessage = (e) => {
         const { type, payload } = e.data;
 
+        if (type === 'INDEX_MESSAGES') {
+            const { chatId, messages, since } = payload;
+            indexQueue = indexQueue
+                .then(() => indexChat(chatId, messages, since))
+                .then(result => self.postMessage({ type: 'INDEX_MESSAGES_RESULT', chatId, result }))
+                .catch(error => self.postMessage({ type: 'INDEX_ERROR', chatId, error: error.message }));
+            return;
+        }
+
+        if (type === 'SEARCH_ALL') {
+            const { query, limit = 100, requestId } = payload;
+            indexQueue
+                .then(() => searchIndex(query, limit))
+                .then(result => self.postMessage({ type: 'SEARCH_ALL_RESULT', requestId, result }))
+                .catch(error => self.postMessage({ type: 'SEARCH_ALL_RESULT', requestId, result: [], error: error.message }));
+            return;
+        }
+
+        if (type === 'CLEAR_INDEX') {
+            indexQueue = indexQueue
+                .then(() => clearIndex())
+                .then(() => self.postMessage({ type: 'CLEAR_INDEX_RESULT' }))
+                .catch(error => self.postMessage({ type: 'INDEX_ERROR', error: error.message }));
+            return;
+        }
+
         if (type === 'FILTER_CHATS') {
             const { chats, users, query, activeFilter } = payload;
             const normalizedQuery = query.toLowerCase().trim();
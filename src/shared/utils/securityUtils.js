@@ -1,52 +1,26 @@
 /**
  * Security utility functions for PIN/password management
- * Provides hashing, validation, and security checks
+ * Provides validation and security checks
+ * PIN hashing and verification live in pinVault.js
  */
 
-/**
- * Simple hash function for PINs (for demo purposes)
- * In production, use a proper crypto library like bcrypt
- * @param {string} pin - The PIN to hash
- * @returns {string} Hashed PIN
- */
-export const hashPin = (pin) => {
-    if (!pin) return '';
-
-    // Simple hash for demo - in production use bcrypt or similar
-    let hash = 0;
-    for (let i = 0; i < pin.length; i++) {
-        const char = pin.charCodeAt(i);
-        hash = ((hash << 5) - hash) + char;
-        hash = hash & hash; // Convert to 32bit integer
-    }
-    return hash.toString(36);
-};
-
-/**
- * Validate a PIN against its hash
- * @param {string} pin - The PIN to validate
- * @param {string} hashedPin - The stored hash
- * @returns {boolean} True if PIN matches
- */
-export const validatePin = (pin, hashedPin) => {
-    if (!pin || !hashedPin) return false;
-    return hashPin(pin) === hashedPin;
-};
+import { isPinRecord, PIN_FIELDS } from './pinVault';
 
 /**
  * Check if a PIN is configured in security settings
  * @param {object} settings - Security settings object
- * @param {string} pinType - 'daily' or 'chat'
+ * @param {string} pinType - 'daily', 'chat' or 'archive'
  * @returns {boolean} True if PIN is configured
  */
 export const isPinConfigured = (settings, pinType = 'daily') => {
     if (!settings) return false;
 
-    const pinField = pinType === 'daily'
-        ? 'dailyLockPassword'
-        : 'chatLockPassword';
+    const pinField = PIN_FIELDS[pinType] || PIN_FIELDS.chat;
+
+    const stored = settings[pinField];
+    if (isPinRecord(stored)) return true;
 
-    return Boolean(settings[pinField] && settings[pinField].trim().length > 0);
+    return Boolean(typeof stored === 'string' && stored.trim().length > 0);
 };
 
 /**
@@ -0,0 +1,20 @@
+/**
+ * Simulcast layer selection
+ * Receivers ask for the smallest layer that still looks sharp in the tile showing it.
+ */
+
+import { SIMULCAST_LAYERS, SIMULCAST_TILE_WIDTHS } from '../constants/callConstants';
+
+/**
+ * Layer for a video tile
+ * @param {{width: number, height: number}} size - Tile size in CSS pixels
+ * @param {number} pixelRatio - window.devicePixelRatio
+ * @returns {string} One of SIMULCAST_LAYERS
+ */
+export const getLayerForTile = ({ width, height }, pixelRatio = 1) => {
+    // Videos are cropped to fill the tile, so the longer side decides
+    const pixels = Math.max(width, height) * pixelRatio;
+    if (pixels >= SIMULCAST_TILE_WIDTHS[SIMULCAST_LAYERS.HIGH]) return SIMULCAST_LAYERS.HIGH;
+    if (pixels >= SIMULCAST_TILE_WIDTHS[SIMULCAST_LAYERS.MEDIUM]) return SIMULCAST_LAYERS.MEDIUM;
+    return SIMULCAST_LAYERS.LOW;
+};
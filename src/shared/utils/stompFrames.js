@@ -0,0 +1,100 @@
+/**
+ * STOMP 1.2 frame encoding/decoding
+ * Shared by the browser game transport (WebSocketService) and the Node reference
+ * server (server/gameServer.js), so it must stay dependency-free.
+ */
+
+export const STOMP_VERSION = '1.2';
+export const STOMP_SUBPROTOCOL = 'v12.stomp';
+
+// Destinations used by the game transport
+export const GAME_TOPIC_PREFIX = '/topic/game/';
+export const GAME_SEND_PREFIX = '/app/game/';
+export const PRESENCE_TOPIC = '/topic/presence';
+// Spectators: a game's delayed events and spectator chat, and the spectator count of every live game
+export const SPECTATE_TOPIC_PREFIX = '/topic/spectate/';
+export const SPECTATORS_TOPIC = '/topic/spectators';
+
+const NULL = '\0';
+
+const escapeHeader = (value) => String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/\r/g, '\\r')
+    .replace(/\n/g, '\\n')
+    .replace(/:/g, '\\c');
+
+const unescapeHeader = (value) => value.replace(/\\([\\rnc])/g, (_, ch) => (
+    { '\\': '\\', r: '\r', n: '\n', c: ':' }[ch]
+));
+
+/**
+ * Build a frame
+ * @param {string} command - e.g. SEND, MESSAGE
+ * @param {Object} headers - Header values (undefined values are skipped)
+ * @param {string} body - Frame body
+ * @returns {string}
+ */
+export const encodeFrame = (command, headers = {}, body = '') => {
+    // CONNECT/CONNECTED headers are not escaped in STOMP 1.2
+    const escape = command === 'CONNECT' || command === 'CONNECTED' ? String : escapeHeader;
+    const lines = [command];
+    Object.entries(headers).forEach(([key, value]) => {
+        if (value !== undefined && value !== null) lines.push(`${escape(key)}:${escape(value)}`);
+    });
+    return `${lines.join('\n')}\n\n${body}${NULL}`;
+};
+
+/**
+ * Split incoming data into frames
+ * Heart-beats (bare newlines) are skipped; an incomplete trailing frame is returned as `rest`
+ * @param {string} data - Buffered data
+ * @returns {{frames: Array<{command, headers, body}>, rest: string}}
+ */
+export const parseFrames = (data) => {
+    const frames = [];
+    let rest = data;
+
+    for (;;) {
+        rest = rest.replace(/^[\r\n]+/, '');
+        const end = rest.indexOf(NULL);
+        if (end === -1) break;
+
+        const raw = rest.slice(0, end);
+        rest = rest.slice(end + 1);
+
+        const headerEnd = raw.search(/\r?\n\r?\n/);
+        const head = headerEnd === -1 ? raw : raw.slice(0, headerEnd);
+        const body = headerEnd === -1 ? '' : raw.slice(headerEnd).replace(/^\r?\n\r?\n/, '');
+        const [command, ...headerLines] = head.split(/\r?\n/);
+
+        const headers = {};
+        headerLines.forEach((line) => {
+            const colon = line.indexOf(':');
+            if (colon === -1) return;
+            const key = unescapeHeader(line.slice(0, colon));
+            // The first occurrence of a repeated header wins
+            if (!(key in headers)) headers[key] = unescapeHeader(line.slice(colon + 1));
+        });
+
+        frames.push({ command, headers, body });
+    }
+
+    return { frames, rest };
+};
+
+/**
+ * Game ID from a game topic or send destination, or null
+ */
+export const getGameIdFromDestination = (destination) => {
+    if (!destination) return null;
+    if (destination.startsWith(GAME_TOPIC_PREFIX)) return destination.slice(GAME_TOPIC_PREFIX.length);
+    if (destination.startsWith(GAME_SEND_PREFIX)) return destination.slice(GAME_SEND_PREFIX.length);
+    return null;
+};
+
+/**
+ * Game ID from a spectate topic, or null
+ */
+export const getSpectatedGameId = (destination) => (
+    destination?.startsWith(SPECTATE_TOPIC_PREFIX) ? destination.slice(SPECTATE_TOPIC_PREFIX.length) : null
+);
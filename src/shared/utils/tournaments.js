@@ -0,0 +1,305 @@
+/**
+ * Group tournaments
+ *
+ * A tournament is a plain object (stored as one Firestore document):
+ * { id, chatId, name, gameType, format, playerIds (by seed), roundCount, rounds, status,
+ *   startsAt, roundIntervalMs, nextRoundAt, timeControl, winnerId, standings }
+ * Each round is { number, startedAt, matches }, each match { id, gameId, roomId, players: [a, b],
+ * result }. `b` is null for a bye, which is scored as a win straight away.
+ *
+ * - Knockout: seeds are bracketed 1 v N, 2 v N-1...; byes go to the top seeds. A drawn game
+ *   sends the higher seed through
+ * - Swiss: players on the same score meet, avoiding rematches; the lowest-ranked player
+ *   without a bye sits out an odd round
+ * - Round-robin: the circle method, so everyone meets everyone once
+ */
+
+export const TOURNAMENT_STATUS = {
+    SCHEDULED: 'scheduled',
+    IN_PROGRESS: 'in_progress',
+    FINISHED: 'finished'
+};
+
+/**
+ * Rounds a tournament will have
+ */
+export const getTournamentRoundCount = (format, playerCount) => {
+    if (playerCount < 2) return 0;
+    if (format === 'roundRobin') return playerCount % 2 === 0 ? playerCount - 1 : playerCount;
+    const rounds = Math.ceil(Math.log2(playerCount));
+    return format === 'swiss' ? Math.min(rounds, playerCount - 1) : rounds;
+};
+
+/**
+ * New tournament; round 1 is paired by startTournamentRound once `startsAt` has passed
+ * @param {Object} options
+ * @param {string[]} options.playerIds - Players by seed (strongest first)
+ */
+export const createTournament = ({
+    id,
+    chatId,
+    name,
+    gameType,
+    format,
+    playerIds,
+    createdBy,
+    startsAt,
+    roundIntervalMs = 0,
+    timeControl = null,
+    now = new Date().toISOString()
+}) => ({
+    id,
+    chatId,
+    name,
+    gameType,
+    format,
+    playerIds: [...playerIds],
+    createdBy,
+    createdAt: now,
+    startsAt: startsAt || now,
+    roundIntervalMs,
+    timeControl,
+    roundCount: getTournamentRoundCount(format, playerIds.length),
+    rounds: [],
+    status: TOURNAMENT_STATUS.SCHEDULED,
+    nextRoundAt: startsAt || now,
+    winnerId: null,
+    standings: null
+});
+
+const isRoundComplete = (round) => round.matches.every(match => match.result);
+
+/**
+ * Player who goes through from a finished match (knockout draws go to the higher seed)
+ */
+export const getMatchWinner = (tournament, match) => {
+    if (!match.result) return null;
+    if (match.result.winner) return match.result.winner;
+    const [a, b] = match.players;
+    return tournament.playerIds.indexOf(a) <= tournament.playerIds.indexOf(b) ? a : b;
+};
+
+/**
+ * Bracket order of seeds for a knockout of `size` (a power of two): 1 v size, then the
+ * winners meet the next-best seeds as late as possible
+ */
+const getBracketOrder = (size) => {
+    let order = [1];
+    while (order.length < size) {
+        const total = order.length * 2 + 1;
+        order = order.flatMap(seed => [seed, total - seed]);
+    }
+    return order;
+};
+
+const pairKnockout = (tournament) => {
+    const { playerIds, rounds } = tournament;
+    if (rounds.length === 0) {
+        const size = 2 ** Math.ceil(Math.log2(playerIds.length));
+        const order = getBracketOrder(size).map(seed => playerIds[seed - 1] || null);
+        const pairs = [];
+        // The better seed comes first in each pair, so the top seeds get the byes
+        for (let i = 0; i < order.length; i += 2) pairs.push([order[i], order[i + 1]]);
+        return pairs;
+    }
+
+    const winners = rounds[rounds.length - 1].matches.map(match => getMatchWinner(tournament, match));
+    const pairs = [];
+    for (let i = 0; i < winners.length; i += 2) pairs.push([winners[i], winners[i + 1]]);
+    return pairs;
+};
+
+const pairRoundRobin = (tournament) => {
+    const players = tournament.playerIds.length % 2 === 0 ? [...tournament.playerIds] : [...tournament.playerIds, null];
+    const round = tournament.rounds.length;
+    const [fixed, ...rest] = players;
+    const shift = round % rest.length;
+    const rotated = [fixed, ...rest.slice(rest.length - shift), ...rest.slice(0, rest.length - shift)];
+
+    const pairs = [];
+    for (let i = 0; i < rotated.length / 2; i++) {
+        const a = rotated[i];
+        const b = rotated[rotated.length - 1 - i];
+        // Alternate who goes first (white in chess) from round to round
+        pairs.push(round % 2 === 1 && i === 0 ? [b, a] : [a, b]);
+    }
+    return pairs.map(([a, b]) => (a ? [a, b] : [b, a]));
+};
+
+/**
+ * Pair players in order, avoiding rematches where possible
+ */
+const pairWithoutRematches = (players, hasPlayed) => {
+    if (players.length === 0) return [];
+    const [first, ...rest] = players;
+    for (let i = 0; i < rest.length; i++) {
+        if (hasPlayed(first, rest[i])) continue;
+        const pairs = pairWithoutRematches([...rest.slice(0, i), ...rest.slice(i + 1)], hasPlayed);
+        if (pairs) return [[first, rest[i]], ...pairs];
+    }
+    return null;
+};
+
+const pairSwiss = (tournament) => {
+    const standings = getTournamentStandings(tournament);
+    const ranked = standings.map(row => row.userId);
+    const pairs = [];
+
+    if (ranked.length % 2 === 1) {
+        const byePlayer = [...standings].reverse().find(row => row.byes === 0)?.userId || ranked[ranked.length - 1];
+        ranked.splice(ranked.indexOf(byePlayer), 1);
+        pairs.push([byePlayer, null]);
+    }
+
+    const opponents = Object.fromEntries(standings.map(row => [row.userId, row.opponents]));
+    const hasPlayed = (a, b) => opponents[a].includes(b);
+    const paired = pairWithoutRematches(ranked, hasPlayed) || ranked.reduce((result, id, i) => (
+        i % 2 === 0 ? [...result, [id, ranked[i + 1]]] : result
+    ), []);
+
+    return [...paired, ...pairs];
+};
+
+/**
+ * Pair and add the next round if it is due
+ * @returns {Object|null} The updated tournament, or null if no round can start yet
+ */
+export const startTournamentRound = (tournament, now = new Date().toISOString()) => {
+    const lastRound = tournament.rounds[tournament.rounds.length - 1];
+    if (tournament.status === TOURNAMENT_STATUS.FINISHED) return null;
+    if (lastRound && !isRoundComplete(lastRound)) return null;
+    if (tournament.rounds.length >= tournament.roundCount) return null;
+    if (tournament.nextRoundAt && tournament.nextRoundAt > now) return null;
+
+    const pairs = tournament.format === 'knockout'
+        ? pairKnockout(tournament)
+        : tournament.format === 'swiss' ? pairSwiss(tournament) : pairRoundRobin(tournament);
+
+    const number = tournament.rounds.length + 1;
+    const matches = pairs.map(([a, b], i) => {
+        const id = `${tournament.id}_r${number}_m${i + 1}`;
+        return {
+            id,
+            gameId: `game_${id}`,
+            roomId: `room_${id}`,
+            players: [a, b],
+            result: b ? null : { winner: a, isDraw: false, bye: true }
+        };
+    });
+
+    return {
+        ...tournament,
+        status: TOURNAMENT_STATUS.IN_PROGRESS,
+        rounds: [...tournament.rounds, { number, startedAt: now, matches }],
+        nextRoundAt: null
+    };
+};
+
+/**
+ * Record the result of a tournament game, finishing the round (and the tournament) when
+ * it was the last one
+ * @param {Object} result - { winner, isDraw, quitBy }
+ * @returns {Object|null} The updated tournament, or null if the game isn't an unfinished match
+ */
+export const recordTournamentResult = (tournament, gameId, result, now = new Date().toISOString()) => {
+    const roundIndex = tournament.rounds.findIndex(round => round.matches.some(match => match.gameId === gameId));
+    if (roundIndex === -1) return null;
+    const round = tournament.rounds[roundIndex];
+    const match = round.matches.find(m => m.gameId === gameId);
+    if (match.result) return null;
+
+    const [a, b] = match.players;
+    // A game someone quit goes to the other player
+    const winner = match.players.includes(result?.winner)
+        ? result.winner
+        : result?.quitBy ? (result.quitBy === a ? b : a) : null;
+    const updatedRound = {
+        ...round,
+        matches: round.matches.map(m => (m.gameId === gameId ? { ...m, result: { winner, isDraw: !winner } } : m))
+    };
+    const rounds = tournament.rounds.map((r, i) => (i === roundIndex ? updatedRound : r));
+    const updated = { ...tournament, rounds };
+
+    if (!isRoundComplete(updatedRound)) return updated;
+
+    if (rounds.length >= tournament.roundCount) {
+        const standings = getTournamentStandings(updated);
+        return {
+            ...updated,
+            status: TOURNAMENT_STATUS.FINISHED,
+            nextRoundAt: null,
+            winnerId: standings[0]?.userId || null,
+            standings,
+            finishedAt: now
+        };
+    }
+
+    // The next round waits for its slot in the schedule
+    const scheduled = new Date(Date.parse(tournament.startsAt) + rounds.length * tournament.roundIntervalMs).toISOString();
+    return { ...updated, nextRoundAt: scheduled > now ? scheduled : now };
+};
+
+/**
+ * Standings, best first
+ * Points: win 1, draw ½, bye 1. Ties are split by Buchholz (the opponents' points), then
+ * wins, then seed. In a knockout, going out later ranks higher.
+ * @returns {Array<{userId, rank, seed, points, wins, draws, losses, byes, buchholz, eliminatedInRound, opponents}>}
+ */
+export const getTournamentStandings = (tournament) => {
+    const rows = Object.fromEntries(tournament.playerIds.map((userId, seed) => [userId, {
+        userId,
+        seed: seed + 1,
+        points: 0,
+        wins: 0,
+        draws: 0,
+        losses: 0,
+        byes: 0,
+        buchholz: 0,
+        eliminatedInRound: null,
+        opponents: []
+    }]));
+
+    tournament.rounds.forEach(round => round.matches.forEach(match => {
+        if (!match.result) return;
+        const [a, b] = match.players;
+        if (!b) {
+            rows[a].points += 1;
+            rows[a].byes++;
+            return;
+        }
+
+        rows[a].opponents.push(b);
+        rows[b].opponents.push(a);
+        if (match.result.isDraw) {
+            rows[a].points += 0.5;
+            rows[b].points += 0.5;
+            rows[a].draws++;
+            rows[b].draws++;
+        } else {
+            const loser = match.result.winner === a ? b : a;
+            rows[match.result.winner].points += 1;
+            rows[match.result.winner].wins++;
+            rows[loser].losses++;
+        }
+
+        if (tournament.format === 'knockout') {
+            const through = getMatchWinner(tournament, match);
+            rows[through === a ? b : a].eliminatedInRound = round.number;
+        }
+    }));
+
+    Object.values(rows).forEach(row => {
+        row.buchholz = row.opponents.reduce((sum, id) => sum + rows[id].points, 0);
+    });
+
+    const knockoutStage = row => row.eliminatedInRound ?? Infinity;
+    return Object.values(rows)
+        .sort((x, y) => (
+            (tournament.format === 'knockout' ? knockoutStage(y) - knockoutStage(x) : 0)
+            || y.points - x.points
+            || y.buchholz - x.buchholz
+            || y.wins - x.wins
+            || x.seed - y.seed
+        ))
+        .map((row, i) => ({ ...row, rank: i + 1 }));
+};
@@ -0,0 +1,81 @@
+/**
+ * Transcripts
+ * A call's transcript is its final caption lines ("segments"), each
+ * { id, speakerId, text, startedAt, endedAt } with times in ms. These helpers order, search
+ * and time them against a recording.
+ */
+
+import { CAPTIONS } from '../constants/callConstants';
+
+/**
+ * Segments in the order they were said, without duplicates
+ * @param {Array<Object>} segments
+ * @returns {Array<Object>}
+ */
+export const sortSegments = (segments = []) => {
+    const byId = new Map(segments.map(segment => [segment.id, segment]));
+    return [...byId.values()].sort((a, b) => a.startedAt - b.startedAt);
+};
+
+/**
+ * Segments containing every word of a query (case and accents ignored)
+ * @param {Array<Object>} segments
+ * @param {string} query
+ * @returns {Array<Object>}
+ */
+export const searchTranscript = (segments, query) => {
+    const normalize = (text) => text.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+    const words = normalize(query || '').split(/\s+/).filter(Boolean);
+    if (words.length === 0) return segments;
+
+    return segments.filter((segment) => {
+        const text = normalize(segment.text);
+        return words.every(word => text.includes(word));
+    });
+};
+
+/**
+ * Seconds into a recording at which a segment was said
+ * @param {Object} segment
+ * @param {number} recordingStartedAt - When the recording started (ms)
+ * @returns {number}
+ */
+export const getSegmentOffset = (segment, recordingStartedAt) => (
+    Math.max((segment.startedAt - recordingStartedAt) / 1000, 0)
+);
+
+/**
+ * The line being said at a point of a recording, for captions during playback
+ * @param {Array<Object>} segments - Sorted
+ * @param {number} recordingStartedAt - When the recording started (ms)
+ * @param {number} seconds - Playback position
+ * @returns {Object|null}
+ */
+export const getSegmentAtTime = (segments, recordingStartedAt, seconds) => {
+    const time = recordingStartedAt + seconds * 1000;
+    for (let index = segments.length - 1; index >= 0; index--) {
+        const segment = segments[index];
+        if (segment.startedAt > time) continue;
+        // Short lines stay up a little after they are said, like live captions
+        const shownUntil = Math.max(segment.endedAt || segment.startedAt, segment.startedAt + CAPTIONS.displayMs / 2);
+        return time <= shownUntil ? segment : null;
+    }
+    return null;
+};
+
+/**
+ * Plain-text transcript, one "[m:ss] Name: text" line per segment
+ * @param {Array<Object>} segments - Sorted
+ * @param {Function} getName - (speakerId) => display name
+ * @returns {string}
+ */
+export const formatTranscript = (segments, getName = (speakerId) => speakerId) => {
+    if (segments.length === 0) return '';
+    const start = segments[0].startedAt;
+
+    return segments.map((segment) => {
+        const seconds = Math.floor((segment.startedAt - start) / 1000);
+        const time = `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+        return `[${time}] ${getName(segment.speakerId)}: ${segment.text}`;
+    }).join('\n');
+};